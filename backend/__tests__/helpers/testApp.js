@@ -5,12 +5,20 @@ const express = require('express');
 module.exports = function createTestApp() {
     const app = express();
 
-    app.use(express.json());
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
     app.use(express.urlencoded({ extended: true }));
 
     // Mount routes (middle-wares within routes will be applied as authored)
     app.use('/api/auth', require('../../routes/auth'));
     app.use('/api/rides', require('../../routes/rides'));
+    app.use('/api/users', require('../../routes/users'));
+    app.use('/api/payments', require('../../routes/payments'));
+    app.use('/api/wallet', require('../../routes/wallet'));
+    app.use('/api/earnings', require('../../routes/earnings'));
+    app.use('/api/notifications', require('../../routes/notifications'));
+    app.use('/api/onboarding', require('../../routes/onboarding'));
+    app.use('/api/vehicles', require('../../routes/vehicles'));
+    app.use('/api/shifts', require('../../routes/shifts'));
 
     // Basic not-found handler for tests
     app.use('*', (req, res) => {
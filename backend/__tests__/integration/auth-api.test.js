@@ -1,6 +1,7 @@
 ﻿const request = require('supertest');
 const createTestApp = require('../helpers/testApp');
-const { User, OTP } = require('../../models');
+const { User, OTP, PasswordResetToken, Notification } = require('../../models');
+const { PasswordResetService, NotificationService } = require('../../services');
 
 // Single clean auth integration suite (removed duplicated legacy suites)
 describe('Authentication API (Integration)', () => {
@@ -27,6 +28,20 @@ describe('Authentication API (Integration)', () => {
             expect(res.status).toBe(409);
             expect(res.body.error.code).toBe('USER_ALREADY_EXISTS');
         });
+
+        it('delivers the OTP by SMS in the requested language', async () => {
+            const phone = '+15550000009';
+            await request(app).post('/api/auth/register-phone').set('Accept-Language', 'hi').send({ phone, profile: { name: 'Hindi Rider' }, role: 'rider' }).expect(200);
+
+            const otpDoc = await OTP.findOne({ phone });
+            const messages = await NotificationService.getMailbox().read({ channel: 'sms', to: phone });
+            expect(messages[messages.length - 1].body).toContain(otpDoc.otp);
+            expect(messages[messages.length - 1].body).toContain('सत्यापन कोड');
+
+            const log = await Notification.findOne({ event: 'OTP', status: 'sent' }).sort({ createdAt: -1 });
+            expect(log.locale).toBe('hi');
+            expect(log.content.body).toBe(NotificationService.REDACTED);
+        });
     }); describe('POST /api/auth/verify-otp', () => {
         it('verifies OTP, creates user and returns tokens', async () => {
             const phone = '+15550000003';
@@ -66,4 +81,60 @@ describe('Authentication API (Integration)', () => {
             expect(res.body.error.code).toBe('INVALID_CREDENTIALS');
         });
     });
+
+    describe('Password reset', () => {
+        it('issues a hashed reset token to riders by phone', async () => {
+            const rider = await global.testUtils.createTestUser({ phone: '+15550000006', role: 'rider' });
+
+            const res = await request(app).post('/api/auth/forgot-password').send({ phone: '+15550000006' });
+
+            expect(res.status).toBe(200);
+            expect(Object.keys(res.body).sort()).toEqual(['message', 'success', 'timestamp']);
+            const tokens = await PasswordResetToken.find({ userId: rider._id });
+            expect(tokens).toHaveLength(1);
+            expect(tokens[0].tokenHash).toMatch(/^[0-9a-f]{64}$/);
+
+            const messages = await NotificationService.getMailbox().read({ channel: 'sms', to: '+15550000006' });
+            expect(messages[messages.length - 1].body).toContain('/reset-password?token=');
+        });
+
+        it('does not reveal unknown accounts', async () => {
+            const res = await request(app).post('/api/auth/forgot-password').send({ phone: '+15550009998' });
+            expect(res.status).toBe(200);
+            expect(res.body.success).toBe(true);
+            expect(Object.keys(res.body).sort()).toEqual(['message', 'success', 'timestamp']);
+        });
+
+        it('resets the password once and signs out every session', async () => {
+            await global.testUtils.createTestUser({ phone: '+15550000007', password: 'OldPass!1', role: 'driver', profile: { name: 'Reset Driver' } });
+            const login = await request(app).post('/api/auth/login-phone').send({ phone: '+15550000007', password: 'OldPass!1' }).expect(200);
+            const oldToken = login.body.data.tokens.accessToken;
+            const user = await User.findByPhone('+15550000007');
+            const { token } = await PasswordResetService.issueToken(user);
+
+            const reset = await request(app).post('/api/auth/reset-password').send({ token, password: 'NewPass!1' });
+            expect(reset.status).toBe(200);
+
+            const reused = await request(app).post('/api/auth/reset-password').send({ token, password: 'Another!1' });
+            expect(reused.status).toBe(400);
+            expect(reused.body.error.code).toBe('INVALID_RESET_TOKEN');
+
+            const oldSession = await request(app).get('/api/auth/verify').set('Authorization', `Bearer ${oldToken}`);
+            expect(oldSession.status).toBe(401);
+
+            await request(app).post('/api/auth/login-phone').send({ phone: '+15550000007', password: 'OldPass!1' }).expect(401);
+            await request(app).post('/api/auth/login-phone').send({ phone: '+15550000007', password: 'NewPass!1' }).expect(200);
+        });
+
+        it('rejects expired reset tokens', async () => {
+            const user = await global.testUtils.createTestUser({ phone: '+15550000008', role: 'rider' });
+            const { token } = await PasswordResetService.issueToken(user);
+            await PasswordResetToken.updateOne({ userId: user._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+            const res = await request(app).post('/api/auth/reset-password').send({ token, password: 'NewPass!1' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.code).toBe('INVALID_RESET_TOKEN');
+        });
+    });
 });
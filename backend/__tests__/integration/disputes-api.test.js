@@ -0,0 +1,114 @@
+const request = require('supertest');
+const createTestApp = require('../helpers/testApp');
+const { Ride, Refund } = require('../../models');
+const { WalletService } = require('../../services');
+const { integrationHelpers } = require('../utils/testHelpers');
+
+const { registerRider, loginAdmin, createCompletedRide } = integrationHelpers;
+
+describe('Disputes and Refunds API (Integration)', () => {
+    let app;
+
+    beforeAll(() => {
+        app = createTestApp();
+    });
+
+    const createPaidRide = (riderId, method) => createCompletedRide(riderId, {
+        payment: { method, status: 'completed', transactionId: `${method}_test`, processedAt: new Date() }
+    });
+
+    it('should let a rider dispute a paid ride only once', async () => {
+        const rider = await registerRider(app, '+15550003000', 'Disputing Rider');
+        const ride = await createPaidRide(rider.userId, 'mock');
+
+        const dispute = await request(app)
+            .post('/api/payments/disputes')
+            .set('Authorization', `Bearer ${rider.token}`)
+            .send({ rideId: ride._id.toString(), reason: 'overcharged', description: 'The driver took a much longer route' });
+
+        expect(dispute.status).toBe(201);
+        expect(dispute.body.data.dispute.status).toBe('open');
+
+        const duplicate = await request(app)
+            .post('/api/payments/disputes')
+            .set('Authorization', `Bearer ${rider.token}`)
+            .send({ rideId: ride._id.toString(), reason: 'other', description: 'Raising the same issue again' });
+
+        expect(duplicate.status).toBe(409);
+        expect(duplicate.body.error.code).toBe('DISPUTE_EXISTS');
+    });
+
+    it('should resolve a dispute with a partial refund to the wallet', async () => {
+        const rider = await registerRider(app, '+15550003001', 'Wallet Rider');
+        const { token: adminToken } = await loginAdmin(app);
+        const ride = await createPaidRide(rider.userId, 'wallet');
+
+        const opened = await request(app)
+            .post('/api/payments/disputes')
+            .set('Authorization', `Bearer ${rider.token}`)
+            .send({ rideId: ride._id.toString(), reason: 'wrong_route', description: 'The trip went the long way around' });
+        const disputeId = opened.body.data.dispute._id;
+
+        const detail = await request(app)
+            .get(`/api/payments/disputes/${disputeId}`)
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(detail.status).toBe(200);
+        expect(detail.body.data.events.map(event => event.type)).toContain('DISPUTE_OPENED');
+
+        const resolved = await request(app)
+            .put(`/api/payments/disputes/${disputeId}/resolve`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ decision: 'refund', amount: 50, note: 'Detour confirmed from the trip trace' });
+
+        expect(resolved.status).toBe(200);
+        expect(resolved.body.data.dispute.status).toBe('resolved');
+        expect(resolved.body.data.refund).toMatchObject({ amount: 50, type: 'partial', destination: 'wallet' });
+
+        const wallet = await WalletService.getWallet(rider.userId);
+        expect(wallet.balance).toBe(50);
+
+        const refreshed = await Ride.findById(ride._id);
+        expect(refreshed.payment.status).toBe('completed');
+        expect(refreshed.payment.refundedAmount).toBe(50);
+
+        const again = await request(app)
+            .put(`/api/payments/disputes/${disputeId}/resolve`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ decision: 'reject', note: 'Second attempt' });
+
+        expect(again.status).toBe(409);
+    });
+
+    it('should mark the payment refunded after a full refund and never refund more than was charged', async () => {
+        const rider = await registerRider(app, '+15550003002', 'Card Rider');
+        const { token: adminToken } = await loginAdmin(app);
+        const ride = await createPaidRide(rider.userId, 'mock');
+
+        const refund = await request(app)
+            .post('/api/payments/refund')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ rideId: ride._id.toString(), reason: 'Trip never happened' });
+
+        expect(refund.status).toBe(201);
+        expect(refund.body.data.refund).toMatchObject({ amount: 200, type: 'full', destination: 'original_method' });
+        expect(refund.body.data.payment.status).toBe('refunded');
+
+        const extra = await request(app)
+            .post('/api/payments/refund')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ rideId: ride._id.toString(), amount: 10, reason: 'Extra goodwill' });
+
+        expect(extra.status).toBe(400);
+        expect(extra.body.error.code).toBe('PAYMENT_NOT_REFUNDABLE');
+        expect(await Refund.countDocuments({ rideId: ride._id })).toBe(1);
+
+        const receipt = await request(app)
+            .get(`/api/payments/receipt/${ride._id}`)
+            .set('Authorization', `Bearer ${rider.token}`);
+
+        expect(receipt.status).toBe(200);
+        expect(receipt.body.data.receipt.fare.refunded).toBe(200);
+        expect(receipt.body.data.receipt.refunds).toHaveLength(1);
+    });
+});
@@ -0,0 +1,136 @@
+const request = require('supertest');
+const createTestApp = require('../helpers/testApp');
+const { Ride, DriverEarning } = require('../../models');
+const { EarningsService, InvoiceService } = require('../../services');
+const { integrationHelpers } = require('../utils/testHelpers');
+
+const { registerRider, loginDriver, createCompletedRide } = integrationHelpers;
+
+describe('Driver Earnings API (Integration)', () => {
+    let app;
+
+    beforeAll(() => {
+        app = createTestApp();
+    });
+
+    it('should credit the driver when a ride payment succeeds', async () => {
+        const rider = await registerRider(app, '+15550004000', 'Earning Rider');
+        const driver = await loginDriver(app, '+15550004100');
+        const ride = await createCompletedRide(rider.userId, { driverId: driver.userId });
+
+        const payment = await request(app)
+            .post('/api/payments/process')
+            .set('Authorization', `Bearer ${rider.token}`)
+            .send({ rideId: ride._id.toString(), paymentMethod: 'mock', paymentDetails: { cardNumber: '4242424242424242' } });
+        expect(payment.status).toBe(200);
+
+        // Commission is taken on the fare without its GST
+        const fare = 200 - InvoiceService.calculateRideTax(ride).totalTax;
+        const commission = fare * EarningsService.getCommissionRate('economy') / 100;
+        const summary = await request(app)
+            .get('/api/earnings')
+            .set('Authorization', `Bearer ${driver.token}`);
+
+        expect(summary.status).toBe(200);
+        expect(summary.body.data.currentPeriod.rideCount).toBe(1);
+        expect(summary.body.data.currentPeriod.commission).toBeCloseTo(commission, 2);
+        expect(summary.body.data.currentPeriod.netPayable).toBeCloseTo(fare - commission, 2);
+        expect(await DriverEarning.countDocuments({ rideId: ride._id })).toBe(1);
+    });
+
+    it('should offset cash rides and export entries as CSV', async () => {
+        const rider = await registerRider(app, '+15550004001', 'Cash Rider');
+        const driver = await loginDriver(app, '+15550004101');
+        const ride = await createCompletedRide(rider.userId, { driverId: driver.userId });
+
+        await request(app)
+            .post('/api/payments/process')
+            .set('Authorization', `Bearer ${rider.token}`)
+            .send({ rideId: ride._id.toString(), paymentMethod: 'cash' })
+            .expect(200);
+
+        const entries = await request(app)
+            .get('/api/earnings/entries')
+            .set('Authorization', `Bearer ${driver.token}`);
+
+        expect(entries.status).toBe(200);
+        expect(entries.body.data.entries).toHaveLength(1);
+        expect(entries.body.data.entries[0].cashCollected).toBe(200);
+        expect(entries.body.data.entries[0].netPayable).toBeLessThan(0);
+
+        const csv = await request(app)
+            .get('/api/earnings/export')
+            .set('Authorization', `Bearer ${driver.token}`);
+
+        expect(csv.status).toBe(200);
+        expect(csv.headers['content-type']).toMatch(/text\/csv/);
+        expect(csv.text.split('\r\n')[1]).toContain(ride._id.toString());
+    });
+
+    it('should credit a tip in full, without commission', async () => {
+        const rider = await registerRider(app, '+15550004003', 'Tipping Rider');
+        const driver = await loginDriver(app, '+15550004103');
+        const ride = await createCompletedRide(rider.userId, { driverId: driver.userId });
+
+        await request(app)
+            .post('/api/payments/process')
+            .set('Authorization', `Bearer ${rider.token}`)
+            .send({ rideId: ride._id.toString(), paymentMethod: 'mock', paymentDetails: { cardNumber: '4242424242424242' } })
+            .expect(200);
+
+        const rating = await request(app)
+            .post('/api/payments/rate')
+            .set('Authorization', `Bearer ${rider.token}`)
+            .send({ rideId: ride._id.toString(), rating: 5, ratingType: 'driver', tip: 30 });
+
+        expect(rating.status).toBe(200);
+        expect(rating.body.data.tip).toEqual({ amount: 30, status: 'completed' });
+        expect(rating.body.data.ride.tip).toMatchObject({ amount: 30, method: 'mock', status: 'completed' });
+
+        const fare = 200 - InvoiceService.calculateRideTax(ride).totalTax;
+        const commission = fare * EarningsService.getCommissionRate('economy') / 100;
+        const summary = await request(app)
+            .get('/api/earnings')
+            .set('Authorization', `Bearer ${driver.token}`);
+
+        expect(summary.body.data.currentPeriod.rideCount).toBe(1);
+        expect(summary.body.data.currentPeriod.tips).toBe(30);
+        expect(summary.body.data.currentPeriod.commission).toBeCloseTo(commission, 2);
+        expect(summary.body.data.currentPeriod.earnings).toBeCloseTo(fare - commission + 30, 2);
+
+        const receipt = await request(app)
+            .get(`/api/payments/receipt/${ride._id}`)
+            .set('Authorization', `Bearer ${rider.token}`);
+
+        expect(receipt.body.data.receipt.fare.total).toBe(200);
+        expect(receipt.body.data.receipt.tip).toMatchObject({ amount: 30, method: 'mock' });
+    });
+
+    it('should not save the rating when the tip cannot be charged', async () => {
+        const rider = await registerRider(app, '+15550004004', 'Broke Rider');
+        const driver = await loginDriver(app, '+15550004104');
+        const ride = await createCompletedRide(rider.userId, { driverId: driver.userId });
+
+        const res = await request(app)
+            .post('/api/payments/rate')
+            .set('Authorization', `Bearer ${rider.token}`)
+            .send({ rideId: ride._id.toString(), rating: 4, ratingType: 'driver', tip: 20 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('PAYMENT_NOT_COMPLETED');
+        const unchanged = await Ride.findById(ride._id);
+        expect(unchanged.rating.driverRating).toBeNull();
+        expect(unchanged.tip).toBeNull();
+        expect(await DriverEarning.countDocuments({ rideId: ride._id })).toBe(0);
+    });
+
+    it('should not let riders read driver earnings', async () => {
+        const rider = await registerRider(app, '+15550004002', 'Curious Rider');
+
+        const res = await request(app)
+            .get('/api/earnings')
+            .set('Authorization', `Bearer ${rider.token}`);
+
+        expect(res.status).toBe(403);
+    });
+});
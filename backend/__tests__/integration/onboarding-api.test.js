@@ -0,0 +1,148 @@
+const request = require('supertest');
+const createTestApp = require('../helpers/testApp');
+const { User, DriverDocument } = require('../../models');
+const { integrationHelpers } = require('../utils/testHelpers');
+
+const { loginDriver, loginAdmin } = integrationHelpers;
+
+describe('Driver Onboarding API (Integration)', () => {
+    let app;
+
+    beforeAll(() => {
+        app = createTestApp();
+    });
+
+    // PNG signature followed by the start of an IHDR chunk
+    const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+    const nextYear = () => new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
+
+    // A driver who has not been through onboarding yet
+    const loginNewDriver = async (phone) => {
+        const { token } = await loginDriver(app, phone, {
+            profile: { name: 'Onboarding Driver' },
+            driverInfo: {
+                licenseNumber: 'DL-ONBOARD-1',
+                vehicleDetails: { make: 'Maruti', model: 'Dzire', plateNumber: 'KA01AB1234', color: 'White' }
+            }
+        });
+        return token;
+    };
+
+    const upload = (token, type, body = PNG, contentType = 'image/png') => request(app)
+        .put(`/api/onboarding/documents/${type}`)
+        .query({ expiresAt: nextYear(), documentNumber: `${type.toUpperCase()}-1` })
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', contentType)
+        .send(body);
+
+    it('should take a driver from application to approval and only then allow going online', async () => {
+        const driverToken = await loginNewDriver('+15550004000');
+        const { token: adminToken } = await loginAdmin(app);
+        const driver = await User.findByPhone('+15550004000');
+
+        const early = await request(app)
+            .put('/api/users/driver/availability')
+            .set('Authorization', `Bearer ${driverToken}`)
+            .send({ isAvailable: true });
+        expect(early.status).toBe(403);
+        expect(early.body.error.code).toBe('DRIVER_NOT_APPROVED');
+
+        const incomplete = await request(app)
+            .post('/api/onboarding/submit')
+            .set('Authorization', `Bearer ${driverToken}`);
+        expect(incomplete.status).toBe(400);
+        expect(incomplete.body.error.missing).toEqual(['license', 'registration', 'insurance']);
+
+        for (const type of ['license', 'registration', 'insurance']) {
+            const res = await upload(driverToken, type);
+            expect(res.status).toBe(201);
+            expect(res.body.data.document.status).toBe('pending');
+        }
+
+        const submitted = await request(app)
+            .post('/api/onboarding/submit')
+            .set('Authorization', `Bearer ${driverToken}`);
+        expect(submitted.status).toBe(200);
+        expect(submitted.body.data.onboarding.status).toBe('documents_submitted');
+
+        const review = await request(app)
+            .post(`/api/onboarding/applications/${driver._id}/start-review`)
+            .set('Authorization', `Bearer ${adminToken}`);
+        expect(review.status).toBe(200);
+
+        const application = await request(app)
+            .get(`/api/onboarding/applications/${driver._id}`)
+            .set('Authorization', `Bearer ${adminToken}`);
+        expect(application.status).toBe(200);
+        expect(application.body.data.documents).toHaveLength(3);
+
+        const image = await request(app)
+            .get(application.body.data.documents[0].file.url)
+            .set('Authorization', `Bearer ${adminToken}`);
+        expect(image.status).toBe(200);
+        expect(image.headers['content-type']).toBe('image/png');
+
+        for (const document of application.body.data.documents) {
+            const res = await request(app)
+                .put(`/api/onboarding/documents/${document._id}/review`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ decision: 'approve' });
+            expect(res.status).toBe(200);
+        }
+
+        const approved = await request(app)
+            .post(`/api/onboarding/applications/${driver._id}/decision`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ decision: 'approve' });
+        expect(approved.status).toBe(200);
+        expect(approved.body.data.onboarding.status).toBe('approved');
+
+        const online = await request(app)
+            .put('/api/users/driver/availability')
+            .set('Authorization', `Bearer ${driverToken}`)
+            .send({ isAvailable: true });
+        expect(online.status).toBe(200);
+    });
+
+    it('should keep an approved driver offline once a document has expired', async () => {
+        const driverToken = await loginNewDriver('+15550004001');
+        const driver = await User.findByPhone('+15550004001');
+        await User.updateOne({ _id: driver._id }, { $set: { 'driverInfo.onboarding.status': 'approved' } });
+        await DriverDocument.create({
+            driverId: driver._id,
+            type: 'insurance',
+            expiresAt: new Date(Date.now() - 60000),
+            status: 'approved',
+            file: { data: PNG, mimeType: 'image/png', size: PNG.length, sha256: 'x'.repeat(64) }
+        });
+
+        const res = await request(app)
+            .put('/api/users/driver/availability')
+            .set('Authorization', `Bearer ${driverToken}`)
+            .send({ isAvailable: true });
+
+        expect(res.status).toBe(403);
+        expect(res.body.error.code).toBe('DRIVER_DOCUMENTS_EXPIRED');
+    });
+
+    it('should reject uploads that are not images', async () => {
+        const driverToken = await loginNewDriver('+15550004002');
+
+        const res = await upload(driverToken, 'license', Buffer.from('%PDF-1.7'), 'application/pdf');
+
+        expect(res.status).toBe(400);
+        expect(await DriverDocument.countDocuments()).toBe(0);
+    });
+
+    it('should not let drivers review documents', async () => {
+        const driverToken = await loginNewDriver('+15550004003');
+        const uploaded = await upload(driverToken, 'license');
+
+        const res = await request(app)
+            .put(`/api/onboarding/documents/${uploaded.body.data.document._id}/review`)
+            .set('Authorization', `Bearer ${driverToken}`)
+            .send({ decision: 'approve' });
+
+        expect(res.status).toBe(403);
+    });
+});
@@ -0,0 +1,66 @@
+const request = require('supertest');
+const createTestApp = require('../helpers/testApp');
+const { RideEvent } = require('../../models');
+const { integrationHelpers } = require('../utils/testHelpers');
+
+const { registerRider, createCompletedRide } = integrationHelpers;
+
+describe('Idempotent Payments API (Integration)', () => {
+    let app;
+
+    beforeAll(() => {
+        app = createTestApp();
+    });
+
+    const pay = (token, rideId, key) => {
+        const req = request(app)
+            .post('/api/payments/process')
+            .set('Authorization', `Bearer ${token}`);
+        if (key) {
+            req.set('Idempotency-Key', key);
+        }
+        return req.send({ rideId: rideId.toString(), paymentMethod: 'mock', paymentDetails: { cardNumber: '4242424242424242' } });
+    };
+
+    it('should replay the original response for a retried key', async () => {
+        const rider = await registerRider(app, '+15550005000', 'Retrying Rider');
+        const ride = await createCompletedRide(rider.userId);
+
+        const first = await pay(rider.token, ride._id, 'retry-key-0001');
+        expect(first.status).toBe(200);
+
+        const retry = await pay(rider.token, ride._id, 'retry-key-0001');
+        expect(retry.status).toBe(200);
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+        expect(retry.body.data.transactionId).toBe(first.body.data.transactionId);
+
+        expect(await RideEvent.countDocuments({ rideId: ride._id, type: 'PAYMENT_COMPLETED' })).toBe(1);
+    });
+
+    it('should charge a ride once when two payments race', async () => {
+        const rider = await registerRider(app, '+15550005001', 'Double Clicker');
+        const ride = await createCompletedRide(rider.userId);
+
+        const responses = await Promise.all([
+            pay(rider.token, ride._id),
+            pay(rider.token, ride._id)
+        ]);
+
+        const statuses = responses.map(res => res.status).sort();
+        expect(statuses).toEqual([200, 409]);
+        expect(responses.find(res => res.status === 409).body.error.code).toBe('PAYMENT_IN_PROGRESS');
+        expect(await RideEvent.countDocuments({ rideId: ride._id, type: 'PAYMENT_COMPLETED' })).toBe(1);
+    });
+
+    it('should reject a key reused for a different ride', async () => {
+        const rider = await registerRider(app, '+15550005002', 'Key Reuser');
+        const firstRide = await createCompletedRide(rider.userId);
+        const secondRide = await createCompletedRide(rider.userId);
+
+        await pay(rider.token, firstRide._id, 'reused-key-0001').expect(200);
+        const reused = await pay(rider.token, secondRide._id, 'reused-key-0001');
+
+        expect(reused.status).toBe(422);
+        expect(reused.body.error.code).toBe('IDEMPOTENCY_KEY_MISMATCH');
+    });
+});
@@ -0,0 +1,92 @@
+const request = require('supertest');
+const createTestApp = require('../helpers/testApp');
+const { Invoice } = require('../../models');
+const { InvoiceService } = require('../../services');
+const { integrationHelpers } = require('../utils/testHelpers');
+
+const { location, registerRider, createCompletedRide } = integrationHelpers;
+
+describe('Tax Invoices (Integration)', () => {
+    let app;
+
+    beforeAll(() => {
+        app = createTestApp();
+    });
+
+    // Picked up in Karnataka, so the place of supply is KA
+    const createBengaluruRide = (riderId, driverId) => createCompletedRide(riderId, {
+        driverId,
+        pickup: location('MG Road, Bengaluru', [77.6070, 12.9756]),
+        destination: location('Kempegowda International Airport', [77.7066, 13.1986]),
+        estimatedDistance: 32,
+        estimatedDuration: 50,
+        fare: {
+            estimated: 210,
+            final: 210,
+            breakdown: { baseFare: 50, distanceFare: 120, timeFare: 40, surgeFare: 0 }
+        }
+    });
+
+    const payByCard = (token, rideId) => request(app)
+        .post('/api/payments/process')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ rideId: rideId.toString(), paymentMethod: 'mock', paymentDetails: { cardNumber: '4242424242424242' } })
+        .expect(200);
+
+    it('should number invoices consecutively and split GST within the state', async () => {
+        const rider = await registerRider(app, '+15550005000', 'Invoice Rider');
+        const driver = await global.testUtils.createTestDriver({ phone: '+15550005100' });
+        const first = await createBengaluruRide(rider.userId, driver._id);
+        const second = await createBengaluruRide(rider.userId, driver._id);
+
+        await payByCard(rider.token, first._id);
+        await payByCard(rider.token, second._id);
+
+        const res = await request(app)
+            .get(`/api/payments/receipt/${second._id}`)
+            .set('Authorization', `Bearer ${rider.token}`);
+
+        const series = InvoiceService.getFinancialYear(new Date());
+        const { receipt } = res.body.data;
+        expect(res.status).toBe(200);
+        expect(receipt.receiptId).toBe(InvoiceService.formatInvoiceNumber(series, 2));
+        expect(receipt.invoice.placeOfSupply.code).toBe('KA');
+        expect(receipt.fare.taxes.map(line => line.type)).toEqual(['CGST', 'SGST']);
+        expect(receipt.fare.taxableValue + receipt.invoice.totalTax).toBeCloseTo(210, 2);
+        expect(await Invoice.countDocuments({ rideId: second._id })).toBe(1);
+    });
+
+    it('should download the invoice as a PDF', async () => {
+        const rider = await registerRider(app, '+15550005001', 'PDF Rider');
+        const driver = await global.testUtils.createTestDriver({ phone: '+15550005101' });
+        const ride = await createBengaluruRide(rider.userId, driver._id);
+        await payByCard(rider.token, ride._id);
+
+        const res = await request(app)
+            .get(`/api/payments/receipt/${ride._id}?format=pdf`)
+            .set('Authorization', `Bearer ${rider.token}`)
+            .buffer(true)
+            .parse((response, callback) => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => callback(null, Buffer.concat(chunks)));
+            });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/application\/pdf/);
+        expect(res.headers['content-disposition']).toMatch(/invoice-.+\.pdf/);
+        expect(res.body.toString('latin1', 0, 8)).toBe('%PDF-1.4');
+    });
+
+    it('should reject unknown receipt formats', async () => {
+        const rider = await registerRider(app, '+15550005002', 'Format Rider');
+        const driver = await global.testUtils.createTestDriver({ phone: '+15550005102' });
+        const ride = await createBengaluruRide(rider.userId, driver._id);
+
+        const res = await request(app)
+            .get(`/api/payments/receipt/${ride._id}?format=xml`)
+            .set('Authorization', `Bearer ${rider.token}`);
+
+        expect(res.status).toBe(400);
+    });
+});
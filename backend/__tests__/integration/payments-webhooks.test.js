@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const createTestApp = require('../helpers/testApp');
+const { Ride, RideEvent, Wallet, WalletTransaction } = require('../../models');
+const { signPayload } = require('../../utils/webhookSignature');
+const { integrationHelpers } = require('../utils/testHelpers');
+
+const { registerRider, createCompletedRide } = integrationHelpers;
+
+describe('Payment Webhooks API (Integration)', () => {
+    let app;
+    const secret = process.env.FAKE_GATEWAY_WEBHOOK_SECRET;
+
+    beforeAll(() => {
+        app = createTestApp();
+    });
+
+    // A completed ride whose card charge is waiting for the gateway
+    const createPendingRide = (riderId, transactionId) => createCompletedRide(riderId, {
+        payment: {
+            method: 'mock',
+            provider: 'fake_gateway',
+            status: 'processing',
+            transactionId,
+            processingStartedAt: new Date()
+        }
+    });
+
+    const sendWebhook = (event, signature) => {
+        const body = JSON.stringify(event);
+        return request(app)
+            .post('/api/payments/webhooks/fake_gateway')
+            .set('Content-Type', 'application/json')
+            .set('Gateway-Signature', signature || signPayload(secret, body))
+            .send(body);
+    };
+
+    const paymentEvent = (type, id, amount, metadata) => ({
+        id: `evt_${id}_${type}`,
+        type,
+        created: Math.floor(Date.now() / 1000),
+        data: { id, amount, currency: 'INR', status: type.split('.')[1], metadata }
+    });
+
+    it('should complete a pending ride payment once, however often the webhook is delivered', async () => {
+        const rider = await registerRider(app, '+15550006000', 'Webhook Rider');
+        const ride = await createPendingRide(rider.userId, 'pay_ride_0001');
+        const event = paymentEvent('payment.captured', 'pay_ride_0001', 20000, {
+            purpose: 'ride_payment',
+            rideId: ride._id.toString()
+        });
+
+        const first = await sendWebhook(event);
+        const retry = await sendWebhook(event);
+
+        expect(first.status).toBe(200);
+        expect(retry.status).toBe(200);
+
+        const updated = await Ride.findById(ride._id);
+        expect(updated.payment.status).toBe('completed');
+        expect(updated.payment.transactionId).toBe('pay_ride_0001');
+        expect(await RideEvent.countDocuments({ rideId: ride._id, type: 'PAYMENT_COMPLETED' })).toBe(1);
+    });
+
+    it('should fail a pending ride payment so the rider can pay again', async () => {
+        const rider = await registerRider(app, '+15550006001', 'Declined Rider');
+        const ride = await createPendingRide(rider.userId, 'pay_ride_0002');
+
+        const res = await sendWebhook(paymentEvent('payment.failed', 'pay_ride_0002', 20000, {
+            purpose: 'ride_payment',
+            rideId: ride._id.toString()
+        }));
+
+        expect(res.status).toBe(200);
+        const updated = await Ride.findById(ride._id);
+        expect(updated.payment.status).toBe('failed');
+        expect(await RideEvent.countDocuments({ rideId: ride._id, type: 'PAYMENT_FAILED' })).toBe(1);
+    });
+
+    // A card top-up saved by POST /api/wallet/topup and waiting for the gateway
+    const createPendingTopUp = async (userId, transactionId, amountPaise) => {
+        const topUpId = new mongoose.Types.ObjectId();
+        await Wallet.create({ userId, pendingTopUps: [{ _id: topUpId, amountPaise, transactionId }] });
+        return topUpId.toString();
+    };
+
+    const getBalance = async rider => {
+        const res = await request(app)
+            .get('/api/wallet')
+            .set('Authorization', `Bearer ${rider.token}`);
+        return res.body.data.wallet.balance;
+    };
+
+    it('should credit a confirmed wallet top-up once', async () => {
+        const rider = await registerRider(app, '+15550006002', 'Webhook Topper');
+        const topUpId = await createPendingTopUp(rider.userId, 'pay_topup_0001', 50000);
+        const event = paymentEvent('payment.captured', 'pay_topup_0001', 50000, {
+            purpose: 'wallet_topup',
+            userId: rider.userId,
+            topUpId
+        });
+
+        await sendWebhook(event).expect(200);
+        await sendWebhook(event).expect(200);
+
+        expect(await getBalance(rider)).toBe(500);
+        expect(await WalletTransaction.countDocuments({ reference: 'pay_topup_0001' })).toBe(1);
+        expect((await Wallet.findOne({ userId: rider.userId })).pendingTopUps).toHaveLength(0);
+    });
+
+    it('should ignore top-up events that do not match a pending top-up', async () => {
+        const rider = await registerRider(app, '+15550006003', 'Greedy Topper');
+        const topUpId = await createPendingTopUp(rider.userId, 'pay_topup_0002', 1000);
+
+        // A larger amount, another transaction, and no saved top-up at all
+        await sendWebhook(paymentEvent('payment.captured', 'pay_topup_0002', 900000, {
+            purpose: 'wallet_topup', userId: rider.userId, topUpId
+        })).expect(200);
+        await sendWebhook(paymentEvent('payment.captured', 'pay_topup_other', 1000, {
+            purpose: 'wallet_topup', userId: rider.userId, topUpId
+        })).expect(200);
+        await sendWebhook(paymentEvent('payment.captured', 'pay_topup_0003', 1000, {
+            purpose: 'wallet_topup', userId: rider.userId
+        })).expect(200);
+
+        expect(await getBalance(rider)).toBe(0);
+        expect(await WalletTransaction.countDocuments({ userId: rider.userId })).toBe(0);
+        expect((await Wallet.findOne({ userId: rider.userId })).pendingTopUps).toHaveLength(1);
+    });
+
+    it('should reject webhooks with a bad signature or an unknown provider', async () => {
+        const event = paymentEvent('payment.captured', 'pay_forged_0001', 100, { purpose: 'wallet_topup' });
+
+        const forged = await sendWebhook(event, signPayload('not_the_secret', JSON.stringify(event)));
+        expect(forged.status).toBe(400);
+        expect(forged.body.error.code).toBe('INVALID_WEBHOOK_SIGNATURE');
+
+        const unknown = await request(app)
+            .post('/api/payments/webhooks/unknown_gateway')
+            .send(event);
+        expect(unknown.status).toBe(404);
+        expect(unknown.body.error.code).toBe('UNKNOWN_PAYMENT_PROVIDER');
+    });
+});
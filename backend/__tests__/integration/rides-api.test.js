@@ -1,6 +1,9 @@
 const request = require('supertest');
 const createTestApp = require('../helpers/testApp');
 const { User } = require('../../models');
+const { integrationHelpers } = require('../utils/testHelpers');
+
+const { registerRider, loginDriver } = integrationHelpers;
 
 describe('Rides API (Integration)', () => {
     let app;
@@ -63,4 +66,517 @@ describe('Rides API (Integration)', () => {
         expect(res.body.data.ride).toBeDefined();
         expect(res.body.data.ride.status).toBe('requested');
     });
+
+    it('should book a future ride as scheduled without starting matching', async () => {
+        const phone = '+15550001001';
+        await request(app)
+            .post('/api/auth/register-phone')
+            .send({ phone, profile: { name: 'Ride Planner' }, role: 'rider' })
+            .expect(200);
+        const { OTP } = require('../../models');
+        const otpDoc = await OTP.findOne({ phone });
+        const verify = await request(app)
+            .post('/api/auth/verify-otp')
+            .send({ phone, otp: otpDoc.otp, password: 'RideLater#1', tempUserData: { name: 'Ride Planner', role: 'rider' } });
+        expect(verify.status).toBe(201);
+        const token = verify.body.data.tokens.accessToken;
+
+        const scheduledFor = new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString();
+        const res = await request(app)
+            .post('/api/rides/book')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ pickup, destination, scheduledFor });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.ride.status).toBe('scheduled');
+        expect(new Date(res.body.data.ride.scheduledFor).toISOString()).toBe(scheduledFor);
+        expect(res.body.data.dispatchAt).toBeDefined();
+
+        const upcoming = await request(app)
+            .get('/api/rides/scheduled')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(upcoming.status).toBe(200);
+        expect(upcoming.body.data.count).toBe(1);
+    });
+
+    it('should record booking and cancellation in the ride event timeline', async () => {
+        const phone = '+15550001002';
+        await request(app)
+            .post('/api/auth/register-phone')
+            .send({ phone, profile: { name: 'Timeline Rider' }, role: 'rider' })
+            .expect(200);
+        const { OTP } = require('../../models');
+        const otpDoc = await OTP.findOne({ phone });
+        const verify = await request(app)
+            .post('/api/auth/verify-otp')
+            .send({ phone, otp: otpDoc.otp, password: 'Timeline#1', tempUserData: { name: 'Timeline Rider', role: 'rider' } });
+        expect(verify.status).toBe(201);
+        const token = verify.body.data.tokens.accessToken;
+
+        const booked = await request(app)
+            .post('/api/rides/book')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ pickup, destination });
+        expect(booked.status).toBe(201);
+        const rideId = booked.body.data.ride._id;
+
+        await request(app)
+            .post(`/api/rides/${rideId}/cancel`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ reason: 'Changed plans' })
+            .expect(200);
+
+        const res = await request(app)
+            .get(`/api/rides/${rideId}/events`)
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.events.map(event => event.type)).toEqual(['RIDE_REQUESTED', 'RIDE_CANCELLED']);
+        expect(res.body.data.events[1].actor.role).toBe('rider');
+        expect(res.body.data.events[1].data).toMatchObject({ from: 'requested', to: 'cancelled' });
+    });
+
+    it('should price bookings at the pickup cell surge and hide the heatmap from riders', async () => {
+        const { SurgeZone } = require('../../models');
+        const SurgeService = require('../../services/SurgeService');
+        const [lng, lat] = pickup.coordinates.coordinates;
+        const cellId = SurgeService.getCellId(lng, lat);
+        const { bounds, center } = SurgeService.getCellGeometry(cellId);
+        await SurgeZone.create({
+            cellId,
+            center: { type: 'Point', coordinates: center },
+            bounds,
+            multiplier: 2.0,
+            pendingRequests: 5,
+            availableDrivers: 1,
+            computedAt: new Date()
+        });
+
+        const phone = '+15550001003';
+        await request(app)
+            .post('/api/auth/register-phone')
+            .send({ phone, profile: { name: 'Surge Rider' }, role: 'rider' })
+            .expect(200);
+        const { OTP } = require('../../models');
+        const otpDoc = await OTP.findOne({ phone });
+        const verify = await request(app)
+            .post('/api/auth/verify-otp')
+            .send({ phone, otp: otpDoc.otp, password: 'SurgeRide#1', tempUserData: { name: 'Surge Rider', role: 'rider' } });
+        expect(verify.status).toBe(201);
+        const token = verify.body.data.tokens.accessToken;
+
+        const booked = await request(app)
+            .post('/api/rides/book')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ pickup, destination });
+
+        expect(booked.status).toBe(201);
+        expect(booked.body.data.ride.fare.surgeMultiplier).toBe(2.0);
+        expect(booked.body.data.ride.fare.surgeCellId).toBe(cellId);
+        expect(booked.body.data.ride.fare.breakdown.surgeFare).toBeGreaterThan(0);
+
+        const heatmap = await request(app)
+            .get('/api/rides/surge/heatmap')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(heatmap.status).toBe(403);
+    });
+
+    it('should book at the quoted fare and reject quotes for a different trip', async () => {
+        const estimate = await request(app)
+            .post('/api/rides/estimate')
+            .send({
+                pickup: { coordinates: pickup.coordinates.coordinates },
+                destination: { coordinates: destination.coordinates.coordinates },
+                serviceLevel: 'comfort'
+            });
+        expect(estimate.status).toBe(200);
+        const { quoteId } = estimate.body.data.quote;
+        expect(quoteId).toBeDefined();
+
+        const phone = '+15550001004';
+        await request(app)
+            .post('/api/auth/register-phone')
+            .send({ phone, profile: { name: 'Quote Rider' }, role: 'rider' })
+            .expect(200);
+        const { OTP } = require('../../models');
+        const otpDoc = await OTP.findOne({ phone });
+        const verify = await request(app)
+            .post('/api/auth/verify-otp')
+            .send({ phone, otp: otpDoc.otp, password: 'QuoteRide#1', tempUserData: { name: 'Quote Rider', role: 'rider' } });
+        expect(verify.status).toBe(201);
+        const token = verify.body.data.tokens.accessToken;
+
+        const mismatch = await request(app)
+            .post('/api/rides/book')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ pickup, destination, serviceLevel: 'premium', quoteId });
+
+        expect(mismatch.status).toBe(400);
+        expect(mismatch.body.error.code).toBe('QUOTE_MISMATCH');
+
+        const booked = await request(app)
+            .post('/api/rides/book')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ pickup, destination, serviceLevel: 'comfort', quoteId });
+
+        expect(booked.status).toBe(201);
+        expect(booked.body.data.ride.fare.estimated).toBe(estimate.body.data.fare.totalFare);
+        expect(booked.body.data.ride.fare.quote.amount).toBe(estimate.body.data.fare.totalFare);
+        expect(booked.body.data.ride.fare.quote.serviceLevel).toBe('comfort');
+    });
+
+    it('should apply a promo code discount to the booked fare', async () => {
+        const { Promo, PromoRedemption } = require('../../models');
+        const promo = await Promo.create({
+            code: 'FIRSTRIDE',
+            discountType: 'flat',
+            discountValue: 30,
+            firstRideOnly: true
+        });
+
+        const phone = '+15550001005';
+        await request(app)
+            .post('/api/auth/register-phone')
+            .send({ phone, profile: { name: 'Promo Rider' }, role: 'rider' })
+            .expect(200);
+        const { OTP } = require('../../models');
+        const otpDoc = await OTP.findOne({ phone });
+        const verify = await request(app)
+            .post('/api/auth/verify-otp')
+            .send({ phone, otp: otpDoc.otp, password: 'PromoRide#1', tempUserData: { name: 'Promo Rider', role: 'rider' } });
+        expect(verify.status).toBe(201);
+        const token = verify.body.data.tokens.accessToken;
+
+        const estimate = await request(app)
+            .post('/api/rides/estimate')
+            .send({
+                pickup: { coordinates: pickup.coordinates.coordinates },
+                destination: { coordinates: destination.coordinates.coordinates }
+            });
+        const booked = await request(app)
+            .post('/api/rides/book')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ pickup, destination, promoCode: 'firstride' });
+
+        expect(booked.status).toBe(201);
+        const { fare } = booked.body.data.ride;
+        expect(fare.breakdown.discount).toBe(30);
+        expect(fare.promo.code).toBe('FIRSTRIDE');
+        expect(fare.estimated).toBeCloseTo(estimate.body.data.fare.totalFare - 30, 2);
+        expect((await Promo.findById(promo._id)).usedCount).toBe(1);
+
+        // Cancelling frees the usage slot again
+        await request(app)
+            .post(`/api/rides/${booked.body.data.ride._id}/cancel`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({})
+            .expect(200);
+
+        expect((await Promo.findById(promo._id)).usedCount).toBe(0);
+        expect((await PromoRedemption.findOne({ rideId: booked.body.data.ride._id })).status).toBe('released');
+    });
+
+    it('should pre-authorize card bookings and release the hold on cancellation', async () => {
+        const MockPaymentProvider = require('../../services/paymentProviders/MockPaymentProvider');
+        const originalDelay = MockPaymentProvider.PROCESSING_DELAY;
+        MockPaymentProvider.PROCESSING_DELAY = 0;
+
+        const { Ride } = require('../../models');
+        const { token, userId } = await registerRider(app, '+15550001006', 'Card Rider');
+
+        try {
+            const declined = await request(app)
+                .post('/api/rides/book')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ pickup, destination, paymentMethod: 'mock', paymentDetails: { cardNumber: '4000000000000002' } });
+
+            expect(declined.status).toBe(400);
+            expect(declined.body.error.code).toBe('CARD_DECLINED');
+            expect(await Ride.countDocuments({ riderId: userId })).toBe(0);
+
+            const booked = await request(app)
+                .post('/api/rides/book')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ pickup, destination, paymentMethod: 'mock', paymentDetails: { cardNumber: '4242424242424242' } });
+
+            expect(booked.status).toBe(201);
+            const { payment, fare } = booked.body.data.ride;
+            expect(payment.status).toBe('pending');
+            expect(payment.hold.status).toBe('authorized');
+            expect(payment.hold.amount).toBeGreaterThanOrEqual(fare.estimated);
+
+            const cancelled = await request(app)
+                .post(`/api/rides/${booked.body.data.ride._id}/cancel`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({})
+                .expect(200);
+
+            expect(cancelled.body.data.ride.payment.hold).toMatchObject({ status: 'released', reason: 'RIDE_CANCELLED' });
+
+            const events = await request(app)
+                .get(`/api/rides/${booked.body.data.ride._id}/events`)
+                .set('Authorization', `Bearer ${token}`);
+            expect(events.body.data.events.map(event => event.type)).toEqual(
+                expect.arrayContaining(['PAYMENT_AUTHORIZED', 'PAYMENT_HOLD_RELEASED'])
+            );
+        } finally {
+            MockPaymentProvider.PROCESSING_DELAY = originalDelay;
+        }
+    });
+
+    it('should authorize a scheduled card booking when it is dispatched, not at booking', async () => {
+        const MockPaymentProvider = require('../../services/paymentProviders/MockPaymentProvider');
+        const RideSchedulerService = require('../../services/RideSchedulerService');
+        const originalDelay = MockPaymentProvider.PROCESSING_DELAY;
+        MockPaymentProvider.PROCESSING_DELAY = 0;
+
+        const { Ride } = require('../../models');
+        const { token } = await registerRider(app, '+15550001012', 'Scheduled Card Rider');
+        const book = cardNumber => request(app)
+            .post('/api/rides/book')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                pickup,
+                destination,
+                scheduledFor: new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString(),
+                paymentMethod: 'mock',
+                paymentDetails: { cardNumber, cvv: '123' }
+            });
+
+        try {
+            const booked = await book('4242424242424242');
+            const declined = await book('4000000000000002');
+
+            expect(booked.status).toBe(201);
+            expect(booked.body.data.ride.payment).toMatchObject({ method: 'mock', hold: null });
+            expect(booked.body.data.ride.payment.card).toBeUndefined();
+            expect(declined.status).toBe(201);
+
+            // Bring both pickups inside the dispatch lead time
+            const rideIds = [booked.body.data.ride._id, declined.body.data.ride._id];
+            await Ride.updateMany({ _id: { $in: rideIds } }, { $set: { scheduledFor: new Date(Date.now() + 60 * 1000) } });
+            await RideSchedulerService.dispatchDueRides();
+
+            const dispatched = await Ride.findById(rideIds[0]).select('+payment.card');
+            expect(dispatched.status).toBe('requested');
+            expect(dispatched.payment.card).toBeNull();
+            expect(dispatched.payment.hold).toMatchObject({ status: 'authorized', provider: 'mock' });
+            expect(dispatched.payment.hold.amount).toBeGreaterThanOrEqual(dispatched.fare.estimated);
+
+            const cancelled = await Ride.findById(rideIds[1]);
+            expect(cancelled.status).toBe('cancelled');
+            expect(cancelled.cancellation.cancelledBy).toBe('system');
+            expect(cancelled.payment.hold).toBeNull();
+        } finally {
+            MockPaymentProvider.PROCESSING_DELAY = originalDelay;
+        }
+    });
+
+    it('should let the booking rider invite a co-rider to split the fare', async () => {
+        const { token: bookerToken } = await registerRider(app, '+15550001007', 'Split Booker');
+        const { token: coRiderToken } = await registerRider(app, '+15550001008', 'Split Friend');
+
+        const booked = await request(app)
+            .post('/api/rides/book')
+            .set('Authorization', `Bearer ${bookerToken}`)
+            .send({ pickup, destination })
+            .expect(201);
+        const rideId = booked.body.data.ride._id;
+
+        const unknown = await request(app)
+            .post(`/api/rides/${rideId}/split`)
+            .set('Authorization', `Bearer ${bookerToken}`)
+            .send({ participants: [{ phone: '+15550009999' }] });
+        expect(unknown.status).toBe(404);
+        expect(unknown.body.error.code).toBe('CO_RIDER_NOT_FOUND');
+
+        const split = await request(app)
+            .post(`/api/rides/${rideId}/split`)
+            .set('Authorization', `Bearer ${bookerToken}`)
+            .send({ mode: 'custom', riderPercentage: 60, participants: [{ phone: '+15550001008', percentage: 40 }] })
+            .expect(200);
+        expect(split.body.data.fareSplit.shares.map(share => share.status)).toEqual(['accepted', 'invited']);
+        // Only a masked phone is stored, and only the booking rider sees it
+        expect(split.body.data.fareSplit.shares[1].maskedPhone).toBe('+•••••••1008');
+        expect(split.body.data.fareSplit.shares[1]).not.toHaveProperty('phone');
+
+        const invitations = await request(app)
+            .get('/api/rides/split/invitations')
+            .set('Authorization', `Bearer ${coRiderToken}`)
+            .expect(200);
+        expect(invitations.body.data.rides.map(ride => ride._id)).toEqual([rideId]);
+        expect(invitations.body.data.rides[0].fareSplit.shares[1].maskedPhone).toBeNull();
+
+        const accepted = await request(app)
+            .post(`/api/rides/${rideId}/split/respond`)
+            .set('Authorization', `Bearer ${coRiderToken}`)
+            .send({ accept: true })
+            .expect(200);
+        expect(accepted.body.data.fareSplit.shares[1].status).toBe('accepted');
+
+        const again = await request(app)
+            .post(`/api/rides/${rideId}/split/respond`)
+            .set('Authorization', `Bearer ${coRiderToken}`)
+            .send({ accept: false });
+        expect(again.status).toBe(400);
+        expect(again.body.error.code).toBe('INVITATION_CLOSED');
+
+        // Co-riders can follow the ride they are paying for
+        await request(app)
+            .get(`/api/rides/${rideId}`)
+            .set('Authorization', `Bearer ${coRiderToken}`)
+            .expect(200);
+    });
+
+    it('should price booked stops and let the driver work through them in order', async () => {
+        const { Ride } = require('../../models');
+        const { token } = await registerRider(app, '+15550001009', 'Stop Rider');
+
+        const stop = {
+            address: 'Mountain View Caltrain',
+            coordinates: { type: 'Point', coordinates: [-122.0764, 37.3946] },
+        };
+
+        const booked = await request(app)
+            .post('/api/rides/book')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ pickup, destination, stops: [stop] })
+            .expect(201);
+        const ride = booked.body.data.ride;
+        expect(ride.stops).toHaveLength(1);
+        expect(ride.fare.breakdown.stopFare).toBeGreaterThan(0);
+
+        const added = await request(app)
+            .post(`/api/rides/${ride._id}/stops`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ ...stop, address: 'Shoreline Park' })
+            .expect(201);
+        expect(added.body.data.ride.stops.map(entry => entry.address)).toEqual(['Mountain View Caltrain', 'Shoreline Park']);
+        expect(added.body.data.ride.fare.estimated).toBeGreaterThan(ride.fare.estimated);
+
+        const driver = await loginDriver(app, '+15550001109');
+        const driverToken = driver.token;
+        await Ride.updateOne({ _id: ride._id }, { driverId: driver.userId, status: 'in_progress' });
+
+        const first = await request(app)
+            .post(`/api/rides/${ride._id}/stops/reached`)
+            .set('Authorization', `Bearer ${driverToken}`)
+            .expect(200);
+        expect(first.body.data.nextStop.address).toBe('Shoreline Park');
+
+        await request(app)
+            .post(`/api/rides/${ride._id}/stops/reached`)
+            .set('Authorization', `Bearer ${driverToken}`)
+            .expect(200);
+        const done = await request(app)
+            .post(`/api/rides/${ride._id}/stops/reached`)
+            .set('Authorization', `Bearer ${driverToken}`);
+        expect(done.status).toBe(400);
+        expect(done.body.error.code).toBe('NO_PENDING_STOPS');
+    });
+
+    it('should charge waiting past the free window once the driver has arrived', async () => {
+        const { Ride } = require('../../models');
+        const { FareService } = require('../../services');
+        const { token: riderToken } = await registerRider(app, '+15550001010', 'Late Rider');
+
+        const booked = await request(app)
+            .post('/api/rides/book')
+            .set('Authorization', `Bearer ${riderToken}`)
+            .send({ pickup, destination })
+            .expect(201);
+        const rideId = booked.body.data.ride._id;
+
+        const { token: driverToken, userId: driverId } = await loginDriver(app, '+15550001110');
+        await Ride.updateOne({ _id: rideId }, { driverId, status: 'accepted' });
+
+        const riderAttempt = await request(app)
+            .put(`/api/rides/${rideId}/status`)
+            .set('Authorization', `Bearer ${riderToken}`)
+            .send({ status: 'arrived' });
+        expect(riderAttempt.status).toBe(400);
+        expect(riderAttempt.body.error.code).toBe('INVALID_STATUS_TRANSITION');
+
+        const arrived = await request(app)
+            .put(`/api/rides/${rideId}/status`)
+            .set('Authorization', `Bearer ${driverToken}`)
+            .send({ status: 'arrived' })
+            .expect(200);
+        expect(arrived.body.data.ride.timeline.arrivedAt).toBeTruthy();
+
+        // The rider kept the driver waiting five minutes past the free window
+        const { freeMinutes, perMinuteRate } = FareService.WAITING_POLICY;
+        const arrivedAt = new Date(Date.now() - (freeMinutes + 5.5) * 60000);
+        await Ride.updateOne({ _id: rideId }, { 'timeline.arrivedAt': arrivedAt });
+
+        const started = await request(app)
+            .put(`/api/rides/${rideId}/status`)
+            .set('Authorization', `Bearer ${driverToken}`)
+            .send({ status: 'in_progress' })
+            .expect(200);
+        expect(started.body.data.ride.fare.breakdown.waitingFare).toBe(5 * perMinuteRate);
+
+        const completed = await request(app)
+            .put(`/api/rides/${rideId}/complete`)
+            .set('Authorization', `Bearer ${driverToken}`)
+            .expect(200);
+        expect(completed.body.data.ride.fare.breakdown.waitingFare).toBe(5 * perMinuteRate);
+    });
+
+    it('should charge the cancellation fee from the card hold when the rider cancels after acceptance', async () => {
+        const MockPaymentProvider = require('../../services/paymentProviders/MockPaymentProvider');
+        const { Ride, DriverEarning } = require('../../models');
+        const { FareService } = require('../../services');
+        const originalDelay = MockPaymentProvider.PROCESSING_DELAY;
+        MockPaymentProvider.PROCESSING_DELAY = 0;
+
+        const { token } = await registerRider(app, '+15550001011', 'Cancelling Rider');
+
+        try {
+            const booked = await request(app)
+                .post('/api/rides/book')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ pickup, destination, paymentMethod: 'mock', paymentDetails: { cardNumber: '4242424242424242' } })
+                .expect(201);
+            const rideId = booked.body.data.ride._id;
+
+            // A driver accepted, and the free cancellation window has passed
+            const driver = await global.testUtils.createTestDriver({ phone: '+15550001111', password: 'DriverPass!1' });
+            const { freeWindowMinutes, riderFee } = FareService.CANCELLATION_POLICY;
+            await Ride.updateOne(
+                { _id: rideId },
+                {
+                    driverId: driver._id,
+                    status: 'accepted',
+                    'timeline.requestedAt': new Date(Date.now() - (freeWindowMinutes + 5) * 60000)
+                }
+            );
+
+            const cancelled = await request(app)
+                .post(`/api/rides/${rideId}/cancel`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({})
+                .expect(200);
+
+            expect(cancelled.body.data.cancellationFee).toBe(riderFee);
+            expect(cancelled.body.data.ride.payment.hold).toMatchObject({ status: 'captured', capturedAmount: riderFee });
+            expect(cancelled.body.data.ride.cancellation.feePayment).toMatchObject({ status: 'completed', method: 'mock' });
+
+            const earning = await DriverEarning.findOne({ rideId, type: 'cancellation_fee' });
+            expect(earning.driverId.toString()).toBe(driver._id.toString());
+            expect(earning.grossFare).toBe(riderFee);
+            expect(earning.earning).toBeLessThan(riderFee);
+
+            const events = await request(app)
+                .get(`/api/rides/${rideId}/events`)
+                .set('Authorization', `Bearer ${token}`);
+            const types = events.body.data.events.map(event => event.type);
+            expect(types).toContain('PAYMENT_COMPLETED');
+            expect(types).not.toContain('PAYMENT_HOLD_RELEASED');
+        } finally {
+            MockPaymentProvider.PROCESSING_DELAY = originalDelay;
+        }
+    });
 });
@@ -0,0 +1,107 @@
+const request = require('supertest');
+const createTestApp = require('../helpers/testApp');
+const { User, DriverShift } = require('../../models');
+const ShiftService = require('../../services/ShiftService');
+const { integrationHelpers } = require('../utils/testHelpers');
+
+const { loginDriver, loginAdmin } = integrationHelpers;
+
+describe('Shifts API (Integration)', () => {
+    let app;
+
+    beforeAll(() => {
+        app = createTestApp();
+    });
+
+    const post = (token, path) => request(app)
+        .post(path)
+        .set('Authorization', `Bearer ${token}`);
+
+    const get = (token, path) => request(app)
+        .get(path)
+        .set('Authorization', `Bearer ${token}`);
+
+    it('should start and end a shift and report the time online', async () => {
+        const { token } = await loginDriver(app, '+15550006001');
+
+        const started = await post(token, '/api/shifts/start');
+        expect(started.status).toBe(200);
+        expect(started.body.data.status.onShift).toBe(true);
+        expect(started.body.data.status.remainingMinutes).toBe(ShiftService.MAX_CONTINUOUS_MINUTES);
+
+        // Starting again resumes the open shift
+        const again = await post(token, '/api/shifts/start');
+        expect(again.status).toBe(200);
+        expect(again.body.data.shift._id).toBe(started.body.data.shift._id);
+
+        const driver = await User.findByPhone('+15550006001');
+        expect(driver.driverInfo.isAvailable).toBe(true);
+
+        const ended = await post(token, '/api/shifts/end');
+        expect(ended.status).toBe(200);
+        expect(ended.body.data.pending).toBe(false);
+        expect(ended.body.data.shift.endReason).toBe('driver');
+        expect(ended.body.data.status.onShift).toBe(false);
+
+        const report = await get(token, '/api/shifts/report?days=3');
+        expect(report.status).toBe(200);
+        expect(report.body.data.days).toHaveLength(3);
+        expect(report.body.data.totals.shifts).toBe(1);
+        expect(report.body.data.shifts[0].endReason).toBe('driver');
+    });
+
+    it('should start a shift when the driver goes online', async () => {
+        const { token } = await loginDriver(app, '+15550006002');
+
+        const online = await request(app)
+            .put('/api/users/driver/availability')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ isAvailable: true });
+        expect(online.status).toBe(200);
+        expect(online.body.data.driverInfo.shift).toBeTruthy();
+
+        const current = await get(token, '/api/shifts/current');
+        expect(current.status).toBe(200);
+        expect(current.body.data.onShift).toBe(true);
+        expect(current.body.data.today.shifts).toBe(1);
+    });
+
+    it('should keep a driver who reached the limit offline until their break is over', async () => {
+        const { token } = await loginDriver(app, '+15550006003');
+        const driver = await User.findByPhone('+15550006003');
+        const limitMinutes = ShiftService.MAX_CONTINUOUS_MINUTES;
+
+        await DriverShift.create({
+            driverId: driver._id,
+            startedAt: new Date(Date.now() - (limitMinutes + 10) * 60000),
+            continuousSince: new Date(Date.now() - (limitMinutes + 10) * 60000),
+            endedAt: new Date(Date.now() - 5 * 60000),
+            endReason: 'break_required'
+        });
+
+        const res = await post(token, '/api/shifts/start');
+
+        expect(res.status).toBe(403);
+        expect(res.body.error.code).toBe('DRIVER_BREAK_REQUIRED');
+        expect(new Date(res.body.error.availableAt).getTime()).toBeGreaterThan(Date.now());
+
+        const current = await get(token, '/api/shifts/current');
+        expect(current.body.data.breakRequired).toBe(true);
+    });
+
+    it('should let admins view a driver\'s shift report', async () => {
+        const { token: adminToken } = await loginAdmin(app);
+        const { token: driverToken } = await loginDriver(app, '+15550006004');
+        const driver = await User.findByPhone('+15550006004');
+
+        expect((await post(driverToken, '/api/shifts/start')).status).toBe(200);
+
+        const report = await get(adminToken, `/api/shifts/drivers/${driver._id}/report?days=7`);
+        expect(report.status).toBe(200);
+        expect(report.body.data.days).toHaveLength(7);
+        expect(report.body.data.status.onShift).toBe(true);
+
+        const denied = await get(driverToken, `/api/shifts/drivers/${driver._id}/report`);
+        expect(denied.status).toBe(403);
+    });
+});
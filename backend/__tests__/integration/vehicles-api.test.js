@@ -0,0 +1,118 @@
+const request = require('supertest');
+const createTestApp = require('../helpers/testApp');
+const { User, Vehicle } = require('../../models');
+const { integrationHelpers } = require('../utils/testHelpers');
+
+const { loginDriver, loginAdmin } = integrationHelpers;
+
+describe('Vehicles API (Integration)', () => {
+    let app;
+
+    beforeAll(() => {
+        app = createTestApp();
+    });
+
+    const setAvailability = (token, isAvailable) => request(app)
+        .put('/api/users/driver/availability')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ isAvailable });
+
+    const selectVehicle = (token, vehicleId) => request(app)
+        .put('/api/vehicles/active')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ vehicleId });
+
+    it('should let fleet drivers share a vehicle one shift at a time', async () => {
+        const { token: adminToken } = await loginAdmin(app);
+        const { token: firstToken } = await loginDriver(app, '+15550005001');
+        const { token: secondToken } = await loginDriver(app, '+15550005002');
+
+        const created = await request(app)
+            .post('/api/vehicles/fleet')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ fleetName: 'City Cabs', make: 'Toyota', model: 'Camry', plateNumber: 'ka05xy9999', color: 'Black', vehicleClass: 'premium' });
+        expect(created.status).toBe(201);
+        expect(created.body.data.vehicle.plateNumber).toBe('KA05XY9999');
+        const vehicleId = created.body.data.vehicle._id;
+
+        for (const phone of ['+15550005001', '+15550005002']) {
+            const assigned = await request(app)
+                .post(`/api/vehicles/${vehicleId}/drivers`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ phone });
+            expect(assigned.status).toBe(200);
+        }
+
+        // Assigned drivers must pick the vehicle they are driving
+        const unselected = await setAvailability(firstToken, true);
+        expect(unselected.status).toBe(400);
+        expect(unselected.body.error.code).toBe('VEHICLE_NOT_SELECTED');
+
+        expect((await selectVehicle(firstToken, vehicleId)).status).toBe(200);
+        expect((await selectVehicle(secondToken, vehicleId)).status).toBe(200);
+
+        const online = await setAvailability(firstToken, true);
+        expect(online.status).toBe(200);
+        expect(online.body.data.driverInfo.activeVehicle.vehicleClass).toBe('premium');
+
+        const switchOnline = await selectVehicle(firstToken, vehicleId);
+        expect(switchOnline.status).toBe(409);
+        expect(switchOnline.body.error.code).toBe('VEHICLE_SWITCH_WHILE_ONLINE');
+
+        const taken = await setAvailability(secondToken, true);
+        expect(taken.status).toBe(409);
+        expect(taken.body.error.code).toBe('VEHICLE_IN_USE');
+
+        // Ending the first shift frees the car
+        expect((await setAvailability(firstToken, false)).status).toBe(200);
+        expect((await setAvailability(secondToken, true)).status).toBe(200);
+
+        const second = await User.findByPhone('+15550005002');
+        const vehicle = await Vehicle.findById(vehicleId);
+        expect(vehicle.currentDriverId.toString()).toBe(second._id.toString());
+    });
+
+    it('should let drivers without vehicles keep driving their profile vehicle', async () => {
+        const { token } = await loginDriver(app, '+15550005003');
+
+        const online = await setAvailability(token, true);
+        expect(online.status).toBe(200);
+
+        const vehicles = await request(app)
+            .get('/api/vehicles')
+            .set('Authorization', `Bearer ${token}`);
+        expect(vehicles.status).toBe(200);
+        expect(vehicles.body.data.vehicles).toEqual([]);
+        expect(vehicles.body.data.activeVehicle).toBeNull();
+    });
+
+    it('should let drivers register and retire their own vehicles only', async () => {
+        const { token: ownerToken } = await loginDriver(app, '+15550005004');
+        const { token: otherToken } = await loginDriver(app, '+15550005005');
+
+        const created = await request(app)
+            .post('/api/vehicles')
+            .set('Authorization', `Bearer ${ownerToken}`)
+            .send({ make: 'Hyundai', model: 'Verna', plateNumber: 'KA03MN4455', color: 'Silver', vehicleClass: 'comfort' });
+        expect(created.status).toBe(201);
+        const vehicleId = created.body.data.vehicle._id;
+
+        const duplicate = await request(app)
+            .post('/api/vehicles')
+            .set('Authorization', `Bearer ${otherToken}`)
+            .send({ make: 'Hyundai', model: 'Verna', plateNumber: 'KA03MN4455', color: 'Silver' });
+        expect(duplicate.status).toBe(409);
+        expect(duplicate.body.error.code).toBe('PLATE_NUMBER_TAKEN');
+
+        const notOwner = await request(app)
+            .delete(`/api/vehicles/${vehicleId}`)
+            .set('Authorization', `Bearer ${otherToken}`);
+        expect(notOwner.status).toBe(404);
+
+        const retired = await request(app)
+            .delete(`/api/vehicles/${vehicleId}`)
+            .set('Authorization', `Bearer ${ownerToken}`);
+        expect(retired.status).toBe(200);
+        expect(retired.body.data.vehicle.status).toBe('retired');
+    });
+});
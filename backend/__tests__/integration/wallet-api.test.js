@@ -0,0 +1,68 @@
+const request = require('supertest');
+const createTestApp = require('../helpers/testApp');
+const { integrationHelpers } = require('../utils/testHelpers');
+
+const { registerRider } = integrationHelpers;
+
+describe('Wallet API (Integration)', () => {
+    let app;
+
+    beforeAll(() => {
+        app = createTestApp();
+    });
+
+    it('should start riders with an empty wallet', async () => {
+        const { token } = await registerRider(app, '+15550002000', 'Wallet Owner');
+
+        const res = await request(app)
+            .get('/api/wallet')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.wallet.balance).toBe(0);
+        expect(res.body.data.wallet.currency).toBe('INR');
+    });
+
+    it('should credit a card top-up and list it on the statement', async () => {
+        const { token } = await registerRider(app, '+15550002001', 'Wallet Topper');
+
+        const topUp = await request(app)
+            .post('/api/wallet/topup')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ amount: 250.5, paymentDetails: { cardNumber: '4242424242424242' } });
+
+        expect(topUp.status).toBe(201);
+        expect(topUp.body.data.wallet.balance).toBe(250.5);
+        expect(topUp.body.data.transaction.type).toBe('topup');
+        expect(topUp.body.data.transaction.balanceAfter).toBe(250.5);
+
+        const statement = await request(app)
+            .get('/api/wallet/transactions')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(statement.status).toBe(200);
+        expect(statement.body.data.transactions).toHaveLength(1);
+        expect(statement.body.data.transactions[0].entries).toEqual([
+            { account: 'card_gateway', direction: 'debit', amount: 250.5 },
+            { account: 'rider_wallet', direction: 'credit', amount: 250.5 }
+        ]);
+    });
+
+    it('should not credit the wallet when the card is declined', async () => {
+        const { token } = await registerRider(app, '+15550002002', 'Wallet Declined');
+
+        const topUp = await request(app)
+            .post('/api/wallet/topup')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ amount: 100, paymentDetails: { cardNumber: '4000000000000002' } });
+
+        expect(topUp.status).toBe(400);
+        expect(topUp.body.error.code).toBe('PAYMENT_FAILED');
+
+        const wallet = await request(app)
+            .get('/api/wallet')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(wallet.body.data.wallet.balance).toBe(0);
+    });
+});
@@ -6,6 +6,7 @@ process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing-purposes-only';
 process.env.ENCRYPTION_KEY = 'test-encryption-key-exactly-32bb'; // Exactly 32 chars
 process.env.DISABLE_MATCHING = 'true'; // Disable background matching in tests
+process.env.FAKE_GATEWAY_WEBHOOK_SECRET = 'test-fake-gateway-webhook-secret';
 
 let mongoServer;
 
@@ -85,6 +86,7 @@ global.testUtils = {
           color: 'Blue'
         },
         isAvailable: true,
+        onboarding: { status: 'approved' },
         currentLocation: {
           type: 'Point',
           coordinates: [-74.006, 40.7128] // NYC coordinates
@@ -0,0 +1,154 @@
+/**
+ * UNIT TESTS for Idempotency Middleware
+ *
+ * Tests Idempotency-Key handling with a mocked key store
+ * - Requests without a key pass through
+ * - First use stores the response
+ * - Retries replay, wait, or are rejected when the request differs
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - Mocked IdempotencyKey model
+ */
+
+jest.mock('../../models', () => ({
+    IdempotencyKey: {
+        create: jest.fn(),
+        findOne: jest.fn(),
+        findOneAndUpdate: jest.fn(),
+        updateOne: jest.fn(),
+        deleteOne: jest.fn()
+    }
+}));
+
+const { IdempotencyKey } = require('../../models');
+const { idempotent } = require('../../middleware/idempotency');
+
+const duplicateKeyError = () => Object.assign(new Error('duplicate key'), { code: 11000 });
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Idempotency Middleware', () => {
+    const key = 'pay-3f2a9c1e-ride';
+    let req, res, next;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        req = {
+            method: 'POST',
+            baseUrl: '/api/payments',
+            path: '/process',
+            body: { rideId: 'ride1', paymentMethod: 'mock' },
+            user: { _id: 'user1' },
+            get: jest.fn(header => (header === 'Idempotency-Key' ? key : undefined))
+        };
+        res = {
+            statusCode: 200,
+            status: jest.fn(function (code) { this.statusCode = code; return this; }),
+            json: jest.fn().mockReturnThis(),
+            set: jest.fn().mockReturnThis(),
+            type: jest.fn().mockReturnThis(),
+            send: jest.fn().mockReturnThis(),
+            on: jest.fn()
+        };
+        next = jest.fn();
+    });
+
+    it('should pass requests without a key straight through', async () => {
+        req.get.mockReturnValue(undefined);
+
+        await idempotent(req, res, next);
+
+        expect(next).toHaveBeenCalledWith();
+        expect(IdempotencyKey.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject malformed keys', async () => {
+        req.get.mockReturnValue('bad key!');
+
+        await idempotent(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_IDEMPOTENCY_KEY');
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should store the response of the first request before sending it', async () => {
+        const originalJson = res.json;
+        IdempotencyKey.create.mockResolvedValue({ _id: 'record1' });
+        IdempotencyKey.updateOne.mockReturnValue({ exec: jest.fn().mockResolvedValue({}) });
+
+        await idempotent(req, res, next);
+        expect(next).toHaveBeenCalledWith();
+
+        const body = { success: true, data: { transactionId: 'mock_1' } };
+        res.status(200).json(body);
+        await flushPromises();
+
+        expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+            { _id: 'record1' },
+            { $set: { status: 'completed', responseStatus: 200, responseBody: JSON.stringify(body) } }
+        );
+        expect(originalJson).toHaveBeenCalledWith(body);
+    });
+
+    it('should release the key instead of storing server errors', async () => {
+        IdempotencyKey.create.mockResolvedValue({ _id: 'record1' });
+        IdempotencyKey.deleteOne.mockReturnValue({ exec: jest.fn().mockResolvedValue({}) });
+
+        await idempotent(req, res, next);
+        res.status(500).json({ success: false });
+        await flushPromises();
+
+        expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: 'record1' });
+        expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should replay the stored response for a completed key', async () => {
+        let storedHash;
+        IdempotencyKey.create.mockImplementationOnce(async doc => {
+            storedHash = doc.requestHash;
+            throw duplicateKeyError();
+        });
+        IdempotencyKey.findOneAndUpdate.mockResolvedValue(null);
+        IdempotencyKey.findOne.mockImplementation(async () => ({
+            requestHash: storedHash,
+            status: 'completed',
+            responseStatus: 200,
+            responseBody: '{"success":true}'
+        }));
+
+        await idempotent(req, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.send).toHaveBeenCalledWith('{"success":true}');
+    });
+
+    it('should answer 409 while the first request is still running', async () => {
+        let storedHash;
+        IdempotencyKey.create.mockImplementationOnce(async doc => {
+            storedHash = doc.requestHash;
+            throw duplicateKeyError();
+        });
+        IdempotencyKey.findOneAndUpdate.mockResolvedValue(null);
+        IdempotencyKey.findOne.mockImplementation(async () => ({ requestHash: storedHash, status: 'in_progress' }));
+
+        await idempotent(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json.mock.calls[0][0].error.code).toBe('IDEMPOTENT_REQUEST_IN_PROGRESS');
+    });
+
+    it('should reject a key reused for a different request', async () => {
+        IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+        IdempotencyKey.findOneAndUpdate.mockResolvedValue(null);
+        IdempotencyKey.findOne.mockResolvedValue({ requestHash: 'other', status: 'completed' });
+
+        await idempotent(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(422);
+        expect(res.json.mock.calls[0][0].error.code).toBe('IDEMPOTENCY_KEY_MISMATCH');
+    });
+});
@@ -0,0 +1,203 @@
+/**
+ * UNIT TESTS for CancellationFeeService
+ *
+ * Tests collecting cancellation fees in isolation
+ * - Capturing the fee from a card hold
+ * - Debiting the fee from the wallet
+ * - Recording fees that cannot be collected as owed
+ * - Settling fee captures confirmed by webhook
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies (models are mocked; cards go to the mock provider)
+ */
+
+jest.mock('../../models', () => ({
+    Ride: {
+        findOneAndUpdate: jest.fn(),
+        findOne: jest.fn()
+    }
+}));
+
+const { Ride } = require('../../models');
+const CancellationFeeService = require('../../services/CancellationFeeService');
+const EarningsService = require('../../services/EarningsService');
+const PaymentGatewayService = require('../../services/PaymentGatewayService');
+const WalletService = require('../../services/WalletService');
+
+const cancelledRide = (overrides = {}) => ({
+    _id: 'ride1',
+    riderId: 'rider1',
+    driverId: 'driver1',
+    serviceLevel: 'economy',
+    status: 'cancelled',
+    cancellation: { cancelledBy: 'rider', fee: 50, feeReason: 'DRIVER_ALREADY_ASSIGNED', feePayment: null },
+    payment: { method: 'cash', status: 'pending', hold: null },
+    ...overrides
+});
+
+const withFeePayment = (ride, feePayment) => ({
+    ...ride,
+    cancellation: { ...ride.cancellation, feePayment }
+});
+
+const hold = { status: 'authorized', amount: 400, provider: 'mock', authorizationId: 'auth_1' };
+
+describe('CancellationFeeService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+        jest.spyOn(EarningsService, 'recordCancellationFeeEarning').mockResolvedValue({});
+    });
+
+    describe('collectFee', () => {
+        it('should do nothing when there is no fee', async () => {
+            const ride = cancelledRide({ cancellation: { cancelledBy: 'driver', fee: 0 } });
+
+            await expect(CancellationFeeService.collectFee(ride)).resolves.toEqual({ status: 'none' });
+            expect(Ride.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should capture only the fee from the card hold and credit the driver', async () => {
+            const ride = cancelledRide({ payment: { method: 'mock', status: 'pending', hold } });
+            const capture = jest.spyOn(PaymentGatewayService, 'capture')
+                .mockResolvedValue({ success: true, status: 'succeeded', transactionId: 'auth_1' });
+            const claimed = withFeePayment(ride, { status: 'processing', method: 'mock', transactionId: 'auth_1' });
+            const completed = withFeePayment(ride, { status: 'completed', method: 'mock', transactionId: 'auth_1' });
+            Ride.findOneAndUpdate
+                .mockResolvedValueOnce(claimed)
+                .mockResolvedValueOnce(completed);
+
+            const result = await CancellationFeeService.collectFee(ride);
+
+            expect(result).toEqual({ status: 'completed', ride: completed });
+            expect(Ride.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'ride1', 'payment.hold.status': 'authorized' });
+            expect(Ride.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({
+                'payment.hold.status': 'captured',
+                'payment.hold.capturedAmount': 50
+            });
+            expect(capture).toHaveBeenCalledWith('mock', 'auth_1', 50);
+            expect(EarningsService.recordCancellationFeeEarning).toHaveBeenCalledWith(completed);
+        });
+
+        it('should wait for the webhook when the capture is asynchronous', async () => {
+            const ride = cancelledRide({ payment: { method: 'mock', status: 'pending', hold } });
+            jest.spyOn(PaymentGatewayService, 'capture')
+                .mockResolvedValue({ success: true, status: 'pending', transactionId: 'auth_1' });
+            const claimed = withFeePayment(ride, { status: 'processing', method: 'mock', transactionId: 'auth_1' });
+            Ride.findOneAndUpdate.mockResolvedValueOnce(claimed);
+
+            const result = await CancellationFeeService.collectFee(ride);
+
+            expect(result).toEqual({ status: 'processing', ride: claimed });
+            expect(EarningsService.recordCancellationFeeEarning).not.toHaveBeenCalled();
+        });
+
+        it('should void the hold and record the fee as owed when the capture is declined', async () => {
+            const ride = cancelledRide({ payment: { method: 'mock', status: 'pending', hold } });
+            jest.spyOn(PaymentGatewayService, 'capture')
+                .mockResolvedValue({ success: false, error: 'CARD_DECLINED', message: 'Card declined' });
+            const voidHold = jest.spyOn(PaymentGatewayService, 'void').mockResolvedValue({ success: true });
+            Ride.findOneAndUpdate
+                .mockResolvedValueOnce(withFeePayment(ride, { status: 'processing', method: 'mock' }))
+                .mockResolvedValueOnce(withFeePayment(ride, { status: 'owed', method: 'mock', reason: 'CARD_DECLINED' }));
+
+            const result = await CancellationFeeService.collectFee(ride);
+
+            expect(result.status).toBe('owed');
+            expect(voidHold).toHaveBeenCalledWith('mock', 'auth_1');
+            expect(Ride.findOneAndUpdate.mock.calls[1][1].$set).toMatchObject({
+                'payment.hold.status': 'failed',
+                'cancellation.feePayment': { status: 'owed', reason: 'CARD_DECLINED' }
+            });
+            expect(EarningsService.recordCancellationFeeEarning).not.toHaveBeenCalled();
+        });
+
+        it('should debit the fee from the wallet', async () => {
+            const ride = cancelledRide({ payment: { method: 'wallet', status: 'pending', hold: null } });
+            const payFee = jest.spyOn(WalletService, 'payCancellationFee')
+                .mockResolvedValue({ success: true, transaction: { _id: 'txn1' } });
+            Ride.findOneAndUpdate.mockResolvedValueOnce(
+                withFeePayment(ride, { status: 'completed', method: 'wallet', transactionId: 'wallet_txn1' })
+            );
+
+            const result = await CancellationFeeService.collectFee(ride);
+
+            expect(result.status).toBe('completed');
+            expect(payFee).toHaveBeenCalledWith('rider1', 'ride1', 50);
+            expect(Ride.findOneAndUpdate.mock.calls[0][1].$set['cancellation.feePayment']).toMatchObject({
+                status: 'completed',
+                method: 'wallet',
+                transactionId: 'wallet_txn1'
+            });
+        });
+
+        it('should record the fee as owed when the wallet is short', async () => {
+            const ride = cancelledRide({ payment: { method: 'wallet', status: 'pending', hold: null } });
+            jest.spyOn(WalletService, 'payCancellationFee')
+                .mockResolvedValue({ success: false, error: 'INSUFFICIENT_WALLET_BALANCE' });
+            Ride.findOneAndUpdate.mockResolvedValueOnce(withFeePayment(ride, { status: 'owed', method: 'wallet' }));
+
+            const result = await CancellationFeeService.collectFee(ride);
+
+            expect(result.status).toBe('owed');
+            expect(Ride.findOneAndUpdate.mock.calls[0][1].$set['cancellation.feePayment']).toEqual({
+                status: 'owed',
+                method: 'wallet',
+                reason: 'INSUFFICIENT_WALLET_BALANCE'
+            });
+        });
+
+        it('should record a cash booking\'s fee as owed', async () => {
+            Ride.findOneAndUpdate.mockResolvedValueOnce(withFeePayment(cancelledRide(), { status: 'owed', method: 'cash' }));
+
+            const result = await CancellationFeeService.collectFee(cancelledRide());
+
+            expect(result.status).toBe('owed');
+            expect(Ride.findOneAndUpdate.mock.calls[0][1].$set['cancellation.feePayment'].reason).toBe('CASH_BOOKING');
+        });
+
+        it('should record a card booking\'s fee as owed when there is nothing to take it from', async () => {
+            const ride = cancelledRide({ payment: { method: 'mock', status: 'pending' } });
+            Ride.findOneAndUpdate.mockResolvedValueOnce(withFeePayment(ride, { status: 'owed', method: 'mock' }));
+
+            const result = await CancellationFeeService.collectFee(ride);
+
+            expect(result.status).toBe('owed');
+            expect(Ride.findOneAndUpdate.mock.calls[0][0]).toEqual({
+                _id: 'ride1',
+                'cancellation.feePayment.status': { $ne: 'completed' }
+            });
+            expect(Ride.findOneAndUpdate.mock.calls[0][1].$set['cancellation.feePayment']).toEqual({
+                status: 'owed',
+                method: 'mock',
+                reason: 'NO_PAYMENT_HOLD'
+            });
+        });
+    });
+
+    describe('settleFee', () => {
+        const event = (type) => ({ type, transactionId: 'auth_1', metadata: { rideId: 'ride1' } });
+        const select = (value) => ({ select: jest.fn().mockResolvedValue(value) });
+
+        it('should ignore events that are not for a pending fee capture', async () => {
+            Ride.findOne.mockReturnValueOnce(select(null));
+
+            await expect(CancellationFeeService.settleFee(event('payment.captured'))).resolves.toBeNull();
+            expect(Ride.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should complete the fee when the capture is confirmed', async () => {
+            const ride = withFeePayment(
+                cancelledRide({ payment: { method: 'mock', status: 'pending', hold: { ...hold, status: 'captured' } } }),
+                { status: 'processing', method: 'mock', provider: 'mock', transactionId: 'auth_1' }
+            );
+            const completed = withFeePayment(ride, { status: 'completed', method: 'mock', transactionId: 'auth_1' });
+            Ride.findOne.mockReturnValueOnce(select(ride));
+            Ride.findOneAndUpdate.mockResolvedValueOnce(completed);
+
+            await expect(CancellationFeeService.settleFee(event('payment.captured'))).resolves.toBe(completed);
+            expect(EarningsService.recordCancellationFeeEarning).toHaveBeenCalledWith(completed);
+        });
+    });
+});
@@ -0,0 +1,325 @@
+/**
+ * UNIT TESTS for DriverOnboardingService
+ *
+ * Tests driver onboarding in isolation
+ * - The state machine only allows its listed transitions, applied atomically
+ * - Submitting needs every document; approving needs every document approved
+ * - Unapproved drivers and drivers with expired documents cannot go available
+ * - Expiry reminders go out once per threshold and expired documents take drivers offline
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies (mongoose, models and NotificationService are mocked)
+ */
+
+jest.mock('../../models', () => ({
+    User: {
+        findOne: jest.fn(),
+        findOneAndUpdate: jest.fn(),
+        updateMany: jest.fn()
+    },
+    DriverDocument: {
+        DRIVER_DOCUMENT_TYPES: ['license', 'registration', 'insurance'],
+        find: jest.fn(),
+        findById: jest.fn(),
+        findOneAndUpdate: jest.fn(),
+        create: jest.fn(),
+        updateOne: jest.fn(),
+        updateMany: jest.fn(),
+        distinct: jest.fn()
+    }
+}));
+
+// Connected, so the expiry loop runs
+jest.mock('mongoose', () => ({
+    connection: { readyState: 1 }
+}));
+
+jest.mock('../../services/NotificationService', () => ({
+    notify: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../services/ShiftService', () => ({
+    endShiftsForIneligible: jest.fn().mockResolvedValue(0)
+}));
+
+const { User, DriverDocument } = require('../../models');
+const NotificationService = require('../../services/NotificationService');
+const ShiftService = require('../../services/ShiftService');
+const DriverOnboardingService = require('../../services/DriverOnboardingService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-01T10:00:00Z');
+
+// Chainable query resolving to a result
+const query = (result) => {
+    const chain = {
+        select: jest.fn(() => chain),
+        sort: jest.fn(() => chain),
+        limit: jest.fn(() => chain),
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+};
+
+const driverWithStatus = (status) => ({
+    _id: 'driver1',
+    role: 'driver',
+    driverInfo: { onboarding: status ? { status } : undefined }
+});
+
+const documentsOf = (...types) => types.map(type => ({ type }));
+
+describe('DriverOnboardingService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('state machine', () => {
+        it('should only allow the listed transitions', () => {
+            expect(DriverOnboardingService.canTransition('applied', 'documents_submitted')).toBe(true);
+            expect(DriverOnboardingService.canTransition('under_review', 'approved')).toBe(true);
+            expect(DriverOnboardingService.canTransition('approved', 'rejected')).toBe(true);
+            expect(DriverOnboardingService.canTransition('applied', 'approved')).toBe(false);
+            expect(DriverOnboardingService.canTransition('documents_submitted', 'approved')).toBe(false);
+            expect(DriverOnboardingService.canTransition('rejected', 'approved')).toBe(false);
+        });
+
+        it('should treat drivers without a status as applied', () => {
+            expect(DriverOnboardingService.getStatus(driverWithStatus(null))).toBe('applied');
+        });
+    });
+
+    describe('uploadDocument', () => {
+        const file = { originalname: 'licence.png', mimetype: 'image/png', size: 4, buffer: Buffer.from([0x89, 0x50, 0x4e, 0x47]) };
+
+        it('should refuse uploads while the application is under review', async () => {
+            const result = await DriverOnboardingService.uploadDocument(
+                driverWithStatus('under_review'), 'license', file, { expiresAt: new Date(NOW.getTime() + DAY) }, NOW
+            );
+
+            expect(result).toEqual(expect.objectContaining({ success: false, error: 'ONBOARDING_UNDER_REVIEW' }));
+            expect(DriverDocument.create).not.toHaveBeenCalled();
+        });
+
+        it('should refuse documents that have already expired', async () => {
+            const result = await DriverOnboardingService.uploadDocument(
+                driverWithStatus('applied'), 'license', file, { expiresAt: NOW }, NOW
+            );
+
+            expect(result).toEqual(expect.objectContaining({ success: false, error: 'DOCUMENT_EXPIRED' }));
+        });
+
+        it('should supersede earlier unapproved uploads and store a checksum', async () => {
+            DriverDocument.create.mockImplementation(async fields => fields);
+            const expiresAt = new Date(NOW.getTime() + 365 * DAY);
+
+            const result = await DriverOnboardingService.uploadDocument(
+                driverWithStatus('approved'), 'insurance', file, { expiresAt, documentNumber: 'POL-1' }, NOW
+            );
+
+            expect(result.success).toBe(true);
+            expect(DriverDocument.updateMany).toHaveBeenCalledWith(
+                { driverId: 'driver1', type: 'insurance', status: { $in: ['pending', 'rejected'] } },
+                { $set: { status: 'superseded' } }
+            );
+            expect(result.document.file).toEqual(expect.objectContaining({
+                mimeType: 'image/png',
+                size: 4,
+                sha256: expect.stringMatching(/^[0-9a-f]{64}$/)
+            }));
+        });
+    });
+
+    describe('submit', () => {
+        it('should list the documents still missing', async () => {
+            DriverDocument.find.mockReturnValue(query(documentsOf('license')));
+
+            const result = await DriverOnboardingService.submit(driverWithStatus('applied'), NOW);
+
+            expect(result).toEqual(expect.objectContaining({
+                success: false,
+                error: 'DOCUMENTS_MISSING',
+                missing: ['registration', 'insurance']
+            }));
+            expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should move a complete application to documents_submitted atomically', async () => {
+            DriverDocument.find.mockReturnValue(query(documentsOf('license', 'registration', 'insurance')));
+            User.findOneAndUpdate.mockReturnValue(query(driverWithStatus('documents_submitted')));
+
+            const result = await DriverOnboardingService.submit(driverWithStatus(null), NOW);
+
+            expect(result.success).toBe(true);
+            const [filter, update] = User.findOneAndUpdate.mock.calls[0];
+            expect(filter['driverInfo.onboarding.status']).toEqual({ $in: ['applied', null] });
+            expect(update.$set).toEqual(expect.objectContaining({
+                'driverInfo.onboarding.status': 'documents_submitted',
+                'driverInfo.onboarding.submittedAt': NOW,
+                'driverInfo.isAvailable': false
+            }));
+            expect(update.$push['driverInfo.onboarding.history']).toEqual(expect.objectContaining({
+                from: 'applied',
+                to: 'documents_submitted'
+            }));
+        });
+
+        it('should refuse to resubmit an approved application', async () => {
+            const result = await DriverOnboardingService.submit(driverWithStatus('approved'), NOW);
+
+            expect(result).toEqual(expect.objectContaining({ success: false, error: 'INVALID_ONBOARDING_TRANSITION' }));
+            expect(DriverDocument.find).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('reviewDocument', () => {
+        it('should report documents that were already reviewed', async () => {
+            DriverDocument.findById.mockResolvedValue({ _id: 'doc1', status: 'approved', expiresAt: new Date(NOW.getTime() + DAY) });
+            DriverDocument.findOneAndUpdate.mockResolvedValue(null);
+
+            const result = await DriverOnboardingService.reviewDocument('doc1', 'admin1', 'reject', 'Blurry', NOW);
+
+            expect(result).toEqual(expect.objectContaining({ success: false, error: 'DOCUMENT_ALREADY_REVIEWED' }));
+        });
+
+        it('should supersede the previously approved document of the same type', async () => {
+            const document = { _id: 'doc2', driverId: 'driver1', type: 'license', status: 'approved' };
+            DriverDocument.findById.mockResolvedValue({ ...document, status: 'pending', expiresAt: new Date(NOW.getTime() + DAY) });
+            DriverDocument.findOneAndUpdate.mockResolvedValue(document);
+
+            const result = await DriverOnboardingService.reviewDocument('doc2', 'admin1', 'approve', null, NOW);
+
+            expect(result.success).toBe(true);
+            expect(DriverDocument.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'doc2', status: 'pending' });
+            expect(DriverDocument.updateMany).toHaveBeenCalledWith(
+                { _id: { $ne: 'doc2' }, driverId: 'driver1', type: 'license', status: 'approved' },
+                { $set: { status: 'superseded' } }
+            );
+        });
+    });
+
+    describe('decide', () => {
+        it('should not approve until every document is approved', async () => {
+            User.findOne.mockResolvedValue(driverWithStatus('under_review'));
+            DriverDocument.find.mockReturnValue(query(documentsOf('license', 'insurance')));
+
+            const result = await DriverOnboardingService.decide('driver1', 'admin1', 'approve', null, NOW);
+
+            expect(result).toEqual(expect.objectContaining({
+                success: false,
+                error: 'DOCUMENTS_NOT_APPROVED',
+                pending: ['registration']
+            }));
+        });
+
+        it('should approve a reviewed application and tell the driver', async () => {
+            const approved = driverWithStatus('approved');
+            User.findOne.mockResolvedValue(driverWithStatus('under_review'));
+            DriverDocument.find.mockReturnValue(query(documentsOf('license', 'registration', 'insurance')));
+            User.findOneAndUpdate.mockReturnValue(query(approved));
+
+            const result = await DriverOnboardingService.decide('driver1', 'admin1', 'approve', null, NOW);
+
+            expect(result).toEqual({ success: true, driver: approved });
+            const update = User.findOneAndUpdate.mock.calls[0][1];
+            expect(update.$set['driverInfo.onboarding.status']).toBe('approved');
+            expect(update.$set).not.toHaveProperty('driverInfo.isAvailable');
+            expect(NotificationService.notify).toHaveBeenCalledWith('ONBOARDING_APPROVED', expect.objectContaining({ user: approved }));
+        });
+
+        it('should require a reason to reject', async () => {
+            User.findOne.mockResolvedValue(driverWithStatus('under_review'));
+
+            const result = await DriverOnboardingService.decide('driver1', 'admin1', 'reject', null, NOW);
+
+            expect(result).toEqual(expect.objectContaining({ success: false, error: 'REJECTION_REASON_REQUIRED' }));
+        });
+
+        it('should end the shift of a driver whose approval is revoked', async () => {
+            const rejected = driverWithStatus('rejected');
+            User.findOne.mockResolvedValue(driverWithStatus('approved'));
+            User.findOneAndUpdate.mockReturnValue(query(rejected));
+
+            const result = await DriverOnboardingService.decide('driver1', 'admin1', 'reject', 'Licence revoked', NOW);
+
+            expect(result).toEqual({ success: true, driver: rejected });
+            expect(ShiftService.endShiftsForIneligible).toHaveBeenCalledWith(['driver1'], NOW);
+        });
+
+        it('should report a status changed by someone else', async () => {
+            User.findOne.mockResolvedValue(driverWithStatus('approved'));
+            User.findOneAndUpdate.mockReturnValue(query(null));
+
+            const result = await DriverOnboardingService.decide('driver1', 'admin1', 'reject', 'Licence revoked', NOW);
+
+            expect(result).toEqual(expect.objectContaining({ success: false, error: 'ONBOARDING_STATUS_CHANGED' }));
+            expect(NotificationService.notify).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('checkEligibility', () => {
+        it('should block drivers who are not approved', async () => {
+            const result = await DriverOnboardingService.checkEligibility(driverWithStatus('documents_submitted'), NOW);
+
+            expect(result).toEqual(expect.objectContaining({ success: false, error: 'DRIVER_NOT_APPROVED' }));
+        });
+
+        it('should block approved drivers with an expired document', async () => {
+            DriverDocument.find.mockReturnValue(query([{ type: 'insurance', expiresAt: new Date(NOW.getTime() - DAY) }]));
+
+            const result = await DriverOnboardingService.checkEligibility(driverWithStatus('approved'), NOW);
+
+            expect(result).toEqual(expect.objectContaining({ success: false, error: 'DRIVER_DOCUMENTS_EXPIRED' }));
+            expect(result.documents).toEqual([{ type: 'insurance', expiresAt: expect.any(Date) }]);
+        });
+
+        it('should allow approved drivers with current documents', async () => {
+            DriverDocument.find.mockReturnValue(query([]));
+
+            const result = await DriverOnboardingService.checkEligibility(driverWithStatus('approved'), NOW);
+
+            expect(result).toEqual({ success: true });
+        });
+    });
+
+    describe('checkExpiries', () => {
+        it('should send the nearest reminder once and mark the later ones as sent', async () => {
+            const expiring = { _id: 'doc1', driverId: 'driver1', type: 'license', expiresAt: new Date(NOW.getTime() + 5 * DAY) };
+            DriverDocument.find.mockImplementation(filter => query(
+                filter.remindersSent && filter.remindersSent.$ne === 7 ? [expiring] : []
+            ));
+            DriverDocument.distinct.mockResolvedValue([]);
+
+            const result = await DriverOnboardingService.checkExpiries(NOW);
+
+            expect(result.reminded).toBe(1);
+            expect(DriverDocument.updateOne).toHaveBeenCalledWith(
+                { _id: 'doc1' },
+                { $addToSet: { remindersSent: { $each: [7, 30] } } }
+            );
+            expect(NotificationService.notify).toHaveBeenCalledWith('DOCUMENT_EXPIRING', {
+                userId: 'driver1',
+                data: expect.objectContaining({ documentName: 'driving licence', daysLeft: 5, expiresOn: '2026-03-06' })
+            });
+        });
+
+        it('should notify drivers of expired documents and take them offline', async () => {
+            const expired = { _id: 'doc2', driverId: 'driver1', type: 'insurance', expiresAt: new Date(NOW.getTime() - DAY) };
+            DriverDocument.find.mockImplementation(filter => query(filter.expiryNotifiedAt === null ? [expired] : []));
+            DriverDocument.distinct.mockResolvedValue(['driver1']);
+            User.updateMany.mockResolvedValue({ modifiedCount: 1 });
+
+            const result = await DriverOnboardingService.checkExpiries(NOW);
+
+            expect(result).toEqual({ reminded: 0, expired: 1, driversOffline: 1 });
+            expect(DriverDocument.updateOne).toHaveBeenCalledWith({ _id: 'doc2' }, { $set: { expiryNotifiedAt: NOW } });
+            expect(NotificationService.notify).toHaveBeenCalledWith('DOCUMENT_EXPIRED', expect.objectContaining({ userId: 'driver1' }));
+            expect(User.updateMany).toHaveBeenCalledWith(
+                { _id: { $in: ['driver1'] }, 'driverInfo.isAvailable': true },
+                { $set: { 'driverInfo.isAvailable': false } }
+            );
+            expect(ShiftService.endShiftsForIneligible).toHaveBeenCalledWith(['driver1'], NOW);
+        });
+    });
+});
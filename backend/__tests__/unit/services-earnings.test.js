@@ -0,0 +1,280 @@
+/**
+ * UNIT TESTS for EarningsService
+ *
+ * Tests driver earnings rules in isolation
+ * - Commission split per service level, GST, promo funding and cash offsets
+ * - Tips credited in full as their own entry
+ * - Collected cancellation fees split like a fare
+ * - Payout weeks and statement carry-forward
+ * - CSV export
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies (models are mocked)
+ */
+
+jest.mock('../../models', () => ({
+    DriverEarning: {
+        findOneAndUpdate: jest.fn(),
+        updateMany: jest.fn(),
+        aggregate: jest.fn()
+    },
+    Payout: {
+        findOne: jest.fn(),
+        create: jest.fn()
+    }
+}));
+
+const { DriverEarning, Payout } = require('../../models');
+const EarningsService = require('../../services/EarningsService');
+const InvoiceService = require('../../services/InvoiceService');
+
+// GST included in a tax-inclusive amount at a service level's default rate
+const gstIn = (amount, serviceLevel = 'economy') =>
+    InvoiceService.calculateTax(amount, InvoiceService.TAX_RATES[serviceLevel], true).totalTax;
+
+const buildRide = (overrides = {}) => ({
+    _id: 'ride1',
+    driverId: 'driver1',
+    serviceLevel: 'economy',
+    fare: { estimated: 200, final: 180, breakdown: { discount: 20 } },
+    payment: { method: 'mock', processedAt: new Date('2024-03-06T10:00:00Z') },
+    ...overrides
+});
+
+describe('EarningsService - Commission Split', () => {
+    it('should use the configured rate for each service level', () => {
+        expect(EarningsService.getCommissionRate('economy')).toBe(EarningsService.COMMISSION_RATES.economy);
+        expect(EarningsService.getCommissionRate('premium')).toBe(EarningsService.COMMISSION_RATES.premium);
+        expect(EarningsService.getCommissionRate('unknown')).toBe(EarningsService.COMMISSION_RATES.economy);
+    });
+
+    it('should take commission on the fare before the promo discount', () => {
+        const rate = EarningsService.COMMISSION_RATES.economy;
+        const entry = EarningsService.calculateEarning(buildRide());
+        const grossFare = 200 - gstIn(180);
+
+        expect(entry.grossFare).toBeCloseTo(grossFare, 2);
+        expect(entry.promoDiscount).toBe(20);
+        expect(entry.commissionRate).toBe(rate);
+        expect(entry.commission).toBeCloseTo(grossFare * rate / 100, 2);
+        expect(entry.earning).toBeCloseTo(grossFare - entry.commission, 2);
+        expect(entry.cashCollected).toBe(0);
+        expect(entry.netPayable).toBe(entry.earning);
+    });
+
+    it('should take out the GST on the ride\'s invoice before taking commission', () => {
+        // Premium rides in Bengaluru: 12% GST, so ₹560 charged is ₹500 plus ₹60 tax
+        const ride = buildRide({
+            serviceLevel: 'premium',
+            pickup: { coordinates: { type: 'Point', coordinates: [77.5946, 12.9716] } },
+            fare: { estimated: 560, final: 560, breakdown: { discount: 0 } }
+        });
+        const rate = EarningsService.COMMISSION_RATES.premium;
+
+        const entry = EarningsService.calculateEarning(ride);
+
+        expect(InvoiceService.TAX_RATES.premium).toBe(12);
+        expect(entry.tax).toBe(InvoiceService.calculateRideTax(ride).totalTax);
+        expect(entry.tax).toBe(60);
+        expect(entry.grossFare).toBe(500);
+        expect(entry.commission).toBeCloseTo(500 * rate / 100, 2);
+        expect(entry.earning).toBeCloseTo(500 - entry.commission, 2);
+        expect(entry.netPayable).toBe(entry.earning);
+    });
+
+    it('should offset the cash the driver collected', () => {
+        const entry = EarningsService.calculateEarning(buildRide({
+            payment: { method: 'cash' },
+            fare: { estimated: 200, final: 200, breakdown: { discount: 0 } }
+        }));
+
+        // The driver holds the tax too, and owes it back with the commission
+        expect(entry.cashCollected).toBe(200);
+        expect(entry.tax).toBe(gstIn(200));
+        expect(entry.netPayable).toBeCloseTo(-(entry.tax + entry.commission), 2);
+    });
+
+    it('should credit the whole tip without commission', () => {
+        const entry = EarningsService.calculateTipEarning(buildRide({
+            serviceLevel: 'premium',
+            tip: { amount: 50, method: 'mock', status: 'completed' }
+        }));
+
+        expect(entry).toMatchObject({
+            type: 'tip',
+            grossFare: 0,
+            commission: 0,
+            tip: 50,
+            earning: 50,
+            cashCollected: 0,
+            netPayable: 50
+        });
+    });
+
+    it('should treat a cash tip as already collected by the driver', () => {
+        const entry = EarningsService.calculateTipEarning(buildRide({
+            tip: { amount: 30, method: 'cash', status: 'completed' }
+        }));
+
+        expect(entry.earning).toBe(30);
+        expect(entry.cashCollected).toBe(30);
+        expect(entry.netPayable).toBe(0);
+    });
+
+    it('should take the ride\'s commission from a collected cancellation fee', () => {
+        const entry = EarningsService.calculateCancellationFeeEarning(buildRide({
+            cancellation: { fee: 50, feePayment: { status: 'completed', method: 'wallet' } }
+        }));
+        const commission = 50 * EarningsService.COMMISSION_RATES.economy / 100;
+
+        expect(entry).toMatchObject({
+            type: 'cancellation_fee',
+            paymentMethod: 'wallet',
+            grossFare: 50,
+            commission,
+            earning: 50 - commission,
+            cashCollected: 0,
+            netPayable: 50 - commission
+        });
+    });
+});
+
+describe('EarningsService - Ledger Entries', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should write one entry per ride with an upsert', async () => {
+        DriverEarning.findOneAndUpdate.mockResolvedValue({ _id: 'entry1' });
+
+        await EarningsService.recordRideEarning(buildRide({ driverId: { _id: 'driver1' } }));
+
+        const [filter, update, options] = DriverEarning.findOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual({ rideId: 'ride1', type: 'ride' });
+        expect(update.$setOnInsert).toMatchObject({
+            driverId: 'driver1',
+            rideId: 'ride1',
+            earnedAt: new Date('2024-03-06T10:00:00Z')
+        });
+        expect(options).toMatchObject({ upsert: true });
+    });
+
+    it('should write the tip as a separate entry', async () => {
+        DriverEarning.findOneAndUpdate.mockResolvedValue({ _id: 'entry2' });
+        const paidAt = new Date('2024-03-06T10:30:00Z');
+
+        await EarningsService.recordTipEarning(buildRide({
+            tip: { amount: 40, method: 'wallet', status: 'completed', paidAt }
+        }));
+
+        const [filter, update] = DriverEarning.findOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual({ rideId: 'ride1', type: 'tip' });
+        expect(update.$setOnInsert).toMatchObject({ type: 'tip', earning: 40, earnedAt: paidAt });
+    });
+
+    it('should skip rides without a driver', async () => {
+        const result = await EarningsService.recordRideEarning(buildRide({ driverId: null }));
+
+        expect(result).toBeNull();
+        expect(DriverEarning.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+});
+
+describe('EarningsService - Payout Statements', () => {
+    const periodStart = new Date('2024-03-04T00:00:00Z');
+    const periodEnd = new Date('2024-03-11T00:00:00Z');
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should start payout weeks on Monday 00:00 UTC', () => {
+        expect(EarningsService.getWeekStart(new Date('2024-03-06T15:30:00Z'))).toEqual(periodStart);
+        expect(EarningsService.getWeekStart(new Date('2024-03-04T00:00:00Z'))).toEqual(periodStart);
+        expect(EarningsService.getWeekStart(new Date('2024-03-10T23:59:59Z'))).toEqual(periodStart);
+    });
+
+    it('should settle unsettled entries and carry forward a negative balance', async () => {
+        Payout.findOne.mockReturnValue({
+            sort: jest.fn().mockResolvedValue({ status: 'carried_forward', netPayable: -50 })
+        });
+        const payout = { _id: 'payout1', set: jest.fn(), save: jest.fn() };
+        Payout.create.mockResolvedValue(payout);
+        DriverEarning.aggregate.mockResolvedValue([{
+            rideCount: 3, grossFares: 600, commission: 120, earnings: 480, cashCollected: 200, netPayable: 280
+        }]);
+
+        const result = await EarningsService.createStatement('driver1', periodStart, periodEnd);
+
+        expect(result).toBe(payout);
+        expect(Payout.create).toHaveBeenCalledWith(expect.objectContaining({ carriedForward: -50 }));
+        expect(DriverEarning.updateMany).toHaveBeenCalledWith(
+            { driverId: 'driver1', payoutId: null, earnedAt: { $lt: periodEnd } },
+            { $set: { payoutId: 'payout1' } }
+        );
+        expect(payout.set).toHaveBeenCalledWith(expect.objectContaining({
+            rideCount: 3,
+            netPayable: 230,
+            status: 'pending'
+        }));
+    });
+
+    it('should mark a statement carried forward when the driver owes the platform', async () => {
+        Payout.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(null) });
+        const payout = { _id: 'payout1', set: jest.fn(), save: jest.fn() };
+        Payout.create.mockResolvedValue(payout);
+        DriverEarning.aggregate.mockResolvedValue([{
+            rideCount: 1, grossFares: 200, commission: 40, earnings: 160, cashCollected: 200, netPayable: -40
+        }]);
+
+        await EarningsService.createStatement('driver1', periodStart, periodEnd);
+
+        expect(payout.set).toHaveBeenCalledWith(expect.objectContaining({
+            netPayable: -40,
+            status: 'carried_forward'
+        }));
+    });
+
+    it('should not issue a statement twice for the same week', async () => {
+        Payout.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(null) });
+        Payout.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+        const result = await EarningsService.createStatement('driver1', periodStart, periodEnd);
+
+        expect(result).toBeNull();
+        expect(DriverEarning.updateMany).not.toHaveBeenCalled();
+    });
+});
+
+describe('EarningsService - CSV Export', () => {
+    it('should render a header and escape addresses', () => {
+        const csv = EarningsService.toCsv([{
+            earnedAt: new Date('2024-03-06T10:00:00Z'),
+            rideId: {
+                _id: 'ride1',
+                pickup: { address: 'MG Road, Bengaluru' },
+                destination: { address: 'The "Hub"' }
+            },
+            serviceLevel: 'economy',
+            paymentMethod: 'cash',
+            type: 'ride',
+            grossFare: 190.48,
+            promoDiscount: 0,
+            tax: 9.52,
+            commissionRate: 20,
+            commission: 38.1,
+            earning: 152.38,
+            cashCollected: 200,
+            netPayable: -47.62,
+            payoutId: null
+        }]);
+
+        const [header, row] = csv.trim().split('\r\n');
+        expect(header.split(',')[0]).toBe('Date');
+        expect(row).toBe(
+            '2024-03-06T10:00:00.000Z,ride1,"MG Road, Bengaluru","The ""Hub""",economy,cash,ride,' +
+            '190.48,0.00,9.52,20,38.10,0.00,152.38,200.00,-47.62,no'
+        );
+    });
+});
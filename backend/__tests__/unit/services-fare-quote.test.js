@@ -0,0 +1,117 @@
+/**
+ * UNIT TESTS for FareQuoteService
+ *
+ * Tests signed fare quotes in isolation
+ * - Quote creation and round-trip verification
+ * - Tampering and expiry detection
+ * - Route and service level matching
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies
+ * - Pure function testing
+ */
+
+process.env.JWT_SECRET = 'test-jwt-secret-for-fare-quote-testing';
+
+const FareQuoteService = require('../../services/FareQuoteService');
+
+describe('FareQuoteService - Quote Verification', () => {
+    const now = new Date('2024-06-01T10:00:00.000Z');
+    const trip = {
+        pickup: [77.5946, 12.9716],
+        destination: [77.6412, 12.9784],
+        serviceLevel: 'comfort'
+    };
+    const createQuote = () => FareQuoteService.createQuote({
+        ...trip,
+        surgeMultiplier: 1.5,
+        surgeCellId: '648:3879',
+        fare: 245.5
+    }, now);
+
+    it('should verify a quote for the same trip', () => {
+        const { quoteId, expiresAt } = createQuote();
+
+        const result = FareQuoteService.verifyQuote(quoteId, trip, now);
+
+        expect(result.valid).toBe(true);
+        expect(result.quote.fare).toBe(245.5);
+        expect(result.quote.surgeMultiplier).toBe(1.5);
+        expect(result.quote.serviceLevel).toBe('comfort');
+        expect(result.quote.expiresAt).toEqual(expiresAt);
+    });
+
+    it('should produce IDs that survive request sanitization', () => {
+        const { quoteId } = createQuote();
+
+        expect(quoteId).toMatch(/^[0-9a-f]+\.[0-9a-f]+$/);
+    });
+
+    it('should reject a quote with a tampered payload', () => {
+        const { quoteId } = createQuote();
+        const [, signature] = quoteId.split('.');
+        const forged = FareQuoteService.createQuote({ ...trip, surgeMultiplier: 1.0, fare: 10 }, now).quoteId.split('.')[0];
+
+        const result = FareQuoteService.verifyQuote(`${forged}.${signature}`, trip, now);
+
+        expect(result.valid).toBe(false);
+        expect(result.error).toBe('INVALID_QUOTE');
+    });
+
+    it('should reject malformed quote IDs', () => {
+        expect(FareQuoteService.verifyQuote('not-a-quote', trip, now).error).toBe('INVALID_QUOTE');
+        expect(FareQuoteService.verifyQuote(undefined, trip, now).error).toBe('INVALID_QUOTE');
+    });
+
+    it('should reject an expired quote', () => {
+        const { quoteId } = createQuote();
+        const later = new Date(now.getTime() + FareQuoteService.QUOTE_TTL + 1000);
+
+        const result = FareQuoteService.verifyQuote(quoteId, trip, later);
+
+        expect(result.valid).toBe(false);
+        expect(result.error).toBe('QUOTE_EXPIRED');
+    });
+
+    it('should tolerate small pickup drift', () => {
+        const { quoteId } = createQuote();
+
+        const result = FareQuoteService.verifyQuote(quoteId, { ...trip, pickup: [77.5947, 12.9717] }, now);
+
+        expect(result.valid).toBe(true);
+    });
+
+    it('should reject a different destination', () => {
+        const { quoteId } = createQuote();
+
+        const result = FareQuoteService.verifyQuote(quoteId, { ...trip, destination: [77.7, 13.1] }, now);
+
+        expect(result.valid).toBe(false);
+        expect(result.error).toBe('QUOTE_MISMATCH');
+    });
+
+    it('should reject a different service level', () => {
+        const { quoteId } = createQuote();
+
+        const result = FareQuoteService.verifyQuote(quoteId, { ...trip, serviceLevel: 'economy' }, now);
+
+        expect(result.valid).toBe(false);
+        expect(result.error).toBe('QUOTE_MISMATCH');
+    });
+
+    it('should only match the stops that were quoted', () => {
+        const stops = [[77.61, 12.975]];
+        const { quoteId } = FareQuoteService.createQuote({
+            ...trip,
+            stops,
+            surgeMultiplier: 1.0,
+            fare: 290
+        }, now);
+
+        expect(FareQuoteService.verifyQuote(quoteId, { ...trip, stops }, now).valid).toBe(true);
+        expect(FareQuoteService.verifyQuote(quoteId, trip, now).error).toBe('QUOTE_MISMATCH');
+        expect(FareQuoteService.verifyQuote(quoteId, { ...trip, stops: [[77.63, 12.99]] }, now).error).toBe('QUOTE_MISMATCH');
+        expect(FareQuoteService.verifyQuote(createQuote().quoteId, { ...trip, stops }, now).error).toBe('QUOTE_MISMATCH');
+    });
+});
@@ -0,0 +1,262 @@
+/**
+ * UNIT TESTS for FareSplitService
+ *
+ * Tests splitting a ride's fare between co-riders in isolation
+ * - Validating split requests
+ * - Building shares from co-rider phones, storing only masked phones
+ * - Hiding co-rider phones from drivers and co-riders
+ * - Dividing the final fare evenly or by custom percentages
+ * - Completing the ride payment once every share is paid
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies (models are mocked)
+ */
+
+jest.mock('../../models', () => ({
+    Ride: {
+        find: jest.fn(),
+        findOneAndUpdate: jest.fn()
+    },
+    User: {
+        findByPhone: jest.fn()
+    }
+}));
+
+const { Ride, User } = require('../../models');
+const FareSplitService = require('../../services/FareSplitService');
+
+const share = (userId, status = 'accepted', percentage = null) => ({
+    userId,
+    status,
+    percentage,
+    amount: null,
+    payment: { status: 'pending' }
+});
+
+describe('FareSplitService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('validateSplit', () => {
+        it('should accept an even split', () => {
+            const result = FareSplitService.validateSplit({
+                mode: 'even',
+                participants: [{ phone: '+919876543210' }]
+            });
+
+            expect(result).toEqual({ valid: true });
+        });
+
+        it('should reject duplicate co-riders', () => {
+            const result = FareSplitService.validateSplit({
+                mode: 'even',
+                participants: [{ phone: '+919876543210' }, { phone: '+919876543210' }]
+            });
+
+            expect(result).toMatchObject({ valid: false, error: 'DUPLICATE_CO_RIDER' });
+        });
+
+        it('should limit the number of co-riders', () => {
+            const participants = Array.from({ length: FareSplitService.MAX_CO_RIDERS + 1 }, (_, index) => ({
+                phone: `+91987654321${index}`
+            }));
+
+            const result = FareSplitService.validateSplit({ mode: 'even', participants });
+
+            expect(result).toMatchObject({ valid: false, error: 'TOO_MANY_CO_RIDERS' });
+        });
+
+        it('should require custom percentages that add up to 100', () => {
+            const participants = [{ phone: '+919876543210', percentage: 30 }];
+
+            expect(FareSplitService.validateSplit({ mode: 'custom', participants, riderPercentage: 70 }))
+                .toEqual({ valid: true });
+            expect(FareSplitService.validateSplit({ mode: 'custom', participants, riderPercentage: 60 }))
+                .toMatchObject({ valid: false, error: 'INVALID_SPLIT_PERCENTAGES' });
+            expect(FareSplitService.validateSplit({ mode: 'custom', participants }))
+                .toMatchObject({ valid: false, error: 'INVALID_SPLIT_PERCENTAGES' });
+        });
+    });
+
+    describe('buildSplit', () => {
+        it('should put the booking rider first and invite each co-rider', async () => {
+            User.findByPhone.mockResolvedValue({ _id: 'rider2', role: 'rider', isActive: true });
+
+            const result = await FareSplitService.buildSplit('rider1', {
+                mode: 'custom',
+                participants: [{ phone: '+919876543210', percentage: 40 }],
+                riderPercentage: 60
+            });
+
+            expect(result.success).toBe(true);
+            expect(result.split.shares).toEqual([
+                expect.objectContaining({ userId: 'rider1', status: 'accepted', percentage: 60 }),
+                expect.objectContaining({ userId: 'rider2', maskedPhone: '+••••••••3210', status: 'invited', percentage: 40 })
+            ]);
+            expect(result.split.shares[1]).not.toHaveProperty('phone');
+        });
+
+        it('should keep co-riders already on the split by user ID', async () => {
+            const previous = [share('rider1'), { ...share('rider2'), maskedPhone: '+••••••••3210' }];
+
+            const result = await FareSplitService.buildSplit('rider1', {
+                mode: 'even',
+                participants: [{ userId: 'rider2' }]
+            }, previous);
+
+            expect(User.findByPhone).not.toHaveBeenCalled();
+            expect(result.split.shares[1]).toEqual(
+                expect.objectContaining({ userId: 'rider2', maskedPhone: '+••••••••3210', status: 'invited' })
+            );
+        });
+
+        it('should reject user IDs that are not on the split', async () => {
+            const result = await FareSplitService.buildSplit('rider1', {
+                mode: 'even',
+                participants: [{ userId: 'rider9' }]
+            }, [share('rider1'), share('rider2')]);
+
+            expect(result).toMatchObject({ success: false, error: 'CO_RIDER_NOT_FOUND' });
+        });
+
+        it('should reject a kept co-rider invited again by phone', async () => {
+            User.findByPhone.mockResolvedValue({ _id: 'rider2', role: 'rider', isActive: true });
+
+            const result = await FareSplitService.buildSplit('rider1', {
+                mode: 'even',
+                participants: [{ userId: 'rider2' }, { phone: '+919876543210' }]
+            }, [share('rider1'), share('rider2')]);
+
+            expect(result).toMatchObject({ success: false, error: 'DUPLICATE_CO_RIDER' });
+        });
+
+        it('should reject phones that do not belong to an active rider', async () => {
+            User.findByPhone.mockResolvedValue({ _id: 'driver1', role: 'driver', isActive: true });
+
+            const result = await FareSplitService.buildSplit('rider1', {
+                mode: 'even',
+                participants: [{ phone: '+919876543210' }]
+            });
+
+            expect(result).toMatchObject({ success: false, error: 'CO_RIDER_NOT_FOUND' });
+        });
+
+        it('should not let riders invite themselves', async () => {
+            User.findByPhone.mockResolvedValue({ _id: 'rider1', role: 'rider', isActive: true });
+
+            const result = await FareSplitService.buildSplit('rider1', {
+                mode: 'even',
+                participants: [{ phone: '+919876543210' }]
+            });
+
+            expect(result).toMatchObject({ success: false, error: 'INVALID_CO_RIDER' });
+        });
+    });
+
+    describe('forViewer', () => {
+        const ride = {
+            riderId: 'rider1',
+            fareSplit: { mode: 'even', shares: [share('rider1'), { ...share('rider2'), maskedPhone: '+••••••••3210' }] }
+        };
+
+        it('should show co-rider phones to the booking rider and admins', () => {
+            expect(FareSplitService.forViewer(ride, { _id: 'rider1', role: 'rider' }).fareSplit.shares[1].maskedPhone)
+                .toBe('+••••••••3210');
+            expect(FareSplitService.forViewer(ride, { _id: 'admin1', role: 'admin' }).fareSplit.shares[1].maskedPhone)
+                .toBe('+••••••••3210');
+        });
+
+        it('should hide co-rider phones from drivers and co-riders', () => {
+            const forDriver = FareSplitService.forViewer(ride, { _id: 'driver1', role: 'driver' });
+            const forCoRider = FareSplitService.forViewer(ride, { _id: 'rider2', role: 'rider' });
+
+            expect(forDriver.fareSplit.shares.map(({ maskedPhone }) => maskedPhone)).toEqual([null, null]);
+            expect(forCoRider.fareSplit.shares[1].maskedPhone).toBeNull();
+            expect(ride.fareSplit.shares[1].maskedPhone).toBe('+••••••••3210');
+        });
+    });
+
+    describe('calculateShares', () => {
+        it('should divide the fare evenly and give the remainder to the booking rider', () => {
+            const split = { mode: 'even', shares: [share('rider1'), share('rider2'), share('rider3')] };
+
+            const amounts = FareSplitService.calculateShares(split, 100);
+
+            expect(amounts).toEqual([33.34, 33.33, 33.33]);
+        });
+
+        it('should leave declined co-riders out of an even split', () => {
+            const split = { mode: 'even', shares: [share('rider1'), share('rider2', 'declined'), share('rider3')] };
+
+            expect(FareSplitService.calculateShares(split, 250)).toEqual([125, null, 125]);
+        });
+
+        it('should move unclaimed custom percentages to the booking rider', () => {
+            const split = {
+                mode: 'custom',
+                shares: [share('rider1', 'accepted', 50), share('rider2', 'accepted', 30), share('rider3', 'expired', 20)]
+            };
+
+            expect(FareSplitService.calculateShares(split, 200)).toEqual([140, 60, null]);
+        });
+    });
+
+    describe('applyFinalFare', () => {
+        it('should expire unanswered invitations and fix share amounts', () => {
+            const ride = {
+                fare: { estimated: 180, final: 200 },
+                payment: { method: 'mock' },
+                fareSplit: { mode: 'even', shares: [share('rider1'), share('rider2'), share('rider3', 'invited')] }
+            };
+
+            expect(FareSplitService.applyFinalFare(ride)).toBe(true);
+            expect(ride.payment.method).toBe('split');
+            expect(ride.fareSplit.shares.map(({ status, amount }) => ({ status, amount }))).toEqual([
+                { status: 'accepted', amount: 100 },
+                { status: 'accepted', amount: 100 },
+                { status: 'expired', amount: null }
+            ]);
+        });
+
+        it('should leave the payment alone when no co-rider accepted', () => {
+            const ride = {
+                fare: { estimated: 180, final: 200 },
+                payment: { method: 'wallet' },
+                fareSplit: { mode: 'even', shares: [share('rider1'), share('rider2', 'declined')] }
+            };
+
+            expect(FareSplitService.applyFinalFare(ride)).toBe(false);
+            expect(ride.payment.method).toBe('wallet');
+        });
+    });
+
+    describe('findShare', () => {
+        it('should find a participant by user ID', () => {
+            const ride = { fareSplit: { mode: 'even', shares: [share('rider1'), share('rider2')] } };
+
+            expect(FareSplitService.findShare(ride, 'rider2')).toMatchObject({ userId: 'rider2' });
+            expect(FareSplitService.findShare(ride, 'rider9')).toBeNull();
+            expect(FareSplitService.findShare({ fareSplit: null }, 'rider1')).toBeNull();
+        });
+    });
+
+    describe('completeIfSettled', () => {
+        it('should only complete the payment when no accepted share is unpaid', async () => {
+            Ride.findOneAndUpdate.mockResolvedValue({ _id: 'ride1' });
+
+            await FareSplitService.completeIfSettled('ride1');
+
+            const [filter, update] = Ride.findOneAndUpdate.mock.calls[0];
+            expect(filter).toMatchObject({
+                _id: 'ride1',
+                'payment.method': 'split',
+                'fareSplit.shares': {
+                    $not: { $elemMatch: { status: 'accepted', 'payment.status': { $ne: 'completed' } } }
+                }
+            });
+            expect(update.$set['payment.status']).toBe('completed');
+        });
+    });
+});
@@ -73,6 +73,27 @@ describe('FareService - Basic Fare Calculation', () => {
             expect(result.tripDetails.estimatedAt).toBeInstanceOf(Date);
         });
 
+        it('should add an unsurged waiting fee per stop', () => {
+            const withoutStops = FareService.calculateFare(10, 20, 1.5);
+            const withStops = FareService.calculateFare(10, 20, 1.5, 'economy', 2);
+
+            expect(withStops.stopFare).toBe(40); // 2 * 20
+            expect(withStops.surgeFare).toBe(withoutStops.surgeFare);
+            expect(withStops.totalFare).toBe(withoutStops.totalFare + 40);
+            expect(withStops.tripDetails.stops).toBe(2);
+        });
+
+        it('should scale the stop fee by service level', () => {
+            const result = FareService.calculateFare(10, 20, 1.0, 'premium', 1);
+
+            expect(result.stopFare).toBe(36); // 20 * 1.8
+        });
+
+        it('should reject an invalid stop count', () => {
+            expect(() => FareService.calculateFare(10, 20, 1.0, 'economy', -1)).toThrow('Stop count');
+            expect(() => FareService.calculateFare(10, 20, 1.0, 'economy', 1.5)).toThrow('Stop count');
+        });
+
         it('should round fare to 2 decimal places', () => {
             const distance = 7.333;
             const duration = 15.777;
@@ -440,6 +461,97 @@ describe('FareService - Final Fare Calculation', () => {
 
             expect(result.surgeMultiplier).toBe(1.5);
         });
+
+        it('should charge the quoted fare when the trip stays within tolerance', () => {
+            const metered = FareService.calculateFare(10, 20);
+
+            const result = FareService.calculateFinalFare({
+                actualDistance: 10,
+                actualDuration: 20,
+                estimatedFare: 200,
+                quotedFare: metered.totalFare * 0.95,
+                tolerancePercent: 10
+            });
+
+            expect(result.totalFare).toBe(Math.round(metered.totalFare * 0.95 * 100) / 100);
+            expect(result.billing.chargeAmount).toBe(result.totalFare);
+            expect(result.fareLock.status).toBe('honoured');
+            expect(result.fareLock.meteredFare).toBe(metered.totalFare);
+        });
+
+        it('should re-price when the trip deviates beyond tolerance', () => {
+            const metered = FareService.calculateFare(25, 45);
+
+            const result = FareService.calculateFinalFare({
+                actualDistance: 25,
+                actualDuration: 45,
+                estimatedFare: 200,
+                quotedFare: 200,
+                tolerancePercent: 10
+            });
+
+            expect(result.totalFare).toBe(metered.totalFare);
+            expect(result.fareLock.status).toBe('repriced');
+            expect(result.fareLock.deviationPercent).toBeGreaterThan(10);
+        });
+
+        it('should not apply a fare lock without a quote', () => {
+            const result = FareService.calculateFinalFare({
+                actualDistance: 10,
+                actualDuration: 20,
+                estimatedFare: 200
+            });
+
+            expect(result.fareLock).toBeNull();
+        });
+
+        it('should add waiting at pickup on top of a quoted fare', () => {
+            const metered = FareService.calculateFare(10, 20);
+            const { freeMinutes, perMinuteRate } = FareService.WAITING_POLICY;
+
+            const result = FareService.calculateFinalFare({
+                actualDistance: 10,
+                actualDuration: 20,
+                estimatedFare: 200,
+                waitingMinutes: freeMinutes + 4.5,
+                quotedFare: metered.totalFare
+            });
+
+            expect(result.waitingFare).toBe(4 * perMinuteRate);
+            expect(result.fareLock.status).toBe('honoured');
+            expect(result.totalFare).toBe(Math.round((metered.totalFare + 4 * perMinuteRate) * 100) / 100);
+        });
+    });
+});
+
+describe('FareService - Waiting Charges', () => {
+    const { freeMinutes, perMinuteRate } = FareService.WAITING_POLICY;
+
+    it('should not charge within the free window', () => {
+        const result = FareService.calculateWaitingCharge(freeMinutes);
+
+        expect(result.chargeableMinutes).toBe(0);
+        expect(result.waitingFare).toBe(0);
+    });
+
+    it('should charge whole minutes past the free window', () => {
+        const result = FareService.calculateWaitingCharge(freeMinutes + 2.9);
+
+        expect(result.chargeableMinutes).toBe(2);
+        expect(result.waitingFare).toBe(2 * perMinuteRate);
+        expect(result.freeMinutes).toBe(freeMinutes);
+    });
+
+    it('should scale the rate by service level', () => {
+        const result = FareService.calculateWaitingCharge(freeMinutes + 10, 'premium');
+
+        expect(result.ratePerMinute).toBe(perMinuteRate * 1.8);
+        expect(result.waitingFare).toBe(Math.round(10 * perMinuteRate * 1.8 * 100) / 100);
+    });
+
+    it('should treat missing or negative waiting as none', () => {
+        expect(FareService.calculateWaitingCharge(undefined).waitingFare).toBe(0);
+        expect(FareService.calculateWaitingCharge(-5).waitingMinutes).toBe(0);
     });
 });
 
@@ -484,6 +596,71 @@ describe('FareService - Pricing Configuration', () => {
     });
 });
 
+describe('FareService - Cancellation Fees', () => {
+    const requestedAt = new Date('2024-06-01T10:00:00.000Z');
+    const minutesAfterBooking = (minutes) => new Date(requestedAt.getTime() + minutes * 60000);
+
+    it('should not charge riders who cancel before a driver accepts', () => {
+        const result = FareService.calculateCancellationFee({
+            status: 'requested',
+            cancelledBy: 'rider',
+            requestedAt,
+            cancelledAt: minutesAfterBooking(10)
+        });
+
+        expect(result.fee).toBe(0);
+        expect(result.reason).toBe('NO_DRIVER_ASSIGNED');
+    });
+
+    it('should not charge riders within the free window after booking', () => {
+        const result = FareService.calculateCancellationFee({
+            status: 'accepted',
+            cancelledBy: 'rider',
+            requestedAt,
+            cancelledAt: minutesAfterBooking(1)
+        });
+
+        expect(result.fee).toBe(0);
+        expect(result.reason).toBe('FREE_WINDOW');
+    });
+
+    it('should charge riders who cancel after a driver accepted', () => {
+        const result = FareService.calculateCancellationFee({
+            status: 'accepted',
+            cancelledBy: 'rider',
+            requestedAt,
+            cancelledAt: minutesAfterBooking(5)
+        });
+
+        expect(result.fee).toBe(FareService.CANCELLATION_POLICY.riderFee);
+        expect(result.reason).toBe('DRIVER_ALREADY_ASSIGNED');
+        expect(result.currency).toBe('INR');
+    });
+
+    it('should charge riders who cancel while the driver waits at pickup', () => {
+        const result = FareService.calculateCancellationFee({
+            status: 'arrived',
+            cancelledBy: 'rider',
+            requestedAt,
+            cancelledAt: minutesAfterBooking(5)
+        });
+
+        expect(result.fee).toBe(FareService.CANCELLATION_POLICY.riderFee);
+    });
+
+    it('should never charge the rider when the driver cancels', () => {
+        const result = FareService.calculateCancellationFee({
+            status: 'accepted',
+            cancelledBy: 'driver',
+            requestedAt,
+            cancelledAt: minutesAfterBooking(5)
+        });
+
+        expect(result.fee).toBe(0);
+        expect(result.reason).toBe('NOT_RIDER_INITIATED');
+    });
+});
+
 describe('FareService - Performance Tests', () => {
     it('should calculate fare in less than 10ms', () => {
         const startTime = Date.now();
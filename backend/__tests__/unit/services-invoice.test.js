@@ -0,0 +1,181 @@
+/**
+ * UNIT TESTS for InvoiceService
+ *
+ * Tests GST tax invoices in isolation
+ * - Financial year series and invoice numbers
+ * - Tax rates per service level and region, and CGST/SGST vs IGST lines
+ * - Gap-free number allocation under concurrent issuing
+ * - PDF rendering
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies (models are mocked)
+ */
+
+jest.mock('../../models', () => ({
+    Invoice: {
+        findOne: jest.fn(),
+        create: jest.fn()
+    },
+    User: {
+        findById: jest.fn()
+    }
+}));
+
+const { Invoice } = require('../../models');
+const InvoiceService = require('../../services/InvoiceService');
+
+const BENGALURU = [77.6, 12.97];
+const MUMBAI = [72.88, 19.07];
+
+const paidRide = (overrides = {}) => ({
+    _id: 'ride1',
+    riderId: { _id: 'rider1', profile: { name: 'Asha Rao' }, phone: '+919876543210' },
+    serviceLevel: 'economy',
+    pickup: { address: 'MG Road', coordinates: { type: 'Point', coordinates: BENGALURU } },
+    destination: { address: 'Airport', coordinates: { type: 'Point', coordinates: [77.71, 13.2] } },
+    estimatedDistance: 32,
+    fare: {
+        estimated: 630,
+        final: 630,
+        breakdown: { baseFare: 50, distanceFare: 480, timeFare: 100, surgeFare: 0, discount: 0 }
+    },
+    timeline: { completedAt: new Date('2026-10-18T08:00:00Z') },
+    ...overrides
+});
+
+// findOne(...).sort(...).select(...) chain returning the last invoice in a series
+const lastInvoice = sequence => ({
+    sort: () => ({ select: jest.fn().mockResolvedValue(sequence ? { sequence } : null) })
+});
+
+describe('InvoiceService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('numbering', () => {
+        it('should run financial years from April in Indian time', () => {
+            expect(InvoiceService.getFinancialYear(new Date('2026-10-18T10:00:00Z'))).toBe('2627');
+            expect(InvoiceService.getFinancialYear(new Date('2027-03-31T18:00:00Z'))).toBe('2627');
+            // 00:00 on 1 April IST is still 31 March in UTC
+            expect(InvoiceService.getFinancialYear(new Date('2027-03-31T18:30:00Z'))).toBe('2728');
+        });
+
+        it('should format numbers within the GST 16 character limit', () => {
+            const number = InvoiceService.formatInvoiceNumber('2627', 42);
+
+            expect(number).toBe(`${InvoiceService.PREFIX}/2627/000042`);
+            expect(number.length).toBeLessThanOrEqual(16);
+        });
+    });
+
+    describe('tax', () => {
+        it('should split a tax-inclusive fare into CGST and SGST within the supplier state', () => {
+            const { taxableValue, taxes, totalTax } = InvoiceService.calculateTax(105, 5, true);
+
+            expect(taxableValue).toBe(100);
+            expect(totalTax).toBe(5);
+            expect(taxes).toEqual([
+                { type: 'CGST', rate: 2.5, amount: 2.5 },
+                { type: 'SGST', rate: 2.5, amount: 2.5 }
+            ]);
+        });
+
+        it('should charge IGST outside the supplier state and keep the lines adding up', () => {
+            const { taxableValue, taxes, totalTax } = InvoiceService.calculateTax(333.33, 5, false);
+
+            expect(taxes).toHaveLength(1);
+            expect(taxes[0]).toMatchObject({ type: 'IGST', rate: 5, amount: totalTax });
+            expect(taxableValue + totalTax).toBeCloseTo(333.33, 2);
+        });
+
+        it('should place supply where the pickup is and use region rate overrides', () => {
+            const region = InvoiceService.findRegion(MUMBAI);
+            expect(region.code).toBe('MH');
+
+            expect(InvoiceService.getTaxRate('premium', region)).toBe(InvoiceService.TAX_RATES.premium);
+            expect(InvoiceService.getTaxRate('premium', { code: 'XX', rates: { premium: 18 } })).toBe(18);
+            expect(InvoiceService.findRegion([-122.0, 37.3]).code).toBe(InvoiceService.SUPPLIER.stateCode);
+        });
+
+        it('should build the invoice from the amount charged', () => {
+            const invoice = InvoiceService.buildInvoice(paidRide(), paidRide().riderId);
+            const rate = InvoiceService.TAX_RATES.economy;
+
+            expect(invoice.fare.total).toBe(630);
+            expect(invoice.taxRate).toBe(rate);
+            expect(invoice.taxableValue).toBeCloseTo(630 / (1 + rate / 100), 2);
+            expect(invoice.customer).toEqual({ name: 'Asha Rao', phone: '+919876543210' });
+            expect(invoice.sacCode).toBe('996412');
+        });
+    });
+
+    describe('issueInvoice', () => {
+        it('should return the existing invoice for a ride', async () => {
+            const existing = { invoiceNumber: 'CAB/2627/000001' };
+            Invoice.findOne.mockResolvedValueOnce(existing);
+
+            expect(await InvoiceService.issueInvoice(paidRide())).toBe(existing);
+            expect(Invoice.create).not.toHaveBeenCalled();
+        });
+
+        it('should take the number after the last invoice in the series', async () => {
+            Invoice.findOne
+                .mockResolvedValueOnce(null)
+                .mockReturnValueOnce(lastInvoice(41));
+            Invoice.create.mockImplementation(async fields => fields);
+
+            const invoice = await InvoiceService.issueInvoice(paidRide());
+
+            expect(invoice.sequence).toBe(42);
+            expect(invoice.invoiceNumber).toMatch(/\/000042$/);
+        });
+
+        it('should retry with the next number when another invoice took it', async () => {
+            Invoice.findOne
+                .mockResolvedValueOnce(null)
+                .mockReturnValueOnce(lastInvoice(6))
+                .mockReturnValueOnce(lastInvoice(7));
+            Invoice.create
+                .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), {
+                    code: 11000,
+                    keyPattern: { series: 1, sequence: 1 }
+                }))
+                .mockImplementationOnce(async fields => fields);
+
+            const invoice = await InvoiceService.issueInvoice(paidRide());
+
+            expect(Invoice.create).toHaveBeenCalledTimes(2);
+            expect(invoice.sequence).toBe(8);
+        });
+
+        it('should return the winner when the ride was invoiced concurrently', async () => {
+            const winner = { invoiceNumber: 'CAB/2627/000007' };
+            Invoice.findOne
+                .mockResolvedValueOnce(null)
+                .mockReturnValueOnce(lastInvoice(7))
+                .mockResolvedValueOnce(winner);
+            Invoice.create.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), {
+                code: 11000,
+                keyPattern: { rideId: 1 }
+            }));
+
+            expect(await InvoiceService.issueInvoice(paidRide())).toBe(winner);
+        });
+    });
+
+    describe('renderPdf', () => {
+        it('should render a PDF with the invoice number and tax lines', () => {
+            const fields = InvoiceService.buildInvoice(paidRide(), paidRide().riderId, new Date('2026-10-18T10:00:00Z'));
+            const pdf = InvoiceService.renderPdf({ ...fields, invoiceNumber: 'CAB/2627/000042' }, { tip: { amount: 50 } });
+            const text = pdf.toString('latin1');
+
+            expect(text.startsWith('%PDF-1.4')).toBe(true);
+            expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+            expect(text).toContain('(CAB/2627/000042)');
+            expect(text).toContain('(CGST @ 2.5%)');
+            expect(text).toContain('Tip paid to the driver');
+        });
+    });
+});
@@ -267,6 +267,44 @@ describe('MatchingService - Configuration Constants', () => {
     });
 });
 
+describe('MatchingService - Offer Timers', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        MatchingService._offerTimers.forEach(timer => clearTimeout(timer));
+        MatchingService._offerTimers.clear();
+        jest.useRealTimers();
+    });
+
+    it('should track one response timer per ride', () => {
+        MatchingService._scheduleOfferTimeout('ride123', 'driverA');
+        MatchingService._scheduleOfferTimeout('ride123', 'driverB');
+
+        expect(MatchingService._offerTimers.size).toBe(1);
+    });
+
+    it('should clear the response timer when the offer is resolved', () => {
+        MatchingService._scheduleOfferTimeout('ride123', 'driverA');
+
+        MatchingService.clearOfferTimeout('ride123');
+
+        expect(MatchingService._offerTimers.has('ride123')).toBe(false);
+    });
+
+    it('should expire the offer after the response timeout', () => {
+        const declineSpy = jest.spyOn(MatchingService, 'declineOffer').mockResolvedValue({ success: true });
+
+        MatchingService._scheduleOfferTimeout('ride123', 'driverA');
+        jest.advanceTimersByTime(MatchingService.DRIVER_RESPONSE_TIMEOUT);
+
+        expect(declineSpy).toHaveBeenCalledWith('ride123', 'driverA', 'expired');
+        expect(MatchingService._offerTimers.has('ride123')).toBe(false);
+        declineSpy.mockRestore();
+    });
+});
+
 describe('MatchingService - Error Handling', () => {
     describe('findNearestDriver with invalid input', () => {
         it('should handle invalid coordinates gracefully', async () => {
@@ -374,3 +412,46 @@ describe('MatchingService - Edge Cases', () => {
         expect(distance).toBeLessThan(0.01); // Less than 10 meters
     });
 });
+
+describe('MatchingService - Service Level Eligibility', () => {
+    it('should let a vehicle serve its own level and every level below it', () => {
+        expect(MatchingService.vehicleQualifiesForServiceLevel('premium', 'economy')).toBe(true);
+        expect(MatchingService.vehicleQualifiesForServiceLevel('premium', 'comfort')).toBe(true);
+        expect(MatchingService.vehicleQualifiesForServiceLevel('premium', 'premium')).toBe(true);
+        expect(MatchingService.vehicleQualifiesForServiceLevel('comfort', 'premium')).toBe(false);
+        expect(MatchingService.vehicleQualifiesForServiceLevel('economy', 'comfort')).toBe(false);
+    });
+
+    it('should treat vehicles without a class as economy', () => {
+        expect(MatchingService.vehicleQualifiesForServiceLevel(undefined, 'economy')).toBe(true);
+        expect(MatchingService.vehicleQualifiesForServiceLevel(null, 'comfort')).toBe(false);
+    });
+
+    it('should list the service levels a vehicle class can serve', () => {
+        expect(MatchingService.getServiceLevelsForVehicleClass('economy')).toEqual(['economy']);
+        expect(MatchingService.getServiceLevelsForVehicleClass('comfort')).toEqual(['economy', 'comfort']);
+        expect(MatchingService.getServiceLevelsForVehicleClass('premium')).toEqual(['economy', 'comfort', 'premium']);
+    });
+
+    it('should only restrict the driver query above economy', () => {
+        expect(MatchingService._buildVehicleClassFilter('economy')).toEqual({});
+        expect(MatchingService._buildVehicleClassFilter('comfort')).toEqual({
+            $or: [
+                { 'driverInfo.activeVehicle.vehicleClass': { $in: ['comfort', 'premium'] } },
+                {
+                    'driverInfo.activeVehicle': null,
+                    'driverInfo.vehicleDetails.vehicleClass': { $in: ['comfort', 'premium'] }
+                }
+            ]
+        });
+        expect(MatchingService._buildVehicleClassFilter('premium')).toEqual({
+            $or: [
+                { 'driverInfo.activeVehicle.vehicleClass': { $in: ['premium'] } },
+                {
+                    'driverInfo.activeVehicle': null,
+                    'driverInfo.vehicleDetails.vehicleClass': { $in: ['premium'] }
+                }
+            ]
+        });
+    });
+});
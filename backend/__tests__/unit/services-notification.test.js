@@ -0,0 +1,214 @@
+/**
+ * UNIT TESTS for NotificationService
+ *
+ * Tests notification delivery in isolation
+ * - Templates render per channel and locale, falling back to English
+ * - Channel preferences apply to optional events but not to OTPs
+ * - Failed deliveries are retried with backoff and marked failed after maxAttempts
+ * - OTPs are redacted from the log once delivered
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies (models are mocked; messages go to a temporary mailbox)
+ */
+
+jest.mock('../../models', () => ({
+    User: {
+        findById: jest.fn()
+    },
+    Notification: {
+        create: jest.fn(),
+        find: jest.fn()
+    }
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { User, Notification } = require('../../models');
+const NotificationService = require('../../services/NotificationService');
+const NotificationTransport = require('../../services/notificationTransports/NotificationTransport');
+const MailboxTransport = require('../../services/notificationTransports/MailboxTransport');
+const templates = require('../../services/notificationTemplates');
+
+// Failing transport for retry tests
+class FailingTransport extends NotificationTransport {
+    constructor() {
+        super('failing');
+    }
+
+    async send() {
+        return { success: false, error: 'Gateway unavailable' };
+    }
+}
+
+const buildDocument = (fields) => ({
+    _id: `notification${Notification.create.mock.calls.length}`,
+    ...fields,
+    content: { ...fields.content },
+    status: 'pending',
+    attempts: 0,
+    save: jest.fn().mockResolvedValue(),
+    markModified: jest.fn()
+});
+
+describe('NotificationService', () => {
+    let mailbox;
+    let mailboxDir;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mailboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notification-test-'));
+        mailbox = new MailboxTransport(mailboxDir);
+        NotificationService.registerTransport(mailbox, ['sms', 'email', 'push']);
+        Notification.create.mockImplementation(async (fields) => buildDocument(fields));
+    });
+
+    afterEach(async () => {
+        await mailbox.clear();
+    });
+
+    describe('templates', () => {
+        it('should fill placeholders for each channel', () => {
+            const rendered = templates.render('RIDE_RECEIPT', 'email', 'en', {
+                name: 'Asha',
+                amount: '₹250.00',
+                invoiceNumber: 'INV/2627/000001'
+            });
+
+            expect(rendered.subject).toBe('Your ride receipt - INV/2627/000001');
+            expect(rendered.body).toContain('Hi Asha');
+            expect(rendered.body).toContain('₹250.00');
+        });
+
+        it('should render the requested locale and fall back to English', () => {
+            expect(templates.render('OTP', 'sms', 'hi', { otp: '123456' })).toEqual(
+                expect.objectContaining({ locale: 'hi', body: expect.stringContaining('सत्यापन कोड 123456') })
+            );
+            expect(templates.render('OTP', 'sms', 'fr', { otp: '123456' }).locale).toBe('en');
+        });
+
+        it('should reject channels an event has no template for', () => {
+            expect(() => templates.render('OTP', 'push', 'en', {})).toThrow('No push template for OTP');
+        });
+    });
+
+    describe('notify', () => {
+        it('should deliver an OTP to an address without an account', async () => {
+            const [notification] = await NotificationService.notify('OTP', {
+                to: { phone: '+15550001111' },
+                data: { otp: '654321', expiresInMinutes: 5 }
+            });
+
+            const [message] = await mailbox.read({ channel: 'sms', to: '+15550001111' });
+            expect(message.body).toContain('654321');
+            expect(notification.userId).toBeNull();
+            expect(notification.status).toBe('sent');
+            expect(notification.transport).toBe('mailbox');
+        });
+
+        it('should redact sensitive content once delivered', async () => {
+            const [notification] = await NotificationService.notify('OTP', {
+                to: { phone: '+15550001111' },
+                data: { otp: '654321' }
+            });
+
+            expect(notification.content.body).toBe(NotificationService.REDACTED);
+            expect(notification.content.data).toEqual({});
+            expect(notification.save).toHaveBeenCalled();
+        });
+
+        it('should send optional events only on channels the user enabled, in their language', async () => {
+            const user = {
+                _id: 'rider1',
+                phone: '+15550002222',
+                profile: { name: 'Asha' },
+                notificationPreferences: {
+                    locale: 'hi',
+                    channels: { sms: false, email: true, push: true },
+                    pushSubscriptions: [{ endpoint: 'https://push.example.com/abc', keys: { p256dh: 'k', auth: 'a' } }]
+                }
+            };
+            User.findById.mockResolvedValue(user);
+
+            const notifications = await NotificationService.notify('RIDE_ACCEPTED', {
+                userId: 'rider1',
+                data: { driverName: 'Ravi', vehicle: 'White Swift', pickup: 'MG Road' }
+            });
+
+            expect(notifications.map(notification => notification.channel)).toEqual(['push']);
+            const [message] = await mailbox.read({ channel: 'push', to: 'https://push.example.com/abc' });
+            expect(message.subject).toBe('ड्राइवर रास्ते में है');
+            expect(await mailbox.read({ channel: 'sms' })).toHaveLength(0);
+        });
+
+        it('should send essential events even when the channel is disabled', async () => {
+            const user = {
+                _id: 'rider1',
+                phone: '+15550002222',
+                notificationPreferences: { channels: { sms: false } }
+            };
+
+            const notifications = await NotificationService.notify('PASSWORD_RESET', {
+                user,
+                channels: ['sms'],
+                data: { link: 'http://localhost:3000/reset-password?token=abc' }
+            });
+
+            expect(notifications).toHaveLength(1);
+            expect(notifications[0].channel).toBe('sms');
+        });
+
+        it('should never throw', async () => {
+            Notification.create.mockRejectedValue(new Error('Database unavailable'));
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+            await expect(NotificationService.notify('OTP', { to: { phone: '+15550001111' } })).resolves.toEqual([]);
+            await expect(NotificationService.notify('UNKNOWN_EVENT')).resolves.toEqual([]);
+
+            consoleSpy.mockRestore();
+        });
+    });
+
+    describe('retries', () => {
+        beforeEach(() => {
+            NotificationService.registerTransport(new FailingTransport(), ['sms']);
+        });
+
+        it('should double the delay after each failed attempt', () => {
+            expect(NotificationService.getRetryDelay(1)).toBe(NotificationService.RETRY_DELAY_MS);
+            expect(NotificationService.getRetryDelay(2)).toBe(NotificationService.RETRY_DELAY_MS * 2);
+            expect(NotificationService.getRetryDelay(3)).toBe(NotificationService.RETRY_DELAY_MS * 4);
+        });
+
+        it('should schedule a retry and keep the content while attempts remain', async () => {
+            const [notification] = await NotificationService.notify('OTP', {
+                to: { phone: '+15550001111' },
+                data: { otp: '654321' }
+            });
+
+            expect(notification.status).toBe('pending');
+            expect(notification.attempts).toBe(1);
+            expect(notification.lastError).toBe('Gateway unavailable');
+            expect(notification.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+            expect(notification.content.body).toContain('654321');
+        });
+
+        it('should give up after maxAttempts', async () => {
+            const notification = buildDocument({
+                channel: 'sms',
+                content: { subject: null, body: 'Your code is 654321', data: { otp: '654321' } },
+                sensitive: true,
+                maxAttempts: 2
+            });
+            notification.attempts = 1;
+
+            await NotificationService._deliver(notification, '+15550001111');
+
+            expect(notification.status).toBe('failed');
+            expect(notification.attempts).toBe(2);
+            expect(notification.nextAttemptAt).toBeNull();
+            expect(notification.content.body).toBe(NotificationService.REDACTED);
+        });
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * UNIT TESTS for PasswordResetService
+ *
+ * Tests password reset tokens in isolation
+ * - Tokens are stored hashed and earlier tokens are spent
+ * - Unknown, used or expired tokens are rejected
+ * - A reset changes the password and signs the user out everywhere
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies (models and sessionManager are mocked)
+ */
+
+jest.mock('../../models', () => ({
+    User: {
+        findById: jest.fn()
+    },
+    PasswordResetToken: {
+        create: jest.fn(),
+        updateMany: jest.fn(),
+        findOneAndUpdate: jest.fn()
+    }
+}));
+
+jest.mock('../../utils/sessionManager', () => ({
+    invalidateUserSessions: jest.fn()
+}));
+
+const { User, PasswordResetToken } = require('../../models');
+const sessionManager = require('../../utils/sessionManager');
+const PasswordResetService = require('../../services/PasswordResetService');
+
+describe('PasswordResetService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('issueToken', () => {
+        it('should store only the hash of a fresh token', async () => {
+            const { token, expiresAt } = await PasswordResetService.issueToken({ _id: 'user1' }, { ip: '127.0.0.1' });
+
+            const stored = PasswordResetToken.create.mock.calls[0][0];
+            expect(token).toMatch(/^[0-9a-f]{64}$/);
+            expect(stored.tokenHash).toBe(PasswordResetService.hashToken(token));
+            expect(stored.tokenHash).not.toBe(token);
+            expect(stored.expiresAt).toEqual(expiresAt);
+            expect(expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(PasswordResetService.TOKEN_TTL_MINUTES * 60000);
+        });
+
+        it('should spend the user\'s earlier tokens', async () => {
+            await PasswordResetService.issueToken({ _id: 'user1' });
+
+            expect(PasswordResetToken.updateMany).toHaveBeenCalledWith(
+                { userId: 'user1', usedAt: null },
+                { $set: { usedAt: expect.any(Date) } }
+            );
+        });
+    });
+
+    describe('resetPassword', () => {
+        it('should reject tokens that cannot be claimed', async () => {
+            PasswordResetToken.findOneAndUpdate.mockResolvedValue(null);
+
+            const result = await PasswordResetService.resetPassword('a'.repeat(64), 'NewPass#1');
+
+            expect(result).toEqual(expect.objectContaining({ success: false, error: 'INVALID_RESET_TOKEN' }));
+            expect(PasswordResetToken.findOneAndUpdate).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    tokenHash: PasswordResetService.hashToken('a'.repeat(64)),
+                    usedAt: null,
+                    expiresAt: { $gt: expect.any(Date) }
+                }),
+                { $set: { usedAt: expect.any(Date) } },
+                { new: true }
+            );
+            expect(sessionManager.invalidateUserSessions).not.toHaveBeenCalled();
+        });
+
+        it('should reject tokens of suspended users', async () => {
+            PasswordResetToken.findOneAndUpdate.mockResolvedValue({ userId: 'user1' });
+            User.findById.mockResolvedValue({ _id: 'user1', isActive: false, save: jest.fn() });
+
+            const result = await PasswordResetService.resetPassword('b'.repeat(64), 'NewPass#1');
+
+            expect(result.success).toBe(false);
+        });
+
+        it('should set the new password and invalidate every session', async () => {
+            const user = { _id: 'user1', isActive: true, password: 'old', save: jest.fn().mockResolvedValue() };
+            PasswordResetToken.findOneAndUpdate.mockResolvedValue({ userId: 'user1' });
+            User.findById.mockResolvedValue(user);
+
+            const result = await PasswordResetService.resetPassword('c'.repeat(64), 'NewPass#1');
+
+            expect(result.success).toBe(true);
+            expect(user.password).toBe('NewPass#1');
+            expect(user.save).toHaveBeenCalled();
+            expect(sessionManager.invalidateUserSessions).toHaveBeenCalledWith('user1');
+        });
+    });
+
+    it('should link to the reset-password page', () => {
+        expect(PasswordResetService.getResetLink('abc')).toMatch(/\/reset-password\?token=abc$/);
+    });
+});
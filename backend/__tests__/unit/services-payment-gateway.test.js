@@ -0,0 +1,265 @@
+/**
+ * UNIT TESTS for Payment Providers
+ *
+ * Tests the payment provider abstraction and the local fake gateway
+ * - Webhook signatures
+ * - Mock provider card outcomes
+ * - Fake gateway authorize/capture/void flows and signed webhook retries
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies; the fake gateway runs in-process on a random port
+ */
+
+const express = require('express');
+const { signPayload, verifySignature } = require('../../utils/webhookSignature');
+const PaymentGatewayService = require('../../services/PaymentGatewayService');
+const MockPaymentProvider = require('../../services/paymentProviders/MockPaymentProvider');
+const FakeGatewayProvider = require('../../services/paymentProviders/FakeGatewayProvider');
+const { createFakeGateway } = require('../../scripts/fake-gateway');
+
+const SECRET = 'test_webhook_secret';
+
+const waitFor = async (condition, timeout = 2000) => {
+    const started = Date.now();
+    while (!condition()) {
+        if (Date.now() - started > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+describe('Webhook Signatures', () => {
+    const body = JSON.stringify({ id: 'evt_1', type: 'payment.captured' });
+
+    it('should verify a signature made with the same secret', () => {
+        expect(verifySignature(SECRET, body, signPayload(SECRET, body))).toEqual({ valid: true });
+    });
+
+    it('should reject a tampered body or another secret', () => {
+        const header = signPayload(SECRET, body);
+
+        expect(verifySignature(SECRET, body.replace('captured', 'failed'), header).error).toBe('INVALID_SIGNATURE');
+        expect(verifySignature('other_secret', body, header).error).toBe('INVALID_SIGNATURE');
+    });
+
+    it('should reject old or malformed signatures', () => {
+        const old = Math.floor(Date.now() / 1000) - 10 * 60;
+
+        expect(verifySignature(SECRET, body, signPayload(SECRET, body, old)).error).toBe('SIGNATURE_EXPIRED');
+        expect(verifySignature(SECRET, body, 'v1=abc').error).toBe('MALFORMED_SIGNATURE');
+        expect(verifySignature(SECRET, body, undefined).error).toBe('MISSING_SIGNATURE');
+    });
+});
+
+describe('PaymentGatewayService', () => {
+    // Load a fresh copy of the service with FAKE_GATEWAY_WEBHOOK_SECRET set to the given value
+    const loadWithSecret = secret => {
+        const original = process.env.FAKE_GATEWAY_WEBHOOK_SECRET;
+        let service;
+        if (secret === undefined) {
+            delete process.env.FAKE_GATEWAY_WEBHOOK_SECRET;
+        } else {
+            process.env.FAKE_GATEWAY_WEBHOOK_SECRET = secret;
+        }
+        jest.isolateModules(() => {
+            service = require('../../services/PaymentGatewayService');
+        });
+        if (original === undefined) {
+            delete process.env.FAKE_GATEWAY_WEBHOOK_SECRET;
+        } else {
+            process.env.FAKE_GATEWAY_WEBHOOK_SECRET = original;
+        }
+        return service;
+    };
+
+    it('should register the mock and fake gateway providers', () => {
+        const service = loadWithSecret(SECRET);
+
+        expect(service.getProvider('mock').name).toBe('mock');
+        expect(service.getProvider('fake_gateway').name).toBe('fake_gateway');
+        expect(service.getProvider('toString')).toBeNull();
+    });
+
+    it('should refuse fake gateway webhooks when no webhook secret is set', () => {
+        const service = loadWithSecret(undefined);
+
+        expect(service.getProvider('fake_gateway')).toBeNull();
+        expect(service.verifyWebhook('fake_gateway', '{}', {}).error).toBe('UNKNOWN_PAYMENT_PROVIDER');
+        expect(new FakeGatewayProvider({ webhookSecret: '' }).verifyWebhook('{}', {}).error)
+            .toBe('WEBHOOK_SECRET_NOT_SET');
+        expect(() => createFakeGateway({ webhookSecret: '' })).toThrow('FAKE_GATEWAY_WEBHOOK_SECRET');
+    });
+
+    it('should reject webhooks for unknown or webhook-less providers', () => {
+        expect(PaymentGatewayService.verifyWebhook('unknown', '{}', {}).error).toBe('UNKNOWN_PAYMENT_PROVIDER');
+        expect(PaymentGatewayService.verifyWebhook('mock', '{}', {}).valid).toBe(false);
+    });
+});
+
+describe('MockPaymentProvider', () => {
+    const provider = new MockPaymentProvider();
+    const originalDelay = MockPaymentProvider.PROCESSING_DELAY;
+
+    beforeAll(() => {
+        MockPaymentProvider.PROCESSING_DELAY = 0;
+    });
+
+    afterAll(() => {
+        MockPaymentProvider.PROCESSING_DELAY = originalDelay;
+    });
+
+    it('should settle successful charges immediately', async () => {
+        const result = await provider.authorize({ amount: 150, paymentDetails: { cardNumber: '4242424242424242' } });
+
+        expect(result).toMatchObject({ success: true, status: 'succeeded' });
+        expect(result.transactionId).toMatch(/^mock_/);
+    });
+
+    it('should decline the test decline cards', async () => {
+        const declined = await provider.authorize({ amount: 150, paymentDetails: { cardNumber: '4000000000000002' } });
+        const noFunds = await provider.authorize({ amount: 150, paymentDetails: { cardNumber: '4000000000009995' } });
+
+        expect(declined).toMatchObject({ success: false, status: 'failed', error: 'CARD_DECLINED' });
+        expect(noFunds).toMatchObject({ success: false, error: 'INSUFFICIENT_FUNDS', message: 'Insufficient funds' });
+    });
+});
+
+describe('Fake Gateway', () => {
+    let gateway, receiver, provider;
+    let received, failFirstDeliveries, attempts;
+
+    beforeAll(async () => {
+        // Webhook receiver standing in for the backend
+        const receiverApp = express();
+        receiverApp.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+        receiverApp.post('/webhooks', (req, res) => {
+            attempts[req.body.id] = (attempts[req.body.id] || 0) + 1;
+            if (attempts[req.body.id] <= failFirstDeliveries) {
+                return res.status(500).json({ success: false });
+            }
+            received.push({ rawBody: req.rawBody, headers: req.headers });
+            res.json({ success: true });
+        });
+        receiver = await new Promise(resolve => {
+            const server = receiverApp.listen(0, () => resolve(server));
+        });
+
+        gateway = createFakeGateway({
+            webhookUrl: `http://127.0.0.1:${receiver.address().port}/webhooks`,
+            webhookSecret: SECRET,
+            settleDelay: 10,
+            retryDelay: 10,
+            maxAttempts: 3
+        });
+        const server = await gateway.start(0);
+        provider = new FakeGatewayProvider({
+            baseUrl: `http://127.0.0.1:${server.address().port}`,
+            webhookSecret: SECRET
+        });
+    });
+
+    afterAll(async () => {
+        await gateway.stop();
+        await new Promise(resolve => receiver.close(resolve));
+    });
+
+    beforeEach(() => {
+        received = [];
+        attempts = {};
+        failFirstDeliveries = 0;
+    });
+
+    // Verified webhook events about one gateway payment, in arrival order
+    const eventsFor = transactionId => received
+        .map(({ rawBody, headers }) => provider.verifyWebhook(rawBody, headers))
+        .filter(({ event }) => event.paymentTransactionId === transactionId)
+        .map(({ event }) => event);
+
+    it('should answer a charge as pending and confirm it with a signed webhook', async () => {
+        const result = await provider.authorize({
+            amount: 245.5,
+            paymentDetails: { cardNumber: '4242424242424242' },
+            metadata: { purpose: 'ride_payment', rideId: 'ride1' }
+        });
+        expect(result).toMatchObject({ success: true, status: 'pending' });
+
+        await waitFor(() => eventsFor(result.transactionId).length === 1);
+
+        expect(provider.verifyWebhook(received[0].rawBody, received[0].headers).valid).toBe(true);
+        expect(eventsFor(result.transactionId)[0]).toMatchObject({
+            type: 'payment.captured',
+            transactionId: result.transactionId,
+            amount: 245.5,
+            metadata: { purpose: 'ride_payment', rideId: 'ride1' }
+        });
+    });
+
+    it('should decline test decline cards synchronously', async () => {
+        const result = await provider.authorize({ amount: 100, paymentDetails: { cardNumber: '4000000000009995' } });
+
+        expect(result).toMatchObject({ success: false, status: 'failed', error: 'INSUFFICIENT_FUNDS' });
+    });
+
+    it('should report asynchronous capture failures', async () => {
+        const result = await provider.authorize({ amount: 100, paymentDetails: { cardNumber: '4000000000000259' } });
+        expect(result.status).toBe('pending');
+
+        await waitFor(() => eventsFor(result.transactionId).length === 1);
+        expect(eventsFor(result.transactionId)[0].type).toBe('payment.failed');
+    });
+
+    it('should support delayed capture of an authorization', async () => {
+        const auth = await provider.authorize({ amount: 300, paymentDetails: {}, capture: false });
+        expect(auth).toMatchObject({ success: true, status: 'succeeded' });
+
+        const capture = await provider.capture(auth.transactionId, 250);
+        expect(capture.status).toBe('pending');
+
+        const captured = () => eventsFor(auth.transactionId).find(({ type }) => type === 'payment.captured');
+        await waitFor(captured);
+        expect(captured().amount).toBe(250);
+
+        const voided = await provider.void(auth.transactionId);
+        expect(voided).toMatchObject({ success: false, error: 'invalid_state' });
+    });
+
+    it('should void an authorization', async () => {
+        const auth = await provider.authorize({ amount: 300, paymentDetails: {}, capture: false });
+
+        const result = await provider.void(auth.transactionId);
+
+        expect(result).toMatchObject({ success: true, status: 'succeeded' });
+        expect(gateway.payments.get(auth.transactionId).status).toBe('voided');
+    });
+
+    it('should retry webhooks until they are acknowledged', async () => {
+        failFirstDeliveries = 2;
+
+        const result = await provider.authorize({ amount: 80, paymentDetails: {} });
+
+        const findEvent = () => gateway.events.find(({ data }) => data.id === result.transactionId);
+        await waitFor(() => findEvent() && findEvent().delivered);
+        const event = findEvent();
+        expect(eventsFor(result.transactionId)).toHaveLength(1);
+        expect(event.deliveries.map(({ status }) => status)).toEqual([500, 500, 200]);
+        expect(event.delivered).toBe(true);
+    });
+
+    it('should refund a captured payment asynchronously', async () => {
+        const charge = await provider.authorize({ amount: 200, paymentDetails: {} });
+        await waitFor(() => eventsFor(charge.transactionId).length === 1);
+
+        const refund = await provider.refund(charge.transactionId, 50);
+        expect(refund).toMatchObject({ success: true, status: 'pending' });
+
+        await waitFor(() => eventsFor(charge.transactionId).length === 2);
+        expect(eventsFor(charge.transactionId)[1]).toMatchObject({
+            type: 'refund.succeeded',
+            transactionId: refund.transactionId,
+            paymentTransactionId: charge.transactionId,
+            amount: 50
+        });
+    });
+});
@@ -0,0 +1,320 @@
+/**
+ * UNIT TESTS for PaymentHoldService
+ *
+ * Tests card pre-authorization holds in isolation
+ * - Hold amount from the fare range
+ * - Authorizing a hold at booking, or at dispatch for scheduled rides
+ * - Capturing the final fare, and falling back to a normal payment
+ * - Releasing holds on cancellation
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies (models are mocked; cards go to the mock provider)
+ */
+
+jest.mock('../../models', () => ({
+    Ride: {
+        findOneAndUpdate: jest.fn()
+    }
+}));
+
+const { Ride } = require('../../models');
+const FareService = require('../../services/FareService');
+const PaymentHoldService = require('../../services/PaymentHoldService');
+const PaymentGatewayService = require('../../services/PaymentGatewayService');
+const MockPaymentProvider = require('../../services/paymentProviders/MockPaymentProvider');
+const encryptionUtils = require('../../utils/encryption');
+
+const heldRide = (fare, holdAmount = 300) => ({
+    _id: 'ride1',
+    fare: { estimated: 200, final: fare },
+    payment: {
+        status: 'pending',
+        hold: {
+            status: 'authorized',
+            amount: holdAmount,
+            provider: 'mock',
+            authorizationId: 'mock_auth_1',
+            authorizedAt: new Date()
+        }
+    }
+});
+
+// The document findOneAndUpdate would return after applying a $set
+const afterUpdate = (ride, update) => {
+    const updated = JSON.parse(JSON.stringify(ride));
+    Object.entries(update.$set).forEach(([path, value]) => {
+        const keys = path.split('.');
+        const last = keys.pop();
+        keys.reduce((target, key) => target[key], updated)[last] = value;
+    });
+    return updated;
+};
+
+describe('PaymentHoldService', () => {
+    const originalDelay = MockPaymentProvider.PROCESSING_DELAY;
+    const mockProvider = PaymentGatewayService.getProvider('mock');
+
+    beforeAll(() => {
+        MockPaymentProvider.PROCESSING_DELAY = 0;
+    });
+
+    afterAll(() => {
+        MockPaymentProvider.PROCESSING_DELAY = originalDelay;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    describe('calculateHoldAmount', () => {
+        it('should hold the top of the fare range', () => {
+            const { fareRange } = FareService.estimateFare(12, 30, { serviceLevel: 'comfort' });
+
+            const amount = PaymentHoldService.calculateHoldAmount({
+                distance: 12,
+                duration: 30,
+                serviceLevel: 'comfort',
+                fare: 150
+            });
+
+            expect(amount).toBe(fareRange.maximum);
+            expect(amount).toBeGreaterThan(fareRange.minimum);
+        });
+
+        it('should never hold less than the booked fare', () => {
+            expect(PaymentHoldService.calculateHoldAmount({ distance: 1, duration: 3, fare: 5000 })).toBe(5000);
+        });
+
+        it('should cover the waiting fees of booked stops', () => {
+            const trip = { distance: 12, duration: 30, serviceLevel: 'economy' };
+
+            expect(PaymentHoldService.calculateHoldAmount({ ...trip, stopCount: 2 }))
+                .toBe(PaymentHoldService.calculateHoldAmount(trip) + 2 * FareService.PRICING_CONFIG.stopWaitingFee);
+        });
+    });
+
+    describe('placeHold', () => {
+        it('should authorize without capturing and record the hold on the ride', async () => {
+            const authorize = jest.spyOn(mockProvider, 'authorize');
+            const ride = { _id: 'ride1', payment: { method: 'cash', hold: null } };
+
+            const result = await PaymentHoldService.placeHold(ride, { amount: 320, paymentDetails: {} });
+
+            expect(result).toEqual({ success: true });
+            expect(authorize).toHaveBeenCalledWith(expect.objectContaining({
+                amount: 320,
+                capture: false,
+                metadata: { purpose: 'ride_payment', rideId: 'ride1' }
+            }));
+            expect(ride.payment.method).toBe('mock');
+            expect(ride.payment.hold).toMatchObject({ status: 'authorized', amount: 320, provider: 'mock' });
+            expect(ride.payment.hold.authorizationId).toMatch(/^mock_/);
+        });
+
+        it('should leave the ride untouched when the card is declined', async () => {
+            const ride = { _id: 'ride1', payment: { method: 'mock', hold: null } };
+
+            const result = await PaymentHoldService.placeHold(ride, {
+                amount: 320,
+                paymentDetails: { cardNumber: '4000000000000002' }
+            });
+
+            expect(result).toMatchObject({ success: false, error: 'CARD_DECLINED' });
+            expect(ride.payment.hold).toBeNull();
+        });
+    });
+
+    describe('placeDispatchHold', () => {
+        // A scheduled ride the scheduler has just moved to 'requested'
+        const dispatchedRide = {
+            _id: 'ride1',
+            status: 'requested',
+            estimatedDistance: 12,
+            estimatedDuration: 30,
+            serviceLevel: 'economy',
+            stops: [],
+            fare: { estimated: 180, breakdown: { discount: 20 } },
+            payment: { method: 'mock', hold: null }
+        };
+        const bookedWithCard = paymentDetails => ({
+            select: jest.fn().mockResolvedValue({ payment: { card: PaymentHoldService.saveCard(paymentDetails) } })
+        });
+
+        it('should save the card without its CVV', () => {
+            const saved = PaymentHoldService.saveCard({ cardNumber: '4242424242424242', cvv: '123', expiryMonth: 12 });
+
+            expect(JSON.parse(encryptionUtils.decrypt(saved))).toEqual({ cardNumber: '4242424242424242', expiryMonth: 12 });
+        });
+
+        it('should do nothing for bookings without a saved card', async () => {
+            const authorize = jest.spyOn(mockProvider, 'authorize');
+            Ride.findOneAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+            expect(await PaymentHoldService.placeDispatchHold(dispatchedRide)).toEqual({ success: true });
+            expect(authorize).not.toHaveBeenCalled();
+        });
+
+        it('should take the saved card and hold the fare the ride is booked at now', async () => {
+            const authorize = jest.spyOn(mockProvider, 'authorize');
+            Ride.findOneAndUpdate
+                .mockReturnValueOnce(bookedWithCard({ cardNumber: '4242424242424242' }))
+                .mockImplementationOnce(async (filter, update) => afterUpdate(dispatchedRide, update));
+            const amount = PaymentHoldService.calculateHoldAmount({ distance: 12, duration: 30, fare: 200 });
+
+            const result = await PaymentHoldService.placeDispatchHold(dispatchedRide);
+
+            expect(Ride.findOneAndUpdate).toHaveBeenNthCalledWith(1,
+                { _id: 'ride1', 'payment.card': { $ne: null } },
+                { $set: { 'payment.card': null } }
+            );
+            expect(authorize).toHaveBeenCalledWith(expect.objectContaining({
+                amount,
+                capture: false,
+                paymentDetails: expect.objectContaining({ cardNumber: '4242424242424242' })
+            }));
+            expect(Ride.findOneAndUpdate.mock.calls[1][0]).toEqual({ _id: 'ride1', status: 'requested', 'payment.hold': null });
+            expect(result.success).toBe(true);
+            expect(result.ride.payment.hold).toMatchObject({ status: 'authorized', amount, provider: 'mock' });
+        });
+
+        it('should report a declined card without holding anything', async () => {
+            Ride.findOneAndUpdate.mockReturnValueOnce(bookedWithCard({ cardNumber: '4000000000000002' }));
+
+            const result = await PaymentHoldService.placeDispatchHold(dispatchedRide);
+
+            expect(result).toMatchObject({ success: false, error: 'CARD_DECLINED' });
+            expect(Ride.findOneAndUpdate).toHaveBeenCalledTimes(1);
+        });
+
+        it('should void the authorization when the ride was cancelled meanwhile', async () => {
+            const voidAuthorization = jest.spyOn(mockProvider, 'void');
+            Ride.findOneAndUpdate
+                .mockReturnValueOnce(bookedWithCard({ cardNumber: '4242424242424242' }))
+                .mockResolvedValueOnce(null);
+
+            const result = await PaymentHoldService.placeDispatchHold(dispatchedRide);
+
+            expect(result).toMatchObject({ success: false, error: 'RIDE_CHANGED' });
+            expect(voidAuthorization).toHaveBeenCalledWith(expect.stringMatching(/^mock_/));
+        });
+    });
+
+    describe('captureHold', () => {
+        it('should do nothing for rides without an authorized hold', async () => {
+            const ride = heldRide(180);
+            ride.payment.hold = null;
+
+            expect(await PaymentHoldService.captureHold(ride)).toEqual({ status: 'none' });
+            expect(Ride.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should capture the final fare and complete the payment', async () => {
+            const ride = heldRide(180);
+            const capture = jest.spyOn(mockProvider, 'capture');
+            Ride.findOneAndUpdate.mockImplementation(async (filter, update) => afterUpdate(ride, update));
+
+            const result = await PaymentHoldService.captureHold(ride);
+
+            expect(capture).toHaveBeenCalledWith('mock_auth_1', 180);
+            expect(result.status).toBe('completed');
+            expect(result.ride.payment).toMatchObject({
+                status: 'completed',
+                transactionId: 'mock_auth_1',
+                hold: { status: 'captured', capturedAmount: 180 }
+            });
+            // The payment is claimed before the provider is called
+            expect(Ride.findOneAndUpdate.mock.calls[0][0]).toMatchObject({
+                'payment.status': 'pending',
+                'payment.hold.status': 'authorized'
+            });
+        });
+
+        it('should keep the payment processing while an asynchronous capture settles', async () => {
+            const ride = heldRide(180);
+            jest.spyOn(mockProvider, 'capture').mockResolvedValue({ success: true, status: 'pending', transactionId: 'mock_auth_1' });
+            Ride.findOneAndUpdate.mockImplementation(async (filter, update) => afterUpdate(ride, update));
+
+            const result = await PaymentHoldService.captureHold(ride);
+
+            expect(result.status).toBe('processing');
+            expect(Ride.findOneAndUpdate.mock.calls[1][1].$set).not.toHaveProperty('payment.status');
+            expect(Ride.findOneAndUpdate.mock.calls[1][1].$set['payment.transactionId']).toBe('mock_auth_1');
+        });
+
+        it('should release the hold when the final fare exceeds it', async () => {
+            const ride = heldRide(350);
+            const capture = jest.spyOn(mockProvider, 'capture');
+            const voidAuth = jest.spyOn(mockProvider, 'void');
+            Ride.findOneAndUpdate.mockImplementation(async (filter, update) => afterUpdate(ride, update));
+
+            const result = await PaymentHoldService.captureHold(ride);
+
+            expect(result.status).toBe('released');
+            expect(result.ride.payment.hold).toMatchObject({ status: 'released', reason: 'FARE_EXCEEDS_HOLD' });
+            expect(capture).not.toHaveBeenCalled();
+            expect(voidAuth).toHaveBeenCalledWith('mock_auth_1');
+        });
+
+        it('should release the hold when the fare is split with co-riders', async () => {
+            const ride = heldRide(180);
+            ride.payment.method = 'split';
+            const capture = jest.spyOn(mockProvider, 'capture');
+            Ride.findOneAndUpdate.mockImplementation(async (filter, update) => afterUpdate(ride, update));
+
+            const result = await PaymentHoldService.captureHold(ride);
+
+            expect(result.status).toBe('released');
+            expect(result.ride.payment.hold.reason).toBe('FARE_SPLIT');
+            expect(capture).not.toHaveBeenCalled();
+        });
+
+        it('should release the hold when the rider is already paying another way', async () => {
+            const ride = heldRide(180);
+            const capture = jest.spyOn(mockProvider, 'capture');
+            Ride.findOneAndUpdate
+                .mockResolvedValueOnce(null)
+                .mockImplementationOnce(async (filter, update) => afterUpdate(ride, update));
+
+            const result = await PaymentHoldService.captureHold(ride);
+
+            expect(result.status).toBe('released');
+            expect(result.ride.payment.hold.reason).toBe('PAID_SEPARATELY');
+            expect(capture).not.toHaveBeenCalled();
+        });
+
+        it('should hand the payment back to the rider when the capture fails', async () => {
+            const ride = heldRide(180);
+            jest.spyOn(mockProvider, 'capture').mockResolvedValue({ success: false, status: 'failed', error: 'EXPIRED' });
+            Ride.findOneAndUpdate.mockImplementation(async (filter, update) => afterUpdate(ride, update));
+
+            const result = await PaymentHoldService.captureHold(ride);
+
+            expect(result.status).toBe('failed');
+            expect(result.ride.payment).toMatchObject({ status: 'pending', hold: { status: 'failed', reason: 'EXPIRED' } });
+        });
+    });
+
+    describe('releaseHold', () => {
+        it('should void an authorized hold', async () => {
+            const ride = heldRide(null);
+            const voidAuth = jest.spyOn(mockProvider, 'void');
+            Ride.findOneAndUpdate.mockImplementation(async (filter, update) => afterUpdate(ride, update));
+
+            const released = await PaymentHoldService.releaseHold('ride1');
+
+            expect(Ride.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'ride1', 'payment.hold.status': 'authorized' });
+            expect(released.payment.hold).toMatchObject({ status: 'released', reason: 'RIDE_CANCELLED' });
+            expect(voidAuth).toHaveBeenCalledWith('mock_auth_1');
+        });
+
+        it('should return null when there is no hold to release', async () => {
+            const voidAuth = jest.spyOn(mockProvider, 'void');
+            Ride.findOneAndUpdate.mockResolvedValue(null);
+
+            expect(await PaymentHoldService.releaseHold('ride1')).toBeNull();
+            expect(voidAuth).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,253 @@
+/**
+ * UNIT TESTS for PromoService
+ *
+ * Tests promo rules in isolation
+ * - Percentage and flat discounts with caps
+ * - Validity window, usage limits and first-ride-only rules
+ * - City restrictions and minimum fare
+ * - Re-checking a booked ride's promo after its route changes
+ * - Reserving global and per-rider usage slots
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies (models are mocked)
+ */
+
+jest.mock('../../models', () => ({
+    Promo: {
+        findById: jest.fn(),
+        findOneAndUpdate: jest.fn(),
+        updateOne: jest.fn()
+    },
+    PromoRedemption: {
+        create: jest.fn()
+    },
+    Ride: {
+        exists: jest.fn()
+    }
+}));
+
+const { Promo, PromoRedemption, Ride } = require('../../models');
+const PromoService = require('../../services/PromoService');
+
+const buildPromo = (overrides = {}) => ({
+    code: 'WELCOME50',
+    discountType: 'percentage',
+    discountValue: 50,
+    maxDiscount: 100,
+    minFare: 0,
+    firstRideOnly: false,
+    usageLimit: null,
+    perUserLimit: 1,
+    usedCount: 0,
+    validFrom: new Date('2024-06-01T00:00:00.000Z'),
+    validUntil: new Date('2024-07-01T00:00:00.000Z'),
+    cities: [],
+    isActive: true,
+    ...overrides
+});
+
+describe('PromoService - Discount Calculation', () => {
+    it('should apply a percentage discount', () => {
+        const discount = PromoService.calculateDiscount(buildPromo({ maxDiscount: null }), 150);
+
+        expect(discount).toBe(75);
+    });
+
+    it('should cap percentage discounts at maxDiscount', () => {
+        const discount = PromoService.calculateDiscount(buildPromo(), 400);
+
+        expect(discount).toBe(100);
+    });
+
+    it('should apply a flat discount', () => {
+        const discount = PromoService.calculateDiscount(
+            buildPromo({ discountType: 'flat', discountValue: 40, maxDiscount: null }),
+            150
+        );
+
+        expect(discount).toBe(40);
+    });
+
+    it('should never discount more than the fare', () => {
+        const discount = PromoService.calculateDiscount(
+            buildPromo({ discountType: 'flat', discountValue: 200, maxDiscount: null }),
+            120
+        );
+
+        expect(discount).toBe(120);
+    });
+});
+
+describe('PromoService - Eligibility Rules', () => {
+    const now = new Date('2024-06-15T10:00:00.000Z');
+    const pickup = [77.5946, 12.9716]; // Bengaluru
+    const context = { pickup, fare: 200, now };
+
+    it('should accept an eligible booking', () => {
+        expect(PromoService.checkEligibility(buildPromo(), context).valid).toBe(true);
+    });
+
+    it('should reject inactive promos', () => {
+        const result = PromoService.checkEligibility(buildPromo({ isActive: false }), context);
+
+        expect(result.error).toBe('PROMO_INACTIVE');
+    });
+
+    it('should reject promos outside their validity window', () => {
+        const early = PromoService.checkEligibility(buildPromo(), { ...context, now: new Date('2024-05-31T23:00:00.000Z') });
+        const late = PromoService.checkEligibility(buildPromo(), { ...context, now: new Date('2024-07-02T00:00:00.000Z') });
+
+        expect(early.error).toBe('PROMO_NOT_STARTED');
+        expect(late.error).toBe('PROMO_EXPIRED');
+    });
+
+    it('should enforce the global usage limit', () => {
+        const result = PromoService.checkEligibility(buildPromo({ usageLimit: 100, usedCount: 100 }), context);
+
+        expect(result.error).toBe('PROMO_USAGE_LIMIT_REACHED');
+    });
+
+    it('should enforce the per-user limit', () => {
+        const promo = buildPromo({ perUserLimit: 2 });
+
+        expect(PromoService.checkEligibility(promo, { ...context, userRedemptions: 1 }).valid).toBe(true);
+        expect(PromoService.checkEligibility(promo, { ...context, userRedemptions: 2 }).error)
+            .toBe('PROMO_USER_LIMIT_REACHED');
+    });
+
+    it('should restrict first-ride promos to riders without completed rides', () => {
+        const promo = buildPromo({ firstRideOnly: true });
+
+        expect(PromoService.checkEligibility(promo, { ...context, hasCompletedRide: false }).valid).toBe(true);
+        expect(PromoService.checkEligibility(promo, { ...context, hasCompletedRide: true }).error)
+            .toBe('PROMO_FIRST_RIDE_ONLY');
+    });
+
+    it('should restrict promos to their cities', () => {
+        const promo = buildPromo({
+            cities: [{ name: 'Mumbai', center: [72.8777, 19.0760], radiusKm: 40 }]
+        });
+        const inMumbai = PromoService.checkEligibility(promo, { ...context, pickup: [72.8347, 18.9220] });
+        const inBengaluru = PromoService.checkEligibility(promo, context);
+
+        expect(inMumbai.valid).toBe(true);
+        expect(inBengaluru.error).toBe('PROMO_CITY_RESTRICTED');
+        expect(inBengaluru.message).toContain('Mumbai');
+    });
+
+    it('should enforce the minimum fare', () => {
+        const result = PromoService.checkEligibility(buildPromo({ minFare: 250 }), context);
+
+        expect(result.error).toBe('PROMO_MIN_FARE_NOT_MET');
+    });
+
+    it('should skip usage limits for a booking that already holds a slot', () => {
+        const promo = buildPromo({ usageLimit: 100, usedCount: 100 });
+
+        expect(PromoService.checkEligibility(promo, { ...context, userRedemptions: 1, reserved: true }).valid).toBe(true);
+    });
+});
+
+describe('PromoService - Re-checking Booked Rides', () => {
+    const now = new Date('2024-06-15T10:00:00.000Z');
+    const ride = { riderId: 'rider1', fare: { promo: { promoId: 'promo1' } } };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should reject a new pickup outside the promo\'s cities', async () => {
+        Promo.findById.mockResolvedValue(buildPromo({
+            cities: [{ name: 'Mumbai', center: [72.8777, 19.0760], radiusKm: 40 }]
+        }));
+
+        const result = await PromoService.recheckForRide(ride, { pickup: [77.5946, 12.9716], fare: 200, now });
+
+        expect(result.error).toBe('PROMO_CITY_RESTRICTED');
+        expect(Promo.findById).toHaveBeenCalledWith('promo1');
+    });
+
+    it('should reject a new fare below the minimum', async () => {
+        Promo.findById.mockResolvedValue(buildPromo({ minFare: 250 }));
+
+        const result = await PromoService.recheckForRide(ride, { pickup: [77.5946, 12.9716], fare: 200, now });
+
+        expect(result.error).toBe('PROMO_MIN_FARE_NOT_MET');
+    });
+
+    it('should accept the ride\'s own fully used promo', async () => {
+        Promo.findById.mockResolvedValue(buildPromo({ usageLimit: 1, usedCount: 1, firstRideOnly: true }));
+        Ride.exists.mockResolvedValue(null);
+
+        const result = await PromoService.recheckForRide(ride, { pickup: [77.5946, 12.9716], fare: 200, now });
+
+        expect(result.valid).toBe(true);
+        expect(Ride.exists).toHaveBeenCalledWith({ riderId: 'rider1', status: 'completed' });
+    });
+});
+
+describe('PromoService - Reservations', () => {
+    const promo = buildPromo({ _id: 'promo1', perUserLimit: 2 });
+    const booking = { riderId: 'rider1', rideId: 'ride1', discount: 50 };
+    const slotTaken = () => Object.assign(new Error('E11000 duplicate key'), {
+        code: 11000,
+        keyPattern: { promoId: 1, userId: 1, slot: 1 }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Promo.findOneAndUpdate.mockResolvedValue({ ...promo, usedCount: 1 });
+        Promo.updateOne.mockResolvedValue({});
+    });
+
+    it('should not reserve when the global limit is reached', async () => {
+        Promo.findOneAndUpdate.mockResolvedValueOnce(null);
+
+        const result = await PromoService.reserve(promo, booking);
+
+        expect(result.error).toBe('PROMO_USAGE_LIMIT_REACHED');
+        expect(PromoRedemption.create).not.toHaveBeenCalled();
+    });
+
+    it('should take the rider\'s next free slot', async () => {
+        PromoRedemption.create
+            .mockRejectedValueOnce(slotTaken())
+            .mockResolvedValueOnce({});
+
+        const result = await PromoService.reserve(promo, booking);
+
+        expect(result.success).toBe(true);
+        expect(PromoRedemption.create.mock.calls.map(([doc]) => doc.slot)).toEqual([1, 2]);
+        expect(Promo.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should give the usage slot back when the rider has none left', async () => {
+        PromoRedemption.create.mockRejectedValue(slotTaken());
+
+        const result = await PromoService.reserve(promo, booking);
+
+        expect(result.error).toBe('PROMO_USER_LIMIT_REACHED');
+        expect(PromoRedemption.create).toHaveBeenCalledTimes(2);
+        expect(Promo.updateOne).toHaveBeenCalledWith(
+            { _id: 'promo1', usedCount: { $gt: 0 } },
+            { $inc: { usedCount: -1 } }
+        );
+    });
+
+    it('should give each rider a single slot on a first-ride promo', async () => {
+        PromoRedemption.create.mockRejectedValue(slotTaken());
+
+        const result = await PromoService.reserve({ ...promo, firstRideOnly: true }, booking);
+
+        expect(result.error).toBe('PROMO_USER_LIMIT_REACHED');
+        expect(PromoRedemption.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give the usage slot back when the redemption cannot be written', async () => {
+        PromoRedemption.create.mockRejectedValue(new Error('write failed'));
+
+        await expect(PromoService.reserve(promo, booking)).rejects.toThrow('write failed');
+        expect(Promo.updateOne).toHaveBeenCalledTimes(1);
+    });
+});
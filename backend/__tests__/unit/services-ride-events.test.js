@@ -0,0 +1,69 @@
+/**
+ * UNIT TESTS for RideEventService
+ *
+ * Tests ride event helpers in isolation
+ * - Actor resolution from the authenticated user
+ * - Driver location milestone detection
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies
+ * - Pure function testing
+ */
+
+const RideEventService = require('../../services/RideEventService');
+
+describe('RideEventService - Actors', () => {
+    it('should attribute events to the authenticated user', () => {
+        const actor = RideEventService.actorFromUser({ _id: 'user123', role: 'driver' });
+
+        expect(actor).toEqual({ role: 'driver', userId: 'user123' });
+    });
+
+    it('should attribute events without a user to the system', () => {
+        expect(RideEventService.actorFromUser(null)).toEqual({ role: 'system', userId: null });
+    });
+});
+
+describe('RideEventService - Location Milestones', () => {
+    const ride = {
+        pickup: { coordinates: { type: 'Point', coordinates: [77.5946, 12.9716] } },
+        destination: { coordinates: { type: 'Point', coordinates: [77.6412, 12.9719] } }
+    };
+
+    it('should detect the driver reaching the pickup on an accepted ride', () => {
+        const milestone = RideEventService.detectLocationMilestone(
+            { ...ride, status: 'accepted' },
+            [77.5950, 12.9718]
+        );
+
+        expect(milestone).toBe('DRIVER_NEAR_PICKUP');
+    });
+
+    it('should detect the driver reaching the destination on a ride in progress', () => {
+        const milestone = RideEventService.detectLocationMilestone(
+            { ...ride, status: 'in_progress' },
+            [77.6410, 12.9720]
+        );
+
+        expect(milestone).toBe('DRIVER_NEAR_DESTINATION');
+    });
+
+    it('should ignore positions outside the milestone radius', () => {
+        const milestone = RideEventService.detectLocationMilestone(
+            { ...ride, status: 'accepted' },
+            [77.6100, 12.9716]
+        );
+
+        expect(milestone).toBeNull();
+    });
+
+    it('should ignore rides that are not underway', () => {
+        const milestone = RideEventService.detectLocationMilestone(
+            { ...ride, status: 'completed' },
+            [77.6412, 12.9719]
+        );
+
+        expect(milestone).toBeNull();
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * UNIT TESTS for RouteTraceService
+ *
+ * Tests trip measurement from GPS breadcrumbs in isolation
+ * - Distance accumulation along the trip phase
+ * - Jitter, outlier and low-accuracy filtering
+ * - Duration calculation
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies
+ * - Pure function testing
+ */
+
+const RouteTraceService = require('../../services/RouteTraceService');
+
+const START = new Date('2024-06-01T10:00:00.000Z').getTime();
+const SECOND = 1000;
+
+// ~0.0009 degrees of latitude is ~100 meters
+const tripPoint = (lat, secondsFromStart, extra = {}) => ({
+    coordinates: [77.5946, lat],
+    recordedAt: new Date(START + secondsFromStart * SECOND),
+    phase: 'trip',
+    ...extra
+});
+
+describe('RouteTraceService - Trip Metrics', () => {
+    it('should sum the distance between consecutive trip points', () => {
+        const points = [
+            tripPoint(12.9700, 0),
+            tripPoint(12.9709, 20),
+            tripPoint(12.9718, 40),
+            tripPoint(12.9727, 60)
+        ];
+
+        const metrics = RouteTraceService.computeTripMetrics(points);
+
+        expect(metrics.distance).toBeCloseTo(0.3, 1);
+        expect(metrics.duration).toBe(1);
+        expect(metrics.pointsUsed).toBe(4);
+    });
+
+    it('should ignore points recorded on the way to pickup', () => {
+        const points = [
+            { ...tripPoint(12.9000, 0), phase: 'pickup' },
+            tripPoint(12.9700, 60),
+            tripPoint(12.9709, 80)
+        ];
+
+        const metrics = RouteTraceService.computeTripMetrics(points);
+
+        expect(metrics.distance).toBeCloseTo(0.1, 1);
+    });
+
+    it('should not count GPS jitter while the vehicle is stationary', () => {
+        const points = [
+            tripPoint(12.97000, 0),
+            tripPoint(12.97003, 10),
+            tripPoint(12.96998, 20),
+            tripPoint(12.97002, 30)
+        ];
+
+        const metrics = RouteTraceService.computeTripMetrics(points);
+
+        expect(metrics.distance).toBe(0);
+        expect(metrics.pointsDiscarded).toBe(3);
+    });
+
+    it('should skip points implying an impossible speed', () => {
+        const points = [
+            tripPoint(12.9700, 0),
+            tripPoint(13.0700, 10), // ~11km in 10 seconds
+            tripPoint(12.9709, 20)
+        ];
+
+        const metrics = RouteTraceService.computeTripMetrics(points);
+
+        expect(metrics.distance).toBeCloseTo(0.1, 1);
+        expect(metrics.pointsDiscarded).toBe(1);
+    });
+
+    it('should drop points with poor reported accuracy', () => {
+        const points = [
+            tripPoint(12.9700, 0),
+            tripPoint(12.9750, 20, { accuracy: 500 }),
+            tripPoint(12.9709, 40, { accuracy: 15 })
+        ];
+
+        const metrics = RouteTraceService.computeTripMetrics(points);
+
+        expect(metrics.distance).toBeCloseTo(0.1, 1);
+    });
+
+    it('should sort points by recording time', () => {
+        const points = [
+            tripPoint(12.9718, 40),
+            tripPoint(12.9700, 0),
+            tripPoint(12.9709, 20)
+        ];
+
+        const metrics = RouteTraceService.computeTripMetrics(points);
+
+        expect(metrics.distance).toBeCloseTo(0.2, 1);
+    });
+
+    it('should return null when there are too few trip points', () => {
+        expect(RouteTraceService.computeTripMetrics([])).toBeNull();
+        expect(RouteTraceService.computeTripMetrics([tripPoint(12.97, 0)])).toBeNull();
+    });
+});
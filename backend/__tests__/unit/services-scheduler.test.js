@@ -0,0 +1,93 @@
+/**
+ * UNIT TESTS for RideSchedulerService
+ *
+ * Tests scheduled ride timing rules in isolation
+ * - Advance booking window validation
+ * - Dispatch lead time calculation
+ * - Missed dispatch detection
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies
+ * - Pure function testing
+ */
+
+const RideSchedulerService = require('../../services/RideSchedulerService');
+
+const MINUTE = 60 * 1000;
+
+describe('RideSchedulerService - Scheduled Time Validation', () => {
+    const now = new Date('2024-06-01T10:00:00.000Z');
+
+    it('should accept a pickup inside the booking window', () => {
+        const scheduledFor = new Date(now.getTime() + 3 * 60 * MINUTE);
+
+        const result = RideSchedulerService.validateScheduledTime(scheduledFor, now);
+
+        expect(result.valid).toBe(true);
+    });
+
+    it('should accept ISO date strings', () => {
+        const result = RideSchedulerService.validateScheduledTime('2024-06-01T12:00:00.000Z', now);
+
+        expect(result.valid).toBe(true);
+    });
+
+    it('should reject pickups sooner than the minimum advance booking', () => {
+        const scheduledFor = new Date(now.getTime() + 10 * MINUTE);
+
+        const result = RideSchedulerService.validateScheduledTime(scheduledFor, now);
+
+        expect(result.valid).toBe(false);
+        expect(result.error).toBe('SCHEDULED_TIME_TOO_SOON');
+    });
+
+    it('should reject pickups in the past', () => {
+        const scheduledFor = new Date(now.getTime() - 60 * MINUTE);
+
+        const result = RideSchedulerService.validateScheduledTime(scheduledFor, now);
+
+        expect(result.valid).toBe(false);
+        expect(result.error).toBe('SCHEDULED_TIME_TOO_SOON');
+    });
+
+    it('should reject pickups beyond the maximum advance booking', () => {
+        const scheduledFor = new Date(now.getTime() + RideSchedulerService.MAX_ADVANCE_BOOKING + MINUTE);
+
+        const result = RideSchedulerService.validateScheduledTime(scheduledFor, now);
+
+        expect(result.valid).toBe(false);
+        expect(result.error).toBe('SCHEDULED_TIME_TOO_FAR');
+    });
+
+    it('should reject invalid dates', () => {
+        const result = RideSchedulerService.validateScheduledTime('not-a-date', now);
+
+        expect(result.valid).toBe(false);
+        expect(result.error).toBe('INVALID_SCHEDULED_TIME');
+    });
+});
+
+describe('RideSchedulerService - Dispatch Timing', () => {
+    it('should dispatch the configured lead time before pickup', () => {
+        const scheduledFor = new Date('2024-06-01T12:00:00.000Z');
+
+        const dispatchAt = RideSchedulerService.getDispatchTime(scheduledFor);
+
+        expect(scheduledFor.getTime() - dispatchAt.getTime()).toBe(RideSchedulerService.DISPATCH_LEAD_TIME);
+    });
+
+    it('should still dispatch rides shortly past their pickup time', () => {
+        const scheduledFor = new Date('2024-06-01T12:00:00.000Z');
+        const now = new Date(scheduledFor.getTime() + 5 * MINUTE);
+
+        expect(RideSchedulerService.isDispatchMissed(scheduledFor, now)).toBe(false);
+    });
+
+    it('should flag rides past the missed dispatch grace period', () => {
+        const scheduledFor = new Date('2024-06-01T12:00:00.000Z');
+        const now = new Date(scheduledFor.getTime() + RideSchedulerService.MISSED_DISPATCH_GRACE + MINUTE);
+
+        expect(RideSchedulerService.isDispatchMissed(scheduledFor, now)).toBe(true);
+    });
+});
@@ -0,0 +1,354 @@
+/**
+ * UNIT TESTS for ShiftService
+ *
+ * Tests driver shifts and break enforcement in isolation
+ * - Going online starts a shift on the active vehicle; starting and ending are idempotent
+ * - A shift started soon after the previous one continues its continuous driving time
+ * - Drivers at the continuous driving limit are not dispatched and must take a break
+ * - A driver ending their shift during a ride goes offline when the ride finishes
+ * - Drivers who have never been on a shift stay on offer after a ride
+ * - Daily reports split online and on-trip time by UTC day
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies (mongoose, models and other services are mocked)
+ */
+
+jest.mock('mongoose', () => ({
+    connection: { readyState: 1 },
+    Types: {
+        ObjectId: class {
+            toString() {
+                return 'shift2';
+            }
+        }
+    }
+}));
+
+jest.mock('../../models', () => ({
+    User: {
+        find: jest.fn(),
+        findById: jest.fn(),
+        findOneAndUpdate: jest.fn(),
+        updateOne: jest.fn()
+    },
+    Ride: {
+        exists: jest.fn(),
+        find: jest.fn()
+    },
+    DriverShift: {
+        create: jest.fn(),
+        exists: jest.fn(),
+        find: jest.fn(),
+        findById: jest.fn(),
+        findOne: jest.fn(),
+        findOneAndUpdate: jest.fn()
+    }
+}));
+
+jest.mock('../../services/VehicleService', () => ({
+    claimActiveVehicle: jest.fn(),
+    releaseVehicles: jest.fn()
+}));
+
+jest.mock('../../services/NotificationService', () => ({
+    notify: jest.fn()
+}));
+
+const { User, Ride, DriverShift } = require('../../models');
+const VehicleService = require('../../services/VehicleService');
+const NotificationService = require('../../services/NotificationService');
+const ShiftService = require('../../services/ShiftService');
+
+const NOW = new Date('2026-03-02T10:00:00Z');
+const MINUTE = 60 * 1000;
+const minutesAgo = (minutes) => new Date(NOW.getTime() - minutes * MINUTE);
+
+// Chainable query resolving to a result
+const query = (result) => {
+    const chain = {
+        select: jest.fn(() => chain),
+        sort: jest.fn(() => chain),
+        limit: jest.fn(() => chain),
+        lean: jest.fn(() => chain),
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+};
+
+const driverWith = ({ shift = null, isAvailable = false } = {}) => ({
+    _id: 'driver1',
+    role: 'driver',
+    driverInfo: { shift, isAvailable, activeVehicle: null }
+});
+
+const shiftSince = (minutes, extra = {}) => ({
+    shiftId: 'shift1',
+    startedAt: minutesAgo(minutes),
+    continuousSince: minutesAgo(minutes),
+    endRequestedAt: null,
+    ...extra
+});
+
+describe('ShiftService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Ride.exists.mockResolvedValue(null);
+        DriverShift.findOne.mockReturnValue(query(null));
+        VehicleService.claimActiveVehicle.mockResolvedValue({ success: true, vehicle: null });
+    });
+
+    describe('continuous driving limit', () => {
+        it('should count continuous minutes only while on shift', () => {
+            expect(ShiftService.getContinuousMinutes(driverWith({ shift: shiftSince(90) }), NOW)).toBe(90);
+            expect(ShiftService.getContinuousMinutes(driverWith(), NOW)).toBe(0);
+        });
+
+        it('should flag drivers who reached the maximum continuous driving time', () => {
+            const limit = ShiftService.MAX_CONTINUOUS_MINUTES;
+
+            expect(ShiftService.hasReachedLimit(driverWith({ shift: shiftSince(limit - 1) }), NOW)).toBe(false);
+            expect(ShiftService.hasReachedLimit(driverWith({ shift: shiftSince(limit) }), NOW)).toBe(true);
+        });
+
+        it('should exclude drivers at the limit from dispatch', () => {
+            const filter = ShiftService.buildDispatchableFilter(NOW);
+
+            expect(filter).toEqual({
+                'driverInfo.shift.continuousSince': { $not: { $lte: minutesAgo(ShiftService.MAX_CONTINUOUS_MINUTES) } }
+            });
+        });
+    });
+
+    describe('startShift', () => {
+        it('should start a shift on the active vehicle', async () => {
+            const online = driverWith({ shift: shiftSince(0, { shiftId: 'shift2' }), isAvailable: true });
+            User.findOneAndUpdate.mockReturnValue(query(online));
+            DriverShift.create.mockImplementation(async (shift) => shift);
+
+            const result = await ShiftService.startShift(driverWith(), NOW);
+
+            expect(result.success).toBe(true);
+            expect(VehicleService.claimActiveVehicle).toHaveBeenCalledWith(expect.objectContaining({ _id: 'driver1' }), NOW);
+            const [filter, update] = User.findOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ _id: 'driver1', 'driverInfo.shift': null });
+            expect(update.$set['driverInfo.isAvailable']).toBe(true);
+            expect(update.$set['driverInfo.shift'].continuousSince).toBe(NOW);
+            expect(DriverShift.create).toHaveBeenCalledWith(expect.objectContaining({
+                driverId: 'driver1',
+                startedAt: NOW,
+                continuousSince: NOW
+            }));
+        });
+
+        it('should continue the previous stretch after a break shorter than the minimum', async () => {
+            DriverShift.findOne.mockReturnValue(query({ endedAt: minutesAgo(10), continuousSince: minutesAgo(100) }));
+            User.findOneAndUpdate.mockReturnValue(query(driverWith({ shift: shiftSince(100) })));
+            DriverShift.create.mockImplementation(async (shift) => shift);
+
+            const result = await ShiftService.startShift(driverWith(), NOW);
+
+            expect(result.success).toBe(true);
+            expect(result.shift.continuousSince).toEqual(minutesAgo(100));
+        });
+
+        it('should refuse a driver who reached the limit until their break is over', async () => {
+            DriverShift.findOne.mockReturnValue(query({
+                endedAt: minutesAgo(10),
+                continuousSince: minutesAgo(ShiftService.MAX_CONTINUOUS_MINUTES + 10)
+            }));
+
+            const result = await ShiftService.startShift(driverWith(), NOW);
+
+            expect(result).toEqual(expect.objectContaining({
+                success: false,
+                error: 'DRIVER_BREAK_REQUIRED',
+                availableAt: minutesAgo(10 - ShiftService.MIN_BREAK_MINUTES)
+            }));
+            expect(VehicleService.claimActiveVehicle).not.toHaveBeenCalled();
+        });
+
+        it('should pass on vehicle claim failures without starting a shift', async () => {
+            VehicleService.claimActiveVehicle.mockResolvedValue({ success: false, error: 'VEHICLE_IN_USE', message: 'In use' });
+
+            const result = await ShiftService.startShift(driverWith(), NOW);
+
+            expect(result).toEqual(expect.objectContaining({ success: false, error: 'VEHICLE_IN_USE' }));
+            expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+            expect(DriverShift.create).not.toHaveBeenCalled();
+        });
+
+        it('should resume a shift that is already open', async () => {
+            const onShift = driverWith({ shift: shiftSince(30), isAvailable: true });
+            DriverShift.findById.mockResolvedValue({ _id: 'shift1' });
+
+            const result = await ShiftService.startShift(onShift, NOW);
+
+            expect(result).toEqual({ success: true, driver: onShift, shift: { _id: 'shift1' } });
+            expect(DriverShift.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('endShift', () => {
+        it('should close the shift, take the driver offline and release their vehicle', async () => {
+            User.findOneAndUpdate.mockReturnValue(query(driverWith({ shift: shiftSince(60) })));
+            DriverShift.findOneAndUpdate.mockResolvedValue({ _id: 'shift1', endReason: 'driver' });
+            User.findById.mockReturnValue(query(driverWith()));
+
+            const result = await ShiftService.endShift('driver1', 'driver', NOW);
+
+            expect(result).toEqual(expect.objectContaining({ success: true, pending: false }));
+            expect(User.findOneAndUpdate.mock.calls[0][1].$set).toEqual({
+                'driverInfo.isAvailable': false,
+                'driverInfo.shift': null
+            });
+            expect(DriverShift.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: 'shift1', endedAt: null },
+                { $set: { endedAt: NOW, endReason: 'driver' } },
+                { new: true }
+            );
+            expect(VehicleService.releaseVehicles).toHaveBeenCalledWith('driver1');
+        });
+
+        it('should keep the shift open until the current ride finishes', async () => {
+            Ride.exists.mockResolvedValue({ _id: 'ride1' });
+            User.findOneAndUpdate.mockReturnValue(query(driverWith({ shift: shiftSince(60, { endRequestedAt: NOW }) })));
+
+            const result = await ShiftService.endShift('driver1', 'driver', NOW);
+
+            expect(result).toEqual(expect.objectContaining({ success: true, pending: true }));
+            expect(User.findOneAndUpdate.mock.calls[0][1].$set['driverInfo.shift.endRequestedAt']).toBe(NOW);
+            expect(DriverShift.findOneAndUpdate).not.toHaveBeenCalled();
+            expect(VehicleService.releaseVehicles).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('finishRide', () => {
+        it('should put a driver on shift back on offer', async () => {
+            User.findById.mockReturnValue(query(driverWith({ shift: shiftSince(60) })));
+            User.updateOne.mockResolvedValue({ matchedCount: 1 });
+
+            const result = await ShiftService.finishRide('driver1', NOW);
+
+            expect(result).toEqual({ available: true, shiftEnded: false });
+            expect(User.updateOne.mock.calls[0][0]).toEqual(expect.objectContaining({
+                'driverInfo.onboarding.status': 'approved',
+                'driverInfo.shift.shiftId': 'shift1'
+            }));
+        });
+
+        it('should leave drivers who went off shift offline', async () => {
+            User.findById.mockReturnValue(query(driverWith()));
+            DriverShift.exists.mockResolvedValue({ _id: 'shift1' });
+
+            const result = await ShiftService.finishRide('driver1', NOW);
+
+            expect(result).toEqual({ available: false, shiftEnded: false });
+            expect(DriverShift.exists).toHaveBeenCalledWith({ driverId: 'driver1' });
+            expect(User.updateOne).not.toHaveBeenCalled();
+        });
+
+        it('should put drivers who have never been on a shift back on offer', async () => {
+            User.findById.mockReturnValue(query(driverWith()));
+            DriverShift.exists.mockResolvedValue(null);
+            User.updateOne.mockResolvedValue({ matchedCount: 1 });
+
+            const result = await ShiftService.finishRide('driver1', NOW);
+
+            expect(result).toEqual({ available: true, shiftEnded: false });
+            expect(User.updateOne.mock.calls[0][0]).toEqual({
+                _id: 'driver1',
+                'driverInfo.onboarding.status': 'approved',
+                'driverInfo.shift.shiftId': null
+            });
+        });
+
+        it('should end the shift of a driver who reached the limit and tell them to take a break', async () => {
+            const limit = ShiftService.MAX_CONTINUOUS_MINUTES;
+            User.findById.mockReturnValueOnce(query(driverWith({ shift: shiftSince(limit + 5) })));
+            User.findOneAndUpdate.mockReturnValue(query(driverWith({ shift: shiftSince(limit + 5) })));
+            DriverShift.findOneAndUpdate.mockResolvedValue({ _id: 'shift1', endReason: 'break_required' });
+            User.findById.mockReturnValue(query(driverWith()));
+
+            const result = await ShiftService.finishRide('driver1', NOW);
+
+            expect(result).toEqual({ available: false, shiftEnded: true });
+            expect(DriverShift.findOneAndUpdate.mock.calls[0][1].$set.endReason).toBe('break_required');
+            expect(NotificationService.notify).toHaveBeenCalledWith('DRIVER_BREAK_REQUIRED', {
+                userId: 'driver1',
+                data: { drivenMinutes: limit + 5, breakMinutes: ShiftService.MIN_BREAK_MINUTES }
+            });
+        });
+    });
+
+    describe('enforceBreaks', () => {
+        it('should end the shifts of drivers at the limit who are not on a ride', async () => {
+            const limit = ShiftService.MAX_CONTINUOUS_MINUTES;
+            const idle = driverWith({ shift: shiftSince(limit + 1) });
+            const busy = { ...driverWith({ shift: shiftSince(limit + 1) }), _id: 'driver2' };
+            User.find.mockReturnValue(query([idle, busy]));
+            Ride.exists.mockImplementation(async ({ driverId }) => (driverId === 'driver2' ? { _id: 'ride1' } : null));
+            User.findOneAndUpdate.mockReturnValue(query(idle));
+            DriverShift.findOneAndUpdate.mockResolvedValue({ _id: 'shift1', endReason: 'break_required' });
+            User.findById.mockReturnValue(query(driverWith()));
+
+            const result = await ShiftService.enforceBreaks(NOW);
+
+            expect(result).toEqual({ shiftsEnded: 1 });
+            expect(NotificationService.notify).toHaveBeenCalledTimes(1);
+            expect(NotificationService.notify.mock.calls[0][1].userId).toBe('driver1');
+        });
+    });
+
+    describe('getReport', () => {
+        it('should split online and on-trip time by UTC day', async () => {
+            DriverShift.find.mockReturnValue(query([
+                {
+                    _id: 'shift2',
+                    startedAt: new Date('2026-03-02T08:00:00Z'),
+                    endedAt: null,
+                    endReason: null
+                },
+                {
+                    _id: 'shift1',
+                    startedAt: new Date('2026-03-01T22:00:00Z'),
+                    endedAt: new Date('2026-03-02T01:00:00Z'),
+                    endReason: 'break_required'
+                }
+            ]));
+            Ride.find.mockReturnValue(query([
+                {
+                    status: 'completed',
+                    timeline: {
+                        acceptedAt: new Date('2026-03-01T23:30:00Z'),
+                        completedAt: new Date('2026-03-02T00:30:00Z')
+                    }
+                },
+                {
+                    status: 'in_progress',
+                    timeline: { acceptedAt: new Date('2026-03-02T09:30:00Z') }
+                }
+            ]));
+
+            const report = await ShiftService.getReport('driver1', { days: 2, now: NOW });
+
+            expect(report.from).toEqual(new Date('2026-03-01T00:00:00Z'));
+            expect(report.to).toEqual(new Date('2026-03-03T00:00:00Z'));
+            expect(report.days).toEqual([
+                { date: '2026-03-01', onlineMinutes: 120, onTripMinutes: 30, shifts: 1, breaksRequired: 0 },
+                { date: '2026-03-02', onlineMinutes: 180, onTripMinutes: 60, shifts: 1, breaksRequired: 1 }
+            ]);
+            expect(report.totals).toEqual({ onlineMinutes: 300, onTripMinutes: 90, shifts: 2, breaksRequired: 1 });
+            expect(report.shifts.map(shift => shift.durationMinutes)).toEqual([120, 180]);
+        });
+
+        it('should cap the report length', async () => {
+            DriverShift.find.mockReturnValue(query([]));
+            Ride.find.mockReturnValue(query([]));
+
+            const report = await ShiftService.getReport('driver1', { days: 365, now: NOW });
+
+            expect(report.days).toHaveLength(ShiftService.MAX_REPORT_DAYS);
+        });
+    });
+});
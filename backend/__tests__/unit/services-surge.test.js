@@ -0,0 +1,88 @@
+/**
+ * UNIT TESTS for SurgeService
+ *
+ * Tests the surge grid in isolation
+ * - Cell assignment for coordinates
+ * - Cell geometry (bounds and center)
+ * - Demand aggregation per cell
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies
+ * - Pure function testing
+ */
+
+const SurgeService = require('../../services/SurgeService');
+const FareService = require('../../services/FareService');
+
+describe('SurgeService - Grid Cells', () => {
+    it('should place nearby points in the same cell', () => {
+        const a = SurgeService.getCellId(77.5946, 12.9716);
+        const b = SurgeService.getCellId(77.5950, 12.9720);
+
+        expect(a).toBe(b);
+    });
+
+    it('should place points one cell apart in different cells', () => {
+        const a = SurgeService.getCellId(77.5946, 12.9716);
+        const b = SurgeService.getCellId(77.5946 + SurgeService.CELL_SIZE_DEG, 12.9716);
+
+        expect(a).not.toBe(b);
+    });
+
+    it('should handle negative coordinates', () => {
+        const cellId = SurgeService.getCellId(-0.1278, 51.5074);
+        const { bounds } = SurgeService.getCellGeometry(cellId);
+
+        expect(bounds.west).toBeLessThanOrEqual(-0.1278);
+        expect(bounds.east).toBeGreaterThan(-0.1278);
+    });
+
+    it('should return bounds that contain the original point', () => {
+        const [lng, lat] = [77.5946, 12.9716];
+        const { bounds, center } = SurgeService.getCellGeometry(SurgeService.getCellId(lng, lat));
+
+        expect(bounds.south).toBeLessThanOrEqual(lat);
+        expect(bounds.north).toBeGreaterThan(lat);
+        expect(bounds.west).toBeLessThanOrEqual(lng);
+        expect(bounds.east).toBeGreaterThan(lng);
+        expect(center[0]).toBeCloseTo((bounds.west + bounds.east) / 2, 6);
+        expect(center[1]).toBeCloseTo((bounds.south + bounds.north) / 2, 6);
+    });
+});
+
+describe('SurgeService - Demand Aggregation', () => {
+    it('should count requests and drivers per cell', () => {
+        const cells = SurgeService.aggregateDemand(
+            [[77.5946, 12.9716], [77.5950, 12.9720], [77.7, 13.1]],
+            [[77.5948, 12.9718]]
+        );
+
+        const busyCell = cells.get(SurgeService.getCellId(77.5946, 12.9716));
+        const quietCell = cells.get(SurgeService.getCellId(77.7, 13.1));
+
+        expect(cells.size).toBe(2);
+        expect(busyCell).toEqual({ pendingRequests: 2, availableDrivers: 1 });
+        expect(quietCell).toEqual({ pendingRequests: 1, availableDrivers: 0 });
+    });
+
+    it('should surge a cell with many requests and no drivers', () => {
+        const cells = SurgeService.aggregateDemand(
+            [[77.5946, 12.9716], [77.5947, 12.9716], [77.5948, 12.9716], [77.5949, 12.9716]],
+            []
+        );
+        const [demand] = cells.values();
+
+        expect(FareService.calculateSurgeMultiplier(demand)).toBe(FareService.PRICING_CONFIG.surgePricing.peak);
+    });
+
+    it('should not surge a cell with enough drivers', () => {
+        const cells = SurgeService.aggregateDemand(
+            [[77.5946, 12.9716]],
+            [[77.5947, 12.9716], [77.5948, 12.9716]]
+        );
+        const [demand] = cells.values();
+
+        expect(FareService.calculateSurgeMultiplier(demand)).toBe(1.0);
+    });
+});
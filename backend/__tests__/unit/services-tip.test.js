@@ -0,0 +1,147 @@
+/**
+ * UNIT TESTS for TipService
+ *
+ * Tests driver tips in isolation
+ * - Which payment method a tip is charged with
+ * - When a tip can be added
+ * - Charging a tip once and crediting it to the driver
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies (models are mocked; cards go to the mock provider)
+ */
+
+jest.mock('../../models', () => ({
+    Ride: {
+        findOneAndUpdate: jest.fn(),
+        updateOne: jest.fn(),
+        findById: jest.fn()
+    }
+}));
+
+const { Ride } = require('../../models');
+const TipService = require('../../services/TipService');
+const EarningsService = require('../../services/EarningsService');
+const WalletService = require('../../services/WalletService');
+const MockPaymentProvider = require('../../services/paymentProviders/MockPaymentProvider');
+
+const paidRide = (overrides = {}) => ({
+    _id: 'ride1',
+    riderId: 'rider1',
+    driverId: 'driver1',
+    serviceLevel: 'economy',
+    fare: { estimated: 200, final: 200 },
+    payment: { method: 'wallet', status: 'completed' },
+    fareSplit: null,
+    tip: null,
+    ...overrides
+});
+
+const withTip = (ride, tip) => ({ ...ride, tip: { ...ride.tip, ...tip } });
+
+describe('TipService', () => {
+    const originalDelay = MockPaymentProvider.PROCESSING_DELAY;
+
+    beforeAll(() => {
+        MockPaymentProvider.PROCESSING_DELAY = 0;
+    });
+
+    afterAll(() => {
+        MockPaymentProvider.PROCESSING_DELAY = originalDelay;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+        jest.spyOn(EarningsService, 'recordTipEarning').mockResolvedValue({});
+    });
+
+    describe('getTipMethod', () => {
+        it('should use the method the fare was paid with', () => {
+            expect(TipService.getTipMethod(paidRide())).toBe('wallet');
+            expect(TipService.getTipMethod(paidRide({ payment: { method: 'cash', status: 'pending' } }))).toBeNull();
+        });
+
+        it('should use the booking rider\'s own share on a split fare', () => {
+            const ride = paidRide({
+                payment: { method: 'split', status: 'processing' },
+                fareSplit: {
+                    mode: 'even',
+                    shares: [
+                        { userId: 'rider1', status: 'accepted', payment: { status: 'completed', method: 'cash' } },
+                        { userId: 'rider2', status: 'accepted', payment: { status: 'pending', method: null } }
+                    ]
+                }
+            });
+
+            expect(TipService.getTipMethod(ride)).toBe('cash');
+        });
+    });
+
+    describe('validateTip', () => {
+        it('should require a paid fare', () => {
+            const ride = paidRide({ payment: { method: 'mock', status: 'pending' } });
+
+            expect(TipService.validateTip(ride, 20)).toMatchObject({ valid: false, error: 'PAYMENT_NOT_COMPLETED' });
+        });
+
+        it('should allow only one tip, unless the last one failed', () => {
+            const ride = paidRide({ tip: { amount: 20, method: 'wallet', status: 'completed' } });
+
+            expect(TipService.validateTip(ride, 20).error).toBe('TIP_ALREADY_ADDED');
+            expect(TipService.validateTip(withTip(ride, { status: 'failed' }), 20).valid).toBe(true);
+        });
+
+        it('should cap the tip amount', () => {
+            expect(TipService.validateTip(paidRide(), TipService.MAX_AMOUNT + 1).error).toBe('TIP_TOO_LARGE');
+        });
+    });
+
+    describe('addTip', () => {
+        it('should take a wallet tip and credit it to the driver', async () => {
+            const ride = paidRide();
+            const payTip = jest.spyOn(WalletService, 'payTip').mockResolvedValue({ success: true, transaction: { _id: 'txn1' } });
+            Ride.findOneAndUpdate
+                .mockResolvedValueOnce(withTip(ride, { amount: 25, method: 'wallet', status: 'processing' }))
+                .mockResolvedValueOnce(withTip(ride, { amount: 25, method: 'wallet', status: 'completed', transactionId: 'wallet_txn1' }));
+
+            const result = await TipService.addTip(ride, { amount: 25 });
+
+            expect(result.success).toBe(true);
+            expect(result.status).toBe('completed');
+            expect(payTip).toHaveBeenCalledWith('rider1', 'ride1', 25);
+            expect(Ride.findOneAndUpdate.mock.calls[1][1].$set).toMatchObject({
+                'tip.status': 'completed',
+                'tip.transactionId': 'wallet_txn1'
+            });
+            expect(EarningsService.recordTipEarning).toHaveBeenCalledWith(result.ride);
+        });
+
+        it('should not charge when another request already claimed the tip', async () => {
+            const payTip = jest.spyOn(WalletService, 'payTip');
+            Ride.findOneAndUpdate.mockResolvedValueOnce(null);
+
+            const result = await TipService.addTip(paidRide(), { amount: 25 });
+
+            expect(result).toMatchObject({ success: false, error: 'TIP_ALREADY_ADDED' });
+            expect(payTip).not.toHaveBeenCalled();
+        });
+
+        it('should mark a declined card tip failed so it can be retried', async () => {
+            const ride = paidRide({ payment: { method: 'mock', status: 'completed' } });
+            Ride.findOneAndUpdate.mockResolvedValueOnce(withTip(ride, { amount: 25, method: 'mock', status: 'processing' }));
+
+            const result = await TipService.addTip(ride, {
+                amount: 25,
+                paymentDetails: { cardNumber: '4000000000000002' }
+            });
+
+            expect(result).toMatchObject({ success: false, error: 'CARD_DECLINED' });
+            expect(Ride.updateOne).toHaveBeenCalledWith(
+                { _id: 'ride1', 'tip.status': 'processing' },
+                { $set: { 'tip.status': 'failed', 'tip.processingStartedAt': null } }
+            );
+            expect(EarningsService.recordTipEarning).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,349 @@
+/**
+ * UNIT TESTS for VehicleService
+ *
+ * Tests vehicle ownership and active vehicle selection in isolation
+ * - Dispatch uses the active vehicle, falling back to the profile vehicle
+ * - Drivers switch vehicles only while offline and not on a ride
+ * - Going online claims the active vehicle; a shared car has one driver at a time
+ * - Vehicles in use cannot be retired or taken from their driver
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies (models are mocked)
+ */
+
+jest.mock('../../models', () => ({
+    User: {
+        exists: jest.fn(),
+        findByPhone: jest.fn(),
+        findByIdAndUpdate: jest.fn(),
+        updateOne: jest.fn(),
+        updateMany: jest.fn()
+    },
+    Ride: {
+        exists: jest.fn()
+    },
+    Vehicle: {
+        create: jest.fn(),
+        exists: jest.fn(),
+        findById: jest.fn(),
+        findOne: jest.fn(),
+        findOneAndUpdate: jest.fn(),
+        updateMany: jest.fn()
+    }
+}));
+
+const { User, Ride, Vehicle } = require('../../models');
+const VehicleService = require('../../services/VehicleService');
+
+const NOW = new Date('2026-03-01T10:00:00Z');
+
+const profileVehicle = {
+    make: 'Maruti',
+    model: 'Dzire',
+    plateNumber: 'KA01AB1234',
+    color: 'White',
+    year: 2021,
+    vehicleClass: 'economy'
+};
+
+const fleetVehicle = {
+    _id: 'vehicle1',
+    make: 'Toyota',
+    model: 'Camry',
+    plateNumber: 'KA05XY9999',
+    color: 'Black',
+    year: 2024,
+    vehicleClass: 'premium'
+};
+
+const driverWith = ({ activeVehicle = null, isAvailable = false } = {}) => ({
+    _id: 'driver1',
+    role: 'driver',
+    driverInfo: { vehicleDetails: profileVehicle, activeVehicle, isAvailable }
+});
+
+const activeSelection = { vehicleId: 'vehicle1', ...fleetVehicle };
+
+// Chainable query resolving to a result
+const query = (result) => {
+    const chain = {
+        select: jest.fn(() => chain),
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+};
+
+describe('VehicleService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Ride.exists.mockResolvedValue(null);
+        User.exists.mockResolvedValue(null);
+    });
+
+    describe('dispatch vehicle', () => {
+        it('should use the active vehicle when one is selected', () => {
+            const driver = driverWith({ activeVehicle: activeSelection });
+
+            expect(VehicleService.getDispatchVehicle(driver).vehicleClass).toBe('premium');
+            expect(VehicleService.getRideSnapshot(driver)).toEqual({
+                vehicleId: 'vehicle1',
+                make: 'Toyota',
+                model: 'Camry',
+                plateNumber: 'KA05XY9999',
+                color: 'Black',
+                year: 2024,
+                vehicleClass: 'premium'
+            });
+        });
+
+        it('should fall back to the profile vehicle', () => {
+            const driver = driverWith();
+
+            expect(VehicleService.getDispatchVehicle(driver)).toBe(profileVehicle);
+            expect(VehicleService.getRideSnapshot(driver)).toEqual({ vehicleId: null, ...profileVehicle });
+            expect(VehicleService.getRideSnapshot({ driverInfo: {} })).toBeNull();
+        });
+    });
+
+    describe('createVehicle', () => {
+        it('should let the owner of a personal vehicle drive it', async () => {
+            Vehicle.create.mockImplementation(async (data) => data);
+
+            const result = await VehicleService.createVehicle(profileVehicle, { ownerType: 'driver', ownerId: 'driver1' });
+
+            expect(result.success).toBe(true);
+            expect(Vehicle.create).toHaveBeenCalledWith(expect.objectContaining({
+                ownerType: 'driver',
+                ownerId: 'driver1',
+                fleetName: null,
+                drivers: ['driver1']
+            }));
+        });
+
+        it('should start fleet vehicles without drivers', async () => {
+            Vehicle.create.mockImplementation(async (data) => data);
+
+            await VehicleService.createVehicle(fleetVehicle, { ownerType: 'fleet', fleetName: 'City Cabs' });
+
+            expect(Vehicle.create).toHaveBeenCalledWith(expect.objectContaining({
+                ownerType: 'fleet',
+                ownerId: null,
+                fleetName: 'City Cabs',
+                drivers: []
+            }));
+        });
+
+        it('should reject a plate number that is already registered', async () => {
+            Vehicle.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+            const result = await VehicleService.createVehicle(profileVehicle, { ownerType: 'driver', ownerId: 'driver1' });
+
+            expect(result).toMatchObject({ success: false, error: 'PLATE_NUMBER_TAKEN' });
+        });
+    });
+
+    describe('selectVehicle', () => {
+        it('should not switch vehicles while online', async () => {
+            const result = await VehicleService.selectVehicle(driverWith({ isAvailable: true }), 'vehicle1', NOW);
+
+            expect(result).toMatchObject({ success: false, error: 'VEHICLE_SWITCH_WHILE_ONLINE' });
+            expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should not switch vehicles during a ride', async () => {
+            Ride.exists.mockResolvedValue({ _id: 'ride1' });
+
+            const result = await VehicleService.selectVehicle(driverWith(), 'vehicle1', NOW);
+
+            expect(result).toMatchObject({ success: false, error: 'VEHICLE_SWITCH_DURING_RIDE' });
+        });
+
+        it('should only select vehicles the driver is assigned to', async () => {
+            Vehicle.findOne.mockResolvedValue(null);
+
+            const result = await VehicleService.selectVehicle(driverWith(), 'vehicle1', NOW);
+
+            expect(Vehicle.findOne).toHaveBeenCalledWith({ _id: 'vehicle1', drivers: 'driver1', status: 'active' });
+            expect(result).toMatchObject({ success: false, error: 'VEHICLE_NOT_FOUND' });
+        });
+
+        it('should copy the vehicle to the driver and release earlier claims', async () => {
+            Vehicle.findOne.mockResolvedValue(fleetVehicle);
+            User.findByIdAndUpdate.mockReturnValue(query({ driverInfo: { activeVehicle: activeSelection } }));
+
+            const result = await VehicleService.selectVehicle(driverWith(), 'vehicle1', NOW);
+
+            expect(result.success).toBe(true);
+            expect(Vehicle.updateMany).toHaveBeenCalledWith(
+                { currentDriverId: 'driver1' },
+                { $set: { currentDriverId: null, claimedAt: null } }
+            );
+            expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+                'driver1',
+                {
+                    $set: {
+                        'driverInfo.activeVehicle': {
+                            vehicleId: 'vehicle1',
+                            make: 'Toyota',
+                            model: 'Camry',
+                            plateNumber: 'KA05XY9999',
+                            color: 'Black',
+                            year: 2024,
+                            vehicleClass: 'premium',
+                            selectedAt: NOW
+                        }
+                    }
+                },
+                { new: true }
+            );
+        });
+    });
+
+    describe('claimActiveVehicle', () => {
+        it('should let drivers without vehicles go online in their profile vehicle', async () => {
+            Vehicle.exists.mockResolvedValue(null);
+
+            const result = await VehicleService.claimActiveVehicle(driverWith(), NOW);
+
+            expect(result).toEqual({ success: true, vehicle: null });
+            expect(Vehicle.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should require drivers with vehicles to select one', async () => {
+            Vehicle.exists.mockResolvedValue({ _id: 'vehicle1' });
+
+            const result = await VehicleService.claimActiveVehicle(driverWith(), NOW);
+
+            expect(result).toMatchObject({ success: false, error: 'VEHICLE_NOT_SELECTED' });
+        });
+
+        it('should claim a free vehicle', async () => {
+            Vehicle.findOneAndUpdate.mockResolvedValue(fleetVehicle);
+
+            const result = await VehicleService.claimActiveVehicle(driverWith({ activeVehicle: activeSelection }), NOW);
+
+            expect(result).toEqual({ success: true, vehicle: fleetVehicle });
+            expect(Vehicle.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: 'vehicle1', drivers: 'driver1', status: 'active', currentDriverId: { $in: [null, 'driver1'] } },
+                { $set: { currentDriverId: 'driver1', claimedAt: NOW } },
+                { new: true }
+            );
+        });
+
+        it('should not take a vehicle another driver is online in', async () => {
+            Vehicle.findOneAndUpdate.mockResolvedValueOnce(null);
+            Vehicle.findOne.mockResolvedValue({ ...fleetVehicle, currentDriverId: 'driver2' });
+            User.exists.mockResolvedValue({ _id: 'driver2' });
+
+            const result = await VehicleService.claimActiveVehicle(driverWith({ activeVehicle: activeSelection }), NOW);
+
+            expect(result).toMatchObject({ success: false, error: 'VEHICLE_IN_USE' });
+            expect(Vehicle.findOneAndUpdate).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not take a vehicle another driver is on a ride in', async () => {
+            Vehicle.findOneAndUpdate.mockResolvedValueOnce(null);
+            Vehicle.findOne.mockResolvedValue({ ...fleetVehicle, currentDriverId: 'driver2' });
+            Ride.exists.mockResolvedValue({ _id: 'ride1' });
+
+            const result = await VehicleService.claimActiveVehicle(driverWith({ activeVehicle: activeSelection }), NOW);
+
+            expect(result).toMatchObject({ success: false, error: 'VEHICLE_IN_USE' });
+        });
+
+        it('should take over a claim left by a driver who went offline', async () => {
+            Vehicle.findOneAndUpdate
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce(fleetVehicle);
+            Vehicle.findOne.mockResolvedValue({ ...fleetVehicle, currentDriverId: 'driver2' });
+
+            const result = await VehicleService.claimActiveVehicle(driverWith({ activeVehicle: activeSelection }), NOW);
+
+            expect(result.success).toBe(true);
+            expect(Vehicle.findOneAndUpdate).toHaveBeenLastCalledWith(
+                { _id: 'vehicle1', currentDriverId: 'driver2' },
+                { $set: { currentDriverId: 'driver1', claimedAt: NOW } },
+                { new: true }
+            );
+        });
+
+        it('should clear a selection whose vehicle was retired or unassigned', async () => {
+            Vehicle.findOneAndUpdate.mockResolvedValue(null);
+            Vehicle.findOne.mockResolvedValue(null);
+
+            const result = await VehicleService.claimActiveVehicle(driverWith({ activeVehicle: activeSelection }), NOW);
+
+            expect(result).toMatchObject({ success: false, error: 'VEHICLE_UNAVAILABLE' });
+            expect(User.updateOne).toHaveBeenCalledWith(
+                { _id: 'driver1' },
+                { $set: { 'driverInfo.activeVehicle': null } }
+            );
+        });
+    });
+
+    describe('releaseVehicles', () => {
+        it('should keep the vehicle while the driver finishes a ride', async () => {
+            Ride.exists.mockResolvedValue({ _id: 'ride1' });
+
+            expect(await VehicleService.releaseVehicles('driver1')).toBe(false);
+            expect(Vehicle.updateMany).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('fleet management', () => {
+        it('should not retire a vehicle that is being driven', async () => {
+            Vehicle.findOne.mockResolvedValue({ ...fleetVehicle, currentDriverId: 'driver2', save: jest.fn() });
+            User.exists.mockResolvedValue({ _id: 'driver2' });
+
+            const result = await VehicleService.retireVehicle('vehicle1', { _id: 'admin1', role: 'admin' });
+
+            expect(result).toMatchObject({ success: false, error: 'VEHICLE_IN_USE' });
+        });
+
+        it('should only let drivers manage vehicles they own', async () => {
+            Vehicle.findOne.mockResolvedValue(null);
+
+            const result = await VehicleService.retireVehicle('vehicle1', { _id: 'driver1', role: 'driver' });
+
+            expect(Vehicle.findOne).toHaveBeenCalledWith({
+                _id: 'vehicle1',
+                status: 'active',
+                ownerType: 'driver',
+                ownerId: 'driver1'
+            });
+            expect(result).toMatchObject({ success: false, error: 'VEHICLE_NOT_FOUND' });
+        });
+
+        it('should not remove the owner from a personal vehicle', async () => {
+            Vehicle.findById.mockResolvedValue({ ...profileVehicle, ownerId: 'driver1', drivers: ['driver1'] });
+
+            const result = await VehicleService.unassignDriver('vehicle1', 'driver1');
+
+            expect(result).toMatchObject({ success: false, error: 'VEHICLE_OWNER_REQUIRED' });
+        });
+
+        it('should clear the selection of a driver removed from a fleet vehicle', async () => {
+            const vehicle = { ...fleetVehicle, ownerId: null, drivers: ['driver1', 'driver2'], currentDriverId: null, save: jest.fn() };
+            Vehicle.findById.mockResolvedValue(vehicle);
+
+            const result = await VehicleService.unassignDriver('vehicle1', 'driver2');
+
+            expect(result.success).toBe(true);
+            expect(vehicle.drivers).toEqual(['driver1']);
+            expect(User.updateOne).toHaveBeenCalledWith(
+                { _id: 'driver2', 'driverInfo.activeVehicle.vehicleId': 'vehicle1' },
+                { $set: { 'driverInfo.activeVehicle': null } }
+            );
+        });
+
+        it('should only assign drivers', async () => {
+            User.findByPhone.mockResolvedValue({ _id: 'rider1', role: 'rider' });
+
+            const result = await VehicleService.assignDriver('vehicle1', '+919876543210');
+
+            expect(result).toMatchObject({ success: false, error: 'DRIVER_NOT_FOUND' });
+            expect(Vehicle.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+    });
+});
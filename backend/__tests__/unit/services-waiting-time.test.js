@@ -0,0 +1,71 @@
+/**
+ * UNIT TESTS for WaitingTimeService
+ *
+ * Tests the pickup waiting meter in isolation
+ * - Minutes waited between arrival and trip start
+ * - Running charge and the end of the free window
+ * - Payload sent to the ride room
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies (socketService is mocked)
+ */
+
+jest.mock('../../services/socketService', () => ({
+    broadcastToRide: jest.fn()
+}));
+
+const socketService = require('../../services/socketService');
+const WaitingTimeService = require('../../services/WaitingTimeService');
+const FareService = require('../../services/FareService');
+
+const ARRIVED_AT = new Date('2026-10-18T10:00:00.000Z');
+const minutesAfterArrival = minutes => new Date(ARRIVED_AT.getTime() + minutes * 60000);
+
+describe('WaitingTimeService', () => {
+    const { freeMinutes, perMinuteRate } = FareService.WAITING_POLICY;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should not meter rides whose driver has not arrived', () => {
+        expect(WaitingTimeService.getWaitingMinutes(null)).toBe(0);
+        expect(WaitingTimeService.getWaitingCharge({ timeline: {} }).freeUntil).toBeNull();
+    });
+
+    it('should keep running while the driver waits', () => {
+        const ride = { serviceLevel: 'economy', timeline: { arrivedAt: ARRIVED_AT } };
+
+        const charge = WaitingTimeService.getWaitingCharge(ride, minutesAfterArrival(freeMinutes + 3));
+
+        expect(charge.waitingMinutes).toBe(freeMinutes + 3);
+        expect(charge.waitingFare).toBe(3 * perMinuteRate);
+        expect(charge.freeUntil).toEqual(minutesAfterArrival(freeMinutes));
+    });
+
+    it('should stop the meter when the trip starts', () => {
+        const ride = {
+            serviceLevel: 'economy',
+            timeline: { arrivedAt: ARRIVED_AT, startedAt: minutesAfterArrival(freeMinutes + 1) }
+        };
+
+        const charge = WaitingTimeService.getWaitingCharge(ride, minutesAfterArrival(60));
+
+        expect(charge.chargeableMinutes).toBe(1);
+    });
+
+    it('should send the running charge to the ride room', () => {
+        const ride = { _id: 'ride1', serviceLevel: 'comfort', timeline: { arrivedAt: ARRIVED_AT } };
+
+        WaitingTimeService.broadcast(ride, minutesAfterArrival(1));
+
+        expect(socketService.broadcastToRide).toHaveBeenCalledWith('ride1', 'ride:waiting-updated', expect.objectContaining({
+            rideId: 'ride1',
+            arrivedAt: ARRIVED_AT.toISOString(),
+            freeMinutes,
+            waitingFare: 0,
+            ratePerMinute: perMinuteRate * 1.3
+        }));
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * UNIT TESTS for WalletService
+ *
+ * Tests wallet rules in isolation
+ * - Top-up limits and paise conversion
+ * - Double-entry ledger legs
+ * - Ride payments: insufficient balance and repeated payments
+ * - Card top-ups: only a matching pending top-up is credited
+ *
+ * Characteristics:
+ * - Fast execution (<1 second per test)
+ * - No database dependencies (models are mocked)
+ */
+
+jest.mock('../../models', () => ({
+    Wallet: {
+        findOne: jest.fn(),
+        findOneAndUpdate: jest.fn(),
+        updateOne: jest.fn()
+    },
+    WalletTransaction: {
+        findOne: jest.fn(),
+        create: jest.fn()
+    }
+}));
+
+const { Wallet, WalletTransaction } = require('../../models');
+const WalletService = require('../../services/WalletService');
+
+describe('WalletService - Top-up Validation', () => {
+    it('should accept a top-up within limits', () => {
+        expect(WalletService.validateTopUp(500, 100)).toEqual({ valid: true });
+    });
+
+    it('should reject top-ups outside the per-top-up range', () => {
+        expect(WalletService.validateTopUp(5, 0).error).toBe('INVALID_TOPUP_AMOUNT');
+        expect(WalletService.validateTopUp(WalletService.MAX_TOPUP + 1, 0).error).toBe('INVALID_TOPUP_AMOUNT');
+    });
+
+    it('should reject top-ups that would exceed the balance cap', () => {
+        const result = WalletService.validateTopUp(100, WalletService.MAX_BALANCE - 50);
+
+        expect(result.valid).toBe(false);
+        expect(result.error).toBe('WALLET_BALANCE_LIMIT');
+    });
+
+    it('should convert rupees to whole paise', () => {
+        expect(WalletService.toPaise(0.1 + 0.2)).toBe(30);
+        expect(WalletService.toPaise(123.45)).toBe(12345);
+    });
+});
+
+describe('WalletService - Ledger Entries', () => {
+    it('should credit the wallet against the card gateway for top-ups', () => {
+        expect(WalletService.buildEntries('topup', 200)).toEqual([
+            { account: 'card_gateway', direction: 'debit', amount: 200 },
+            { account: 'rider_wallet', direction: 'credit', amount: 200 }
+        ]);
+    });
+
+    it('should debit the wallet against ride revenue for ride payments', () => {
+        expect(WalletService.buildEntries('ride_payment', 150)).toEqual([
+            { account: 'rider_wallet', direction: 'debit', amount: 150 },
+            { account: 'ride_revenue', direction: 'credit', amount: 150 }
+        ]);
+    });
+
+    it('should credit the wallet back from ride revenue for refunds', () => {
+        expect(WalletService.buildEntries('refund', 80)).toEqual([
+            { account: 'ride_revenue', direction: 'debit', amount: 80 },
+            { account: 'rider_wallet', direction: 'credit', amount: 80 }
+        ]);
+    });
+});
+
+describe('WalletService - Ride Payments', () => {
+    const wallet = { _id: 'wallet1', userId: 'rider1', balancePaise: 5000 };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should debit the fare and record the ledger transaction', async () => {
+        WalletTransaction.findOne.mockResolvedValue(null);
+        Wallet.findOneAndUpdate.mockResolvedValue(wallet);
+        WalletTransaction.create.mockImplementation(async doc => ({ _id: 'txn1', ...doc }));
+
+        const result = await WalletService.payForRide('rider1', 'ride1', 150.5);
+
+        expect(result.success).toBe(true);
+        expect(Wallet.findOneAndUpdate).toHaveBeenCalledWith(
+            { userId: 'rider1', balancePaise: { $gte: 15050 } },
+            { $inc: { balancePaise: -15050 } },
+            { new: true }
+        );
+        expect(result.transaction).toMatchObject({
+            type: 'ride_payment',
+            direction: 'debit',
+            amount: 150.5,
+            balanceAfter: 50,
+            rideId: 'ride1'
+        });
+    });
+
+    it('should fail without charging when the balance is insufficient', async () => {
+        WalletTransaction.findOne.mockResolvedValue(null);
+        Wallet.findOneAndUpdate.mockResolvedValue(null);
+
+        const result = await WalletService.payForRide('rider1', 'ride1', 150);
+
+        expect(result).toMatchObject({ success: false, error: 'INSUFFICIENT_WALLET_BALANCE' });
+        expect(WalletTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('should return the original transaction for a ride already paid', async () => {
+        const existing = { _id: 'txn1', type: 'ride_payment', rideId: 'ride1' };
+        WalletTransaction.findOne.mockResolvedValue(existing);
+        Wallet.findOneAndUpdate.mockResolvedValue(wallet);
+
+        const result = await WalletService.payForRide('rider1', 'ride1', 150);
+
+        expect(result.success).toBe(true);
+        expect(result.transaction).toBe(existing);
+        expect(Wallet.findOneAndUpdate).not.toHaveBeenCalledWith(
+            expect.anything(),
+            { $inc: { balancePaise: -15000 } },
+            expect.anything()
+        );
+    });
+
+    it('should undo the debit when a concurrent payment for the ride won', async () => {
+        const existing = { _id: 'txn1', type: 'ride_payment', rideId: 'ride1' };
+        WalletTransaction.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+        Wallet.findOneAndUpdate.mockResolvedValue(wallet);
+        WalletTransaction.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+        const result = await WalletService.payForRide('rider1', 'ride1', 150);
+
+        expect(Wallet.updateOne).toHaveBeenCalledWith({ _id: 'wallet1' }, { $inc: { balancePaise: 15000 } });
+        expect(result.success).toBe(true);
+        expect(result.transaction).toBe(existing);
+    });
+});
+
+describe('WalletService - Card Top-ups', () => {
+    const topUpId = '64b000000000000000000001';
+    const wallet = { _id: 'wallet1', userId: 'rider1', balancePaise: 60000 };
+    const pendingWallet = transactionId => ({ pendingTopUps: [{ _id: topUpId, amountPaise: 50000, transactionId }] });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Wallet.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('should credit a pending top-up for the same amount and transaction, then drop it', async () => {
+        Wallet.findOne.mockResolvedValue(pendingWallet('pay_1'));
+        WalletTransaction.findOne.mockResolvedValue(null);
+        Wallet.findOneAndUpdate.mockResolvedValue(wallet);
+        WalletTransaction.create.mockImplementation(async doc => ({ _id: 'txn1', ...doc }));
+
+        const result = await WalletService.settleTopUp('rider1', topUpId, 500, 'pay_1');
+
+        expect(result.success).toBe(true);
+        expect(result.transaction).toMatchObject({ type: 'topup', amount: 500, reference: 'pay_1' });
+        expect(Wallet.updateOne).toHaveBeenCalledWith(
+            { userId: 'rider1', pendingTopUps: { $elemMatch: { _id: topUpId } } },
+            { $pull: { pendingTopUps: { _id: topUpId } } }
+        );
+    });
+
+    it('should not credit a top-up with another amount or transaction, or none saved', async () => {
+        Wallet.findOne.mockResolvedValue(pendingWallet('pay_1'));
+        expect((await WalletService.settleTopUp('rider1', topUpId, 9000, 'pay_1')).error).toBe('TOPUP_NOT_FOUND');
+        expect((await WalletService.settleTopUp('rider1', topUpId, 500, 'pay_2')).error).toBe('TOPUP_NOT_FOUND');
+
+        Wallet.findOne.mockResolvedValue(null);
+        expect((await WalletService.settleTopUp('rider1', topUpId, 500, 'pay_1')).error).toBe('TOPUP_NOT_FOUND');
+        expect((await WalletService.settleTopUp('rider1', undefined, 500, 'pay_1')).error).toBe('TOPUP_NOT_FOUND');
+
+        expect(Wallet.findOneAndUpdate).not.toHaveBeenCalled();
+        expect(WalletTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('should ask for a retry while the charge response has not been saved', async () => {
+        Wallet.findOne.mockResolvedValue(pendingWallet(null));
+
+        const result = await WalletService.settleTopUp('rider1', topUpId, 500, 'pay_1');
+
+        expect(result.error).toBe('TOPUP_NOT_READY');
+        expect(Wallet.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,34 @@
+/**
+ * UNIT TESTS for the environment helpers
+ *
+ * - Numbers read from the environment, including an explicit 0
+ */
+
+const { envNumber } = require('../../utils/env');
+
+describe('envNumber', () => {
+    const NAME = 'TEST_ENV_NUMBER';
+
+    afterEach(() => {
+        delete process.env[NAME];
+    });
+
+    it('should read a configured number', () => {
+        process.env[NAME] = '12.5';
+
+        expect(envNumber(NAME, 20)).toBe(12.5);
+    });
+
+    it('should keep an explicit 0 instead of the fallback', () => {
+        process.env[NAME] = '0';
+
+        expect(envNumber(NAME, 20)).toBe(0);
+    });
+
+    it('should fall back when unset or not a number', () => {
+        expect(envNumber(NAME, 20)).toBe(20);
+
+        process.env[NAME] = 'abc';
+        expect(envNumber(NAME, 20)).toBe(20);
+    });
+});
@@ -0,0 +1,36 @@
+/**
+ * UNIT TESTS for the PDF writer
+ *
+ * - String escaping for the standard fonts
+ * - Document structure: objects, cross-reference offsets and page breaks
+ */
+
+const { escapePdfText, renderTextPdf } = require('../../utils/pdf');
+
+describe('PDF writer', () => {
+    it('should escape delimiters and replace characters the standard fonts cannot show', () => {
+        expect(escapePdfText('Total (incl. GST) \\ net')).toBe('Total \\(incl. GST\\) \\\\ net');
+        expect(escapePdfText('₹100')).toBe('?100');
+        expect(escapePdfText('Café')).toBe('Café');
+    });
+
+    it('should point every cross-reference entry at its object', () => {
+        const pdf = renderTextPdf([{ text: 'Hello', value: 'Rs. 10.00' }]).toString('latin1');
+
+        const xrefStart = parseInt(pdf.match(/startxref\n(\d+)/)[1], 10);
+        expect(pdf.slice(xrefStart, xrefStart + 4)).toBe('xref');
+
+        const offsets = pdf.slice(xrefStart).match(/^\d{10} 00000 n $/gm).map(line => parseInt(line, 10));
+        offsets.forEach((offset, index) => {
+            expect(pdf.slice(offset, offset + `${index + 1} 0 obj`.length)).toBe(`${index + 1} 0 obj`);
+        });
+    });
+
+    it('should start a new page when the rows do not fit', () => {
+        const rows = Array.from({ length: 80 }, (_, index) => ({ text: `Row ${index}` }));
+        const pdf = renderTextPdf(rows).toString('latin1');
+
+        expect(pdf).toMatch(/\/Count 2 >>/);
+        expect(pdf).toContain('(Row 79)');
+    });
+});
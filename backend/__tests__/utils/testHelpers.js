@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const request = require('supertest');
 const { User, Ride, OTP } = require('../../models');
 
 /**
@@ -56,6 +57,8 @@ const dbHelpers = {
         role: 'driver',
         profile: { name: `Test Driver ${i + 1}` },
         driverInfo: {
+          isAvailable: true,
+          onboarding: { status: 'approved' },
           currentLocation: {
             type: 'Point',
             coordinates: [-74.006 + (i * 0.01), 40.7128 + (i * 0.01)]
@@ -106,6 +109,108 @@ const dbHelpers = {
   }
 };
 
+/**
+ * Integration fixtures: users signed in through the API and completed rides
+ */
+const integrationHelpers = {
+  /**
+   * Pickup or destination with GeoJSON [lng, lat] coordinates
+   */
+  location(address, coordinates) {
+    return {
+      address,
+      coordinates: { type: 'Point', coordinates }
+    };
+  },
+
+  /**
+   * Register a rider through the phone OTP flow
+   * @returns {Promise<{ token: string, userId: string }>}
+   */
+  async registerRider(app, phone, name, password = 'RiderPass#1') {
+    await request(app)
+      .post('/api/auth/register-phone')
+      .send({ phone, profile: { name }, role: 'rider' })
+      .expect(200);
+    const otpDoc = await OTP.findOne({ phone });
+    const verify = await request(app)
+      .post('/api/auth/verify-otp')
+      .send({ phone, otp: otpDoc.otp, password, tempUserData: { name, role: 'rider' } });
+    expect(verify.status).toBe(201);
+
+    const { user, tokens } = verify.body.data;
+    return { token: tokens.accessToken, userId: user._id || user.id };
+  },
+
+  /**
+   * Create a user and sign them in with their password (by email when they have one)
+   * @returns {Promise<{ token: string, userId: string }>}
+   */
+  async login(app, user) {
+    const created = await global.testUtils.createTestUser(user);
+    const res = await request(app)
+      .post(user.email ? '/api/auth/login-email' : '/api/auth/login-phone')
+      .send(user.email ? { email: user.email, password: user.password } : { phone: user.phone, password: user.password });
+    expect(res.status).toBe(200);
+
+    return { token: res.body.data.tokens.accessToken, userId: created._id };
+  },
+
+  /**
+   * Create an approved driver and sign them in; overrides replace whole user fields
+   */
+  loginDriver(app, phone, overrides = {}) {
+    const suffix = phone.slice(-4);
+    return integrationHelpers.login(app, {
+      phone,
+      password: 'DriverPass!1',
+      role: 'driver',
+      profile: { name: 'Test Driver' },
+      driverInfo: {
+        licenseNumber: `DL-${suffix}`,
+        vehicleDetails: { make: 'Maruti', model: 'Dzire', plateNumber: `KA01AB${suffix}`, color: 'White' },
+        onboarding: { status: 'approved' }
+      },
+      ...overrides
+    });
+  },
+
+  /**
+   * Create an admin and sign them in by email
+   */
+  loginAdmin(app, overrides = {}) {
+    return integrationHelpers.login(app, {
+      phone: '+15550009999',
+      email: 'admin@example.com',
+      password: 'AdminPass!1',
+      role: 'admin',
+      profile: { name: 'Test Admin' },
+      ...overrides
+    });
+  },
+
+  /**
+   * Create a completed ride that has not been paid yet; overrides replace whole ride fields
+   */
+  createCompletedRide(riderId, overrides = {}) {
+    return Ride.create({
+      riderId,
+      pickup: integrationHelpers.location('One Apple Park Way', [-122.0090, 37.3349]),
+      destination: integrationHelpers.location('1600 Amphitheatre Parkway', [-122.0841, 37.4220]),
+      estimatedDistance: 10,
+      estimatedDuration: 20,
+      status: 'completed',
+      fare: {
+        estimated: 200,
+        final: 200,
+        breakdown: { baseFare: 50, distanceFare: 100, timeFare: 50, surgeFare: 0 }
+      },
+      timeline: { completedAt: new Date() },
+      ...overrides
+    });
+  }
+};
+
 /**
  * Mock data generators
  */
@@ -353,6 +458,7 @@ function generatePlateNumber() {
 
 module.exports = {
   dbHelpers,
+  integrationHelpers,
   mockData,
   apiHelpers,
   socketHelpers,
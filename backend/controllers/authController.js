@@ -1,7 +1,8 @@
-const { User, OTP } = require('../models');
+const { User, OTP, Notification } = require('../models');
 const AuthUtils = require('../utils/auth');
 const sessionManager = require('../utils/sessionManager');
 const securityLogger = require('../utils/securityLogger');
+const { PasswordResetService, NotificationService } = require('../services');
 const Joi = require('joi');
 
 /**
@@ -46,7 +47,8 @@ const phoneRegistrationSchema = Joi.object({
         make: Joi.string().required().max(30).trim(),
         model: Joi.string().required().max(30).trim(),
         plateNumber: Joi.string().required().max(15).trim(),
-        color: Joi.string().required().max(20).trim()
+        color: Joi.string().required().max(20).trim(),
+        vehicleClass: Joi.string().valid('economy', 'comfort', 'premium').optional()
       }).required()
     }).required(),
     otherwise: Joi.forbidden()
@@ -78,7 +80,8 @@ const otpVerificationSchema = Joi.object({
       make: Joi.string().optional(),
       model: Joi.string().optional(),
       plateNumber: Joi.string().optional(),
-      color: Joi.string().optional()
+      color: Joi.string().optional(),
+      vehicleClass: Joi.string().valid('economy', 'comfort', 'premium').optional()
     }).optional()
   }).optional()
 });
@@ -97,10 +100,33 @@ const emailLoginSchema = Joi.object({
     })
 });
 
+// Admins reset by email, riders and drivers by phone
 const forgotPasswordSchema = Joi.object({
   email: Joi.string()
-    .email({ tlds: { allow: false } }) // Allow any TLD including .local
+    .email({ tlds: { allow: false } }), // Allow any TLD including .local
+  phone: Joi.string()
+    .pattern(/^\+?[1-9]\d{1,14}$/)
+    .messages({
+      'string.pattern.base': 'Invalid phone number format. Use E.164 format.'
+    })
+}).xor('email', 'phone')
+  .messages({
+    'object.missing': 'Email or phone number is required',
+    'object.xor': 'Provide either an email or a phone number, not both'
+  });
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string()
     .required()
+    .messages({
+      'any.required': 'Password reset token is required'
+    }),
+  password: Joi.string()
+    .min(6)
+    .required()
+    .messages({
+      'string.min': 'Password must be at least 6 characters long'
+    })
 });
 
 /**
@@ -143,9 +169,15 @@ const registerPhone = async (req, res) => {
     // Generate and store OTP
     const { otp, expiresAt } = await OTP.createOTP(phone);
 
-    // Simulate SMS sending by logging to console (as per requirements)
-    console.log(`📱 SMS Simulation - OTP for ${phone}: ${otp}`);
-    console.log(`⏰ OTP expires at: ${expiresAt}`);
+    // Send the OTP by SMS in the language the client asked for
+    await NotificationService.notify('OTP', {
+      to: { phone },
+      locale: req.acceptsLanguages(...Notification.NOTIFICATION_LOCALES) || null,
+      data: {
+        otp,
+        expiresInMinutes: Math.round((new Date(expiresAt).getTime() - Date.now()) / 60000)
+      }
+    });
 
     // Store user data temporarily in session/cache (for demo, we'll include in response)
     // In production, this would be stored in Redis or similar
@@ -294,7 +326,8 @@ const verifyOTP = async (req, res) => {
       userData.driverInfo = {
         licenseNumber: tempUserData.licenseNumber,
         vehicleDetails: tempUserData.vehicleDetails,
-        isAvailable: true,
+        // Offline until onboarding documents are approved
+        isAvailable: false,
         currentLocation: {
           type: 'Point',
           coordinates: [0, 0] // Default coordinates, to be updated later
@@ -625,7 +658,7 @@ const loginPhone = async (req, res) => {
 };
 
 /**
- * Forgot password for admin users
+ * Forgot password: issue a single-use reset token (admins by email, riders/drivers by phone)
  * POST /api/auth/forgot-password
  */
 const forgotPassword = async (req, res) => {
@@ -643,47 +676,120 @@ const forgotPassword = async (req, res) => {
       });
     }
 
-    const { email } = value;
+    const { email, phone } = value;
 
-    // Find admin user (uses email_hash)
-    const user = await User.findByEmail(email);
-    if (!user || user.role !== 'admin') {
-      // Don't reveal if email exists for security
-      return res.status(200).json({
-        success: true,
-        message: 'If the email exists, password reset instructions have been sent',
+    // Find user (uses email_hash / phone_hash)
+    const user = email ? await User.findByEmail(email) : await User.findByPhone(phone);
+
+    // Don't reveal whether the account exists: known and unknown accounts get the same body
+    const genericResponse = {
+      success: true,
+      message: 'If the account exists, password reset instructions have been sent',
+      timestamp: new Date().toISOString()
+    };
+
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const { token: resetToken, expiresAt } = await PasswordResetService.issueToken(user, { ip: req.ip });
+
+    await securityLogger.logAuthEvent('PASSWORD_RESET_REQUESTED', {
+      userId: user._id,
+      role: user.role,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    // Reply on the channel the user identified themselves with
+    await NotificationService.notify('PASSWORD_RESET', {
+      user,
+      channels: [email ? 'email' : 'sms'],
+      data: {
+        link: PasswordResetService.getResetLink(resetToken),
+        expiresInMinutes: PasswordResetService.TOKEN_TTL_MINUTES
+      }
+    });
+
+    // Include the reset token for development purposes only
+    if (process.env.NODE_ENV === 'development') {
+      return res.status(200).json({ ...genericResponse, data: { resetToken, expiresAt } });
+    }
+
+    res.status(200).json(genericResponse);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FORGOT_PASSWORD_FAILED',
+        message: 'Failed to process forgot password request',
         timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Reset password with a token from forgot-password; signs the user out everywhere
+ * POST /api/auth/reset-password
+ */
+const resetPassword = async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+          timestamp: new Date().toISOString()
+        }
       });
     }
 
-    // Generate reset token (in production, this would be a secure random token)
-    const resetToken = AuthUtils.generateAccessToken(
-      { userId: user._id, type: 'password_reset' },
-      '1h'
-    );
+    const { token, password } = value;
+
+    const result = await PasswordResetService.resetPassword(token, password);
+    if (!result.success) {
+      await securityLogger.logAuthEvent('TOKEN_INVALID', {
+        reason: 'password_reset_token',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: result.error,
+          message: result.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
 
-    // Simulate email sending by logging to console (as per requirements)
-    console.log(`📧 Email Simulation - Password Reset for ${email}`);
-    console.log(`🔗 Reset Link: http://localhost:3000/reset-password?token=${resetToken}`);
-    console.log(`⏰ Reset token expires in 1 hour`);
+    await securityLogger.logAuthEvent('PASSWORD_RESET_SUCCESS', {
+      userId: result.user._id,
+      role: result.user.role,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Password reset instructions sent to email',
-      data: {
-        // Include reset token for development purposes
-        resetToken: process.env.NODE_ENV === 'development' ? resetToken : undefined
-      },
+      message: 'Password has been reset. Please sign in with your new password.',
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Forgot password error:', error);
+    console.error('Reset password error:', error);
     res.status(500).json({
       success: false,
       error: {
-        code: 'FORGOT_PASSWORD_FAILED',
-        message: 'Failed to process forgot password request',
+        code: 'RESET_PASSWORD_FAILED',
+        message: 'Failed to reset password',
         timestamp: new Date().toISOString()
       }
     });
@@ -771,6 +877,7 @@ module.exports = {
   loginEmail,
   loginPhone,
   forgotPassword,
+  resetPassword,
   getDevOTP,
   /**
    * Verify current access token and return user profile
@@ -0,0 +1,451 @@
+const { User, DriverDocument } = require('../models');
+const { DriverOnboardingService } = require('../services');
+
+/**
+ * Driver Onboarding Controller
+ * Handles driver document uploads and application submission, and the admin review of
+ * applications and documents
+ */
+
+class DriverOnboardingController {
+  // HTTP status for each DriverOnboardingService error code
+  static ERROR_STATUS = {
+    DRIVER_NOT_FOUND: 404,
+    DOCUMENT_NOT_FOUND: 404,
+    DOCUMENT_EXPIRED: 400,
+    DOCUMENTS_MISSING: 400,
+    DOCUMENTS_NOT_APPROVED: 400,
+    REJECTION_REASON_REQUIRED: 400,
+    ONBOARDING_UNDER_REVIEW: 409,
+    INVALID_ONBOARDING_TRANSITION: 409,
+    ONBOARDING_STATUS_CHANGED: 409,
+    DOCUMENT_ALREADY_REVIEWED: 409
+  };
+
+  /**
+   * Get the driver's own application and documents
+   * GET /api/onboarding
+   */
+  static async getMyApplication(req, res) {
+    try {
+      const result = await DriverOnboardingService.getApplication(req.user._id);
+      if (!result.success) {
+        return DriverOnboardingController.sendServiceError(res, result);
+      }
+
+      res.json({
+        success: true,
+        data: DriverOnboardingController.formatApplication(result),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get onboarding application error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'ONBOARDING_FETCH_FAILED',
+          message: 'Failed to fetch onboarding application',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Upload a licence, registration certificate or insurance policy (raw image body)
+   * PUT /api/onboarding/documents/:type
+   */
+  static async uploadDocument(req, res) {
+    try {
+      const { expiresAt, documentNumber } = req.query;
+
+      const result = await DriverOnboardingService.uploadDocument(req.user, req.params.type, req.file, {
+        expiresAt,
+        documentNumber
+      });
+      if (!result.success) {
+        return DriverOnboardingController.sendServiceError(res, result);
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          document: DriverOnboardingController.formatDocument(result.document),
+          message: 'Document uploaded for review'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Upload driver document error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'DOCUMENT_UPLOAD_FAILED',
+          message: 'Failed to upload document',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Submit the application for review
+   * POST /api/onboarding/submit
+   */
+  static async submitApplication(req, res) {
+    try {
+      const result = await DriverOnboardingService.submit(req.user);
+      if (!result.success) {
+        return DriverOnboardingController.sendServiceError(res, result, { missing: result.missing });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          onboarding: DriverOnboardingController.formatOnboarding(result.driver),
+          message: 'Application submitted for review'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Submit onboarding application error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'ONBOARDING_SUBMIT_FAILED',
+          message: 'Failed to submit application',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Download a document image (the driver who uploaded it or an admin)
+   * GET /api/onboarding/documents/:documentId/file
+   */
+  static async getDocumentFile(req, res) {
+    try {
+      const document = await DriverDocument.findById(req.params.documentId).select('+file.data');
+
+      if (!document || (req.user.role !== 'admin' && document.driverId.toString() !== req.user._id.toString())) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'DOCUMENT_NOT_FOUND',
+            message: 'Document not found',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.set({
+        'Content-Type': document.file.mimeType,
+        'Content-Length': document.file.size,
+        'Cache-Control': 'private, no-store',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      res.send(document.file.data);
+
+    } catch (error) {
+      console.error('Get driver document file error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'DOCUMENT_FETCH_FAILED',
+          message: 'Failed to fetch document',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * List driver applications, oldest submission first (admin)
+   * GET /api/onboarding/applications
+   */
+  static async getApplications(req, res) {
+    try {
+      const { page, limit, status } = req.query;
+
+      const filter = { role: 'driver' };
+      if (status) {
+        // Drivers created before onboarding existed have no status and count as applied
+        filter['driverInfo.onboarding.status'] = status === 'applied' ? { $in: ['applied', null] } : status;
+      }
+
+      const [drivers, total] = await Promise.all([
+        User.find(filter)
+          .select('-password')
+          .sort({ 'driverInfo.onboarding.submittedAt': 1, createdAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        User.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          applications: drivers.map(driver => ({
+            driver: DriverOnboardingController.formatDriver(driver),
+            onboarding: DriverOnboardingController.formatOnboarding(driver)
+          })),
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get onboarding applications error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'ONBOARDING_APPLICATIONS_FETCH_FAILED',
+          message: 'Failed to fetch driver applications',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Get one driver's application and documents (admin)
+   * GET /api/onboarding/applications/:driverId
+   */
+  static async getApplication(req, res) {
+    try {
+      const result = await DriverOnboardingService.getApplication(req.params.driverId);
+      if (!result.success) {
+        return DriverOnboardingController.sendServiceError(res, result);
+      }
+
+      res.json({
+        success: true,
+        data: DriverOnboardingController.formatApplication(result),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get onboarding application error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'ONBOARDING_FETCH_FAILED',
+          message: 'Failed to fetch onboarding application',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Pick up a submitted application for review (admin)
+   * POST /api/onboarding/applications/:driverId/start-review
+   */
+  static async startReview(req, res) {
+    try {
+      const result = await DriverOnboardingService.startReview(req.params.driverId, req.user._id);
+      if (!result.success) {
+        return DriverOnboardingController.sendServiceError(res, result);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          onboarding: DriverOnboardingController.formatOnboarding(result.driver),
+          message: 'Application is now under review'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Start onboarding review error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'ONBOARDING_REVIEW_FAILED',
+          message: 'Failed to start review',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Approve or reject one document (admin)
+   * PUT /api/onboarding/documents/:documentId/review
+   */
+  static async reviewDocument(req, res) {
+    try {
+      const { decision, reason } = req.body;
+
+      const result = await DriverOnboardingService.reviewDocument(
+        req.params.documentId,
+        req.user._id,
+        decision,
+        reason
+      );
+      if (!result.success) {
+        return DriverOnboardingController.sendServiceError(res, result);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          document: DriverOnboardingController.formatDocument(result.document),
+          message: decision === 'approve' ? 'Document approved' : 'Document rejected'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Review driver document error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'DOCUMENT_REVIEW_FAILED',
+          message: 'Failed to review document',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Approve or reject an application, or revoke an approval (admin)
+   * POST /api/onboarding/applications/:driverId/decision
+   */
+  static async decideApplication(req, res) {
+    try {
+      const { decision, reason } = req.body;
+
+      const result = await DriverOnboardingService.decide(req.params.driverId, req.user._id, decision, reason);
+      if (!result.success) {
+        return DriverOnboardingController.sendServiceError(res, result, { pending: result.pending });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          onboarding: DriverOnboardingController.formatOnboarding(result.driver),
+          message: decision === 'approve' ? 'Driver approved' : 'Driver application rejected'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Decide onboarding application error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'ONBOARDING_DECISION_FAILED',
+          message: 'Failed to record decision',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  // Helper methods
+
+  /**
+   * Send a DriverOnboardingService failure with its mapped status
+   */
+  static sendServiceError(res, result, extra = {}) {
+    return res.status(DriverOnboardingController.ERROR_STATUS[result.error] || 400).json({
+      success: false,
+      error: {
+        code: result.error,
+        message: result.message,
+        ...Object.fromEntries(Object.entries(extra).filter(([, value]) => value !== undefined)),
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Shape an application for the client
+   */
+  static formatApplication({ driver, documents, requirements }) {
+    return {
+      driver: DriverOnboardingController.formatDriver(driver),
+      onboarding: DriverOnboardingController.formatOnboarding(driver),
+      requirements: requirements.map(requirement => ({
+        type: requirement.type,
+        name: requirement.name,
+        document: requirement.document ? DriverOnboardingController.formatDocument(requirement.document) : null
+      })),
+      documents: documents.map(DriverOnboardingController.formatDocument)
+    };
+  }
+
+  /**
+   * Driver details an admin needs to check documents against
+   */
+  static formatDriver(driver) {
+    return {
+      _id: driver._id,
+      name: driver.profile?.name || '',
+      phone: driver.phone,
+      email: driver.email || null,
+      licenseNumber: driver.driverInfo?.licenseNumber || null,
+      vehicleDetails: driver.driverInfo?.vehicleDetails || null,
+      isAvailable: Boolean(driver.driverInfo?.isAvailable),
+      createdAt: driver.createdAt
+    };
+  }
+
+  /**
+   * Onboarding status and history
+   */
+  static formatOnboarding(driver) {
+    const onboarding = driver.driverInfo?.onboarding || {};
+    return {
+      status: DriverOnboardingService.getStatus(driver),
+      submittedAt: onboarding.submittedAt || null,
+      reviewedAt: onboarding.reviewedAt || null,
+      rejectionReason: onboarding.rejectionReason || null,
+      history: onboarding.history || []
+    };
+  }
+
+  /**
+   * Document metadata (the image is fetched separately)
+   */
+  static formatDocument(document) {
+    return {
+      _id: document._id,
+      type: document.type,
+      documentNumber: document.documentNumber,
+      expiresAt: document.expiresAt,
+      status: document.status,
+      review: document.review || null,
+      file: {
+        fileName: document.file.fileName,
+        mimeType: document.file.mimeType,
+        size: document.file.size,
+        url: `/api/onboarding/documents/${document._id}/file`
+      },
+      createdAt: document.createdAt
+    };
+  }
+}
+
+module.exports = DriverOnboardingController;
@@ -0,0 +1,317 @@
+const { DriverEarning, Payout } = require('../models');
+const { EarningsService } = require('../services');
+
+/**
+ * Earnings Controller
+ * Handles the driver earnings ledger, weekly payout statements and CSV exports
+ */
+
+class EarningsController {
+  /**
+   * Get the driver's earnings summary
+   * GET /api/earnings
+   */
+  static async getSummary(req, res) {
+    try {
+      const summary = await EarningsService.getSummary(req.user._id);
+
+      res.json({
+        success: true,
+        data: summary,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get earnings summary error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'EARNINGS_FETCH_FAILED',
+          message: 'Failed to fetch earnings',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the driver's per-ride earnings entries
+   * GET /api/earnings/entries
+   */
+  static async getEntries(req, res) {
+    try {
+      const { page, limit, from, to } = req.query;
+      const filter = EarningsService.buildEntryFilter(req.user._id, { from, to });
+
+      const [entries, total] = await Promise.all([
+        DriverEarning.find(filter)
+          .populate('rideId', 'pickup.address destination.address')
+          .sort({ earnedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        DriverEarning.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get earnings entries error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'EARNINGS_FETCH_FAILED',
+          message: 'Failed to fetch earnings entries',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Download the driver's earnings entries as CSV
+   * GET /api/earnings/export
+   */
+  static async exportEntries(req, res) {
+    try {
+      const { from, to } = req.query;
+      const entries = await DriverEarning.find(EarningsService.buildEntryFilter(req.user._id, { from, to }))
+        .populate('rideId', 'pickup.address destination.address')
+        .sort({ earnedAt: -1 });
+
+      const filename = `earnings-${new Date().toISOString().slice(0, 10)}.csv`;
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      res.send(EarningsService.toCsv(entries));
+
+    } catch (error) {
+      console.error('Export earnings error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'EARNINGS_EXPORT_FAILED',
+          message: 'Failed to export earnings',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * List payout statements. Drivers see their own; admins see all.
+   * GET /api/earnings/payouts
+   */
+  static async getPayouts(req, res) {
+    try {
+      const { page, limit, status, driverId } = req.query;
+
+      const filter = {};
+      if (req.user.role === 'admin') {
+        if (driverId) {
+          filter.driverId = driverId;
+        }
+      } else {
+        filter.driverId = req.user._id;
+      }
+      if (status) {
+        filter.status = status;
+      }
+
+      const [payouts, total] = await Promise.all([
+        Payout.find(filter)
+          .populate('driverId', 'profile.name phone')
+          .sort({ periodStart: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Payout.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          payouts,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get payouts error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PAYOUT_FETCH_FAILED',
+          message: 'Failed to fetch payout statements',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Get a payout statement with the entries it settles
+   * GET /api/earnings/payouts/:id
+   */
+  static async getPayout(req, res) {
+    try {
+      const payout = await Payout.findById(req.params.id)
+        .populate('driverId', 'profile.name phone');
+
+      if (!payout) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PAYOUT_NOT_FOUND',
+            message: 'Payout statement not found',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      if (req.user.role !== 'admin' && payout.driverId._id.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'FORBIDDEN',
+            message: 'You can only view your own payout statements',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const entries = await DriverEarning.find({ payoutId: payout._id })
+        .populate('rideId', 'pickup.address destination.address')
+        .sort({ earnedAt: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          payout,
+          entries
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get payout error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PAYOUT_FETCH_FAILED',
+          message: 'Failed to fetch payout statement',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Issue statements for the last closed week now instead of waiting for the hourly check
+   * POST /api/earnings/payouts/generate
+   */
+  static async generatePayouts(req, res) {
+    try {
+      const payouts = await EarningsService.generateStatements();
+
+      res.status(201).json({
+        success: true,
+        data: {
+          payouts,
+          message: `${payouts.length} payout statement(s) created`
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Generate payouts error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PAYOUT_GENERATION_FAILED',
+          message: 'Failed to generate payout statements',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Record that a pending statement was paid to the driver
+   * PUT /api/earnings/payouts/:id/paid
+   */
+  static async markPayoutPaid(req, res) {
+    try {
+      const payout = await EarningsService.markPaid(req.params.id, req.body.reference);
+
+      if (!payout) {
+        const exists = await Payout.exists({ _id: req.params.id });
+        if (!exists) {
+          return res.status(404).json({
+            success: false,
+            error: {
+              code: 'PAYOUT_NOT_FOUND',
+              message: 'Payout statement not found',
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'PAYOUT_NOT_PENDING',
+            message: 'Only pending payout statements can be marked as paid',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          payout,
+          message: 'Payout marked as paid'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Mark payout paid error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PAYOUT_UPDATE_FAILED',
+          message: 'Failed to update payout statement',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+}
+
+module.exports = EarningsController;
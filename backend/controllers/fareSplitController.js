@@ -0,0 +1,258 @@
+const { Ride } = require('../models');
+const { FareSplitService, RideEventService } = require('../services');
+const socketService = require('../services/socketService');
+
+/**
+ * Fare Split Controller
+ * Handles co-rider invitations for splitting a ride's fare and their responses
+ */
+
+class FareSplitController {
+  /**
+   * Invite co-riders to split the fare, replacing any earlier split
+   * POST /api/rides/:id/split
+   */
+  static async setFareSplit(req, res) {
+    try {
+      const { id } = req.params;
+      const { mode, participants, riderPercentage } = req.body;
+      const userId = req.user._id;
+
+      const ride = await Ride.findById(id);
+      if (!ride) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'RIDE_NOT_FOUND',
+            message: 'Ride not found',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      if (ride.riderId.toString() !== userId.toString()) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'UNAUTHORIZED_ACCESS',
+            message: 'Only the rider who booked the ride can split its fare',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      if (!FareSplitService.OPEN_STATUSES.includes(ride.status)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_RIDE_STATUS',
+            message: `Cannot split the fare of a ${ride.status} ride`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const validation = FareSplitService.validateSplit({ mode, participants, riderPercentage });
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: validation.error,
+            message: validation.message,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const previous = ride.fareSplit ? ride.fareSplit.shares : [];
+      const built = await FareSplitService.buildSplit(userId, { mode, participants, riderPercentage }, previous);
+      if (!built.success) {
+        return res.status(built.error === 'CO_RIDER_NOT_FOUND' ? 404 : 400).json({
+          success: false,
+          error: {
+            code: built.error,
+            message: built.message,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      // Co-riders who already answered keep their answer; only new invitations are sent
+      const invitees = [];
+      built.split.shares.slice(1).forEach(share => {
+        const existing = previous.find(old => old.userId.toString() === share.userId.toString());
+        if (existing && existing.status !== 'expired') {
+          share.status = existing.status;
+          share.respondedAt = existing.respondedAt;
+        } else {
+          invitees.push(share.userId.toString());
+        }
+      });
+
+      ride.fareSplit = built.split;
+      await ride.save();
+
+      await RideEventService.record(ride._id, 'FARE_SPLIT_UPDATED', {
+        actor: RideEventService.actorFromUser(req.user),
+        data: {
+          mode,
+          participants: built.split.shares.length
+        }
+      });
+
+      invitees.forEach(inviteeId => {
+        socketService.broadcastToUser(inviteeId, 'fare-split:invited', {
+          rideId: ride._id.toString(),
+          invitedBy: req.user.profile?.name || null,
+          mode,
+          timestamp: new Date().toISOString()
+        });
+      });
+
+      res.json({
+        success: true,
+        data: {
+          fareSplit: ride.fareSplit,
+          message: invitees.length
+            ? `Invited ${invitees.length} co-rider${invitees.length === 1 ? '' : 's'} to split the fare`
+            : 'Fare split updated'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Set fare split error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'FARE_SPLIT_FAILED',
+          message: 'Failed to split the fare',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Accept or decline an invitation to split a ride's fare
+   * POST /api/rides/:id/split/respond
+   */
+  static async respondToFareSplit(req, res) {
+    try {
+      const { id } = req.params;
+      const { accept } = req.body;
+      const userId = req.user._id;
+
+      // Answer atomically so the booking rider cannot change the split underneath the response
+      const ride = await Ride.findOneAndUpdate(
+        {
+          _id: id,
+          status: { $in: FareSplitService.OPEN_STATUSES },
+          'fareSplit.shares': { $elemMatch: { userId, status: 'invited' } }
+        },
+        {
+          $set: {
+            'fareSplit.shares.$.status': accept ? 'accepted' : 'declined',
+            'fareSplit.shares.$.respondedAt': new Date()
+          }
+        },
+        { new: true }
+      );
+
+      if (!ride) {
+        const current = await Ride.findById(id).select('status fareSplit');
+        const share = current && FareSplitService.findShare(current, userId);
+        if (!share) {
+          return res.status(404).json({
+            success: false,
+            error: {
+              code: 'INVITATION_NOT_FOUND',
+              message: 'You have not been invited to split this ride\'s fare',
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVITATION_CLOSED',
+            message: share.status === 'invited'
+              ? `The fare of a ${current.status} ride can no longer be split`
+              : `You have already ${share.status === 'expired' ? 'missed' : share.status} this invitation`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      await RideEventService.record(ride._id, 'FARE_SPLIT_RESPONDED', {
+        actor: RideEventService.actorFromUser(req.user),
+        message: accept ? 'Co-rider accepted a share of the fare' : 'Co-rider declined to share the fare',
+        data: { userId, accepted: accept }
+      });
+
+      socketService.broadcastToUser(ride.riderId.toString(), 'fare-split:responded', {
+        rideId: ride._id.toString(),
+        userId: userId.toString(),
+        name: req.user.profile?.name || null,
+        accepted: accept,
+        timestamp: new Date().toISOString()
+      });
+
+      res.json({
+        success: true,
+        data: {
+          fareSplit: FareSplitService.forViewer(ride, req.user).fareSplit,
+          message: accept ? 'You are now sharing this ride\'s fare' : 'Invitation declined'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Respond to fare split error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'FARE_SPLIT_RESPONSE_FAILED',
+          message: 'Failed to respond to the invitation',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * List rides the current rider has been invited to split
+   * GET /api/rides/split/invitations
+   */
+  static async getFareSplitInvitations(req, res) {
+    try {
+      const rides = await FareSplitService.getInvitations(req.user._id);
+
+      res.json({
+        success: true,
+        data: {
+          rides: rides.map(ride => FareSplitService.forViewer(ride, req.user)),
+          count: rides.length
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get fare split invitations error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'FETCH_INVITATIONS_FAILED',
+          message: 'Failed to fetch fare split invitations',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+}
+
+module.exports = FareSplitController;
@@ -0,0 +1,306 @@
+const { User, Notification } = require('../models');
+const { NotificationService } = require('../services');
+
+/**
+ * Notification Controller
+ * Handles notification preferences, web push subscriptions and the user's delivery log
+ */
+
+class NotificationController {
+  // Oldest browser subscriptions are dropped beyond this many
+  static MAX_PUSH_SUBSCRIPTIONS = 5;
+
+  /**
+   * Get the user's notification preferences
+   * GET /api/notifications/preferences
+   */
+  static async getPreferences(req, res) {
+    try {
+      const user = await User.findById(req.user._id).select('notificationPreferences');
+
+      res.json({
+        success: true,
+        data: {
+          preferences: NotificationController.formatPreferences(user.notificationPreferences)
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get notification preferences error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'NOTIFICATION_PREFERENCES_FETCH_FAILED',
+          message: 'Failed to fetch notification preferences',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Update the user's language and channel settings
+   * PUT /api/notifications/preferences
+   */
+  static async updatePreferences(req, res) {
+    try {
+      const { locale, channels = {} } = req.body;
+
+      const update = {};
+      if (locale) {
+        update['notificationPreferences.locale'] = locale;
+      }
+      Object.entries(channels).forEach(([channel, enabled]) => {
+        update[`notificationPreferences.channels.${channel}`] = enabled;
+      });
+
+      const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true })
+        .select('notificationPreferences');
+
+      res.json({
+        success: true,
+        data: {
+          preferences: NotificationController.formatPreferences(user.notificationPreferences),
+          message: 'Notification preferences updated'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Update notification preferences error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'NOTIFICATION_PREFERENCES_UPDATE_FAILED',
+          message: 'Failed to update notification preferences',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Register a browser's web push subscription (re-registering an endpoint replaces it)
+   * POST /api/notifications/push-subscriptions
+   */
+  static async addPushSubscription(req, res) {
+    try {
+      const { endpoint, keys } = req.body;
+      const path = 'notificationPreferences.pushSubscriptions';
+
+      await User.updateOne({ _id: req.user._id }, { $pull: { [path]: { endpoint } } });
+      const user = await User.findByIdAndUpdate(req.user._id, {
+        $push: {
+          [path]: {
+            $each: [{ endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth }, createdAt: new Date() }],
+            $slice: -NotificationController.MAX_PUSH_SUBSCRIPTIONS
+          }
+        }
+      }, { new: true }).select('notificationPreferences');
+
+      res.status(201).json({
+        success: true,
+        data: {
+          preferences: NotificationController.formatPreferences(user.notificationPreferences),
+          message: 'Push notifications enabled for this browser'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Add push subscription error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PUSH_SUBSCRIPTION_FAILED',
+          message: 'Failed to save push subscription',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Remove a browser's web push subscription
+   * DELETE /api/notifications/push-subscriptions
+   */
+  static async removePushSubscription(req, res) {
+    try {
+      const result = await User.updateOne(
+        { _id: req.user._id },
+        { $pull: { 'notificationPreferences.pushSubscriptions': { endpoint: req.body.endpoint } } }
+      );
+
+      if (result.modifiedCount === 0) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PUSH_SUBSCRIPTION_NOT_FOUND',
+            message: 'No push subscription found for this endpoint',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          message: 'Push notifications disabled for this browser'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Remove push subscription error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PUSH_SUBSCRIPTION_REMOVE_FAILED',
+          message: 'Failed to remove push subscription',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the user's notification delivery log, newest first
+   * GET /api/notifications
+   */
+  static async getNotifications(req, res) {
+    try {
+      const { page, limit, channel, status } = req.query;
+
+      const filter = { userId: req.user._id };
+      if (channel) {
+        filter.channel = channel;
+      }
+      if (status) {
+        filter.status = status;
+      }
+
+      const [notifications, total] = await Promise.all([
+        Notification.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Notification.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          notifications: notifications.map(NotificationController.formatNotification),
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get notifications error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'NOTIFICATIONS_FETCH_FAILED',
+          message: 'Failed to fetch notifications',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Read the local development mailbox (not available in production)
+   * GET /api/notifications/dev/mailbox
+   */
+  static async getMailbox(req, res) {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'The development mailbox is not available in production',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    try {
+      const { channel, to } = req.query;
+      const messages = await NotificationService.getMailbox().read({ channel, to });
+
+      res.json({
+        success: true,
+        data: {
+          messages: messages.reverse()
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Read mailbox error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'MAILBOX_READ_FAILED',
+          message: 'Failed to read the development mailbox',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  // Helper methods
+
+  /**
+   * Shape preferences for the client (subscription keys stay on the server)
+   */
+  static formatPreferences(preferences = {}) {
+    return {
+      locale: preferences.locale || 'en',
+      channels: {
+        sms: preferences.channels?.sms !== false,
+        email: preferences.channels?.email !== false,
+        push: preferences.channels?.push !== false
+      },
+      pushSubscriptions: (preferences.pushSubscriptions || []).map(subscription => ({
+        endpoint: subscription.endpoint,
+        createdAt: subscription.createdAt
+      }))
+    };
+  }
+
+  /**
+   * Shape a delivery log entry for the client
+   */
+  static formatNotification(notification) {
+    return {
+      _id: notification._id,
+      event: notification.event,
+      channel: notification.channel,
+      locale: notification.locale,
+      subject: notification.content.subject,
+      body: notification.content.body,
+      status: notification.status,
+      attempts: notification.attempts,
+      lastError: notification.lastError,
+      sentAt: notification.sentAt,
+      createdAt: notification.createdAt
+    };
+  }
+}
+
+module.exports = NotificationController;
@@ -1,4 +1,16 @@
-const { Ride, User } = require('../models');
+const { Ride, User, Dispute, Refund } = require('../models');
+const {
+  RideEventService,
+  WalletService,
+  EarningsService,
+  PaymentGatewayService,
+  FareSplitService,
+  TipService,
+  CancellationFeeService,
+  InvoiceService,
+  NotificationService
+} = require('../services');
+const socketService = require('../services/socketService');
 
 /**
  * Payment Controller
@@ -7,11 +19,17 @@ const { Ride, User } = require('../models');
  */
 
 class PaymentController {
+  // How long a 'processing' claim blocks other payment attempts for the ride
+  static PROCESSING_TIMEOUT = 2 * 60 * 1000; // 2 minutes
+
   /**
    * Process payment for a completed ride
    * POST /api/payments/process
    */
   static async processPayment(req, res) {
+    let claimedRideId = null;
+    let charged = false;
+
     try {
       const { rideId, paymentMethod, paymentDetails } = req.body;
       const userId = req.user._id;
@@ -32,13 +50,19 @@ class PaymentController {
         });
       }
 
-      // Check authorization - only rider can pay for their ride
-      if (ride.riderId._id.toString() !== userId.toString()) {
+      // Check authorization - only the rider, or a co-rider with a share of a split fare, can pay
+      const splitFare = ride.payment.method === 'split';
+      const share = splitFare ? FareSplitService.findShare(ride, userId) : null;
+      const canPay = splitFare
+        ? Boolean(share && share.status === 'accepted' && share.amount !== null)
+        : ride.riderId._id.toString() === userId.toString();
+
+      if (!canPay) {
         return res.status(403).json({
           success: false,
           error: {
             code: 'UNAUTHORIZED_PAYMENT',
-            message: 'You can only pay for your own rides',
+            message: splitFare ? 'You do not have a share of this ride\'s fare' : 'You can only pay for your own rides',
             timestamp: new Date().toISOString()
           }
         });
@@ -56,8 +80,25 @@ class PaymentController {
         });
       }
 
-      // Check if payment already processed
-      if (ride.payment.status === 'completed') {
+      if (splitFare) {
+        return PaymentController.processSharePayment(req, res, ride, share);
+      }
+
+      // Claim the payment atomically so a concurrent request for the same ride cannot charge it again
+      const claimed = await PaymentController.claimPayment(ride._id);
+      if (!claimed) {
+        const current = await Ride.findById(ride._id).select('payment.status');
+        if (current && current.payment.status === 'processing') {
+          return res.status(409).json({
+            success: false,
+            error: {
+              code: 'PAYMENT_IN_PROGRESS',
+              message: 'A payment for this ride is already being processed',
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+
         return res.status(400).json({
           success: false,
           error: {
@@ -67,54 +108,99 @@ class PaymentController {
           }
         });
       }
+      claimedRideId = ride._id;
 
       // Process payment based on method
       let paymentResult;
       switch (paymentMethod) {
-        case 'mock':
-          paymentResult = await PaymentController.processMockPayment(ride, paymentDetails);
-          break;
-        case 'cash':
-          paymentResult = await PaymentController.processCashPayment(ride);
-          break;
-        default:
-          return res.status(400).json({
-            success: false,
-            error: {
-              code: 'INVALID_PAYMENT_METHOD',
-              message: 'Invalid payment method specified',
-              timestamp: new Date().toISOString()
-            }
-          });
+      case 'mock':
+        paymentResult = await PaymentController.processCardPayment(ride, paymentDetails);
+        break;
+      case 'cash':
+        paymentResult = await PaymentController.processCashPayment(ride);
+        break;
+      case 'wallet':
+        paymentResult = await PaymentController.processWalletPayment(ride);
+        break;
+      default:
+        await PaymentController.releasePayment(ride._id, 'pending');
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_PAYMENT_METHOD',
+            message: 'Invalid payment method specified',
+            timestamp: new Date().toISOString()
+          }
+        });
       }
 
       if (!paymentResult.success) {
         // Update payment status to failed
-        ride.payment.status = 'failed';
-        await ride.save();
+        await PaymentController.releasePayment(ride._id, 'failed');
+
+        await RideEventService.record(ride._id, 'PAYMENT_FAILED', {
+          actor: RideEventService.actorFromUser(req.user),
+          message: paymentResult.message,
+          data: { method: paymentMethod }
+        });
 
         return res.status(400).json({
           success: false,
           error: {
-            code: 'PAYMENT_FAILED',
+            code: paymentResult.error || 'PAYMENT_FAILED',
             message: paymentResult.message,
             timestamp: new Date().toISOString()
           }
         });
       }
 
-      // Update ride payment information
-      ride.payment = {
+      charged = true;
+
+      // The gateway confirms the charge later; its webhook completes the payment
+      if (paymentResult.status === 'pending') {
+        await Ride.updateOne(
+          { _id: ride._id, 'payment.status': 'processing' },
+          {
+            $set: {
+              'payment.method': paymentMethod,
+              'payment.provider': paymentResult.provider,
+              'payment.transactionId': paymentResult.transactionId
+            }
+          }
+        );
+        ride.payment.method = paymentMethod;
+        ride.payment.provider = paymentResult.provider;
+        ride.payment.status = 'processing';
+        ride.payment.transactionId = paymentResult.transactionId;
+
+        return res.status(202).json({
+          success: true,
+          data: {
+            ride,
+            transactionId: paymentResult.transactionId,
+            status: 'processing',
+            message: paymentResult.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Update ride payment information (keeping any hold history)
+      Object.assign(ride.payment, {
         method: paymentMethod,
+        provider: paymentResult.provider || null,
         status: 'completed',
         transactionId: paymentResult.transactionId,
-        processedAt: new Date()
-      };
+        processedAt: new Date(),
+        processingStartedAt: null
+      });
 
       await ride.save();
 
+      const invoice = await PaymentController.recordPaymentCompleted(ride, RideEventService.actorFromUser(req.user));
+
       // Generate receipt
-      const receipt = PaymentController.generateReceipt(ride);
+      const receipt = PaymentController.generateReceipt(ride, [], invoice, req.user);
 
       res.json({
         success: true,
@@ -129,6 +215,12 @@ class PaymentController {
 
     } catch (error) {
       console.error('Process payment error:', error);
+
+      // Release the claim only if nothing was charged, so the rider can try again
+      if (claimedRideId && !charged) {
+        await PaymentController.releasePayment(claimedRideId, 'failed').catch(() => {});
+      }
+
       res.status(500).json({
         success: false,
         error: {
@@ -147,7 +239,7 @@ class PaymentController {
    */
   static async submitRating(req, res) {
     try {
-      const { rideId, rating, feedback, ratingType } = req.body;
+      const { rideId, rating, feedback, ratingType, tip, paymentDetails } = req.body;
       const userId = req.user._id;
       const userRole = req.user.role;
 
@@ -258,8 +350,34 @@ class PaymentController {
         });
       }
 
+      // Charge the tip first: if it fails the rider can fix it and resubmit the rating
+      let tipResult = null;
+      if (tip) {
+        tipResult = await TipService.addTip(ride, {
+          amount: tip,
+          paymentDetails,
+          actor: RideEventService.actorFromUser(req.user)
+        });
+
+        if (!tipResult.success) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: tipResult.error,
+              message: tipResult.message,
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+      }
+
       await ride.save();
 
+      await RideEventService.record(ride._id, 'RATING_SUBMITTED', {
+        actor: RideEventService.actorFromUser(req.user),
+        data: { ratingType, rating }
+      });
+
       // Update user's average rating
       const targetUserId = ratingType === 'driver'
         ? (ride.driverId._id || ride.driverId)
@@ -267,10 +385,20 @@ class PaymentController {
 
       await PaymentController.updateUserRating(targetUserId, rating);
 
+      if (tipResult && tipResult.ride) {
+        // The tip was written separately; show it on the returned ride
+        ride.tip = tipResult.ride.tip;
+
+        if (tipResult.status === 'completed') {
+          PaymentController.notifyTip(tipResult.ride);
+        }
+      }
+
       res.json({
         success: true,
         data: {
           ride,
+          tip: tipResult ? { amount: tip, status: tipResult.status } : null,
           message: 'Rating submitted successfully'
         },
         timestamp: new Date().toISOString()
@@ -302,11 +430,15 @@ class PaymentController {
 
       // Build query based on user role
       let query = {
-        'payment.status': { $in: ['completed', 'failed'] }
+        'payment.status': { $in: ['completed', 'failed', 'refunded'] }
       };
 
       if (userRole === 'rider') {
-        query.riderId = userId;
+        // Includes split fares the rider paid a share of
+        query.$or = [
+          { riderId: userId },
+          { 'fareSplit.shares': { $elemMatch: { userId, status: 'accepted' } } }
+        ];
       } else if (userRole === 'driver') {
         query.driverId = userId;
       } else if (userRole === 'admin') {
@@ -400,8 +532,10 @@ class PaymentController {
       const isRider = ride.riderId._id.toString() === userId.toString();
       const isDriver = ride.driverId && ride.driverId._id.toString() === userId.toString();
       const isAdmin = userRole === 'admin';
+      const share = FareSplitService.findShare(ride, userId);
+      const isCoRider = Boolean(share && share.status === 'accepted');
 
-      if (!isRider && !isDriver && !isAdmin) {
+      if (!isRider && !isDriver && !isAdmin && !isCoRider) {
         return res.status(403).json({
           success: false,
           error: {
@@ -413,7 +547,7 @@ class PaymentController {
       }
 
       // Check if payment was completed
-      if (ride.payment.status !== 'completed') {
+      if (!['completed', 'refunded'].includes(ride.payment.status)) {
         return res.status(400).json({
           success: false,
           error: {
@@ -424,7 +558,20 @@ class PaymentController {
         });
       }
 
-      const receipt = PaymentController.generateReceipt(ride);
+      // Rides paid before invoicing, or whose invoice failed at payment time, are invoiced now
+      const invoice = await InvoiceService.issueInvoice(ride);
+
+      if (req.query.format === 'pdf') {
+        const tip = ride.tip && ride.tip.status === 'completed' ? ride.tip : null;
+        res.set({
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `attachment; filename="invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf"`
+        });
+        return res.send(InvoiceService.renderPdf(invoice, { tip }));
+      }
+
+      const refunds = await Refund.find({ rideId: ride._id }).sort({ createdAt: 1 });
+      const receipt = PaymentController.generateReceipt(ride, refunds, invoice, req.user);
 
       res.json({
         success: true,
@@ -446,88 +593,1233 @@ class PaymentController {
     }
   }
 
-  // Helper methods
-
   /**
-   * Process mock payment for local development
+   * Raise a dispute on a completed, paid ride
+   * POST /api/payments/disputes
    */
-  static async processMockPayment(ride, paymentDetails) {
-    // Simulate payment processing delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
+  static async openDispute(req, res) {
+    try {
+      const { rideId, reason, description } = req.body;
+      const userId = req.user._id;
 
-    // Mock payment scenarios based on card number
-    const cardNumber = paymentDetails?.cardNumber || '4242424242424242';
+      const ride = await Ride.findById(rideId);
+      if (!ride) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'RIDE_NOT_FOUND',
+            message: 'Ride not found',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
 
-    if (cardNumber === '4000000000000002') {
-      return {
+      if (ride.riderId.toString() !== userId.toString()) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'UNAUTHORIZED_ACCESS',
+            message: 'You can only dispute your own rides',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      if (ride.status !== 'completed' || ride.payment.status !== 'completed') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'RIDE_NOT_DISPUTABLE',
+            message: 'Only completed, paid rides can be disputed',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const existing = await Dispute.exists({ rideId });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'DISPUTE_EXISTS',
+            message: 'A dispute has already been raised for this ride',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const dispute = await Dispute.create({ rideId, riderId: userId, reason, description });
+
+      await RideEventService.record(ride._id, 'DISPUTE_OPENED', {
+        actor: RideEventService.actorFromUser(req.user),
+        message: description,
+        data: { disputeId: dispute._id, reason }
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          dispute,
+          message: 'Dispute submitted. Our team will review it shortly.'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Open dispute error:', error);
+      res.status(500).json({
         success: false,
-        message: 'Your card was declined'
-      };
+        error: {
+          code: 'DISPUTE_CREATE_FAILED',
+          message: 'Failed to submit dispute',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
     }
+  }
 
-    if (cardNumber === '4000000000009995') {
-      return {
+  /**
+   * List disputes (riders see their own, admins see all)
+   * GET /api/payments/disputes
+   */
+  static async getDisputes(req, res) {
+    try {
+      const { page, limit, status } = req.query;
+
+      const filter = {};
+      if (req.user.role !== 'admin') {
+        filter.riderId = req.user._id;
+      }
+      if (status) {
+        filter.status = status;
+      }
+
+      const [disputes, total] = await Promise.all([
+        Dispute.find(filter)
+          .populate('riderId', 'profile.name phone')
+          .populate('rideId', 'pickup.address destination.address fare payment timeline.completedAt')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Dispute.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          disputes,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get disputes error:', error);
+      res.status(500).json({
         success: false,
-        message: 'Insufficient funds'
-      };
+        error: {
+          code: 'DISPUTE_FETCH_FAILED',
+          message: 'Failed to fetch disputes',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
     }
-
-    // Successful payment
-    return {
-      success: true,
-      transactionId: `mock_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      message: 'Payment processed successfully'
-    };
   }
 
   /**
-   * Process cash payment
+   * Get a dispute with its ride, ride timeline and refunds
+   * GET /api/payments/disputes/:id
    */
-  static async processCashPayment(ride) {
-    return {
-      success: true,
-      transactionId: `cash_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      message: 'Cash payment recorded'
-    };
+  static async getDispute(req, res) {
+    try {
+      const dispute = await Dispute.findById(req.params.id)
+        .populate('riderId', 'profile.name phone')
+        .populate('resolution.resolvedBy', 'profile.name');
+
+      if (!dispute) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'DISPUTE_NOT_FOUND',
+            message: 'Dispute not found',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      if (req.user.role !== 'admin' && dispute.riderId._id.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'UNAUTHORIZED_ACCESS',
+            message: 'You can only view your own disputes',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const [ride, events, refunds] = await Promise.all([
+        Ride.findById(dispute.rideId)
+          .populate('riderId', 'profile.name phone')
+          .populate('driverId', 'profile.name phone driverInfo.vehicleDetails'),
+        RideEventService.getRideEvents(dispute.rideId),
+        Refund.find({ rideId: dispute.rideId }).sort({ createdAt: 1 })
+      ]);
+
+      res.json({
+        success: true,
+        data: { dispute, ride, events, refunds },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get dispute error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'DISPUTE_FETCH_FAILED',
+          message: 'Failed to fetch dispute',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
   }
 
   /**
-   * Generate receipt for completed ride
+   * Resolve a dispute with a full or partial refund, or reject it
+   * PUT /api/payments/disputes/:id/resolve
    */
-  static generateReceipt(ride) {
-    return {
-      receiptId: `RCP_${ride._id}_${Date.now()}`,
-      rideId: ride._id,
-      date: ride.payment.processedAt || ride.timeline.completedAt,
-      rider: {
-        name: ride.riderId.profile.name,
-        phone: ride.riderId.phone
-      },
-      driver: ride.driverId ? {
-        name: ride.driverId.profile.name,
-        vehicle: `${ride.driverId.driverInfo.vehicleDetails.color} ${ride.driverId.driverInfo.vehicleDetails.make} ${ride.driverId.driverInfo.vehicleDetails.model}`,
-        plateNumber: ride.driverId.driverInfo.vehicleDetails.plateNumber
-      } : null,
-      trip: {
-        pickup: ride.pickup.address,
-        destination: ride.destination.address,
-        distance: ride.actualDistance || ride.estimatedDistance,
-        duration: ride.actualDuration || ride.estimatedDuration,
-        startTime: ride.timeline.startedAt,
-        endTime: ride.timeline.completedAt
-      },
-      fare: {
-        baseFare: ride.fare.breakdown.baseFare,
-        distanceFare: ride.fare.breakdown.distanceFare,
-        timeFare: ride.fare.breakdown.timeFare,
-        surgeFare: ride.fare.breakdown.surgeFare,
-        total: ride.fare.final || ride.fare.estimated
-      },
-      payment: {
-        method: ride.payment.method,
-        transactionId: ride.payment.transactionId,
-        status: ride.payment.status
+  static async resolveDispute(req, res) {
+    try {
+      const { decision, amount, note } = req.body;
+
+      // Claim the dispute so two admins cannot resolve (and refund) it at the same time
+      const dispute = await Dispute.findOneAndUpdate(
+        { _id: req.params.id, status: 'open' },
+        { $set: { status: 'under_review' } },
+        { new: true }
+      );
+
+      if (!dispute) {
+        const exists = await Dispute.exists({ _id: req.params.id });
+        if (!exists) {
+          return res.status(404).json({
+            success: false,
+            error: {
+              code: 'DISPUTE_NOT_FOUND',
+              message: 'Dispute not found',
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'DISPUTE_ALREADY_RESOLVED',
+            message: 'This dispute has already been resolved or is being resolved',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      let refund = null;
+      if (decision === 'refund') {
+        const ride = await Ride.findById(dispute.rideId);
+        const result = await PaymentController.issueRefund(ride, {
+          amount,
+          reason: note || `Dispute: ${dispute.reason}`,
+          issuedBy: req.user,
+          disputeId: dispute._id
+        }).catch(async error => {
+          await Dispute.updateOne({ _id: dispute._id }, { $set: { status: 'open' } });
+          throw error;
+        });
+
+        if (!result.success) {
+          await Dispute.updateOne({ _id: dispute._id }, { $set: { status: 'open' } });
+          return res.status(result.status).json({
+            success: false,
+            error: {
+              code: result.error,
+              message: result.message,
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+        refund = result.refund;
       }
+
+      dispute.status = decision === 'refund' ? 'resolved' : 'rejected';
+      dispute.resolution = {
+        decision,
+        note: note || null,
+        refundId: refund ? refund._id : null,
+        resolvedBy: req.user._id,
+        resolvedAt: new Date()
+      };
+      await dispute.save();
+
+      await RideEventService.record(dispute.rideId, 'DISPUTE_RESOLVED', {
+        actor: RideEventService.actorFromUser(req.user),
+        message: note || null,
+        data: { disputeId: dispute._id, decision, refundAmount: refund ? refund.amount : 0 }
+      });
+
+      socketService.broadcastToUser(dispute.riderId.toString(), 'dispute:resolved', {
+        disputeId: dispute._id.toString(),
+        rideId: dispute.rideId.toString(),
+        status: dispute.status,
+        refundAmount: refund ? refund.amount : 0,
+        note: note || null,
+        timestamp: new Date().toISOString()
+      });
+
+      res.json({
+        success: true,
+        data: {
+          dispute,
+          refund,
+          message: decision === 'refund' ? 'Dispute resolved with a refund' : 'Dispute rejected'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Resolve dispute error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'DISPUTE_RESOLVE_FAILED',
+          message: 'Failed to resolve dispute',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Refund all or part of a ride payment
+   * POST /api/payments/refund
+   */
+  static async refundPayment(req, res) {
+    try {
+      const { rideId, amount, reason } = req.body;
+
+      const ride = await Ride.findById(rideId);
+      if (!ride) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'RIDE_NOT_FOUND',
+            message: 'Ride not found',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const result = await PaymentController.issueRefund(ride, {
+        amount,
+        reason,
+        issuedBy: req.user
+      });
+
+      if (!result.success) {
+        return res.status(result.status).json({
+          success: false,
+          error: {
+            code: result.error,
+            message: result.message,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          refund: result.refund,
+          payment: result.payment,
+          message: 'Refund issued successfully'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Refund payment error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'REFUND_FAILED',
+          message: 'Failed to issue refund',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Receive a signed payment provider webhook. Any non-2xx answer makes the provider retry,
+   * so events are applied idempotently.
+   * POST /api/payments/webhooks/:provider
+   */
+  static async handlePaymentWebhook(req, res) {
+    try {
+      // Signatures cover the exact bytes sent; rawBody is kept by the JSON body parser
+      const rawBody = req.rawBody || JSON.stringify(req.body || {});
+      const verification = PaymentGatewayService.verifyWebhook(req.params.provider, rawBody, req.headers);
+
+      if (!verification.valid) {
+        const unknownProvider = verification.error === 'UNKNOWN_PAYMENT_PROVIDER';
+        return res.status(unknownProvider ? 404 : 400).json({
+          success: false,
+          error: {
+            code: unknownProvider ? 'UNKNOWN_PAYMENT_PROVIDER' : 'INVALID_WEBHOOK_SIGNATURE',
+            message: unknownProvider ? 'Unknown payment provider' : 'Webhook signature verification failed',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      await PaymentController.applyGatewayEvent(req.params.provider, verification.event);
+
+      res.json({
+        success: true,
+        data: {
+          received: true,
+          eventId: verification.event.id
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Payment webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'WEBHOOK_PROCESSING_FAILED',
+          message: 'Failed to process webhook',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  // Helper methods
+
+  /**
+   * Charge a card through the configured payment provider, for the whole fare or one share of it
+   */
+  static async processCardPayment(ride, paymentDetails, share = null) {
+    const rideId = ride._id.toString();
+    if (share) {
+      const shareUserId = share.userId.toString();
+      return PaymentGatewayService.charge({
+        amount: share.amount,
+        paymentDetails,
+        reference: `${rideId}_${shareUserId}`,
+        metadata: { purpose: 'ride_payment', rideId, shareUserId }
+      });
+    }
+
+    return PaymentGatewayService.charge({
+      amount: ride.fare.final || ride.fare.estimated,
+      paymentDetails,
+      reference: rideId,
+      metadata: { purpose: 'ride_payment', rideId }
+    });
+  }
+
+  /**
+   * Process cash payment
+   */
+  static async processCashPayment(ride) {
+    return {
+      success: true,
+      transactionId: `cash_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      message: 'Cash payment recorded'
+    };
+  }
+
+  /**
+   * Process wallet payment: debits the rider's wallet balance, or the co-rider's for a share
+   */
+  static async processWalletPayment(ride, share = null) {
+    const result = share
+      ? await WalletService.payForRide(share.userId, ride._id, share.amount)
+      : await WalletService.payForRide(
+        ride.riderId._id || ride.riderId,
+        ride._id,
+        ride.fare.final || ride.fare.estimated
+      );
+
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      transactionId: `wallet_${result.transaction._id}`,
+      message: 'Paid from wallet'
+    };
+  }
+
+  /**
+   * Move a ride's payment into 'processing'. Only one request can win the claim; a claim
+   * left behind by a crashed request can be taken over after PROCESSING_TIMEOUT.
+   *
+   * @returns {Promise<Object|null>} Claimed ride, or null if the payment is completed or in progress
+   */
+  static async claimPayment(rideId) {
+    const now = new Date();
+    return Ride.findOneAndUpdate(
+      {
+        _id: rideId,
+        $or: [
+          { 'payment.status': { $in: ['pending', 'failed'] } },
+          {
+            // Charges awaiting a gateway webhook (transactionId set) are never taken over
+            'payment.status': 'processing',
+            'payment.transactionId': null,
+            'payment.processingStartedAt': { $lt: new Date(now.getTime() - PaymentController.PROCESSING_TIMEOUT) }
+          }
+        ]
+      },
+      { $set: { 'payment.status': 'processing', 'payment.processingStartedAt': now, 'payment.transactionId': null } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Pay one participant's share of a split fare. Shares are claimed one at a time, so co-riders
+   * can pay together; the ride payment completes when the last share is paid.
+   */
+  static async processSharePayment(req, res, ride, share) {
+    const { paymentMethod, paymentDetails } = req.body;
+    const userId = req.user._id;
+    let claimed = false;
+    let charged = false;
+
+    try {
+      claimed = Boolean(await PaymentController.claimSharePayment(ride._id, userId));
+      if (!claimed) {
+        const current = await Ride.findById(ride._id).select('fareSplit');
+        const currentShare = current && FareSplitService.findShare(current, userId);
+        if (currentShare && currentShare.payment.status === 'processing') {
+          return res.status(409).json({
+            success: false,
+            error: {
+              code: 'PAYMENT_IN_PROGRESS',
+              message: 'A payment for your share is already being processed',
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'PAYMENT_ALREADY_PROCESSED',
+            message: 'Your share of this ride has already been paid',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      let paymentResult;
+      switch (paymentMethod) {
+      case 'mock':
+        paymentResult = await PaymentController.processCardPayment(ride, paymentDetails, share);
+        break;
+      case 'cash':
+        paymentResult = await PaymentController.processCashPayment(ride);
+        break;
+      case 'wallet':
+        paymentResult = await PaymentController.processWalletPayment(ride, share);
+        break;
+      default:
+        await PaymentController.releaseSharePayment(ride._id, userId, 'pending');
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_PAYMENT_METHOD',
+            message: 'Invalid payment method specified',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      if (!paymentResult.success) {
+        await PaymentController.releaseSharePayment(ride._id, userId, 'failed');
+
+        await RideEventService.record(ride._id, 'PAYMENT_FAILED', {
+          actor: RideEventService.actorFromUser(req.user),
+          message: paymentResult.message,
+          data: { method: paymentMethod, amount: share.amount }
+        });
+
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: paymentResult.error || 'PAYMENT_FAILED',
+            message: paymentResult.message,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      charged = true;
+      const settled = paymentResult.status !== 'pending';
+      const shareUpdate = {
+        'fareSplit.shares.$.payment.method': paymentMethod,
+        'fareSplit.shares.$.payment.provider': paymentResult.provider || null,
+        'fareSplit.shares.$.payment.transactionId': paymentResult.transactionId
+      };
+      if (settled) {
+        Object.assign(shareUpdate, {
+          'fareSplit.shares.$.payment.status': 'completed',
+          'fareSplit.shares.$.payment.processedAt': new Date(),
+          'fareSplit.shares.$.payment.processingStartedAt': null
+        });
+      }
+
+      const updated = await Ride.findOneAndUpdate(
+        { _id: ride._id, 'fareSplit.shares': { $elemMatch: { userId, 'payment.status': 'processing' } } },
+        { $set: shareUpdate },
+        { new: true }
+      );
+
+      // The gateway confirms the charge later; its webhook completes the share
+      if (!settled) {
+        return res.status(202).json({
+          success: true,
+          data: {
+            ride: FareSplitService.forViewer(updated, req.user),
+            transactionId: paymentResult.transactionId,
+            status: 'processing',
+            message: paymentResult.message
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const completedRide = await PaymentController.completeSharePayment(
+        ride._id,
+        userId,
+        RideEventService.actorFromUser(req.user)
+      );
+      const current = completedRide || updated;
+      let receipt = null;
+      if (completedRide) {
+        const invoice = await InvoiceService.issueInvoice(completedRide).catch(() => null);
+        receipt = PaymentController.generateReceipt(await PaymentController.populateForReceipt(completedRide), [], invoice, req.user);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ride: FareSplitService.forViewer(current, req.user),
+          share: FareSplitService.findShare(current, userId),
+          receipt,
+          transactionId: paymentResult.transactionId,
+          message: completedRide ? 'Payment processed successfully' : 'Your share has been paid'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Process share payment error:', error);
+
+      // Release the claim only if nothing was charged, so the co-rider can try again
+      if (claimed && !charged) {
+        await PaymentController.releaseSharePayment(ride._id, userId, 'failed').catch(() => {});
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PAYMENT_PROCESSING_ERROR',
+          message: 'Failed to process payment',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Move one share of a split fare into 'processing', with the same takeover rules as claimPayment
+   *
+   * @returns {Promise<Object|null>} Claimed ride, or null if the share is paid or being paid
+   */
+  static async claimSharePayment(rideId, userId) {
+    const now = new Date();
+    return Ride.findOneAndUpdate(
+      {
+        _id: rideId,
+        'payment.method': 'split',
+        'fareSplit.shares': {
+          $elemMatch: {
+            userId,
+            status: 'accepted',
+            $or: [
+              { 'payment.status': { $in: ['pending', 'failed'] } },
+              {
+                'payment.status': 'processing',
+                'payment.transactionId': null,
+                'payment.processingStartedAt': { $lt: new Date(now.getTime() - PaymentController.PROCESSING_TIMEOUT) }
+              }
+            ]
+          }
+        }
+      },
+      {
+        $set: {
+          'fareSplit.shares.$.payment.status': 'processing',
+          'fareSplit.shares.$.payment.processingStartedAt': now,
+          'fareSplit.shares.$.payment.transactionId': null
+        }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Release a share claim without charging
+   */
+  static async releaseSharePayment(rideId, userId, status) {
+    await Ride.updateOne(
+      { _id: rideId, 'fareSplit.shares': { $elemMatch: { userId, 'payment.status': 'processing' } } },
+      {
+        $set: {
+          'fareSplit.shares.$.payment.status': status,
+          'fareSplit.shares.$.payment.processingStartedAt': null
+        }
+      }
+    );
+  }
+
+  /**
+   * Record a paid share and complete the ride payment if it was the last one
+   *
+   * @returns {Promise<Object|null>} Ride if this share completed the ride payment, else null
+   */
+  static async completeSharePayment(rideId, userId, actor) {
+    const ride = await Ride.findById(rideId).select('fareSplit');
+    const share = FareSplitService.findShare(ride, userId);
+
+    await RideEventService.record(rideId, 'FARE_SHARE_PAID', {
+      actor,
+      data: {
+        userId,
+        method: share.payment.method,
+        amount: share.amount,
+        transactionId: share.payment.transactionId
+      }
+    });
+
+    const completed = await FareSplitService.completeIfSettled(rideId);
+    if (!completed) {
+      return null;
+    }
+
+    await PaymentController.recordPaymentCompleted(completed, { role: 'system', userId: null });
+
+    completed.fareSplit.shares
+      .filter(participant => participant.status === 'accepted')
+      .forEach(participant => {
+        socketService.broadcastToUser(participant.userId.toString(), 'payment:completed', {
+          rideId: completed._id.toString(),
+          message: 'All shares of the fare have been paid',
+          timestamp: new Date().toISOString()
+        });
+      });
+
+    return completed;
+  }
+
+  /**
+   * Populate the rider and driver a receipt needs
+   */
+  static async populateForReceipt(ride) {
+    return Ride.findById(ride._id)
+      .populate('riderId', 'profile.name phone')
+      .populate('driverId', 'profile.name phone driverInfo.vehicleDetails');
+  }
+
+  /**
+   * Release a payment claim without charging
+   */
+  static async releasePayment(rideId, status) {
+    await Ride.updateOne(
+      { _id: rideId, 'payment.status': 'processing' },
+      { $set: { 'payment.status': status, 'payment.processingStartedAt': null } }
+    );
+  }
+
+  /**
+   * Record a completed ride payment: timeline event, the driver's earnings entry and the tax invoice
+   *
+   * @returns {Promise<Object|null>} Invoice, or null if it could not be issued yet
+   */
+  static async recordPaymentCompleted(ride, actor) {
+    await RideEventService.record(ride._id, 'PAYMENT_COMPLETED', {
+      actor,
+      data: {
+        method: ride.payment.method,
+        amount: ride.fare.final || ride.fare.estimated,
+        transactionId: ride.payment.transactionId
+      }
+    });
+
+    // Credit the driver's earnings ledger; the payment itself has already succeeded
+    try {
+      await EarningsService.recordRideEarning(ride);
+    } catch (earningError) {
+      console.error('Failed to record driver earning:', earningError);
+    }
+
+    // Issue the tax invoice; if this fails it is issued when the receipt is first requested
+    let invoice = null;
+    try {
+      invoice = await InvoiceService.issueInvoice(ride);
+    } catch (invoiceError) {
+      console.error('Failed to issue invoice:', invoiceError);
+    }
+
+    // Send the receipt without holding up the payment response
+    NotificationService.notify('RIDE_RECEIPT', {
+      userId: ride.riderId._id || ride.riderId,
+      data: {
+        rideId: ride._id.toString(),
+        amount: `₹${Number(invoice ? invoice.fare.total : ride.fare.final || ride.fare.estimated).toFixed(2)}`,
+        invoiceNumber: invoice ? invoice.invoiceNumber : ride._id.toString(),
+        pickup: ride.pickup?.address || '',
+        destination: ride.destination?.address || '',
+        date: new Date(ride.timeline?.completedAt || Date.now()).toISOString().slice(0, 10)
+      }
+    });
+
+    return invoice;
+  }
+
+  /**
+   * Apply a verified provider webhook event
+   */
+  static async applyGatewayEvent(providerName, event) {
+    const { purpose } = event.metadata;
+
+    if (purpose === 'ride_payment' && ['payment.captured', 'payment.failed'].includes(event.type)) {
+      // A cancelled ride's hold is captured for its cancellation fee only
+      if (await CancellationFeeService.settleFee(event)) {
+        return;
+      }
+      return PaymentController.settleRidePayment(event);
+    }
+
+    if (purpose === 'wallet_topup' && ['payment.captured', 'payment.failed'].includes(event.type)) {
+      return PaymentController.settleWalletTopUp(providerName, event);
+    }
+
+    if (purpose === 'ride_tip' && ['payment.captured', 'payment.failed'].includes(event.type)) {
+      const ride = await TipService.settleTip(event);
+      if (ride && ride.tip.status === 'completed') {
+        PaymentController.notifyTip(ride);
+      }
+      return;
+    }
+
+    if (event.type === 'refund.failed') {
+      console.error(`Gateway refund ${event.transactionId} failed:`, event.message);
+    }
+  }
+
+  /**
+   * Let the driver know they received a tip
+   */
+  static notifyTip(ride) {
+    socketService.broadcastToUser((ride.driverId._id || ride.driverId).toString(), 'ride:tip', {
+      rideId: ride._id.toString(),
+      amount: ride.tip.amount,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Complete or fail a ride payment that was waiting for the gateway
+   */
+  static async settleRidePayment(event) {
+    const { rideId, shareUserId } = event.metadata;
+    const captured = event.type === 'payment.captured';
+
+    if (shareUserId) {
+      return PaymentController.settleSharePayment(event);
+    }
+
+    const ride = await Ride.findOneAndUpdate(
+      { _id: rideId, 'payment.status': 'processing', 'payment.transactionId': event.transactionId },
+      {
+        $set: captured
+          ? { 'payment.status': 'completed', 'payment.processedAt': new Date(), 'payment.processingStartedAt': null }
+          : { 'payment.status': 'failed', 'payment.processingStartedAt': null }
+      },
+      { new: true }
+    );
+
+    if (!ride) {
+      // The charge response has not been saved yet: fail so the gateway retries the webhook
+      const current = await Ride.findById(rideId).select('payment');
+      if (current && current.payment.status === 'processing' && !current.payment.transactionId) {
+        throw new Error('Payment is not ready for this webhook yet');
+      }
+      // Already applied by an earlier delivery
+      return;
+    }
+
+    const actor = { role: 'system', userId: null };
+    if (captured) {
+      await PaymentController.recordPaymentCompleted(ride, actor);
+    } else {
+      await RideEventService.record(ride._id, 'PAYMENT_FAILED', {
+        actor,
+        message: event.message,
+        data: { method: ride.payment.method, transactionId: event.transactionId }
+      });
+    }
+
+    socketService.broadcastToUser(ride.riderId.toString(), captured ? 'payment:completed' : 'payment:failed', {
+      rideId: ride._id.toString(),
+      transactionId: event.transactionId,
+      message: captured ? 'Payment completed' : event.message || 'Payment failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Complete or fail one share of a split fare that was waiting for the gateway
+   */
+  static async settleSharePayment(event) {
+    const { rideId, shareUserId } = event.metadata;
+    const captured = event.type === 'payment.captured';
+    const sharePending = {
+      userId: shareUserId,
+      'payment.status': 'processing',
+      'payment.transactionId': event.transactionId
+    };
+
+    const update = {
+      'fareSplit.shares.$.payment.status': captured ? 'completed' : 'failed',
+      'fareSplit.shares.$.payment.processingStartedAt': null
+    };
+    if (captured) {
+      update['fareSplit.shares.$.payment.processedAt'] = new Date();
+    }
+
+    const ride = await Ride.findOneAndUpdate(
+      { _id: rideId, 'fareSplit.shares': { $elemMatch: sharePending } },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!ride) {
+      // The charge response has not been saved yet: fail so the gateway retries the webhook
+      const current = await Ride.findById(rideId).select('fareSplit');
+      const share = current && FareSplitService.findShare(current, shareUserId);
+      if (share && share.payment.status === 'processing' && !share.payment.transactionId) {
+        throw new Error('Payment is not ready for this webhook yet');
+      }
+      // Already applied by an earlier delivery
+      return;
+    }
+
+    const actor = { role: 'system', userId: null };
+    if (captured) {
+      await PaymentController.completeSharePayment(ride._id, shareUserId, actor);
+    } else {
+      await RideEventService.record(ride._id, 'PAYMENT_FAILED', {
+        actor,
+        message: event.message,
+        data: { method: 'mock', transactionId: event.transactionId }
+      });
+    }
+
+    socketService.broadcastToUser(shareUserId, captured ? 'payment:share-completed' : 'payment:failed', {
+      rideId: ride._id.toString(),
+      transactionId: event.transactionId,
+      message: captured ? 'Your share has been paid' : event.message || 'Payment failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Credit (or report the failure of) a wallet top-up that was waiting for the gateway.
+   * Only a pending top-up saved by WalletController.topUp for the same rider, amount and
+   * transaction is settled; any other event is ignored.
+   */
+  static async settleWalletTopUp(providerName, event) {
+    const { userId, topUpId } = event.metadata;
+
+    if (event.type === 'payment.failed') {
+      if (await WalletService.discardTopUp(userId, topUpId, event.transactionId)) {
+        socketService.broadcastToUser(userId, 'wallet:topup-failed', {
+          transactionId: event.transactionId,
+          message: event.message || 'Top-up failed',
+          timestamp: new Date().toISOString()
+        });
+      }
+      return;
+    }
+
+    const result = await WalletService.settleTopUp(userId, topUpId, event.amount, event.transactionId);
+    if (result.error === 'TOPUP_NOT_READY') {
+      // The charge response has not been saved yet: fail so the gateway retries the webhook
+      throw new Error('Wallet top-up is not ready for this webhook yet');
+    }
+    if (result.error === 'TOPUP_NOT_FOUND') {
+      // Not a top-up this server started, or one an earlier delivery already settled
+      return;
+    }
+
+    if (!result.success) {
+      // The balance limit was reached while the top-up settled: return the money to the card
+      await PaymentGatewayService.refund(providerName, event.transactionId, event.amount, { reference: `topup_${userId}` });
+      socketService.broadcastToUser(userId, 'wallet:topup-failed', {
+        transactionId: event.transactionId,
+        message: `${result.message}. The top-up has been refunded to your card.`,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    if (!result.duplicate) {
+      socketService.broadcastToUser(userId, 'wallet:topped-up', {
+        transactionId: event.transactionId,
+        amount: event.amount,
+        balance: result.wallet.balance,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Refund a ride payment and record the audit trail. The refunded total is claimed with an
+   * atomic increment so concurrent refunds can never return more than was charged.
+   * Wallet, cash and split payments are refunded to the rider's wallet, card payments to the card.
+   *
+   * @returns {Promise<Object>} { success, refund?, payment?, status?, error?, message? }
+   */
+  static async issueRefund(ride, { amount, reason, issuedBy, disputeId = null }) {
+    if (!ride || ride.payment.status !== 'completed') {
+      return {
+        success: false,
+        status: 400,
+        error: 'PAYMENT_NOT_REFUNDABLE',
+        message: 'Only completed payments can be refunded'
+      };
+    }
+
+    const charged = ride.fare.final || ride.fare.estimated;
+    const refundable = Math.round((charged - (ride.payment.refundedAmount || 0)) * 100) / 100;
+    const refundAmount = amount === undefined || amount === null
+      ? refundable
+      : Math.round(amount * 100) / 100;
+
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      return {
+        success: false,
+        status: 400,
+        error: 'REFUND_EXCEEDS_PAYMENT',
+        message: `Refund amount must be between ₹0.01 and ₹${refundable}`
+      };
+    }
+
+    const claimed = await Ride.findOneAndUpdate(
+      {
+        _id: ride._id,
+        'payment.status': 'completed',
+        $or: [
+          { 'payment.refundedAmount': { $exists: false } },
+          { 'payment.refundedAmount': { $lte: charged - refundAmount + 0.001 } }
+        ]
+      },
+      { $inc: { 'payment.refundedAmount': refundAmount } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return {
+        success: false,
+        status: 409,
+        error: 'REFUND_CONFLICT',
+        message: 'The payment changed while the refund was being issued. Please try again.'
+      };
+    }
+
+    // Split fares were paid by several people and methods, so they are refunded to the booking rider's wallet
+    const toWallet = ['wallet', 'cash', 'split'].includes(ride.payment.method);
+    let transactionId;
+    try {
+      if (toWallet) {
+        const credit = await WalletService.refund(ride.riderId, refundAmount, {
+          rideId: ride._id,
+          description: reason
+        });
+        transactionId = `wallet_${credit.transaction._id}`;
+      } else {
+        const result = await PaymentGatewayService.refund(
+          ride.payment.provider || 'mock',
+          ride.payment.transactionId,
+          refundAmount,
+          { reference: ride._id.toString() }
+        );
+        if (!result.success) {
+          throw new Error(result.message);
+        }
+        transactionId = result.transactionId;
+      }
+    } catch (error) {
+      await Ride.updateOne({ _id: ride._id }, { $inc: { 'payment.refundedAmount': -refundAmount } });
+      throw error;
+    }
+
+    const fullyRefunded = claimed.payment.refundedAmount >= charged - 0.005;
+    if (fullyRefunded) {
+      await Ride.updateOne({ _id: ride._id }, { $set: { 'payment.status': 'refunded' } });
+    }
+
+    const refund = await Refund.create({
+      rideId: ride._id,
+      riderId: ride.riderId,
+      disputeId,
+      amount: refundAmount,
+      type: refundAmount >= charged - 0.005 ? 'full' : 'partial',
+      destination: toWallet ? 'wallet' : 'original_method',
+      paymentMethod: ride.payment.method,
+      reason,
+      transactionId,
+      issuedBy: issuedBy._id
+    });
+
+    await RideEventService.record(ride._id, 'PAYMENT_REFUNDED', {
+      actor: RideEventService.actorFromUser(issuedBy),
+      message: reason,
+      data: {
+        refundId: refund._id,
+        amount: refundAmount,
+        type: refund.type,
+        destination: refund.destination,
+        transactionId
+      }
+    });
+
+    const payment = {
+      status: fullyRefunded ? 'refunded' : 'completed',
+      refundedAmount: Math.round(claimed.payment.refundedAmount * 100) / 100
+    };
+
+    socketService.broadcastToUser(ride.riderId.toString(), 'payment:refunded', {
+      rideId: ride._id.toString(),
+      amount: refundAmount,
+      destination: refund.destination,
+      paymentStatus: payment.status,
+      timestamp: new Date().toISOString()
+    });
+
+    return { success: true, refund, payment };
+  }
+
+  /**
+   * Generate receipt for completed ride
+   * Co-riders' masked phones are shown only when the receipt is for the booking rider or an admin
+   */
+  static generateReceipt(ride, refunds = [], invoice = null, viewer = null) {
+    const tax = invoice ? InvoiceService.toReceipt(invoice) : null;
+    const showPhones = Boolean(viewer) && FareSplitService.canSeeCoRiderPhones(ride, viewer);
+    // Vehicle the ride was driven in (older rides only have the driver's profile vehicle)
+    const vehicle = ride.vehicle || ride.driverId?.driverInfo?.vehicleDetails;
+
+    return {
+      receiptId: tax ? tax.invoiceNumber : `RCP_${ride._id}_${Date.now()}`,
+      rideId: ride._id,
+      date: ride.payment.processedAt || ride.timeline.completedAt,
+      rider: {
+        name: ride.riderId.profile.name,
+        phone: ride.riderId.phone
+      },
+      driver: ride.driverId ? {
+        name: ride.driverId.profile.name,
+        vehicle: `${vehicle.color} ${vehicle.make} ${vehicle.model}`,
+        plateNumber: vehicle.plateNumber
+      } : null,
+      trip: {
+        pickup: ride.pickup.address,
+        stops: (ride.stops || []).map(stop => stop.address),
+        destination: ride.destination.address,
+        serviceLevel: ride.serviceLevel || 'economy',
+        distance: ride.actualDistance || ride.estimatedDistance,
+        duration: ride.actualDuration || ride.estimatedDuration,
+        startTime: ride.timeline.startedAt,
+        endTime: ride.timeline.completedAt
+      },
+      fare: {
+        baseFare: ride.fare.breakdown.baseFare,
+        distanceFare: ride.fare.breakdown.distanceFare,
+        timeFare: ride.fare.breakdown.timeFare,
+        surgeFare: ride.fare.breakdown.surgeFare,
+        stopFare: ride.fare.breakdown.stopFare || 0,
+        waitingFare: ride.fare.breakdown.waitingFare || 0,
+        discount: ride.fare.breakdown.discount || 0,
+        promoCode: ride.fare.promo ? ride.fare.promo.code : null,
+        total: ride.fare.final || ride.fare.estimated,
+        // Fares include GST: the taxable value plus the tax lines make up the total
+        taxableValue: tax ? tax.taxableValue : null,
+        taxes: tax ? tax.taxes : [],
+        refunded: ride.payment.refundedAmount || 0,
+        netPaid: Math.round(((ride.fare.final || ride.fare.estimated) - (ride.payment.refundedAmount || 0)) * 100) / 100
+      },
+      payment: {
+        method: ride.payment.method,
+        transactionId: ride.payment.transactionId,
+        status: ride.payment.status
+      },
+      invoice: tax,
+      shares: FareSplitService.isSplit(ride)
+        ? ride.fareSplit.shares
+          .filter(share => share.status === 'accepted')
+          .map(share => ({
+            userId: share.userId,
+            maskedPhone: showPhones ? share.maskedPhone : null,
+            amount: share.amount,
+            method: share.payment.method,
+            status: share.payment.status,
+            transactionId: share.payment.transactionId
+          }))
+        : [],
+      // Paid on top of the fare and passed to the driver in full
+      tip: ride.tip && ride.tip.status === 'completed' ? {
+        amount: ride.tip.amount,
+        method: ride.tip.method,
+        transactionId: ride.tip.transactionId,
+        paidAt: ride.tip.paidAt
+      } : null,
+      refunds: refunds.map(refund => ({
+        amount: refund.amount,
+        destination: refund.destination,
+        reason: refund.reason,
+        transactionId: refund.transactionId,
+        date: refund.createdAt
+      }))
     };
   }
 
@@ -0,0 +1,353 @@
+const { Promo, PromoRedemption } = require('../models');
+const { PromoService } = require('../services');
+
+/**
+ * Promo Controller
+ * Handles admin management of promo codes and campaigns, and rider code checks
+ */
+
+class PromoController {
+  /**
+   * List promo codes
+   * GET /api/promos
+   */
+  static async listPromos(req, res) {
+    try {
+      const { page = 1, limit = 20, campaign, status } = req.query;
+      const skip = (page - 1) * limit;
+
+      const filter = {};
+      if (campaign) {
+        filter.campaign = campaign;
+      }
+      if (status === 'active') {
+        filter.isActive = true;
+      }
+      if (status === 'inactive') {
+        filter.isActive = false;
+      }
+
+      const [promos, total] = await Promise.all([
+        Promo.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+        Promo.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          promos,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('List promos error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PROMO_FETCH_FAILED',
+          message: 'Failed to fetch promo codes',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Create a promo code
+   * POST /api/promos
+   */
+  static async createPromo(req, res) {
+    try {
+      const windowError = PromoController.checkValidityWindow(req.body);
+      if (windowError) {
+        return res.status(400).json(windowError);
+      }
+
+      const existing = await Promo.exists({ code: req.body.code });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'PROMO_CODE_EXISTS',
+            message: 'A promo with this code already exists',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const promo = await Promo.create({ ...req.body, createdBy: req.user._id });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          promo,
+          message: 'Promo code created successfully'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Create promo error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PROMO_CREATE_FAILED',
+          message: 'Failed to create promo code',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Get a promo code with its redemption summary
+   * GET /api/promos/:id
+   */
+  static async getPromo(req, res) {
+    try {
+      const promo = await Promo.findById(req.params.id);
+      if (!promo) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PROMO_NOT_FOUND',
+            message: 'Promo code not found',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const redemptions = await PromoRedemption.aggregate([
+        { $match: { promoId: promo._id } },
+        { $group: { _id: '$status', count: { $sum: 1 }, totalDiscount: { $sum: '$discount' } } }
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          promo,
+          redemptions: redemptions.reduce((summary, { _id, count, totalDiscount }) => {
+            summary[_id] = { count, totalDiscount: Math.round(totalDiscount * 100) / 100 };
+            return summary;
+          }, {})
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get promo error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PROMO_FETCH_FAILED',
+          message: 'Failed to fetch promo code',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Update a promo code. Rides already booked keep the terms they were booked with.
+   * PUT /api/promos/:id
+   */
+  static async updatePromo(req, res) {
+    try {
+      const promo = await Promo.findById(req.params.id);
+      if (!promo) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PROMO_NOT_FOUND',
+            message: 'Promo code not found',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const windowError = PromoController.checkValidityWindow({
+        validFrom: req.body.validFrom || promo.validFrom,
+        validUntil: req.body.validUntil !== undefined ? req.body.validUntil : promo.validUntil
+      });
+      if (windowError) {
+        return res.status(400).json(windowError);
+      }
+
+      if (req.body.code && req.body.code !== promo.code) {
+        const existing = await Promo.exists({ code: req.body.code });
+        if (existing) {
+          return res.status(409).json({
+            success: false,
+            error: {
+              code: 'PROMO_CODE_EXISTS',
+              message: 'A promo with this code already exists',
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+      }
+
+      promo.set(req.body);
+      await promo.save();
+
+      res.json({
+        success: true,
+        data: {
+          promo,
+          message: 'Promo code updated successfully'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Update promo error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PROMO_UPDATE_FAILED',
+          message: 'Failed to update promo code',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Delete an unused promo code. Used codes must be deactivated instead so ride
+   * history keeps pointing at them.
+   * DELETE /api/promos/:id
+   */
+  static async deletePromo(req, res) {
+    try {
+      const promo = await Promo.findById(req.params.id);
+      if (!promo) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PROMO_NOT_FOUND',
+            message: 'Promo code not found',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const used = await PromoRedemption.exists({ promoId: promo._id });
+      if (used) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'PROMO_IN_USE',
+            message: 'This promo has been used on rides; deactivate it instead',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      await promo.deleteOne();
+
+      res.json({
+        success: true,
+        data: {
+          message: 'Promo code deleted successfully'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Delete promo error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PROMO_DELETE_FAILED',
+          message: 'Failed to delete promo code',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Check a promo code against a rider's pending booking
+   * POST /api/promos/check
+   */
+  static async checkPromo(req, res) {
+    try {
+      const { code, pickup, fare } = req.body;
+
+      const result = await PromoService.validatePromo(code, {
+        riderId: req.user._id,
+        pickup: pickup.coordinates,
+        fare
+      });
+
+      if (!result.valid) {
+        return res.status(result.error === 'PROMO_NOT_FOUND' ? 404 : 400).json({
+          success: false,
+          error: {
+            code: result.error,
+            message: result.message,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          code: result.promo.code,
+          description: result.promo.description,
+          discountType: result.promo.discountType,
+          discountValue: result.promo.discountValue,
+          discount: result.discount,
+          fareAfterDiscount: Math.round((fare - result.discount) * 100) / 100
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Check promo error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PROMO_CHECK_FAILED',
+          message: 'Failed to check promo code',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  // Helper methods
+
+  /**
+   * Error response if a promo's validity window ends before it starts
+   */
+  static checkValidityWindow({ validFrom, validUntil }) {
+    if (validFrom && validUntil && new Date(validUntil) <= new Date(validFrom)) {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_VALIDITY_WINDOW',
+          message: 'validUntil must be after validFrom',
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+    return null;
+  }
+}
+
+module.exports = PromoController;
@@ -1,7 +1,24 @@
 const { Ride } = require('../models');
-const { MatchingService, FareService } = require('../services');
+const {
+  MatchingService,
+  FareService,
+  RideSchedulerService,
+  CancellationFeeService,
+  RideEventService,
+  RouteTraceService,
+  SurgeService,
+  FareQuoteService,
+  PromoService,
+  PaymentGatewayService,
+  PaymentHoldService,
+  FareSplitService,
+  WaitingTimeService,
+  NotificationService,
+  VehicleService,
+  ShiftService
+} = require('../services');
 const socketService = require('../services/socketService');
-const mongoose = require('mongoose');
+const PaymentController = require('./paymentController');
 
 /**
  * Ride Controller
@@ -10,18 +27,33 @@ const mongoose = require('mongoose');
  */
 
 class RideController {
+  // Riders can add stops from booking until the trip ends
+  static STOP_EDITABLE_STATUSES = ['requested', 'matched', 'accepted', 'arrived', 'in_progress'];
+
   /**
    * Book a new ride
    * POST /api/rides/book
    */
   static async bookRide(req, res) {
     try {
-      const { pickup, destination, specialInstructions } = req.body;
+      const {
+        pickup,
+        destination,
+        stops = [],
+        specialInstructions,
+        serviceLevel = 'economy',
+        scheduledFor,
+        quoteId,
+        promoCode,
+        paymentMethod,
+        paymentDetails
+      } = req.body;
       const riderId = req.user._id;
 
       // Validate coordinates are within reasonable bounds
       const pickupCoords = pickup.coordinates.coordinates;
       const destCoords = destination.coordinates.coordinates;
+      const stopCoords = stops.map(stop => stop.coordinates.coordinates);
 
       console.log('🔍 Debug - Pickup coordinates:', pickupCoords);
       console.log('🔍 Debug - Destination coordinates:', destCoords);
@@ -29,21 +61,70 @@ class RideController {
       console.log('🔍 Debug - Destination validation:', RideController.validateCoordinates(destCoords));
 
       if (!RideController.validateCoordinates(pickupCoords) ||
-        !RideController.validateCoordinates(destCoords)) {
+        !RideController.validateCoordinates(destCoords) ||
+        !stopCoords.every(RideController.validateCoordinates)) {
         return res.status(400).json({
           success: false,
           error: {
             code: 'INVALID_COORDINATES',
-            message: 'Pickup and destination coordinates must be valid',
+            message: 'Pickup, stop and destination coordinates must be valid',
             timestamp: new Date().toISOString()
           }
         });
       }
 
-      // Check if user has any active rides
-      const activeRide = await Ride.findOne({
+      // Scheduled rides must fall inside the advance booking window
+      if (scheduledFor) {
+        const scheduleCheck = RideSchedulerService.validateScheduledTime(scheduledFor);
+        if (!scheduleCheck.valid) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: scheduleCheck.error,
+              message: scheduleCheck.message,
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+      }
+
+      // Quotes carry live surge, so they only lock the price of immediate bookings
+      let quote = null;
+      if (quoteId) {
+        if (scheduledFor) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'QUOTE_NOT_SUPPORTED',
+              message: 'Fare quotes cannot be used for scheduled rides',
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+
+        const quoteCheck = FareQuoteService.verifyQuote(quoteId, {
+          pickup: pickupCoords,
+          destination: destCoords,
+          stops: stopCoords,
+          serviceLevel
+        });
+        if (!quoteCheck.valid) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: quoteCheck.error,
+              message: quoteCheck.message,
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+        quote = quoteCheck.quote;
+      }
+
+      // Check if user has any active rides (only relevant for immediate bookings)
+      const activeRide = scheduledFor ? null : await Ride.findOne({
         riderId,
-        status: { $in: ['requested', 'matched', 'accepted', 'in_progress'] }
+        status: { $in: ['requested', 'matched', 'accepted', 'arrived', 'in_progress'] }
       });
 
       console.log('🔍 Debug - Active ride check:', activeRide ? 'Found active ride' : 'No active ride');
@@ -61,100 +142,184 @@ class RideController {
         });
       }
 
-      // Calculate distance and duration
-      const distance = RideController.calculateDistance(pickupCoords, destCoords);
+      // Calculate distance and duration across every leg of the trip
+      const distance = RideController.calculateRouteDistance([pickupCoords, ...stopCoords, destCoords]);
       const duration = RideController.estimateDuration(distance);
 
       console.log('🔍 Debug - Calculated distance:', distance);
       console.log('🔍 Debug - Calculated duration:', duration);
 
-      // Calculate fare using FareService
-      const fareBreakdown = FareService.calculateFare(distance, duration);
+      // Immediate rides pay the quoted surge, or the current surge of their pickup cell;
+      // scheduled rides are priced without surge since demand at pickup time is unknown
+      let surge;
+      if (quote) {
+        surge = { multiplier: quote.surgeMultiplier, cellId: quote.surgeCellId };
+      } else if (scheduledFor) {
+        surge = { multiplier: 1.0, cellId: null };
+      } else {
+        surge = await SurgeService.getSurgeForLocation(pickupCoords[0], pickupCoords[1]);
+      }
+
+      // Calculate fare using FareService for the requested service level
+      const fareBreakdown = FareService.calculateFare(distance, duration, surge.multiplier, serviceLevel, stops.length);
+      const grossFare = quote ? quote.fare : fareBreakdown.totalFare;
+
+      // Validate the promo against the booking; usage is reserved once the ride exists
+      let promo = null;
+      let discount = 0;
+      if (promoCode) {
+        const promoCheck = await PromoService.validatePromo(promoCode, {
+          riderId,
+          pickup: pickupCoords,
+          fare: grossFare
+        });
+        if (!promoCheck.valid) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: promoCheck.error,
+              message: promoCheck.message,
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+        promo = promoCheck.promo;
+        discount = promoCheck.discount;
+      }
+      const estimatedFare = Math.round((grossFare - discount) * 100) / 100;
 
       // Create ride
       const ride = new Ride({
         riderId,
         pickup,
         destination,
+        stops,
         estimatedDistance: distance,
         estimatedDuration: duration,
+        serviceLevel,
+        status: scheduledFor ? 'scheduled' : 'requested',
+        scheduledFor: scheduledFor || null,
         fare: {
-          estimated: fareBreakdown.totalFare,
-          breakdown: fareBreakdown
+          estimated: estimatedFare,
+          breakdown: { ...fareBreakdown, discount },
+          surgeMultiplier: surge.multiplier,
+          surgeCellId: surge.cellId,
+          quote: quote ? {
+            quoteId: quote.id,
+            amount: quote.fare,
+            serviceLevel: quote.serviceLevel,
+            surgeMultiplier: quote.surgeMultiplier,
+            issuedAt: quote.issuedAt,
+            expiresAt: quote.expiresAt
+          } : null,
+          promo: promo ? PromoService.toSnapshot(promo) : null
         },
         specialInstructions: specialInstructions || null
       });
 
-      await ride.save();
-
-      // Populate rider information
-      await ride.populate('riderId', 'profile.name phone');
+      if (promo) {
+        const reservation = await PromoService.reserve(promo, { riderId, rideId: ride._id, discount });
+        if (!reservation.success) {
+          return res.status(409).json({
+            success: false,
+            error: {
+              code: reservation.error,
+              message: reservation.message,
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+      }
 
-      // Initiate driver matching process with improved error handling
-      setTimeout(async () => {
-        try {
-          // Check if DB is still connected before attempting matching
-          if (mongoose.connection.readyState !== 1) {
-            console.warn('⚠️ Database not connected - skipping driver matching');
-            return;
+      // Card bookings pre-authorize the top of the fare range; completion captures the final fare.
+      // Scheduled rides can still be edited, so their card is authorized when they are dispatched.
+      if (paymentMethod === 'mock' && scheduledFor) {
+        ride.payment.method = 'mock';
+        ride.payment.card = PaymentHoldService.saveCard(paymentDetails);
+      } else if (paymentMethod === 'mock') {
+        const holdResult = await PaymentHoldService.placeHold(ride, {
+          amount: PaymentHoldService.calculateHoldAmount({
+            distance,
+            duration,
+            serviceLevel,
+            stopCount: stops.length,
+            fare: grossFare
+          }),
+          paymentDetails
+        });
+        if (!holdResult.success) {
+          if (promo) {
+            await PromoService.release(ride._id);
           }
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: holdResult.error || 'PAYMENT_AUTHORIZATION_FAILED',
+              message: holdResult.message || 'Your card could not be authorized',
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+      } else if (paymentMethod) {
+        ride.payment.method = paymentMethod;
+      }
 
-          const matchingResult = await MatchingService.findNearestDriver(
-            pickupCoords[0],
-            pickupCoords[1],
-            ride._id
-          );
-
-          if (matchingResult.success) {
-            console.log(`✅ Driver matched for ride ${ride._id}:`, matchingResult.driver.profile.name);
-            // In a real application, you would emit Socket.IO events here
-          } else {
-            console.log(`❌ No drivers found for ride ${ride._id}:`, matchingResult.message);
-            // Update ride status to indicate no drivers available
-            try {
-              // Check DB connection again before update
-              if (mongoose.connection.readyState !== 1) {
-                return;
-              }
+      try {
+        await ride.save();
+      } catch (saveError) {
+        if (promo) {
+          await PromoService.release(ride._id);
+        }
+        if (ride.payment.hold) {
+          const { provider, authorizationId } = ride.payment.hold;
+          await PaymentGatewayService.void(provider, authorizationId).catch(() => {});
+        }
+        throw saveError;
+      }
 
-              await Ride.findByIdAndUpdate(ride._id, {
-                $set: { 'metadata.noDriversAvailable': true },
-                $push: {
-                  'timeline.events': {
-                    type: 'NO_DRIVERS_AVAILABLE',
-                    timestamp: new Date(),
-                    message: matchingResult.message
-                  }
-                }
-              });
-            } catch (updateError) {
-              console.error('Failed to update ride with no drivers status:', updateError);
-            }
-          }
-        } catch (matchingError) {
-          console.error('❌ Driver matching failed with error:', matchingError);
-          // Log the error and update ride status
-          try {
-            // Check DB connection before update
-            if (mongoose.connection.readyState !== 1) {
-              return;
-            }
+      await RideEventService.record(ride._id, ride.status === 'scheduled' ? 'RIDE_SCHEDULED' : 'RIDE_REQUESTED', {
+        actor: RideEventService.actorFromUser(req.user),
+        data: {
+          serviceLevel,
+          estimatedFare,
+          stops: stops.length,
+          surgeMultiplier: surge.multiplier,
+          quoteId: quote ? quote.id : null,
+          promoCode: promo ? promo.code : null,
+          discount,
+          paymentHold: ride.payment.hold ? ride.payment.hold.amount : null,
+          scheduledFor: ride.scheduledFor
+        }
+      });
 
-            await Ride.findByIdAndUpdate(ride._id, {
-              $set: { 'metadata.matchingError': matchingError.message },
-              $push: {
-                'timeline.events': {
-                  type: 'MATCHING_ERROR',
-                  timestamp: new Date(),
-                  error: matchingError.message
-                }
-              }
-            });
-          } catch (updateError) {
-            console.error('Failed to log matching error:', updateError);
+      if (ride.payment.hold) {
+        await RideEventService.record(ride._id, 'PAYMENT_AUTHORIZED', {
+          actor: RideEventService.actorFromUser(req.user),
+          data: {
+            method: ride.payment.method,
+            amount: ride.payment.hold.amount,
+            transactionId: ride.payment.hold.authorizationId
           }
-        }
-      }, 1000); // Small delay to allow response to be sent first
+        });
+      }
+
+      // Populate rider information
+      await ride.populate('riderId', 'profile.name phone');
+
+      if (ride.status === 'scheduled') {
+        return res.status(201).json({
+          success: true,
+          data: {
+            ride,
+            dispatchAt: RideSchedulerService.getDispatchTime(ride.scheduledFor).toISOString(),
+            message: 'Ride scheduled successfully. We will start finding a driver shortly before pickup.'
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Initiate driver matching once the response has been sent
+      setTimeout(() => RideSchedulerService.startMatching(ride), 1000);
 
       res.status(201).json({
         success: true,
@@ -185,14 +350,16 @@ class RideController {
    */
   static async getFareEstimate(req, res) {
     try {
-      const { pickup, destination } = req.body;
+      const { pickup, destination, stops = [], serviceLevel = 'economy' } = req.body;
 
       const pickupCoords = pickup.coordinates;
       const destCoords = destination.coordinates;
+      const stopCoords = stops.map(stop => stop.coordinates);
 
       // Validate coordinates
       if (!RideController.validateCoordinates(pickupCoords) ||
-        !RideController.validateCoordinates(destCoords)) {
+        !RideController.validateCoordinates(destCoords) ||
+        !stopCoords.every(RideController.validateCoordinates)) {
         return res.status(400).json({
           success: false,
           error: {
@@ -203,8 +370,8 @@ class RideController {
         });
       }
 
-      // Calculate distance and duration
-      const distance = RideController.calculateDistance(pickupCoords, destCoords);
+      // Calculate distance and duration across every leg of the trip
+      const distance = RideController.calculateRouteDistance([pickupCoords, ...stopCoords, destCoords]);
       const duration = RideController.estimateDuration(distance);
 
       // Minimum distance validation (100 meters = 0.1 km)
@@ -219,15 +386,38 @@ class RideController {
         });
       }
 
-      // Calculate fare using FareService
-      const fareBreakdown = FareService.calculateFare(distance, duration);
+      // Calculate fare using FareService at the current surge of the pickup cell
+      const surge = await SurgeService.getSurgeForLocation(pickupCoords[0], pickupCoords[1]);
+      const fareBreakdown = FareService.calculateFare(distance, duration, surge.multiplier, serviceLevel, stops.length);
+
+      // Signed quote that lets the rider book at exactly this price
+      const quote = FareQuoteService.createQuote({
+        pickup: pickupCoords,
+        destination: destCoords,
+        stops: stopCoords,
+        serviceLevel,
+        surgeMultiplier: surge.multiplier,
+        surgeCellId: surge.cellId,
+        fare: fareBreakdown.totalFare
+      });
 
       res.json({
         success: true,
         data: {
           distance: Math.round(distance * 100) / 100, // Round to 2 decimal places
           estimatedDuration: Math.round(duration),
+          stops: stops.length,
+          serviceLevel,
           fare: fareBreakdown,
+          surge: {
+            multiplier: surge.multiplier,
+            active: surge.multiplier > 1.0,
+            cellId: surge.cellId
+          },
+          quote: {
+            quoteId: quote.quoteId,
+            expiresAt: quote.expiresAt.toISOString()
+          },
           currency: 'USD'
         },
         timestamp: new Date().toISOString()
@@ -258,6 +448,21 @@ class RideController {
       const userId = req.user._id;
       const userRole = req.user.role;
 
+      // Cancellations go through the dedicated flow so the fee policy always applies
+      if (status === 'cancelled') {
+        return RideController.cancelRide(req, res);
+      }
+
+      // Acceptance must resolve the driver's pending offer atomically
+      if (status === 'accepted' && userRole === 'driver') {
+        return RideController.acceptRide(req, res);
+      }
+
+      // Completion measures the trip and settles the final fare
+      if (status === 'completed') {
+        return RideController.completeRide(req, res);
+      }
+
       // Find ride
       const ride = await Ride.findById(id);
       if (!ride) {
@@ -301,8 +506,27 @@ class RideController {
 
       // Update ride status
       try {
+        const previousStatus = ride.status;
+
+        // Starting the trip stops the waiting meter; the charge is shown until the final fare replaces it
+        let waiting = null;
+        if (previousStatus === 'arrived' && status === 'in_progress') {
+          waiting = WaitingTimeService.getWaitingCharge(ride);
+          ride.fare.breakdown.waitingFare = waiting.waitingFare;
+        }
+
         await ride.updateStatus(status, reason);
 
+        await RideEventService.record(id, 'STATUS_CHANGED', {
+          actor: RideEventService.actorFromUser(req.user),
+          message: reason || null,
+          data: {
+            from: previousStatus,
+            to: status,
+            ...(waiting && { waitingMinutes: waiting.waitingMinutes, waitingFare: waiting.waitingFare })
+          }
+        });
+
         // Release driver if ride is cancelled or completed
         if ((status === 'cancelled' || status === 'completed') && ride.driverId) {
           const releaseResult = await MatchingService.releaseDriver(ride.driverId);
@@ -327,10 +551,23 @@ class RideController {
             updatedBy: userId.toString(),
             userRole,
           });
+
+          // Start the rider's waiting meter on arrival, and send the settled charge once the trip starts
+          if (status === 'arrived' || waiting) {
+            WaitingTimeService.broadcast(ride);
+          }
         } catch (emitErr) {
           console.warn('Socket emit failed for status update:', emitErr?.message || emitErr);
         }
 
+        if (status === 'arrived') {
+          const { freeMinutes, ratePerMinute } = WaitingTimeService.getWaitingCharge(ride);
+          RideController.notifyRider('DRIVER_ARRIVED', ride, req.user, {
+            freeMinutes,
+            ratePerMinute: `₹${ratePerMinute.toFixed(2)}`
+          });
+        }
+
         // Populate related data
         await ride.populate([
           { path: 'riderId', select: 'profile.name phone' },
@@ -340,7 +577,7 @@ class RideController {
         res.json({
           success: true,
           data: {
-            ride,
+            ride: FareSplitService.forViewer(ride, req.user),
             message: `Ride status updated to ${status}`
           },
           timestamp: new Date().toISOString()
@@ -371,15 +608,238 @@ class RideController {
     }
   }
 
+  /**
+   * Cancel a ride on behalf of the rider or the assigned driver
+   * POST /api/rides/:id/cancel
+   */
+  static async cancelRide(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body || {};
+      const userId = req.user._id;
+      const userRole = req.user.role;
+
+      const ride = await Ride.findById(id);
+      if (!ride) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'RIDE_NOT_FOUND',
+            message: 'Ride not found',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      // Check authorization
+      const isRider = ride.riderId.toString() === userId.toString();
+      const isDriver = ride.driverId && ride.driverId.toString() === userId.toString();
+      const isAdmin = userRole === 'admin';
+
+      if (!isRider && !isDriver && !isAdmin) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'UNAUTHORIZED_ACCESS',
+            message: 'You are not authorized to cancel this ride',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      if (!RideController.canUpdateStatus(ride.status, 'cancelled', userRole, isRider, isDriver)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_STATUS_TRANSITION',
+            message: `Cannot cancel a ride with status ${ride.status}`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      let cancelledBy = 'admin';
+      if (isRider) {
+        cancelledBy = 'rider';
+      } else if (isDriver) {
+        cancelledBy = 'driver';
+      }
+
+      const previousStatus = ride.status;
+      const feeResult = FareService.calculateCancellationFee({
+        status: ride.status,
+        cancelledBy,
+        requestedAt: ride.timeline.requestedAt
+      });
+
+      const now = new Date();
+      const updates = {
+        status: 'cancelled',
+        cancellationReason: reason || `Cancelled by ${cancelledBy}`,
+        cancellation: {
+          cancelledBy,
+          cancelledByUserId: userId,
+          fee: feeResult.fee,
+          feeReason: feeResult.reason
+        },
+        'timeline.cancelledAt': now,
+        // A scheduled card booking's saved card is no longer needed
+        'payment.card': null
+      };
+
+      // Withdraw any outstanding driver offer
+      const options = { new: true, runValidators: true };
+      if (previousStatus === 'matched') {
+        updates['offers.$[offer].status'] = 'cancelled';
+        updates['offers.$[offer].respondedAt'] = now;
+        options.arrayFilters = [{ 'offer.status': 'pending' }];
+      }
+
+      // Cancel only from the status checked above, so a driver accepting or being assigned the
+      // ride meanwhile wins instead; driverId is then the one the cancellation replaced
+      const cancelledRide = await Ride.findOneAndUpdate(
+        { _id: id, status: previousStatus },
+        { $set: updates },
+        options
+      );
+
+      if (!cancelledRide) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'RIDE_CHANGED',
+            message: 'The ride changed while it was being cancelled. Please try again.',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      if (previousStatus === 'matched') {
+        MatchingService.clearOfferTimeout(cancelledRide._id);
+      }
+
+      await PromoService.release(cancelledRide._id);
+
+      // Take the fee from the card hold or wallet, or record it as owed; any unused hold is released
+      const feeCollection = await CancellationFeeService.collectFee(cancelledRide, {
+        actor: RideEventService.actorFromUser(req.user)
+      });
+      if (feeCollection.ride) {
+        cancelledRide.cancellation.feePayment = feeCollection.ride.cancellation.feePayment.toObject();
+        if (feeCollection.ride.payment.hold) {
+          cancelledRide.payment.hold = feeCollection.ride.payment.hold.toObject();
+        }
+      }
+
+      const releasedHold = await PaymentHoldService.releaseHold(cancelledRide._id);
+      if (releasedHold) {
+        cancelledRide.payment.hold = releasedHold.payment.hold.toObject();
+      }
+
+      await RideEventService.record(id, 'RIDE_CANCELLED', {
+        actor: RideEventService.actorFromUser(req.user),
+        message: cancelledRide.cancellationReason,
+        data: {
+          from: previousStatus,
+          to: 'cancelled',
+          cancelledBy,
+          fee: feeResult.fee,
+          feeReason: feeResult.reason
+        }
+      });
+
+      // Free up the driver for new requests (an offered driver was never marked busy)
+      if (cancelledRide.driverId && ['accepted', 'arrived', 'in_progress'].includes(previousStatus)) {
+        const releaseResult = await MatchingService.releaseDriver(cancelledRide.driverId);
+        if (!releaseResult.success) {
+          console.warn('Failed to release driver:', releaseResult.message);
+        }
+      }
+
+      // Notify participants, and tell the other party directly who cancelled
+      try {
+        const timestamp = new Date().toISOString();
+        socketService.broadcastToRide(id, 'ride:status-change', {
+          rideId: id,
+          status: 'cancelled',
+          timestamp
+        });
+        socketService.broadcastToRide(id, 'ride:status-updated', {
+          rideId: id,
+          status: 'cancelled',
+          updatedBy: userId.toString(),
+          userRole,
+          timestamp
+        });
+
+        const cancelledPayload = {
+          rideId: id,
+          cancelledBy,
+          reason: cancelledRide.cancellationReason,
+          cancellationFee: feeResult.fee,
+          timestamp
+        };
+        if (cancelledBy !== 'rider') {
+          socketService.broadcastToUser(cancelledRide.riderId.toString(), 'ride:cancelled', cancelledPayload);
+        }
+        if (cancelledBy !== 'driver' && cancelledRide.driverId) {
+          socketService.broadcastToUser(cancelledRide.driverId.toString(), 'ride:cancelled', cancelledPayload);
+        }
+      } catch (emitErr) {
+        console.warn('Socket emit failed for ride cancellation:', emitErr?.message || emitErr);
+      }
+
+      await cancelledRide.populate([
+        { path: 'riderId', select: 'profile.name phone' },
+        { path: 'driverId', select: 'profile.name phone driverInfo.vehicleDetails' }
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          ride: FareSplitService.forViewer(cancelledRide, req.user),
+          cancellationFee: feeResult.fee,
+          message: RideController.cancellationMessage(feeResult.fee, feeCollection.status)
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Cancel ride error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'RIDE_CANCELLATION_FAILED',
+          message: 'Failed to cancel ride',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
   /**
    * Get pending ride requests for driver
    * GET /api/rides/driver/pending
    */
   static async getPendingRides(req, res) {
     try {
-      const driverId = req.user._id;
       const { lat, lng, radius = 10 } = req.query;
 
+      // Only show rides the driver's vehicle class can serve (legacy rides without a level are economy)
+      const servableLevels = MatchingService.getServiceLevelsForVehicleClass(
+        VehicleService.getDispatchVehicle(req.user)?.vehicleClass
+      );
+      const serviceLevelFilter = { $in: [...servableLevels, null] };
+
+      // Open requests plus any ride currently offered to this driver
+      const pendingFilter = {
+        $or: [
+          { status: 'requested' },
+          { status: 'matched', driverId: req.user._id }
+        ]
+      };
+
       // Validate driver location if provided
       if (lat && lng) {
         const coordinates = [parseFloat(lng), parseFloat(lat)];
@@ -396,7 +856,8 @@ class RideController {
 
         // Find rides near driver location
         const rides = await Ride.find({
-          status: 'requested',
+          ...pendingFilter,
+          serviceLevel: serviceLevelFilter,
           'pickup.coordinates': {
             $near: {
               $geometry: {
@@ -414,7 +875,7 @@ class RideController {
         res.json({
           success: true,
           data: {
-            rides,
+            rides: rides.map(ride => FareSplitService.forViewer(ride, req.user)),
             count: rides.length,
             radius: radius
           },
@@ -423,7 +884,7 @@ class RideController {
 
       } else {
         // Return all pending rides if no location provided
-        const rides = await Ride.find({ status: 'requested' })
+        const rides = await Ride.find({ ...pendingFilter, serviceLevel: serviceLevelFilter })
           .populate('riderId', 'profile.name phone')
           .sort({ createdAt: 1 })
           .limit(20);
@@ -431,7 +892,7 @@ class RideController {
         res.json({
           success: true,
           data: {
-            rides,
+            rides: rides.map(ride => FareSplitService.forViewer(ride, req.user)),
             count: rides.length
           },
           timestamp: new Date().toISOString()
@@ -461,6 +922,34 @@ class RideController {
       const { id } = req.params;
       const driverId = req.user._id;
 
+      // Drivers at the continuous driving limit take no more rides until they have had a break
+      if (ShiftService.hasReachedLimit(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'DRIVER_BREAK_REQUIRED',
+            message: `You have driven for ${ShiftService.MAX_CONTINUOUS_MINUTES} minutes without a break. Finish your shift and take a break`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      // Make sure the driver's vehicle can serve the requested service level
+      const requestedRide = await Ride.findById(id).select('serviceLevel');
+      if (requestedRide && !MatchingService.vehicleQualifiesForServiceLevel(
+        VehicleService.getDispatchVehicle(req.user)?.vehicleClass,
+        requestedRide.serviceLevel
+      )) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'VEHICLE_CLASS_MISMATCH',
+            message: `Your vehicle does not qualify for ${requestedRide.serviceLevel} rides`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
       // Use MatchingService for atomic assignment with conflict resolution
       const assignmentResult = await MatchingService.assignRideToDriver(id, driverId);
 
@@ -488,6 +977,7 @@ class RideController {
         socketService.broadcastToRide(id, 'ride:driver-assigned', {
           rideId: id,
           driver: ride.driverId,
+          vehicle: ride.vehicle,
           estimatedArrival: 5 // Default 5 minutes, can be calculated based on distance
         });
 
@@ -497,12 +987,14 @@ class RideController {
           status: 'accepted',
           timestamp: new Date().toISOString()
         });
+
+        RideController.notifyRider('RIDE_ACCEPTED', ride, ride.driverId);
       }
 
       res.json({
         success: true,
         data: {
-          ride,
+          ride: FareSplitService.forViewer(ride, req.user),
           message: 'Ride accepted successfully',
           assignedAt: assignmentResult.assignedAt
         },
@@ -524,13 +1016,58 @@ class RideController {
   }
 
   /**
-   * Get ride history with filtering and pagination
-   * GET /api/rides/history
+   * Decline a ride offered to the driver
+   * POST /api/rides/:id/decline
    */
-  static async getRideHistory(req, res) {
+  static async declineRide(req, res) {
     try {
-      const userId = req.user._id;
-      const userRole = req.user.role;
+      const { id } = req.params;
+
+      const declineResult = await MatchingService.declineOffer(id, req.user._id, 'declined');
+
+      if (!declineResult.success) {
+        const statusCode = declineResult.error === 'OFFER_NOT_FOUND' ? 409 : 400;
+        return res.status(statusCode).json({
+          success: false,
+          error: {
+            code: declineResult.error,
+            message: declineResult.message,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          rideId: id,
+          message: 'Ride offer declined'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Decline ride error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'RIDE_DECLINE_FAILED',
+          message: 'Failed to decline ride',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Get ride history with filtering and pagination
+   * GET /api/rides/history
+   */
+  static async getRideHistory(req, res) {
+    try {
+      const userId = req.user._id;
+      const userRole = req.user.role;
       const {
         page = 1,
         limit = 10,
@@ -592,7 +1129,7 @@ class RideController {
       res.json({
         success: true,
         data: {
-          rides,
+          rides: rides.map(ride => FareSplitService.forViewer(ride, req.user)),
           pagination: {
             currentPage: parseInt(page),
             totalPages: Math.ceil(total / limitNum),
@@ -658,7 +1195,8 @@ class RideController {
         pickupCoords[0],
         pickupCoords[1],
         ride._id,
-        radius ? radius * 1000 : undefined // Convert km to meters if provided
+        radius ? radius * 1000 : undefined, // Convert km to meters if provided
+        ride.serviceLevel
       );
 
       if (matchingResult.success) {
@@ -677,10 +1215,11 @@ class RideController {
               driver: matchingResult.driver,
               searchRadius: matchingResult.searchRadius / 1000, // Convert back to km
               totalDriversFound: matchingResult.totalDriversFound,
-              assignedAt: matchingResult.assignedAt,
+              offeredAt: matchingResult.offeredAt,
+              expiresAt: matchingResult.expiresAt,
               fallbackAssignment: matchingResult.fallbackAssignment || false
             },
-            message: 'Driver found and assigned successfully'
+            message: 'Driver found and ride offered successfully'
           },
           timestamp: new Date().toISOString()
         });
@@ -713,6 +1252,193 @@ class RideController {
     }
   }
 
+  /**
+   * Get current surge zones for the heatmap
+   * GET /api/rides/surge/heatmap
+   */
+  static async getSurgeHeatmap(req, res) {
+    try {
+      const { south, west, north, east } = req.query;
+      let bounds = null;
+
+      if ([south, west, north, east].some(value => value !== undefined)) {
+        bounds = { south: Number(south), west: Number(west), north: Number(north), east: Number(east) };
+
+        if (Object.values(bounds).some(value => !Number.isFinite(value))) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'INVALID_BOUNDS',
+              message: 'south, west, north and east must all be valid numbers',
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+      }
+
+      const zones = await SurgeService.getHeatmap({ bounds });
+
+      res.json({
+        success: true,
+        data: {
+          zones,
+          cellSize: SurgeService.CELL_SIZE_DEG,
+          count: zones.length
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get surge heatmap error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SURGE_HEATMAP_FETCH_FAILED',
+          message: 'Failed to fetch surge heatmap',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Get a ride's event timeline
+   * GET /api/rides/:id/events
+   */
+  static async getRideEvents(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+
+      const ride = await Ride.findById(id).select('riderId driverId fareSplit');
+      if (!ride) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'RIDE_NOT_FOUND',
+            message: 'Ride not found',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const isRider = ride.riderId.toString() === userId.toString();
+      const isDriver = ride.driverId && ride.driverId.toString() === userId.toString();
+      const isAdmin = req.user.role === 'admin';
+      const isCoRider = Boolean(FareSplitService.findShare(ride, userId));
+
+      if (!isRider && !isDriver && !isAdmin && !isCoRider) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'UNAUTHORIZED_ACCESS',
+            message: 'You are not authorized to view this ride',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const events = await RideEventService.getRideEvents(id);
+
+      res.json({
+        success: true,
+        data: {
+          rideId: id,
+          events,
+          count: events.length
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get ride events error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'FETCH_RIDE_EVENTS_FAILED',
+          message: 'Failed to fetch ride events',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the recorded GPS trace of a ride for replay
+   * GET /api/rides/:id/route
+   */
+  static async getRideRoute(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+
+      const ride = await Ride.findById(id)
+        .select('riderId driverId status pickup destination estimatedDistance actualDistance actualDuration metadata');
+      if (!ride) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'RIDE_NOT_FOUND',
+            message: 'Ride not found',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const isRider = ride.riderId.toString() === userId.toString();
+      const isDriver = ride.driverId && ride.driverId.toString() === userId.toString();
+      const isAdmin = req.user.role === 'admin';
+
+      if (!isRider && !isDriver && !isAdmin) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'UNAUTHORIZED_ACCESS',
+            message: 'You are not authorized to view this ride',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const points = await RouteTraceService.getTracePoints(id);
+
+      res.json({
+        success: true,
+        data: {
+          rideId: id,
+          pickup: ride.pickup,
+          destination: ride.destination,
+          points: points.map(point => ({
+            coordinates: point.coordinates,
+            recordedAt: point.recordedAt,
+            phase: point.phase
+          })),
+          metrics: {
+            estimatedDistance: ride.estimatedDistance,
+            actualDistance: ride.actualDistance,
+            actualDuration: ride.actualDuration,
+            distanceSource: ride.metadata?.distanceSource || null
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get ride route error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'FETCH_RIDE_ROUTE_FAILED',
+          message: 'Failed to fetch ride route',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
   /**
    * Get available drivers count in area
    * GET /api/rides/drivers/available
@@ -802,12 +1528,13 @@ class RideController {
         });
       }
 
-      // Check authorization
+      // Check authorization (co-riders invited to split the fare can view the ride too)
       const isRider = ride.riderId._id.toString() === userId.toString();
       const isDriver = ride.driverId && ride.driverId._id.toString() === userId.toString();
       const isAdmin = userRole === 'admin';
+      const isCoRider = Boolean(FareSplitService.findShare(ride, userId));
 
-      if (!isRider && !isDriver && !isAdmin) {
+      if (!isRider && !isDriver && !isAdmin && !isCoRider) {
         return res.status(403).json({
           success: false,
           error: {
@@ -820,7 +1547,7 @@ class RideController {
 
       res.json({
         success: true,
-        data: { ride },
+        data: { ride: FareSplitService.forViewer(ride, req.user) },
         timestamp: new Date().toISOString()
       });
 
@@ -838,55 +1565,687 @@ class RideController {
     }
   }
 
-  // Helper methods
-
   /**
-   * Validate coordinates are within reasonable bounds
+   * Get the rider's upcoming scheduled rides
+   * GET /api/rides/scheduled
    */
-  static validateCoordinates(coords) {
-    if (!Array.isArray(coords) || coords.length !== 2) return false;
-    const [lng, lat] = coords;
-    return lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+  static async getScheduledRides(req, res) {
+    try {
+      const rides = await Ride.find({
+        riderId: req.user._id,
+        status: 'scheduled'
+      })
+        .sort({ scheduledFor: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          rides,
+          count: rides.length,
+          dispatchLeadMinutes: RideSchedulerService.DISPATCH_LEAD_TIME / 60000
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get scheduled rides error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'FETCH_SCHEDULED_RIDES_FAILED',
+          message: 'Failed to fetch scheduled rides',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
   }
 
   /**
-   * Calculate distance between two coordinates using Haversine formula
+   * Edit an upcoming scheduled ride
+   * PUT /api/rides/scheduled/:id
    */
-  static calculateDistance(coord1, coord2) {
-    const [lng1, lat1] = coord1;
-    const [lng2, lat2] = coord2;
+  static async updateScheduledRide(req, res) {
+    try {
+      const { id } = req.params;
+      const { pickup, destination, stops, specialInstructions, serviceLevel, scheduledFor } = req.body;
 
-    const R = 6371; // Earth's radius in kilometers
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLng = (lng2 - lng1) * Math.PI / 180;
+      const ride = await RideController.findScheduledRideForRider(id, req.user._id, res);
+      if (!ride) {
+        return;
+      }
 
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-      Math.sin(dLng / 2) * Math.sin(dLng / 2);
+      if (scheduledFor) {
+        const scheduleCheck = RideSchedulerService.validateScheduledTime(scheduledFor);
+        if (!scheduleCheck.valid) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: scheduleCheck.error,
+              message: scheduleCheck.message,
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+      }
 
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c; // Distance in kilometers
-  }
+      const updates = {};
+      if (scheduledFor) {
+        updates.scheduledFor = scheduledFor;
+      }
+      if (specialInstructions !== undefined) {
+        updates.specialInstructions = specialInstructions || null;
+      }
 
-  /**
-   * Estimate duration based on distance (assuming average speed)
-   */
-  static estimateDuration(distance) {
-    const averageSpeed = 30; // km/h average city speed
-    return (distance / averageSpeed) * 60; // Duration in minutes
-  }
+      // Re-price the trip when the route or service level changes
+      if (pickup || destination || stops || serviceLevel) {
+        const newPickup = pickup || ride.pickup;
+        const newDestination = destination || ride.destination;
+        const newStops = stops || ride.stops;
+        const newServiceLevel = serviceLevel || ride.serviceLevel;
+        const pickupCoords = newPickup.coordinates.coordinates;
+        const destCoords = newDestination.coordinates.coordinates;
+        const stopCoords = newStops.map(stop => stop.coordinates.coordinates);
+
+        if (!RideController.validateCoordinates(pickupCoords) ||
+          !RideController.validateCoordinates(destCoords) ||
+          !stopCoords.every(RideController.validateCoordinates)) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'INVALID_COORDINATES',
+              message: 'Pickup, stop and destination coordinates must be valid',
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
 
-  /**
-   * Calculate fare based on distance and duration
-   */
-  static calculateFare(distance, duration, surgeMultiplier = 1.0) {
-    const baseFare = 2.50;
-    const perKmRate = 1.20;
-    const perMinRate = 0.25;
+        const distance = RideController.calculateRouteDistance([pickupCoords, ...stopCoords, destCoords]);
+        const duration = RideController.estimateDuration(distance);
+        const fareBreakdown = FareService.calculateFare(distance, duration, 1.0, newServiceLevel, newStops.length);
+        const promo = ride.fare.promo;
 
-    const distanceFare = distance * perKmRate;
-    const timeFare = duration * perMinRate;
-    const surgeFare = (baseFare + distanceFare + timeFare) * (surgeMultiplier - 1);
+        // The booked promo has to apply to the new pickup and fare as well
+        if (promo) {
+          const promoCheck = await PromoService.recheckForRide(ride, {
+            pickup: pickupCoords,
+            fare: fareBreakdown.totalFare
+          });
+          if (!promoCheck.valid) {
+            return res.status(400).json({
+              success: false,
+              error: {
+                code: promoCheck.error,
+                message: promoCheck.message,
+                timestamp: new Date().toISOString()
+              }
+            });
+          }
+        }
+
+        const discount = promo ? PromoService.calculateDiscount(promo, fareBreakdown.totalFare) : 0;
+
+        Object.assign(updates, {
+          pickup: newPickup,
+          destination: newDestination,
+          stops: newStops,
+          serviceLevel: newServiceLevel,
+          estimatedDistance: distance,
+          estimatedDuration: duration,
+          fare: {
+            estimated: Math.round((fareBreakdown.totalFare - discount) * 100) / 100,
+            breakdown: { ...fareBreakdown, discount },
+            surgeMultiplier: 1.0,
+            surgeCellId: null,
+            promo
+          }
+        });
+      }
+
+      // Guard on status so an edit never races the scheduler's dispatch
+      const updatedRide = await Ride.findOneAndUpdate(
+        { _id: id, riderId: req.user._id, status: 'scheduled' },
+        { $set: updates },
+        { new: true, runValidators: true }
+      );
+
+      if (!updatedRide) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'RIDE_ALREADY_DISPATCHED',
+            message: 'This ride has already been dispatched and can no longer be edited',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      await RideEventService.record(id, 'RIDE_UPDATED', {
+        actor: RideEventService.actorFromUser(req.user),
+        data: { fields: Object.keys(updates) }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ride: updatedRide,
+          dispatchAt: RideSchedulerService.getDispatchTime(updatedRide.scheduledFor).toISOString(),
+          message: 'Scheduled ride updated successfully'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Update scheduled ride error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SCHEDULED_RIDE_UPDATE_FAILED',
+          message: 'Failed to update scheduled ride',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Cancel an upcoming scheduled ride
+   * DELETE /api/rides/scheduled/:id
+   */
+  static async cancelScheduledRide(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body || {};
+
+      const ride = await RideController.findScheduledRideForRider(id, req.user._id, res);
+      if (!ride) {
+        return;
+      }
+
+      const cancelledRide = await Ride.findOneAndUpdate(
+        { _id: id, riderId: req.user._id, status: 'scheduled' },
+        {
+          $set: {
+            status: 'cancelled',
+            cancellationReason: reason || 'Scheduled ride cancelled by rider',
+            cancellation: {
+              cancelledBy: 'rider',
+              cancelledByUserId: req.user._id,
+              fee: 0,
+              feeReason: 'NO_DRIVER_ASSIGNED'
+            },
+            'timeline.cancelledAt': new Date(),
+            'payment.card': null
+          }
+        },
+        { new: true }
+      );
+
+      if (!cancelledRide) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'RIDE_ALREADY_DISPATCHED',
+            message: 'This ride has already been dispatched; cancel it as an active ride instead',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      await PromoService.release(cancelledRide._id);
+
+      const releasedHold = await PaymentHoldService.releaseHold(cancelledRide._id);
+      if (releasedHold) {
+        cancelledRide.payment.hold = releasedHold.payment.hold.toObject();
+      }
+
+      await RideEventService.record(id, 'RIDE_CANCELLED', {
+        actor: RideEventService.actorFromUser(req.user),
+        message: cancelledRide.cancellationReason,
+        data: { from: 'scheduled', to: 'cancelled', cancelledBy: 'rider', fee: 0 }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ride: cancelledRide,
+          message: 'Scheduled ride cancelled successfully'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Cancel scheduled ride error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SCHEDULED_RIDE_CANCEL_FAILED',
+          message: 'Failed to cancel scheduled ride',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Add a stop to a booked or ongoing ride
+   * POST /api/rides/:id/stops
+   */
+  static async addStop(req, res) {
+    try {
+      const { id } = req.params;
+      const stop = req.body;
+
+      const ride = await Ride.findById(id);
+      if (!ride) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'RIDE_NOT_FOUND',
+            message: 'Ride not found',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      if (ride.riderId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'UNAUTHORIZED_ACCESS',
+            message: 'You are not authorized to modify this ride',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      // Scheduled rides change their stops through PUT /scheduled/:id
+      if (!RideController.STOP_EDITABLE_STATUSES.includes(ride.status)) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'INVALID_RIDE_STATUS',
+            message: `Stops cannot be added to a ride that is ${ride.status}`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      if (ride.stops.length >= Ride.MAX_STOPS) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'TOO_MANY_STOPS',
+            message: `A ride can have at most ${Ride.MAX_STOPS} stops`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const stopCoords = stop.coordinates.coordinates;
+      if (!RideController.validateCoordinates(stopCoords)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_COORDINATES',
+            message: 'Stop coordinates must be valid',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      // Re-estimate with the new stop visited after the existing ones, keeping the booking's surge
+      const points = [
+        ride.pickup.coordinates.coordinates,
+        ...ride.stops.map(existing => existing.coordinates.coordinates),
+        stopCoords,
+        ride.destination.coordinates.coordinates
+      ];
+      const distance = RideController.calculateRouteDistance(points);
+      const duration = RideController.estimateDuration(distance);
+      const fareBreakdown = FareService.calculateFare(
+        distance,
+        duration,
+        ride.fare.surgeMultiplier || 1.0,
+        ride.serviceLevel,
+        ride.stops.length + 1
+      );
+      const discount = ride.fare.promo ? PromoService.calculateDiscount(ride.fare.promo, fareBreakdown.totalFare) : 0;
+
+      const updates = {
+        estimatedDistance: distance,
+        estimatedDuration: duration,
+        'fare.estimated': Math.round((fareBreakdown.totalFare - discount) * 100) / 100,
+        'fare.breakdown': { ...fareBreakdown, discount }
+      };
+      // The quoted price covered the original route only
+      if (ride.fare.quote && !ride.fare.quote.outcome) {
+        updates['fare.quote.outcome'] = 'repriced';
+      }
+
+      // Guard on the stop count so concurrent additions cannot exceed the limit or price a stale route
+      const updatedRide = await Ride.findOneAndUpdate(
+        {
+          _id: id,
+          status: { $in: RideController.STOP_EDITABLE_STATUSES },
+          stops: { $size: ride.stops.length }
+        },
+        {
+          $push: { stops: { address: stop.address, coordinates: stop.coordinates } },
+          $set: updates
+        },
+        { new: true, runValidators: true }
+      );
+
+      if (!updatedRide) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'RIDE_CHANGED',
+            message: 'The ride changed while the stop was being added. Please try again.',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      await RideEventService.record(id, 'STOP_ADDED', {
+        actor: RideEventService.actorFromUser(req.user),
+        data: {
+          stop: updatedRide.stops.length,
+          address: stop.address,
+          location: stopCoords,
+          estimatedFare: updatedRide.fare.estimated
+        }
+      });
+
+      RideController.notifyStopsUpdated(updatedRide);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          ride: updatedRide,
+          message: 'Stop added. The fare has been re-estimated for the new route.'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Add stop error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'STOP_ADD_FAILED',
+          message: 'Failed to add stop',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Mark the next stop of a trip as reached
+   * POST /api/rides/:id/stops/reached
+   */
+  static async markStopReached(req, res) {
+    try {
+      const { id } = req.params;
+
+      const ride = await Ride.findById(id);
+      if (!ride) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'RIDE_NOT_FOUND',
+            message: 'Ride not found',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      if (!ride.driverId || ride.driverId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'UNAUTHORIZED_ACCESS',
+            message: 'Only the assigned driver can update stops',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      if (ride.status !== 'in_progress') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_RIDE_STATUS',
+            message: 'Stops can only be reached once the trip has started',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      // Stops are visited in order, so the next one is the first not yet reached
+      const index = ride.stops.findIndex(stop => !stop.reachedAt);
+      if (index === -1) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'NO_PENDING_STOPS',
+            message: 'All stops on this ride have been reached',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const updatedRide = await Ride.findOneAndUpdate(
+        { _id: id, status: 'in_progress', [`stops.${index}.reachedAt`]: null },
+        { $set: { [`stops.${index}.reachedAt`]: new Date() } },
+        { new: true }
+      );
+
+      if (!updatedRide) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'RIDE_CHANGED',
+            message: 'The ride changed while the stop was being updated. Please try again.',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const stop = updatedRide.stops[index];
+      await RideEventService.record(id, 'STOP_REACHED', {
+        actor: RideEventService.actorFromUser(req.user),
+        data: {
+          stop: index + 1,
+          address: stop.address,
+          location: stop.coordinates.coordinates
+        }
+      });
+
+      RideController.notifyStopsUpdated(updatedRide);
+
+      res.json({
+        success: true,
+        data: {
+          ride: FareSplitService.forViewer(updatedRide, req.user),
+          nextStop: updatedRide.stops.find(candidate => !candidate.reachedAt) || null
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Mark stop reached error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'STOP_UPDATE_FAILED',
+          message: 'Failed to update stop',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  // Helper methods
+
+  /**
+   * Tell the rider whether a cancellation fee was charged or is still owed
+   */
+  static cancellationMessage(fee, feeStatus) {
+    if (fee <= 0) {
+      return 'Ride cancelled successfully';
+    }
+    if (feeStatus === 'completed' || feeStatus === 'processing') {
+      return `Ride cancelled. A cancellation fee of ₹${fee} has been charged.`;
+    }
+    return `Ride cancelled. A cancellation fee of ₹${fee} applies.`;
+  }
+
+  /**
+   * Send the rider a notification about their ride without waiting for delivery
+   * (NotificationService logs failures and retries them)
+   */
+  static notifyRider(event, ride, driver, data = {}) {
+    // The vehicle the ride was accepted in; rides from before vehicles were recorded fall back to the profile
+    const vehicle = ride.vehicle || driver?.driverInfo?.vehicleDetails;
+    NotificationService.notify(event, {
+      userId: ride.riderId?._id || ride.riderId,
+      data: {
+        rideId: ride._id.toString(),
+        driverName: driver?.profile?.name || '',
+        vehicle: vehicle ? `${vehicle.color} ${vehicle.make} ${vehicle.model} (${vehicle.plateNumber})` : '',
+        pickup: ride.pickup?.address || '',
+        ...data
+      }
+    });
+  }
+
+  /**
+   * Tell ride participants that the stops or the re-estimated fare changed
+   */
+  static notifyStopsUpdated(ride) {
+    try {
+      socketService.broadcastToRide(ride._id.toString(), 'ride:stops-updated', {
+        rideId: ride._id.toString(),
+        stops: ride.stops,
+        estimatedFare: ride.fare.estimated,
+        estimatedDistance: ride.estimatedDistance,
+        timestamp: new Date().toISOString()
+      });
+    } catch (emitErr) {
+      console.warn('Socket emit failed for stop update:', emitErr?.message || emitErr);
+    }
+  }
+
+  /**
+   * Load a rider's ride and make sure it is still awaiting dispatch.
+   * Sends the error response and resolves to null when it is not.
+   */
+  static async findScheduledRideForRider(rideId, riderId, res) {
+    const ride = await Ride.findById(rideId);
+
+    if (!ride) {
+      res.status(404).json({
+        success: false,
+        error: {
+          code: 'RIDE_NOT_FOUND',
+          message: 'Ride not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+      return null;
+    }
+
+    if (ride.riderId.toString() !== riderId.toString()) {
+      res.status(403).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED_ACCESS',
+          message: 'You are not authorized to modify this ride',
+          timestamp: new Date().toISOString()
+        }
+      });
+      return null;
+    }
+
+    if (ride.status !== 'scheduled') {
+      res.status(409).json({
+        success: false,
+        error: {
+          code: 'RIDE_ALREADY_DISPATCHED',
+          message: `Only scheduled rides can be changed here (current status: ${ride.status})`,
+          timestamp: new Date().toISOString()
+        }
+      });
+      return null;
+    }
+
+    return ride;
+  }
+
+  /**
+   * Validate coordinates are within reasonable bounds
+   */
+  static validateCoordinates(coords) {
+    if (!Array.isArray(coords) || coords.length !== 2) return false;
+    const [lng, lat] = coords;
+    return lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+  }
+
+  /**
+   * Calculate distance between two coordinates using Haversine formula
+   */
+  static calculateDistance(coord1, coord2) {
+    const [lng1, lat1] = coord1;
+    const [lng2, lat2] = coord2;
+
+    const R = 6371; // Earth's radius in kilometers
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+      Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return R * c; // Distance in kilometers
+  }
+
+  /**
+   * Total distance of a route visiting the given coordinates in order
+   */
+  static calculateRouteDistance(points) {
+    return points.slice(1).reduce(
+      (total, point, index) => total + RideController.calculateDistance(points[index], point),
+      0
+    );
+  }
+
+  /**
+   * Estimate duration based on distance (assuming average speed)
+   */
+  static estimateDuration(distance) {
+    const averageSpeed = 30; // km/h average city speed
+    return (distance / averageSpeed) * 60; // Duration in minutes
+  }
+
+  /**
+   * Calculate fare based on distance and duration
+   */
+  static calculateFare(distance, duration, surgeMultiplier = 1.0) {
+    const baseFare = 2.50;
+    const perKmRate = 1.20;
+    const perMinRate = 0.25;
+
+    const distanceFare = distance * perKmRate;
+    const timeFare = duration * perMinRate;
+    const surgeFare = (baseFare + distanceFare + timeFare) * (surgeMultiplier - 1);
     const totalFare = (baseFare + distanceFare + timeFare + surgeFare);
 
     return {
@@ -903,15 +2262,25 @@ class RideController {
    */
   static canUpdateStatus(currentStatus, newStatus, userRole, isRider, isDriver) {
     const transitions = {
+      'scheduled': {
+        'cancelled': ['rider', 'admin'],
+        'requested': ['system'] // Promoted by RideSchedulerService at dispatch time
+      },
       'requested': {
         'cancelled': ['rider', 'admin'],
-        'matched': ['system'] // Only system/driver acceptance
+        'matched': ['system'] // Offered by MatchingService
       },
       'matched': {
         'accepted': ['driver'],
-        'cancelled': ['rider', 'driver', 'admin']
+        'requested': ['system'], // Offer declined or expired
+        'cancelled': ['rider', 'admin'] // Offered drivers decline instead of cancelling
       },
       'accepted': {
+        'arrived': ['driver'],
+        'in_progress': ['driver'], // Skipping 'arrived' means no waiting is charged
+        'cancelled': ['rider', 'driver', 'admin']
+      },
+      'arrived': {
         'in_progress': ['driver'],
         'cancelled': ['rider', 'driver', 'admin']
       },
@@ -941,7 +2310,6 @@ class RideController {
   static async completeRide(req, res) {
     try {
       const { id } = req.params;
-      const { actualDistance, actualDuration } = req.body;
       const userId = req.user._id;
       const userRole = req.user.role;
 
@@ -982,28 +2350,115 @@ class RideController {
         });
       }
 
-      // Update ride with actual values and complete status
-      if (actualDistance && actualDistance > 0) {
-        ride.actualDistance = actualDistance;
-      }
-      if (actualDuration && actualDuration > 0) {
-        ride.actualDuration = actualDuration;
+      // Measure the trip from the recorded GPS trace; client-reported values are not trusted
+      const tripMetrics = RouteTraceService.computeTripMetrics(
+        await RouteTraceService.getTracePoints(id)
+      );
+
+      if (tripMetrics) {
+        ride.actualDistance = tripMetrics.distance;
+        ride.actualDuration = tripMetrics.duration;
+        ride.metadata.distanceSource = 'gps_trace';
+      } else {
+        // No usable trace: keep the estimated distance and time the trip from its start
+        ride.actualDistance = null;
+        ride.actualDuration = ride.timeline.startedAt
+          ? Math.round((Date.now() - ride.timeline.startedAt.getTime()) / 60000)
+          : null;
+        ride.metadata.distanceSource = 'estimate';
       }
 
-      // Recalculate final fare if actual values provided
+      // Waiting at pickup is billed on top of the trip
+      const waitingMinutes = WaitingTimeService.getWaitingMinutes(ride.timeline.arrivedAt, ride.timeline.startedAt);
+
+      // Recalculate final fare if actual values are available
       if (ride.actualDistance || ride.actualDuration) {
         const distance = ride.actualDistance || ride.estimatedDistance;
         const duration = ride.actualDuration || ride.estimatedDuration;
-        const fareBreakdown = FareService.calculateFare(distance, duration);
-        ride.fare.breakdown = fareBreakdown;
-        ride.fare.final = fareBreakdown.totalFare;
+        // Keep the surge from booking and honour the quote within the tolerance band, unless
+        // the rider added a stop after booking (the quote was already marked repriced)
+        const quote = ride.fare.quote;
+        const quoteApplies = Boolean(quote && !quote.outcome);
+        const finalFare = FareService.calculateFinalFare({
+          actualDistance: distance,
+          actualDuration: duration,
+          estimatedFare: ride.fare.estimated + (ride.fare.breakdown.discount || 0),
+          serviceLevel: ride.serviceLevel,
+          surgeMultiplier: ride.fare.surgeMultiplier || 1.0,
+          stopCount: ride.stops.length,
+          waitingMinutes,
+          quotedFare: quoteApplies ? quote.amount : null
+        });
+        // Promo discounts are recalculated on the final fare (percentage promos follow the trip)
+        const discount = ride.fare.promo
+          ? PromoService.calculateDiscount(ride.fare.promo, finalFare.totalFare)
+          : 0;
+        ride.fare.breakdown = { ...finalFare, discount };
+        ride.fare.final = Math.round((finalFare.totalFare - discount) * 100) / 100;
+
+        if (quoteApplies) {
+          quote.outcome = finalFare.fareLock.status;
+          quote.meteredFare = finalFare.fareLock.meteredFare;
+        } else if (quote) {
+          quote.meteredFare = finalFare.totalFare;
+        }
       } else {
-        ride.fare.final = ride.fare.estimated;
+        const { waitingFare } = FareService.calculateWaitingCharge(waitingMinutes, ride.serviceLevel);
+        ride.fare.breakdown.waitingFare = waitingFare;
+        ride.fare.final = Math.round((ride.fare.estimated + waitingFare) * 100) / 100;
+        if (ride.fare.quote && !ride.fare.quote.outcome) {
+          ride.fare.quote.outcome = 'honoured';
+        }
       }
 
+      // Fix each co-rider's share from the final fare
+      const splitFare = FareSplitService.applyFinalFare(ride);
+
       // Update status to completed
       await ride.updateStatus('completed');
 
+      if (ride.fare.promo) {
+        await PromoService.markRedeemed(ride._id, ride.fare.breakdown.discount);
+      }
+
+      // Card bookings pay the final fare from the hold placed at booking; if that fails the
+      // rider can still pay through the normal payment flow
+      try {
+        const capture = await PaymentHoldService.captureHold(ride);
+        if (capture.ride) {
+          ride.payment = capture.ride.payment.toObject();
+        }
+        if (capture.status === 'completed') {
+          await PaymentController.recordPaymentCompleted(capture.ride, { role: 'system', userId: null });
+        }
+      } catch (captureError) {
+        console.error('Failed to capture payment hold:', captureError);
+      }
+
+      if (splitFare) {
+        ride.fareSplit.shares
+          .filter(share => share.status === 'accepted' && share.userId.toString() !== ride.riderId.toString())
+          .forEach(share => {
+            socketService.broadcastToUser(share.userId.toString(), 'fare-split:due', {
+              rideId: id,
+              amount: share.amount,
+              timestamp: new Date().toISOString()
+            });
+          });
+      }
+
+      await RideEventService.record(id, 'RIDE_COMPLETED', {
+        actor: RideEventService.actorFromUser(req.user),
+        data: {
+          from: 'in_progress',
+          to: 'completed',
+          finalFare: ride.fare.final,
+          actualDistance: ride.actualDistance,
+          actualDuration: ride.actualDuration,
+          distanceSource: ride.metadata.distanceSource
+        }
+      });
+
       // Emit socket events to notify participants and dashboards
       try {
         const payload = {
@@ -1036,7 +2491,7 @@ class RideController {
       res.json({
         success: true,
         data: {
-          ride,
+          ride: FareSplitService.forViewer(ride, req.user),
           message: 'Ride completed successfully'
         },
         timestamp: new Date().toISOString()
@@ -1079,7 +2534,7 @@ class RideController {
       // Find active ride for driver
       const activeRide = await Ride.findOne({
         driverId: driverId,
-        status: { $in: ['accepted', 'in_progress'] }
+        status: { $in: ['accepted', 'arrived', 'in_progress'] }
       })
         .populate('riderId', 'profile.name phone')
         .sort({ 'timeline.acceptedAt': -1 });
@@ -1093,7 +2548,7 @@ class RideController {
 
       res.json({
         success: true,
-        data: activeRide
+        data: FareSplitService.forViewer(activeRide, req.user)
       });
 
     } catch (error) {
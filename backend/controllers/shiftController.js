@@ -0,0 +1,243 @@
+const { User } = require('../models');
+const { ShiftService, DriverOnboardingService } = require('../services');
+
+/**
+ * Shift Controller
+ * Handles drivers starting and ending shifts, their break status and shift reports, and
+ * admin shift reports for any driver
+ */
+
+class ShiftController {
+  // HTTP status for each ShiftService error code
+  static ERROR_STATUS = {
+    DRIVER_NOT_FOUND: 404,
+    DRIVER_BREAK_REQUIRED: 403,
+    VEHICLE_NOT_SELECTED: 400,
+    VEHICLE_UNAVAILABLE: 409,
+    VEHICLE_IN_USE: 409
+  };
+
+  /**
+   * Get the driver's shift and break status and today's hours
+   * GET /api/shifts/current
+   */
+  static async getCurrentShift(req, res) {
+    try {
+      const now = new Date();
+      const [status, report] = await Promise.all([
+        ShiftService.getStatus(req.user, now),
+        ShiftService.getReport(req.user._id, { days: 1, now })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          ...status,
+          today: report.days[0]
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get current shift error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SHIFT_FETCH_FAILED',
+          message: 'Failed to fetch shift status',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Start a shift and go online (approved drivers with current documents only)
+   * POST /api/shifts/start
+   */
+  static async startShift(req, res) {
+    try {
+      const eligibility = await DriverOnboardingService.checkEligibility(req.user);
+      if (!eligibility.success) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: eligibility.error,
+            message: eligibility.message,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const result = await ShiftService.startShift(req.user);
+      if (!result.success) {
+        return ShiftController.sendServiceError(res, result);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          shift: result.shift && ShiftController.formatShift(result.shift),
+          status: await ShiftService.getStatus(result.driver),
+          message: 'Shift started. You are now online'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Start shift error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SHIFT_START_FAILED',
+          message: 'Failed to start shift',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * End the driver's shift and go offline (after the current ride, if any)
+   * POST /api/shifts/end
+   */
+  static async endShift(req, res) {
+    try {
+      const result = await ShiftService.endShift(req.user._id, 'driver');
+      if (!result.success) {
+        return ShiftController.sendServiceError(res, result);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          pending: result.pending,
+          shift: result.shift && ShiftController.formatShift(result.shift),
+          status: await ShiftService.getStatus(result.driver),
+          message: result.pending
+            ? 'Your shift will end when the current ride finishes'
+            : 'Shift ended. You are now offline'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('End shift error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SHIFT_END_FAILED',
+          message: 'Failed to end shift',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the driver's online and on-trip hours per day
+   * GET /api/shifts/report
+   */
+  static async getMyReport(req, res) {
+    try {
+      const report = await ShiftService.getReport(req.user._id, { days: req.query.days });
+
+      res.json({
+        success: true,
+        data: report,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get shift report error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SHIFT_REPORT_FAILED',
+          message: 'Failed to fetch shift report',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Get a driver's shift status and online and on-trip hours per day (admin)
+   * GET /api/shifts/drivers/:driverId/report
+   */
+  static async getDriverReport(req, res) {
+    try {
+      const driver = await User.findOne({ _id: req.params.driverId, role: 'driver' }).select('driverInfo.shift');
+      if (!driver) {
+        return ShiftController.sendServiceError(res, {
+          error: 'DRIVER_NOT_FOUND',
+          message: 'Driver not found'
+        });
+      }
+
+      const now = new Date();
+      const [status, report] = await Promise.all([
+        ShiftService.getStatus(driver, now),
+        ShiftService.getReport(driver._id, { days: req.query.days, now })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          ...report,
+          status
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get driver shift report error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SHIFT_REPORT_FAILED',
+          message: 'Failed to fetch shift report',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  // Helper methods
+
+  /**
+   * Send a ShiftService failure with its mapped status
+   */
+  static sendServiceError(res, result) {
+    return res.status(ShiftController.ERROR_STATUS[result.error] || 409).json({
+      success: false,
+      error: {
+        code: result.error,
+        message: result.message,
+        ...(result.availableAt && { availableAt: result.availableAt }),
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Shape a shift for the client
+   */
+  static formatShift(shift) {
+    return {
+      _id: shift._id,
+      vehicleId: shift.vehicleId,
+      startedAt: shift.startedAt,
+      continuousSince: shift.continuousSince,
+      endedAt: shift.endedAt,
+      endReason: shift.endReason
+    };
+  }
+}
+
+module.exports = ShiftController;
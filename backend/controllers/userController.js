@@ -1,5 +1,6 @@
 const User = require('../models/User');
 const Ride = require('../models/Ride');
+const { EarningsService, DriverOnboardingService, ShiftService } = require('../services');
 const bcrypt = require('bcryptjs');
 
 class UserController {
@@ -107,6 +108,17 @@ class UserController {
             }
           });
         }
+
+        if (vehicleDetails.vehicleClass && !['economy', 'comfort', 'premium'].includes(vehicleDetails.vehicleClass)) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'VALIDATION_ERROR',
+              message: 'Vehicle class must be one of economy, comfort or premium',
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
       }
 
       const updateData = { $set: {} };
@@ -127,6 +139,7 @@ class UserController {
         if (vehicleDetails.plateNumber) updateData.$set['driverInfo.vehicleDetails.plateNumber'] = vehicleDetails.plateNumber;
         if (vehicleDetails.color) updateData.$set['driverInfo.vehicleDetails.color'] = vehicleDetails.color;
         if (vehicleDetails.year) updateData.$set['driverInfo.vehicleDetails.year'] = vehicleDetails.year;
+        if (vehicleDetails.vehicleClass) updateData.$set['driverInfo.vehicleDetails.vehicleClass'] = vehicleDetails.vehicleClass;
       }
 
       const user = await User.findByIdAndUpdate(
@@ -422,16 +435,45 @@ class UserController {
         });
       }
 
-      const user = await User.findByIdAndUpdate(
-        userId,
-        { 'driverInfo.isAvailable': isAvailable },
-        { new: true, runValidators: true }
-      ).select('-password');
+      // Going offline is always allowed and ends the shift; going online needs approved,
+      // unexpired documents and starts a shift on the vehicle selected for it
+      let result;
+      if (isAvailable) {
+        const eligibility = await DriverOnboardingService.checkEligibility(req.user);
+        if (!eligibility.success) {
+          return res.status(403).json({
+            success: false,
+            error: {
+              code: eligibility.error,
+              message: eligibility.message,
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+
+        result = await ShiftService.startShift(req.user);
+        if (!result.success) {
+          const status = { VEHICLE_NOT_SELECTED: 400, DRIVER_BREAK_REQUIRED: 403 }[result.error] || 409;
+          return res.status(status).json({
+            success: false,
+            error: {
+              code: result.error,
+              message: result.message,
+              ...(result.availableAt && { availableAt: result.availableAt }),
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+      } else {
+        result = await ShiftService.endShift(userId, 'driver');
+      }
 
       res.json({
         success: true,
-        data: user,
-        message: `Driver is now ${isAvailable ? 'available' : 'unavailable'}`
+        data: result.driver,
+        message: result.pending
+          ? 'Your shift will end when the current ride finishes'
+          : `Driver is now ${isAvailable ? 'available' : 'unavailable'}`
       });
     } catch (error) {
       console.error('Update availability error:', error);
@@ -483,15 +525,8 @@ class UserController {
         }
       });
 
-      const completedRides = await Ride.find({
-        driverId: userId,
-        status: 'completed',
-        'fare.final': { $exists: true }
-      }).select('fare.final');
-
-      const earnings = completedRides.reduce((total, ride) => {
-        return total + (ride.fare.final || 0);
-      }, 0);
+      // Earnings after commission, from the driver earnings ledger
+      const { earnings } = await EarningsService.getTotals({ driverId: userId });
 
       const stats = {
         totalRides,
@@ -886,6 +921,7 @@ class UserController {
           requested: rideStats.find(s => s._id === 'requested')?.count || 0,
           matched: rideStats.find(s => s._id === 'matched')?.count || 0,
           accepted: rideStats.find(s => s._id === 'accepted')?.count || 0,
+          arrived: rideStats.find(s => s._id === 'arrived')?.count || 0,
           inProgress: rideStats.find(s => s._id === 'in_progress')?.count || 0,
           completed: rideStats.find(s => s._id === 'completed')?.count || 0,
           cancelled: rideStats.find(s => s._id === 'cancelled')?.count || 0
@@ -934,7 +970,7 @@ class UserController {
 
       // Build filter query
       const filter = {};
-      if (status && ['requested', 'matched', 'accepted', 'in_progress', 'completed', 'cancelled'].includes(status)) {
+      if (status && ['requested', 'matched', 'accepted', 'arrived', 'in_progress', 'completed', 'cancelled'].includes(status)) {
         filter.status = status;
       }
       if (startDate || endDate) {
@@ -0,0 +1,409 @@
+const { Vehicle } = require('../models');
+const { VehicleService } = require('../services');
+
+/**
+ * Vehicle Controller
+ * Handles drivers' vehicles and active vehicle selection, and admin management of fleet
+ * vehicles and the drivers assigned to them
+ */
+
+class VehicleController {
+  // HTTP status for each VehicleService error code
+  static ERROR_STATUS = {
+    VEHICLE_NOT_FOUND: 404,
+    DRIVER_NOT_FOUND: 404,
+    VEHICLE_OWNER_REQUIRED: 400,
+    PLATE_NUMBER_TAKEN: 409,
+    VEHICLE_IN_USE: 409,
+    VEHICLE_SWITCH_WHILE_ONLINE: 409,
+    VEHICLE_SWITCH_DURING_RIDE: 409
+  };
+
+  // People shown with a vehicle in admin responses
+  static PEOPLE_POPULATE = [
+    { path: 'ownerId', select: 'profile.name phone' },
+    { path: 'drivers', select: 'profile.name phone' },
+    { path: 'currentDriverId', select: 'profile.name phone' }
+  ];
+
+  /**
+   * Get the vehicles the driver can drive and the one they selected
+   * GET /api/vehicles
+   */
+  static async getMyVehicles(req, res) {
+    try {
+      const vehicles = await VehicleService.getDriverVehicles(req.user._id);
+
+      res.json({
+        success: true,
+        data: {
+          vehicles: vehicles.map(vehicle => VehicleController.formatVehicle(vehicle)),
+          activeVehicle: req.user.driverInfo?.activeVehicle || null,
+          profileVehicle: req.user.driverInfo?.vehicleDetails || null
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get driver vehicles error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'VEHICLES_FETCH_FAILED',
+          message: 'Failed to fetch vehicles',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Register a vehicle the driver owns
+   * POST /api/vehicles
+   */
+  static async addVehicle(req, res) {
+    try {
+      const result = await VehicleService.createVehicle(req.body, {
+        ownerType: 'driver',
+        ownerId: req.user._id
+      });
+      if (!result.success) {
+        return VehicleController.sendServiceError(res, result);
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          vehicle: VehicleController.formatVehicle(result.vehicle),
+          message: 'Vehicle added'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Add vehicle error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'VEHICLE_CREATE_FAILED',
+          message: 'Failed to add vehicle',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Select the vehicle for the driver's next shift
+   * PUT /api/vehicles/active
+   */
+  static async selectActiveVehicle(req, res) {
+    try {
+      const result = await VehicleService.selectVehicle(req.user, req.body.vehicleId);
+      if (!result.success) {
+        return VehicleController.sendServiceError(res, result);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          activeVehicle: result.driver.driverInfo.activeVehicle,
+          message: `You are now driving ${result.vehicle.make} ${result.vehicle.model} (${result.vehicle.plateNumber})`
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Select active vehicle error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'VEHICLE_SELECT_FAILED',
+          message: 'Failed to select vehicle',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * List every vehicle (admin)
+   * GET /api/vehicles/all
+   */
+  static async getAllVehicles(req, res) {
+    try {
+      const { page, limit, ownerType, status, fleetName, plateNumber } = req.query;
+
+      const filter = {};
+      if (ownerType) {
+        filter.ownerType = ownerType;
+      }
+      if (status) {
+        filter.status = status;
+      }
+      if (fleetName) {
+        filter.fleetName = fleetName;
+      }
+      if (plateNumber) {
+        filter.plateNumber = plateNumber;
+      }
+
+      const [vehicles, total] = await Promise.all([
+        Vehicle.find(filter)
+          .populate(VehicleController.PEOPLE_POPULATE)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Vehicle.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          vehicles: vehicles.map(vehicle => VehicleController.formatVehicle(vehicle)),
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get vehicles error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'VEHICLES_FETCH_FAILED',
+          message: 'Failed to fetch vehicles',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Register a fleet vehicle (admin)
+   * POST /api/vehicles/fleet
+   */
+  static async addFleetVehicle(req, res) {
+    try {
+      const { fleetName, ...details } = req.body;
+
+      const result = await VehicleService.createVehicle(details, { ownerType: 'fleet', fleetName });
+      if (!result.success) {
+        return VehicleController.sendServiceError(res, result);
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          vehicle: VehicleController.formatVehicle(result.vehicle),
+          message: 'Fleet vehicle added'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Add fleet vehicle error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'VEHICLE_CREATE_FAILED',
+          message: 'Failed to add fleet vehicle',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Update a vehicle (its owner or an admin)
+   * PUT /api/vehicles/:vehicleId
+   */
+  static async updateVehicle(req, res) {
+    try {
+      const result = await VehicleService.updateVehicle(req.params.vehicleId, req.body, req.user);
+      if (!result.success) {
+        return VehicleController.sendServiceError(res, result);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          vehicle: VehicleController.formatVehicle(result.vehicle),
+          message: 'Vehicle updated'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Update vehicle error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'VEHICLE_UPDATE_FAILED',
+          message: 'Failed to update vehicle',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Retire a vehicle (its owner or an admin)
+   * DELETE /api/vehicles/:vehicleId
+   */
+  static async retireVehicle(req, res) {
+    try {
+      const result = await VehicleService.retireVehicle(req.params.vehicleId, req.user);
+      if (!result.success) {
+        return VehicleController.sendServiceError(res, result);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          vehicle: VehicleController.formatVehicle(result.vehicle),
+          message: 'Vehicle retired'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Retire vehicle error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'VEHICLE_RETIRE_FAILED',
+          message: 'Failed to retire vehicle',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Assign a driver to a vehicle by phone number (admin)
+   * POST /api/vehicles/:vehicleId/drivers
+   */
+  static async assignDriver(req, res) {
+    try {
+      const result = await VehicleService.assignDriver(req.params.vehicleId, req.body.phone);
+      if (!result.success) {
+        return VehicleController.sendServiceError(res, result);
+      }
+      await result.vehicle.populate(VehicleController.PEOPLE_POPULATE);
+
+      res.json({
+        success: true,
+        data: {
+          vehicle: VehicleController.formatVehicle(result.vehicle),
+          message: 'Driver assigned to vehicle'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Assign vehicle driver error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'VEHICLE_ASSIGN_FAILED',
+          message: 'Failed to assign driver',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Remove a driver from a vehicle (admin)
+   * DELETE /api/vehicles/:vehicleId/drivers/:driverId
+   */
+  static async unassignDriver(req, res) {
+    try {
+      const result = await VehicleService.unassignDriver(req.params.vehicleId, req.params.driverId);
+      if (!result.success) {
+        return VehicleController.sendServiceError(res, result);
+      }
+      await result.vehicle.populate(VehicleController.PEOPLE_POPULATE);
+
+      res.json({
+        success: true,
+        data: {
+          vehicle: VehicleController.formatVehicle(result.vehicle),
+          message: 'Driver removed from vehicle'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Unassign vehicle driver error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'VEHICLE_UNASSIGN_FAILED',
+          message: 'Failed to remove driver',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  // Helper methods
+
+  /**
+   * Send a VehicleService failure with its mapped status
+   */
+  static sendServiceError(res, result) {
+    return res.status(VehicleController.ERROR_STATUS[result.error] || 400).json({
+      success: false,
+      error: {
+        code: result.error,
+        message: result.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Shape a vehicle for the client (people are included when populated)
+   */
+  static formatVehicle(vehicle) {
+    const formatPerson = person => (person && person.profile
+      ? { _id: person._id, name: person.profile.name, phone: person.phone }
+      : person);
+
+    return {
+      _id: vehicle._id,
+      ownerType: vehicle.ownerType,
+      owner: formatPerson(vehicle.ownerId),
+      fleetName: vehicle.fleetName,
+      drivers: vehicle.drivers.map(formatPerson),
+      make: vehicle.make,
+      model: vehicle.model,
+      plateNumber: vehicle.plateNumber,
+      color: vehicle.color,
+      year: vehicle.year,
+      vehicleClass: vehicle.vehicleClass,
+      status: vehicle.status,
+      currentDriver: formatPerson(vehicle.currentDriverId),
+      claimedAt: vehicle.claimedAt,
+      createdAt: vehicle.createdAt
+    };
+  }
+}
+
+module.exports = VehicleController;
@@ -0,0 +1,190 @@
+const { WalletService, PaymentGatewayService } = require('../services');
+
+/**
+ * Wallet Controller
+ * Handles rider wallet balances, card top-ups and statements
+ */
+
+class WalletController {
+  /**
+   * Get the rider's wallet
+   * GET /api/wallet
+   */
+  static async getWallet(req, res) {
+    try {
+      const wallet = await WalletService.getWallet(req.user._id);
+
+      res.json({
+        success: true,
+        data: {
+          wallet: WalletController.formatWallet(wallet)
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get wallet error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'WALLET_FETCH_FAILED',
+          message: 'Failed to fetch wallet',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the rider's wallet statement
+   * GET /api/wallet/transactions
+   */
+  static async getTransactions(req, res) {
+    try {
+      const { page, limit, type } = req.query;
+
+      const [wallet, { transactions, total }] = await Promise.all([
+        WalletService.getWallet(req.user._id),
+        WalletService.getStatement(req.user._id, { page, limit, type })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          wallet: WalletController.formatWallet(wallet),
+          transactions,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get wallet transactions error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'WALLET_STATEMENT_FAILED',
+          message: 'Failed to fetch wallet statement',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Top up the wallet with a card payment
+   * POST /api/wallet/topup
+   */
+  static async topUp(req, res) {
+    try {
+      const { amount, paymentDetails } = req.body;
+      const userId = req.user._id;
+
+      const wallet = await WalletService.getWallet(userId);
+      const validation = WalletService.validateTopUp(amount, wallet.balance);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: validation.error,
+            message: validation.message,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      // Saved first, so the gateway's webhook can only credit a top-up this rider started
+      const topUpId = await WalletService.startTopUp(userId, amount);
+
+      const paymentResult = await PaymentGatewayService.charge({
+        amount,
+        paymentDetails,
+        metadata: { purpose: 'wallet_topup', userId: userId.toString(), topUpId }
+      });
+      if (!paymentResult.success) {
+        await WalletService.discardTopUp(userId, topUpId);
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'PAYMENT_FAILED',
+            message: paymentResult.message,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      // The gateway confirms the charge later; its webhook credits the wallet
+      if (paymentResult.status === 'pending') {
+        await WalletService.attachTopUpTransaction(userId, topUpId, paymentResult.transactionId);
+        return res.status(202).json({
+          success: true,
+          data: {
+            wallet: WalletController.formatWallet(wallet),
+            status: 'pending',
+            transactionId: paymentResult.transactionId,
+            message: 'Top-up is being confirmed. Your balance will update shortly.'
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      await WalletService.discardTopUp(userId, topUpId);
+      const result = await WalletService.topUp(userId, amount, paymentResult.transactionId);
+      if (!result.success) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: result.error,
+            message: result.message,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          wallet: WalletController.formatWallet(result.wallet),
+          transaction: result.transaction,
+          message: 'Wallet topped up successfully'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Wallet top-up error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'WALLET_TOPUP_FAILED',
+          message: 'Failed to top up wallet',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  // Helper methods
+
+  /**
+   * Public view of a wallet
+   */
+  static formatWallet(wallet) {
+    return {
+      balance: wallet.balance,
+      currency: wallet.currency,
+      maxBalance: WalletService.MAX_BALANCE,
+      updatedAt: wallet.updatedAt
+    };
+  }
+}
+
+module.exports = WalletController;
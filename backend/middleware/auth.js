@@ -193,6 +193,11 @@ const requireAdmin = authorizeRoles(['admin']);
  */
 const requireRiderOrDriver = authorizeRoles(['rider', 'driver']);
 
+/**
+ * Middleware for driver or admin access
+ */
+const requireDriverOrAdmin = authorizeRoles(['driver', 'admin']);
+
 /**
  * Middleware for any authenticated user
  */
@@ -262,6 +267,7 @@ module.exports = {
   requireDriver,
   requireAdmin,
   requireRiderOrDriver,
+  requireDriverOrAdmin,
   requireAuth,
   optionalAuth,
   requireVerified
@@ -0,0 +1,42 @@
+/**
+ * File Upload Middleware
+ * Accepts a single file sent as the raw request body (Content-Type set to the file's type)
+ * and exposes it as req.file, in the shape secureFileUpload validates
+ */
+
+const express = require('express');
+const { AppError } = require('./errorHandler');
+
+// Slightly above secureFileUpload's 5MB so oversized files get its clearer error
+const MAX_BODY_SIZE = '6mb';
+
+/**
+ * Map the raw body to req.file ({ originalname, mimetype, size, buffer })
+ */
+function exposeFile(req, res, next) {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    throw new AppError('Send the file as the request body', 400, 'FILE_REQUIRED');
+  }
+
+  req.file = {
+    originalname: req.query.fileName || 'upload',
+    mimetype: (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase(),
+    size: req.body.length,
+    buffer: req.body
+  };
+  req.body = {};
+
+  next();
+}
+
+/**
+ * Read a raw single-file upload; follow with secureFileUpload to check type, size and content
+ */
+const rawFileUpload = [
+  express.raw({ type: () => true, limit: MAX_BODY_SIZE }),
+  exposeFile
+];
+
+module.exports = {
+  rawFileUpload
+};
@@ -0,0 +1,168 @@
+/**
+ * Idempotency Middleware
+ * Makes non-idempotent endpoints safe to retry: a repeated request carrying the same
+ * Idempotency-Key header gets the stored response instead of being executed again
+ */
+
+const crypto = require('crypto');
+const { IdempotencyKey } = require('../models');
+
+const KEY_TTL = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+// A key whose request never finished (e.g. the server restarted mid-request) can be reused after this
+const LOCK_TIMEOUT = 60 * 1000;
+const KEY_PATTERN = /^[A-Za-z0-9_:-]{8,255}$/;
+
+/**
+ * Send an error in the standard response shape
+ */
+function sendError(res, status, code, message) {
+  return res.status(status).json({
+    success: false,
+    error: {
+      code,
+      message,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * Hash of the endpoint and body, so a key cannot be reused for a different request
+ */
+function hashRequest(endpoint, body) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ endpoint, body: body || {} }))
+    .digest('hex');
+}
+
+/**
+ * Reserve a key for this request. Returns the stored record when another request
+ * already holds it.
+ */
+async function claimKey({ userId, key, endpoint, requestHash }) {
+  const now = new Date();
+
+  try {
+    const record = await IdempotencyKey.create({
+      key,
+      userId,
+      endpoint,
+      requestHash,
+      lockedAt: now,
+      expiresAt: new Date(now.getTime() + KEY_TTL)
+    });
+    return { claimed: true, record };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const abandoned = await IdempotencyKey.findOneAndUpdate(
+    {
+      userId,
+      key,
+      requestHash,
+      status: 'in_progress',
+      lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT) }
+    },
+    { $set: { lockedAt: now } },
+    { new: true }
+  );
+  if (abandoned) {
+    return { claimed: true, record: abandoned };
+  }
+
+  return { claimed: false, record: await IdempotencyKey.findOne({ userId, key }) };
+}
+
+/**
+ * Store the JSON response before it is sent. Server errors are not stored, so the
+ * request can be retried with the same key.
+ */
+function captureResponse(res, record) {
+  const originalJson = res.json;
+  let captured = false;
+
+  res.json = function (body) {
+    captured = true;
+    res.json = originalJson;
+
+    const store = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id }).exec()
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        {
+          $set: {
+            status: 'completed',
+            responseStatus: res.statusCode,
+            responseBody: JSON.stringify(body)
+          }
+        }
+      ).exec();
+
+    store
+      .catch(error => console.error('Failed to store idempotent response:', error))
+      .then(() => originalJson.call(res, body));
+
+    return res;
+  };
+
+  // Responses that never went through res.json release the key
+  res.on('close', () => {
+    if (!captured) {
+      IdempotencyKey.deleteOne({ _id: record._id }).exec().catch(() => {});
+    }
+  });
+}
+
+/**
+ * Idempotency-Key support for a route. Must run after authentication; requests
+ * without the header are processed normally.
+ *
+ * - First request with a key: processed, and its response stored
+ * - Retry after completion: the stored response is replayed (Idempotent-Replayed: true)
+ * - Retry while the first is still running: 409 IDEMPOTENT_REQUEST_IN_PROGRESS
+ * - Same key with a different request: 422 IDEMPOTENCY_KEY_MISMATCH
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return sendError(res, 400, 'INVALID_IDEMPOTENCY_KEY',
+      'Idempotency-Key must be 8-255 letters, digits, dashes, underscores or colons');
+  }
+
+  try {
+    const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = hashRequest(endpoint, req.body);
+    const { claimed, record } = await claimKey({ userId: req.user._id, key, endpoint, requestHash });
+
+    if (claimed) {
+      captureResponse(res, record);
+      return next();
+    }
+
+    if (record && record.requestHash !== requestHash) {
+      return sendError(res, 422, 'IDEMPOTENCY_KEY_MISMATCH',
+        'This Idempotency-Key was already used for a different request');
+    }
+
+    if (!record || record.status === 'in_progress') {
+      return sendError(res, 409, 'IDEMPOTENT_REQUEST_IN_PROGRESS',
+        'A request with this Idempotency-Key is still being processed');
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    res.status(record.responseStatus).type('application/json').send(record.responseBody);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  idempotent
+};
@@ -100,11 +100,48 @@ const locationSchema = Joi.object({
   coordinates: coordinatesSchema.required()
 });
 
+// Intermediate stops, in visiting order (at most Ride.MAX_STOPS)
+const stopsSchema = Joi.array().items(locationSchema).max(3);
+
+const serviceLevelSchema = Joi.string().valid('economy', 'comfort', 'premium').default('economy');
+
+const paymentMethodSchema = Joi.string().valid('mock', 'cash', 'wallet');
+
+const paymentDetailsSchema = Joi.object({
+  cardNumber: Joi.string().optional(),
+  paymentMethodId: Joi.string().optional(),
+  cvv: Joi.string().optional(),
+  expiryMonth: Joi.number().integer().min(1).max(12).optional(),
+  expiryYear: Joi.number().integer().min(new Date().getFullYear()).optional()
+});
+
 // Ride validation schemas
 const rideBookingSchema = Joi.object({
   pickup: locationSchema.required(),
   destination: locationSchema.required(),
-  specialInstructions: Joi.string().max(300).trim().optional()
+  stops: stopsSchema.optional(),
+  specialInstructions: Joi.string().max(300).trim().optional(),
+  serviceLevel: serviceLevelSchema,
+  scheduledFor: Joi.date().iso().optional(),
+  quoteId: Joi.string().max(4096).pattern(/^[0-9a-f]+\.[0-9a-f]+$/).optional(),
+  promoCode: Joi.string().max(20).trim().optional(),
+  // Card ('mock') bookings place a pre-authorization hold
+  paymentMethod: paymentMethodSchema.optional(),
+  paymentDetails: paymentDetailsSchema.optional()
+});
+
+const scheduledRideUpdateSchema = Joi.object({
+  pickup: locationSchema.optional(),
+  destination: locationSchema.optional(),
+  // Replaces the ride's stops; an empty list removes them
+  stops: stopsSchema.optional(),
+  specialInstructions: Joi.string().max(300).trim().allow('').optional(),
+  serviceLevel: Joi.string().valid('economy', 'comfort', 'premium').optional(),
+  scheduledFor: Joi.date().iso().optional()
+}).min(1);
+
+const rideCancellationSchema = Joi.object({
+  reason: Joi.string().max(200).trim().optional()
 });
 
 const fareEstimateSchema = Joi.object({
@@ -113,23 +150,46 @@ const fareEstimateSchema = Joi.object({
   }).required(),
   destination: Joi.object({
     coordinates: Joi.array().items(Joi.number()).length(2).required()
-  }).required()
+  }).required(),
+  stops: Joi.array().items(Joi.object({
+    coordinates: Joi.array().items(Joi.number()).length(2).required()
+  })).max(3).optional(),
+  serviceLevel: serviceLevelSchema
 });
 
 const rideStatusUpdateSchema = Joi.object({
-  status: Joi.string().valid('matched', 'accepted', 'in_progress', 'completed', 'cancelled').required(),
+  status: Joi.string().valid('matched', 'accepted', 'arrived', 'in_progress', 'completed', 'cancelled').required(),
   reason: Joi.string().max(200).trim().optional()
 });
 
 const rideHistoryQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(50).default(10),
-  status: Joi.string().valid('requested', 'matched', 'accepted', 'in_progress', 'completed', 'cancelled').optional(),
+  status: Joi.string().valid('scheduled', 'requested', 'matched', 'accepted', 'arrived', 'in_progress', 'completed', 'cancelled').optional(),
   startDate: Joi.date().iso().optional(),
   endDate: Joi.date().iso().min(Joi.ref('startDate')).optional(),
   userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional() // MongoDB ObjectId pattern
 });
 
+const fareSplitSchema = Joi.object({
+  mode: Joi.string().valid('even', 'custom').default('even'),
+  // New co-riders by phone; co-riders already on the split may be kept by user ID
+  participants: Joi.array().items(Joi.object({
+    phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/)
+      .messages({
+        'string.pattern.base': 'Phone number must be in valid international format'
+      }),
+    userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+    percentage: Joi.number().greater(0).max(100).precision(2).optional()
+  }).xor('phone', 'userId')).min(1).required(),
+  // The booking rider's own percentage (custom splits)
+  riderPercentage: Joi.number().greater(0).max(100).precision(2).optional()
+});
+
+const fareSplitResponseSchema = Joi.object({
+  accept: Joi.boolean().required()
+});
+
 const pendingRidesQuerySchema = Joi.object({
   lat: Joi.number().min(-90).max(90).optional(),
   lng: Joi.number().min(-180).max(180).optional(),
@@ -162,7 +222,8 @@ const phoneRegistrationSchema = Joi.object({
         make: Joi.string().required().max(30).trim(),
         model: Joi.string().required().max(30).trim(),
         plateNumber: Joi.string().required().max(15).trim(),
-        color: Joi.string().required().max(20).trim()
+        color: Joi.string().required().max(20).trim(),
+        vehicleClass: Joi.string().valid('economy', 'comfort', 'premium').optional()
       }).required()
     }).required(),
     otherwise: Joi.forbidden()
@@ -187,8 +248,22 @@ const emailLoginSchema = Joi.object({
   password: Joi.string().required().min(6) // Changed from min(8) to min(6) to match seed data
 });
 
+// Admins reset by email, riders and drivers by phone
 const forgotPasswordSchema = Joi.object({
-  email: Joi.string().email({ tlds: { allow: false } }).required().lowercase().trim()
+  email: Joi.string().email({ tlds: { allow: false } }).lowercase().trim(),
+  phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/)
+}).xor('email', 'phone');
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().hex().length(64).required()
+    .messages({
+      'string.hex': 'Invalid password reset token',
+      'string.length': 'Invalid password reset token'
+    }),
+  password: Joi.string().required().min(6)
+    .messages({
+      'string.min': 'Password must be at least 6 characters long'
+    })
 });
 
 const locationUpdateSchema = Joi.object({
@@ -199,21 +274,320 @@ const locationUpdateSchema = Joi.object({
 // Payment validation schemas
 const paymentProcessSchema = Joi.object({
   rideId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
-  paymentMethod: Joi.string().valid('mock', 'cash').required(),
-  paymentDetails: Joi.object({
-    cardNumber: Joi.string().optional(),
-    paymentMethodId: Joi.string().optional(),
-    cvv: Joi.string().optional(),
-    expiryMonth: Joi.number().integer().min(1).max(12).optional(),
-    expiryYear: Joi.number().integer().min(new Date().getFullYear()).optional()
-  }).optional()
+  paymentMethod: paymentMethodSchema.required(),
+  paymentDetails: paymentDetailsSchema.optional()
 });
 
 const ratingSubmissionSchema = Joi.object({
   rideId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
   rating: Joi.number().integer().min(1).max(5).required(),
   feedback: Joi.string().max(500).trim().optional(),
-  ratingType: Joi.string().valid('driver', 'rider').required()
+  ratingType: Joi.string().valid('driver', 'rider').required(),
+  // Riders can tip the driver they rate; charged through the method they paid the fare with
+  tip: Joi.number().positive().precision(2).when('ratingType', {
+    is: 'driver',
+    then: Joi.optional(),
+    otherwise: Joi.forbidden()
+  }),
+  paymentDetails: paymentDetailsSchema.optional()
+});
+
+const receiptQuerySchema = Joi.object({
+  // 'pdf' downloads the GST tax invoice
+  format: Joi.string().valid('json', 'pdf').default('json')
+});
+
+const disputeCreateSchema = Joi.object({
+  rideId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+  reason: Joi.string().valid('overcharged', 'wrong_route', 'driver_issue', 'payment_issue', 'other').required(),
+  description: Joi.string().min(10).max(1000).trim().required()
+});
+
+const disputeListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('open', 'under_review', 'resolved', 'rejected').optional()
+});
+
+const disputeIdParamSchema = Joi.object({
+  id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid dispute ID format'
+    })
+});
+
+const disputeResolveSchema = Joi.object({
+  decision: Joi.string().valid('refund', 'reject').required(),
+  amount: Joi.when('decision', {
+    is: 'refund',
+    then: Joi.number().min(0.01).precision(2).optional(),
+    otherwise: Joi.forbidden()
+  }),
+  note: Joi.string().max(1000).trim().when('decision', {
+    is: 'reject',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  })
+});
+
+const refundCreateSchema = Joi.object({
+  rideId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+  amount: Joi.number().min(0.01).precision(2).optional(),
+  reason: Joi.string().max(500).trim().required()
+});
+
+// Promo validation schemas
+const promoCitySchema = Joi.object({
+  name: Joi.string().max(100).trim().required(),
+  center: Joi.array().items(Joi.number()).length(2).required(),
+  radiusKm: Joi.number().min(0.1).max(200).required()
+});
+
+const promoFields = {
+  code: Joi.string().pattern(/^[A-Za-z0-9_-]{3,20}$/).uppercase()
+    .messages({
+      'string.pattern.base': 'Promo code must be 3-20 letters, digits, dashes or underscores'
+    }),
+  campaign: Joi.string().max(100).trim().allow(null, ''),
+  description: Joi.string().max(300).trim().allow(null, ''),
+  discountType: Joi.string().valid('percentage', 'flat'),
+  discountValue: Joi.number().min(0)
+    .when('discountType', { is: 'percentage', then: Joi.number().max(100) }),
+  maxDiscount: Joi.number().min(0).allow(null),
+  minFare: Joi.number().min(0),
+  firstRideOnly: Joi.boolean(),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1),
+  validFrom: Joi.date().iso(),
+  validUntil: Joi.date().iso().allow(null),
+  cities: Joi.array().items(promoCitySchema).max(50),
+  isActive: Joi.boolean()
+};
+
+const promoCreateSchema = Joi.object({
+  ...promoFields,
+  code: promoFields.code.required(),
+  discountType: promoFields.discountType.required(),
+  discountValue: promoFields.discountValue.required()
+});
+
+const promoUpdateSchema = Joi.object(promoFields).min(1);
+
+const promoListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  campaign: Joi.string().max(100).trim().optional(),
+  status: Joi.string().valid('active', 'inactive').optional()
+});
+
+const promoCheckSchema = Joi.object({
+  code: Joi.string().max(20).trim().required(),
+  pickup: Joi.object({
+    coordinates: Joi.array().items(Joi.number()).length(2).required()
+  }).required(),
+  fare: Joi.number().min(0).required()
+});
+
+const promoIdParamSchema = Joi.object({
+  id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid promo ID format'
+    })
+});
+
+// Wallet validation schemas
+const walletTopUpSchema = Joi.object({
+  amount: Joi.number().min(10).max(10000).precision(2).required(),
+  paymentDetails: paymentProcessSchema.extract('paymentDetails')
+});
+
+const walletTransactionsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  type: Joi.string().valid('topup', 'ride_payment', 'refund', 'tip', 'cancellation_fee').optional()
+});
+
+// Earnings validation schemas
+const earningsRangeFields = {
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional()
+};
+
+const earningsEntriesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  ...earningsRangeFields
+});
+
+const earningsExportQuerySchema = Joi.object(earningsRangeFields);
+
+const payoutListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('pending', 'paid', 'carried_forward').optional(),
+  driverId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional()
+});
+
+const payoutIdParamSchema = Joi.object({
+  id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid payout ID format'
+    })
+});
+
+const payoutMarkPaidSchema = Joi.object({
+  reference: Joi.string().max(100).trim().required()
+});
+
+// Notification validation schemas
+const notificationPreferencesSchema = Joi.object({
+  locale: Joi.string().valid('en', 'hi').optional(),
+  channels: Joi.object({
+    sms: Joi.boolean().optional(),
+    email: Joi.boolean().optional(),
+    push: Joi.boolean().optional()
+  }).min(1).optional()
+}).min(1).messages({
+  'object.min': 'Provide a locale or at least one channel setting'
+});
+
+// Web Push subscription as produced by PushSubscription.toJSON() in the browser
+const pushSubscriptionSchema = Joi.object({
+  endpoint: Joi.string().uri({ scheme: ['https'] }).max(1000).required(),
+  keys: Joi.object({
+    p256dh: Joi.string().max(200).required(),
+    auth: Joi.string().max(100).required()
+  }).required(),
+  expirationTime: Joi.number().allow(null).optional()
+});
+
+const pushUnsubscribeSchema = Joi.object({
+  endpoint: Joi.string().uri({ scheme: ['https'] }).max(1000).required()
+});
+
+const notificationListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  channel: Joi.string().valid('sms', 'email', 'push').optional(),
+  status: Joi.string().valid('pending', 'sent', 'failed').optional()
+});
+
+const mailboxQuerySchema = Joi.object({
+  channel: Joi.string().valid('sms', 'email', 'push').optional(),
+  to: Joi.string().max(1000).optional()
+});
+
+// Driver onboarding validation schemas
+const driverDocumentTypeParamSchema = Joi.object({
+  type: Joi.string().valid('license', 'registration', 'insurance').required()
+});
+
+// Metadata travels in the query string; the request body is the image itself
+const driverDocumentUploadQuerySchema = Joi.object({
+  expiresAt: Joi.date().iso().greater('now').required()
+    .messages({
+      'date.greater': 'Document has already expired'
+    }),
+  documentNumber: Joi.string().max(50).trim().optional(),
+  fileName: Joi.string().max(255).trim().optional()
+});
+
+const driverDocumentIdParamSchema = Joi.object({
+  documentId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid document ID format'
+    })
+});
+
+const driverIdParamSchema = Joi.object({
+  driverId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid driver ID format'
+    })
+});
+
+const onboardingApplicationsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('applied', 'documents_submitted', 'under_review', 'approved', 'rejected').optional()
+});
+
+const onboardingReviewSchema = Joi.object({
+  decision: Joi.string().valid('approve', 'reject').required(),
+  reason: Joi.string().max(500).trim().when('decision', {
+    is: 'reject',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  })
+});
+
+// Vehicle validation schemas
+const vehicleFields = {
+  make: Joi.string().max(50).trim(),
+  model: Joi.string().max(50).trim(),
+  plateNumber: Joi.string().max(20).trim().uppercase(),
+  color: Joi.string().max(30).trim(),
+  year: Joi.number().integer().min(1990).max(new Date().getFullYear() + 1),
+  vehicleClass: Joi.string().valid('economy', 'comfort', 'premium')
+};
+
+const vehicleCreateSchema = Joi.object({
+  ...vehicleFields,
+  make: vehicleFields.make.required(),
+  model: vehicleFields.model.required(),
+  plateNumber: vehicleFields.plateNumber.required(),
+  color: vehicleFields.color.required()
+});
+
+const fleetVehicleCreateSchema = vehicleCreateSchema.keys({
+  fleetName: Joi.string().max(100).trim().required()
+});
+
+const vehicleUpdateSchema = Joi.object({
+  ...vehicleFields,
+  fleetName: Joi.string().max(100).trim()
+}).min(1);
+
+const vehicleListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  ownerType: Joi.string().valid('driver', 'fleet').optional(),
+  status: Joi.string().valid('active', 'retired').optional(),
+  fleetName: Joi.string().max(100).trim().optional(),
+  plateNumber: Joi.string().max(20).trim().uppercase().optional()
+});
+
+const vehicleIdParamSchema = Joi.object({
+  vehicleId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid vehicle ID format'
+    })
+});
+
+const vehicleDriverParamsSchema = vehicleIdParamSchema.keys({
+  driverId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid driver ID format'
+    })
+});
+
+const activeVehicleSelectSchema = Joi.object({
+  vehicleId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid vehicle ID format'
+    })
+});
+
+const vehicleDriverAssignSchema = Joi.object({
+  phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/).required()
+    .messages({
+      'string.pattern.base': 'Phone number must be in valid international format'
+    })
+});
+
+// Driver shift validation schemas
+const shiftReportQuerySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(31).default(7)
 });
 
 // Exported validation middleware functions
@@ -274,10 +648,15 @@ module.exports = {
 
   // Ride validations
   validateRideBooking: validate(rideBookingSchema),
+  validateScheduledRideUpdate: validate(scheduledRideUpdateSchema),
+  validateRideCancellation: validate(rideCancellationSchema),
   validateFareEstimate: validate(fareEstimateSchema),
   validateRideStatusUpdate: validate(rideStatusUpdateSchema),
+  validateRideStop: validate(locationSchema),
   validateRideHistoryQuery: validate(rideHistoryQuerySchema, 'query'),
   validatePendingRidesQuery: validate(pendingRidesQuerySchema, 'query'),
+  validateFareSplit: validate(fareSplitSchema),
+  validateFareSplitResponse: validate(fareSplitResponseSchema),
   validateMongoIdParam: validate(mongoIdParamSchema, 'params'),
 
   // Auth validations
@@ -319,6 +698,7 @@ module.exports = {
   },
   validateEmailLogin: validate(emailLoginSchema),
   validateForgotPassword: validate(forgotPasswordSchema),
+  validateResetPassword: validate(resetPasswordSchema),
 
   // User validations
   validateLocationUpdate: validate(locationUpdateSchema),
@@ -326,6 +706,56 @@ module.exports = {
   // Payment validations
   validatePaymentData: validate(paymentProcessSchema),
   validateRatingData: validate(ratingSubmissionSchema),
+  validateReceiptQuery: validate(receiptQuerySchema, 'query'),
+  validateDisputeCreate: validate(disputeCreateSchema),
+  validateDisputeListQuery: validate(disputeListQuerySchema, 'query'),
+  validateDisputeIdParam: validate(disputeIdParamSchema, 'params'),
+  validateDisputeResolve: validate(disputeResolveSchema),
+  validateRefundCreate: validate(refundCreateSchema),
+
+  // Promo validations
+  validatePromoCreate: validate(promoCreateSchema),
+  validatePromoUpdate: validate(promoUpdateSchema),
+  validatePromoListQuery: validate(promoListQuerySchema, 'query'),
+  validatePromoCheck: validate(promoCheckSchema),
+  validatePromoIdParam: validate(promoIdParamSchema, 'params'),
+
+  // Wallet validations
+  validateWalletTopUp: validate(walletTopUpSchema),
+  validateWalletTransactionsQuery: validate(walletTransactionsQuerySchema, 'query'),
+  validateEarningsEntriesQuery: validate(earningsEntriesQuerySchema, 'query'),
+  validateEarningsExportQuery: validate(earningsExportQuerySchema, 'query'),
+  validatePayoutListQuery: validate(payoutListQuerySchema, 'query'),
+  validatePayoutIdParam: validate(payoutIdParamSchema, 'params'),
+  validatePayoutMarkPaid: validate(payoutMarkPaidSchema),
+
+  // Notification validations
+  validateNotificationPreferences: validate(notificationPreferencesSchema),
+  validatePushSubscription: validate(pushSubscriptionSchema),
+  validatePushUnsubscribe: validate(pushUnsubscribeSchema),
+  validateNotificationListQuery: validate(notificationListQuerySchema, 'query'),
+  validateMailboxQuery: validate(mailboxQuerySchema, 'query'),
+
+  // Driver onboarding validations
+  validateDriverDocumentTypeParam: validate(driverDocumentTypeParamSchema, 'params'),
+  validateDriverDocumentUploadQuery: validate(driverDocumentUploadQuerySchema, 'query'),
+  validateDriverDocumentIdParam: validate(driverDocumentIdParamSchema, 'params'),
+  validateDriverIdParam: validate(driverIdParamSchema, 'params'),
+  validateOnboardingApplicationsQuery: validate(onboardingApplicationsQuerySchema, 'query'),
+  validateOnboardingReview: validate(onboardingReviewSchema),
+
+  // Vehicle validations
+  validateVehicleCreate: validate(vehicleCreateSchema),
+  validateFleetVehicleCreate: validate(fleetVehicleCreateSchema),
+  validateVehicleUpdate: validate(vehicleUpdateSchema),
+  validateVehicleListQuery: validate(vehicleListQuerySchema, 'query'),
+  validateVehicleIdParam: validate(vehicleIdParamSchema, 'params'),
+  validateVehicleDriverParams: validate(vehicleDriverParamsSchema, 'params'),
+  validateActiveVehicleSelect: validate(activeVehicleSelectSchema),
+  validateVehicleDriverAssign: validate(vehicleDriverAssignSchema),
+
+  // Driver shift validations
+  validateShiftReportQuery: validate(shiftReportQuerySchema, 'query'),
 
   // Rate limiters
   authRateLimiter,
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * Dispute Model - a rider's complaint about a completed, paid ride
+ *
+ * Disputes start 'open', are 'under_review' while an admin's resolution is being applied
+ * and end 'resolved' (with a refund) or 'rejected'.
+ */
+
+const DISPUTE_REASONS = ['overcharged', 'wrong_route', 'driver_issue', 'payment_issue', 'other'];
+
+const resolutionSchema = new mongoose.Schema({
+  decision: { type: String, enum: ['refund', 'reject'], required: true },
+  note: { type: String, maxlength: 1000, default: null },
+  refundId: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund', default: null },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  resolvedAt: { type: Date, required: true, default: Date.now }
+}, { _id: false });
+
+const disputeSchema = new mongoose.Schema({
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true,
+    unique: true
+  },
+  riderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reason: { type: String, enum: DISPUTE_REASONS, required: true },
+  description: { type: String, required: true, trim: true, maxlength: 1000 },
+  status: {
+    type: String,
+    enum: ['open', 'under_review', 'resolved', 'rejected'],
+    default: 'open'
+  },
+  resolution: { type: resolutionSchema, default: null }
+}, {
+  timestamps: true
+});
+
+disputeSchema.index({ status: 1, createdAt: -1 });
+disputeSchema.index({ riderId: 1, createdAt: -1 });
+
+const Dispute = mongoose.model('Dispute', disputeSchema);
+module.exports = Dispute;
+module.exports.DISPUTE_REASONS = DISPUTE_REASONS;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * DriverDocument Model - a licence, registration certificate or insurance policy uploaded
+ * by a driver during onboarding or to renew an expiring document
+ *
+ * Uploads start 'pending' and are 'approved' or 'rejected' by an admin. A newer upload of
+ * the same type supersedes older pending or rejected ones, and approving it supersedes the
+ * previously approved one, so a driver has at most one approved document of each type.
+ */
+
+const DRIVER_DOCUMENT_TYPES = ['license', 'registration', 'insurance'];
+const DRIVER_DOCUMENT_STATUSES = ['pending', 'approved', 'rejected', 'superseded'];
+const DRIVER_DOCUMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+
+const reviewSchema = new mongoose.Schema({
+  decision: { type: String, enum: ['approve', 'reject'], required: true },
+  reason: { type: String, maxlength: 500, default: null },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reviewedAt: { type: Date, required: true, default: Date.now }
+}, { _id: false });
+
+const driverDocumentSchema = new mongoose.Schema({
+  driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: DRIVER_DOCUMENT_TYPES, required: true },
+  documentNumber: { type: String, trim: true, maxlength: 50, default: null },
+  expiresAt: { type: Date, required: true },
+  file: {
+    // Image bytes; excluded from queries unless selected with '+file.data'
+    data: { type: Buffer, required: true, select: false },
+    fileName: { type: String, maxlength: 255, default: null },
+    mimeType: { type: String, enum: DRIVER_DOCUMENT_MIME_TYPES, required: true },
+    size: { type: Number, required: true, min: 1 },
+    sha256: { type: String, required: true }
+  },
+  status: { type: String, enum: DRIVER_DOCUMENT_STATUSES, default: 'pending' },
+  review: { type: reviewSchema, default: null },
+  // Reminder thresholds (days before expiry) already sent for this document
+  remindersSent: { type: [Number], default: [] },
+  expiryNotifiedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+driverDocumentSchema.index({ driverId: 1, type: 1, createdAt: -1 });
+driverDocumentSchema.index({ status: 1, expiresAt: 1 });
+
+const DriverDocument = mongoose.model('DriverDocument', driverDocumentSchema);
+module.exports = DriverDocument;
+module.exports.DRIVER_DOCUMENT_TYPES = DRIVER_DOCUMENT_TYPES;
+module.exports.DRIVER_DOCUMENT_STATUSES = DRIVER_DOCUMENT_STATUSES;
+module.exports.DRIVER_DOCUMENT_MIME_TYPES = DRIVER_DOCUMENT_MIME_TYPES;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * DriverEarning Model - one ledger entry per paid ride, recording what the driver earned
+ *
+ * Commission is taken on the fare before any promo discount (the platform funds promos) and
+ * without the GST included in it (the platform remits the tax): grossFare excludes GST.
+ * For cash rides the driver already holds the rider's payment, so it is offset against
+ * the earning: netPayable is what the platform owes the driver for the ride, and is
+ * negative when the cash collected exceeds the driver's share.
+ *
+ * A tip on the ride gets its own 'tip' entry: no commission, the whole tip is earned.
+ * A collected cancellation fee gets a 'cancellation_fee' entry, with commission taken as on a fare.
+ */
+
+const EARNING_TYPES = ['ride', 'tip', 'cancellation_fee'];
+
+const driverEarningSchema = new mongoose.Schema({
+  driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true },
+  type: { type: String, enum: EARNING_TYPES, default: 'ride' },
+  serviceLevel: { type: String, enum: ['economy', 'comfort', 'premium'], required: true },
+  paymentMethod: { type: String, enum: ['cash', 'card', 'wallet', 'mock', 'split'], required: true },
+  grossFare: { type: Number, required: true, min: 0 },
+  promoDiscount: { type: Number, default: 0, min: 0 },
+  // GST included in the amount charged, as on the ride's invoice
+  tax: { type: Number, default: 0, min: 0 },
+  commissionRate: { type: Number, required: true, min: 0, max: 100 },
+  commission: { type: Number, required: true, min: 0 },
+  tip: { type: Number, default: 0, min: 0 },
+  earning: { type: Number, required: true, min: 0 },
+  cashCollected: { type: Number, default: 0, min: 0 },
+  netPayable: { type: Number, required: true },
+  // Weekly payout statement that settled this entry
+  payoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payout', default: null },
+  earnedAt: { type: Date, required: true }
+}, {
+  timestamps: true
+});
+
+// One entry of each type per ride
+driverEarningSchema.index({ rideId: 1, type: 1 }, { unique: true });
+driverEarningSchema.index({ driverId: 1, earnedAt: -1 });
+driverEarningSchema.index({ payoutId: 1, driverId: 1, earnedAt: 1 });
+
+const DriverEarning = mongoose.model('DriverEarning', driverEarningSchema);
+module.exports = DriverEarning;
+module.exports.EARNING_TYPES = EARNING_TYPES;
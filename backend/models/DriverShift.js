@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * DriverShift Model - one stretch a driver spent online, from going online to going offline
+ *
+ * The open shift is mirrored on the driver (`driverInfo.shift`) so dispatch can filter on it.
+ * `continuousSince` is where the driver's continuous driving began: a shift started after a
+ * break shorter than the minimum carries it over from the previous shift (see ShiftService).
+ */
+
+// Why a shift ended: the driver went offline, hit the continuous driving limit, lost their
+// connection, or stopped being allowed to drive (expired documents, revoked approval)
+const SHIFT_END_REASONS = ['driver', 'break_required', 'disconnected', 'not_eligible'];
+
+const driverShiftSchema = new mongoose.Schema({
+  driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  vehicleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle', default: null },
+  startedAt: { type: Date, required: true },
+  continuousSince: { type: Date, required: true },
+  endedAt: { type: Date, default: null },
+  endReason: { type: String, enum: SHIFT_END_REASONS, default: null }
+}, {
+  timestamps: true
+});
+
+driverShiftSchema.index({ driverId: 1, startedAt: -1 });
+driverShiftSchema.index({ driverId: 1, endedAt: 1 });
+
+const DriverShift = mongoose.model('DriverShift', driverShiftSchema);
+module.exports = DriverShift;
+module.exports.SHIFT_END_REASONS = SHIFT_END_REASONS;
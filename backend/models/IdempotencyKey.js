@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * IdempotencyKey Model - a client-supplied Idempotency-Key and the response it produced
+ *
+ * The record is created 'in_progress' when a request first arrives and completed with
+ * the response status and body, which are replayed for retries with the same key.
+ * Records expire after IDEMPOTENCY_KEY_TTL_HOURS.
+ */
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true, maxlength: 255 },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // "<METHOD> <path>" the key was first used on
+  endpoint: { type: String, required: true },
+  // Hash of method, path and body; a reused key with a different request is rejected
+  requestHash: { type: String, required: true },
+  status: { type: String, enum: ['in_progress', 'completed'], default: 'in_progress' },
+  responseStatus: { type: Number, default: null },
+  // Serialized JSON body, replayed verbatim
+  responseBody: { type: String, default: null },
+  lockedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+}, {
+  timestamps: true
+});
+
+// Keys are scoped to the user that sent them
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+module.exports = IdempotencyKey;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invoice Model - GST tax invoice issued for a paid ride
+ *
+ * Invoice numbers run consecutively within each financial year's series with no gaps:
+ * a number only exists once its invoice has been written (see InvoiceService.issueInvoice).
+ * Invoices are never edited or deleted; fares are tax-inclusive, so the tax lines split the
+ * amount charged into its taxable value and tax.
+ */
+
+const TAX_TYPES = ['CGST', 'SGST', 'IGST'];
+
+const taxLineSchema = new mongoose.Schema({
+  type: { type: String, enum: TAX_TYPES, required: true },
+  rate: { type: Number, required: true, min: 0, max: 100 },
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true, unique: true },
+  riderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Financial year (April-March, IST) the number belongs to, e.g. '2627'
+  series: { type: String, required: true },
+  sequence: { type: Number, required: true, min: 1 },
+  invoiceNumber: { type: String, required: true },
+  issuedAt: { type: Date, required: true },
+  supplier: {
+    name: { type: String, required: true },
+    gstin: { type: String, default: null },
+    address: { type: String, default: null },
+    stateCode: { type: String, required: true }
+  },
+  customer: {
+    name: { type: String, default: null },
+    phone: { type: String, default: null }
+  },
+  placeOfSupply: {
+    code: { type: String, required: true },
+    name: { type: String, required: true }
+  },
+  sacCode: { type: String, required: true },
+  trip: {
+    pickup: { type: String, default: null },
+    stops: { type: [String], default: [] },
+    destination: { type: String, default: null },
+    serviceLevel: { type: String, required: true },
+    distance: { type: Number, default: null },
+    completedAt: { type: Date, default: null }
+  },
+  fare: {
+    baseFare: { type: Number, default: 0 },
+    distanceFare: { type: Number, default: 0 },
+    timeFare: { type: Number, default: 0 },
+    surgeFare: { type: Number, default: 0 },
+    stopFare: { type: Number, default: 0 },
+    waitingFare: { type: Number, default: 0 },
+    discount: { type: Number, default: 0, min: 0 },
+    // Amount charged for the ride, tax included (tips are not invoiced)
+    total: { type: Number, required: true, min: 0 }
+  },
+  taxRate: { type: Number, required: true, min: 0, max: 100 },
+  taxableValue: { type: Number, required: true, min: 0 },
+  taxes: { type: [taxLineSchema], default: [] },
+  totalTax: { type: Number, required: true, min: 0 }
+}, {
+  timestamps: true
+});
+
+// Consecutive numbering: one invoice per number in each series
+invoiceSchema.index({ series: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ riderId: 1, issuedAt: -1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+module.exports = Invoice;
+module.exports.TAX_TYPES = TAX_TYPES;
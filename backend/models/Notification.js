@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Notification Model - delivery log of a message sent to one recipient on one channel
+ *
+ * Written before the first delivery attempt, so failed deliveries can be retried (see
+ * NotificationService). The recipient address is stored encrypted like other PII, and the
+ * content of sensitive messages (OTPs, reset links) is redacted once delivery has ended.
+ */
+
+const NOTIFICATION_CHANNELS = ['sms', 'email', 'push'];
+const NOTIFICATION_LOCALES = ['en', 'hi'];
+const NOTIFICATION_EVENTS = [
+  'OTP',
+  'PASSWORD_RESET',
+  'RIDE_ACCEPTED',
+  'DRIVER_ARRIVED',
+  'RIDE_RECEIPT',
+  'ONBOARDING_APPROVED',
+  'ONBOARDING_REJECTED',
+  'DOCUMENT_EXPIRING',
+  'DOCUMENT_EXPIRED',
+  'DRIVER_BREAK_REQUIRED'
+];
+const NOTIFICATION_STATUSES = ['pending', 'sent', 'failed'];
+
+const notificationSchema = new mongoose.Schema({
+  // Null for messages to an address without an account yet (registration OTPs)
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  event: { type: String, enum: NOTIFICATION_EVENTS, required: true },
+  channel: { type: String, enum: NOTIFICATION_CHANNELS, required: true },
+  locale: { type: String, enum: NOTIFICATION_LOCALES, default: 'en' },
+  // Phone number, email address or push subscription (JSON), encrypted when ENCRYPTION_KEY is set
+  recipient: { type: String, required: true, select: false },
+  content: {
+    subject: { type: String, default: null },
+    body: { type: String, required: true },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
+  sensitive: { type: Boolean, default: false },
+  // pending: waiting for its first or next attempt; sent; failed: gave up after maxAttempts
+  status: { type: String, enum: NOTIFICATION_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0, min: 0 },
+  maxAttempts: { type: Number, required: true, min: 1 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: { type: String, default: null },
+  transport: { type: String, default: null },
+  messageId: { type: String, default: null },
+  sentAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+module.exports = Notification;
+module.exports.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+module.exports.NOTIFICATION_LOCALES = NOTIFICATION_LOCALES;
+module.exports.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+module.exports.NOTIFICATION_STATUSES = NOTIFICATION_STATUSES;
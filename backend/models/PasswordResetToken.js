@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+/**
+ * PasswordResetToken Model - single-use password reset token
+ *
+ * Only the SHA-256 hash of the token is stored; the token itself is sent to the user once.
+ * A token is spent by setting usedAt, and issuing a new token spends the user's earlier
+ * ones (see PasswordResetService). Records are removed after they expire.
+ */
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  // Where the reset was requested from, for the security log
+  requestedIp: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+passwordResetTokenSchema.index({ tokenHash: 1 }, { unique: true });
+passwordResetTokenSchema.index({ userId: 1, usedAt: 1 });
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+module.exports = PasswordResetToken;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * Payout Model - weekly payout statement for a driver
+ *
+ * Settles every earnings entry not yet on a statement. A statement whose net is negative
+ * (cash collected exceeded earnings) is 'carried_forward' and deducted from the next one.
+ */
+
+const PAYOUT_STATUSES = ['pending', 'paid', 'carried_forward'];
+
+const payoutSchema = new mongoose.Schema({
+  driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  rideCount: { type: Number, default: 0, min: 0 },
+  grossFares: { type: Number, default: 0, min: 0 },
+  commission: { type: Number, default: 0, min: 0 },
+  earnings: { type: Number, default: 0, min: 0 },
+  // Tips included in earnings
+  tips: { type: Number, default: 0, min: 0 },
+  cashCollected: { type: Number, default: 0, min: 0 },
+  // Negative balance carried over from the previous statement
+  carriedForward: { type: Number, default: 0, max: 0 },
+  netPayable: { type: Number, default: 0 },
+  status: { type: String, enum: PAYOUT_STATUSES, default: 'pending' },
+  paidAt: { type: Date, default: null },
+  // Bank transfer reference entered when the payout is marked paid
+  reference: { type: String, trim: true, maxlength: 100, default: null }
+}, {
+  timestamps: true
+});
+
+// One statement per driver per week
+payoutSchema.index({ driverId: 1, periodStart: -1 }, { unique: true });
+payoutSchema.index({ status: 1, periodStart: -1 });
+
+const Payout = mongoose.model('Payout', payoutSchema);
+module.exports = Payout;
+module.exports.PAYOUT_STATUSES = PAYOUT_STATUSES;
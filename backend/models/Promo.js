@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promo Model - discount codes, optionally grouped into marketing campaigns
+ */
+
+const cityRestrictionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  center: {
+    type: [Number], // [longitude, latitude]
+    required: true,
+    validate: {
+      validator: function (coords) {
+        return coords.length === 2 &&
+          coords[0] >= -180 && coords[0] <= 180 &&
+          coords[1] >= -90 && coords[1] <= 90;
+      },
+      message: 'Invalid coordinates format'
+    }
+  },
+  radiusKm: { type: Number, required: true, min: 0.1, max: 200 }
+}, { _id: false });
+
+const promoSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,20}$/, 'Promo code must be 3-20 letters, digits, dashes or underscores']
+  },
+  campaign: { type: String, trim: true, maxlength: 100, default: null },
+  description: { type: String, trim: true, maxlength: 300, default: null },
+  discountType: { type: String, enum: ['percentage', 'flat'], required: true },
+  discountValue: { type: Number, required: true, min: 0 },
+  // Upper bound on the discount of a percentage promo
+  maxDiscount: { type: Number, min: 0, default: null },
+  minFare: { type: Number, min: 0, default: 0 },
+  firstRideOnly: { type: Boolean, default: false },
+  // null means unlimited
+  usageLimit: { type: Number, min: 1, default: null },
+  perUserLimit: { type: Number, min: 1, default: 1 },
+  usedCount: { type: Number, min: 0, default: 0 },
+  validFrom: { type: Date, required: true, default: Date.now },
+  validUntil: { type: Date, default: null },
+  // Empty means valid everywhere; otherwise the pickup must fall inside one of the cities
+  cities: { type: [cityRestrictionSchema], default: [] },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, {
+  timestamps: true
+});
+
+promoSchema.index({ campaign: 1 });
+promoSchema.index({ isActive: 1, validUntil: 1 });
+
+const Promo = mongoose.model('Promo', promoSchema);
+module.exports = Promo;
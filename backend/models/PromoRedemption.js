@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * PromoRedemption Model - one promo use by one rider on one ride
+ *
+ * A redemption is 'reserved' when the ride is booked, 'redeemed' when it completes and
+ * 'released' (freeing the usage slot) when it is cancelled.
+ *
+ * Active redemptions hold one of the rider's numbered slots for the promo (1..perUserLimit);
+ * the unique slot index is what enforces the per-rider limit under concurrent bookings.
+ * Releasing a redemption clears its slot.
+ */
+
+const promoRedemptionSchema = new mongoose.Schema({
+  promoId: { type: mongoose.Schema.Types.ObjectId, ref: 'Promo', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true, unique: true },
+  code: { type: String, required: true },
+  discount: { type: Number, required: true, min: 0 },
+  status: { type: String, enum: ['reserved', 'redeemed', 'released'], default: 'reserved' },
+  slot: { type: Number, min: 1, default: null }
+}, {
+  timestamps: true
+});
+
+promoRedemptionSchema.index({ promoId: 1, userId: 1, status: 1 });
+// A rider's slot for a promo can only be held by one active redemption
+promoRedemptionSchema.index(
+  { promoId: 1, userId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $type: 'number' } } }
+);
+
+const PromoRedemption = mongoose.model('PromoRedemption', promoRedemptionSchema);
+module.exports = PromoRedemption;
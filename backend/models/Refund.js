@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * Refund Model - audit record of money returned to a rider for a ride
+ *
+ * Card payments are refunded to the card; wallet and cash payments are credited to
+ * the rider's wallet.
+ */
+
+const refundSchema = new mongoose.Schema({
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true },
+  riderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  disputeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Dispute', default: null },
+  amount: { type: Number, required: true, min: 0.01 },
+  type: { type: String, enum: ['full', 'partial'], required: true },
+  destination: { type: String, enum: ['original_method', 'wallet'], required: true },
+  paymentMethod: { type: String, required: true },
+  reason: { type: String, required: true, trim: true, maxlength: 500 },
+  transactionId: { type: String, required: true },
+  issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ rideId: 1, createdAt: 1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+module.exports = Refund;
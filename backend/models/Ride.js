@@ -34,6 +34,38 @@ const locationSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Intermediate stop between pickup and destination; stops are visited in order
+const MAX_STOPS = 3;
+const stopSchema = locationSchema.clone();
+stopSchema.add({
+  addedAt: { type: Date, default: Date.now },
+  // Set when the driver reaches the stop
+  reachedAt: { type: Date, default: null }
+});
+
+// Fare quote sub-schema
+const quoteSchema = new mongoose.Schema({
+  quoteId: { type: String, required: true },
+  amount: { type: Number, required: true, min: 0 },
+  serviceLevel: { type: String, enum: ['economy', 'comfort', 'premium'], required: true },
+  surgeMultiplier: { type: Number, default: 1.0, min: 1 },
+  issuedAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true },
+  // Set when the ride completes, or to 'repriced' once a stop is added after booking
+  outcome: { type: String, enum: ['honoured', 'repriced', null], default: null },
+  meteredFare: { type: Number, default: null }
+}, { _id: false });
+
+// Applied promo sub-schema (terms copied at booking so later edits don't change the ride)
+const promoSnapshotSchema = new mongoose.Schema({
+  promoId: { type: mongoose.Schema.Types.ObjectId, ref: 'Promo', required: true },
+  code: { type: String, required: true },
+  campaign: { type: String, default: null },
+  discountType: { type: String, enum: ['percentage', 'flat'], required: true },
+  discountValue: { type: Number, required: true, min: 0 },
+  maxDiscount: { type: Number, default: null }
+}, { _id: false });
+
 // Fare breakdown sub-schema
 const fareSchema = new mongoose.Schema({
   estimated: {
@@ -50,8 +82,19 @@ const fareSchema = new mongoose.Schema({
     baseFare: { type: Number, required: true, min: 0 },
     distanceFare: { type: Number, required: true, min: 0 },
     timeFare: { type: Number, required: true, min: 0 },
-    surgeFare: { type: Number, default: 0, min: 0 }
-  }
+    surgeFare: { type: Number, default: 0, min: 0 },
+    stopFare: { type: Number, default: 0, min: 0 },
+    // Charged for waiting at pickup beyond the free window (see FareService.WAITING_POLICY)
+    waitingFare: { type: Number, default: 0, min: 0 },
+    discount: { type: Number, default: 0, min: 0 }
+  },
+  // Surge applied at booking and carried into the final fare
+  surgeMultiplier: { type: Number, default: 1.0, min: 1 },
+  surgeCellId: { type: String, default: null },
+  // Fare quote the ride was booked against; the final fare honours it within tolerance
+  quote: { type: quoteSchema, default: null },
+  // Promo applied at booking; the discount is recalculated on the final fare
+  promo: { type: promoSnapshotSchema, default: null }
 }, { _id: false });
 
 // Timeline sub-schema
@@ -59,16 +102,38 @@ const timelineSchema = new mongoose.Schema({
   requestedAt: { type: Date, required: true, default: Date.now },
   matchedAt: { type: Date, default: null },
   acceptedAt: { type: Date, default: null },
+  // Driver reported arriving at pickup; waiting time runs from here until startedAt
+  arrivedAt: { type: Date, default: null },
   startedAt: { type: Date, default: null },
   completedAt: { type: Date, default: null },
   cancelledAt: { type: Date, default: null }
 }, { _id: false });
 
+// Card pre-authorization placed at booking (at dispatch for scheduled rides), captured at
+// completion or released on cancellation
+const paymentHoldSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['authorized', 'captured', 'released', 'failed'],
+    required: true
+  },
+  amount: { type: Number, required: true, min: 0 },
+  provider: { type: String, required: true },
+  authorizationId: { type: String, required: true },
+  authorizedAt: { type: Date, required: true },
+  capturedAmount: { type: Number, min: 0, default: null },
+  capturedAt: { type: Date, default: null },
+  releasedAt: { type: Date, default: null },
+  // Why the hold was released or failed (e.g. RIDE_CANCELLED, FARE_EXCEEDS_HOLD)
+  reason: { type: String, default: null }
+}, { _id: false });
+
 // Payment sub-schema
 const paymentSchema = new mongoose.Schema({
   method: {
     type: String,
-    enum: ['cash', 'card', 'wallet', 'mock'],
+    // 'split' when co-riders share the fare; each share then records its own method
+    enum: ['cash', 'card', 'wallet', 'mock', 'split'],
     default: 'mock'
   },
   status: {
@@ -76,8 +141,115 @@ const paymentSchema = new mongoose.Schema({
     enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
     default: 'pending'
   },
+  // Card payment provider that holds the transaction (see PaymentGatewayService)
+  provider: { type: String, default: null },
   transactionId: { type: String, default: null },
-  processedAt: { type: Date, default: null }
+  processedAt: { type: Date, default: null },
+  // Set while a payment attempt holds the 'processing' claim
+  processingStartedAt: { type: Date, default: null },
+  // Total refunded so far; status becomes 'refunded' once the whole charge is returned
+  refundedAmount: { type: Number, min: 0, default: 0 },
+  hold: { type: paymentHoldSchema, default: null },
+  // Card of a scheduled card booking, kept until the hold is placed at dispatch (encrypted
+  // JSON without the CVV; see PaymentHoldService.saveCard)
+  card: { type: String, default: null, select: false }
+}, { _id: false });
+
+// One participant's part of a split fare; the booking rider always holds the first share
+const fareShareSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Phone the co-rider was invited with, masked to its last four digits (null for the booking rider)
+  maskedPhone: { type: String, default: null },
+  status: {
+    type: String,
+    enum: ['invited', 'accepted', 'declined', 'expired'],
+    default: 'invited'
+  },
+  respondedAt: { type: Date, default: null },
+  // Requested percentage of the fare (custom splits only)
+  percentage: { type: Number, min: 0, max: 100, default: null },
+  // Amount owed, set from the final fare when the ride completes
+  amount: { type: Number, min: 0, default: null },
+  payment: {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed'],
+      default: 'pending'
+    },
+    method: { type: String, enum: ['cash', 'wallet', 'mock', null], default: null },
+    provider: { type: String, default: null },
+    transactionId: { type: String, default: null },
+    processedAt: { type: Date, default: null },
+    processingStartedAt: { type: Date, default: null }
+  }
+}, { _id: false });
+
+// Fare split between the booking rider and invited co-riders
+const fareSplitSchema = new mongoose.Schema({
+  mode: { type: String, enum: ['even', 'custom'], required: true },
+  shares: { type: [fareShareSchema], default: [] }
+}, { _id: false });
+
+// Tip added by the rider after the ride; kept apart from the fare so no commission is taken
+const tipSchema = new mongoose.Schema({
+  amount: { type: Number, required: true, min: 0.01 },
+  method: { type: String, enum: ['cash', 'card', 'wallet', 'mock'], required: true },
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed'],
+    default: 'processing'
+  },
+  provider: { type: String, default: null },
+  transactionId: { type: String, default: null },
+  paidAt: { type: Date, default: null },
+  processingStartedAt: { type: Date, default: null }
+}, { _id: false });
+
+// How a cancellation fee was collected; 'owed' fees are still due from the rider
+const cancellationFeePaymentSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['owed', 'processing', 'completed'],
+    default: 'owed'
+  },
+  method: { type: String, enum: ['cash', 'card', 'wallet', 'mock', 'split'], required: true },
+  provider: { type: String, default: null },
+  transactionId: { type: String, default: null },
+  // Why an owed fee could not be collected
+  reason: { type: String, default: null },
+  paidAt: { type: Date, default: null }
+}, { _id: false });
+
+// Cancellation sub-schema
+const cancellationSchema = new mongoose.Schema({
+  cancelledBy: { type: String, enum: ['rider', 'driver', 'admin', 'system'], required: true },
+  cancelledByUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  fee: { type: Number, min: 0, default: 0 },
+  feeReason: { type: String, default: null },
+  feePayment: { type: cancellationFeePaymentSchema, default: null }
+}, { _id: false });
+
+// Vehicle the driver accepted the ride in (vehicleId is null for a driver's profile vehicle),
+// copied so receipts keep showing it after the driver switches vehicles
+const vehicleSnapshotSchema = new mongoose.Schema({
+  vehicleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle', default: null },
+  make: { type: String, default: null },
+  model: { type: String, default: null },
+  plateNumber: { type: String, default: null },
+  color: { type: String, default: null },
+  year: { type: Number, default: null },
+  vehicleClass: { type: String, enum: ['economy', 'comfort', 'premium'], default: 'economy' }
+}, { _id: false });
+
+// Dispatch offer sub-schema (one per driver offered the ride, in order)
+const offerSchema = new mongoose.Schema({
+  driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  offeredAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, default: null },
+  respondedAt: { type: Date, default: null },
+  status: { type: String, enum: ['pending', 'accepted', 'declined', 'expired', 'cancelled'], default: 'pending' },
+  distance: { type: Number, default: null },
+  estimatedArrival: { type: Number, default: null }
 }, { _id: false });
 
 // Rating sub-schema
@@ -104,26 +276,62 @@ const rideSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['requested', 'matched', 'accepted', 'in_progress', 'completed', 'cancelled'],
+    enum: ['scheduled', 'requested', 'matched', 'accepted', 'arrived', 'in_progress', 'completed', 'cancelled'],
     required: true,
     default: 'requested',
     index: true
   },
+  // Future pickup time for scheduled rides (null for immediate bookings)
+  scheduledFor: { type: Date, default: null },
   pickup: { type: locationSchema, required: true },
   destination: { type: locationSchema, required: true },
+  stops: {
+    type: [stopSchema],
+    default: [],
+    validate: {
+      validator: stops => stops.length <= MAX_STOPS,
+      message: `A ride can have at most ${MAX_STOPS} stops`
+    }
+  },
   estimatedDistance: { type: Number, required: true, min: 0 },
   actualDistance: { type: Number, min: 0, default: null },
   estimatedDuration: { type: Number, required: true, min: 0 },
   actualDuration: { type: Number, min: 0, default: null },
+  serviceLevel: {
+    type: String,
+    enum: ['economy', 'comfort', 'premium'],
+    default: 'economy'
+  },
   fare: { type: fareSchema, required: true },
   timeline: { type: timelineSchema, required: true, default: () => ({}) },
   payment: { type: paymentSchema, required: true, default: () => ({}) },
+  fareSplit: { type: fareSplitSchema, default: null },
+  tip: { type: tipSchema, default: null },
   rating: { type: ratingSchema, default: () => ({}) },
   cancellationReason: { type: String, maxlength: 200, default: null },
+  cancellation: { type: cancellationSchema, default: null },
+  offers: { type: [offerSchema], default: [] },
+  vehicle: { type: vehicleSnapshotSchema, default: null },
+  // Matching diagnostics; the full history lives in RideEvent
+  metadata: {
+    noDriversAvailable: { type: Boolean, default: false },
+    matchingError: { type: String, default: null },
+    // Where actualDistance came from when the ride completed
+    distanceSource: { type: String, enum: ['gps_trace', 'estimate', null], default: null }
+  },
   specialInstructions: { type: String, maxlength: 300, default: null }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: function (doc, ret) {
+      // A saved card never leaves the server
+      if (ret.payment) {
+        delete ret.payment.card;
+      }
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -131,14 +339,18 @@ const rideSchema = new mongoose.Schema({
 rideSchema.index({ riderId: 1, createdAt: -1 });
 rideSchema.index({ driverId: 1, createdAt: -1 });
 rideSchema.index({ status: 1, createdAt: -1 });
+rideSchema.index({ status: 1, scheduledFor: 1 });
+rideSchema.index({ 'fareSplit.shares.userId': 1, createdAt: -1 });
 rideSchema.index({ 'pickup.coordinates': '2dsphere' });
 rideSchema.index({ 'destination.coordinates': '2dsphere' });
 
 // Status workflow validation
 const statusTransitions = {
-  'requested': ['matched', 'cancelled'],
-  'matched': ['accepted', 'cancelled'],
-  'accepted': ['in_progress', 'cancelled'],
+  'scheduled': ['requested', 'cancelled'],
+  'requested': ['matched', 'accepted', 'cancelled'],
+  'matched': ['accepted', 'requested', 'cancelled'],
+  'accepted': ['arrived', 'in_progress', 'cancelled'],
+  'arrived': ['in_progress', 'cancelled'],
   'in_progress': ['completed', 'cancelled'],
   'completed': [],
   'cancelled': []
@@ -151,6 +363,7 @@ rideSchema.pre('save', function (next) {
     switch (this.status) {
       case 'matched': this.timeline.matchedAt = now; break;
       case 'accepted': this.timeline.acceptedAt = now; break;
+      case 'arrived': this.timeline.arrivedAt = now; break;
       case 'in_progress': this.timeline.startedAt = now; break;
       case 'completed': this.timeline.completedAt = now; break;
       case 'cancelled': this.timeline.cancelledAt = now; break;
@@ -173,4 +386,5 @@ rideSchema.methods.updateStatus = function (newStatus, reason = null) {
 };
 
 const Ride = mongoose.model('Ride', rideSchema);
-module.exports = Ride;
\ No newline at end of file
+module.exports = Ride;
+module.exports.MAX_STOPS = MAX_STOPS;
\ No newline at end of file
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * RideEvent Model - append-only audit log of everything that happens to a ride
+ */
+
+const RIDE_EVENT_TYPES = [
+  'RIDE_REQUESTED',
+  'RIDE_SCHEDULED',
+  'RIDE_UPDATED',
+  'RIDE_DISPATCHED',
+  'OFFER_SENT',
+  'OFFER_ACCEPTED',
+  'OFFER_DECLINED',
+  'OFFER_EXPIRED',
+  'NO_DRIVERS_AVAILABLE',
+  'MATCHING_ERROR',
+  'STATUS_CHANGED',
+  'RIDE_CANCELLED',
+  'RIDE_COMPLETED',
+  'DRIVER_NEAR_PICKUP',
+  'DRIVER_NEAR_DESTINATION',
+  'STOP_ADDED',
+  'STOP_REACHED',
+  'PAYMENT_AUTHORIZED',
+  'PAYMENT_HOLD_RELEASED',
+  'FARE_SPLIT_UPDATED',
+  'FARE_SPLIT_RESPONDED',
+  'FARE_SHARE_PAID',
+  'PAYMENT_COMPLETED',
+  'PAYMENT_FAILED',
+  'PAYMENT_REFUNDED',
+  'DISPUTE_OPENED',
+  'DISPUTE_RESOLVED',
+  'RATING_SUBMITTED',
+  'TIP_ADDED'
+];
+
+const actorSchema = new mongoose.Schema({
+  role: { type: String, enum: ['rider', 'driver', 'admin', 'system'], required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { _id: false });
+
+const rideEventSchema = new mongoose.Schema({
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  type: { type: String, enum: RIDE_EVENT_TYPES, required: true },
+  actor: { type: actorSchema, required: true, default: () => ({ role: 'system' }) },
+  message: { type: String, maxlength: 300, default: null },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+rideEventSchema.index({ rideId: 1, createdAt: 1 });
+rideEventSchema.index({ rideId: 1, type: 1 });
+
+// Events are append-only: existing entries can never be modified
+rideEventSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Ride events are append-only'));
+  }
+  next();
+});
+
+rideEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+  next(new Error('Ride events are append-only'));
+});
+
+const RideEvent = mongoose.model('RideEvent', rideEventSchema);
+
+module.exports = RideEvent;
+module.exports.RIDE_EVENT_TYPES = RIDE_EVENT_TYPES;
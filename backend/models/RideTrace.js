@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * RideTrace Model - GPS breadcrumb trail recorded from the driver's live location updates
+ */
+
+const tracePointSchema = new mongoose.Schema({
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true,
+    validate: {
+      validator: function (coords) {
+        return coords.length === 2 &&
+          coords[0] >= -180 && coords[0] <= 180 &&
+          coords[1] >= -90 && coords[1] <= 90;
+      },
+      message: 'Invalid coordinates format'
+    }
+  },
+  recordedAt: { type: Date, default: Date.now },
+  // 'pickup' while driving to the rider, 'trip' once the ride is in progress
+  phase: { type: String, enum: ['pickup', 'trip'], required: true },
+  speed: { type: Number, default: null },
+  heading: { type: Number, default: null },
+  accuracy: { type: Number, default: null }
+}, { _id: false });
+
+const rideTraceSchema = new mongoose.Schema({
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true,
+    unique: true
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  points: { type: [tracePointSchema], default: [] }
+}, {
+  timestamps: true
+});
+
+const RideTrace = mongoose.model('RideTrace', rideTraceSchema);
+module.exports = RideTrace;
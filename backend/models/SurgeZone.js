@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * SurgeZone Model - current surge multiplier and demand history for one geo cell
+ */
+
+const demandSnapshotSchema = new mongoose.Schema({
+  multiplier: { type: Number, required: true, min: 1 },
+  pendingRequests: { type: Number, default: 0, min: 0 },
+  availableDrivers: { type: Number, default: 0, min: 0 },
+  computedAt: { type: Date, required: true }
+}, { _id: false });
+
+const surgeZoneSchema = new mongoose.Schema({
+  cellId: { type: String, required: true, unique: true },
+  center: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true } // [longitude, latitude]
+  },
+  bounds: {
+    south: { type: Number, required: true },
+    west: { type: Number, required: true },
+    north: { type: Number, required: true },
+    east: { type: Number, required: true }
+  },
+  multiplier: { type: Number, required: true, min: 1, default: 1.0 },
+  pendingRequests: { type: Number, default: 0, min: 0 },
+  availableDrivers: { type: Number, default: 0, min: 0 },
+  computedAt: { type: Date, required: true },
+  // Most recent snapshots, oldest first (capped by SurgeService.HISTORY_LIMIT)
+  history: { type: [demandSnapshotSchema], default: [] }
+}, {
+  timestamps: true
+});
+
+surgeZoneSchema.index({ computedAt: -1, multiplier: -1 });
+
+const SurgeZone = mongoose.model('SurgeZone', surgeZoneSchema);
+module.exports = SurgeZone;
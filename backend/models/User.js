@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { NOTIFICATION_LOCALES } = require('./Notification');
 
 /**
  * User Model with encrypted PII fields and role-based schema validation
@@ -38,9 +39,81 @@ const vehicleSchema = new mongoose.Schema({
     type: Number,
     min: 1990,
     max: new Date().getFullYear() + 1
+  },
+  // Highest service level this vehicle can be dispatched for
+  vehicleClass: {
+    type: String,
+    enum: ['economy', 'comfort', 'premium'],
+    default: 'economy'
   }
 }, { _id: false });
 
+// Vehicle (from the Vehicle collection) the driver selected for their shift; dispatch uses it
+// instead of vehicleDetails while set
+const activeVehicleSchema = new mongoose.Schema({
+  vehicleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle', required: true },
+  make: { type: String, required: true },
+  model: { type: String, required: true },
+  plateNumber: { type: String, required: true },
+  color: { type: String, required: true },
+  year: { type: Number, default: null },
+  vehicleClass: { type: String, enum: ['economy', 'comfort', 'premium'], default: 'economy' },
+  selectedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Shift the driver is on (see ShiftService); null while off shift
+const currentShiftSchema = new mongoose.Schema({
+  shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'DriverShift', required: true },
+  startedAt: { type: Date, required: true },
+  // Start of the continuous driving the break limit counts from
+  continuousSince: { type: Date, required: true },
+  // The driver ended the shift during a ride; it ends when the ride finishes
+  endRequestedAt: { type: Date, default: null }
+}, { _id: false });
+
+// Web push subscription registered by a browser (PushSubscription.toJSON())
+const pushSubscriptionSchema = new mongoose.Schema({
+  endpoint: { type: String, required: true },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Notification language and channels the user receives optional notifications on
+// (OTPs and password resets are always sent)
+const notificationPreferencesSchema = new mongoose.Schema({
+  locale: { type: String, enum: NOTIFICATION_LOCALES, default: 'en' },
+  channels: {
+    sms: { type: Boolean, default: true },
+    email: { type: Boolean, default: true },
+    push: { type: Boolean, default: true }
+  },
+  pushSubscriptions: { type: [pushSubscriptionSchema], default: [] }
+}, { _id: false });
+
+// Driver onboarding: applied -> documents_submitted -> under_review -> approved | rejected
+// (see DriverOnboardingService for the allowed transitions). Only approved drivers can go available.
+const DRIVER_ONBOARDING_STATUSES = ['applied', 'documents_submitted', 'under_review', 'approved', 'rejected'];
+
+const onboardingTransitionSchema = new mongoose.Schema({
+  from: { type: String, enum: DRIVER_ONBOARDING_STATUSES, required: true },
+  to: { type: String, enum: DRIVER_ONBOARDING_STATUSES, required: true },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reason: { type: String, maxlength: 500, default: null },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const onboardingSchema = new mongoose.Schema({
+  status: { type: String, enum: DRIVER_ONBOARDING_STATUSES, default: 'applied' },
+  submittedAt: { type: Date, default: null },
+  reviewedAt: { type: Date, default: null },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  rejectionReason: { type: String, maxlength: 500, default: null },
+  history: { type: [onboardingTransitionSchema], default: [] }
+}, { _id: false });
+
 // Driver-specific information sub-schema
 const driverInfoSchema = new mongoose.Schema({
   licenseNumber: {
@@ -53,9 +126,22 @@ const driverInfoSchema = new mongoose.Schema({
     type: vehicleSchema,
     required: function () { return this.parent().role === 'driver'; }
   },
+  activeVehicle: {
+    type: activeVehicleSchema,
+    default: null
+  },
+  // New drivers stay offline until their onboarding is approved
   isAvailable: {
     type: Boolean,
-    default: true
+    default: false
+  },
+  onboarding: {
+    type: onboardingSchema,
+    default: () => ({})
+  },
+  shift: {
+    type: currentShiftSchema,
+    default: null
   },
   currentLocation: {
     type: {
@@ -176,6 +262,11 @@ const userSchema = new mongoose.Schema({
     required: function () { return this.role === 'driver'; }
   },
 
+  notificationPreferences: {
+    type: notificationPreferencesSchema,
+    default: () => ({})
+  },
+
   // Account status
   isActive: {
     type: Boolean,
@@ -244,6 +335,7 @@ userSchema.index({ email_hash: 1 }, { unique: true, sparse: true });
 userSchema.index({ role: 1 });
 userSchema.index({ 'driverInfo.currentLocation': '2dsphere' }); // Geospatial index
 userSchema.index({ 'driverInfo.isAvailable': 1, role: 1 });
+userSchema.index({ 'driverInfo.shift.continuousSince': 1 }, { sparse: true });
 userSchema.index({ isActive: 1 });
 userSchema.index({ createdAt: -1 });
 
@@ -455,4 +547,5 @@ userSchema.post('init', function (doc) {
 
 const User = mongoose.model('User', userSchema);
 
-module.exports = User;
\ No newline at end of file
+module.exports = User;
+module.exports.DRIVER_ONBOARDING_STATUSES = DRIVER_ONBOARDING_STATUSES;
\ No newline at end of file
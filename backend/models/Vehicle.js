@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Vehicle Model - a car a driver owns or a fleet operator puts on the road
+ *
+ * `drivers` lists who may drive the vehicle (a driver-owned vehicle starts with its owner;
+ * admins assign fleet drivers). A driver selects one as their active vehicle and claims it
+ * when they go online (`currentDriverId`), so a shared car is driven by one driver at a time.
+ * Retired vehicles are kept for the rides that reference them.
+ */
+
+const VEHICLE_OWNER_TYPES = ['driver', 'fleet'];
+const VEHICLE_STATUSES = ['active', 'retired'];
+
+const vehicleSchema = new mongoose.Schema({
+  ownerType: { type: String, enum: VEHICLE_OWNER_TYPES, required: true },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function () {
+      return this.ownerType === 'driver';
+    },
+    default: null
+  },
+  fleetName: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    required: function () {
+      return this.ownerType === 'fleet';
+    },
+    default: null
+  },
+  drivers: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    default: []
+  },
+  make: { type: String, required: true, trim: true, maxlength: 50 },
+  model: { type: String, required: true, trim: true, maxlength: 50 },
+  plateNumber: { type: String, required: true, trim: true, uppercase: true, maxlength: 20 },
+  color: { type: String, required: true, trim: true, maxlength: 30 },
+  year: { type: Number, min: 1990, max: new Date().getFullYear() + 1, default: null },
+  // Highest service level this vehicle can be dispatched for
+  vehicleClass: { type: String, enum: ['economy', 'comfort', 'premium'], default: 'economy' },
+  status: { type: String, enum: VEHICLE_STATUSES, default: 'active' },
+  // Driver currently online in this vehicle
+  currentDriverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  claimedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+vehicleSchema.index({ plateNumber: 1 }, { unique: true });
+vehicleSchema.index({ drivers: 1, status: 1 });
+vehicleSchema.index({ ownerType: 1, fleetName: 1, createdAt: -1 });
+vehicleSchema.index({ currentDriverId: 1 });
+
+const Vehicle = mongoose.model('Vehicle', vehicleSchema);
+module.exports = Vehicle;
+module.exports.VEHICLE_OWNER_TYPES = VEHICLE_OWNER_TYPES;
+module.exports.VEHICLE_STATUSES = VEHICLE_STATUSES;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * Wallet Model - a rider's stored balance
+ *
+ * The balance is held in paise so atomic $inc updates never accumulate floating-point
+ * error; `balance` exposes it in rupees. Every change is mirrored by a WalletTransaction.
+ */
+
+// Card top-up waiting for the gateway's webhook (saved before the card is charged)
+const pendingTopUpSchema = new mongoose.Schema({
+  amountPaise: { type: Number, required: true, min: 1 },
+  // Gateway transaction, set once the charge has been accepted
+  transactionId: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const walletSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  balancePaise: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Wallet balance must be a whole number of paise'
+    }
+  },
+  currency: { type: String, default: 'INR' },
+  pendingTopUps: [pendingTopUpSchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+walletSchema.virtual('balance').get(function () {
+  return this.balancePaise / 100;
+});
+
+const Wallet = mongoose.model('Wallet', walletSchema);
+module.exports = Wallet;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * WalletTransaction Model - append-only wallet ledger
+ *
+ * Each transaction is recorded double-entry style: two legs of equal amount, one debit
+ * and one credit, between the rider's wallet and a platform account.
+ * - topup:        debit card_gateway,  credit rider_wallet
+ * - ride_payment: debit rider_wallet,  credit ride_revenue
+ * - refund:       debit ride_revenue,  credit rider_wallet
+ * - tip:          debit rider_wallet,  credit ride_revenue
+ * - cancellation_fee: debit rider_wallet, credit ride_revenue
+ */
+
+const WALLET_TRANSACTION_TYPES = ['topup', 'ride_payment', 'refund', 'tip', 'cancellation_fee'];
+const LEDGER_ACCOUNTS = ['rider_wallet', 'card_gateway', 'ride_revenue'];
+
+const ledgerEntrySchema = new mongoose.Schema({
+  account: { type: String, enum: LEDGER_ACCOUNTS, required: true },
+  direction: { type: String, enum: ['debit', 'credit'], required: true },
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const walletTransactionSchema = new mongoose.Schema({
+  walletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Wallet', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: WALLET_TRANSACTION_TYPES, required: true },
+  // Effect on the rider's balance
+  direction: { type: String, enum: ['credit', 'debit'], required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  balanceAfter: { type: Number, required: true, min: 0 },
+  entries: {
+    type: [ledgerEntrySchema],
+    validate: {
+      validator: function (entries) {
+        const total = direction => entries
+          .filter(entry => entry.direction === direction)
+          .reduce((sum, entry) => sum + entry.amount, 0);
+        return entries.length >= 2 && Math.abs(total('debit') - total('credit')) < 0.005;
+      },
+      message: 'Ledger entries must balance'
+    }
+  },
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', default: null },
+  // Gateway transaction for top-ups
+  reference: { type: String, default: null },
+  description: { type: String, maxlength: 200, default: null }
+}, {
+  timestamps: true
+});
+
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+// A rider can only pay for a ride from their wallet once (co-riders of a split fare each pay).
+// Partial indexes on the same fields need their own names, or they would clash.
+walletTransactionSchema.index(
+  { rideId: 1, userId: 1, type: 1 },
+  { name: 'ride_payment_once', unique: true, partialFilterExpression: { type: 'ride_payment' } }
+);
+// ...and its cancellation fee paid once
+walletTransactionSchema.index(
+  { rideId: 1, type: 1 },
+  { name: 'cancellation_fee_once', unique: true, partialFilterExpression: { type: 'cancellation_fee' } }
+);
+// ...and tip on it once
+walletTransactionSchema.index(
+  { rideId: 1, userId: 1 },
+  { name: 'tip_once', unique: true, partialFilterExpression: { type: 'tip' } }
+);
+// A gateway top-up can only be credited once
+walletTransactionSchema.index(
+  { reference: 1, type: 1 },
+  { name: 'topup_reference_once', unique: true, partialFilterExpression: { type: 'topup', reference: { $type: 'string' } } }
+);
+
+const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
+module.exports = WalletTransaction;
+module.exports.WALLET_TRANSACTION_TYPES = WALLET_TRANSACTION_TYPES;
+module.exports.LEDGER_ACCOUNTS = LEDGER_ACCOUNTS;
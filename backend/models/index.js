@@ -5,9 +5,45 @@
 const User = require('./User');
 const Ride = require('./Ride');
 const OTP = require('./OTP');
+const RideEvent = require('./RideEvent');
+const RideTrace = require('./RideTrace');
+const SurgeZone = require('./SurgeZone');
+const Promo = require('./Promo');
+const PromoRedemption = require('./PromoRedemption');
+const Wallet = require('./Wallet');
+const WalletTransaction = require('./WalletTransaction');
+const Dispute = require('./Dispute');
+const Refund = require('./Refund');
+const DriverEarning = require('./DriverEarning');
+const Payout = require('./Payout');
+const IdempotencyKey = require('./IdempotencyKey');
+const Invoice = require('./Invoice');
+const PasswordResetToken = require('./PasswordResetToken');
+const Notification = require('./Notification');
+const DriverDocument = require('./DriverDocument');
+const Vehicle = require('./Vehicle');
+const DriverShift = require('./DriverShift');
 
 module.exports = {
   User,
   Ride,
-  OTP
+  OTP,
+  RideEvent,
+  RideTrace,
+  SurgeZone,
+  Promo,
+  PromoRedemption,
+  Wallet,
+  WalletTransaction,
+  Dispute,
+  Refund,
+  DriverEarning,
+  Payout,
+  IdempotencyKey,
+  Invoice,
+  PasswordResetToken,
+  Notification,
+  DriverDocument,
+  Vehicle,
+  DriverShift
 };
\ No newline at end of file
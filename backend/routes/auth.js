@@ -5,7 +5,9 @@ const { requireAuth } = require('../middleware/auth');
 const {
   validatePhoneRegistration,
   validateOtpVerification,
-  validateEmailLogin
+  validateEmailLogin,
+  validateForgotPassword,
+  validateResetPassword
 } = require('../middleware/validation');
 
 const {
@@ -70,15 +72,28 @@ router.post('/login-phone',
 
 /**
  * @route   POST /api/auth/forgot-password
- * @desc    Send password reset instructions for admin users
+ * @desc    Send a single-use password reset link (admins by email, riders/drivers by phone)
  * @access  Public
  * @rateLimit 5 requests per 15 minutes per IP
  */
 router.post('/forgot-password',
   strictAuthRateLimiter,
+  validateForgotPassword,
   asyncHandler(authController.forgotPassword)
 );
 
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token and sign out all sessions
+ * @access  Public
+ * @rateLimit 5 requests per 15 minutes per IP
+ */
+router.post('/reset-password',
+  strictAuthRateLimiter,
+  validateResetPassword,
+  asyncHandler(authController.resetPassword)
+);
+
 /**
  * @route   GET /api/auth/dev/otp/:phone
  * @desc    Development-only endpoint to retrieve OTP for testing
@@ -0,0 +1,98 @@
+const express = require('express');
+const EarningsController = require('../controllers/earningsController');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAuth, requireDriver, requireAdmin, requireDriverOrAdmin } = require('../middleware/auth');
+const {
+  validateEarningsEntriesQuery,
+  validateEarningsExportQuery,
+  validatePayoutListQuery,
+  validatePayoutIdParam,
+  validatePayoutMarkPaid
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/earnings
+ * @desc    Get the driver's earnings summary (open week, lifetime, unpaid statements)
+ * @access  Private (Driver only)
+ */
+router.get('/', 
+  requireAuth, 
+  requireDriver, 
+  asyncHandler(EarningsController.getSummary)
+);
+
+/**
+ * @route   GET /api/earnings/entries
+ * @desc    Get the driver's per-ride earnings entries (optional from/to range)
+ * @access  Private (Driver only)
+ */
+router.get('/entries', 
+  requireAuth, 
+  requireDriver, 
+  validateEarningsEntriesQuery, 
+  asyncHandler(EarningsController.getEntries)
+);
+
+/**
+ * @route   GET /api/earnings/export
+ * @desc    Download the driver's earnings entries as CSV
+ * @access  Private (Driver only)
+ */
+router.get('/export', 
+  requireAuth, 
+  requireDriver, 
+  validateEarningsExportQuery, 
+  asyncHandler(EarningsController.exportEntries)
+);
+
+/**
+ * @route   GET /api/earnings/payouts
+ * @desc    List weekly payout statements (drivers see their own)
+ * @access  Private (Driver or Admin)
+ */
+router.get('/payouts', 
+  requireAuth, 
+  requireDriverOrAdmin, 
+  validatePayoutListQuery, 
+  asyncHandler(EarningsController.getPayouts)
+);
+
+/**
+ * @route   POST /api/earnings/payouts/generate
+ * @desc    Issue statements for the last closed week
+ * @access  Private (Admin only)
+ */
+router.post('/payouts/generate', 
+  requireAuth, 
+  requireAdmin, 
+  asyncHandler(EarningsController.generatePayouts)
+);
+
+/**
+ * @route   GET /api/earnings/payouts/:id
+ * @desc    Get a payout statement with its earnings entries
+ * @access  Private (Driver or Admin)
+ */
+router.get('/payouts/:id', 
+  requireAuth, 
+  requireDriverOrAdmin, 
+  validatePayoutIdParam, 
+  asyncHandler(EarningsController.getPayout)
+);
+
+/**
+ * @route   PUT /api/earnings/payouts/:id/paid
+ * @desc    Mark a pending payout statement as paid
+ * @access  Private (Admin only)
+ */
+router.put('/payouts/:id/paid', 
+  requireAuth, 
+  requireAdmin, 
+  validatePayoutIdParam, 
+  validatePayoutMarkPaid, 
+  asyncHandler(EarningsController.markPayoutPaid)
+);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const NotificationController = require('../controllers/notificationController');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const {
+  validateNotificationPreferences,
+  validatePushSubscription,
+  validatePushUnsubscribe,
+  validateNotificationListQuery,
+  validateMailboxQuery
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the user's notification delivery log (filter by channel or status)
+ * @access  Private
+ */
+router.get('/', 
+  requireAuth, 
+  validateNotificationListQuery, 
+  asyncHandler(NotificationController.getNotifications)
+);
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get the user's notification language and channels
+ * @access  Private
+ */
+router.get('/preferences', 
+  requireAuth, 
+  asyncHandler(NotificationController.getPreferences)
+);
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Update the user's notification language and channels
+ * @access  Private
+ */
+router.put('/preferences', 
+  requireAuth, 
+  validateNotificationPreferences, 
+  asyncHandler(NotificationController.updatePreferences)
+);
+
+/**
+ * @route   POST /api/notifications/push-subscriptions
+ * @desc    Register a browser's web push subscription
+ * @access  Private
+ */
+router.post('/push-subscriptions', 
+  requireAuth, 
+  validatePushSubscription, 
+  asyncHandler(NotificationController.addPushSubscription)
+);
+
+/**
+ * @route   DELETE /api/notifications/push-subscriptions
+ * @desc    Remove a browser's web push subscription
+ * @access  Private
+ */
+router.delete('/push-subscriptions', 
+  requireAuth, 
+  validatePushUnsubscribe, 
+  asyncHandler(NotificationController.removePushSubscription)
+);
+
+/**
+ * @route   GET /api/notifications/dev/mailbox
+ * @desc    Read messages in the local development mailbox (not available in production)
+ * @access  Private (Admin only)
+ */
+router.get('/dev/mailbox', 
+  requireAuth, 
+  requireAdmin, 
+  validateMailboxQuery, 
+  asyncHandler(NotificationController.getMailbox)
+);
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const DriverOnboardingController = require('../controllers/driverOnboardingController');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAuth, requireDriver, requireAdmin } = require('../middleware/auth');
+const { secureFileUpload } = require('../middleware/advancedSecurity');
+const { rawFileUpload } = require('../middleware/fileUpload');
+const {
+  validateDriverDocumentTypeParam,
+  validateDriverDocumentUploadQuery,
+  validateDriverDocumentIdParam,
+  validateDriverIdParam,
+  validateOnboardingApplicationsQuery,
+  validateOnboardingReview
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/onboarding
+ * @desc    Get the driver's onboarding status and documents
+ * @access  Private (Driver only)
+ */
+router.get('/', 
+  requireAuth, 
+  requireDriver, 
+  asyncHandler(DriverOnboardingController.getMyApplication)
+);
+
+/**
+ * @route   PUT /api/onboarding/documents/:type
+ * @desc    Upload a licence, registration or insurance image (raw body; expiresAt in the query)
+ * @access  Private (Driver only)
+ */
+router.put('/documents/:type', 
+  requireAuth, 
+  requireDriver, 
+  validateDriverDocumentTypeParam, 
+  validateDriverDocumentUploadQuery, 
+  rawFileUpload, 
+  secureFileUpload, 
+  asyncHandler(DriverOnboardingController.uploadDocument)
+);
+
+/**
+ * @route   POST /api/onboarding/submit
+ * @desc    Submit the application once every document is uploaded
+ * @access  Private (Driver only)
+ */
+router.post('/submit', 
+  requireAuth, 
+  requireDriver, 
+  asyncHandler(DriverOnboardingController.submitApplication)
+);
+
+/**
+ * @route   GET /api/onboarding/documents/:documentId/file
+ * @desc    Download a document image
+ * @access  Private (Owning driver or Admin)
+ */
+router.get('/documents/:documentId/file', 
+  requireAuth, 
+  validateDriverDocumentIdParam, 
+  asyncHandler(DriverOnboardingController.getDocumentFile)
+);
+
+/**
+ * @route   PUT /api/onboarding/documents/:documentId/review
+ * @desc    Approve or reject a document
+ * @access  Private (Admin only)
+ */
+router.put('/documents/:documentId/review', 
+  requireAuth, 
+  requireAdmin, 
+  validateDriverDocumentIdParam, 
+  validateOnboardingReview, 
+  asyncHandler(DriverOnboardingController.reviewDocument)
+);
+
+/**
+ * @route   GET /api/onboarding/applications
+ * @desc    List driver applications (filter by onboarding status)
+ * @access  Private (Admin only)
+ */
+router.get('/applications', 
+  requireAuth, 
+  requireAdmin, 
+  validateOnboardingApplicationsQuery, 
+  asyncHandler(DriverOnboardingController.getApplications)
+);
+
+/**
+ * @route   GET /api/onboarding/applications/:driverId
+ * @desc    Get a driver's application and documents
+ * @access  Private (Admin only)
+ */
+router.get('/applications/:driverId', 
+  requireAuth, 
+  requireAdmin, 
+  validateDriverIdParam, 
+  asyncHandler(DriverOnboardingController.getApplication)
+);
+
+/**
+ * @route   POST /api/onboarding/applications/:driverId/start-review
+ * @desc    Move a submitted application to under review
+ * @access  Private (Admin only)
+ */
+router.post('/applications/:driverId/start-review', 
+  requireAuth, 
+  requireAdmin, 
+  validateDriverIdParam, 
+  asyncHandler(DriverOnboardingController.startReview)
+);
+
+/**
+ * @route   POST /api/onboarding/applications/:driverId/decision
+ * @desc    Approve or reject an application, or revoke an approval
+ * @access  Private (Admin only)
+ */
+router.post('/applications/:driverId/decision', 
+  requireAuth, 
+  requireAdmin, 
+  validateDriverIdParam, 
+  validateOnboardingReview, 
+  asyncHandler(DriverOnboardingController.decideApplication)
+);
+
+module.exports = router;
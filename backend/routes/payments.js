@@ -1,18 +1,34 @@
 const express = require('express');
 const PaymentController = require('../controllers/paymentController');
-const { authenticateToken } = require('../middleware/auth');
-const { validatePaymentData, validateRatingData } = require('../middleware/validation');
+const { authenticateToken, requireRider, requireAdmin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  validatePaymentData,
+  validateRatingData,
+  validateReceiptQuery,
+  validateDisputeCreate,
+  validateDisputeListQuery,
+  validateDisputeIdParam,
+  validateDisputeResolve,
+  validateRefundCreate
+} = require('../middleware/validation');
 
 const router = express.Router();
 
 /**
  * Payment Routes
- * All routes require authentication
+ * All routes except provider webhooks require authentication
  */
 
-// Process payment for completed ride
+// Payment provider webhooks (authenticated by their signature)
+router.post('/webhooks/:provider', 
+  PaymentController.handlePaymentWebhook
+);
+
+// Process payment for completed ride (supports Idempotency-Key)
 router.post('/process', 
   authenticateToken, 
+  idempotent, 
   validatePaymentData, 
   PaymentController.processPayment
 );
@@ -30,10 +46,51 @@ router.get('/history',
   PaymentController.getPaymentHistory
 );
 
-// Get receipt for specific ride
+// Get receipt for specific ride (?format=pdf downloads the tax invoice)
 router.get('/receipt/:rideId', 
   authenticateToken, 
+  validateReceiptQuery, 
   PaymentController.getReceipt
 );
 
+// Raise a dispute on a completed ride (rider only)
+router.post('/disputes', 
+  authenticateToken, 
+  requireRider, 
+  validateDisputeCreate, 
+  PaymentController.openDispute
+);
+
+// List disputes (own disputes for riders, all for admins)
+router.get('/disputes', 
+  authenticateToken, 
+  validateDisputeListQuery, 
+  PaymentController.getDisputes
+);
+
+// Get a dispute with its ride timeline and refunds
+router.get('/disputes/:id', 
+  authenticateToken, 
+  validateDisputeIdParam, 
+  PaymentController.getDispute
+);
+
+// Resolve a dispute with a refund or reject it (admin only)
+router.put('/disputes/:id/resolve', 
+  authenticateToken, 
+  requireAdmin, 
+  validateDisputeIdParam, 
+  validateDisputeResolve, 
+  PaymentController.resolveDispute
+);
+
+// Refund all or part of a ride payment (admin only, supports Idempotency-Key)
+router.post('/refund', 
+  authenticateToken, 
+  requireAdmin, 
+  idempotent, 
+  validateRefundCreate, 
+  PaymentController.refundPayment
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,88 @@
+const express = require('express');
+const PromoController = require('../controllers/promoController');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAuth, requireRider, requireAdmin } = require('../middleware/auth');
+const {
+  validatePromoCreate,
+  validatePromoUpdate,
+  validatePromoListQuery,
+  validatePromoCheck,
+  validatePromoIdParam
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/promos/check
+ * @desc    Check a promo code against a pending booking and preview the discount
+ * @access  Private (Rider only)
+ */
+router.post('/check', 
+  requireAuth, 
+  requireRider, 
+  validatePromoCheck, 
+  asyncHandler(PromoController.checkPromo)
+);
+
+/**
+ * @route   GET /api/promos
+ * @desc    List promo codes (filter by campaign or status)
+ * @access  Private (Admin only)
+ */
+router.get('/', 
+  requireAuth, 
+  requireAdmin, 
+  validatePromoListQuery, 
+  asyncHandler(PromoController.listPromos)
+);
+
+/**
+ * @route   POST /api/promos
+ * @desc    Create a promo code
+ * @access  Private (Admin only)
+ */
+router.post('/', 
+  requireAuth, 
+  requireAdmin, 
+  validatePromoCreate, 
+  asyncHandler(PromoController.createPromo)
+);
+
+/**
+ * @route   GET /api/promos/:id
+ * @desc    Get a promo code with its redemption summary
+ * @access  Private (Admin only)
+ */
+router.get('/:id', 
+  requireAuth, 
+  requireAdmin, 
+  validatePromoIdParam, 
+  asyncHandler(PromoController.getPromo)
+);
+
+/**
+ * @route   PUT /api/promos/:id
+ * @desc    Update a promo code
+ * @access  Private (Admin only)
+ */
+router.put('/:id', 
+  requireAuth, 
+  requireAdmin, 
+  validatePromoIdParam, 
+  validatePromoUpdate, 
+  asyncHandler(PromoController.updatePromo)
+);
+
+/**
+ * @route   DELETE /api/promos/:id
+ * @desc    Delete an unused promo code
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', 
+  requireAuth, 
+  requireAdmin, 
+  validatePromoIdParam, 
+  asyncHandler(PromoController.deletePromo)
+);
+
+module.exports = router;
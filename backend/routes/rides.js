@@ -1,20 +1,28 @@
 const express = require('express');
 const RideController = require('../controllers/rideController');
+const FareSplitController = require('../controllers/fareSplitController');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { 
   requireAuth, 
   requireRider, 
   requireDriver, 
   requireRiderOrDriver,
+  requireDriverOrAdmin,
   requireAdmin 
 } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const {
   validateRideBooking,
+  validateScheduledRideUpdate,
+  validateRideCancellation,
   validateFareEstimate,
   validateRideStatusUpdate,
+  validateRideStop,
   validateRideHistoryQuery,
   validatePendingRidesQuery,
-  validateMongoIdParam
+  validateMongoIdParam,
+  validateFareSplit,
+  validateFareSplitResponse
 } = require('../middleware/validation');
 
 const {
@@ -44,17 +52,55 @@ router.post('/estimate',
 
 /**
  * @route   POST /api/rides/book
- * @desc    Book a new ride
+ * @desc    Book a new ride (supports Idempotency-Key; replays do not count against the rate limit)
  * @access  Private (Rider only)
  */
 router.post('/book', 
   requireAuth, 
   requireRider, 
+  idempotent, 
   rideBookingRateLimiter,
   validateRideBooking, 
   asyncHandler(RideController.bookRide)
 );
 
+/**
+ * @route   GET /api/rides/scheduled
+ * @desc    Get the rider's upcoming scheduled rides
+ * @access  Private (Rider only)
+ */
+router.get('/scheduled', 
+  requireAuth, 
+  requireRider, 
+  asyncHandler(RideController.getScheduledRides)
+);
+
+/**
+ * @route   PUT /api/rides/scheduled/:id
+ * @desc    Edit a scheduled ride before it is dispatched
+ * @access  Private (Rider only - must own the ride)
+ */
+router.put('/scheduled/:id', 
+  requireAuth, 
+  requireRider, 
+  validateMongoIdParam, 
+  validateScheduledRideUpdate, 
+  asyncHandler(RideController.updateScheduledRide)
+);
+
+/**
+ * @route   DELETE /api/rides/scheduled/:id
+ * @desc    Cancel a scheduled ride before it is dispatched
+ * @access  Private (Rider only - must own the ride)
+ */
+router.delete('/scheduled/:id', 
+  requireAuth, 
+  requireRider, 
+  validateMongoIdParam, 
+  validateRideCancellation, 
+  asyncHandler(RideController.cancelScheduledRide)
+);
+
 /**
  * @route   GET /api/rides/history
  * @desc    Get ride history with filtering and pagination
@@ -99,10 +145,32 @@ router.get('/drivers/available',
   asyncHandler(RideController.getAvailableDriversCount)
 );
 
+/**
+ * @route   GET /api/rides/surge/heatmap
+ * @desc    Get current surge multipliers per geo cell (optional south/west/north/east bounds)
+ * @access  Private (Driver, Admin)
+ */
+router.get('/surge/heatmap', 
+  requireAuth, 
+  requireDriverOrAdmin, 
+  asyncHandler(RideController.getSurgeHeatmap)
+);
+
+/**
+ * @route   GET /api/rides/split/invitations
+ * @desc    Get rides the rider has been invited to split the fare of
+ * @access  Private (Rider only)
+ */
+router.get('/split/invitations', 
+  requireAuth, 
+  requireRider, 
+  asyncHandler(FareSplitController.getFareSplitInvitations)
+);
+
 /**
  * @route   GET /api/rides/:id
  * @desc    Get single ride details
- * @access  Private (Rider, Driver, Admin - must be associated with the ride)
+ * @access  Private (Rider, Driver, Admin - must be associated with the ride; includes co-riders)
  */
 router.get('/:id', 
   requireAuth, 
@@ -110,6 +178,79 @@ router.get('/:id',
   asyncHandler(RideController.getRideDetails)
 );
 
+/**
+ * @route   GET /api/rides/:id/events
+ * @desc    Get the ride's event timeline (status changes, offers, milestones, payments)
+ * @access  Private (Ride participants and admins)
+ */
+router.get('/:id/events', 
+  requireAuth, 
+  validateMongoIdParam, 
+  asyncHandler(RideController.getRideEvents)
+);
+
+/**
+ * @route   GET /api/rides/:id/route
+ * @desc    Get the recorded GPS trace of a ride for trip replay
+ * @access  Private (Ride participants and admins)
+ */
+router.get('/:id/route', 
+  requireAuth, 
+  validateMongoIdParam, 
+  asyncHandler(RideController.getRideRoute)
+);
+
+/**
+ * @route   POST /api/rides/:id/split
+ * @desc    Invite co-riders by phone to split the fare (evenly or by custom percentages)
+ * @access  Private (Rider only - must own the ride)
+ */
+router.post('/:id/split', 
+  requireAuth, 
+  requireRider, 
+  validateMongoIdParam, 
+  validateFareSplit, 
+  asyncHandler(FareSplitController.setFareSplit)
+);
+
+/**
+ * @route   POST /api/rides/:id/split/respond
+ * @desc    Accept or decline an invitation to split the fare
+ * @access  Private (Rider only - must be invited)
+ */
+router.post('/:id/split/respond', 
+  requireAuth, 
+  requireRider, 
+  validateMongoIdParam, 
+  validateFareSplitResponse, 
+  asyncHandler(FareSplitController.respondToFareSplit)
+);
+
+/**
+ * @route   POST /api/rides/:id/stops
+ * @desc    Add a stop after the existing ones (at most 3) and re-estimate the fare
+ * @access  Private (Rider only - must own the ride; until the trip ends)
+ */
+router.post('/:id/stops', 
+  requireAuth, 
+  requireRider, 
+  validateMongoIdParam, 
+  validateRideStop, 
+  asyncHandler(RideController.addStop)
+);
+
+/**
+ * @route   POST /api/rides/:id/stops/reached
+ * @desc    Mark the next stop of the trip as reached
+ * @access  Private (Driver only - must be assigned to the ride)
+ */
+router.post('/:id/stops/reached', 
+  requireAuth, 
+  requireDriver, 
+  validateMongoIdParam, 
+  asyncHandler(RideController.markStopReached)
+);
+
 /**
  * @route   POST /api/rides/:id/accept
  * @desc    Accept a ride request
@@ -122,9 +263,21 @@ router.post('/:id/accept',
   asyncHandler(RideController.acceptRide)
 );
 
+/**
+ * @route   POST /api/rides/:id/decline
+ * @desc    Decline a ride offered to the driver (offer cascades to the next driver)
+ * @access  Private (Driver only)
+ */
+router.post('/:id/decline', 
+  requireAuth, 
+  requireDriver, 
+  validateMongoIdParam, 
+  asyncHandler(RideController.declineRide)
+);
+
 /**
  * @route   POST /api/rides/:id/find-driver
- * @desc    Find and assign nearest driver to a ride
+ * @desc    Find the nearest driver and offer them the ride
  * @access  Private (Admin only, or system use)
  */
 router.post('/:id/find-driver', 
@@ -147,6 +300,19 @@ router.put('/:id/status',
   asyncHandler(RideController.updateRideStatus)
 );
 
+/**
+ * @route   POST /api/rides/:id/cancel
+ * @desc    Cancel a ride, applying the cancellation fee policy
+ * @access  Private (Rider or Driver - must be associated with the ride)
+ */
+router.post('/:id/cancel', 
+  requireAuth, 
+  requireRiderOrDriver, 
+  validateMongoIdParam, 
+  validateRideCancellation, 
+  asyncHandler(RideController.cancelRide)
+);
+
 /**
  * @route   PUT /api/rides/:id/complete
  * @desc    Complete a ride
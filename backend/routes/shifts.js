@@ -0,0 +1,70 @@
+const express = require('express');
+const ShiftController = require('../controllers/shiftController');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAuth, requireDriver, requireAdmin } = require('../middleware/auth');
+const {
+  validateShiftReportQuery,
+  validateDriverIdParam
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/shifts/current
+ * @desc    Get the driver's shift and break status and today's hours
+ * @access  Private (Driver only)
+ */
+router.get('/current', 
+  requireAuth, 
+  requireDriver, 
+  asyncHandler(ShiftController.getCurrentShift)
+);
+
+/**
+ * @route   POST /api/shifts/start
+ * @desc    Start a shift and go online
+ * @access  Private (Driver only)
+ */
+router.post('/start', 
+  requireAuth, 
+  requireDriver, 
+  asyncHandler(ShiftController.startShift)
+);
+
+/**
+ * @route   POST /api/shifts/end
+ * @desc    End the shift and go offline (after the current ride, if any)
+ * @access  Private (Driver only)
+ */
+router.post('/end', 
+  requireAuth, 
+  requireDriver, 
+  asyncHandler(ShiftController.endShift)
+);
+
+/**
+ * @route   GET /api/shifts/report
+ * @desc    Get the driver's online and on-trip hours per day
+ * @access  Private (Driver only)
+ */
+router.get('/report', 
+  requireAuth, 
+  requireDriver, 
+  validateShiftReportQuery, 
+  asyncHandler(ShiftController.getMyReport)
+);
+
+/**
+ * @route   GET /api/shifts/drivers/:driverId/report
+ * @desc    Get a driver's shift status and hours per day
+ * @access  Private (Admin only)
+ */
+router.get('/drivers/:driverId/report', 
+  requireAuth, 
+  requireAdmin, 
+  validateDriverIdParam, 
+  validateShiftReportQuery, 
+  asyncHandler(ShiftController.getDriverReport)
+);
+
+module.exports = router;
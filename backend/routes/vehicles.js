@@ -0,0 +1,127 @@
+const express = require('express');
+const VehicleController = require('../controllers/vehicleController');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAuth, requireDriver, requireAdmin, requireDriverOrAdmin } = require('../middleware/auth');
+const {
+  validateVehicleCreate,
+  validateFleetVehicleCreate,
+  validateVehicleUpdate,
+  validateVehicleListQuery,
+  validateVehicleIdParam,
+  validateVehicleDriverParams,
+  validateActiveVehicleSelect,
+  validateVehicleDriverAssign
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/vehicles
+ * @desc    Get the vehicles the driver can drive and their active vehicle
+ * @access  Private (Driver only)
+ */
+router.get('/', 
+  requireAuth, 
+  requireDriver, 
+  asyncHandler(VehicleController.getMyVehicles)
+);
+
+/**
+ * @route   POST /api/vehicles
+ * @desc    Register a vehicle the driver owns
+ * @access  Private (Driver only)
+ */
+router.post('/', 
+  requireAuth, 
+  requireDriver, 
+  validateVehicleCreate, 
+  asyncHandler(VehicleController.addVehicle)
+);
+
+/**
+ * @route   PUT /api/vehicles/active
+ * @desc    Select the vehicle for the next shift (while offline)
+ * @access  Private (Driver only)
+ */
+router.put('/active', 
+  requireAuth, 
+  requireDriver, 
+  validateActiveVehicleSelect, 
+  asyncHandler(VehicleController.selectActiveVehicle)
+);
+
+/**
+ * @route   GET /api/vehicles/all
+ * @desc    List all vehicles (filter by owner type, status, fleet or plate)
+ * @access  Private (Admin only)
+ */
+router.get('/all', 
+  requireAuth, 
+  requireAdmin, 
+  validateVehicleListQuery, 
+  asyncHandler(VehicleController.getAllVehicles)
+);
+
+/**
+ * @route   POST /api/vehicles/fleet
+ * @desc    Register a fleet vehicle
+ * @access  Private (Admin only)
+ */
+router.post('/fleet', 
+  requireAuth, 
+  requireAdmin, 
+  validateFleetVehicleCreate, 
+  asyncHandler(VehicleController.addFleetVehicle)
+);
+
+/**
+ * @route   PUT /api/vehicles/:vehicleId
+ * @desc    Update a vehicle's details
+ * @access  Private (Owning driver or Admin)
+ */
+router.put('/:vehicleId', 
+  requireAuth, 
+  requireDriverOrAdmin, 
+  validateVehicleIdParam, 
+  validateVehicleUpdate, 
+  asyncHandler(VehicleController.updateVehicle)
+);
+
+/**
+ * @route   DELETE /api/vehicles/:vehicleId
+ * @desc    Retire a vehicle
+ * @access  Private (Owning driver or Admin)
+ */
+router.delete('/:vehicleId', 
+  requireAuth, 
+  requireDriverOrAdmin, 
+  validateVehicleIdParam, 
+  asyncHandler(VehicleController.retireVehicle)
+);
+
+/**
+ * @route   POST /api/vehicles/:vehicleId/drivers
+ * @desc    Let a driver (by phone number) drive a vehicle
+ * @access  Private (Admin only)
+ */
+router.post('/:vehicleId/drivers', 
+  requireAuth, 
+  requireAdmin, 
+  validateVehicleIdParam, 
+  validateVehicleDriverAssign, 
+  asyncHandler(VehicleController.assignDriver)
+);
+
+/**
+ * @route   DELETE /api/vehicles/:vehicleId/drivers/:driverId
+ * @desc    Remove a driver from a vehicle
+ * @access  Private (Admin only)
+ */
+router.delete('/:vehicleId/drivers/:driverId', 
+  requireAuth, 
+  requireAdmin, 
+  validateVehicleDriverParams, 
+  asyncHandler(VehicleController.unassignDriver)
+);
+
+module.exports = router;
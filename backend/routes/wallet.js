@@ -0,0 +1,49 @@
+const express = require('express');
+const WalletController = require('../controllers/walletController');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAuth, requireRider } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  validateWalletTopUp,
+  validateWalletTransactionsQuery
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/wallet
+ * @desc    Get the rider's wallet balance
+ * @access  Private (Rider only)
+ */
+router.get('/', 
+  requireAuth, 
+  requireRider, 
+  asyncHandler(WalletController.getWallet)
+);
+
+/**
+ * @route   GET /api/wallet/transactions
+ * @desc    Get the rider's wallet statement (filter by transaction type)
+ * @access  Private (Rider only)
+ */
+router.get('/transactions', 
+  requireAuth, 
+  requireRider, 
+  validateWalletTransactionsQuery, 
+  asyncHandler(WalletController.getTransactions)
+);
+
+/**
+ * @route   POST /api/wallet/topup
+ * @desc    Add money to the wallet with a card (supports Idempotency-Key)
+ * @access  Private (Rider only)
+ */
+router.post('/topup', 
+  requireAuth, 
+  requireRider, 
+  idempotent, 
+  validateWalletTopUp, 
+  asyncHandler(WalletController.topUp)
+);
+
+module.exports = router;
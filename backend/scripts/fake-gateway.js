@@ -0,0 +1,287 @@
+/**
+ * Local fake payment gateway for offline testing of asynchronous payment flows
+ * Run with: npm run fake-gateway (and set PAYMENT_PROVIDER=fake_gateway for the backend)
+ *
+ * Behaves like a hosted card processor:
+ * - Authorizations are answered synchronously; captures and refunds settle after a delay
+ * - Outcomes are reported with signed webhooks (see utils/webhookSignature.js)
+ * - Webhooks that are not acknowledged with a 2xx are retried with exponential backoff
+ *
+ * Test cards:
+ * - 4000000000000002: declined
+ * - 4000000000009995: declined for insufficient funds
+ * - 4000000000000259: authorized, but the capture fails asynchronously
+ * - any other number: succeeds
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const { signPayload } = require('../utils/webhookSignature');
+
+const DECLINED_CARDS = {
+  '4000000000000002': { decline_code: 'card_declined', message: 'Your card was declined' },
+  '4000000000009995': { decline_code: 'insufficient_funds', message: 'Insufficient funds' }
+};
+const CAPTURE_FAILURE_CARD = '4000000000000259';
+const WEBHOOK_URL = process.env.FAKE_GATEWAY_WEBHOOK_URL || 'http://localhost:5000/api/payments/webhooks/fake_gateway';
+
+/**
+ * Create a fake gateway
+ *
+ * @param {Object} options - Gateway behaviour
+ * @param {string} options.webhookUrl - Where webhooks are delivered
+ * @param {string} options.webhookSecret - Secret used to sign webhooks
+ * @param {number} options.settleDelay - Milliseconds before captures and refunds settle
+ * @param {number} options.retryDelay - First retry delay in milliseconds; doubles per attempt
+ * @param {number} options.maxAttempts - Delivery attempts per webhook
+ * @param {number} options.dropFirstDeliveries - Attempts per webhook to fail on purpose
+ * @returns {Object} { app, payments, events, start(port), stop() }
+ */
+function createFakeGateway({
+  webhookUrl = WEBHOOK_URL,
+  webhookSecret = process.env.FAKE_GATEWAY_WEBHOOK_SECRET,
+  settleDelay = parseInt(process.env.FAKE_GATEWAY_SETTLE_DELAY_MS, 10) || 2000,
+  retryDelay = parseInt(process.env.FAKE_GATEWAY_RETRY_DELAY_MS, 10) || 1000,
+  maxAttempts = parseInt(process.env.FAKE_GATEWAY_WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+  dropFirstDeliveries = parseInt(process.env.FAKE_GATEWAY_DROP_FIRST_DELIVERIES, 10) || 0
+} = {}) {
+  if (!webhookSecret) {
+    throw new Error('FAKE_GATEWAY_WEBHOOK_SECRET is required to sign webhooks');
+  }
+
+  const app = express();
+  const payments = new Map();
+  const events = [];
+  const timers = new Set();
+  let server = null;
+
+  app.use(express.json());
+
+  const newId = prefix => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+  const later = (fn, delay) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, delay);
+    timers.add(timer);
+  };
+
+  const sendError = (res, status, code, message) => res.status(status).json({ error: { code, message } });
+
+  const paymentData = (payment, message = null) => ({
+    id: payment.id,
+    amount: payment.status === 'authorized' ? payment.amount : payment.amountCaptured || payment.amount,
+    currency: payment.currency,
+    status: payment.status,
+    reference: payment.reference,
+    metadata: payment.metadata,
+    message
+  });
+
+  /**
+   * Deliver a webhook, retrying until it is acknowledged or attempts run out
+   */
+  const deliver = async (event, attempt = 1) => {
+    const body = JSON.stringify({ id: event.id, type: event.type, created: event.created, data: event.data });
+    let status = 'dropped';
+
+    if (attempt > dropFirstDeliveries) {
+      try {
+        const response = await fetch(webhookUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Gateway-Signature': signPayload(webhookSecret, body) },
+          body,
+          signal: AbortSignal.timeout(5000)
+        });
+        status = response.status;
+      } catch (error) {
+        status = 'unreachable';
+      }
+    }
+
+    event.deliveries.push({ attempt, status, at: new Date().toISOString() });
+    const delivered = typeof status === 'number' && status >= 200 && status < 300;
+    event.delivered = delivered;
+
+    if (!delivered && attempt < maxAttempts) {
+      later(() => deliver(event, attempt + 1), retryDelay * Math.pow(2, attempt - 1));
+    } else if (!delivered) {
+      console.warn(`Fake gateway: giving up on ${event.type} ${event.id} after ${attempt} attempts`);
+    }
+  };
+
+  const emit = (type, data) => {
+    const event = {
+      id: newId('evt'),
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data,
+      delivered: false,
+      deliveries: []
+    };
+    events.push(event);
+    deliver(event);
+    return event;
+  };
+
+  const settleCapture = payment => {
+    later(() => {
+      if (payment.failCapture) {
+        payment.status = 'failed';
+        emit('payment.failed', paymentData(payment, 'The card issuer declined the capture'));
+        return;
+      }
+      payment.status = 'captured';
+      emit('payment.captured', paymentData(payment));
+    }, settleDelay);
+  };
+
+  const findPayment = (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment) {
+      sendError(res, 404, 'payment_not_found', 'No such payment');
+    }
+    return payment;
+  };
+
+  // Create a payment (authorize, and capture when capture is true)
+  app.post('/v1/payments', (req, res) => {
+    const { amount, currency = 'INR', card = {}, capture = true, reference = null, metadata = {} } = req.body;
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return sendError(res, 400, 'invalid_amount', 'amount must be a positive integer in paise');
+    }
+
+    const payment = {
+      id: newId('pay'),
+      amount,
+      amountCaptured: 0,
+      amountRefunded: 0,
+      currency,
+      reference,
+      metadata,
+      failCapture: card.number === CAPTURE_FAILURE_CARD,
+      createdAt: new Date().toISOString()
+    };
+    payments.set(payment.id, payment);
+
+    const declined = DECLINED_CARDS[card.number];
+    if (declined) {
+      payment.status = 'declined';
+      return res.status(201).json({ ...paymentData(payment, declined.message), decline_code: declined.decline_code });
+    }
+
+    if (capture) {
+      payment.status = 'capture_pending';
+      payment.amountCaptured = amount;
+      settleCapture(payment);
+    } else {
+      payment.status = 'authorized';
+      emit('payment.authorized', paymentData(payment));
+    }
+
+    res.status(201).json(paymentData(payment));
+  });
+
+  // Capture an authorized payment, in full or in part
+  app.post('/v1/payments/:id/capture', (req, res) => {
+    const payment = findPayment(req, res);
+    if (!payment) {
+      return;
+    }
+    if (payment.status !== 'authorized') {
+      return sendError(res, 409, 'invalid_state', `Cannot capture a ${payment.status} payment`);
+    }
+
+    const amount = req.body.amount === undefined ? payment.amount : req.body.amount;
+    if (!Number.isInteger(amount) || amount <= 0 || amount > payment.amount) {
+      return sendError(res, 400, 'invalid_amount', 'Capture amount must not exceed the authorized amount');
+    }
+
+    payment.status = 'capture_pending';
+    payment.amountCaptured = amount;
+    settleCapture(payment);
+    res.status(202).json(paymentData(payment));
+  });
+
+  // Release an authorization
+  app.post('/v1/payments/:id/void', (req, res) => {
+    const payment = findPayment(req, res);
+    if (!payment) {
+      return;
+    }
+    if (payment.status !== 'authorized') {
+      return sendError(res, 409, 'invalid_state', `Cannot void a ${payment.status} payment`);
+    }
+
+    payment.status = 'voided';
+    emit('payment.voided', paymentData(payment));
+    res.json(paymentData(payment));
+  });
+
+  // Refund a captured payment; the refund settles asynchronously
+  app.post('/v1/payments/:id/refunds', (req, res) => {
+    const payment = findPayment(req, res);
+    if (!payment) {
+      return;
+    }
+    if (payment.status !== 'captured') {
+      return sendError(res, 409, 'invalid_state', `Cannot refund a ${payment.status} payment`);
+    }
+
+    const { amount, reference = null } = req.body;
+    if (!Number.isInteger(amount) || amount <= 0 || amount > payment.amountCaptured - payment.amountRefunded) {
+      return sendError(res, 400, 'invalid_amount', 'Refund amount exceeds the refundable amount');
+    }
+
+    payment.amountRefunded += amount;
+    const refund = { id: newId('re'), payment_id: payment.id, amount, currency: payment.currency, status: 'pending', reference };
+    later(() => {
+      refund.status = 'succeeded';
+      emit('refund.succeeded', { ...refund, metadata: payment.metadata, message: null });
+    }, settleDelay);
+
+    res.status(202).json(refund);
+  });
+
+  app.get('/v1/payments/:id', (req, res) => {
+    const payment = findPayment(req, res);
+    if (payment) {
+      res.json({ ...payment, failCapture: undefined });
+    }
+  });
+
+  // Sent webhooks with their delivery attempts, newest first
+  app.get('/v1/events', (req, res) => {
+    res.json({ events: events.slice().reverse() });
+  });
+
+  return {
+    app,
+    payments,
+    events,
+    start(port = 0) {
+      return new Promise(resolve => {
+        server = app.listen(port, () => resolve(server));
+      });
+    },
+    stop() {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+  };
+}
+
+// Run the gateway if called directly
+if (require.main === module) {
+  const port = parseInt(process.env.FAKE_GATEWAY_PORT, 10) || 4010;
+  const gateway = createFakeGateway();
+  gateway.start(port).then(() => {
+    console.log(`💳 Fake payment gateway listening on http://localhost:${port}`);
+    console.log(`   Webhooks: ${WEBHOOK_URL}`);
+  });
+}
+
+module.exports = { createFakeGateway };
@@ -64,9 +64,12 @@ const seedUsers = [
         model: 'Camry',
         plateNumber: 'ABC123',
         color: 'Silver',
-        year: 2020
+        year: 2020,
+        vehicleClass: 'comfort'
       },
       isAvailable: true,
+      // Seeded drivers skip document onboarding
+      onboarding: { status: 'approved' },
       currentLocation: {
         type: 'Point',
         coordinates: [77.5946, 12.9716] // Bengaluru, India coordinates
@@ -91,9 +94,12 @@ const seedUsers = [
         model: 'Civic',
         plateNumber: 'XYZ789',
         color: 'Blue',
-        year: 2021
+        year: 2021,
+        vehicleClass: 'economy'
       },
       isAvailable: true,
+      // Seeded drivers skip document onboarding
+      onboarding: { status: 'approved' },
       currentLocation: {
         type: 'Point',
         coordinates: [77.6099, 12.9698] // Bengaluru, India coordinates (slightly different location)
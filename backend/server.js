@@ -111,6 +111,8 @@ app.use(express.json({
     } catch (e) {
       throw new Error('Invalid JSON payload');
     }
+    // Keep the exact bytes for webhook signature checks
+    req.rawBody = buf;
   }
 }));
 app.use(express.urlencoded({ 
@@ -151,6 +153,13 @@ const authRoutes = require('./routes/auth');
 const rideRoutes = require('./routes/rides');
 const paymentRoutes = require('./routes/payments');
 const securityRoutes = require('./routes/security');
+const promoRoutes = require('./routes/promos');
+const walletRoutes = require('./routes/wallet');
+const earningsRoutes = require('./routes/earnings');
+const notificationRoutes = require('./routes/notifications');
+const onboardingRoutes = require('./routes/onboarding');
+const vehicleRoutes = require('./routes/vehicles');
+const shiftRoutes = require('./routes/shifts');
 
 // API routes
 app.use('/api/auth', authRoutes);
@@ -158,6 +167,13 @@ app.use('/api/rides', rideRoutes);
 app.use('/api/users', require('./routes/users'));
 app.use('/api/payments', paymentRoutes);
 app.use('/api/security', securityRoutes);
+app.use('/api/promos', promoRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/earnings', earningsRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/onboarding', onboardingRoutes);
+app.use('/api/vehicles', vehicleRoutes);
+app.use('/api/shifts', shiftRoutes);
 
 // Test routes (development only)
 if (process.env.NODE_ENV === 'development') {
@@ -167,7 +183,7 @@ if (process.env.NODE_ENV === 'development') {
   app.post('/api/dev/clear-active-rides', asyncHandler(async (req, res) => {
     const { Ride } = require('./models');
     const result = await Ride.updateMany(
-      { status: { $in: ['requested', 'matched', 'accepted', 'in_progress'] } },
+      { status: { $in: ['requested', 'matched', 'accepted', 'arrived', 'in_progress'] } },
       { 
         status: 'cancelled',
         'timeline.cancelledAt': new Date()
@@ -270,6 +286,28 @@ async function startServer() {
     // Connect to database
     await dbConnection.connect();
 
+    // Start dispatching scheduled rides, recomputing surge zones, issuing payout statements,
+    // metering waiting at pickup, retrying failed notifications, checking driver document
+    // expiry and enforcing driver breaks (disabled in tests to avoid open handles)
+    if (process.env.NODE_ENV !== 'test') {
+      const {
+        RideSchedulerService,
+        SurgeService,
+        EarningsService,
+        WaitingTimeService,
+        NotificationService,
+        DriverOnboardingService,
+        ShiftService
+      } = require('./services');
+      RideSchedulerService.start();
+      SurgeService.start();
+      EarningsService.start();
+      WaitingTimeService.start();
+      NotificationService.start();
+      DriverOnboardingService.start();
+      ShiftService.start();
+    }
+
     // Start HTTP server with Socket.IO
     server.listen(PORT, () => {
       console.log(`🚀 Backend server running on port ${PORT}`);
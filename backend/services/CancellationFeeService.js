@@ -0,0 +1,231 @@
+const { Ride } = require('../models');
+const EarningsService = require('./EarningsService');
+const PaymentGatewayService = require('./PaymentGatewayService');
+const RideEventService = require('./RideEventService');
+const WalletService = require('./WalletService');
+
+/**
+ * Cancellation Fee Service
+ *
+ * Collects the fee FareService.calculateCancellationFee charges a rider for cancelling after
+ * a driver committed to the ride.
+ *
+ * Rules:
+ * - Card bookings: the fee is captured from the ride's payment hold; capturing part of the
+ *   authorization gives the rest back to the rider's card
+ * - Wallet bookings: the fee is debited from the rider's wallet as a 'cancellation_fee' transaction
+ * - Cash bookings, split fares, a short wallet or a declined capture: the fee is recorded as owed
+ * - A collected fee is written to the driver's earnings as a 'cancellation_fee' entry
+ *
+ * Lifecycle (Ride.cancellation.feePayment.status):
+ * - owed: not collected; the rider still owes it (reason says why)
+ * - processing: captured and waiting for the gateway webhook
+ * - completed: collected and credited to the driver
+ */
+class CancellationFeeService {
+  /**
+   * Collect a cancelled ride's fee by the method the ride was booked with
+   *
+   * Call before PaymentHoldService.releaseHold: the fee is taken from the hold first, and
+   * releasing afterwards only voids a hold that was not used.
+   *
+   * @param {Object} ride - Cancelled ride document with cancellation.fee set
+   * @param {Object} params - { actor? }
+   * @returns {Promise<Object>} { status: 'none'|'completed'|'processing'|'owed', ride? }
+   */
+  static async collectFee(ride, { actor = null } = {}) {
+    const fee = ride.cancellation?.fee || 0;
+    if (fee <= 0) {
+      return { status: 'none' };
+    }
+
+    const hold = ride.payment.hold;
+    if (hold && hold.status === 'authorized') {
+      return this._captureFromHold(ride, fee, actor);
+    }
+
+    const { method } = ride.payment;
+    if (method === 'wallet') {
+      const result = await WalletService.payCancellationFee(ride.riderId._id || ride.riderId, ride._id, fee);
+      if (!result.success) {
+        return { status: 'owed', ride: await this.markOwed(ride._id, method, result.error) };
+      }
+
+      const completed = await this.completeFee(ride._id, {
+        method,
+        transactionId: `wallet_${result.transaction._id}`,
+        actor
+      });
+      return { status: 'completed', ride: completed };
+    }
+
+    const reason = { cash: 'CASH_BOOKING', split: 'FARE_SPLIT' }[method] || 'NO_PAYMENT_HOLD';
+    return { status: 'owed', ride: await this.markOwed(ride._id, method, reason) };
+  }
+
+  /**
+   * Record a fee as owed by the rider
+   *
+   * @param {string} rideId - Ride ID
+   * @param {string} method - Payment method the ride was booked with
+   * @param {string} reason - Why the fee could not be collected
+   * @returns {Promise<Object|null>} Updated ride, or null if the fee was already collected
+   */
+  static async markOwed(rideId, method, reason) {
+    return Ride.findOneAndUpdate(
+      { _id: rideId, 'cancellation.feePayment.status': { $ne: 'completed' } },
+      { $set: { 'cancellation.feePayment': { status: 'owed', method, reason } } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Mark a fee collected, credit it to the driver and record it on the timeline
+   *
+   * @param {string} rideId - Ride ID
+   * @param {Object} params - { method, provider?, transactionId, actor? }
+   * @returns {Promise<Object|null>} Updated ride, or null if the fee was already collected
+   */
+  static async completeFee(rideId, { method, provider = null, transactionId, actor = null }) {
+    const ride = await Ride.findOneAndUpdate(
+      { _id: rideId, 'cancellation.feePayment.status': { $ne: 'completed' } },
+      {
+        $set: {
+          'cancellation.feePayment': { status: 'completed', method, provider, transactionId, paidAt: new Date() }
+        }
+      },
+      { new: true }
+    );
+    if (!ride) {
+      return null;
+    }
+
+    // Credit the driver's earnings ledger; the fee itself has already been collected
+    try {
+      await EarningsService.recordCancellationFeeEarning(ride);
+    } catch (earningError) {
+      console.error('Failed to record cancellation fee earning:', earningError);
+    }
+
+    await RideEventService.record(ride._id, 'PAYMENT_COMPLETED', {
+      actor,
+      message: 'Cancellation fee',
+      data: { method, amount: ride.cancellation.fee, transactionId, purpose: 'cancellation_fee' }
+    });
+
+    return ride;
+  }
+
+  /**
+   * Complete or mark owed a fee capture that was waiting for the gateway
+   *
+   * @param {Object} event - Verified gateway event with metadata.rideId
+   * @returns {Promise<Object|null>} Updated ride, or null if the event is not for a pending fee
+   */
+  static async settleFee(event) {
+    const { rideId } = event.metadata;
+    const current = await Ride.findOne({
+      _id: rideId,
+      'cancellation.feePayment.status': 'processing',
+      'cancellation.feePayment.transactionId': event.transactionId
+    }).select('cancellation payment');
+    if (!current) {
+      return null;
+    }
+
+    const actor = { role: 'system', userId: null };
+    if (event.type === 'payment.captured') {
+      return this.completeFee(rideId, {
+        method: current.cancellation.feePayment.method,
+        provider: current.cancellation.feePayment.provider,
+        transactionId: event.transactionId,
+        actor
+      });
+    }
+
+    return this._failCapture(current, { error: event.error, message: event.message }, actor);
+  }
+
+  /**
+   * Capture the fee from the ride's hold. The hold is claimed atomically first, so it cannot
+   * be captured twice or voided underneath the capture.
+   * @private
+   */
+  static async _captureFromHold(ride, fee, actor) {
+    const { provider, authorizationId } = ride.payment.hold;
+    const claimed = await Ride.findOneAndUpdate(
+      { _id: ride._id, 'payment.hold.status': 'authorized' },
+      {
+        $set: {
+          'payment.hold.status': 'captured',
+          'payment.hold.capturedAmount': fee,
+          'payment.hold.capturedAt': new Date(),
+          'cancellation.feePayment': { status: 'processing', method: 'mock', provider, transactionId: authorizationId }
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return { status: 'owed', ride: await this.markOwed(ride._id, 'mock', 'NO_PAYMENT_HOLD') };
+    }
+
+    let result;
+    try {
+      result = await PaymentGatewayService.capture(provider, authorizationId, fee);
+    } catch (error) {
+      result = { success: false, error: 'GATEWAY_ERROR', message: error.message };
+    }
+
+    if (!result.success) {
+      return { status: 'owed', ride: await this._failCapture(claimed, result, actor) };
+    }
+
+    // Asynchronous providers confirm the capture with a webhook on the authorization ID
+    if (result.status !== 'succeeded') {
+      return { status: 'processing', ride: claimed };
+    }
+
+    const completed = await this.completeFee(ride._id, {
+      method: 'mock',
+      provider,
+      transactionId: authorizationId,
+      actor
+    });
+    return { status: 'completed', ride: completed };
+  }
+
+  /**
+   * Drop the authorization after a rejected capture and record the fee as owed
+   * @private
+   */
+  static async _failCapture(ride, result, actor) {
+    const { provider, authorizationId } = ride.payment.hold;
+    PaymentGatewayService.void(provider, authorizationId).catch(() => {});
+
+    const failed = await Ride.findOneAndUpdate(
+      { _id: ride._id, 'cancellation.feePayment.status': 'processing' },
+      {
+        $set: {
+          'payment.hold.status': 'failed',
+          'payment.hold.reason': result.error || 'CAPTURE_FAILED',
+          'cancellation.feePayment': {
+            status: 'owed',
+            method: 'mock',
+            provider,
+            transactionId: authorizationId,
+            reason: result.error || 'CAPTURE_FAILED'
+          }
+        }
+      },
+      { new: true }
+    );
+    await RideEventService.record(ride._id, 'PAYMENT_FAILED', {
+      actor,
+      message: result.message || 'Cancellation fee could not be charged',
+      data: { method: 'mock', transactionId: authorizationId, purpose: 'cancellation_fee' }
+    });
+    return failed;
+  }
+}
+
+module.exports = CancellationFeeService;
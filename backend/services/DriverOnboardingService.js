@@ -0,0 +1,516 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { User, DriverDocument } = require('../models');
+const NotificationService = require('./NotificationService');
+const ShiftService = require('./ShiftService');
+
+/**
+ * Driver Onboarding Service
+ *
+ * Takes new drivers from application to approval and keeps approved drivers' documents
+ * current.
+ *
+ * Lifecycle (driverInfo.onboarding.status):
+ * - applied -> documents_submitted: the driver has uploaded every required document
+ * - documents_submitted -> under_review: an admin picks the application up
+ * - under_review -> approved | rejected: every document must be approved to approve
+ * - rejected -> documents_submitted: the driver fixes the documents and resubmits
+ * - approved -> rejected: an admin revokes the approval
+ *
+ * Rules:
+ * - Only approved drivers whose approved documents are all unexpired can go available;
+ *   any other transition takes the driver offline and ends their shift
+ * - Transitions are conditional updates on the current status, so concurrent admin
+ *   actions cannot both apply
+ * - A polling loop reminds drivers before documents expire and takes them offline once
+ *   one has expired, until a renewed document is approved
+ */
+class DriverOnboardingService {
+  // Configuration constants
+  static REQUIRED_DOCUMENTS = DriverDocument.DRIVER_DOCUMENT_TYPES;
+  static CHECK_INTERVAL = parseInt(process.env.DRIVER_DOCUMENT_CHECK_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000;
+  static CHECK_BATCH_SIZE = 200;
+  // Days before expiry on which a reminder is sent, e.g. "30,7,1"
+  static REMINDER_DAYS = (process.env.DRIVER_DOCUMENT_REMINDER_DAYS || '30,7,1')
+    .split(',')
+    .map(days => parseInt(days, 10))
+    .filter(days => days > 0)
+    .sort((a, b) => a - b);
+
+  static TRANSITIONS = {
+    applied: ['documents_submitted'],
+    documents_submitted: ['under_review'],
+    under_review: ['approved', 'rejected'],
+    rejected: ['documents_submitted'],
+    approved: ['rejected']
+  };
+
+  static DOCUMENT_NAMES = {
+    license: 'driving licence',
+    registration: 'vehicle registration certificate',
+    insurance: 'vehicle insurance policy'
+  };
+
+  static _intervalId = null;
+  static _isChecking = false;
+
+  /**
+   * Current onboarding status of a driver (drivers created before onboarding are 'applied')
+   *
+   * @param {Object} driver - Driver user
+   * @returns {string} Onboarding status
+   */
+  static getStatus(driver) {
+    return driver?.driverInfo?.onboarding?.status || 'applied';
+  }
+
+  /**
+   * Whether the state machine allows a transition
+   *
+   * @param {string} from - Current status
+   * @param {string} to - Target status
+   * @returns {boolean}
+   */
+  static canTransition(from, to) {
+    return (this.TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Driver's application with its current (not superseded) documents, newest first
+   *
+   * @param {string} driverId - Driver user ID
+   * @returns {Promise<Object>} { success, driver?, documents?, requirements?, error?, message? }
+   */
+  static async getApplication(driverId) {
+    const driver = await User.findOne({ _id: driverId, role: 'driver' }).select('-password');
+    if (!driver) {
+      return { success: false, error: 'DRIVER_NOT_FOUND', message: 'Driver not found' };
+    }
+
+    const documents = await DriverDocument.find({ driverId, status: { $ne: 'superseded' } })
+      .sort({ createdAt: -1 });
+
+    return {
+      success: true,
+      driver,
+      documents,
+      requirements: this.REQUIRED_DOCUMENTS.map(type => ({
+        type,
+        name: this.DOCUMENT_NAMES[type],
+        document: documents.find(document => document.type === type) || null
+      }))
+    };
+  }
+
+  /**
+   * Store a document uploaded by a driver for review
+   *
+   * Earlier pending or rejected uploads of the same type are superseded. Approved drivers
+   * can upload renewals at any time; the approved document stays in force until the
+   * renewal is approved.
+   *
+   * @param {Object} driver - Driver user
+   * @param {string} type - license, registration or insurance
+   * @param {Object} file - { originalname, mimetype, size, buffer } (see secureFileUpload)
+   * @param {Object} details - { expiresAt, documentNumber }
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<Object>} { success, document?, error?, message? }
+   */
+  static async uploadDocument(driver, type, file, { expiresAt, documentNumber = null } = {}, now = new Date()) {
+    if (this.getStatus(driver) === 'under_review') {
+      return {
+        success: false,
+        error: 'ONBOARDING_UNDER_REVIEW',
+        message: 'Documents cannot be changed while the application is under review'
+      };
+    }
+
+    if (new Date(expiresAt) <= now) {
+      return { success: false, error: 'DOCUMENT_EXPIRED', message: 'Document has already expired' };
+    }
+
+    await DriverDocument.updateMany(
+      { driverId: driver._id, type, status: { $in: ['pending', 'rejected'] } },
+      { $set: { status: 'superseded' } }
+    );
+
+    const document = await DriverDocument.create({
+      driverId: driver._id,
+      type,
+      documentNumber,
+      expiresAt,
+      file: {
+        data: file.buffer,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        sha256: crypto.createHash('sha256').update(file.buffer).digest('hex')
+      }
+    });
+
+    return { success: true, document };
+  }
+
+  /**
+   * Submit an application once every required document is uploaded and unexpired
+   *
+   * @param {Object} driver - Driver user
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<Object>} { success, driver?, missing?, error?, message? }
+   */
+  static async submit(driver, now = new Date()) {
+    const status = this.getStatus(driver);
+    if (!this.canTransition(status, 'documents_submitted')) {
+      return this._invalidTransition(status, 'documents_submitted');
+    }
+
+    const documents = await DriverDocument.find({
+      driverId: driver._id,
+      status: { $in: ['pending', 'approved'] },
+      expiresAt: { $gt: now }
+    }).select('type');
+
+    const missing = this.REQUIRED_DOCUMENTS.filter(type => !documents.some(document => document.type === type));
+    if (missing.length > 0) {
+      return {
+        success: false,
+        error: 'DOCUMENTS_MISSING',
+        message: `Upload a current ${missing.map(type => this.DOCUMENT_NAMES[type]).join(', ')} before submitting`,
+        missing
+      };
+    }
+
+    return this._transition(driver._id, status, 'documents_submitted', {
+      now,
+      set: { 'driverInfo.onboarding.submittedAt': now, 'driverInfo.onboarding.rejectionReason': null }
+    });
+  }
+
+  /**
+   * Pick up a submitted application for review
+   *
+   * @param {string} driverId - Driver user ID
+   * @param {string} adminId - Reviewing admin
+   * @returns {Promise<Object>} { success, driver?, error?, message? }
+   */
+  static async startReview(driverId, adminId) {
+    return this._transition(driverId, 'documents_submitted', 'under_review', { by: adminId });
+  }
+
+  /**
+   * Approve or reject one uploaded document
+   *
+   * Approving supersedes the driver's previously approved document of the same type.
+   *
+   * @param {string} documentId - Document ID
+   * @param {string} adminId - Reviewing admin
+   * @param {string} decision - approve or reject
+   * @param {string|null} reason - Why the document was rejected
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<Object>} { success, document?, error?, message? }
+   */
+  static async reviewDocument(documentId, adminId, decision, reason = null, now = new Date()) {
+    const existing = await DriverDocument.findById(documentId);
+    if (!existing) {
+      return { success: false, error: 'DOCUMENT_NOT_FOUND', message: 'Document not found' };
+    }
+
+    if (decision === 'approve' && existing.expiresAt <= now) {
+      return { success: false, error: 'DOCUMENT_EXPIRED', message: 'An expired document cannot be approved' };
+    }
+
+    const document = await DriverDocument.findOneAndUpdate(
+      { _id: documentId, status: 'pending' },
+      {
+        $set: {
+          status: decision === 'approve' ? 'approved' : 'rejected',
+          review: { decision, reason: reason || null, reviewedBy: adminId, reviewedAt: now }
+        }
+      },
+      { new: true }
+    );
+
+    if (!document) {
+      return {
+        success: false,
+        error: 'DOCUMENT_ALREADY_REVIEWED',
+        message: `This document is already ${existing.status}`
+      };
+    }
+
+    if (decision === 'approve') {
+      await DriverDocument.updateMany(
+        { _id: { $ne: document._id }, driverId: document.driverId, type: document.type, status: 'approved' },
+        { $set: { status: 'superseded' } }
+      );
+    }
+
+    return { success: true, document };
+  }
+
+  /**
+   * Approve or reject an application under review, or revoke an approval
+   *
+   * @param {string} driverId - Driver user ID
+   * @param {string} adminId - Reviewing admin
+   * @param {string} decision - approve or reject
+   * @param {string|null} reason - Why the application was rejected (required to reject)
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<Object>} { success, driver?, pending?, error?, message? }
+   */
+  static async decide(driverId, adminId, decision, reason = null, now = new Date()) {
+    const driver = await User.findOne({ _id: driverId, role: 'driver' });
+    if (!driver) {
+      return { success: false, error: 'DRIVER_NOT_FOUND', message: 'Driver not found' };
+    }
+
+    const status = this.getStatus(driver);
+    const target = decision === 'approve' ? 'approved' : 'rejected';
+    if (!this.canTransition(status, target)) {
+      return this._invalidTransition(status, target);
+    }
+
+    if (target === 'approved') {
+      const approved = await DriverDocument.find({
+        driverId,
+        status: 'approved',
+        expiresAt: { $gt: now }
+      }).select('type');
+
+      const pending = this.REQUIRED_DOCUMENTS.filter(type => !approved.some(document => document.type === type));
+      if (pending.length > 0) {
+        return {
+          success: false,
+          error: 'DOCUMENTS_NOT_APPROVED',
+          message: `Approve a current ${pending.map(type => this.DOCUMENT_NAMES[type]).join(', ')} first`,
+          pending
+        };
+      }
+    } else if (!reason) {
+      return { success: false, error: 'REJECTION_REASON_REQUIRED', message: 'Give the driver a reason for the rejection' };
+    }
+
+    const result = await this._transition(driverId, status, target, {
+      by: adminId,
+      reason,
+      now,
+      set: {
+        'driverInfo.onboarding.reviewedAt': now,
+        'driverInfo.onboarding.reviewedBy': adminId,
+        'driverInfo.onboarding.rejectionReason': target === 'rejected' ? reason : null
+      }
+    });
+
+    if (result.success) {
+      if (status === 'approved') {
+        await ShiftService.endShiftsForIneligible([driverId], now);
+      }
+      NotificationService.notify(target === 'approved' ? 'ONBOARDING_APPROVED' : 'ONBOARDING_REJECTED', {
+        user: result.driver,
+        data: { reason: reason || '' }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Whether a driver may go available
+   *
+   * @param {Object} driver - Driver user
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<Object>} { success, error?, message?, documents? }
+   */
+  static async checkEligibility(driver, now = new Date()) {
+    if (this.getStatus(driver) !== 'approved') {
+      return {
+        success: false,
+        error: 'DRIVER_NOT_APPROVED',
+        message: 'Your driver documents must be approved before you can go online'
+      };
+    }
+
+    const expired = await DriverDocument.find({
+      driverId: driver._id,
+      status: 'approved',
+      expiresAt: { $lte: now }
+    }).select('type expiresAt');
+
+    if (expired.length > 0) {
+      return {
+        success: false,
+        error: 'DRIVER_DOCUMENTS_EXPIRED',
+        message: `Your ${expired.map(document => this.DOCUMENT_NAMES[document.type]).join(', ')} has expired. Upload a renewed document to go online`,
+        documents: expired.map(document => ({ type: document.type, expiresAt: document.expiresAt }))
+      };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Start the document expiry loop. Safe to call more than once.
+   */
+  static start() {
+    if (this._intervalId) {
+      return;
+    }
+
+    this._intervalId = setInterval(() => {
+      this.checkExpiries().catch(error => {
+        console.error('❌ Driver document expiry check failed:', error);
+      });
+    }, this.CHECK_INTERVAL);
+
+    console.log(`🪪 Driver document expiry checks started (reminders ${this.REMINDER_DAYS.join('/')} days ahead)`);
+  }
+
+  /**
+   * Stop the document expiry loop
+   */
+  static stop() {
+    if (this._intervalId) {
+      clearInterval(this._intervalId);
+      this._intervalId = null;
+    }
+  }
+
+  /**
+   * Send due expiry reminders, notify drivers of expired documents and take them offline
+   *
+   * Each reminder threshold is sent once per document; a document uploaded closer to its
+   * expiry than a threshold only gets the nearest reminder.
+   *
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<Object>} { reminded, expired, driversOffline }
+   */
+  static async checkExpiries(now = new Date()) {
+    if (this._isChecking || mongoose.connection.readyState !== 1) {
+      return { reminded: 0, expired: 0, driversOffline: 0 };
+    }
+
+    this._isChecking = true;
+
+    try {
+      let reminded = 0;
+      for (const days of this.REMINDER_DAYS) {
+        const expiring = await DriverDocument.find({
+          status: 'approved',
+          expiresAt: { $gt: now, $lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) },
+          remindersSent: { $ne: days }
+        }).limit(this.CHECK_BATCH_SIZE);
+
+        for (const document of expiring) {
+          await DriverDocument.updateOne(
+            { _id: document._id },
+            { $addToSet: { remindersSent: { $each: this.REMINDER_DAYS.filter(threshold => threshold >= days) } } }
+          );
+          await NotificationService.notify('DOCUMENT_EXPIRING', {
+            userId: document.driverId,
+            data: {
+              ...this._documentData(document),
+              daysLeft: Math.ceil((document.expiresAt.getTime() - now.getTime()) / (24 * 60 * 60 * 1000))
+            }
+          });
+          reminded++;
+        }
+      }
+
+      const expired = await DriverDocument.find({
+        status: 'approved',
+        expiresAt: { $lte: now },
+        expiryNotifiedAt: null
+      }).limit(this.CHECK_BATCH_SIZE);
+
+      for (const document of expired) {
+        await DriverDocument.updateOne({ _id: document._id }, { $set: { expiryNotifiedAt: now } });
+        await NotificationService.notify('DOCUMENT_EXPIRED', {
+          userId: document.driverId,
+          data: this._documentData(document)
+        });
+      }
+
+      // Every run, not just on first expiry: a driver released after a ride comes back online
+      const driverIds = await DriverDocument.distinct('driverId', { status: 'approved', expiresAt: { $lte: now } });
+      const offline = driverIds.length > 0
+        ? await User.updateMany(
+          { _id: { $in: driverIds }, 'driverInfo.isAvailable': true },
+          { $set: { 'driverInfo.isAvailable': false } }
+        )
+        : { modifiedCount: 0 };
+      await ShiftService.endShiftsForIneligible(driverIds, now);
+
+      return { reminded, expired: expired.length, driversOffline: offline.modifiedCount };
+    } finally {
+      this._isChecking = false;
+    }
+  }
+
+  /**
+   * Apply a status transition if the driver is still in the expected status
+   * @private
+   */
+  static async _transition(driverId, from, to, { by = null, reason = null, now = new Date(), set = {} } = {}) {
+    if (!this.canTransition(from, to)) {
+      return this._invalidTransition(from, to);
+    }
+
+    const update = {
+      ...set,
+      'driverInfo.onboarding.status': to
+    };
+    if (to !== 'approved') {
+      update['driverInfo.isAvailable'] = false;
+    }
+
+    const driver = await User.findOneAndUpdate(
+      {
+        _id: driverId,
+        role: 'driver',
+        // Drivers created before onboarding existed have no status and count as applied
+        'driverInfo.onboarding.status': from === 'applied' ? { $in: ['applied', null] } : from
+      },
+      {
+        $set: update,
+        $push: { 'driverInfo.onboarding.history': { from, to, by, reason, at: now } }
+      },
+      { new: true }
+    ).select('-password');
+
+    if (!driver) {
+      return {
+        success: false,
+        error: 'ONBOARDING_STATUS_CHANGED',
+        message: 'The application is no longer in the expected state. Reload and try again'
+      };
+    }
+
+    return { success: true, driver };
+  }
+
+  /**
+   * @private
+   */
+  static _invalidTransition(from, to) {
+    return {
+      success: false,
+      error: 'INVALID_ONBOARDING_TRANSITION',
+      message: `An application that is ${from.replace(/_/g, ' ')} cannot become ${to.replace(/_/g, ' ')}`
+    };
+  }
+
+  /**
+   * Notification placeholders for a document
+   * @private
+   */
+  static _documentData(document) {
+    return {
+      documentId: document._id.toString(),
+      documentType: document.type,
+      documentName: this.DOCUMENT_NAMES[document.type],
+      expiresOn: document.expiresAt.toISOString().slice(0, 10)
+    };
+  }
+}
+
+module.exports = DriverOnboardingService;
@@ -0,0 +1,488 @@
+const mongoose = require('mongoose');
+const { DriverEarning, Payout } = require('../models');
+const { envNumber } = require('../utils/env');
+const InvoiceService = require('./InvoiceService');
+
+/**
+ * Earnings Service
+ *
+ * Tracks what the platform owes drivers.
+ *
+ * Ledger:
+ * - One DriverEarning entry is written when a ride payment succeeds (idempotent per ride)
+ * - The platform keeps a commission percentage that is configurable per service level
+ * - Fares include GST, which the platform remits: commission is taken on the fare without it
+ * - Cash rides are offset: the driver already holds the fare, so it is deducted from the payable
+ * - Refunds are borne by the platform and do not change driver earnings
+ * - Tips are a second entry for the ride, credited to the driver in full with no commission
+ * - A collected cancellation fee is its own entry, with commission taken as on a fare
+ *
+ * Payouts:
+ * - Weeks run Monday 00:00 to Monday 00:00 UTC
+ * - After a week closes, each driver with unsettled entries gets a Payout statement covering them
+ * - Entries paid after their week's statement was issued roll into the next statement
+ * - A negative statement (driver owes cash commission) is carried forward into the next one
+ */
+class EarningsService {
+  // Platform commission in percent of the fare before promo discounts, excluding GST
+  static COMMISSION_RATES = {
+    economy: envNumber('COMMISSION_PERCENT_ECONOMY', 20),
+    comfort: envNumber('COMMISSION_PERCENT_COMFORT', 20),
+    premium: envNumber('COMMISSION_PERCENT_PREMIUM', 25)
+  };
+  static STATEMENT_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+  static WEEK = 7 * 24 * 60 * 60 * 1000;
+
+  static _intervalId = null;
+
+  /**
+   * Commission percentage for a service level
+   *
+   * @param {string} serviceLevel - Ride service level
+   * @returns {number} Commission in percent
+   */
+  static getCommissionRate(serviceLevel) {
+    return this.COMMISSION_RATES[serviceLevel] ?? this.COMMISSION_RATES.economy;
+  }
+
+  /**
+   * Split a paid ride between the platform and the driver
+   *
+   * @param {Object} ride - Ride with fare, serviceLevel and payment
+   * @returns {Object} Earnings entry fields (without driverId/rideId)
+   */
+  static calculateEarning(ride) {
+    const round = value => Math.round(value * 100) / 100;
+
+    const amountCharged = ride.fare.final || ride.fare.estimated;
+    const promoDiscount = ride.fare.breakdown?.discount || 0;
+    const tax = InvoiceService.calculateRideTax(ride).totalTax;
+    const grossFare = round(amountCharged + promoDiscount - tax);
+    const commissionRate = this.getCommissionRate(ride.serviceLevel);
+    const commission = round(grossFare * commissionRate / 100);
+    const earning = round(grossFare - commission);
+    // Co-riders of a split fare may hand the driver cash for their own share
+    const cashCollected = ride.payment.method === 'split'
+      ? round(ride.fareSplit.shares
+        .filter(share => share.status === 'accepted' && share.payment.method === 'cash')
+        .reduce((sum, share) => sum + share.amount, 0))
+      : ride.payment.method === 'cash' ? amountCharged : 0;
+
+    return {
+      serviceLevel: ride.serviceLevel,
+      paymentMethod: ride.payment.method,
+      grossFare,
+      promoDiscount,
+      tax,
+      commissionRate,
+      commission,
+      earning,
+      cashCollected,
+      netPayable: round(earning - cashCollected)
+    };
+  }
+
+  /**
+   * Write the earnings entry for a paid ride. Safe to call more than once per ride.
+   *
+   * @param {Object} ride - Ride document with a completed payment
+   * @returns {Promise<Object|null>} Earnings entry, or null if the ride has no driver
+   */
+  static async recordRideEarning(ride) {
+    const driverId = ride.driverId?._id || ride.driverId;
+    if (!driverId) {
+      return null;
+    }
+
+    return DriverEarning.findOneAndUpdate(
+      { rideId: ride._id, type: 'ride' },
+      {
+        $setOnInsert: {
+          driverId,
+          rideId: ride._id,
+          ...this.calculateEarning(ride),
+          earnedAt: ride.payment.processedAt || new Date()
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Earnings entry fields for a ride's tip: the driver keeps all of it
+   *
+   * @param {Object} ride - Ride with serviceLevel and a paid tip
+   * @returns {Object} Earnings entry fields (without driverId/rideId)
+   */
+  static calculateTipEarning(ride) {
+    const tip = Math.round(ride.tip.amount * 100) / 100;
+    // A cash tip is already in the driver's hand
+    const cashCollected = ride.tip.method === 'cash' ? tip : 0;
+
+    return {
+      type: 'tip',
+      serviceLevel: ride.serviceLevel,
+      paymentMethod: ride.tip.method,
+      grossFare: 0,
+      promoDiscount: 0,
+      commissionRate: 0,
+      commission: 0,
+      tip,
+      earning: tip,
+      cashCollected,
+      netPayable: Math.round((tip - cashCollected) * 100) / 100
+    };
+  }
+
+  /**
+   * Write the earnings entry for a ride's paid tip. Safe to call more than once per ride.
+   *
+   * @param {Object} ride - Ride document with a completed tip
+   * @returns {Promise<Object|null>} Earnings entry, or null if the ride has no driver
+   */
+  static async recordTipEarning(ride) {
+    const driverId = ride.driverId?._id || ride.driverId;
+    if (!driverId) {
+      return null;
+    }
+
+    return DriverEarning.findOneAndUpdate(
+      { rideId: ride._id, type: 'tip' },
+      {
+        $setOnInsert: {
+          driverId,
+          rideId: ride._id,
+          ...this.calculateTipEarning(ride),
+          earnedAt: ride.tip.paidAt || new Date()
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Earnings entry fields for a cancelled ride's collected fee, with the ride's commission taken
+   *
+   * @param {Object} ride - Cancelled ride with serviceLevel and a collected cancellation fee
+   * @returns {Object} Earnings entry fields (without driverId/rideId)
+   */
+  static calculateCancellationFeeEarning(ride) {
+    const round = value => Math.round(value * 100) / 100;
+
+    const grossFare = round(ride.cancellation.fee);
+    const commissionRate = this.getCommissionRate(ride.serviceLevel);
+    const commission = round(grossFare * commissionRate / 100);
+    const earning = round(grossFare - commission);
+
+    return {
+      type: 'cancellation_fee',
+      serviceLevel: ride.serviceLevel,
+      paymentMethod: ride.cancellation.feePayment.method,
+      grossFare,
+      promoDiscount: 0,
+      commissionRate,
+      commission,
+      earning,
+      cashCollected: 0,
+      netPayable: earning
+    };
+  }
+
+  /**
+   * Write the earnings entry for a cancelled ride's collected fee. Safe to call more than once per ride.
+   *
+   * @param {Object} ride - Cancelled ride document with a completed fee payment
+   * @returns {Promise<Object|null>} Earnings entry, or null if the ride has no driver
+   */
+  static async recordCancellationFeeEarning(ride) {
+    const driverId = ride.driverId?._id || ride.driverId;
+    if (!driverId) {
+      return null;
+    }
+
+    return DriverEarning.findOneAndUpdate(
+      { rideId: ride._id, type: 'cancellation_fee' },
+      {
+        $setOnInsert: {
+          driverId,
+          rideId: ride._id,
+          ...this.calculateCancellationFeeEarning(ride),
+          earnedAt: ride.cancellation.feePayment.paidAt || new Date()
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Start of the payout week containing a date
+   *
+   * @param {Date} date - Any time in the week
+   * @returns {Date} Monday 00:00 UTC
+   */
+  static getWeekStart(date = new Date()) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+    return start;
+  }
+
+  /**
+   * Start the statement loop. Safe to call more than once.
+   */
+  static start() {
+    if (this._intervalId) {
+      return;
+    }
+
+    const run = () => this.generateStatements().catch(error => {
+      console.error('❌ Payout statement generation failed:', error);
+    });
+
+    this._intervalId = setInterval(run, this.STATEMENT_CHECK_INTERVAL);
+    run();
+
+    console.log('💸 Payout statements started (weekly, Monday 00:00 UTC)');
+  }
+
+  /**
+   * Stop the statement loop
+   */
+  static stop() {
+    if (this._intervalId) {
+      clearInterval(this._intervalId);
+      this._intervalId = null;
+    }
+  }
+
+  /**
+   * Issue statements for the last closed week to every driver with unsettled entries
+   *
+   * @param {Date} now - Reference time (default: current time)
+   * @returns {Promise<Array>} Statements created
+   */
+  static async generateStatements(now = new Date()) {
+    if (mongoose.connection.readyState !== 1) {
+      return [];
+    }
+
+    const periodEnd = this.getWeekStart(now);
+    const periodStart = new Date(periodEnd.getTime() - this.WEEK);
+
+    const driverIds = await DriverEarning.distinct('driverId', {
+      payoutId: null,
+      earnedAt: { $lt: periodEnd }
+    });
+
+    const statements = [];
+    for (const driverId of driverIds) {
+      const statement = await this.createStatement(driverId, periodStart, periodEnd);
+      if (statement) {
+        statements.push(statement);
+      }
+    }
+    return statements;
+  }
+
+  /**
+   * Create one driver's statement for a week. The unique (driverId, periodStart) index
+   * makes this a no-op if another instance already issued it.
+   *
+   * @param {string} driverId - Driver ID
+   * @param {Date} periodStart - Week start
+   * @param {Date} periodEnd - Week end
+   * @returns {Promise<Object|null>} Payout, or null if the statement already exists
+   */
+  static async createStatement(driverId, periodStart, periodEnd) {
+    const previous = await Payout.findOne({ driverId, periodStart: { $lt: periodStart } })
+      .sort({ periodStart: -1 });
+    const carriedForward = previous && previous.status === 'carried_forward' ? previous.netPayable : 0;
+
+    let payout;
+    try {
+      payout = await Payout.create({ driverId, periodStart, periodEnd, carriedForward });
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+
+    await DriverEarning.updateMany(
+      { driverId, payoutId: null, earnedAt: { $lt: periodEnd } },
+      { $set: { payoutId: payout._id } }
+    );
+
+    const totals = await this.getTotals({ payoutId: payout._id });
+    const netPayable = Math.round((totals.netPayable + carriedForward) * 100) / 100;
+
+    payout.set({
+      rideCount: totals.rideCount,
+      grossFares: totals.grossFares,
+      commission: totals.commission,
+      earnings: totals.earnings,
+      tips: totals.tips,
+      cashCollected: totals.cashCollected,
+      netPayable,
+      status: netPayable < 0 ? 'carried_forward' : 'pending'
+    });
+    await payout.save();
+
+    return payout;
+  }
+
+  /**
+   * Mark a pending statement as paid out
+   *
+   * @param {string} payoutId - Payout ID
+   * @param {string} reference - Bank transfer reference
+   * @returns {Promise<Object|null>} Updated payout, or null if it was not pending
+   */
+  static async markPaid(payoutId, reference = null) {
+    return Payout.findOneAndUpdate(
+      { _id: payoutId, status: 'pending' },
+      { $set: { status: 'paid', paidAt: new Date(), reference } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Earnings summary for a driver: the open week, lifetime totals and unpaid statements
+   *
+   * @param {string} driverId - Driver ID
+   * @param {Date} now - Reference time (default: current time)
+   * @returns {Promise<Object>} Summary
+   */
+  static async getSummary(driverId, now = new Date()) {
+    const driverObjectId = new mongoose.Types.ObjectId(String(driverId));
+    const periodStart = this.getWeekStart(now);
+
+    const [unsettled, lifetime, pendingPayouts, lastStatement] = await Promise.all([
+      this.getTotals({ driverId: driverObjectId, payoutId: null }),
+      this.getTotals({ driverId: driverObjectId }),
+      Payout.aggregate([
+        { $match: { driverId: driverObjectId, status: 'pending' } },
+        { $group: { _id: null, amount: { $sum: '$netPayable' }, count: { $sum: 1 } } }
+      ]),
+      Payout.findOne({ driverId: driverObjectId }).sort({ periodStart: -1 })
+    ]);
+
+    return {
+      currentPeriod: {
+        periodStart,
+        periodEnd: new Date(periodStart.getTime() + this.WEEK),
+        ...unsettled,
+        carriedForward: lastStatement && lastStatement.status === 'carried_forward' ? lastStatement.netPayable : 0
+      },
+      lifetime,
+      pendingPayout: {
+        amount: Math.round((pendingPayouts[0]?.amount || 0) * 100) / 100,
+        statements: pendingPayouts[0]?.count || 0
+      },
+      commissionRates: this.COMMISSION_RATES
+    };
+  }
+
+  /**
+   * Sum earnings entries matching a filter
+   *
+   * @param {Object} match - Aggregation $match (ObjectIds must already be cast)
+   * @returns {Promise<Object>} { rideCount, grossFares, commission, earnings, tips, cashCollected, netPayable }
+   */
+  static async getTotals(match) {
+    const [totals] = await DriverEarning.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          // Tips belong to a ride that is already counted, and cancellation fees to no completed ride
+          rideCount: { $sum: { $cond: [{ $in: ['$type', ['tip', 'cancellation_fee']] }, 0, 1] } },
+          grossFares: { $sum: '$grossFare' },
+          commission: { $sum: '$commission' },
+          earnings: { $sum: '$earning' },
+          tips: { $sum: '$tip' },
+          cashCollected: { $sum: '$cashCollected' },
+          netPayable: { $sum: '$netPayable' }
+        }
+      }
+    ]);
+
+    const round = value => Math.round((value || 0) * 100) / 100;
+    return {
+      rideCount: totals?.rideCount || 0,
+      grossFares: round(totals?.grossFares),
+      commission: round(totals?.commission),
+      earnings: round(totals?.earnings),
+      tips: round(totals?.tips),
+      cashCollected: round(totals?.cashCollected),
+      netPayable: round(totals?.netPayable)
+    };
+  }
+
+  /**
+   * Filter for a driver's entries within an optional date range
+   *
+   * @param {string} driverId - Driver ID
+   * @param {Object} range - { from?, to? }
+   * @returns {Object} Mongo filter
+   */
+  static buildEntryFilter(driverId, { from, to } = {}) {
+    const filter = { driverId };
+    if (from || to) {
+      filter.earnedAt = {};
+      if (from) {
+        filter.earnedAt.$gte = new Date(from);
+      }
+      if (to) {
+        filter.earnedAt.$lte = new Date(to);
+      }
+    }
+    return filter;
+  }
+
+  /**
+   * Render earnings entries as CSV
+   *
+   * @param {Array} entries - Earnings entries, rideId optionally populated with addresses
+   * @returns {string} CSV text with a header row
+   */
+  static toCsv(entries) {
+    const header = [
+      'Date', 'Ride ID', 'Pickup', 'Destination', 'Service Level', 'Payment Method',
+      'Type', 'Gross Fare', 'Promo Discount', 'GST', 'Commission %', 'Commission', 'Tip', 'Earning',
+      'Cash Collected', 'Net Payable', 'Settled'
+    ];
+
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = entries.map(entry => {
+      const ride = entry.rideId && entry.rideId._id ? entry.rideId : null;
+      return [
+        new Date(entry.earnedAt).toISOString(),
+        ride ? ride._id : entry.rideId,
+        ride?.pickup?.address,
+        ride?.destination?.address,
+        entry.serviceLevel,
+        entry.paymentMethod,
+        entry.type || 'ride',
+        entry.grossFare.toFixed(2),
+        entry.promoDiscount.toFixed(2),
+        (entry.tax || 0).toFixed(2),
+        entry.commissionRate,
+        entry.commission.toFixed(2),
+        (entry.tip || 0).toFixed(2),
+        entry.earning.toFixed(2),
+        entry.cashCollected.toFixed(2),
+        entry.netPayable.toFixed(2),
+        entry.payoutId ? 'yes' : 'no'
+      ].map(escape).join(',');
+    });
+
+    return [header.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = EarningsService;
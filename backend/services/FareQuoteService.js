@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { haversineDistance } = require('../utils/geo');
+
+/**
+ * Fare Quote Service
+ *
+ * Issues signed, time-limited quote IDs for fare estimates so a booking can be priced
+ * exactly as the rider saw it. Quotes are stateless: the quoted route (with any stops), service level,
+ * surge and fare travel inside the ID and are protected by an HMAC signature.
+ *
+ * Format: <hex-encoded JSON payload>.<hex HMAC-SHA256 signature>
+ * Hex keeps the ID free of characters the request sanitizer rewrites.
+ */
+class FareQuoteService {
+  // Configuration constants
+  static QUOTE_TTL = (parseInt(process.env.FARE_QUOTE_TTL_MINUTES, 10) || 5) * 60 * 1000;
+  static LOCATION_TOLERANCE_KM = 0.1; // Booked points may drift 100m from the quoted ones
+  static VERSION = 1;
+
+  /**
+   * Create a quote for a fare estimate
+   *
+   * @param {Object} quote - Quoted trip
+   * @param {Array} quote.pickup - Pickup coordinates [longitude, latitude]
+   * @param {Array} quote.destination - Destination coordinates [longitude, latitude]
+   * @param {Array} quote.stops - Intermediate stop coordinates, in order (default: none)
+   * @param {string} quote.serviceLevel - Quoted service level
+   * @param {number} quote.surgeMultiplier - Surge applied to the quote
+   * @param {string|null} quote.surgeCellId - Surge cell of the pickup
+   * @param {number} quote.fare - Quoted total fare
+   * @param {Date} now - Reference time (default: current time)
+   * @returns {Object} { quoteId, expiresAt }
+   */
+  static createQuote({ pickup, destination, stops = [], serviceLevel, surgeMultiplier, surgeCellId = null, fare }, now = new Date()) {
+    const expiresAt = new Date(now.getTime() + this.QUOTE_TTL);
+    const payload = {
+      v: this.VERSION,
+      id: crypto.randomBytes(8).toString('hex'),
+      pickup,
+      destination,
+      stops,
+      serviceLevel,
+      surgeMultiplier,
+      surgeCellId,
+      fare,
+      iat: now.getTime(),
+      exp: expiresAt.getTime()
+    };
+
+    const encoded = Buffer.from(JSON.stringify(payload), 'utf8').toString('hex');
+    return {
+      quoteId: `${encoded}.${this._sign(encoded)}`,
+      expiresAt
+    };
+  }
+
+  /**
+   * Verify a quote ID and check it matches the trip being booked
+   *
+   * @param {string} quoteId - Quote ID from createQuote
+   * @param {Object} booking - Trip being booked
+   * @param {Array} booking.pickup - Pickup coordinates [longitude, latitude]
+   * @param {Array} booking.destination - Destination coordinates [longitude, latitude]
+   * @param {Array} booking.stops - Intermediate stop coordinates, in order (default: none)
+   * @param {string} booking.serviceLevel - Requested service level
+   * @param {Date} now - Reference time (default: current time)
+   * @returns {Object} { valid, quote?, error?, message? }
+   */
+  static verifyQuote(quoteId, { pickup, destination, stops = [], serviceLevel }, now = new Date()) {
+    const invalid = {
+      valid: false,
+      error: 'INVALID_QUOTE',
+      message: 'Fare quote is invalid. Please request a new estimate.'
+    };
+
+    const [encoded, signature] = typeof quoteId === 'string' ? quoteId.split('.') : [];
+    if (!encoded || !signature || !/^[0-9a-f]+$/.test(signature)) {
+      return invalid;
+    }
+
+    const expected = Buffer.from(this._sign(encoded), 'hex');
+    const provided = Buffer.from(signature, 'hex');
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return invalid;
+    }
+
+    let quote;
+    try {
+      quote = JSON.parse(Buffer.from(encoded, 'hex').toString('utf8'));
+    } catch (error) {
+      return invalid;
+    }
+
+    if (quote.v !== this.VERSION) {
+      return invalid;
+    }
+
+    if (now.getTime() > quote.exp) {
+      return {
+        valid: false,
+        error: 'QUOTE_EXPIRED',
+        message: 'Fare quote has expired. Please request a new estimate.'
+      };
+    }
+
+    const quotedStops = quote.stops || [];
+    const routeMatches =
+      haversineDistance(quote.pickup, pickup) <= this.LOCATION_TOLERANCE_KM &&
+      haversineDistance(quote.destination, destination) <= this.LOCATION_TOLERANCE_KM &&
+      quotedStops.length === stops.length &&
+      quotedStops.every((stop, index) => haversineDistance(stop, stops[index]) <= this.LOCATION_TOLERANCE_KM);
+
+    if (!routeMatches || quote.serviceLevel !== serviceLevel) {
+      return {
+        valid: false,
+        error: 'QUOTE_MISMATCH',
+        message: 'Fare quote does not match the requested trip. Please request a new estimate.'
+      };
+    }
+
+    return {
+      valid: true,
+      quote: {
+        ...quote,
+        issuedAt: new Date(quote.iat),
+        expiresAt: new Date(quote.exp)
+      }
+    };
+  }
+
+  /**
+   * HMAC signature of an encoded payload
+   * @private
+   */
+  static _sign(encoded) {
+    const secret = process.env.FARE_QUOTE_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('FARE_QUOTE_SECRET or JWT_SECRET environment variable is required');
+    }
+
+    return crypto.createHmac('sha256', secret).update(encoded).digest('hex');
+  }
+}
+
+module.exports = FareQuoteService;
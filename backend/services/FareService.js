@@ -1,8 +1,11 @@
+const { envNumber } = require('../utils/env');
+
 /**
  * Fare Calculation Service
  * 
  * Implements dynamic fare calculation with configurable pricing components:
- * Formula: base_fare + (per_km * distance) + (per_min * duration) * surge_multiplier
+ * Formula: base_fare + (per_km * distance) + (per_min * duration) * surge_multiplier + stop_fee * stops
+ *          + waiting_rate * minutes waited at pickup beyond the free window
  * 
  * Performance Characteristics:
  * - Time Complexity: O(1) for fare calculations
@@ -22,6 +25,7 @@ class FareService {
     perKmRate: 12,         // Rate per kilometer (₹/km)
     perMinRate: 2,         // Rate per minute (₹/min)
     minimumFare: 75,       // Minimum fare regardless of distance/time (₹)
+    stopWaitingFee: 20,    // Waiting fee per intermediate stop (₹), not surged
     maximumFare: 5000,     // Maximum fare cap for safety (₹)
 
     // Surge pricing thresholds
@@ -40,6 +44,24 @@ class FareService {
     }
   };
 
+  // Cancellation fee policy (in INR)
+  static CANCELLATION_POLICY = {
+    freeWindowMinutes: envNumber('CANCELLATION_FREE_WINDOW_MINUTES', 2), // Free after booking
+    riderFee: envNumber('CANCELLATION_FEE', 50),                         // Fixed fee (₹)
+    chargeableStatuses: ['accepted', 'arrived', 'in_progress']           // Driver already committed
+  };
+
+  // Waiting at pickup: free for a few minutes after the driver arrives, then charged per minute
+  static WAITING_POLICY = {
+    freeMinutes: envNumber('WAITING_FREE_MINUTES', 3),
+    perMinuteRate: envNumber('WAITING_CHARGE_PER_MINUTE', 2) // ₹/min, scaled by service level, not surged
+  };
+
+  // Fare lock: a quoted fare is honoured while the metered fare stays within this band
+  static FARE_LOCK_POLICY = {
+    tolerancePercent: envNumber('FARE_LOCK_TOLERANCE_PERCENT', 15)
+  };
+
   /**
    * Calculate fare for a ride based on distance, duration, and surge conditions
    * 
@@ -47,12 +69,13 @@ class FareService {
    * @param {number} duration - Duration in minutes
    * @param {number} surgeMultiplier - Surge pricing multiplier (default: 1.0)
    * @param {string} serviceLevel - Service level: 'economy', 'comfort', 'premium' (default: 'economy')
+   * @param {number} stopCount - Intermediate stops between pickup and destination (default: 0)
    * @returns {Object} Detailed fare breakdown with all components
    */
-  static calculateFare(distance, duration, surgeMultiplier = 1.0, serviceLevel = 'economy') {
+  static calculateFare(distance, duration, surgeMultiplier = 1.0, serviceLevel = 'economy', stopCount = 0) {
     try {
       // Input validation
-      this._validateFareInputs(distance, duration, surgeMultiplier, serviceLevel);
+      this._validateFareInputs(distance, duration, surgeMultiplier, serviceLevel, stopCount);
 
       const config = this.PRICING_CONFIG;
       const serviceLevelMultiplier = config.serviceLevels[serviceLevel] || 1.0;
@@ -67,7 +90,10 @@ class FareService {
 
       // Apply surge pricing
       const surgeFare = subtotal * (surgeMultiplier - 1.0);
-      const totalBeforeCap = subtotal + surgeFare;
+
+      // Waiting at each stop is charged on top, without surge
+      const stopFare = stopCount * config.stopWaitingFee * serviceLevelMultiplier;
+      const totalBeforeCap = subtotal + surgeFare + stopFare;
 
       // Apply minimum and maximum fare caps
       let totalFare = Math.max(totalBeforeCap, config.minimumFare);
@@ -83,6 +109,7 @@ class FareService {
         distanceFare: this._roundToTwoDecimals(distanceFare),
         timeFare: this._roundToTwoDecimals(timeFare),
         surgeFare: this._roundToTwoDecimals(surgeFare),
+        stopFare: this._roundToTwoDecimals(stopFare),
 
         // Totals
         subtotal: this._roundToTwoDecimals(subtotal),
@@ -105,6 +132,7 @@ class FareService {
         tripDetails: {
           distance: this._roundToTwoDecimals(distance),
           duration: Math.round(duration),
+          stops: stopCount,
           estimatedAt: new Date()
         },
 
@@ -113,6 +141,7 @@ class FareService {
           baseRate: config.baseFare,
           perKmRate: config.perKmRate,
           perMinRate: config.perMinRate,
+          stopWaitingFee: config.stopWaitingFee,
           currency: 'INR'
         }
       };
@@ -173,21 +202,22 @@ class FareService {
    * @param {Object} options - Additional options
    * @param {string} options.serviceLevel - Service level
    * @param {Object} options.demandData - Current demand data for surge calculation
+   * @param {number} options.stopCount - Intermediate stops
    * @returns {Object} Fare estimate with range and surge info
    */
   static estimateFare(distance, duration, options = {}) {
     try {
-      const { serviceLevel = 'economy', demandData = {} } = options;
+      const { serviceLevel = 'economy', demandData = {}, stopCount = 0 } = options;
 
       // Calculate current surge multiplier
       const currentSurge = this.calculateSurgeMultiplier(demandData);
 
       // Calculate fare with current conditions
-      const currentFare = this.calculateFare(distance, duration, currentSurge, serviceLevel);
+      const currentFare = this.calculateFare(distance, duration, currentSurge, serviceLevel, stopCount);
 
       // Calculate fare range (no surge to peak surge)
-      const minFare = this.calculateFare(distance, duration, 1.0, serviceLevel);
-      const maxFare = this.calculateFare(distance, duration, this.PRICING_CONFIG.surgePricing.peak, serviceLevel);
+      const minFare = this.calculateFare(distance, duration, 1.0, serviceLevel, stopCount);
+      const maxFare = this.calculateFare(distance, duration, this.PRICING_CONFIG.surgePricing.peak, serviceLevel, stopCount);
 
       return {
         estimatedFare: currentFare.totalFare,
@@ -224,6 +254,10 @@ class FareService {
    * @param {number} rideData.estimatedFare - Originally estimated fare
    * @param {string} rideData.serviceLevel - Service level used
    * @param {number} rideData.surgeMultiplier - Surge multiplier at booking time
+   * @param {number} rideData.stopCount - Intermediate stops on the ride
+   * @param {number} rideData.waitingMinutes - Minutes the driver waited at pickup
+   * @param {number} rideData.quotedFare - Fare locked by a quote at booking (optional)
+   * @param {number} rideData.tolerancePercent - Allowed deviation from the quote before re-pricing
    * @returns {Object} Final fare calculation with comparison to estimate
    */
   static calculateFinalFare(rideData) {
@@ -233,11 +267,43 @@ class FareService {
         actualDuration,
         estimatedFare,
         serviceLevel = 'economy',
-        surgeMultiplier = 1.0
+        surgeMultiplier = 1.0,
+        stopCount = 0,
+        waitingMinutes = 0,
+        quotedFare = null,
+        tolerancePercent = this.FARE_LOCK_POLICY.tolerancePercent
       } = rideData;
 
       // Calculate final fare based on actual metrics
-      const finalFare = this.calculateFare(actualDistance, actualDuration, surgeMultiplier, serviceLevel);
+      const meteredFare = this.calculateFare(actualDistance, actualDuration, surgeMultiplier, serviceLevel, stopCount);
+      const finalFare = { ...meteredFare };
+      let fareLock = null;
+
+      // Honour the quote unless the trip deviated beyond the tolerance band
+      if (quotedFare !== null && quotedFare !== undefined) {
+        const deviationPercent = ((meteredFare.totalFare - quotedFare) / quotedFare) * 100;
+        const withinTolerance = Math.abs(deviationPercent) <= tolerancePercent;
+
+        if (withinTolerance) {
+          finalFare.totalFare = this._roundToTwoDecimals(quotedFare);
+        }
+
+        fareLock = {
+          quotedFare,
+          meteredFare: meteredFare.totalFare,
+          tolerancePercent,
+          deviationPercent: this._roundToTwoDecimals(deviationPercent),
+          status: withinTolerance ? 'honoured' : 'repriced'
+        };
+      }
+
+      // Waiting is billed on top of the trip fare, including a quoted one
+      const waiting = this.calculateWaitingCharge(waitingMinutes, serviceLevel);
+      finalFare.waitingFare = waiting.waitingFare;
+      finalFare.waiting = waiting;
+      finalFare.totalFare = this._roundToTwoDecimals(
+        Math.min(finalFare.totalFare + waiting.waitingFare, this.PRICING_CONFIG.maximumFare)
+      );
 
       // Compare with original estimate
       const fareComparison = {
@@ -252,6 +318,7 @@ class FareService {
       return {
         ...finalFare,
         comparison: fareComparison,
+        fareLock,
         finalizedAt: new Date(),
 
         // Billing information
@@ -269,6 +336,69 @@ class FareService {
     }
   }
 
+  /**
+   * Calculate the charge for waiting at pickup
+   *
+   * Only whole minutes past the free window are charged.
+   *
+   * @param {number} waitingMinutes - Minutes between the driver arriving and the trip starting
+   * @param {string} serviceLevel - Service level (default: 'economy')
+   * @returns {Object} { waitingMinutes, freeMinutes, chargeableMinutes, ratePerMinute, waitingFare }
+   */
+  static calculateWaitingCharge(waitingMinutes, serviceLevel = 'economy') {
+    const policy = this.WAITING_POLICY;
+    const serviceLevelMultiplier = this.PRICING_CONFIG.serviceLevels[serviceLevel] || 1.0;
+    const minutes = Math.max(Number(waitingMinutes) || 0, 0);
+    const chargeableMinutes = Math.floor(Math.max(minutes - policy.freeMinutes, 0));
+    const ratePerMinute = this._roundToTwoDecimals(policy.perMinuteRate * serviceLevelMultiplier);
+
+    return {
+      waitingMinutes: this._roundToTwoDecimals(minutes),
+      freeMinutes: policy.freeMinutes,
+      chargeableMinutes,
+      ratePerMinute,
+      waitingFare: this._roundToTwoDecimals(chargeableMinutes * ratePerMinute)
+    };
+  }
+
+  /**
+   * Calculate the fee owed when a ride is cancelled
+   *
+   * Riders cancel for free within the free window after booking, or while no driver
+   * has accepted yet. After acceptance a fixed fee applies. Cancellations made by
+   * drivers, admins or the system never charge the rider.
+   *
+   * @param {Object} cancellation - Cancellation context
+   * @param {string} cancellation.status - Ride status at the time of cancellation
+   * @param {string} cancellation.cancelledBy - 'rider', 'driver', 'admin' or 'system'
+   * @param {Date|string} cancellation.requestedAt - When the ride was booked
+   * @param {Date} cancellation.cancelledAt - When the cancellation happens (default: now)
+   * @returns {Object} Fee amount and the policy rule that produced it
+   */
+  static calculateCancellationFee({ status, cancelledBy, requestedAt, cancelledAt = new Date() }) {
+    const policy = this.CANCELLATION_POLICY;
+    const noFee = (reason) => ({ fee: 0, reason, currency: 'INR' });
+
+    if (cancelledBy !== 'rider') {
+      return noFee('NOT_RIDER_INITIATED');
+    }
+
+    if (!policy.chargeableStatuses.includes(status)) {
+      return noFee('NO_DRIVER_ASSIGNED');
+    }
+
+    const minutesSinceBooking = (new Date(cancelledAt).getTime() - new Date(requestedAt).getTime()) / 60000;
+    if (minutesSinceBooking <= policy.freeWindowMinutes) {
+      return noFee('FREE_WINDOW');
+    }
+
+    return {
+      fee: this._roundToTwoDecimals(policy.riderFee),
+      reason: 'DRIVER_ALREADY_ASSIGNED',
+      currency: 'INR'
+    };
+  }
+
   /**
    * Get pricing configuration for display purposes
    * 
@@ -292,8 +422,9 @@ class FareService {
    * @param {number} duration - Duration to validate
    * @param {number} surgeMultiplier - Surge multiplier to validate
    * @param {string} serviceLevel - Service level to validate
+   * @param {number} stopCount - Stop count to validate
    */
-  static _validateFareInputs(distance, duration, surgeMultiplier, serviceLevel) {
+  static _validateFareInputs(distance, duration, surgeMultiplier, serviceLevel, stopCount = 0) {
     if (typeof distance !== 'number' || distance < 0 || distance > 1000) {
       throw new Error('Distance must be a positive number less than 1000km');
     }
@@ -309,6 +440,10 @@ class FareService {
     if (!this.PRICING_CONFIG.serviceLevels.hasOwnProperty(serviceLevel)) {
       throw new Error(`Invalid service level: ${serviceLevel}`);
     }
+
+    if (!Number.isInteger(stopCount) || stopCount < 0 || stopCount > 10) {
+      throw new Error('Stop count must be a whole number between 0 and 10');
+    }
   }
 
   /**
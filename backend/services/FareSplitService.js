@@ -0,0 +1,295 @@
+const { Ride, User } = require('../models');
+
+/**
+ * Fare Split Service
+ *
+ * Shares a ride's fare between the booking rider and co-riders they invite by phone.
+ *
+ * Rules:
+ * - The booking rider holds the first share and is always a participant
+ * - Co-riders must be registered riders; each accepts or declines their invitation
+ * - Shares keep the co-rider's user ID and a masked phone for display, never the phone itself;
+ *   only the booking rider (and admins) see the masked phones
+ * - When the split is changed, co-riders already on it can be kept by user ID
+ * - Even splits divide the fare between accepted participants; custom splits use the
+ *   requested percentages, which must add up to 100
+ * - Declined or unanswered shares fall back to the booking rider when the ride completes
+ *
+ * Payment:
+ * - Share amounts are fixed from the final fare on completion
+ * - Each participant pays their share through /api/payments/process
+ * - The ride payment only becomes 'completed' once every share is paid
+ */
+class FareSplitService {
+  static MAX_CO_RIDERS = parseInt(process.env.FARE_SPLIT_MAX_CO_RIDERS, 10) || 4;
+
+  // Rides whose split can still be changed or answered
+  static OPEN_STATUSES = ['scheduled', 'requested', 'matched', 'accepted', 'arrived', 'in_progress'];
+
+  /**
+   * Check a split request from the booking rider
+   *
+   * @param {Object} params - Split request
+   * @param {string} params.mode - 'even' or 'custom'
+   * @param {Array} params.participants - Co-riders [{ phone or userId, percentage? }]
+   * @param {number} params.riderPercentage - Booking rider's percentage (custom splits)
+   * @returns {Object} { valid, error?, message? }
+   */
+  static validateSplit({ mode, participants, riderPercentage }) {
+    const reject = (error, message) => ({ valid: false, error, message });
+
+    if (participants.length > this.MAX_CO_RIDERS) {
+      return reject('TOO_MANY_CO_RIDERS', `A fare can be split with at most ${this.MAX_CO_RIDERS} co-riders`);
+    }
+
+    const keys = participants.map(({ phone, userId }) => userId || phone);
+    if (new Set(keys).size !== keys.length) {
+      return reject('DUPLICATE_CO_RIDER', 'Each co-rider can only be invited once');
+    }
+
+    if (mode === 'custom') {
+      const percentages = [riderPercentage, ...participants.map(({ percentage }) => percentage)];
+      if (percentages.some(percentage => typeof percentage !== 'number' || percentage <= 0)) {
+        return reject('INVALID_SPLIT_PERCENTAGES', 'Custom splits need a percentage for every participant');
+      }
+
+      const total = percentages.reduce((sum, percentage) => sum + percentage, 0);
+      if (Math.abs(total - 100) > 0.01) {
+        return reject('INVALID_SPLIT_PERCENTAGES', 'Split percentages must add up to 100');
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Phone shown for a co-rider: only the last four digits are kept
+   *
+   * @param {string} phone - Phone number
+   * @returns {string} e.g. '+••••••••3210'
+   */
+  static maskPhone(phone) {
+    return phone.slice(0, -4).replace(/\d/g, '•') + phone.slice(-4);
+  }
+
+  /**
+   * Build the shares for a split: the booking rider first, then one invitation per co-rider
+   *
+   * @param {string} riderId - Booking rider ID
+   * @param {Object} params - Validated split request { mode, participants, riderPercentage }
+   * @param {Array} previousShares - Shares of the split being replaced, for co-riders kept by user ID
+   * @returns {Promise<Object>} { success, split?, error?, message? }
+   */
+  static async buildSplit(riderId, { mode, participants, riderPercentage }, previousShares = []) {
+    const custom = mode === 'custom';
+    const shares = [{
+      userId: riderId,
+      status: 'accepted',
+      respondedAt: new Date(),
+      percentage: custom ? riderPercentage : null
+    }];
+
+    // Phones are stored encrypted, so co-riders are looked up one at a time by phone hash
+    for (const { phone, userId, percentage } of participants) {
+      if (userId) {
+        const kept = previousShares.slice(1).find(share => share.userId.toString() === userId.toString());
+        if (!kept) {
+          return { success: false, error: 'CO_RIDER_NOT_FOUND', message: 'That co-rider is not on this split' };
+        }
+        shares.push({
+          userId: kept.userId,
+          maskedPhone: kept.maskedPhone,
+          status: 'invited',
+          percentage: custom ? percentage : null
+        });
+        continue;
+      }
+
+      const user = await User.findByPhone(phone);
+      if (!user || user.role !== 'rider' || !user.isActive) {
+        return { success: false, error: 'CO_RIDER_NOT_FOUND', message: `No rider account found for ${phone}` };
+      }
+      if (user._id.toString() === riderId.toString()) {
+        return { success: false, error: 'INVALID_CO_RIDER', message: 'You cannot invite yourself to split a fare' };
+      }
+      shares.push({
+        userId: user._id,
+        maskedPhone: this.maskPhone(phone),
+        status: 'invited',
+        percentage: custom ? percentage : null
+      });
+    }
+
+    // A kept co-rider may also have been re-invited by phone
+    const userIds = shares.map(share => share.userId.toString());
+    if (new Set(userIds).size !== userIds.length) {
+      return { success: false, error: 'DUPLICATE_CO_RIDER', message: 'Each co-rider can only be invited once' };
+    }
+
+    return { success: true, split: { mode, shares } };
+  }
+
+  /**
+   * Whether a user may see the co-riders' masked phones: the booking rider and admins only
+   *
+   * @param {Object} ride - Ride (riderId may be populated)
+   * @param {Object} user - User the ride is sent to
+   * @returns {boolean}
+   */
+  static canSeeCoRiderPhones(ride, user) {
+    const riderId = ride.riderId?._id || ride.riderId;
+    return user.role === 'admin' || (Boolean(riderId) && riderId.toString() === user._id.toString());
+  }
+
+  /**
+   * A ride as a user may see it, without co-riders' phones unless they may see them
+   *
+   * @param {Object} ride - Ride document or plain object
+   * @param {Object} user - User the ride is sent to
+   * @returns {Object} Plain ride
+   */
+  static forViewer(ride, user) {
+    const plain = typeof ride.toJSON === 'function' ? ride.toJSON() : { ...ride };
+    if (!plain.fareSplit || this.canSeeCoRiderPhones(plain, user)) {
+      return plain;
+    }
+
+    return {
+      ...plain,
+      fareSplit: {
+        ...plain.fareSplit,
+        shares: plain.fareSplit.shares.map(share => ({ ...share, maskedPhone: null }))
+      }
+    };
+  }
+
+  /**
+   * Find a user's share of a ride's fare
+   *
+   * @param {Object} ride - Ride (fareSplit may be null)
+   * @param {string} userId - User ID
+   * @returns {Object|null} Share, or null if the user is not part of the split
+   */
+  static findShare(ride, userId) {
+    if (!ride.fareSplit) {
+      return null;
+    }
+    return ride.fareSplit.shares.find(share => share.userId.toString() === userId.toString()) || null;
+  }
+
+  /**
+   * Whether a ride's fare is paid in shares (at least one co-rider accepted)
+   *
+   * @param {Object} ride - Ride
+   * @returns {boolean}
+   */
+  static isSplit(ride) {
+    return Boolean(ride.fareSplit) && ride.fareSplit.shares.filter(share => share.status === 'accepted').length > 1;
+  }
+
+  /**
+   * Divide a fare between the accepted shares
+   *
+   * Amounts are rounded down to the paisa and the remainder goes to the booking rider, so the
+   * shares always add up to the fare. In custom splits the percentages of declined or
+   * unanswered shares are added to the booking rider's.
+   *
+   * @param {Object} split - { mode, shares }
+   * @param {number} fare - Amount to divide
+   * @returns {Array<number|null>} Amount per share, in share order (null for shares that do not pay)
+   */
+  static calculateShares(split, fare) {
+    const farePaise = Math.round(fare * 100);
+    const accepted = split.shares.map(share => share.status === 'accepted');
+
+    let weights;
+    if (split.mode === 'custom') {
+      const unclaimed = split.shares
+        .filter((share, index) => !accepted[index])
+        .reduce((sum, share) => sum + (share.percentage || 0), 0);
+      weights = split.shares.map((share, index) => {
+        if (!accepted[index]) {
+          return 0;
+        }
+        return index === 0 ? share.percentage + unclaimed : share.percentage;
+      });
+    } else {
+      weights = accepted.map(isAccepted => (isAccepted ? 1 : 0));
+    }
+
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const paise = weights.map(weight => Math.floor(farePaise * weight / totalWeight));
+    paise[0] += farePaise - paise.reduce((sum, amount) => sum + amount, 0);
+
+    return paise.map((amount, index) => (accepted[index] ? amount / 100 : null));
+  }
+
+  /**
+   * Fix share amounts from the final fare of a completing ride. Unanswered invitations expire.
+   * Changes are made on the ride document; the caller saves it.
+   *
+   * @param {Object} ride - Ride document with its final fare set
+   * @returns {boolean} Whether the fare is paid in shares
+   */
+  static applyFinalFare(ride) {
+    if (!ride.fareSplit) {
+      return false;
+    }
+
+    ride.fareSplit.shares.forEach(share => {
+      if (share.status === 'invited') {
+        share.status = 'expired';
+      }
+    });
+
+    if (!this.isSplit(ride)) {
+      return false;
+    }
+
+    const amounts = this.calculateShares(ride.fareSplit, ride.fare.final || ride.fare.estimated);
+    ride.fareSplit.shares.forEach((share, index) => {
+      share.amount = amounts[index];
+    });
+    ride.payment.method = 'split';
+    return true;
+  }
+
+  /**
+   * Rides where a user has been invited to share the fare, newest first
+   *
+   * @param {string} userId - Co-rider ID
+   * @returns {Promise<Array>} Rides with the booking rider populated
+   */
+  static async getInvitations(userId) {
+    return Ride.find({
+      riderId: { $ne: userId },
+      'fareSplit.shares.userId': userId
+    })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate('riderId', 'profile.name phone');
+  }
+
+  /**
+   * Complete a split ride's payment once every accepted share is paid
+   *
+   * @param {string} rideId - Ride ID
+   * @returns {Promise<Object|null>} Ride if this call completed the ride payment, else null
+   */
+  static async completeIfSettled(rideId) {
+    return Ride.findOneAndUpdate(
+      {
+        _id: rideId,
+        'payment.method': 'split',
+        'payment.status': { $ne: 'completed' },
+        'fareSplit.shares': {
+          $not: { $elemMatch: { status: 'accepted', 'payment.status': { $ne: 'completed' } } }
+        }
+      },
+      { $set: { 'payment.status': 'completed', 'payment.processedAt': new Date() } },
+      { new: true }
+    );
+  }
+}
+
+module.exports = FareSplitService;
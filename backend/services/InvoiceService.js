@@ -0,0 +1,331 @@
+const { Invoice, User } = require('../models');
+const { envNumber } = require('../utils/env');
+const { haversineDistance } = require('../utils/geo');
+const { renderTextPdf } = require('../utils/pdf');
+
+/**
+ * Invoice Service
+ *
+ * Issues GST tax invoices for paid rides.
+ *
+ * Numbering:
+ * - Numbers look like CAB/2627/000042: prefix, financial year (April-March, IST), sequence
+ * - Each financial year is its own series and runs 1, 2, 3... with no gaps. The next number is
+ *   taken from the last invoice written, and the unique (series, sequence) index turns a race
+ *   between two issuers into a retry, so a number is never skipped or used twice
+ *
+ * Tax:
+ * - Fares are tax-inclusive; the invoice splits the amount charged into taxable value and tax
+ * - The rate is configured per service level (GST_PERCENT_*) and can be overridden per region
+ * - The place of supply is the region containing the pickup: CGST + SGST when it is the
+ *   supplier's registered state, IGST otherwise
+ * - Tips are passed to the driver and are not invoiced
+ */
+
+// Regions matched by distance from their center; `rates` overrides the service level rates
+const DEFAULT_REGIONS = [
+  { code: 'KA', name: 'Karnataka', center: [77.5946, 12.9716], radiusKm: 60 },
+  { code: 'MH', name: 'Maharashtra', center: [72.8777, 19.0760], radiusKm: 60 },
+  { code: 'DL', name: 'Delhi', center: [77.2090, 28.6139], radiusKm: 50 },
+  { code: 'TN', name: 'Tamil Nadu', center: [80.2707, 13.0827], radiusKm: 50 },
+  { code: 'TG', name: 'Telangana', center: [78.4867, 17.3850], radiusKm: 50 }
+];
+
+const parseRegions = () => {
+  if (!process.env.TAX_REGIONS) {
+    return DEFAULT_REGIONS;
+  }
+  try {
+    return JSON.parse(process.env.TAX_REGIONS);
+  } catch (error) {
+    console.warn('⚠️  TAX_REGIONS is not valid JSON; using the default regions');
+    return DEFAULT_REGIONS;
+  }
+};
+
+class InvoiceService {
+  static PREFIX = process.env.INVOICE_PREFIX || 'CAB';
+  // SAC 996412: taxi services, including radio taxi
+  static SAC_CODE = '996412';
+  static SUPPLIER = {
+    name: process.env.INVOICE_SUPPLIER_NAME || 'Cab Aggregator Local Edition',
+    gstin: process.env.GSTIN || null,
+    address: process.env.INVOICE_SUPPLIER_ADDRESS || null,
+    stateCode: process.env.GST_STATE_CODE || 'KA'
+  };
+  // GST in percent of the taxable value
+  static TAX_RATES = {
+    economy: envNumber('GST_PERCENT_ECONOMY', 5),
+    comfort: envNumber('GST_PERCENT_COMFORT', 5),
+    premium: envNumber('GST_PERCENT_PREMIUM', 12)
+  };
+  static REGIONS = parseRegions();
+  static MAX_NUMBERING_ATTEMPTS = 5;
+  static IST_OFFSET = 330 * 60 * 1000; // UTC+05:30
+
+  /**
+   * Financial year series an invoice date belongs to
+   *
+   * @param {Date} date - Invoice date
+   * @returns {string} e.g. '2627' for April 2026 to March 2027
+   */
+  static getFinancialYear(date = new Date()) {
+    const ist = new Date(date.getTime() + this.IST_OFFSET);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${String(startYear).slice(-2)}${String(startYear + 1).slice(-2)}`;
+  }
+
+  /**
+   * Invoice number for a position in a series
+   *
+   * @param {string} series - Financial year series
+   * @param {number} sequence - Position in the series, from 1
+   * @returns {string} Invoice number
+   */
+  static formatInvoiceNumber(series, sequence) {
+    return `${this.PREFIX}/${series}/${String(sequence).padStart(6, '0')}`;
+  }
+
+  /**
+   * Region a pickup falls in, or the supplier's own state when it is outside every region
+   *
+   * @param {number[]} coordinates - Pickup [longitude, latitude]
+   * @returns {Object} Region { code, name, rates? }
+   */
+  static findRegion(coordinates) {
+    const region = coordinates
+      ? this.REGIONS.find(candidate => haversineDistance(candidate.center, coordinates) <= candidate.radiusKm)
+      : null;
+    if (region) {
+      return region;
+    }
+
+    const home = this.REGIONS.find(candidate => candidate.code === this.SUPPLIER.stateCode);
+    return home || { code: this.SUPPLIER.stateCode, name: this.SUPPLIER.stateCode };
+  }
+
+  /**
+   * GST rate for a service level in a region
+   *
+   * @param {string} serviceLevel - Ride service level
+   * @param {Object} region - Region from findRegion
+   * @returns {number} Rate in percent
+   */
+  static getTaxRate(serviceLevel, region = null) {
+    const regionRate = region && region.rates ? region.rates[serviceLevel] : undefined;
+    if (regionRate !== undefined) {
+      return regionRate;
+    }
+    return this.TAX_RATES[serviceLevel] ?? this.TAX_RATES.economy;
+  }
+
+  /**
+   * Split a tax-inclusive amount into taxable value and tax lines
+   *
+   * @param {number} amount - Amount charged, tax included
+   * @param {number} rate - GST rate in percent
+   * @param {boolean} intraState - Whether supply is within the supplier's state
+   * @returns {Object} { taxableValue, taxes: [{ type, rate, amount }], totalTax }
+   */
+  static calculateTax(amount, rate, intraState) {
+    const round = value => Math.round(value * 100) / 100;
+
+    const taxableValue = round(amount / (1 + rate / 100));
+    const totalTax = round(amount - taxableValue);
+    if (!intraState) {
+      return { taxableValue, taxes: [{ type: 'IGST', rate, amount: totalTax }], totalTax };
+    }
+
+    // Half each to the centre and the state; any odd paisa goes to SGST
+    const cgst = round(totalTax / 2);
+    return {
+      taxableValue,
+      taxes: [
+        { type: 'CGST', rate: rate / 2, amount: cgst },
+        { type: 'SGST', rate: rate / 2, amount: round(totalTax - cgst) }
+      ],
+      totalTax
+    };
+  }
+
+  /**
+   * Invoice fields for a paid ride (everything except the number)
+   *
+   * @param {Object} ride - Paid ride
+   * @param {Object} rider - Rider with profile.name and phone
+   * @param {Date} issuedAt - Invoice date
+   * @returns {Object} Invoice fields
+   */
+  static buildInvoice(ride, rider, issuedAt = new Date()) {
+    const region = this.findRegion(ride.pickup?.coordinates?.coordinates);
+    const serviceLevel = ride.serviceLevel || 'economy';
+    const total = ride.fare.final || ride.fare.estimated;
+    const breakdown = ride.fare.breakdown || {};
+
+    return {
+      rideId: ride._id,
+      riderId: rider?._id || ride.riderId,
+      issuedAt,
+      supplier: { ...this.SUPPLIER },
+      customer: {
+        name: rider?.profile?.name || null,
+        phone: rider?.phone || null
+      },
+      placeOfSupply: { code: region.code, name: region.name },
+      sacCode: this.SAC_CODE,
+      trip: {
+        pickup: ride.pickup?.address || null,
+        stops: (ride.stops || []).map(stop => stop.address),
+        destination: ride.destination?.address || null,
+        serviceLevel,
+        distance: ride.actualDistance || ride.estimatedDistance || null,
+        completedAt: ride.timeline?.completedAt || null
+      },
+      fare: {
+        baseFare: breakdown.baseFare || 0,
+        distanceFare: breakdown.distanceFare || 0,
+        timeFare: breakdown.timeFare || 0,
+        surgeFare: breakdown.surgeFare || 0,
+        stopFare: breakdown.stopFare || 0,
+        waitingFare: breakdown.waitingFare || 0,
+        discount: breakdown.discount || 0,
+        total
+      },
+      ...this.calculateRideTax(ride)
+    };
+  }
+
+  /**
+   * GST included in what was charged for a ride, as its invoice shows it
+   *
+   * @param {Object} ride - Paid ride with fare, serviceLevel and pickup
+   * @returns {Object} { taxRate, taxableValue, taxes, totalTax }
+   */
+  static calculateRideTax(ride) {
+    const region = this.findRegion(ride.pickup?.coordinates?.coordinates);
+    const taxRate = this.getTaxRate(ride.serviceLevel || 'economy', region);
+    const total = ride.fare.final || ride.fare.estimated;
+
+    return { taxRate, ...this.calculateTax(total, taxRate, region.code === this.SUPPLIER.stateCode) };
+  }
+
+  /**
+   * Issue the invoice for a paid ride, or return the one already issued
+   *
+   * @param {Object} ride - Paid ride (riderId may be populated)
+   * @returns {Promise<Object>} Invoice document
+   */
+  static async issueInvoice(ride) {
+    const existing = await Invoice.findOne({ rideId: ride._id });
+    if (existing) {
+      return existing;
+    }
+
+    const rider = ride.riderId && ride.riderId.profile
+      ? ride.riderId
+      : await User.findById(ride.riderId).select('profile.name phone');
+    const issuedAt = new Date();
+    const fields = this.buildInvoice(ride, rider, issuedAt);
+    const series = this.getFinancialYear(issuedAt);
+
+    for (let attempt = 0; attempt < this.MAX_NUMBERING_ATTEMPTS; attempt++) {
+      const last = await Invoice.findOne({ series }).sort({ sequence: -1 }).select('sequence');
+      const sequence = (last ? last.sequence : 0) + 1;
+
+      try {
+        return await Invoice.create({
+          ...fields,
+          series,
+          sequence,
+          invoiceNumber: this.formatInvoiceNumber(series, sequence)
+        });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        // Another request invoiced this ride first
+        if (error.keyPattern && error.keyPattern.rideId) {
+          return Invoice.findOne({ rideId: ride._id });
+        }
+        // Another invoice took this number: try the next one
+      }
+    }
+
+    throw new Error('Could not allocate an invoice number');
+  }
+
+  /**
+   * Invoice details shown on the receipt
+   *
+   * @param {Object} invoice - Invoice document
+   * @returns {Object} Receipt invoice section
+   */
+  static toReceipt(invoice) {
+    return {
+      invoiceNumber: invoice.invoiceNumber,
+      issuedAt: invoice.issuedAt,
+      supplier: invoice.supplier,
+      placeOfSupply: invoice.placeOfSupply,
+      sacCode: invoice.sacCode,
+      taxRate: invoice.taxRate,
+      taxableValue: invoice.taxableValue,
+      taxes: invoice.taxes.map(({ type, rate, amount }) => ({ type, rate, amount })),
+      totalTax: invoice.totalTax
+    };
+  }
+
+  /**
+   * Render an invoice as a PDF document
+   *
+   * @param {Object} invoice - Invoice document
+   * @param {Object} extras - { tip? } paid on top of the fare, listed below the invoice
+   * @returns {Buffer} PDF file contents
+   */
+  static renderPdf(invoice, { tip = null } = {}) {
+    const money = amount => `Rs. ${amount.toFixed(2)}`;
+    const date = value => (value ? new Date(value).toISOString().slice(0, 10) : '-');
+    const { supplier, customer, trip, fare } = invoice;
+
+    const rows = [
+      { text: 'TAX INVOICE', size: 16, bold: true },
+      { text: supplier.name, bold: true, gap: 6 },
+      ...(supplier.address ? [{ text: supplier.address }] : []),
+      { text: `GSTIN: ${supplier.gstin || 'Not registered'}` },
+      { text: 'Invoice number', value: invoice.invoiceNumber, gap: 10 },
+      { text: 'Invoice date', value: date(invoice.issuedAt) },
+      { text: 'Place of supply', value: `${invoice.placeOfSupply.name} (${invoice.placeOfSupply.code})` },
+      { text: 'SAC', value: invoice.sacCode },
+      { text: 'Billed to', bold: true, gap: 10 },
+      { text: customer.name || 'Rider' },
+      ...(customer.phone ? [{ text: customer.phone }] : []),
+      { text: 'Trip', bold: true, gap: 10 },
+      { text: `From: ${trip.pickup || '-'}` },
+      ...(trip.stops || []).map((stop, index) => ({ text: `Stop ${index + 1}: ${stop}` })),
+      { text: `To: ${trip.destination || '-'}` },
+      {
+        text: `Service: ${trip.serviceLevel}` +
+          `${trip.distance ? ` | ${trip.distance.toFixed(1)} km` : ''} | Completed ${date(trip.completedAt)}`
+      },
+      { text: 'Fare', bold: true, gap: 10, rule: true },
+      { text: 'Base fare', value: money(fare.baseFare) },
+      { text: 'Distance fare', value: money(fare.distanceFare) },
+      { text: 'Time fare', value: money(fare.timeFare) },
+      ...(fare.surgeFare ? [{ text: 'Surge fare', value: money(fare.surgeFare) }] : []),
+      ...(fare.stopFare ? [{ text: 'Stop waiting fees', value: money(fare.stopFare) }] : []),
+      ...(fare.waitingFare ? [{ text: 'Waiting at pickup', value: money(fare.waitingFare) }] : []),
+      ...(fare.discount ? [{ text: 'Discount', value: `-${money(fare.discount)}` }] : []),
+      { text: 'Taxable value', value: money(invoice.taxableValue), rule: true, gap: 4 },
+      ...invoice.taxes.map(tax => ({ text: `${tax.type} @ ${tax.rate}%`, value: money(tax.amount) })),
+      { text: 'Total (tax inclusive)', value: money(fare.total), bold: true, rule: true, gap: 4 }
+    ];
+
+    if (tip) {
+      rows.push({ text: 'Tip paid to the driver (not part of this invoice)', value: money(tip.amount), gap: 10 });
+    }
+    rows.push({ text: 'This is a computer-generated invoice and needs no signature.', size: 8, gap: 20 });
+
+    return renderTextPdf(rows);
+  }
+}
+
+module.exports = InvoiceService;
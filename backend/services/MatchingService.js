@@ -1,5 +1,10 @@
+/* eslint indent: ["error", 4] */
 const { User, Ride } = require('../models');
 const mongoose = require('mongoose');
+const socketService = require('./socketService');
+const RideEventService = require('./RideEventService');
+const VehicleService = require('./VehicleService');
+const ShiftService = require('./ShiftService');
 
 /**
  * Driver Matching Service
@@ -24,6 +29,16 @@ class MatchingService {
     static MAX_DRIVERS_TO_CONSIDER = 10;
     static DRIVER_RESPONSE_TIMEOUT = 60000; // 60 seconds
 
+    // Pending offer timers, keyed by ride ID
+    static _offerTimers = new Map();
+
+    // Vehicle class ranking - a vehicle can serve its own level and every level below it
+    static VEHICLE_CLASS_RANK = {
+        economy: 1,
+        comfort: 2,
+        premium: 3
+    };
+
     /**
      * Find the nearest available driver for a ride request
      * 
@@ -31,9 +46,10 @@ class MatchingService {
      * @param {number} pickupLatitude - Pickup location latitude
      * @param {string} rideId - Ride ID for assignment
      * @param {number} initialRadius - Initial search radius in meters (default: 5000)
+     * @param {string} serviceLevel - Requested service level (default: 'economy')
      * @returns {Promise<Object>} Driver match result with driver info and metadata
      */
-    static async findNearestDriver(pickupLongitude, pickupLatitude, rideId, initialRadius = this.INITIAL_RADIUS) {
+    static async findNearestDriver(pickupLongitude, pickupLatitude, rideId, initialRadius = this.INITIAL_RADIUS, serviceLevel = 'economy') {
         try {
             // Skip matching in test environment to prevent background async tasks
             if (process.env.DISABLE_MATCHING === 'true') {
@@ -56,6 +72,22 @@ class MatchingService {
                 throw new Error('Invalid pickup coordinates provided');
             }
 
+            // Load the ride's offer history so drivers who already passed are skipped
+            const ride = await Ride.findById(rideId).select('status offers');
+            if (!ride || ride.status !== 'requested') {
+                return {
+                    success: false,
+                    error: 'RIDE_NOT_AVAILABLE',
+                    message: 'Ride is not awaiting a driver',
+                    timestamp: new Date()
+                };
+            }
+
+            const excludedDriverIds = [
+                ...ride.offers.map(offer => offer.driverId),
+                ...await this._getDriversWithPendingOffers()
+            ];
+
             // Try each radius expansion step
             for (const radius of this.RADIUS_EXPANSION_STEPS) {
                 if (radius < initialRadius) continue;
@@ -65,13 +97,15 @@ class MatchingService {
                 const drivers = await this._findAvailableDriversInRadius(
                     pickupLongitude,
                     pickupLatitude,
-                    radius
+                    radius,
+                    serviceLevel,
+                    excludedDriverIds
                 );
 
                 if (drivers.length > 0) {
                     // Calculate distances and estimated arrival times
                     const driversWithMetadata = drivers.map(driver => ({
-                        ...driver.toObject(),
+                        ...driver,
                         distance: this._calculateDistance(
                             pickupLongitude,
                             pickupLatitude,
@@ -89,33 +123,24 @@ class MatchingService {
                     // Sort by distance (nearest first)
                     driversWithMetadata.sort((a, b) => a.distance - b.distance);
 
-                    // Attempt to assign the nearest driver
-                    const nearestDriver = driversWithMetadata[0];
-                    const assignmentResult = await this.assignRideToDriver(rideId, nearestDriver._id);
-
-                    if (assignmentResult.success) {
-                        return {
-                            success: true,
-                            driver: nearestDriver,
-                            searchRadius: radius,
-                            totalDriversFound: drivers.length,
-                            assignedAt: new Date()
-                        };
-                    }
-
-                    // If assignment failed, try next nearest driver
-                    for (let i = 1; i < driversWithMetadata.length; i++) {
-                        const fallbackResult = await this.assignRideToDriver(rideId, driversWithMetadata[i]._id);
-                        if (fallbackResult.success) {
+                    // Offer the ride to the nearest driver, falling back down the list on conflicts
+                    for (let i = 0; i < driversWithMetadata.length; i++) {
+                        const candidate = driversWithMetadata[i];
+                        const offerResult = await this.offerRideToDriver(rideId, candidate);
+                        if (offerResult.success) {
                             return {
                                 success: true,
-                                driver: driversWithMetadata[i],
+                                driver: candidate,
                                 searchRadius: radius,
                                 totalDriversFound: drivers.length,
-                                assignedAt: new Date(),
-                                fallbackAssignment: true
+                                offeredAt: offerResult.offeredAt,
+                                expiresAt: offerResult.expiresAt,
+                                fallbackAssignment: i > 0
                             };
                         }
+                        if (offerResult.error === 'RIDE_NOT_AVAILABLE') {
+                            return offerResult;
+                        }
                     }
                 }
             }
@@ -140,11 +165,112 @@ class MatchingService {
         }
     }
 
+    /**
+     * Offer a requested ride to a single driver
+     * 
+     * Atomically moves the ride from 'requested' to 'matched', records the offer and
+     * notifies the driver with a ride:offer event. The driver has DRIVER_RESPONSE_TIMEOUT
+     * to accept or decline before the offer expires and cascades to the next candidate.
+     * 
+     * @param {string} rideId - Ride ID to offer
+     * @param {Object} driver - Candidate driver (with optional distance and estimatedArrival)
+     * @returns {Promise<Object>} Offer result with expiry time
+     */
+    static async offerRideToDriver(rideId, driver) {
+        try {
+            const offeredAt = new Date();
+            const expiresAt = new Date(offeredAt.getTime() + this.DRIVER_RESPONSE_TIMEOUT);
+
+            const ride = await Ride.findOneAndUpdate(
+                {
+                    _id: rideId,
+                    status: 'requested',
+                    driverId: null,
+                    'offers.driverId': { $ne: driver._id } // Never offer the same ride twice
+                },
+                {
+                    $set: {
+                        status: 'matched',
+                        driverId: driver._id,
+                        'timeline.matchedAt': offeredAt
+                    },
+                    $push: {
+                        offers: {
+                            driverId: driver._id,
+                            offeredAt,
+                            expiresAt,
+                            distance: driver.distance ?? null,
+                            estimatedArrival: driver.estimatedArrival ?? null
+                        }
+                    }
+                },
+                { new: true }
+            ).populate('riderId', 'profile.name');
+
+            if (!ride) {
+                return {
+                    success: false,
+                    error: 'RIDE_NOT_AVAILABLE',
+                    message: 'Ride no longer available for offers',
+                    timestamp: new Date()
+                };
+            }
+
+            this._scheduleOfferTimeout(rideId, driver._id);
+
+            await RideEventService.record(rideId, 'OFFER_SENT', {
+                data: {
+                    driverId: driver._id,
+                    distance: driver.distance ?? null,
+                    estimatedArrival: driver.estimatedArrival ?? null,
+                    expiresAt
+                }
+            });
+
+            socketService.broadcastToUser(driver._id.toString(), 'ride:offer', {
+                rideId: ride._id.toString(),
+                pickup: ride.pickup,
+                destination: ride.destination,
+                stops: ride.stops || [],
+                serviceLevel: ride.serviceLevel,
+                estimatedFare: ride.fare.estimated,
+                estimatedDistance: ride.estimatedDistance,
+                distanceToPickup: driver.distance ?? null,
+                estimatedArrival: driver.estimatedArrival ?? null,
+                rider: { name: ride.riderId?.profile?.name },
+                expiresAt: expiresAt.toISOString()
+            });
+            socketService.broadcastToRide(rideId.toString(), 'ride:status-change', {
+                rideId: rideId.toString(),
+                status: 'matched',
+                timestamp: offeredAt.toISOString()
+            });
+
+            return {
+                success: true,
+                message: 'Ride offered to driver',
+                offeredAt,
+                expiresAt
+            };
+
+        } catch (error) {
+            console.error('Ride offer error:', error);
+            return {
+                success: false,
+                error: 'OFFER_ERROR',
+                message: error.message,
+                timestamp: new Date()
+            };
+        }
+    }
+
     /**
      * Atomically assign a ride to a driver with conflict resolution
      * 
-     * Uses MongoDB's findOneAndUpdate with specific conditions to ensure
-     * only available drivers can be assigned and prevents double-booking.
+     * Accepts the driver's pending offer on a 'matched' ride. Drivers may also claim a
+     * 'requested' ride that has no outstanding offer (e.g. from the pending rides list);
+     * the claim is recorded as an accepted offer. Uses MongoDB's findOneAndUpdate with
+     * specific conditions to prevent double-booking.
      * 
      * @param {string} rideId - Ride ID to assign
      * @param {string} driverId - Driver ID to assign to
@@ -152,24 +278,52 @@ class MatchingService {
      */
     static async assignRideToDriver(rideId, driverId) {
         try {
-            // Step 1: Atomically update ride to assign driver (prevents double-booking)
-            const ride = await Ride.findOneAndUpdate(
+            const now = new Date();
+
+            // Step 1a: Accept the driver's pending offer
+            let previousStatus = 'matched';
+            let ride = await Ride.findOneAndUpdate(
                 {
                     _id: rideId,
-                    status: 'requested',
-                    driverId: null // Ensure ride hasn't been assigned yet
-                },
-                {
+                    status: 'matched',
                     driverId: driverId,
-                    status: 'accepted',
-                    'timeline.matchedAt': new Date(),
-                    'timeline.acceptedAt': new Date()
+                    offers: { $elemMatch: { driverId: driverId, status: 'pending' } }
                 },
                 {
-                    new: true
-                }
+                    $set: {
+                        status: 'accepted',
+                        'timeline.acceptedAt': now,
+                        'offers.$.status': 'accepted',
+                        'offers.$.respondedAt': now
+                    }
+                },
+                { new: true }
             );
 
+            // Step 1b: Otherwise claim an unoffered ride directly (prevents double-booking)
+            if (!ride) {
+                previousStatus = 'requested';
+                ride = await Ride.findOneAndUpdate(
+                    {
+                        _id: rideId,
+                        status: 'requested',
+                        driverId: null // Ensure ride hasn't been assigned yet
+                    },
+                    {
+                        $set: {
+                            driverId: driverId,
+                            status: 'accepted',
+                            'timeline.matchedAt': now,
+                            'timeline.acceptedAt': now
+                        },
+                        $push: {
+                            offers: { driverId, offeredAt: now, respondedAt: now, status: 'accepted' }
+                        }
+                    },
+                    { new: true }
+                );
+            }
+
             if (!ride) {
                 return {
                     success: false,
@@ -179,6 +333,13 @@ class MatchingService {
                 };
             }
 
+            this.clearOfferTimeout(rideId);
+
+            await RideEventService.record(rideId, 'OFFER_ACCEPTED', {
+                actor: { role: 'driver', userId: driverId },
+                data: { driverId, from: previousStatus, to: 'accepted' }
+            });
+
             // Step 2: Update driver availability
             const driver = await User.findOneAndUpdate(
                 {
@@ -201,7 +362,8 @@ class MatchingService {
                 await Ride.findByIdAndUpdate(rideId, {
                     driverId: null,
                     status: 'requested',
-                    'timeline.matchedAt': null
+                    'timeline.matchedAt': null,
+                    'timeline.acceptedAt': null
                 });
 
                 return {
@@ -212,6 +374,12 @@ class MatchingService {
                 };
             }
 
+            // Step 3: Record the vehicle the ride is driven in
+            await Ride.updateOne(
+                { _id: rideId },
+                { $set: { vehicle: VehicleService.getRideSnapshot(driver) } }
+            );
+
             return {
                 success: true,
                 message: 'Ride assigned successfully',
@@ -229,6 +397,137 @@ class MatchingService {
         }
     }
 
+    /**
+     * Decline (or expire) a driver's pending offer and cascade to the next candidate
+     * 
+     * @param {string} rideId - Ride ID with the pending offer
+     * @param {string} driverId - Driver the ride was offered to
+     * @param {string} outcome - 'declined' or 'expired' (default: 'declined')
+     * @returns {Promise<Object>} Decline result, including the cascade outcome
+     */
+    static async declineOffer(rideId, driverId, outcome = 'declined') {
+        try {
+            const ride = await Ride.findOneAndUpdate(
+                {
+                    _id: rideId,
+                    status: 'matched',
+                    driverId: driverId,
+                    offers: { $elemMatch: { driverId: driverId, status: 'pending' } }
+                },
+                {
+                    $set: {
+                        status: 'requested',
+                        driverId: null,
+                        'offers.$.status': outcome,
+                        'offers.$.respondedAt': new Date()
+                    }
+                },
+                { new: true }
+            );
+
+            if (!ride) {
+                return {
+                    success: false,
+                    error: 'OFFER_NOT_FOUND',
+                    message: 'No pending offer for this driver',
+                    timestamp: new Date()
+                };
+            }
+
+            this.clearOfferTimeout(rideId);
+
+            await RideEventService.record(rideId, outcome === 'expired' ? 'OFFER_EXPIRED' : 'OFFER_DECLINED', {
+                actor: outcome === 'expired' ? null : { role: 'driver', userId: driverId },
+                data: { driverId, from: 'matched', to: 'requested' }
+            });
+
+            if (outcome === 'expired') {
+                socketService.broadcastToUser(driverId.toString(), 'ride:offer-withdrawn', {
+                    rideId: rideId.toString(),
+                    reason: 'expired'
+                });
+            }
+            socketService.broadcastToRide(rideId.toString(), 'ride:status-change', {
+                rideId: rideId.toString(),
+                status: 'requested',
+                timestamp: new Date().toISOString()
+            });
+
+            // Cascade to the next nearest candidate
+            const pickupCoords = ride.pickup.coordinates.coordinates;
+            const cascadeResult = await this.findNearestDriver(
+                pickupCoords[0],
+                pickupCoords[1],
+                ride._id,
+                this.INITIAL_RADIUS,
+                ride.serviceLevel
+            );
+
+            if (!cascadeResult.success) {
+                console.log(`❌ No further drivers for ride ${ride._id}:`, cascadeResult.message);
+            }
+
+            return {
+                success: true,
+                message: `Offer ${outcome}`,
+                cascade: cascadeResult
+            };
+
+        } catch (error) {
+            console.error('Offer decline error:', error);
+            return {
+                success: false,
+                error: 'DECLINE_ERROR',
+                message: error.message,
+                timestamp: new Date()
+            };
+        }
+    }
+
+    /**
+     * Expire offers whose response window has passed
+     * 
+     * Backstop for the in-memory offer timers, which do not survive a restart.
+     * 
+     * @returns {Promise<number>} Number of offers expired
+     */
+    static async expireStaleOffers() {
+        try {
+            const rides = await Ride.find({
+                status: 'matched',
+                offers: { $elemMatch: { status: 'pending', expiresAt: { $lt: new Date() } } }
+            })
+                .select('_id driverId')
+                .lean();
+
+            let expired = 0;
+            for (const ride of rides) {
+                const result = await this.declineOffer(ride._id, ride.driverId, 'expired');
+                if (result.success) {
+                    expired++;
+                }
+            }
+            return expired;
+        } catch (error) {
+            console.error('Offer expiry sweep error:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Stop the response timer for a ride's pending offer
+     * 
+     * @param {string} rideId - Ride ID
+     */
+    static clearOfferTimeout(rideId) {
+        const key = rideId.toString();
+        const timer = this._offerTimers.get(key);
+        if (timer) {
+            clearTimeout(timer);
+            this._offerTimers.delete(key);
+        }
+    }
+
     /**
      * Release driver from assignment (when ride is cancelled or completed)
      * 
@@ -243,7 +542,6 @@ class MatchingService {
                     role: 'driver'
                 },
                 {
-                    'driverInfo.isAvailable': true,
                     'driverInfo.lastReleasedAt': new Date()
                 },
                 { new: true }
@@ -257,9 +555,14 @@ class MatchingService {
                 };
             }
 
+            // Back online only while still on shift (ending it if they asked to or need a break)
+            const shift = await ShiftService.finishRide(driverId);
+
             return {
                 success: true,
                 message: 'Driver released successfully',
+                available: shift.available,
+                shiftEnded: shift.shiftEnded,
                 releasedAt: new Date()
             };
 
@@ -287,6 +590,7 @@ class MatchingService {
                 role: 'driver',
                 isActive: true,
                 'driverInfo.isAvailable': true,
+                ...ShiftService.buildDispatchableFilter(),
                 'driverInfo.currentLocation': {
                     $near: {
                         $geometry: {
@@ -305,6 +609,32 @@ class MatchingService {
         }
     }
 
+    /**
+     * Check whether a vehicle class can be dispatched for a service level
+     * 
+     * Drivers registered before vehicle classes existed are treated as economy.
+     * 
+     * @param {string} vehicleClass - Driver's vehicle class
+     * @param {string} serviceLevel - Requested service level
+     * @returns {boolean} True if the vehicle qualifies
+     */
+    static vehicleQualifiesForServiceLevel(vehicleClass, serviceLevel = 'economy') {
+        const vehicleRank = this.VEHICLE_CLASS_RANK[vehicleClass || 'economy'] || 0;
+        const requiredRank = this.VEHICLE_CLASS_RANK[serviceLevel] || this.VEHICLE_CLASS_RANK.economy;
+        return vehicleRank >= requiredRank;
+    }
+
+    /**
+     * Get the service levels a vehicle class can be dispatched for
+     * 
+     * @param {string} vehicleClass - Driver's vehicle class
+     * @returns {Array<string>} Service levels served by the vehicle
+     */
+    static getServiceLevelsForVehicleClass(vehicleClass) {
+        return Object.keys(this.VEHICLE_CLASS_RANK)
+            .filter(level => this.vehicleQualifiesForServiceLevel(vehicleClass, level));
+    }
+
     // Private helper methods
 
     /**
@@ -314,13 +644,18 @@ class MatchingService {
      * @param {number} longitude - Center longitude
      * @param {number} latitude - Center latitude
      * @param {number} radius - Search radius in meters
+     * @param {string} serviceLevel - Requested service level (default: 'economy')
+     * @param {Array} excludedDriverIds - Drivers to skip (already offered or busy with another offer)
      * @returns {Promise<Array>} Array of available drivers
      */
-    static async _findAvailableDriversInRadius(longitude, latitude, radius) {
+    static async _findAvailableDriversInRadius(longitude, latitude, radius, serviceLevel = 'economy', excludedDriverIds = []) {
         return await User.find({
+            _id: { $nin: excludedDriverIds },
             role: 'driver',
             isActive: true,
             'driverInfo.isAvailable': true,
+            ...ShiftService.buildDispatchableFilter(),
+            ...this._buildVehicleClassFilter(serviceLevel),
             'driverInfo.currentLocation': {
                 $near: {
                     $geometry: {
@@ -336,6 +671,68 @@ class MatchingService {
             .lean(); // Use lean() for better performance when we don't need full Mongoose documents
     }
 
+    /**
+     * Get drivers currently holding an offer for any ride
+     * 
+     * @private
+     * @returns {Promise<Array>} Driver IDs with a pending offer
+     */
+    static async _getDriversWithPendingOffers() {
+        return Ride.distinct('driverId', { status: 'matched' });
+    }
+
+    /**
+     * Expire a driver's offer automatically once the response window passes
+     * 
+     * @private
+     * @param {string} rideId - Ride ID
+     * @param {string} driverId - Driver the ride was offered to
+     */
+    static _scheduleOfferTimeout(rideId, driverId) {
+        this.clearOfferTimeout(rideId);
+
+        const timer = setTimeout(() => {
+            this._offerTimers.delete(rideId.toString());
+            this.declineOffer(rideId, driverId, 'expired').catch(error => {
+                console.error('Offer timeout handling failed:', error);
+            });
+        }, this.DRIVER_RESPONSE_TIMEOUT);
+
+        // Don't keep the process alive just for pending offers
+        if (typeof timer.unref === 'function') {
+            timer.unref();
+        }
+
+        this._offerTimers.set(rideId.toString(), timer);
+    }
+
+    /**
+     * Build the driver query filter restricting vehicle class for a service level
+     * 
+     * @private
+     * @param {string} serviceLevel - Requested service level
+     * @returns {Object} Mongo filter fragment (empty when every vehicle qualifies)
+     */
+    static _buildVehicleClassFilter(serviceLevel) {
+        const qualifyingClasses = Object.keys(this.VEHICLE_CLASS_RANK)
+            .filter(vehicleClass => this.vehicleQualifiesForServiceLevel(vehicleClass, serviceLevel));
+
+        if (qualifyingClasses.length === Object.keys(this.VEHICLE_CLASS_RANK).length) {
+            return {};
+        }
+
+        // Drivers with an active vehicle are dispatched by its class, others by their profile vehicle
+        return {
+            $or: [
+                { 'driverInfo.activeVehicle.vehicleClass': { $in: qualifyingClasses } },
+                {
+                    'driverInfo.activeVehicle': null,
+                    'driverInfo.vehicleDetails.vehicleClass': { $in: qualifyingClasses }
+                }
+            ]
+        };
+    }
+
     /**
      * Validate coordinates are within valid ranges
      * 
@@ -0,0 +1,310 @@
+const mongoose = require('mongoose');
+const { User, Notification } = require('../models');
+const encryptionUtils = require('../utils/encryption');
+const templates = require('./notificationTemplates');
+const ConsoleTransport = require('./notificationTransports/ConsoleTransport');
+const MailboxTransport = require('./notificationTransports/MailboxTransport');
+
+/**
+ * Notification Service
+ *
+ * Sends event notifications (OTPs, password resets, ride updates, receipts) to users over
+ * SMS, email and web push.
+ *
+ * Behaviour:
+ * - Each event has localized per-channel templates (see notificationTemplates); the user's
+ *   locale and channel preferences pick what is sent, except for essential events (OTPs,
+ *   password resets) which ignore channel preferences
+ * - Every message is logged as a Notification before its first attempt; failed deliveries
+ *   are retried with exponential backoff by a polling loop until maxAttempts
+ * - Transports are chosen per channel by name, so a real SMS gateway or mail server can be
+ *   registered without touching callers; the default mailbox transport keeps everything
+ *   on the local disk for development and tests
+ */
+class NotificationService {
+  // Configuration constants
+  static DEFAULT_TRANSPORT = process.env.NOTIFICATION_TRANSPORT || 'mailbox';
+  static MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 3;
+  static RETRY_DELAY_MS = parseInt(process.env.NOTIFICATION_RETRY_DELAY_MS, 10) || 60000;
+  static RETRY_INTERVAL = parseInt(process.env.NOTIFICATION_RETRY_INTERVAL_MS, 10) || 30000;
+  static RETRY_BATCH_SIZE = 50;
+  static REDACTED = '[redacted]';
+
+  static transports = {
+    console: new ConsoleTransport(),
+    mailbox: new MailboxTransport()
+  };
+
+  // Transport name per channel; NOTIFICATION_<CHANNEL>_TRANSPORT overrides the default
+  static channelTransports = {
+    sms: process.env.NOTIFICATION_SMS_TRANSPORT || NotificationService.DEFAULT_TRANSPORT,
+    email: process.env.NOTIFICATION_EMAIL_TRANSPORT || NotificationService.DEFAULT_TRANSPORT,
+    push: process.env.NOTIFICATION_PUSH_TRANSPORT || NotificationService.DEFAULT_TRANSPORT
+  };
+
+  static _intervalId = null;
+  static _isRetrying = false;
+
+  /**
+   * Transport that delivers a channel
+   *
+   * @param {string} channel - sms, email or push
+   * @returns {NotificationTransport|null} Transport, or null if none is configured
+   */
+  static getTransport(channel) {
+    const name = this.channelTransports[channel];
+    return Object.prototype.hasOwnProperty.call(this.transports, name) ? this.transports[name] : null;
+  }
+
+  /**
+   * Register or replace a transport, optionally routing channels to it
+   *
+   * @param {NotificationTransport} transport - Transport instance
+   * @param {string[]} channels - Channels to deliver through it from now on
+   */
+  static registerTransport(transport, channels = []) {
+    this.transports[transport.name] = transport;
+    channels.forEach(channel => {
+      this.channelTransports[channel] = transport.name;
+    });
+  }
+
+  /**
+   * Local mailbox sink, for reading back messages in development and tests
+   *
+   * @returns {MailboxTransport}
+   */
+  static getMailbox() {
+    return this.transports.mailbox;
+  }
+
+  /**
+   * Send an event notification on every channel it applies to
+   *
+   * Never throws: notifications are a side effect of the request that triggers them.
+   *
+   * @param {string} event - Event name (OTP, PASSWORD_RESET, RIDE_ACCEPTED, ...)
+   * @param {Object} options - { user | userId, to: { phone, email }, locale, data, channels }
+   *   `to` addresses messages without an account (registration OTPs) or overrides the
+   *   user's own; `channels` narrows the event's channels (e.g. reply on the one used)
+   * @returns {Promise<Object[]>} Notification documents created, after their first attempt
+   */
+  static async notify(event, { user = null, userId = null, to = {}, locale = null, data = {}, channels = null } = {}) {
+    try {
+      const config = templates.EVENTS[event];
+      if (!config) {
+        throw new Error(`Unknown notification event: ${event}`);
+      }
+
+      const recipient = user || (userId ? await User.findById(userId) : null);
+      const preferences = recipient?.notificationPreferences || {};
+      const messageLocale = locale || preferences.locale || templates.DEFAULT_LOCALE;
+      const messageData = { name: recipient?.profile?.name || '', ...data };
+
+      const notifications = [];
+      for (const channel of this._selectChannels(config, preferences, channels)) {
+        for (const address of this._getAddresses(channel, recipient, to)) {
+          const rendered = templates.render(event, channel, messageLocale, messageData);
+          const notification = await Notification.create({
+            userId: recipient?._id || null,
+            event,
+            channel,
+            locale: rendered.locale,
+            recipient: encryptionUtils.encrypt(this._serializeAddress(channel, address)),
+            content: { subject: rendered.subject, body: rendered.body, data },
+            sensitive: config.sensitive,
+            maxAttempts: this.MAX_ATTEMPTS
+          });
+
+          notifications.push(await this._deliver(notification, address));
+        }
+      }
+
+      return notifications;
+    } catch (error) {
+      console.error(`❌ Failed to send ${event} notification:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Start the retry loop. Safe to call more than once.
+   */
+  static start() {
+    if (this._intervalId) {
+      return;
+    }
+
+    this._intervalId = setInterval(() => {
+      this.retryPending().catch(error => {
+        console.error('❌ Notification retry failed:', error);
+      });
+    }, this.RETRY_INTERVAL);
+
+    console.log(`📨 Notification retries started (up to ${this.MAX_ATTEMPTS} attempts)`);
+  }
+
+  /**
+   * Stop the retry loop
+   */
+  static stop() {
+    if (this._intervalId) {
+      clearInterval(this._intervalId);
+      this._intervalId = null;
+    }
+  }
+
+  /**
+   * Retry pending notifications whose next attempt is due
+   *
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<Object>} { attempted, sent }
+   */
+  static async retryPending(now = new Date()) {
+    if (this._isRetrying || mongoose.connection.readyState !== 1) {
+      return { attempted: 0, sent: 0 };
+    }
+
+    this._isRetrying = true;
+
+    try {
+      const due = await Notification.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+        .select('+recipient')
+        .sort({ nextAttemptAt: 1 })
+        .limit(this.RETRY_BATCH_SIZE);
+
+      let sent = 0;
+      for (const notification of due) {
+        const address = this._deserializeAddress(
+          notification.channel,
+          encryptionUtils.decrypt(notification.recipient)
+        );
+        const result = await this._deliver(notification, address, now);
+        if (result.status === 'sent') {
+          sent++;
+        }
+      }
+
+      return { attempted: due.length, sent };
+    } finally {
+      this._isRetrying = false;
+    }
+  }
+
+  /**
+   * Delay before the next attempt after a failed one (doubles with every attempt)
+   *
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  static getRetryDelay(attempts) {
+    return this.RETRY_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0));
+  }
+
+  /**
+   * Make one delivery attempt and record its outcome on the notification
+   * @private
+   */
+  static async _deliver(notification, address, now = new Date()) {
+    const transport = this.getTransport(notification.channel);
+    let result = { success: false, error: `No transport configured for ${notification.channel}` };
+
+    if (transport) {
+      try {
+        result = await transport.send({
+          id: notification._id.toString(),
+          channel: notification.channel,
+          to: address,
+          subject: notification.content.subject,
+          body: notification.content.body,
+          data: notification.content.data
+        });
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+    }
+
+    notification.attempts += 1;
+    notification.transport = transport ? transport.name : null;
+
+    if (result.success) {
+      notification.status = 'sent';
+      notification.sentAt = now;
+      notification.messageId = result.messageId || null;
+      notification.lastError = null;
+      notification.nextAttemptAt = null;
+    } else {
+      notification.lastError = result.error || 'Delivery failed';
+      if (notification.attempts >= notification.maxAttempts) {
+        notification.status = 'failed';
+        notification.nextAttemptAt = null;
+      } else {
+        notification.nextAttemptAt = new Date(now.getTime() + this.getRetryDelay(notification.attempts));
+      }
+    }
+
+    // OTPs and reset links are only kept while they may still be sent
+    if (notification.sensitive && notification.status !== 'pending') {
+      notification.content.body = this.REDACTED;
+      notification.content.data = {};
+      notification.markModified('content.data');
+    }
+
+    await notification.save();
+    return notification;
+  }
+
+  /**
+   * Event channels the user receives, in template order
+   * @private
+   */
+  static _selectChannels(config, preferences, requested) {
+    return config.channels.filter(channel => {
+      if (requested && !requested.includes(channel)) {
+        return false;
+      }
+      return config.essential || preferences.channels?.[channel] !== false;
+    });
+  }
+
+  /**
+   * Addresses to deliver a channel to (one per push subscription)
+   * @private
+   */
+  static _getAddresses(channel, user, to) {
+    switch (channel) {
+      case 'sms': {
+        const phone = to.phone || user?.phone;
+        return phone ? [phone] : [];
+      }
+      case 'email': {
+        const email = to.email || user?.email;
+        return email ? [email] : [];
+      }
+      case 'push':
+        return (user?.notificationPreferences?.pushSubscriptions || []).map(subscription => ({
+          endpoint: subscription.endpoint,
+          keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth }
+        }));
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Address as stored on the delivery log
+   * @private
+   */
+  static _serializeAddress(channel, address) {
+    return channel === 'push' ? JSON.stringify(address) : address;
+  }
+
+  /**
+   * @private
+   */
+  static _deserializeAddress(channel, stored) {
+    return channel === 'push' ? JSON.parse(stored) : stored;
+  }
+}
+
+module.exports = NotificationService;
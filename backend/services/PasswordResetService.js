@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { User, PasswordResetToken } = require('../models');
+const sessionManager = require('../utils/sessionManager');
+
+/**
+ * Password Reset Service
+ *
+ * Issues and redeems password reset tokens for every role (riders and drivers by phone,
+ * admins by email).
+ *
+ * Rules:
+ * - Tokens are random, expire after TOKEN_TTL_MINUTES and are stored only as a hash
+ * - A token works once; asking for a new one spends the user's outstanding tokens
+ * - A successful reset signs the user out of every session
+ */
+class PasswordResetService {
+  // Configuration constants
+  static TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+  static TOKEN_BYTES = 32;
+
+  /**
+   * Hash a reset token for storage and lookup
+   *
+   * @param {string} token - Token as sent to the user
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Frontend link that opens the reset-password page for a token
+   *
+   * @param {string} token - Token as sent to the user
+   * @returns {string} Reset link
+   */
+  static getResetLink(token) {
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    return `${baseUrl}/reset-password?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Issue a new reset token, spending any the user has not used yet
+   *
+   * @param {Object} user - User document
+   * @param {Object} options - { ip }
+   * @returns {Promise<Object>} { token, expiresAt }
+   */
+  static async issueToken(user, { ip = null } = {}) {
+    const now = new Date();
+    await this._spendOutstandingTokens(user._id, now);
+
+    const token = crypto.randomBytes(this.TOKEN_BYTES).toString('hex');
+    const expiresAt = new Date(now.getTime() + this.TOKEN_TTL_MINUTES * 60 * 1000);
+
+    await PasswordResetToken.create({
+      userId: user._id,
+      tokenHash: this.hashToken(token),
+      expiresAt,
+      requestedIp: ip
+    });
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Set a new password with a reset token and sign the user out everywhere
+   *
+   * The token is claimed atomically before the password changes, so two requests with
+   * the same token cannot both succeed.
+   *
+   * @param {string} token - Token as sent to the user
+   * @param {string} newPassword - New plaintext password (hashed on save)
+   * @returns {Promise<Object>} { success, user?, error?, message? }
+   */
+  static async resetPassword(token, newPassword) {
+    const now = new Date();
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: this.hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now } },
+      { new: true }
+    );
+
+    if (!resetToken) {
+      return this._invalidToken();
+    }
+
+    const user = await User.findById(resetToken.userId);
+    if (!user || !user.isActive) {
+      return this._invalidToken();
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await this._spendOutstandingTokens(user._id, now);
+    sessionManager.invalidateUserSessions(user._id);
+
+    return { success: true, user };
+  }
+
+  /**
+   * Mark every unused token of a user as used
+   * @private
+   */
+  static async _spendOutstandingTokens(userId, now) {
+    await PasswordResetToken.updateMany(
+      { userId, usedAt: null },
+      { $set: { usedAt: now } }
+    );
+  }
+
+  /**
+   * Result for unknown, used or expired tokens (deliberately indistinguishable)
+   * @private
+   */
+  static _invalidToken() {
+    return {
+      success: false,
+      error: 'INVALID_RESET_TOKEN',
+      message: 'This password reset link is invalid or has expired'
+    };
+  }
+}
+
+module.exports = PasswordResetService;
@@ -0,0 +1,129 @@
+const MockPaymentProvider = require('./paymentProviders/MockPaymentProvider');
+const FakeGatewayProvider = require('./paymentProviders/FakeGatewayProvider');
+
+/**
+ * Payment Gateway Service
+ *
+ * Routes card operations to a payment provider. New card payments use the provider named
+ * by PAYMENT_PROVIDER; later operations on a payment (capture, void, refund) go to the
+ * provider stored with it, so switching providers does not strand existing payments.
+ *
+ * The fake gateway is only registered when FAKE_GATEWAY_WEBHOOK_SECRET is set, so its
+ * webhooks cannot be signed with a known secret.
+ */
+class PaymentGatewayService {
+  static DEFAULT_PROVIDER = process.env.PAYMENT_PROVIDER || 'mock';
+
+  static providers = {
+    mock: new MockPaymentProvider(),
+    ...(process.env.FAKE_GATEWAY_WEBHOOK_SECRET ? { fake_gateway: new FakeGatewayProvider() } : {})
+  };
+
+  /**
+   * Look up a provider by name
+   *
+   * @param {string} name - Provider name (default: PAYMENT_PROVIDER)
+   * @returns {PaymentProvider|null} Provider, or null if unknown
+   */
+  static getProvider(name = this.DEFAULT_PROVIDER) {
+    return Object.prototype.hasOwnProperty.call(this.providers, name) ? this.providers[name] : null;
+  }
+
+  /**
+   * Register or replace a provider
+   *
+   * @param {PaymentProvider} provider - Provider instance
+   */
+  static registerProvider(provider) {
+    this.providers[provider.name] = provider;
+  }
+
+  /**
+   * Charge a card: authorize and capture in one step with the default provider
+   *
+   * @param {Object} params - { amount, paymentDetails, reference, metadata }
+   * @returns {Promise<Object>} Operation result plus the provider name
+   */
+  static async charge({ amount, paymentDetails, reference = null, metadata = {} }) {
+    const provider = this._requireProvider();
+    const result = await provider.authorize({ amount, paymentDetails, capture: true, reference, metadata });
+    return { ...result, provider: provider.name };
+  }
+
+  /**
+   * Authorize a card without capturing it, placing a hold for later capture or release
+   *
+   * @param {Object} params - { amount, paymentDetails, reference, metadata }
+   * @returns {Promise<Object>} Operation result plus the provider name
+   */
+  static async authorize({ amount, paymentDetails, reference = null, metadata = {} }) {
+    const provider = this._requireProvider();
+    const result = await provider.authorize({ amount, paymentDetails, capture: false, reference, metadata });
+    return { ...result, provider: provider.name };
+  }
+
+  /**
+   * Capture an authorization with the provider that placed it
+   *
+   * @param {string} providerName - Provider stored with the authorization
+   * @param {string} transactionId - Gateway payment ID
+   * @param {number} amount - Amount to capture (at most the authorized amount)
+   * @returns {Promise<Object>} Operation result
+   */
+  static async capture(providerName, transactionId, amount) {
+    return this._requireProvider(providerName).capture(transactionId, amount);
+  }
+
+  /**
+   * Release an authorization with the provider that placed it
+   *
+   * @param {string} providerName - Provider stored with the authorization
+   * @param {string} transactionId - Gateway payment ID
+   * @returns {Promise<Object>} Operation result
+   */
+  static async void(providerName, transactionId) {
+    return this._requireProvider(providerName).void(transactionId);
+  }
+
+  /**
+   * Refund a card payment with the provider that took it
+   *
+   * @param {string} providerName - Provider stored with the payment
+   * @param {string} transactionId - Gateway payment ID
+   * @param {number} amount - Amount to refund
+   * @param {Object} options - { reference }
+   * @returns {Promise<Object>} Operation result
+   */
+  static async refund(providerName, transactionId, amount, options = {}) {
+    return this._requireProvider(providerName).refund(transactionId, amount, options);
+  }
+
+  /**
+   * Verify and parse a provider webhook
+   *
+   * @param {string} providerName - Provider from the webhook URL
+   * @param {string|Buffer} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers
+   * @returns {Object} { valid, event?, error? }
+   */
+  static verifyWebhook(providerName, rawBody, headers) {
+    const provider = this.getProvider(providerName);
+    if (!provider) {
+      return { valid: false, error: 'UNKNOWN_PAYMENT_PROVIDER' };
+    }
+    return provider.verifyWebhook(rawBody, headers);
+  }
+
+  /**
+   * Look up a provider, failing loudly on misconfiguration
+   */
+  static _requireProvider(name = this.DEFAULT_PROVIDER) {
+    const provider = this.getProvider(name);
+    if (!provider) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return provider;
+  }
+}
+
+module.exports = PaymentGatewayService;
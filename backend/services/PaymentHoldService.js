@@ -0,0 +1,293 @@
+const { Ride } = require('../models');
+const FareService = require('./FareService');
+const PaymentGatewayService = require('./PaymentGatewayService');
+const RideEventService = require('./RideEventService');
+const encryptionUtils = require('../utils/encryption');
+
+/**
+ * Payment Hold Service
+ *
+ * Pre-authorizes card bookings so riders cannot leave a completed ride unpaid.
+ *
+ * Lifecycle (stored in Ride.payment.hold):
+ * - authorized: bookRide authorizes the top of the fare range from FareService.estimateFare.
+ *   Scheduled rides are authorized when RideSchedulerService dispatches them instead, with
+ *   the card saved at booking (Ride.payment.card), so the hold matches the fare after any edits
+ * - captured: completeRide captures the final fare from the hold; the payment completes
+ *   immediately or, for asynchronous providers, when the capture webhook arrives
+ * - released: the ride was cancelled, the fare was split with co-riders, or the final fare
+ *   exceeded the hold and the rider pays through the normal payment flow instead
+ * - failed: the capture was rejected; the rider pays through the normal payment flow
+ */
+class PaymentHoldService {
+  // Why a hold was released, as shown on the ride timeline
+  static RELEASE_REASONS = {
+    RIDE_CANCELLED: 'Ride cancelled',
+    FARE_EXCEEDS_HOLD: 'Final fare was more than the hold; pay the fare separately',
+    PAID_SEPARATELY: 'Fare paid by another method',
+    FARE_SPLIT: 'Fare split with co-riders; each pays their own share'
+  };
+
+  /**
+   * Amount to hold for a booking: the top of the fare range, and never less than the fare itself
+   *
+   * @param {Object} params - Booking metrics
+   * @param {number} params.distance - Estimated distance in km
+   * @param {number} params.duration - Estimated duration in minutes
+   * @param {string} params.serviceLevel - Requested service level
+   * @param {number} params.stopCount - Intermediate stops booked
+   * @param {number} params.fare - Fare the ride was booked at, before discounts
+   * @returns {number} Amount to authorize
+   */
+  static calculateHoldAmount({ distance, duration, serviceLevel = 'economy', stopCount = 0, fare = 0 }) {
+    const { fareRange } = FareService.estimateFare(distance, duration, { serviceLevel, stopCount });
+    return Math.max(fareRange.maximum, fare);
+  }
+
+  /**
+   * Authorize a hold for a new ride. The hold is set on the unsaved ride document.
+   *
+   * @param {Object} ride - Ride document (not yet saved)
+   * @param {Object} params - { amount, paymentDetails }
+   * @returns {Promise<Object>} { success, error?, message? }
+   */
+  static async placeHold(ride, { amount, paymentDetails }) {
+    const result = await this._authorize(ride._id, amount, paymentDetails);
+    if (!result.success) {
+      return result;
+    }
+
+    ride.payment.method = 'mock';
+    ride.payment.provider = result.hold.provider;
+    ride.payment.hold = result.hold;
+
+    return { success: true };
+  }
+
+  /**
+   * Encrypt the card of a scheduled card booking for the hold placed at dispatch. The CVV is
+   * never kept.
+   *
+   * @param {Object} paymentDetails - Card details from the booking request
+   * @returns {string} Value for Ride.payment.card
+   */
+  static saveCard(paymentDetails = {}) {
+    const { cardNumber, paymentMethodId, expiryMonth, expiryYear } = paymentDetails;
+    return encryptionUtils.encrypt(JSON.stringify({ cardNumber, paymentMethodId, expiryMonth, expiryYear }));
+  }
+
+  /**
+   * Place the hold of a scheduled card booking once it has been dispatched, for the fare the
+   * ride is booked at now. The saved card is taken off the ride first, so it is used only once.
+   *
+   * @param {Object} ride - Ride document moved to 'requested' by the scheduler
+   * @returns {Promise<Object>} { success, ride?, error?, message? }; success without a ride when
+   *   the booking has no saved card
+   */
+  static async placeDispatchHold(ride) {
+    const booked = await Ride.findOneAndUpdate(
+      { _id: ride._id, 'payment.card': { $ne: null } },
+      { $set: { 'payment.card': null } }
+    ).select('+payment.card');
+    if (!booked) {
+      return { success: true };
+    }
+
+    const amount = this.calculateHoldAmount({
+      distance: ride.estimatedDistance,
+      duration: ride.estimatedDuration,
+      serviceLevel: ride.serviceLevel,
+      stopCount: ride.stops.length,
+      fare: ride.fare.estimated + (ride.fare.breakdown?.discount || 0)
+    });
+    const paymentDetails = JSON.parse(encryptionUtils.decrypt(booked.payment.card));
+    const result = await this._authorize(ride._id, amount, paymentDetails);
+    if (!result.success) {
+      return result;
+    }
+
+    const held = await Ride.findOneAndUpdate(
+      { _id: ride._id, status: 'requested', 'payment.hold': null },
+      { $set: { 'payment.provider': result.hold.provider, 'payment.hold': result.hold } },
+      { new: true }
+    );
+    if (!held) {
+      // The ride was cancelled while the card was being authorized
+      PaymentGatewayService.void(result.hold.provider, result.hold.authorizationId).catch(() => {});
+      return { success: false, error: 'RIDE_CHANGED', message: 'The ride changed before the card was authorized' };
+    }
+
+    await RideEventService.record(ride._id, 'PAYMENT_AUTHORIZED', {
+      data: { method: 'mock', amount, transactionId: result.hold.authorizationId }
+    });
+    return { success: true, ride: held };
+  }
+
+  /**
+   * Capture the final fare of a completed ride from its hold
+   *
+   * The payment is claimed atomically first, so a rider paying by another method at the same
+   * time cannot be charged twice; whoever loses the claim leaves the payment alone.
+   *
+   * @param {Object} ride - Completed ride document
+   * @returns {Promise<Object>} { status: 'none'|'completed'|'processing'|'released'|'failed', ride? }
+   */
+  static async captureHold(ride) {
+    const hold = ride.payment.hold;
+    if (!hold || hold.status !== 'authorized') {
+      return { status: 'none' };
+    }
+
+    // Split fares are paid share by share instead
+    if (ride.payment.method === 'split') {
+      return { status: 'released', ride: await this.releaseHold(ride._id, 'FARE_SPLIT') };
+    }
+
+    const amount = ride.fare.final || ride.fare.estimated;
+    if (amount > hold.amount) {
+      return { status: 'released', ride: await this.releaseHold(ride._id, 'FARE_EXCEEDS_HOLD') };
+    }
+
+    const claimed = await Ride.findOneAndUpdate(
+      { _id: ride._id, 'payment.status': 'pending', 'payment.hold.status': 'authorized' },
+      {
+        $set: {
+          'payment.status': 'processing',
+          'payment.processingStartedAt': new Date(),
+          'payment.transactionId': null
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return { status: 'released', ride: await this.releaseHold(ride._id, 'PAID_SEPARATELY') };
+    }
+
+    let result;
+    try {
+      result = await PaymentGatewayService.capture(hold.provider, hold.authorizationId, amount);
+    } catch (error) {
+      result = { success: false, error: 'GATEWAY_ERROR', message: error.message };
+    }
+
+    if (!result.success) {
+      // Give the payment back to the rider and drop the authorization
+      PaymentGatewayService.void(hold.provider, hold.authorizationId).catch(() => {});
+      const failed = await Ride.findOneAndUpdate(
+        { _id: ride._id, 'payment.status': 'processing' },
+        {
+          $set: {
+            'payment.status': 'pending',
+            'payment.processingStartedAt': null,
+            'payment.hold.status': 'failed',
+            'payment.hold.reason': result.error || 'CAPTURE_FAILED'
+          }
+        },
+        { new: true }
+      );
+      await RideEventService.record(ride._id, 'PAYMENT_FAILED', {
+        message: result.message,
+        data: { method: 'mock', transactionId: hold.authorizationId }
+      });
+      return { status: 'failed', ride: failed, error: result.error, message: result.message };
+    }
+
+    // Asynchronous providers confirm the capture with a webhook on the authorization ID
+    const settled = result.status === 'succeeded';
+    const now = new Date();
+    const update = {
+      'payment.method': 'mock',
+      'payment.provider': hold.provider,
+      'payment.transactionId': hold.authorizationId,
+      'payment.hold.status': 'captured',
+      'payment.hold.capturedAmount': amount,
+      'payment.hold.capturedAt': now
+    };
+    if (settled) {
+      Object.assign(update, {
+        'payment.status': 'completed',
+        'payment.processedAt': now,
+        'payment.processingStartedAt': null
+      });
+    }
+
+    const captured = await Ride.findOneAndUpdate(
+      { _id: ride._id, 'payment.status': 'processing', 'payment.transactionId': null },
+      { $set: update },
+      { new: true }
+    );
+    return { status: settled ? 'completed' : 'processing', ride: captured };
+  }
+
+  /**
+   * Release a ride's hold, if it still has one. Never throws: an authorization that cannot be
+   * voided lapses at the card issuer on its own.
+   *
+   * @param {string} rideId - Ride ID
+   * @param {string} reason - Why the hold is released
+   * @returns {Promise<Object|null>} Updated ride, or null if there was no hold to release
+   */
+  static async releaseHold(rideId, reason = 'RIDE_CANCELLED') {
+    try {
+      const ride = await Ride.findOneAndUpdate(
+        { _id: rideId, 'payment.hold.status': 'authorized' },
+        {
+          $set: {
+            'payment.hold.status': 'released',
+            'payment.hold.releasedAt': new Date(),
+            'payment.hold.reason': reason
+          }
+        },
+        { new: true }
+      );
+      if (!ride) {
+        return null;
+      }
+
+      const { provider, authorizationId, amount } = ride.payment.hold;
+      const result = await PaymentGatewayService.void(provider, authorizationId);
+      if (!result.success) {
+        console.warn(`Failed to void authorization ${authorizationId}:`, result.message);
+      }
+
+      await RideEventService.record(rideId, 'PAYMENT_HOLD_RELEASED', {
+        message: this.RELEASE_REASONS[reason] || null,
+        data: { amount, transactionId: authorizationId, reason }
+      });
+      return ride;
+    } catch (error) {
+      console.error('Failed to release payment hold:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Authorize the card for a ride's hold
+   * @private
+   */
+  static async _authorize(rideId, amount, paymentDetails) {
+    const result = await PaymentGatewayService.authorize({
+      amount,
+      paymentDetails,
+      reference: rideId.toString(),
+      metadata: { purpose: 'ride_payment', rideId: rideId.toString() }
+    });
+
+    if (!result.success) {
+      return { success: false, error: result.error, message: result.message };
+    }
+
+    return {
+      success: true,
+      hold: {
+        status: 'authorized',
+        amount,
+        provider: result.provider,
+        authorizationId: result.transactionId,
+        authorizedAt: new Date()
+      }
+    };
+  }
+}
+
+module.exports = PaymentHoldService;
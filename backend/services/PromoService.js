@@ -0,0 +1,320 @@
+const mongoose = require('mongoose');
+const { Promo, PromoRedemption, Ride } = require('../models');
+const { haversineDistance } = require('../utils/geo');
+
+/**
+ * Promo Service
+ *
+ * Validates promo codes against their campaign rules and tracks usage.
+ *
+ * Rules:
+ * - Percentage or flat discounts, with an optional cap on percentage discounts
+ * - Validity window, active flag and minimum fare
+ * - First-ride-only promos apply to riders without a completed ride
+ * - Global (usageLimit) and per-rider (perUserLimit) usage limits
+ * - City restrictions: the pickup must fall inside one of the promo's cities
+ *
+ * Usage:
+ * - A redemption is reserved when a ride is booked, so limits hold across concurrent bookings:
+ *   the global limit by a conditional usedCount increment, the per-rider limit by a unique
+ *   (promo, rider, slot) index. A first-ride-only promo gives each rider a single slot.
+ * - Cancelling the ride releases the redemption and its slot; completing it marks it redeemed
+ * - Editing a scheduled ride's route re-checks the promo against the new pickup and fare
+ */
+class PromoService {
+  /**
+   * Discount a promo gives on a fare
+   *
+   * @param {Object} promo - Promo or promo snapshot { discountType, discountValue, maxDiscount }
+   * @param {number} fare - Fare before discount
+   * @returns {number} Discount amount, never more than the fare
+   */
+  static calculateDiscount(promo, fare) {
+    let discount = promo.discountType === 'percentage'
+      ? fare * (promo.discountValue / 100)
+      : promo.discountValue;
+
+    if (promo.maxDiscount !== null && promo.maxDiscount !== undefined) {
+      discount = Math.min(discount, promo.maxDiscount);
+    }
+
+    return Math.round(Math.min(discount, fare) * 100) / 100;
+  }
+
+  /**
+   * Check a promo's rules for one booking
+   *
+   * @param {Object} promo - Promo document
+   * @param {Object} context - Booking context
+   * @param {Array} context.pickup - Pickup coordinates [longitude, latitude]
+   * @param {number} context.fare - Fare before discount
+   * @param {number} context.userRedemptions - Active redemptions of this promo by the rider
+   * @param {boolean} context.hasCompletedRide - Whether the rider has completed a ride before
+   * @param {boolean} context.reserved - The booking already holds a usage slot, so usage limits are not checked
+   * @param {Date} context.now - Reference time (default: current time)
+   * @returns {Object} { valid, error?, message? }
+   */
+  static checkEligibility(promo, {
+    pickup,
+    fare,
+    userRedemptions = 0,
+    hasCompletedRide = false,
+    reserved = false,
+    now = new Date()
+  }) {
+    const reject = (error, message) => ({ valid: false, error, message });
+
+    if (!promo.isActive) {
+      return reject('PROMO_INACTIVE', 'This promo code is no longer active');
+    }
+
+    if (promo.validFrom && now < promo.validFrom) {
+      return reject('PROMO_NOT_STARTED', 'This promo code is not valid yet');
+    }
+
+    if (promo.validUntil && now > promo.validUntil) {
+      return reject('PROMO_EXPIRED', 'This promo code has expired');
+    }
+
+    if (!reserved) {
+      if (promo.usageLimit !== null && promo.usageLimit !== undefined && promo.usedCount >= promo.usageLimit) {
+        return reject('PROMO_USAGE_LIMIT_REACHED', 'This promo code has been fully redeemed');
+      }
+
+      if (userRedemptions >= promo.perUserLimit) {
+        return reject('PROMO_USER_LIMIT_REACHED', 'You have already used this promo code');
+      }
+    }
+
+    if (promo.firstRideOnly && hasCompletedRide) {
+      return reject('PROMO_FIRST_RIDE_ONLY', 'This promo code is only valid on your first ride');
+    }
+
+    if (promo.cities && promo.cities.length > 0) {
+      const inCity = promo.cities.some(city => haversineDistance(city.center, pickup) <= city.radiusKm);
+      if (!inCity) {
+        return reject(
+          'PROMO_CITY_RESTRICTED',
+          `This promo code is only valid in ${promo.cities.map(city => city.name).join(', ')}`
+        );
+      }
+    }
+
+    if (fare < promo.minFare) {
+      return reject('PROMO_MIN_FARE_NOT_MET', `This promo code requires a minimum fare of ₹${promo.minFare}`);
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Look up a code and check it for a rider's booking
+   *
+   * @param {string} code - Promo code entered by the rider
+   * @param {Object} booking - { riderId, pickup, fare, now? }
+   * @returns {Promise<Object>} { valid, promo?, discount?, error?, message? }
+   */
+  static async validatePromo(code, { riderId, pickup, fare, now = new Date() }) {
+    const promo = await Promo.findOne({ code: String(code).trim().toUpperCase() });
+    if (!promo) {
+      return { valid: false, error: 'PROMO_NOT_FOUND', message: 'Promo code not found' };
+    }
+
+    const [userRedemptions, hasCompletedRide] = await Promise.all([
+      PromoRedemption.countDocuments({ promoId: promo._id, userId: riderId, status: { $ne: 'released' } }),
+      promo.firstRideOnly ? Ride.exists({ riderId, status: 'completed' }) : null
+    ]);
+
+    const eligibility = this.checkEligibility(promo, {
+      pickup,
+      fare,
+      userRedemptions,
+      hasCompletedRide: Boolean(hasCompletedRide),
+      now
+    });
+    if (!eligibility.valid) {
+      return eligibility;
+    }
+
+    return { valid: true, promo, discount: this.calculateDiscount(promo, fare) };
+  }
+
+  /**
+   * Check a booked ride's promo again after its pickup or fare changed. The ride already
+   * holds its usage slot, so only the other rules are checked.
+   *
+   * @param {Object} ride - Ride with fare.promo set
+   * @param {Object} booking - { pickup, fare, now? }
+   * @returns {Promise<Object>} { valid, error?, message? }
+   */
+  static async recheckForRide(ride, { pickup, fare, now = new Date() }) {
+    const promo = await Promo.findById(ride.fare.promo.promoId);
+    if (!promo) {
+      return { valid: false, error: 'PROMO_NOT_FOUND', message: 'Promo code not found' };
+    }
+
+    const hasCompletedRide = promo.firstRideOnly
+      ? await Ride.exists({ riderId: ride.riderId, status: 'completed' })
+      : null;
+
+    return this.checkEligibility(promo, {
+      pickup,
+      fare,
+      hasCompletedRide: Boolean(hasCompletedRide),
+      reserved: true,
+      now
+    });
+  }
+
+  /**
+   * Claim a usage slot for a ride. The usedCount increment is conditional on the global
+   * limit, so two bookings can never both take the last slot; the redemption then takes a
+   * free per-rider slot, so two bookings by one rider can never both take their last one.
+   * If no rider slot is free, or the redemption cannot be written, the increment is undone.
+   *
+   * @param {Object} promo - Promo document
+   * @param {Object} redemption - { riderId, rideId, discount }
+   * @returns {Promise<Object>} { success, error?, message? }
+   */
+  static async reserve(promo, { riderId, rideId, discount }) {
+    const claimed = await Promo.findOneAndUpdate(
+      {
+        _id: promo._id,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return {
+        success: false,
+        error: 'PROMO_USAGE_LIMIT_REACHED',
+        message: 'This promo code has been fully redeemed'
+      };
+    }
+
+    const giveBack = () => Promo.updateOne(
+      { _id: promo._id, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+
+    let reserved;
+    try {
+      reserved = await this._createRedemption(promo, { riderId, rideId, discount });
+    } catch (error) {
+      await giveBack();
+      throw error;
+    }
+
+    if (!reserved) {
+      await giveBack();
+      return {
+        success: false,
+        error: 'PROMO_USER_LIMIT_REACHED',
+        message: promo.firstRideOnly
+          ? 'This promo code is only valid on your first ride'
+          : 'You have already used this promo code'
+      };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Free the usage slot held by a ride (on cancellation or failed booking)
+   *
+   * @param {string} rideId - Ride ID
+   * @returns {Promise<boolean>} True if a reservation was released
+   */
+  static async release(rideId) {
+    try {
+      if (mongoose.connection.readyState !== 1) {
+        return false;
+      }
+
+      const redemption = await PromoRedemption.findOneAndUpdate(
+        { rideId, status: 'reserved' },
+        { $set: { status: 'released', slot: null } },
+        { new: true }
+      );
+      if (!redemption) {
+        return false;
+      }
+
+      await Promo.updateOne({ _id: redemption.promoId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+      return true;
+    } catch (error) {
+      console.error('Failed to release promo redemption:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Finalize a ride's redemption with the discount actually given
+   *
+   * @param {string} rideId - Ride ID
+   * @param {number} discount - Final discount amount
+   */
+  static async markRedeemed(rideId, discount) {
+    try {
+      await PromoRedemption.updateOne(
+        { rideId, status: 'reserved' },
+        { $set: { status: 'redeemed', discount } }
+      );
+    } catch (error) {
+      console.error('Failed to mark promo redeemed:', error);
+    }
+  }
+
+  /**
+   * Write a ride's redemption in the first free per-rider slot
+   * @private
+   * @returns {Promise<Object|null>} Redemption, or null if all of the rider's slots are taken
+   */
+  static async _createRedemption(promo, { riderId, rideId, discount }) {
+    const slots = promo.firstRideOnly ? 1 : promo.perUserLimit;
+
+    for (let slot = 1; slot <= slots; slot++) {
+      try {
+        return await PromoRedemption.create({
+          promoId: promo._id,
+          userId: riderId,
+          rideId,
+          code: promo.code,
+          discount,
+          slot
+        });
+      } catch (error) {
+        // Slot held by another active redemption: try the next one
+        if (error.code !== 11000 || !error.keyPattern?.slot) {
+          throw error;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Promo terms to store on the ride
+   *
+   * @param {Object} promo - Promo document
+   * @returns {Object} Snapshot for ride.fare.promo
+   */
+  static toSnapshot(promo) {
+    return {
+      promoId: promo._id,
+      code: promo.code,
+      campaign: promo.campaign,
+      discountType: promo.discountType,
+      discountValue: promo.discountValue,
+      maxDiscount: promo.maxDiscount
+    };
+  }
+}
+
+module.exports = PromoService;
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const { RideEvent } = require('../models');
+const { haversineDistance } = require('../utils/geo');
+
+/**
+ * Ride Event Service
+ *
+ * Writes and reads the append-only ride event log (RideEvent collection). Every
+ * meaningful change to a ride - status transitions, driver offers, location
+ * milestones, payments - is recorded along with the actor that triggered it.
+ *
+ * Recording is best-effort: a failed audit write is logged but never breaks the
+ * ride flow that triggered it.
+ */
+class RideEventService {
+  // Distance at which the driver is considered to have reached a ride location
+  static MILESTONE_RADIUS_KM = 0.2;
+
+  /**
+   * Append an event to a ride's log
+   *
+   * @param {string} rideId - Ride ID
+   * @param {string} type - One of RideEvent.RIDE_EVENT_TYPES
+   * @param {Object} options - { actor, message, data }
+   * @param {Object} options.actor - { role, userId } (default: system)
+   * @returns {Promise<Object|null>} Saved event, or null if recording failed
+   */
+  static async record(rideId, type, { actor = null, message = null, data = {} } = {}) {
+    try {
+      if (mongoose.connection.readyState !== 1) {
+        return null;
+      }
+
+      return await RideEvent.create({
+        rideId,
+        type,
+        actor: actor || { role: 'system' },
+        message,
+        data
+      });
+    } catch (error) {
+      console.error(`Failed to record ride event ${type} for ride ${rideId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get a ride's events in chronological order
+   *
+   * @param {string} rideId - Ride ID
+   * @returns {Promise<Array>} Events with the acting user's name populated
+   */
+  static async getRideEvents(rideId) {
+    return RideEvent.find({ rideId })
+      .populate('actor.userId', 'profile.name role')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+  }
+
+  /**
+   * Build the actor for an authenticated user
+   *
+   * @param {Object} user - Authenticated user (req.user)
+   * @returns {Object} { role, userId }
+   */
+  static actorFromUser(user) {
+    if (!user) {
+      return { role: 'system', userId: null };
+    }
+    return { role: user.role, userId: user._id };
+  }
+
+  /**
+   * Determine which location milestone, if any, a driver position reaches
+   *
+   * @param {Object} ride - Ride with status, pickup and destination
+   * @param {number[]} coordinates - Driver position [longitude, latitude]
+   * @returns {string|null} DRIVER_NEAR_PICKUP, DRIVER_NEAR_DESTINATION or null
+   */
+  static detectLocationMilestone(ride, coordinates) {
+    let type = null;
+    let target = null;
+
+    if (ride.status === 'accepted') {
+      type = 'DRIVER_NEAR_PICKUP';
+      target = ride.pickup?.coordinates?.coordinates;
+    } else if (ride.status === 'in_progress') {
+      type = 'DRIVER_NEAR_DESTINATION';
+      target = ride.destination?.coordinates?.coordinates;
+    }
+
+    if (!target || haversineDistance(coordinates, target) > this.MILESTONE_RADIUS_KM) {
+      return null;
+    }
+    return type;
+  }
+
+  /**
+   * Record a location milestone the first time a driver reaches it
+   *
+   * @param {Object} ride - Ride document
+   * @param {number[]} coordinates - Driver position [longitude, latitude]
+   * @param {string} driverId - Driver ID
+   * @returns {Promise<Object|null>} Saved event, or null if no new milestone
+   */
+  static async recordLocationMilestone(ride, coordinates, driverId) {
+    const type = this.detectLocationMilestone(ride, coordinates);
+    if (!type) {
+      return null;
+    }
+
+    try {
+      const alreadyRecorded = await RideEvent.exists({ rideId: ride._id, type });
+      if (alreadyRecorded) {
+        return null;
+      }
+    } catch (error) {
+      console.error('Failed to check ride milestones:', error.message);
+      return null;
+    }
+
+    return this.record(ride._id, type, {
+      actor: { role: 'driver', userId: driverId },
+      data: { location: coordinates }
+    });
+  }
+}
+
+module.exports = RideEventService;
@@ -0,0 +1,329 @@
+const mongoose = require('mongoose');
+const { Ride } = require('../models');
+const MatchingService = require('./MatchingService');
+const RideEventService = require('./RideEventService');
+const PromoService = require('./PromoService');
+const PaymentHoldService = require('./PaymentHoldService');
+const socketService = require('./socketService');
+
+/**
+ * Ride Scheduler Service
+ *
+ * Dispatches rides booked for a future pickup time. Scheduled rides are stored with
+ * status 'scheduled' and a scheduledFor timestamp; a polling loop promotes them to
+ * 'requested' a configurable lead time before pickup and starts driver matching.
+ *
+ * Persistence:
+ * - All scheduling state lives on the Ride documents, so pending dispatches survive restarts
+ * - Rides whose dispatch window was missed while the server was down are picked up on the next poll
+ * - Rides left undispatched long after their pickup time are cancelled instead of matched
+ * - Each poll also expires driver offers whose response window lapsed during downtime
+ *
+ * Concurrency:
+ * - Each ride is claimed with an atomic findOneAndUpdate on status 'scheduled', so multiple
+ *   backend instances polling the same database never dispatch a ride twice
+ *
+ * Payment:
+ * - Card bookings are authorized when claimed (PaymentHoldService.placeDispatchHold), at the
+ *   fare the ride is booked for by then; a declined card cancels the ride instead of matching it
+ */
+class RideSchedulerService {
+  // Configuration constants
+  static DISPATCH_LEAD_TIME = (parseInt(process.env.SCHEDULED_RIDE_LEAD_MINUTES, 10) || 15) * 60 * 1000;
+  static POLL_INTERVAL = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS, 10) || 30000;
+  static MIN_ADVANCE_BOOKING = 30 * 60 * 1000; // 30 minutes
+  static MAX_ADVANCE_BOOKING = 7 * 24 * 60 * 60 * 1000; // 7 days
+  static MISSED_DISPATCH_GRACE = 30 * 60 * 1000; // 30 minutes past pickup
+  static DISPATCH_BATCH_SIZE = 50;
+
+  static _intervalId = null;
+  static _isPolling = false;
+
+  /**
+   * Check that a requested pickup time falls inside the bookable window
+   *
+   * @param {Date|string} scheduledFor - Requested pickup time
+   * @param {Date} now - Reference time (default: current time)
+   * @returns {Object} { valid, error?, message? }
+   */
+  static validateScheduledTime(scheduledFor, now = new Date()) {
+    const pickupTime = new Date(scheduledFor);
+
+    if (isNaN(pickupTime.getTime())) {
+      return {
+        valid: false,
+        error: 'INVALID_SCHEDULED_TIME',
+        message: 'Scheduled pickup time must be a valid date'
+      };
+    }
+
+    const advance = pickupTime.getTime() - now.getTime();
+
+    if (advance < this.MIN_ADVANCE_BOOKING) {
+      return {
+        valid: false,
+        error: 'SCHEDULED_TIME_TOO_SOON',
+        message: `Scheduled rides must be booked at least ${this.MIN_ADVANCE_BOOKING / 60000} minutes in advance`
+      };
+    }
+
+    if (advance > this.MAX_ADVANCE_BOOKING) {
+      return {
+        valid: false,
+        error: 'SCHEDULED_TIME_TOO_FAR',
+        message: `Scheduled rides can be booked at most ${this.MAX_ADVANCE_BOOKING / 86400000} days in advance`
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Time at which matching should start for a scheduled pickup
+   *
+   * @param {Date|string} scheduledFor - Scheduled pickup time
+   * @returns {Date} Dispatch time
+   */
+  static getDispatchTime(scheduledFor) {
+    return new Date(new Date(scheduledFor).getTime() - this.DISPATCH_LEAD_TIME);
+  }
+
+  /**
+   * Whether a scheduled ride missed its pickup by more than the grace period
+   *
+   * @param {Date|string} scheduledFor - Scheduled pickup time
+   * @param {Date} now - Reference time (default: current time)
+   * @returns {boolean} True if the ride should be cancelled rather than dispatched
+   */
+  static isDispatchMissed(scheduledFor, now = new Date()) {
+    return now.getTime() - new Date(scheduledFor).getTime() > this.MISSED_DISPATCH_GRACE;
+  }
+
+  /**
+   * Start the polling loop. Safe to call more than once.
+   */
+  static start() {
+    if (this._intervalId) {
+      return;
+    }
+
+    this._intervalId = setInterval(() => this._poll(), this.POLL_INTERVAL);
+
+    // Catch up on anything that became due while the server was down
+    this._poll();
+
+    console.log(`⏰ Ride scheduler started (lead time ${this.DISPATCH_LEAD_TIME / 60000} min)`);
+  }
+
+  /**
+   * Stop the polling loop
+   */
+  static stop() {
+    if (this._intervalId) {
+      clearInterval(this._intervalId);
+      this._intervalId = null;
+    }
+  }
+
+  /**
+   * Dispatch every scheduled ride whose dispatch time has arrived
+   *
+   * @param {Date} now - Reference time (default: current time)
+   * @returns {Promise<Object>} Counts of dispatched and expired rides
+   */
+  static async dispatchDueRides(now = new Date()) {
+    if (this._isPolling || mongoose.connection.readyState !== 1) {
+      return { dispatched: 0, expired: 0 };
+    }
+
+    this._isPolling = true;
+    let dispatched = 0;
+    let expired = 0;
+
+    try {
+      const dueRides = await Ride.find({
+        status: 'scheduled',
+        scheduledFor: { $lte: new Date(now.getTime() + this.DISPATCH_LEAD_TIME) }
+      })
+        .select('_id scheduledFor')
+        .sort({ scheduledFor: 1 })
+        .limit(this.DISPATCH_BATCH_SIZE)
+        .lean();
+
+      for (const dueRide of dueRides) {
+        if (this.isDispatchMissed(dueRide.scheduledFor, now)) {
+          if (await this._expireRide(dueRide._id)) {
+            expired++;
+          }
+          continue;
+        }
+
+        const ride = await this._claimRide(dueRide._id, now);
+        if (ride) {
+          dispatched++;
+          await this.startMatching(ride);
+        }
+      }
+    } finally {
+      this._isPolling = false;
+    }
+
+    return { dispatched, expired };
+  }
+
+  /**
+   * Run driver matching for a ride in 'requested' status and record the outcome
+   *
+   * @param {Object} ride - Ride document
+   * @returns {Promise<Object|null>} Matching result, or null if matching could not run
+   */
+  static async startMatching(ride) {
+    try {
+      // Check if DB is still connected before attempting matching
+      if (mongoose.connection.readyState !== 1) {
+        console.warn('⚠️ Database not connected - skipping driver matching');
+        return null;
+      }
+
+      const pickupCoords = ride.pickup.coordinates.coordinates;
+      const matchingResult = await MatchingService.findNearestDriver(
+        pickupCoords[0],
+        pickupCoords[1],
+        ride._id,
+        MatchingService.INITIAL_RADIUS,
+        ride.serviceLevel
+      );
+
+      if (matchingResult.success) {
+        console.log(`✅ Ride ${ride._id} offered to driver:`, matchingResult.driver.profile.name);
+      } else {
+        console.log(`❌ No drivers found for ride ${ride._id}:`, matchingResult.message);
+        await this._recordMatchingOutcome(ride._id, 'NO_DRIVERS_AVAILABLE', {
+          $set: { 'metadata.noDriversAvailable': true }
+        }, { message: matchingResult.message });
+      }
+
+      return matchingResult;
+    } catch (matchingError) {
+      console.error('❌ Driver matching failed with error:', matchingError);
+      await this._recordMatchingOutcome(ride._id, 'MATCHING_ERROR', {
+        $set: { 'metadata.matchingError': matchingError.message }
+      }, { message: matchingError.message });
+      return null;
+    }
+  }
+
+  /**
+   * Run one polling cycle: dispatch due scheduled rides and expire unanswered driver offers
+   * @private
+   */
+  static _poll() {
+    this.dispatchDueRides().catch(error => {
+      console.error('❌ Scheduled ride dispatch failed:', error);
+    });
+
+    // Offer timers are in-memory; this sweep catches offers orphaned by a restart
+    if (mongoose.connection.readyState === 1) {
+      MatchingService.expireStaleOffers();
+    }
+  }
+
+  /**
+   * Atomically move a scheduled ride into the live matching queue and authorize its card
+   * @private
+   */
+  static async _claimRide(rideId, now) {
+    const ride = await Ride.findOneAndUpdate(
+      { _id: rideId, status: 'scheduled' },
+      { $set: { status: 'requested', 'timeline.requestedAt': now } },
+      { new: true }
+    );
+
+    if (!ride) {
+      return null;
+    }
+
+    await RideEventService.record(rideId, 'RIDE_DISPATCHED', {
+      data: { from: 'scheduled', to: 'requested', scheduledFor: ride.scheduledFor }
+    });
+
+    const hold = await PaymentHoldService.placeDispatchHold(ride);
+    if (!hold.success) {
+      if (hold.error !== 'RIDE_CHANGED') {
+        console.warn(`⚠️ Card for scheduled ride ${rideId} was declined at dispatch`);
+        await this._cancelRide(rideId, 'requested', `Card could not be authorized: ${hold.message || hold.error}`);
+      }
+      return null;
+    }
+    return hold.ride || ride;
+  }
+
+  /**
+   * Cancel a scheduled ride whose pickup time passed without dispatch
+   * @private
+   */
+  static async _expireRide(rideId) {
+    const expired = await this._cancelRide(rideId, 'scheduled', 'Scheduled pickup time passed before dispatch');
+    if (expired) {
+      console.warn(`⚠️ Scheduled ride ${rideId} expired before dispatch`);
+    }
+    return expired;
+  }
+
+  /**
+   * Cancel a ride on the system's behalf, if it is still in the given status, and give back its
+   * promo and card hold
+   * @private
+   */
+  static async _cancelRide(rideId, fromStatus, reason) {
+    const ride = await Ride.findOneAndUpdate(
+      { _id: rideId, status: fromStatus },
+      {
+        $set: {
+          status: 'cancelled',
+          cancellationReason: reason,
+          cancellation: { cancelledBy: 'system', fee: 0, feeReason: 'NOT_RIDER_INITIATED' },
+          'timeline.cancelledAt': new Date(),
+          'payment.card': null
+        }
+      },
+      { new: true }
+    );
+
+    if (ride) {
+      await PromoService.release(rideId);
+      await PaymentHoldService.releaseHold(rideId);
+      await RideEventService.record(rideId, 'RIDE_CANCELLED', {
+        message: reason,
+        data: { from: fromStatus, to: 'cancelled', fee: 0 }
+      });
+      socketService.broadcastToUser(ride.riderId.toString(), 'ride:cancelled', {
+        rideId: rideId.toString(),
+        cancelledBy: 'system',
+        reason,
+        cancellationFee: 0,
+        timestamp: new Date().toISOString()
+      });
+    }
+    return Boolean(ride);
+  }
+
+  /**
+   * Persist the result of a failed matching attempt
+   * @private
+   */
+  static async _recordMatchingOutcome(rideId, eventType, update, eventDetails) {
+    try {
+      // Check DB connection before update
+      if (mongoose.connection.readyState !== 1) {
+        return;
+      }
+      await Ride.findByIdAndUpdate(rideId, update);
+      await RideEventService.record(rideId, eventType, eventDetails);
+    } catch (updateError) {
+      console.error('Failed to record matching outcome:', updateError);
+    }
+  }
+}
+
+module.exports = RideSchedulerService;
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { RideTrace } = require('../models');
+const { haversineDistance } = require('../utils/geo');
+
+/**
+ * Route Trace Service
+ *
+ * Persists the driver's GPS breadcrumbs for each ride and derives the actual trip
+ * distance and duration from them, so the final fare no longer depends on values
+ * reported by the driver's client.
+ *
+ * Filtering (applied when computing metrics, raw points are always kept):
+ * - Points with a reported accuracy worse than MAX_ACCURACY_METERS are dropped
+ * - Movement shorter than MIN_SEGMENT_KM is treated as GPS jitter and not counted
+ *   until the driver has actually moved away from the last accepted point
+ * - Points implying a speed above MAX_SPEED_KMH are treated as outliers and skipped
+ */
+class RouteTraceService {
+  // Configuration constants
+  static MIN_SEGMENT_KM = 0.01; // 10 meters
+  static MAX_SPEED_KMH = 160;
+  static MAX_ACCURACY_METERS = 100;
+  static MIN_TRIP_POINTS = 2;
+  static TRACKED_STATUSES = { accepted: 'pickup', arrived: 'pickup', in_progress: 'trip' };
+
+  /**
+   * Append a driver location to the ride's trace
+   *
+   * @param {Object} ride - Ride document (status and _id are used)
+   * @param {string} driverId - Driver ID
+   * @param {Object} location - { latitude, longitude, speed?, heading?, accuracy? }
+   * @returns {Promise<boolean>} True if the point was stored
+   */
+  static async recordPoint(ride, driverId, location) {
+    const phase = this.TRACKED_STATUSES[ride.status];
+    if (!phase) {
+      return false;
+    }
+
+    try {
+      if (mongoose.connection.readyState !== 1) {
+        return false;
+      }
+
+      await RideTrace.updateOne(
+        { rideId: ride._id },
+        {
+          $setOnInsert: { driverId },
+          $push: {
+            points: {
+              coordinates: [location.longitude, location.latitude],
+              recordedAt: new Date(),
+              phase,
+              speed: location.speed ?? null,
+              heading: location.heading ?? null,
+              accuracy: location.accuracy ?? null
+            }
+          }
+        },
+        { upsert: true, runValidators: true }
+      );
+      return true;
+    } catch (error) {
+      console.error(`Failed to record trace point for ride ${ride._id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get the stored breadcrumbs for a ride
+   *
+   * @param {string} rideId - Ride ID
+   * @returns {Promise<Array>} Points in recording order (empty if none)
+   */
+  static async getTracePoints(rideId) {
+    const trace = await RideTrace.findOne({ rideId }).select('points').lean();
+    return trace ? trace.points : [];
+  }
+
+  /**
+   * Compute distance and duration of the trip phase from a set of breadcrumbs
+   *
+   * @param {Array} points - Trace points ({ coordinates, recordedAt, phase, accuracy })
+   * @returns {Object|null} { distance (km), duration (minutes), pointsUsed, pointsDiscarded },
+   *   or null if there are too few usable points
+   */
+  static computeTripMetrics(points) {
+    const tripPoints = points
+      .filter(point => point.phase === 'trip')
+      .sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+
+    const accuratePoints = tripPoints.filter(point =>
+      point.accuracy === null || point.accuracy === undefined || point.accuracy <= this.MAX_ACCURACY_METERS
+    );
+
+    if (accuratePoints.length < this.MIN_TRIP_POINTS) {
+      return null;
+    }
+
+    let distance = 0;
+    let anchor = accuratePoints[0];
+    let pointsUsed = 1;
+
+    for (let i = 1; i < accuratePoints.length; i++) {
+      const point = accuratePoints[i];
+      const segment = haversineDistance(anchor.coordinates, point.coordinates);
+      const hours = (new Date(point.recordedAt) - new Date(anchor.recordedAt)) / 3600000;
+
+      // Jitter: stay anchored until the driver has genuinely moved
+      if (segment < this.MIN_SEGMENT_KM) {
+        continue;
+      }
+
+      // Outlier: an impossible jump from the last good point
+      if (hours <= 0 || segment / hours > this.MAX_SPEED_KMH) {
+        continue;
+      }
+
+      distance += segment;
+      anchor = point;
+      pointsUsed++;
+    }
+
+    const first = new Date(accuratePoints[0].recordedAt);
+    const last = new Date(accuratePoints[accuratePoints.length - 1].recordedAt);
+
+    return {
+      distance: Math.round(distance * 100) / 100,
+      duration: Math.round((last - first) / 60000),
+      pointsUsed,
+      pointsDiscarded: tripPoints.length - pointsUsed
+    };
+  }
+}
+
+module.exports = RouteTraceService;
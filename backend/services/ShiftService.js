@@ -0,0 +1,507 @@
+const mongoose = require('mongoose');
+const { User, Ride, DriverShift } = require('../models');
+const VehicleService = require('./VehicleService');
+const NotificationService = require('./NotificationService');
+
+/**
+ * Shift Service
+ *
+ * Tracks when drivers are on shift and enforces breaks after long stretches of driving.
+ *
+ * Rules:
+ * - Going online starts a shift (a DriverShift, mirrored on driverInfo.shift) and claims the
+ *   driver's active vehicle; going offline ends it. Starting and ending are idempotent
+ * - A driver who ends their shift during a ride is taken offline when the ride finishes
+ * - Drivers who have never started a shift (e.g. made available directly) stay on offer
+ *   after each ride, as before shifts existed
+ * - Continuous driving runs from `continuousSince`; a shift started less than
+ *   MIN_BREAK_MINUTES after the previous one ended continues the previous stretch
+ * - Once continuous driving reaches MAX_CONTINUOUS_MINUTES the driver gets no more rides; a
+ *   polling loop ends their shift (after the current ride, if any) and they cannot go
+ *   online again until they have had a break of MIN_BREAK_MINUTES
+ * - Daily reports split online and on-trip time (accepted to completed or cancelled) by
+ *   UTC calendar day, like payout weeks
+ */
+class ShiftService {
+  // Configuration constants
+  static MAX_CONTINUOUS_MINUTES = parseInt(process.env.DRIVER_MAX_CONTINUOUS_DRIVING_MINUTES, 10) || 240;
+  static MIN_BREAK_MINUTES = parseInt(process.env.DRIVER_MIN_BREAK_MINUTES, 10) || 30;
+  static CHECK_INTERVAL = parseInt(process.env.DRIVER_SHIFT_CHECK_INTERVAL_MS, 10) || 60 * 1000;
+  static CHECK_BATCH_SIZE = 200;
+  static MAX_REPORT_DAYS = 31;
+  static MINUTE = 60 * 1000;
+  static DAY = 24 * 60 * 60 * 1000;
+
+  // Ride statuses in which the driver has a rider to look after
+  static ON_TRIP_STATUSES = ['accepted', 'arrived', 'in_progress'];
+
+  static _intervalId = null;
+  static _isChecking = false;
+
+  /**
+   * Minutes a driver has been driving without a break
+   *
+   * @param {Object} driver - Driver user
+   * @param {Date} now - Reference time (default: now)
+   * @returns {number} Whole minutes (0 while off shift)
+   */
+  static getContinuousMinutes(driver, now = new Date()) {
+    const shift = driver?.driverInfo?.shift;
+    if (!shift?.continuousSince) {
+      return 0;
+    }
+    return Math.max(0, Math.floor((now.getTime() - new Date(shift.continuousSince).getTime()) / this.MINUTE));
+  }
+
+  /**
+   * Whether a driver has driven for the maximum continuous time
+   *
+   * @param {Object} driver - Driver user
+   * @param {Date} now - Reference time (default: now)
+   * @returns {boolean} True if the driver must take a break
+   */
+  static hasReachedLimit(driver, now = new Date()) {
+    return this.getContinuousMinutes(driver, now) >= this.MAX_CONTINUOUS_MINUTES;
+  }
+
+  /**
+   * Whether a driver has a rider to look after
+   *
+   * @param {string} driverId - Driver user ID
+   * @returns {Promise<boolean>} True while the driver has an accepted or started ride
+   */
+  static async isOnTrip(driverId) {
+    return Boolean(await Ride.exists({ driverId, status: { $in: this.ON_TRIP_STATUSES } }));
+  }
+
+  /**
+   * Query clause matching drivers who may still be dispatched rides (off-shift drivers match)
+   *
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Object} Driver query clause
+   */
+  static buildDispatchableFilter(now = new Date()) {
+    return {
+      'driverInfo.shift.continuousSince': { $not: { $lte: this._limitCutoff(now) } }
+    };
+  }
+
+  /**
+   * Shift state for the driver dashboard
+   *
+   * @param {Object} driver - Driver user
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<Object>} { onShift, shift, continuousMinutes, remainingMinutes,
+   *   maxContinuousMinutes, minBreakMinutes, breakRequired, availableAt }
+   */
+  static async getStatus(driver, now = new Date()) {
+    const shift = driver.driverInfo?.shift || null;
+    const status = {
+      onShift: Boolean(shift),
+      shift,
+      continuousMinutes: this.getContinuousMinutes(driver, now),
+      remainingMinutes: null,
+      maxContinuousMinutes: this.MAX_CONTINUOUS_MINUTES,
+      minBreakMinutes: this.MIN_BREAK_MINUTES,
+      breakRequired: false,
+      availableAt: null
+    };
+
+    if (shift) {
+      status.remainingMinutes = Math.max(0, this.MAX_CONTINUOUS_MINUTES - status.continuousMinutes);
+      status.breakRequired = status.remainingMinutes === 0;
+      return status;
+    }
+
+    const pendingBreak = await this._getPendingBreak(driver._id, now);
+    if (pendingBreak?.limitReached) {
+      status.breakRequired = true;
+      status.availableAt = pendingBreak.availableAt;
+    }
+    return status;
+  }
+
+  /**
+   * Start a shift and claim the driver's active vehicle. The caller checks onboarding
+   * eligibility first.
+   *
+   * @param {Object} driver - Driver user
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<Object>} { success, driver, shift } or { success: false, error, message }
+   */
+  static async startShift(driver, now = new Date()) {
+    if (driver.driverInfo?.shift) {
+      return this._resumeShift(driver);
+    }
+
+    const pendingBreak = await this._getPendingBreak(driver._id, now);
+    if (pendingBreak?.limitReached) {
+      return {
+        success: false,
+        error: 'DRIVER_BREAK_REQUIRED',
+        message: `You have driven for ${this.MAX_CONTINUOUS_MINUTES} minutes without a break. Take a ${this.MIN_BREAK_MINUTES}-minute break before going online again`,
+        availableAt: pendingBreak.availableAt
+      };
+    }
+
+    const claim = await VehicleService.claimActiveVehicle(driver, now);
+    if (!claim.success) {
+      return claim;
+    }
+
+    const shiftId = new mongoose.Types.ObjectId();
+    const continuousSince = pendingBreak?.continuousSince || now;
+
+    // Only one request can open the shift; a concurrent one resumes it
+    const updated = await User.findOneAndUpdate(
+      { _id: driver._id, 'driverInfo.shift': null },
+      {
+        $set: {
+          'driverInfo.isAvailable': true,
+          'driverInfo.shift': { shiftId, startedAt: now, continuousSince, endRequestedAt: null }
+        }
+      },
+      { new: true }
+    ).select('-password');
+
+    if (!updated) {
+      return this._resumeShift(await User.findById(driver._id).select('-password'));
+    }
+
+    const shift = await DriverShift.create({
+      _id: shiftId,
+      driverId: driver._id,
+      vehicleId: updated.driverInfo.activeVehicle?.vehicleId || null,
+      startedAt: now,
+      continuousSince
+    });
+
+    return { success: true, driver: updated, shift };
+  }
+
+  /**
+   * End a driver's shift, take them offline and release their vehicle. A driver ending their
+   * own shift during a ride stays on shift until the ride finishes.
+   *
+   * @param {string} driverId - Driver user ID
+   * @param {string} reason - One of DriverShift.SHIFT_END_REASONS (default: 'driver')
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<Object>} { success, pending, driver, shift }
+   */
+  static async endShift(driverId, reason = 'driver', now = new Date()) {
+    if (reason === 'driver' && await this.isOnTrip(driverId)) {
+      const driver = await User.findOneAndUpdate(
+        { _id: driverId, 'driverInfo.shift': { $ne: null } },
+        { $set: { 'driverInfo.isAvailable': false, 'driverInfo.shift.endRequestedAt': now } },
+        { new: true }
+      ).select('-password');
+
+      if (driver) {
+        return { success: true, pending: true, driver, shift: null };
+      }
+    }
+
+    const previous = await User.findOneAndUpdate(
+      { _id: driverId },
+      { $set: { 'driverInfo.isAvailable': false, 'driverInfo.shift': null } }
+    ).select('driverInfo.shift');
+
+    if (!previous) {
+      return { success: false, error: 'DRIVER_NOT_FOUND', message: 'Driver not found' };
+    }
+
+    let shift = null;
+    if (previous.driverInfo?.shift) {
+      shift = await DriverShift.findOneAndUpdate(
+        { _id: previous.driverInfo.shift.shiftId, endedAt: null },
+        { $set: { endedAt: now, endReason: reason } },
+        { new: true }
+      );
+    }
+
+    await VehicleService.releaseVehicles(driverId);
+
+    const driver = await User.findById(driverId).select('-password');
+    return { success: true, pending: false, driver, shift };
+  }
+
+  /**
+   * Put a driver back on offer after a ride, or end their shift if they asked to stop or
+   * have reached the continuous driving limit. Drivers who have never started a shift are
+   * put back on offer too.
+   *
+   * @param {string} driverId - Driver user ID
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<Object>} { available, shiftEnded }
+   */
+  static async finishRide(driverId, now = new Date()) {
+    const driver = await User.findById(driverId).select('driverInfo.shift');
+    const shift = driver?.driverInfo?.shift;
+
+    // Drivers who have never been on a shift (made available directly) go back on offer as
+    // before; anyone else off shift went offline on purpose or owes a break
+    if (!shift && await DriverShift.exists({ driverId })) {
+      return { available: false, shiftEnded: false };
+    }
+
+    if (shift?.endRequestedAt) {
+      await this.endShift(driverId, 'driver', now);
+      return { available: false, shiftEnded: true };
+    }
+
+    if (shift && this.hasReachedLimit(driver, now)) {
+      await this._requireBreak(driver, now);
+      return { available: false, shiftEnded: true };
+    }
+
+    // Only approved drivers go back online (an approval revoked mid-ride keeps them off), and
+    // only if their shift did not change meanwhile
+    const result = await User.updateOne(
+      {
+        _id: driverId,
+        'driverInfo.onboarding.status': 'approved',
+        'driverInfo.shift.shiftId': shift ? shift.shiftId : null
+      },
+      { $set: { 'driverInfo.isAvailable': true } }
+    );
+    return { available: result.matchedCount > 0, shiftEnded: false };
+  }
+
+  /**
+   * End the shifts of drivers who are no longer allowed to drive
+   *
+   * @param {Array<string>} driverIds - Driver user IDs
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<number>} Shifts ended
+   */
+  static async endShiftsForIneligible(driverIds, now = new Date()) {
+    if (driverIds.length === 0) {
+      return 0;
+    }
+
+    const onShift = await User.find({ _id: { $in: driverIds }, 'driverInfo.shift': { $ne: null } }).select('_id');
+
+    let ended = 0;
+    for (const { _id: driverId } of onShift) {
+      const result = await this.endShift(driverId, 'not_eligible', now);
+      if (result.shift) {
+        ended++;
+      }
+    }
+    return ended;
+  }
+
+  /**
+   * Per-day online and on-trip time for the last `days` days, today included
+   *
+   * @param {string} driverId - Driver user ID
+   * @param {Object} options - { days (default 7), now }
+   * @returns {Promise<Object>} { from, to, days: [{ date, onlineMinutes, onTripMinutes, shifts,
+   *   breaksRequired }], totals, shifts }
+   */
+  static async getReport(driverId, { days = 7, now = new Date() } = {}) {
+    const dayCount = Math.min(Math.max(parseInt(days, 10) || 7, 1), this.MAX_REPORT_DAYS);
+    const to = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) + this.DAY);
+    const from = new Date(to.getTime() - dayCount * this.DAY);
+
+    const [shifts, rides] = await Promise.all([
+      DriverShift.find({
+        driverId,
+        startedAt: { $lt: to },
+        $or: [{ endedAt: null }, { endedAt: { $gt: from } }]
+      }).sort({ startedAt: -1 }).lean(),
+      Ride.find({
+        driverId,
+        'timeline.acceptedAt': { $ne: null, $lt: to },
+        $or: [
+          { status: { $in: this.ON_TRIP_STATUSES } },
+          { 'timeline.completedAt': { $gt: from } },
+          { 'timeline.cancelledAt': { $gt: from } }
+        ]
+      }).select('status timeline').lean()
+    ]);
+
+    const shiftIntervals = shifts.map(shift => [shift.startedAt, shift.endedAt || now]);
+    const tripIntervals = rides
+      .map(ride => [
+        ride.timeline.acceptedAt,
+        ride.timeline.completedAt || ride.timeline.cancelledAt ||
+          (this.ON_TRIP_STATUSES.includes(ride.status) ? now : null)
+      ])
+      .filter(([, end]) => end);
+
+    const report = [];
+    for (let dayStart = from.getTime(); dayStart < to.getTime(); dayStart += this.DAY) {
+      const dayEnd = dayStart + this.DAY;
+      const inDay = date => date && date.getTime() >= dayStart && date.getTime() < dayEnd;
+
+      report.push({
+        date: new Date(dayStart).toISOString().slice(0, 10),
+        onlineMinutes: this._overlapMinutes(shiftIntervals, dayStart, dayEnd),
+        onTripMinutes: this._overlapMinutes(tripIntervals, dayStart, dayEnd),
+        shifts: shifts.filter(shift => inDay(shift.startedAt)).length,
+        breaksRequired: shifts.filter(shift => shift.endReason === 'break_required' && inDay(shift.endedAt)).length
+      });
+    }
+
+    const totals = ['onlineMinutes', 'onTripMinutes', 'shifts', 'breaksRequired'].reduce((sum, key) => ({
+      ...sum,
+      [key]: report.reduce((total, day) => total + day[key], 0)
+    }), {});
+
+    return {
+      from,
+      to,
+      days: report,
+      totals,
+      shifts: shifts.map(shift => ({
+        _id: shift._id,
+        startedAt: shift.startedAt,
+        endedAt: shift.endedAt,
+        endReason: shift.endReason,
+        durationMinutes: Math.floor(((shift.endedAt || now).getTime() - shift.startedAt.getTime()) / this.MINUTE)
+      }))
+    };
+  }
+
+  /**
+   * Start the break enforcement loop. Safe to call more than once.
+   */
+  static start() {
+    if (this._intervalId) {
+      return;
+    }
+
+    this._intervalId = setInterval(() => {
+      this.enforceBreaks().catch(error => {
+        console.error('❌ Driver break enforcement failed:', error);
+      });
+    }, this.CHECK_INTERVAL);
+
+    console.log(`⏱️  Driver break enforcement started (break of ${this.MIN_BREAK_MINUTES} min after ${this.MAX_CONTINUOUS_MINUTES} min of driving)`);
+  }
+
+  /**
+   * Stop the break enforcement loop
+   */
+  static stop() {
+    if (this._intervalId) {
+      clearInterval(this._intervalId);
+      this._intervalId = null;
+    }
+  }
+
+  /**
+   * End the shifts of drivers who reached the continuous driving limit and are not on a ride
+   * (drivers on a ride are taken offline when it finishes)
+   *
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<Object>} { shiftsEnded }
+   */
+  static async enforceBreaks(now = new Date()) {
+    if (this._isChecking || mongoose.connection.readyState !== 1) {
+      return { shiftsEnded: 0 };
+    }
+
+    this._isChecking = true;
+
+    try {
+      const drivers = await User.find({
+        role: 'driver',
+        'driverInfo.shift.continuousSince': { $lte: this._limitCutoff(now) }
+      }).select('driverInfo.shift').limit(this.CHECK_BATCH_SIZE);
+
+      let shiftsEnded = 0;
+      for (const driver of drivers) {
+        if (await this.isOnTrip(driver._id)) {
+          continue;
+        }
+        if (await this._requireBreak(driver, now)) {
+          shiftsEnded++;
+        }
+      }
+
+      return { shiftsEnded };
+    } finally {
+      this._isChecking = false;
+    }
+  }
+
+  // Helper methods
+
+  static _limitCutoff(now) {
+    return new Date(now.getTime() - this.MAX_CONTINUOUS_MINUTES * this.MINUTE);
+  }
+
+  /**
+   * Return a driver who is already on shift (back on offer unless they are on a ride)
+   */
+  static async _resumeShift(driver) {
+    let current = driver;
+    if (!driver.driverInfo.isAvailable && !driver.driverInfo.shift.endRequestedAt && !(await this.isOnTrip(driver._id))) {
+      current = await User.findOneAndUpdate(
+        { _id: driver._id, 'driverInfo.shift.shiftId': driver.driverInfo.shift.shiftId },
+        { $set: { 'driverInfo.isAvailable': true } },
+        { new: true }
+      ).select('-password') || driver;
+    }
+
+    const shift = await DriverShift.findById(driver.driverInfo.shift.shiftId);
+    return { success: true, driver: current, shift };
+  }
+
+  /**
+   * The continuous stretch a new shift would continue, if the last shift ended less than a
+   * break ago
+   *
+   * @returns {Promise<Object|null>} { continuousSince, limitReached, availableAt }
+   */
+  static async _getPendingBreak(driverId, now) {
+    const last = await DriverShift.findOne({ driverId, endedAt: { $ne: null } })
+      .sort({ endedAt: -1 })
+      .select('endedAt continuousSince');
+
+    const availableAt = last && new Date(last.endedAt.getTime() + this.MIN_BREAK_MINUTES * this.MINUTE);
+    if (!last || availableAt <= now) {
+      return null;
+    }
+
+    return {
+      continuousSince: last.continuousSince,
+      limitReached: last.continuousSince <= this._limitCutoff(now),
+      availableAt
+    };
+  }
+
+  /**
+   * End a shift at the driving limit and tell the driver to take a break
+   *
+   * @returns {Promise<boolean>} Whether a shift was ended
+   */
+  static async _requireBreak(driver, now) {
+    const drivenMinutes = this.getContinuousMinutes(driver, now);
+    const result = await this.endShift(driver._id, 'break_required', now);
+    if (!result.shift) {
+      return false;
+    }
+
+    await NotificationService.notify('DRIVER_BREAK_REQUIRED', {
+      userId: driver._id,
+      data: { drivenMinutes, breakMinutes: this.MIN_BREAK_MINUTES }
+    });
+    return true;
+  }
+
+  /**
+   * Minutes of a set of [start, end] intervals that fall within [rangeStart, rangeEnd)
+   */
+  static _overlapMinutes(intervals, rangeStart, rangeEnd) {
+    const milliseconds = intervals.reduce((total, [start, end]) => {
+      const overlap = Math.min(end.getTime(), rangeEnd) - Math.max(start.getTime(), rangeStart);
+      return total + Math.max(0, overlap);
+    }, 0);
+    return Math.floor(milliseconds / this.MINUTE);
+  }
+}
+
+module.exports = ShiftService;
@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+const { Ride, User, SurgeZone } = require('../models');
+const FareService = require('./FareService');
+const ShiftService = require('./ShiftService');
+
+/**
+ * Surge Pricing Service
+ *
+ * Divides the service area into a fixed latitude/longitude grid and periodically
+ * computes, per cell, the number of open ride requests against the number of
+ * available drivers. The resulting multiplier (FareService.calculateSurgeMultiplier)
+ * is stored on a SurgeZone document together with a capped history of snapshots.
+ *
+ * Behaviour:
+ * - Bookings and fare estimates look up the pickup cell; missing or stale cells price at 1.0
+ * - Cells that were surging are recomputed until demand settles back to 1.0
+ * - Recomputation is a single pass over open rides and available drivers, so it is safe
+ *   to run on every backend instance (writes are idempotent upserts)
+ */
+class SurgeService {
+  // Configuration constants
+  static CELL_SIZE_DEG = parseFloat(process.env.SURGE_CELL_SIZE_DEG) || 0.02; // ~2.2km
+  static RECOMPUTE_INTERVAL = parseInt(process.env.SURGE_RECOMPUTE_INTERVAL_MS, 10) || 60000;
+  static STALE_AFTER = 5 * 60 * 1000; // Ignore zones not refreshed for 5 minutes
+  static HISTORY_LIMIT = 288; // 288 snapshots = 24h at the default interval
+  static DEMAND_STATUSES = ['requested', 'matched'];
+
+  static _intervalId = null;
+  static _isComputing = false;
+
+  /**
+   * Get the grid cell containing a point
+   *
+   * @param {number} longitude - Longitude
+   * @param {number} latitude - Latitude
+   * @returns {string} Cell ID ("<latIndex>:<lngIndex>")
+   */
+  static getCellId(longitude, latitude) {
+    const latIndex = Math.floor(latitude / this.CELL_SIZE_DEG);
+    const lngIndex = Math.floor(longitude / this.CELL_SIZE_DEG);
+    return `${latIndex}:${lngIndex}`;
+  }
+
+  /**
+   * Get the bounding box and center of a grid cell
+   *
+   * @param {string} cellId - Cell ID from getCellId
+   * @returns {Object} { bounds: { south, west, north, east }, center: [longitude, latitude] }
+   */
+  static getCellGeometry(cellId) {
+    const [latIndex, lngIndex] = cellId.split(':').map(Number);
+    const round = value => Math.round(value * 1e6) / 1e6;
+
+    const south = round(latIndex * this.CELL_SIZE_DEG);
+    const west = round(lngIndex * this.CELL_SIZE_DEG);
+    const north = round(south + this.CELL_SIZE_DEG);
+    const east = round(west + this.CELL_SIZE_DEG);
+
+    return {
+      bounds: { south, west, north, east },
+      center: [round((west + east) / 2), round((south + north) / 2)]
+    };
+  }
+
+  /**
+   * Start the recompute loop. Safe to call more than once.
+   */
+  static start() {
+    if (this._intervalId) {
+      return;
+    }
+
+    this._intervalId = setInterval(() => {
+      this.recomputeZones().catch(error => {
+        console.error('❌ Surge recompute failed:', error);
+      });
+    }, this.RECOMPUTE_INTERVAL);
+
+    this.recomputeZones().catch(error => {
+      console.error('❌ Surge recompute failed:', error);
+    });
+
+    console.log(`📈 Surge engine started (cell size ${this.CELL_SIZE_DEG}°)`);
+  }
+
+  /**
+   * Stop the recompute loop
+   */
+  static stop() {
+    if (this._intervalId) {
+      clearInterval(this._intervalId);
+      this._intervalId = null;
+    }
+  }
+
+  /**
+   * Recompute the multiplier of every cell with demand, supply, or an active surge
+   *
+   * @param {Date} now - Reference time (default: current time)
+   * @returns {Promise<Object>} { zonesUpdated }
+   */
+  static async recomputeZones(now = new Date()) {
+    if (this._isComputing || mongoose.connection.readyState !== 1) {
+      return { zonesUpdated: 0 };
+    }
+
+    this._isComputing = true;
+
+    try {
+      const [openRides, availableDrivers, surgingZones] = await Promise.all([
+        Ride.find({ status: { $in: this.DEMAND_STATUSES } })
+          .select('pickup.coordinates.coordinates')
+          .lean(),
+        User.find({
+          role: 'driver',
+          isActive: true,
+          'driverInfo.isAvailable': true,
+          ...ShiftService.buildDispatchableFilter(),
+          'driverInfo.currentLocation.coordinates.0': { $exists: true }
+        })
+          .select('driverInfo.currentLocation.coordinates')
+          .lean(),
+        SurgeZone.find({ multiplier: { $gt: 1 } }).select('cellId').lean()
+      ]);
+
+      const cells = this.aggregateDemand(
+        openRides.map(ride => ride.pickup.coordinates.coordinates),
+        availableDrivers.map(driver => driver.driverInfo.currentLocation.coordinates)
+      );
+
+      // Surging cells with no remaining activity still need to settle back to 1.0
+      for (const zone of surgingZones) {
+        if (!cells.has(zone.cellId)) {
+          cells.set(zone.cellId, { pendingRequests: 0, availableDrivers: 0 });
+        }
+      }
+
+      const operations = [];
+      for (const [cellId, demand] of cells) {
+        const multiplier = FareService.calculateSurgeMultiplier({
+          pendingRequests: demand.pendingRequests,
+          availableDrivers: demand.availableDrivers
+        });
+        const { bounds, center } = this.getCellGeometry(cellId);
+
+        operations.push({
+          updateOne: {
+            filter: { cellId },
+            update: {
+              $set: {
+                center: { type: 'Point', coordinates: center },
+                bounds,
+                multiplier,
+                pendingRequests: demand.pendingRequests,
+                availableDrivers: demand.availableDrivers,
+                computedAt: now
+              },
+              $push: {
+                history: {
+                  $each: [{ multiplier, ...demand, computedAt: now }],
+                  $slice: -this.HISTORY_LIMIT
+                }
+              }
+            },
+            upsert: true
+          }
+        });
+      }
+
+      if (operations.length > 0) {
+        await SurgeZone.bulkWrite(operations, { ordered: false });
+      }
+
+      return { zonesUpdated: operations.length };
+    } finally {
+      this._isComputing = false;
+    }
+  }
+
+  /**
+   * Count open requests and available drivers per grid cell
+   *
+   * @param {Array} requestLocations - Pickup coordinates [longitude, latitude] of open rides
+   * @param {Array} driverLocations - Coordinates [longitude, latitude] of available drivers
+   * @returns {Map} cellId -> { pendingRequests, availableDrivers }
+   */
+  static aggregateDemand(requestLocations, driverLocations) {
+    const cells = new Map();
+    const cellFor = ([longitude, latitude]) => {
+      const cellId = this.getCellId(longitude, latitude);
+      if (!cells.has(cellId)) {
+        cells.set(cellId, { pendingRequests: 0, availableDrivers: 0 });
+      }
+      return cells.get(cellId);
+    };
+
+    requestLocations.forEach(coords => {
+      cellFor(coords).pendingRequests++;
+    });
+    driverLocations.forEach(coords => {
+      cellFor(coords).availableDrivers++;
+    });
+
+    return cells;
+  }
+
+  /**
+   * Get the current surge for a pickup location
+   *
+   * @param {number} longitude - Pickup longitude
+   * @param {number} latitude - Pickup latitude
+   * @param {Date} now - Reference time (default: current time)
+   * @returns {Promise<Object>} { multiplier, cellId, computedAt }
+   */
+  static async getSurgeForLocation(longitude, latitude, now = new Date()) {
+    const cellId = this.getCellId(longitude, latitude);
+    const noSurge = { multiplier: 1.0, cellId, computedAt: null };
+
+    try {
+      if (mongoose.connection.readyState !== 1) {
+        return noSurge;
+      }
+
+      const zone = await SurgeZone.findOne({ cellId }).select('multiplier computedAt').lean();
+      if (!zone || now - zone.computedAt > this.STALE_AFTER) {
+        return noSurge;
+      }
+
+      return { multiplier: zone.multiplier, cellId, computedAt: zone.computedAt };
+    } catch (error) {
+      console.error('Surge lookup error:', error);
+      return noSurge; // Never block a booking on surge lookup
+    }
+  }
+
+  /**
+   * Get fresh zones for the heatmap
+   *
+   * @param {Object} options - { bounds?: { south, west, north, east }, now?: Date }
+   * @returns {Promise<Array>} Zones with center, bounds, multiplier and demand counts
+   */
+  static async getHeatmap({ bounds = null, now = new Date() } = {}) {
+    const query = {
+      computedAt: { $gte: new Date(now.getTime() - this.STALE_AFTER) },
+      $or: [{ multiplier: { $gt: 1 } }, { pendingRequests: { $gt: 0 } }, { availableDrivers: { $gt: 0 } }]
+    };
+
+    if (bounds) {
+      query['bounds.north'] = { $gt: bounds.south };
+      query['bounds.south'] = { $lt: bounds.north };
+      query['bounds.east'] = { $gt: bounds.west };
+      query['bounds.west'] = { $lt: bounds.east };
+    }
+
+    return SurgeZone.find(query)
+      .select('cellId center bounds multiplier pendingRequests availableDrivers computedAt')
+      .sort({ multiplier: -1 })
+      .limit(500)
+      .lean();
+  }
+
+  /**
+   * Get the recorded snapshots of one zone
+   *
+   * @param {string} cellId - Cell ID
+   * @returns {Promise<Object|null>} Zone with history, or null if never computed
+   */
+  static async getZoneHistory(cellId) {
+    return SurgeZone.findOne({ cellId })
+      .select('cellId center bounds multiplier computedAt history')
+      .lean();
+  }
+}
+
+module.exports = SurgeService;
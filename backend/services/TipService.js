@@ -0,0 +1,246 @@
+const { Ride } = require('../models');
+const { envNumber } = require('../utils/env');
+const EarningsService = require('./EarningsService');
+const FareSplitService = require('./FareSplitService');
+const PaymentGatewayService = require('./PaymentGatewayService');
+const RideEventService = require('./RideEventService');
+const WalletService = require('./WalletService');
+
+/**
+ * Tip Service
+ *
+ * Optional tips the booking rider adds when rating the driver.
+ *
+ * Rules:
+ * - A tip is charged through the method the rider paid the fare with (their own share's
+ *   method on a split fare), so it can only be added once that payment has completed
+ * - It is stored in Ride.tip, apart from the fare, and written to the driver's earnings as a
+ *   separate entry with no commission taken
+ * - One tip per ride; a failed tip can be tried again
+ *
+ * Lifecycle (Ride.tip.status):
+ * - processing: claimed and being charged, or waiting for the gateway webhook
+ * - completed: paid and credited to the driver
+ * - failed: the charge was declined
+ */
+class TipService {
+  // Tip suggestions offered after the ride, in percent of the fare
+  static PRESET_PERCENTAGES = [10, 15, 20];
+  static MAX_AMOUNT = envNumber('TIP_MAX_AMOUNT', 1000);
+  // How long a 'processing' tip without a gateway transaction blocks another attempt
+  static PROCESSING_TIMEOUT = 2 * 60 * 1000; // 2 minutes
+
+  /**
+   * Method the tip is charged with: the one the booking rider paid the fare with
+   *
+   * @param {Object} ride - Ride document
+   * @returns {string|null} Payment method, or null if the rider has not paid
+   */
+  static getTipMethod(ride) {
+    if (ride.payment.method === 'split') {
+      const share = FareSplitService.findShare(ride, ride.riderId._id || ride.riderId);
+      return share && share.payment.status === 'completed' ? share.payment.method : null;
+    }
+
+    return ['completed', 'refunded'].includes(ride.payment.status) ? ride.payment.method : null;
+  }
+
+  /**
+   * Check a tip can be added to a ride
+   *
+   * @param {Object} ride - Completed ride document
+   * @param {number} amount - Tip in rupees
+   * @returns {Object} { valid, method?, error?, message? }
+   */
+  static validateTip(ride, amount) {
+    if (!ride.driverId) {
+      return { valid: false, error: 'NO_DRIVER', message: 'This ride has no driver to tip' };
+    }
+
+    if (ride.tip && ride.tip.status !== 'failed') {
+      return { valid: false, error: 'TIP_ALREADY_ADDED', message: 'You have already tipped on this ride' };
+    }
+
+    const method = this.getTipMethod(ride);
+    if (!method) {
+      return { valid: false, error: 'PAYMENT_NOT_COMPLETED', message: 'Pay for the ride before adding a tip' };
+    }
+
+    if (amount > this.MAX_AMOUNT) {
+      return { valid: false, error: 'TIP_TOO_LARGE', message: `Tips cannot exceed ₹${this.MAX_AMOUNT}` };
+    }
+
+    return { valid: true, method };
+  }
+
+  /**
+   * Charge a tip and credit it to the driver
+   *
+   * The tip is claimed atomically first, so a repeated request cannot charge twice.
+   *
+   * @param {Object} ride - Completed ride document
+   * @param {Object} params - { amount, paymentDetails?, actor }
+   * @returns {Promise<Object>} { success, status?: 'completed'|'processing', ride?, error?, message? }
+   */
+  static async addTip(ride, { amount, paymentDetails = {}, actor = null }) {
+    const validation = this.validateTip(ride, amount);
+    if (!validation.valid) {
+      return { success: false, error: validation.error, message: validation.message };
+    }
+
+    const { method } = validation;
+    const rideId = ride._id.toString();
+    const now = new Date();
+    const claimed = await Ride.findOneAndUpdate(
+      {
+        _id: ride._id,
+        $or: [
+          { tip: null },
+          { 'tip.status': 'failed' },
+          {
+            'tip.status': 'processing',
+            'tip.transactionId': null,
+            'tip.processingStartedAt': { $lt: new Date(now.getTime() - this.PROCESSING_TIMEOUT) }
+          }
+        ]
+      },
+      { $set: { tip: { amount, method, status: 'processing', processingStartedAt: now } } },
+      { new: true }
+    );
+    if (!claimed) {
+      return { success: false, error: 'TIP_ALREADY_ADDED', message: 'You have already tipped on this ride' };
+    }
+
+    let result;
+    try {
+      result = await this._charge(ride, method, amount, paymentDetails);
+    } catch (error) {
+      result = { success: false, error: 'TIP_PAYMENT_ERROR', message: error.message };
+    }
+
+    if (!result.success) {
+      await Ride.updateOne(
+        { _id: ride._id, 'tip.status': 'processing' },
+        { $set: { 'tip.status': 'failed', 'tip.processingStartedAt': null } }
+      );
+      return { success: false, error: result.error || 'TIP_PAYMENT_FAILED', message: result.message || 'Tip payment failed' };
+    }
+
+    // Asynchronous providers confirm the charge with a webhook
+    if (result.status === 'pending') {
+      const pending = await Ride.findOneAndUpdate(
+        { _id: rideId, 'tip.status': 'processing' },
+        { $set: { 'tip.provider': result.provider || null, 'tip.transactionId': result.transactionId } },
+        { new: true }
+      );
+      return { success: true, status: 'processing', ride: pending };
+    }
+
+    const completed = await this.completeTip(rideId, {
+      provider: result.provider || null,
+      transactionId: result.transactionId,
+      actor
+    });
+    return { success: true, status: 'completed', ride: completed };
+  }
+
+  /**
+   * Mark a processing tip paid, credit it to the driver and record it on the timeline
+   *
+   * @param {string} rideId - Ride ID
+   * @param {Object} params - { provider?, transactionId, actor? }
+   * @returns {Promise<Object|null>} Updated ride, or null if the tip was not processing
+   */
+  static async completeTip(rideId, { provider = null, transactionId, actor = null }) {
+    const ride = await Ride.findOneAndUpdate(
+      { _id: rideId, 'tip.status': 'processing' },
+      {
+        $set: {
+          'tip.status': 'completed',
+          'tip.provider': provider,
+          'tip.transactionId': transactionId,
+          'tip.paidAt': new Date(),
+          'tip.processingStartedAt': null
+        }
+      },
+      { new: true }
+    );
+    if (!ride) {
+      return null;
+    }
+
+    await EarningsService.recordTipEarning(ride);
+    await RideEventService.record(ride._id, 'TIP_ADDED', {
+      actor,
+      data: { amount: ride.tip.amount, method: ride.tip.method, transactionId }
+    });
+
+    return ride;
+  }
+
+  /**
+   * Complete or fail a tip that was waiting for the gateway
+   *
+   * @param {Object} event - Verified gateway event with metadata.rideId
+   * @returns {Promise<Object|null>} Updated ride, or null if already applied
+   */
+  static async settleTip(event) {
+    const { rideId } = event.metadata;
+    const current = await Ride.findById(rideId).select('tip');
+    if (!current || !current.tip || current.tip.status !== 'processing') {
+      // Already applied by an earlier delivery
+      return null;
+    }
+    if (current.tip.transactionId !== event.transactionId) {
+      // The charge response has not been saved yet: fail so the gateway retries the webhook
+      throw new Error('Tip is not ready for this webhook yet');
+    }
+
+    if (event.type === 'payment.captured') {
+      return this.completeTip(rideId, {
+        provider: current.tip.provider,
+        transactionId: event.transactionId,
+        actor: { role: 'system', userId: null }
+      });
+    }
+
+    return Ride.findOneAndUpdate(
+      { _id: rideId, 'tip.status': 'processing', 'tip.transactionId': event.transactionId },
+      { $set: { 'tip.status': 'failed', 'tip.processingStartedAt': null } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Take the tip from the rider by the given method
+   * @private
+   */
+  static async _charge(ride, method, amount, paymentDetails) {
+    const rideId = ride._id.toString();
+
+    if (method === 'cash') {
+      return {
+        success: true,
+        status: 'succeeded',
+        transactionId: `cash_tip_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+      };
+    }
+
+    if (method === 'wallet') {
+      const result = await WalletService.payTip(ride.riderId._id || ride.riderId, ride._id, amount);
+      if (!result.success) {
+        return result;
+      }
+      return { success: true, status: 'succeeded', transactionId: `wallet_${result.transaction._id}` };
+    }
+
+    return PaymentGatewayService.charge({
+      amount,
+      paymentDetails,
+      reference: `tip_${rideId}`,
+      metadata: { purpose: 'ride_tip', rideId }
+    });
+  }
+}
+
+module.exports = TipService;
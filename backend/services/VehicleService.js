@@ -0,0 +1,420 @@
+const { User, Ride, Vehicle } = require('../models');
+
+/**
+ * Vehicle Service
+ *
+ * Manages the vehicles drivers own or drive for a fleet, and which one each driver is
+ * using.
+ *
+ * Rules:
+ * - A driver picks their active vehicle while offline (the start of a shift); it is copied
+ *   to driverInfo.activeVehicle and used for dispatch instead of the profile vehicle
+ * - Going online claims the active vehicle, so a shared car is driven by one driver at a
+ *   time; going offline releases it. A claim left by a driver who is offline and not on a
+ *   ride (e.g. after a disconnect) can be taken over
+ * - Drivers who can drive any vehicle must select one before going online; drivers with no
+ *   vehicles keep using driverInfo.vehicleDetails
+ * - Accepted rides keep a copy of the vehicle (see getRideSnapshot)
+ */
+class VehicleService {
+  // Ride statuses in which the driver is committed to a ride in their current vehicle
+  static BUSY_RIDE_STATUSES = ['matched', 'accepted', 'arrived', 'in_progress'];
+  static DETAIL_FIELDS = ['make', 'model', 'plateNumber', 'color', 'year', 'vehicleClass'];
+
+  /**
+   * Vehicle a driver is dispatched in: their active vehicle, else their profile vehicle
+   *
+   * @param {Object} driver - Driver user
+   * @returns {Object|null} Vehicle details
+   */
+  static getDispatchVehicle(driver) {
+    const driverInfo = driver?.driverInfo;
+    if (driverInfo?.activeVehicle?.vehicleId) {
+      return driverInfo.activeVehicle;
+    }
+    return driverInfo?.vehicleDetails || null;
+  }
+
+  /**
+   * Copy of the dispatch vehicle to store on a ride
+   *
+   * @param {Object} driver - Driver user
+   * @returns {Object|null} { vehicleId, make, model, plateNumber, color, year, vehicleClass }
+   */
+  static getRideSnapshot(driver) {
+    const vehicle = this.getDispatchVehicle(driver);
+    if (!vehicle) {
+      return null;
+    }
+
+    return {
+      vehicleId: vehicle.vehicleId || null,
+      ...this._details(vehicle)
+    };
+  }
+
+  /**
+   * Vehicles a driver can drive
+   *
+   * @param {string} driverId - Driver user ID
+   * @returns {Promise<Array>} Active vehicles, oldest first
+   */
+  static async getDriverVehicles(driverId) {
+    return Vehicle.find({ drivers: driverId, status: 'active' }).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Register a vehicle
+   *
+   * @param {Object} details - make, model, plateNumber, color, year, vehicleClass
+   * @param {Object} owner - { ownerType: 'driver', ownerId } or { ownerType: 'fleet', fleetName }
+   * @returns {Promise<Object>} { success, vehicle?, error?, message? }
+   */
+  static async createVehicle(details, owner) {
+    try {
+      const vehicle = await Vehicle.create({
+        ...this._details(details),
+        ownerType: owner.ownerType,
+        ownerId: owner.ownerType === 'driver' ? owner.ownerId : null,
+        fleetName: owner.ownerType === 'fleet' ? owner.fleetName : null,
+        // The owner of a personal vehicle drives it; fleet drivers are assigned by an admin
+        drivers: owner.ownerType === 'driver' ? [owner.ownerId] : []
+      });
+
+      return { success: true, vehicle };
+    } catch (error) {
+      if (error.code === 11000) {
+        return this._plateTaken();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a vehicle's details (its owner or an admin)
+   *
+   * Drivers who selected the vehicle see the change on their next ride; rides already
+   * accepted keep the details they were accepted with.
+   *
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Object} updates - Detail fields, plus fleetName for fleet vehicles
+   * @param {Object} actor - User making the change
+   * @returns {Promise<Object>} { success, vehicle?, error?, message? }
+   */
+  static async updateVehicle(vehicleId, updates, actor) {
+    const vehicle = await this._findManageable(vehicleId, actor);
+    if (!vehicle) {
+      return this._notFound();
+    }
+
+    const details = this._details(updates);
+    vehicle.set(details);
+    if (updates.fleetName && vehicle.ownerType === 'fleet') {
+      vehicle.fleetName = updates.fleetName;
+    }
+
+    try {
+      await vehicle.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return this._plateTaken();
+      }
+      throw error;
+    }
+
+    await User.updateMany(
+      { 'driverInfo.activeVehicle.vehicleId': vehicle._id },
+      {
+        $set: Object.fromEntries(this.DETAIL_FIELDS.map(field => [
+          `driverInfo.activeVehicle.${field}`,
+          vehicle[field]
+        ]))
+      }
+    );
+
+    return { success: true, vehicle };
+  }
+
+  /**
+   * Take a vehicle off the road (its owner or an admin)
+   *
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Object} actor - User retiring the vehicle
+   * @returns {Promise<Object>} { success, vehicle?, error?, message? }
+   */
+  static async retireVehicle(vehicleId, actor) {
+    const vehicle = await this._findManageable(vehicleId, actor);
+    if (!vehicle) {
+      return this._notFound();
+    }
+
+    if (vehicle.currentDriverId && await this._isDriving(vehicle.currentDriverId)) {
+      return this._inUse();
+    }
+
+    vehicle.status = 'retired';
+    vehicle.currentDriverId = null;
+    vehicle.claimedAt = null;
+    await vehicle.save();
+
+    await User.updateMany(
+      { 'driverInfo.activeVehicle.vehicleId': vehicle._id },
+      { $set: { 'driverInfo.activeVehicle': null } }
+    );
+
+    return { success: true, vehicle };
+  }
+
+  /**
+   * Let a driver drive a vehicle (admin)
+   *
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} phone - Driver's phone number
+   * @returns {Promise<Object>} { success, vehicle?, error?, message? }
+   */
+  static async assignDriver(vehicleId, phone) {
+    const driver = await User.findByPhone(phone);
+    if (!driver || driver.role !== 'driver') {
+      return { success: false, error: 'DRIVER_NOT_FOUND', message: 'No driver with this phone number' };
+    }
+
+    const vehicle = await Vehicle.findOneAndUpdate(
+      { _id: vehicleId, status: 'active' },
+      { $addToSet: { drivers: driver._id } },
+      { new: true }
+    );
+    if (!vehicle) {
+      return this._notFound();
+    }
+
+    return { success: true, vehicle };
+  }
+
+  /**
+   * Stop a driver from driving a vehicle (admin)
+   *
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} driverId - Driver user ID
+   * @returns {Promise<Object>} { success, vehicle?, error?, message? }
+   */
+  static async unassignDriver(vehicleId, driverId) {
+    const vehicle = await Vehicle.findById(vehicleId);
+    if (!vehicle) {
+      return this._notFound();
+    }
+
+    if (vehicle.ownerId && vehicle.ownerId.toString() === driverId.toString()) {
+      return {
+        success: false,
+        error: 'VEHICLE_OWNER_REQUIRED',
+        message: 'The owner of a personal vehicle cannot be removed from it'
+      };
+    }
+
+    const isHolder = vehicle.currentDriverId?.toString() === driverId.toString();
+    if (isHolder && await this._isDriving(driverId)) {
+      return this._inUse();
+    }
+
+    vehicle.drivers = vehicle.drivers.filter(id => id.toString() !== driverId.toString());
+    if (isHolder) {
+      vehicle.currentDriverId = null;
+      vehicle.claimedAt = null;
+    }
+    await vehicle.save();
+
+    await User.updateOne(
+      { _id: driverId, 'driverInfo.activeVehicle.vehicleId': vehicle._id },
+      { $set: { 'driverInfo.activeVehicle': null } }
+    );
+
+    return { success: true, vehicle };
+  }
+
+  /**
+   * Select the vehicle a driver will use for their next shift
+   *
+   * @param {Object} driver - Driver user
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<Object>} { success, vehicle?, driver?, error?, message? }
+   */
+  static async selectVehicle(driver, vehicleId, now = new Date()) {
+    if (driver.driverInfo?.isAvailable) {
+      return {
+        success: false,
+        error: 'VEHICLE_SWITCH_WHILE_ONLINE',
+        message: 'Go offline before switching vehicles'
+      };
+    }
+
+    if (await this._hasBusyRide(driver._id)) {
+      return {
+        success: false,
+        error: 'VEHICLE_SWITCH_DURING_RIDE',
+        message: 'Vehicles cannot be switched during a ride'
+      };
+    }
+
+    const vehicle = await Vehicle.findOne({ _id: vehicleId, drivers: driver._id, status: 'active' });
+    if (!vehicle) {
+      return this._notFound();
+    }
+
+    await this.releaseVehicles(driver._id);
+
+    const updatedDriver = await User.findByIdAndUpdate(
+      driver._id,
+      { $set: { 'driverInfo.activeVehicle': { vehicleId: vehicle._id, ...this._details(vehicle), selectedAt: now } } },
+      { new: true }
+    ).select('-password');
+
+    return { success: true, vehicle, driver: updatedDriver };
+  }
+
+  /**
+   * Claim a driver's active vehicle as they go online
+   *
+   * @param {Object} driver - Driver user
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<Object>} { success, vehicle?, error?, message? } (vehicle is null for
+   *   drivers using their profile vehicle)
+   */
+  static async claimActiveVehicle(driver, now = new Date()) {
+    const vehicleId = driver.driverInfo?.activeVehicle?.vehicleId;
+
+    if (!vehicleId) {
+      const hasVehicles = await Vehicle.exists({ drivers: driver._id, status: 'active' });
+      if (hasVehicles) {
+        return {
+          success: false,
+          error: 'VEHICLE_NOT_SELECTED',
+          message: 'Select the vehicle you are driving before going online'
+        };
+      }
+      return { success: true, vehicle: null };
+    }
+
+    const claim = { $set: { currentDriverId: driver._id, claimedAt: now } };
+    let vehicle = await Vehicle.findOneAndUpdate(
+      { _id: vehicleId, drivers: driver._id, status: 'active', currentDriverId: { $in: [null, driver._id] } },
+      claim,
+      { new: true }
+    );
+
+    if (!vehicle) {
+      const current = await Vehicle.findOne({ _id: vehicleId, drivers: driver._id, status: 'active' });
+      if (!current) {
+        await User.updateOne({ _id: driver._id }, { $set: { 'driverInfo.activeVehicle': null } });
+        return {
+          success: false,
+          error: 'VEHICLE_UNAVAILABLE',
+          message: 'Your selected vehicle is no longer available; select another one'
+        };
+      }
+
+      if (await this._isDriving(current.currentDriverId)) {
+        return this._inUse();
+      }
+
+      // The previous driver left without going offline; take the claim over
+      vehicle = await Vehicle.findOneAndUpdate(
+        { _id: vehicleId, currentDriverId: current.currentDriverId },
+        claim,
+        { new: true }
+      );
+      if (!vehicle) {
+        return this._inUse();
+      }
+    }
+
+    await Vehicle.updateMany(
+      { _id: { $ne: vehicle._id }, currentDriverId: driver._id },
+      { $set: { currentDriverId: null, claimedAt: null } }
+    );
+
+    // Pick up any edits made since the vehicle was selected
+    await User.updateOne(
+      { _id: driver._id },
+      {
+        $set: Object.fromEntries(this.DETAIL_FIELDS.map(field => [
+          `driverInfo.activeVehicle.${field}`,
+          vehicle[field]
+        ]))
+      }
+    );
+
+    return { success: true, vehicle };
+  }
+
+  /**
+   * Release the vehicles a driver has claimed as they go offline (a driver finishing a ride
+   * keeps theirs)
+   *
+   * @param {string} driverId - Driver user ID
+   * @returns {Promise<boolean>} Whether the vehicles were released
+   */
+  static async releaseVehicles(driverId) {
+    if (await this._hasBusyRide(driverId)) {
+      return false;
+    }
+
+    await Vehicle.updateMany(
+      { currentDriverId: driverId },
+      { $set: { currentDriverId: null, claimedAt: null } }
+    );
+    return true;
+  }
+
+  // Helper methods
+
+  static _details(source) {
+    return Object.fromEntries(
+      this.DETAIL_FIELDS
+        .filter(field => source[field] !== undefined)
+        .map(field => [field, source[field]])
+    );
+  }
+
+  /**
+   * Vehicle the actor may change: any vehicle for admins, their own for drivers
+   */
+  static async _findManageable(vehicleId, actor) {
+    const filter = { _id: vehicleId, status: 'active' };
+    if (actor.role !== 'admin') {
+      filter.ownerType = 'driver';
+      filter.ownerId = actor._id;
+    }
+    return Vehicle.findOne(filter);
+  }
+
+  static async _hasBusyRide(driverId) {
+    return Boolean(await Ride.exists({ driverId, status: { $in: this.BUSY_RIDE_STATUSES } }));
+  }
+
+  /**
+   * Whether a driver is online or on a ride (i.e. still using their claimed vehicle)
+   */
+  static async _isDriving(driverId) {
+    const isOnline = await User.exists({ _id: driverId, 'driverInfo.isAvailable': true });
+    return Boolean(isOnline) || this._hasBusyRide(driverId);
+  }
+
+  static _notFound() {
+    return { success: false, error: 'VEHICLE_NOT_FOUND', message: 'Vehicle not found' };
+  }
+
+  static _inUse() {
+    return { success: false, error: 'VEHICLE_IN_USE', message: 'This vehicle is being driven by a driver who is online or on a ride' };
+  }
+
+  static _plateTaken() {
+    return {
+      success: false,
+      error: 'PLATE_NUMBER_TAKEN',
+      message: 'A vehicle with this plate number is already registered'
+    };
+  }
+}
+
+module.exports = VehicleService;
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const { Ride } = require('../models');
+const FareService = require('./FareService');
+const socketService = require('./socketService');
+
+/**
+ * Waiting Time Service
+ *
+ * Meters how long a driver waits at pickup. Waiting runs from timeline.arrivedAt (the
+ * driver reporting 'arrived') until timeline.startedAt; FareService.WAITING_POLICY decides
+ * how much of it is free and what the rest costs.
+ *
+ * Behaviour:
+ * - A polling loop pushes the running charge of every ride in 'arrived' to its ride room
+ *   as 'ride:waiting-updated', so the rider watches the meter while the driver waits
+ * - All state lives on the Ride documents, so the loop resumes after restarts and is safe
+ *   to run on every backend instance
+ */
+class WaitingTimeService {
+  // Configuration constants
+  static UPDATE_INTERVAL = parseInt(process.env.WAITING_UPDATE_INTERVAL_MS, 10) || 30000;
+
+  static _intervalId = null;
+  static _isBroadcasting = false;
+
+  /**
+   * Minutes between the driver arriving and a point in time
+   *
+   * @param {Date|string|null} arrivedAt - When the driver arrived at pickup
+   * @param {Date|string} until - End of the wait (default: now)
+   * @returns {number} Minutes waited (0 if the driver has not arrived)
+   */
+  static getWaitingMinutes(arrivedAt, until = new Date()) {
+    if (!arrivedAt) {
+      return 0;
+    }
+    return Math.max(new Date(until).getTime() - new Date(arrivedAt).getTime(), 0) / 60000;
+  }
+
+  /**
+   * Waiting charge of a ride, running until the trip starts
+   *
+   * @param {Object} ride - Ride with timeline and serviceLevel
+   * @param {Date} now - Reference time while the driver is still waiting (default: now)
+   * @returns {Object} FareService.calculateWaitingCharge result plus arrivedAt and freeUntil
+   */
+  static getWaitingCharge(ride, now = new Date()) {
+    const arrivedAt = ride.timeline?.arrivedAt ? new Date(ride.timeline.arrivedAt) : null;
+    const until = ride.timeline?.startedAt || now;
+    const charge = FareService.calculateWaitingCharge(
+      this.getWaitingMinutes(arrivedAt, until),
+      ride.serviceLevel
+    );
+
+    return {
+      ...charge,
+      arrivedAt,
+      freeUntil: arrivedAt ? new Date(arrivedAt.getTime() + charge.freeMinutes * 60000) : null
+    };
+  }
+
+  /**
+   * Send a ride's current waiting charge to its participants
+   *
+   * @param {Object} ride - Ride with _id, timeline and serviceLevel
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Object} The waiting charge that was sent
+   */
+  static broadcast(ride, now = new Date()) {
+    const rideId = ride._id.toString();
+    const charge = this.getWaitingCharge(ride, now);
+
+    socketService.broadcastToRide(rideId, 'ride:waiting-updated', {
+      rideId,
+      arrivedAt: charge.arrivedAt ? charge.arrivedAt.toISOString() : null,
+      freeUntil: charge.freeUntil ? charge.freeUntil.toISOString() : null,
+      waitingMinutes: charge.waitingMinutes,
+      freeMinutes: charge.freeMinutes,
+      chargeableMinutes: charge.chargeableMinutes,
+      ratePerMinute: charge.ratePerMinute,
+      waitingFare: charge.waitingFare,
+      timestamp: now.toISOString()
+    });
+
+    return charge;
+  }
+
+  /**
+   * Start the update loop. Safe to call more than once.
+   */
+  static start() {
+    if (this._intervalId) {
+      return;
+    }
+
+    this._intervalId = setInterval(() => {
+      this.broadcastAll().catch(error => {
+        console.error('❌ Waiting time update failed:', error);
+      });
+    }, this.UPDATE_INTERVAL);
+
+    console.log(`⏱️  Waiting meter started (free for ${FareService.WAITING_POLICY.freeMinutes} minutes)`);
+  }
+
+  /**
+   * Stop the update loop
+   */
+  static stop() {
+    if (this._intervalId) {
+      clearInterval(this._intervalId);
+      this._intervalId = null;
+    }
+  }
+
+  /**
+   * Send the running waiting charge of every ride whose driver is waiting at pickup
+   *
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<Object>} { ridesUpdated }
+   */
+  static async broadcastAll(now = new Date()) {
+    if (this._isBroadcasting || mongoose.connection.readyState !== 1) {
+      return { ridesUpdated: 0 };
+    }
+
+    this._isBroadcasting = true;
+
+    try {
+      const waitingRides = await Ride.find({ status: 'arrived' })
+        .select('serviceLevel timeline.arrivedAt timeline.startedAt')
+        .lean();
+
+      waitingRides.forEach(ride => this.broadcast(ride, now));
+
+      return { ridesUpdated: waitingRides.length };
+    } finally {
+      this._isBroadcasting = false;
+    }
+  }
+}
+
+module.exports = WaitingTimeService;
@@ -0,0 +1,421 @@
+const mongoose = require('mongoose');
+const { Wallet, WalletTransaction } = require('../models');
+
+/**
+ * Wallet Service
+ *
+ * Rider wallets backed by an append-only ledger (WalletTransaction).
+ *
+ * Balance changes:
+ * - Every change is a single conditional $inc on the wallet, so concurrent payments can
+ *   never overdraw it and concurrent top-ups can never exceed the balance cap
+ * - The matching ledger transaction is written right after, with the resulting balance
+ *
+ * Card top-ups:
+ * - A top-up is saved on the wallet as pending before the card is charged
+ * - A gateway webhook credits only a pending top-up with the same rider, amount and
+ *   transaction; anything else is ignored
+ *
+ * Ride payments:
+ * - A ride can be paid from the wallet only once (unique ledger index); a repeated payment
+ *   returns the original transaction instead of charging again
+ * - Refunds credit the wallet back with a 'refund' transaction
+ * - Tips on a ride are a separate 'tip' debit, also allowed once per ride
+ * - A cancelled ride's fee is a separate 'cancellation_fee' debit, also allowed once per ride
+ */
+class WalletService {
+  // Configuration constants
+  static CURRENCY = 'INR';
+  static MIN_TOPUP = 10;
+  static MAX_TOPUP = 10000;
+  static MAX_BALANCE = parseInt(process.env.WALLET_MAX_BALANCE, 10) || 50000;
+
+  // Ledger accounts on the other side of each transaction type
+  static COUNTER_ACCOUNTS = {
+    topup: 'card_gateway',
+    ride_payment: 'ride_revenue',
+    refund: 'ride_revenue',
+    tip: 'ride_revenue',
+    cancellation_fee: 'ride_revenue'
+  };
+
+  // Transaction types that take money out of the wallet
+  static DEBIT_TYPES = ['ride_payment', 'tip', 'cancellation_fee'];
+
+  /**
+   * Convert rupees to whole paise
+   *
+   * @param {number} amount - Amount in rupees
+   * @returns {number} Amount in paise
+   */
+  static toPaise(amount) {
+    return Math.round(amount * 100);
+  }
+
+  /**
+   * Check a top-up amount against the per-top-up and balance limits
+   *
+   * @param {number} amount - Top-up amount in rupees
+   * @param {number} currentBalance - Current balance in rupees
+   * @returns {Object} { valid, error?, message? }
+   */
+  static validateTopUp(amount, currentBalance = 0) {
+    if (!(amount >= this.MIN_TOPUP && amount <= this.MAX_TOPUP)) {
+      return {
+        valid: false,
+        error: 'INVALID_TOPUP_AMOUNT',
+        message: `Top-up amount must be between ₹${this.MIN_TOPUP} and ₹${this.MAX_TOPUP}`
+      };
+    }
+
+    if (this.toPaise(currentBalance) + this.toPaise(amount) > this.toPaise(this.MAX_BALANCE)) {
+      return {
+        valid: false,
+        error: 'WALLET_BALANCE_LIMIT',
+        message: `Wallet balance cannot exceed ₹${this.MAX_BALANCE}`
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Double-entry legs for a wallet transaction
+   *
+   * @param {string} type - Transaction type (topup, ride_payment, refund, tip, cancellation_fee)
+   * @param {number} amount - Amount in rupees
+   * @returns {Array} [{ account, direction, amount }] with equal debits and credits
+   */
+  static buildEntries(type, amount) {
+    const counterAccount = this.COUNTER_ACCOUNTS[type];
+    const walletDirection = this.DEBIT_TYPES.includes(type) ? 'debit' : 'credit';
+
+    return [
+      {
+        account: walletDirection === 'debit' ? 'rider_wallet' : counterAccount,
+        direction: 'debit',
+        amount
+      },
+      {
+        account: walletDirection === 'debit' ? counterAccount : 'rider_wallet',
+        direction: 'credit',
+        amount
+      }
+    ];
+  }
+
+  /**
+   * Get a rider's wallet, creating an empty one on first use
+   *
+   * @param {string} userId - Rider ID
+   * @returns {Promise<Object>} Wallet document
+   */
+  static async getWallet(userId) {
+    return Wallet.findOneAndUpdate(
+      { userId },
+      { $setOnInsert: { userId, balancePaise: 0, currency: this.CURRENCY } },
+      { new: true, upsert: true }
+    );
+  }
+
+  /**
+   * Save a card top-up as pending before the card is charged
+   *
+   * @param {string} userId - Rider ID
+   * @param {number} amount - Top-up amount in rupees
+   * @returns {Promise<string>} Pending top-up ID, sent to the gateway as metadata.topUpId
+   */
+  static async startTopUp(userId, amount) {
+    const topUpId = new mongoose.Types.ObjectId();
+    await Wallet.updateOne(
+      { userId },
+      { $push: { pendingTopUps: { _id: topUpId, amountPaise: this.toPaise(amount) } } }
+    );
+    return topUpId.toString();
+  }
+
+  /**
+   * Record the gateway transaction of a pending top-up once the charge has been accepted
+   *
+   * @param {string} userId - Rider ID
+   * @param {string} topUpId - Pending top-up ID
+   * @param {string} transactionId - Gateway transaction ID
+   */
+  static async attachTopUpTransaction(userId, topUpId, transactionId) {
+    await Wallet.updateOne(
+      { userId, 'pendingTopUps._id': topUpId },
+      { $set: { 'pendingTopUps.$.transactionId': transactionId } }
+    );
+  }
+
+  /**
+   * Drop a pending top-up
+   *
+   * @param {string} userId - Rider ID
+   * @param {string} topUpId - Pending top-up ID
+   * @param {string} transactionId - Only drop it if it belongs to this gateway transaction
+   * @returns {Promise<boolean>} Whether a pending top-up was dropped
+   */
+  static async discardTopUp(userId, topUpId, transactionId = null) {
+    if (!mongoose.isValidObjectId(topUpId)) {
+      return false;
+    }
+
+    const match = transactionId ? { _id: topUpId, transactionId } : { _id: topUpId };
+    const result = await Wallet.updateOne(
+      { userId, pendingTopUps: { $elemMatch: match } },
+      { $pull: { pendingTopUps: match } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Credit a pending top-up the gateway has confirmed. Only a saved top-up for this rider,
+   * amount and transaction is credited, and it is dropped once settled.
+   *
+   * @param {string} userId - Rider ID
+   * @param {string} topUpId - Pending top-up ID
+   * @param {number} amount - Confirmed amount in rupees
+   * @param {string} transactionId - Gateway transaction ID
+   * @returns {Promise<Object>} topUp() result, or { success: false, error: 'TOPUP_NOT_READY'|'TOPUP_NOT_FOUND', message }
+   */
+  static async settleTopUp(userId, topUpId, amount, transactionId) {
+    const wallet = mongoose.isValidObjectId(topUpId)
+      ? await Wallet.findOne({ userId, 'pendingTopUps._id': topUpId }, { 'pendingTopUps.$': 1 })
+      : null;
+    const pending = wallet && wallet.pendingTopUps[0];
+
+    if (pending && !pending.transactionId) {
+      return {
+        success: false,
+        error: 'TOPUP_NOT_READY',
+        message: 'The top-up charge has not been saved yet'
+      };
+    }
+
+    if (!pending || pending.transactionId !== transactionId || pending.amountPaise !== this.toPaise(amount)) {
+      return {
+        success: false,
+        error: 'TOPUP_NOT_FOUND',
+        message: 'No pending top-up matches this payment'
+      };
+    }
+
+    const result = await this.topUp(userId, pending.amountPaise / 100, transactionId);
+    await this.discardTopUp(userId, topUpId);
+    return result;
+  }
+
+  /**
+   * Credit a completed card top-up to the wallet. A gateway transaction is credited only
+   * once, so repeated webhooks for the same top-up are harmless.
+   *
+   * @param {string} userId - Rider ID
+   * @param {number} amount - Top-up amount in rupees
+   * @param {string} reference - Gateway transaction ID
+   * @returns {Promise<Object>} { success, duplicate?, wallet?, transaction?, error?, message? }
+   */
+  static async topUp(userId, amount, reference) {
+    const existing = await WalletTransaction.findOne({ reference, type: 'topup' });
+    if (existing) {
+      return { success: true, duplicate: true, wallet: await this.getWallet(userId), transaction: existing };
+    }
+
+    const amountPaise = this.toPaise(amount);
+    await this.getWallet(userId);
+
+    const wallet = await Wallet.findOneAndUpdate(
+      { userId, balancePaise: { $lte: this.toPaise(this.MAX_BALANCE) - amountPaise } },
+      { $inc: { balancePaise: amountPaise } },
+      { new: true }
+    );
+
+    if (!wallet) {
+      return {
+        success: false,
+        error: 'WALLET_BALANCE_LIMIT',
+        message: `Wallet balance cannot exceed ₹${this.MAX_BALANCE}`
+      };
+    }
+
+    try {
+      const transaction = await this._recordTransaction(wallet, 'topup', amountPaise, {
+        reference,
+        description: 'Wallet top-up'
+      });
+      return { success: true, wallet, transaction };
+    } catch (error) {
+      // Lost a race with another credit for the same gateway transaction: undo this credit
+      await Wallet.updateOne({ _id: wallet._id }, { $inc: { balancePaise: -amountPaise } });
+
+      if (error.code === 11000) {
+        return {
+          success: true,
+          duplicate: true,
+          wallet: await this.getWallet(userId),
+          transaction: await WalletTransaction.findOne({ reference, type: 'topup' })
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Pay for a ride from the wallet
+   *
+   * @param {string} userId - Rider ID
+   * @param {string} rideId - Ride ID
+   * @param {number} amount - Fare in rupees
+   * @returns {Promise<Object>} { success, wallet?, transaction?, error?, message? }
+   */
+  static async payForRide(userId, rideId, amount) {
+    return this._debitForRide(userId, rideId, amount, 'ride_payment', 'Ride payment');
+  }
+
+  /**
+   * Pay a tip for a ride from the wallet
+   *
+   * @param {string} userId - Rider ID
+   * @param {string} rideId - Ride ID
+   * @param {number} amount - Tip in rupees
+   * @returns {Promise<Object>} { success, wallet?, transaction?, error?, message? }
+   */
+  static async payTip(userId, rideId, amount) {
+    return this._debitForRide(userId, rideId, amount, 'tip', 'Tip for driver');
+  }
+
+  /**
+   * Pay a ride's cancellation fee from the wallet
+   *
+   * @param {string} userId - Rider ID
+   * @param {string} rideId - Ride ID
+   * @param {number} amount - Fee in rupees
+   * @returns {Promise<Object>} { success, wallet?, transaction?, error?, message? }
+   */
+  static async payCancellationFee(userId, rideId, amount) {
+    return this._debitForRide(userId, rideId, amount, 'cancellation_fee', 'Cancellation fee');
+  }
+
+  /**
+   * Credit a refund back to a rider's wallet
+   *
+   * @param {string} userId - Rider ID
+   * @param {number} amount - Refund amount in rupees
+   * @param {Object} details - { rideId?, reference?, description? }
+   * @returns {Promise<Object>} { success, wallet, transaction }
+   */
+  static async refund(userId, amount, { rideId = null, reference = null, description = 'Refund' } = {}) {
+    const amountPaise = this.toPaise(amount);
+    await this.getWallet(userId);
+
+    const wallet = await Wallet.findOneAndUpdate(
+      { userId },
+      { $inc: { balancePaise: amountPaise } },
+      { new: true }
+    );
+
+    const transaction = await this._recordTransaction(wallet, 'refund', amountPaise, {
+      rideId,
+      reference,
+      description
+    });
+
+    return { success: true, wallet, transaction };
+  }
+
+  /**
+   * A rider's wallet statement, newest first
+   *
+   * @param {string} userId - Rider ID
+   * @param {Object} options - { page, limit, type? }
+   * @returns {Promise<Object>} { transactions, total }
+   */
+  static async getStatement(userId, { page = 1, limit = 20, type } = {}) {
+    const filter = { userId };
+    if (type) {
+      filter.type = type;
+    }
+
+    const [transactions, total] = await Promise.all([
+      WalletTransaction.find(filter)
+        .populate('rideId', 'pickup.address destination.address')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WalletTransaction.countDocuments(filter)
+    ]);
+
+    return { transactions, total };
+  }
+
+  /**
+   * Debit the wallet once per ride and transaction type; a repeated debit returns the original
+   * transaction instead of charging again
+   * @private
+   */
+  static async _debitForRide(userId, rideId, amount, type, description) {
+    const existing = await WalletTransaction.findOne({ rideId, userId, type });
+    if (existing) {
+      return { success: true, wallet: await this.getWallet(userId), transaction: existing };
+    }
+
+    const amountPaise = this.toPaise(amount);
+    const wallet = await Wallet.findOneAndUpdate(
+      { userId, balancePaise: { $gte: amountPaise } },
+      { $inc: { balancePaise: -amountPaise } },
+      { new: true }
+    );
+
+    if (!wallet) {
+      return {
+        success: false,
+        error: 'INSUFFICIENT_WALLET_BALANCE',
+        message: 'Insufficient wallet balance'
+      };
+    }
+
+    try {
+      const transaction = await this._recordTransaction(wallet, type, amountPaise, {
+        rideId,
+        description
+      });
+      return { success: true, wallet, transaction };
+    } catch (error) {
+      // Lost a race with another debit for the same ride: undo this one
+      await Wallet.updateOne({ _id: wallet._id }, { $inc: { balancePaise: amountPaise } });
+
+      if (error.code === 11000) {
+        return {
+          success: true,
+          wallet: await this.getWallet(userId),
+          transaction: await WalletTransaction.findOne({ rideId, userId, type })
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write the ledger transaction for a balance change that has already been applied
+   * @private
+   */
+  static async _recordTransaction(wallet, type, amountPaise, { rideId = null, reference = null, description = null }) {
+    const amount = amountPaise / 100;
+
+    return WalletTransaction.create({
+      walletId: wallet._id,
+      userId: wallet.userId,
+      type,
+      direction: this.DEBIT_TYPES.includes(type) ? 'debit' : 'credit',
+      amount,
+      balanceAfter: wallet.balancePaise / 100,
+      entries: this.buildEntries(type, amount),
+      rideId,
+      reference,
+      description
+    });
+  }
+}
+
+module.exports = WalletService;
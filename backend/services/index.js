@@ -6,8 +6,48 @@
 
 const MatchingService = require('./MatchingService');
 const FareService = require('./FareService');
+const RideSchedulerService = require('./RideSchedulerService');
+const CancellationFeeService = require('./CancellationFeeService');
+const RideEventService = require('./RideEventService');
+const RouteTraceService = require('./RouteTraceService');
+const SurgeService = require('./SurgeService');
+const FareQuoteService = require('./FareQuoteService');
+const PromoService = require('./PromoService');
+const WalletService = require('./WalletService');
+const EarningsService = require('./EarningsService');
+const PaymentGatewayService = require('./PaymentGatewayService');
+const PaymentHoldService = require('./PaymentHoldService');
+const FareSplitService = require('./FareSplitService');
+const TipService = require('./TipService');
+const InvoiceService = require('./InvoiceService');
+const WaitingTimeService = require('./WaitingTimeService');
+const PasswordResetService = require('./PasswordResetService');
+const NotificationService = require('./NotificationService');
+const DriverOnboardingService = require('./DriverOnboardingService');
+const VehicleService = require('./VehicleService');
+const ShiftService = require('./ShiftService');
 
 module.exports = {
   MatchingService,
-  FareService
+  FareService,
+  RideSchedulerService,
+  CancellationFeeService,
+  RideEventService,
+  RouteTraceService,
+  SurgeService,
+  FareQuoteService,
+  PromoService,
+  WalletService,
+  EarningsService,
+  PaymentGatewayService,
+  PaymentHoldService,
+  FareSplitService,
+  TipService,
+  InvoiceService,
+  WaitingTimeService,
+  PasswordResetService,
+  NotificationService,
+  DriverOnboardingService,
+  VehicleService,
+  ShiftService
 };
\ No newline at end of file
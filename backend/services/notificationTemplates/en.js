@@ -0,0 +1,94 @@
+/**
+ * English notification templates
+ *
+ * Keyed by event, then channel. `subject` is the email subject or push title; {{name}}
+ * placeholders are filled from the notification data.
+ */
+module.exports = {
+  OTP: {
+    sms: {
+      body: 'Your Cab Aggregator verification code is {{otp}}. It expires in {{expiresInMinutes}} minutes. Do not share it with anyone.'
+    }
+  },
+  PASSWORD_RESET: {
+    sms: {
+      body: 'Reset your Cab Aggregator password: {{link}} (valid for {{expiresInMinutes}} minutes, one use only). Ignore this if you did not ask for it.'
+    },
+    email: {
+      subject: 'Reset your Cab Aggregator password',
+      body: 'Hi {{name}},\n\nWe received a request to reset your password. Open this link within {{expiresInMinutes}} minutes to choose a new one:\n\n{{link}}\n\nThe link works once. If you did not ask for a reset, you can ignore this email.'
+    }
+  },
+  RIDE_ACCEPTED: {
+    sms: {
+      body: '{{driverName}} is on the way to {{pickup}} in a {{vehicle}}.'
+    },
+    push: {
+      subject: 'Driver on the way',
+      body: '{{driverName}} accepted your ride and is heading to {{pickup}} ({{vehicle}}).'
+    }
+  },
+  DRIVER_ARRIVED: {
+    sms: {
+      body: '{{driverName}} has arrived at your pickup in a {{vehicle}}. Waiting is free for {{freeMinutes}} minutes, then {{ratePerMinute}}/min.'
+    },
+    push: {
+      subject: 'Your driver has arrived',
+      body: '{{driverName}} is waiting at the pickup ({{vehicle}}). Free waiting for {{freeMinutes}} minutes.'
+    }
+  },
+  RIDE_RECEIPT: {
+    sms: {
+      body: 'Paid {{amount}} for your ride on {{date}}. Invoice {{invoiceNumber}} is in the app.'
+    },
+    email: {
+      subject: 'Your ride receipt - {{invoiceNumber}}',
+      body: 'Hi {{name}},\n\nThanks for riding with us. You paid {{amount}} for your ride on {{date}}.\n\nFrom: {{pickup}}\nTo: {{destination}}\nInvoice: {{invoiceNumber}}\n\nThe tax invoice can be downloaded from your ride history.'
+    }
+  },
+  ONBOARDING_APPROVED: {
+    sms: {
+      body: 'Your Cab Aggregator driver documents are approved. You can go online and start accepting rides.'
+    },
+    email: {
+      subject: 'You are approved to drive',
+      body: 'Hi {{name}},\n\nYour licence, registration and insurance have been verified. You can now go online from the driver dashboard and start accepting rides.\n\nWe will remind you before any of your documents expire.'
+    }
+  },
+  ONBOARDING_REJECTED: {
+    sms: {
+      body: 'Your Cab Aggregator driver application needs changes: {{reason}}. Upload corrected documents in the app and submit again.'
+    },
+    email: {
+      subject: 'Your driver application needs changes',
+      body: 'Hi {{name}},\n\nWe could not approve your driver application:\n\n{{reason}}\n\nUpload corrected documents from your profile and submit the application again.'
+    }
+  },
+  DOCUMENT_EXPIRING: {
+    sms: {
+      body: 'Your {{documentName}} expires on {{expiresOn}} ({{daysLeft}} days). Upload the renewed document in the app to keep driving.'
+    },
+    email: {
+      subject: 'Your {{documentName}} expires in {{daysLeft}} days',
+      body: 'Hi {{name}},\n\nThe {{documentName}} on file expires on {{expiresOn}}. Upload the renewed document from your profile before then; you will not be able to go online once it has expired.'
+    }
+  },
+  DOCUMENT_EXPIRED: {
+    sms: {
+      body: 'Your {{documentName}} expired on {{expiresOn}} and you have been taken offline. Upload the renewed document in the app to drive again.'
+    },
+    email: {
+      subject: 'Your {{documentName}} has expired',
+      body: 'Hi {{name}},\n\nThe {{documentName}} on file expired on {{expiresOn}}, so you have been taken offline. Upload the renewed document from your profile; you can go online again once it is approved.'
+    }
+  },
+  DRIVER_BREAK_REQUIRED: {
+    sms: {
+      body: 'You have been driving for {{drivenMinutes}} minutes without a break and have been taken offline. Rest for at least {{breakMinutes}} minutes before going online again.'
+    },
+    push: {
+      subject: 'Time for a break',
+      body: 'You have been driving for {{drivenMinutes}} minutes. Rest for {{breakMinutes}} minutes before going online again.'
+    }
+  }
+};
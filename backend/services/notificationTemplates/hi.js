@@ -0,0 +1,91 @@
+/**
+ * Hindi notification templates (same events, channels and placeholders as en.js)
+ */
+module.exports = {
+  OTP: {
+    sms: {
+      body: 'आपका Cab Aggregator सत्यापन कोड {{otp}} है। यह {{expiresInMinutes}} मिनट में समाप्त हो जाएगा। इसे किसी के साथ साझा न करें।'
+    }
+  },
+  PASSWORD_RESET: {
+    sms: {
+      body: 'अपना Cab Aggregator पासवर्ड रीसेट करें: {{link}} ({{expiresInMinutes}} मिनट तक, केवल एक बार मान्य)। अगर आपने यह अनुरोध नहीं किया है तो इसे अनदेखा करें।'
+    },
+    email: {
+      subject: 'अपना Cab Aggregator पासवर्ड रीसेट करें',
+      body: 'नमस्ते {{name}},\n\nहमें आपका पासवर्ड रीसेट करने का अनुरोध मिला है। नया पासवर्ड चुनने के लिए {{expiresInMinutes}} मिनट के भीतर यह लिंक खोलें:\n\n{{link}}\n\nयह लिंक केवल एक बार काम करता है। अगर आपने रीसेट का अनुरोध नहीं किया है तो इस ईमेल को अनदेखा करें।'
+    }
+  },
+  RIDE_ACCEPTED: {
+    sms: {
+      body: '{{driverName}} {{vehicle}} में {{pickup}} की ओर आ रहे हैं।'
+    },
+    push: {
+      subject: 'ड्राइवर रास्ते में है',
+      body: '{{driverName}} ने आपकी राइड स्वीकार कर ली है और {{pickup}} की ओर आ रहे हैं ({{vehicle}})।'
+    }
+  },
+  DRIVER_ARRIVED: {
+    sms: {
+      body: '{{driverName}} {{vehicle}} के साथ आपके पिकअप पर पहुँच गए हैं। {{freeMinutes}} मिनट तक प्रतीक्षा निःशुल्क है, उसके बाद {{ratePerMinute}}/मिनट।'
+    },
+    push: {
+      subject: 'आपका ड्राइवर पहुँच गया है',
+      body: '{{driverName}} पिकअप पर आपका इंतज़ार कर रहे हैं ({{vehicle}})। {{freeMinutes}} मिनट तक प्रतीक्षा निःशुल्क है।'
+    }
+  },
+  RIDE_RECEIPT: {
+    sms: {
+      body: '{{date}} की आपकी राइड के लिए {{amount}} का भुगतान हुआ। इनवॉइस {{invoiceNumber}} ऐप में उपलब्ध है।'
+    },
+    email: {
+      subject: 'आपकी राइड की रसीद - {{invoiceNumber}}',
+      body: 'नमस्ते {{name}},\n\nहमारे साथ यात्रा करने के लिए धन्यवाद। आपने {{date}} की राइड के लिए {{amount}} का भुगतान किया।\n\nकहाँ से: {{pickup}}\nकहाँ तक: {{destination}}\nइनवॉइस: {{invoiceNumber}}\n\nटैक्स इनवॉइस आपकी राइड हिस्ट्री से डाउनलोड किया जा सकता है।'
+    }
+  },
+  ONBOARDING_APPROVED: {
+    sms: {
+      body: 'आपके Cab Aggregator ड्राइवर दस्तावेज़ स्वीकृत हो गए हैं। अब आप ऑनलाइन होकर राइड स्वीकार कर सकते हैं।'
+    },
+    email: {
+      subject: 'आप ड्राइव करने के लिए स्वीकृत हैं',
+      body: 'नमस्ते {{name}},\n\nआपके लाइसेंस, पंजीकरण और बीमा का सत्यापन हो गया है। अब आप ड्राइवर डैशबोर्ड से ऑनलाइन होकर राइड स्वीकार कर सकते हैं।\n\nकिसी भी दस्तावेज़ की समाप्ति से पहले हम आपको याद दिलाएँगे।'
+    }
+  },
+  ONBOARDING_REJECTED: {
+    sms: {
+      body: 'आपके Cab Aggregator ड्राइवर आवेदन में बदलाव ज़रूरी हैं: {{reason}}। ऐप में सही दस्तावेज़ अपलोड करके फिर से जमा करें।'
+    },
+    email: {
+      subject: 'आपके ड्राइवर आवेदन में बदलाव ज़रूरी हैं',
+      body: 'नमस्ते {{name}},\n\nहम आपका ड्राइवर आवेदन स्वीकृत नहीं कर सके:\n\n{{reason}}\n\nअपनी प्रोफ़ाइल से सही दस्तावेज़ अपलोड करें और आवेदन फिर से जमा करें।'
+    }
+  },
+  DOCUMENT_EXPIRING: {
+    sms: {
+      body: 'आपका {{documentName}} {{expiresOn}} को ({{daysLeft}} दिन में) समाप्त हो रहा है। ड्राइव करते रहने के लिए ऐप में नवीनीकृत दस्तावेज़ अपलोड करें।'
+    },
+    email: {
+      subject: 'आपका {{documentName}} {{daysLeft}} दिन में समाप्त हो रहा है',
+      body: 'नमस्ते {{name}},\n\nआपका {{documentName}} {{expiresOn}} को समाप्त हो रहा है। उससे पहले अपनी प्रोफ़ाइल से नवीनीकृत दस्तावेज़ अपलोड करें; समाप्त होने के बाद आप ऑनलाइन नहीं हो पाएँगे।'
+    }
+  },
+  DOCUMENT_EXPIRED: {
+    sms: {
+      body: 'आपका {{documentName}} {{expiresOn}} को समाप्त हो गया है और आपको ऑफ़लाइन कर दिया गया है। फिर से ड्राइव करने के लिए ऐप में नवीनीकृत दस्तावेज़ अपलोड करें।'
+    },
+    email: {
+      subject: 'आपका {{documentName}} समाप्त हो गया है',
+      body: 'नमस्ते {{name}},\n\nआपका {{documentName}} {{expiresOn}} को समाप्त हो गया है, इसलिए आपको ऑफ़लाइन कर दिया गया है। अपनी प्रोफ़ाइल से नवीनीकृत दस्तावेज़ अपलोड करें; स्वीकृत होने के बाद आप फिर से ऑनलाइन हो सकेंगे।'
+    }
+  },
+  DRIVER_BREAK_REQUIRED: {
+    sms: {
+      body: 'आप बिना ब्रेक के {{drivenMinutes}} मिनट से ड्राइव कर रहे हैं, इसलिए आपको ऑफ़लाइन कर दिया गया है। फिर से ऑनलाइन होने से पहले कम से कम {{breakMinutes}} मिनट आराम करें।'
+    },
+    push: {
+      subject: 'ब्रेक का समय',
+      body: 'आप {{drivenMinutes}} मिनट से ड्राइव कर रहे हैं। फिर से ऑनलाइन होने से पहले {{breakMinutes}} मिनट आराम करें।'
+    }
+  }
+};
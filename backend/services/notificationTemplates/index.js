@@ -0,0 +1,74 @@
+const en = require('./en');
+const hi = require('./hi');
+
+/**
+ * Notification Templates
+ *
+ * Per-event, per-channel message templates in each supported locale. A locale missing a
+ * template falls back to English.
+ */
+
+const DEFAULT_LOCALE = 'en';
+
+const TEMPLATES = { en, hi };
+
+// Channels each event is sent on, in order of preference. Essential events ignore the
+// user's channel preferences; sensitive ones have their content redacted from the log.
+const EVENTS = {
+  OTP: { channels: ['sms'], essential: true, sensitive: true },
+  PASSWORD_RESET: { channels: ['email', 'sms'], essential: true, sensitive: true },
+  RIDE_ACCEPTED: { channels: ['push', 'sms'], essential: false, sensitive: false },
+  DRIVER_ARRIVED: { channels: ['push', 'sms'], essential: false, sensitive: false },
+  RIDE_RECEIPT: { channels: ['email', 'sms'], essential: false, sensitive: false },
+  ONBOARDING_APPROVED: { channels: ['email', 'sms'], essential: true, sensitive: false },
+  ONBOARDING_REJECTED: { channels: ['email', 'sms'], essential: true, sensitive: false },
+  DOCUMENT_EXPIRING: { channels: ['email', 'sms'], essential: true, sensitive: false },
+  DOCUMENT_EXPIRED: { channels: ['email', 'sms'], essential: true, sensitive: false },
+  DRIVER_BREAK_REQUIRED: { channels: ['push', 'sms'], essential: true, sensitive: false }
+};
+
+/**
+ * Fill {{name}} placeholders; missing values become empty strings
+ *
+ * @param {string|null} template - Template text
+ * @param {Object} data - Placeholder values
+ * @returns {string|null} Rendered text
+ */
+const interpolate = (template, data) => {
+  if (template === null) {
+    return null;
+  }
+  return template.replace(/\{\{(\w+)\}\}/g, (_, key) => (
+    data[key] === undefined || data[key] === null ? '' : String(data[key])
+  ));
+};
+
+/**
+ * Render an event's message for a channel
+ *
+ * @param {string} event - Event name (see EVENTS)
+ * @param {string} channel - sms, email or push
+ * @param {string} locale - Locale code (falls back to English)
+ * @param {Object} data - Placeholder values
+ * @returns {Object} { locale, subject, body } with the locale actually used
+ */
+const render = (event, channel, locale, data = {}) => {
+  const localized = TEMPLATES[locale]?.[event]?.[channel];
+  const template = localized || TEMPLATES[DEFAULT_LOCALE][event]?.[channel];
+  if (!template) {
+    throw new Error(`No ${channel} template for ${event}`);
+  }
+
+  return {
+    locale: localized ? locale : DEFAULT_LOCALE,
+    subject: interpolate(template.subject || null, data),
+    body: interpolate(template.body, data)
+  };
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  EVENTS,
+  TEMPLATES,
+  render
+};
@@ -0,0 +1,26 @@
+const NotificationTransport = require('./NotificationTransport');
+
+/**
+ * Console Transport
+ *
+ * Prints messages to the server console instead of delivering them.
+ */
+class ConsoleTransport extends NotificationTransport {
+  constructor() {
+    super('console');
+  }
+
+  async send({ id, channel, to, subject, body }) {
+    const address = channel === 'push' ? to.endpoint : to;
+    console.log(`📨 ${channel.toUpperCase()} Simulation - To: ${address}`);
+    if (subject) {
+      console.log(`Subject: ${subject}`);
+    }
+    console.log(`Message: ${body}`);
+    console.log('---');
+
+    return { success: true, messageId: `console_${id}` };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NotificationTransport = require('./NotificationTransport');
+
+/**
+ * Mailbox Transport
+ *
+ * Local sink for development and tests: every message is written as a JSON file under
+ * <directory>/<channel>/, where it can be read back with read(). Nothing leaves the machine.
+ */
+class MailboxTransport extends NotificationTransport {
+  static DEFAULT_DIRECTORY = process.env.NOTIFICATION_MAILBOX_DIR ||
+    path.join(os.tmpdir(), 'cab-aggregator-mailbox');
+
+  /**
+   * @param {string} directory - Mailbox root (default: NOTIFICATION_MAILBOX_DIR)
+   */
+  constructor(directory = MailboxTransport.DEFAULT_DIRECTORY) {
+    super('mailbox');
+    this.directory = directory;
+  }
+
+  async send({ id, channel, to, subject, body, data }) {
+    const channelDir = path.join(this.directory, channel);
+    const deliveredAt = new Date();
+    const fileName = `${deliveredAt.getTime()}-${id}.json`;
+
+    await fs.promises.mkdir(channelDir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(channelDir, fileName),
+      JSON.stringify({ id, channel, to, subject, body, data, deliveredAt }, null, 2)
+    );
+
+    // Keep messages such as OTPs visible in the server console during development
+    if (process.env.NODE_ENV !== 'test') {
+      console.log(`📬 ${channel.toUpperCase()} to ${channel === 'push' ? to.endpoint : to} saved to mailbox: ${body}`);
+    }
+
+    return { success: true, messageId: `mailbox_${fileName}` };
+  }
+
+  /**
+   * Messages in the mailbox, oldest first
+   *
+   * @param {Object} filters - { channel, to } (push messages match on subscription endpoint)
+   * @returns {Promise<Object[]>} Stored messages
+   */
+  async read({ channel = null, to = null } = {}) {
+    const channels = channel ? [channel] : await this._listDirectory(this.directory);
+    const messages = [];
+
+    for (const name of channels) {
+      const channelDir = path.join(this.directory, name);
+      const files = (await this._listDirectory(channelDir)).filter(file => file.endsWith('.json'));
+      for (const file of files) {
+        messages.push(JSON.parse(await fs.promises.readFile(path.join(channelDir, file), 'utf8')));
+      }
+    }
+
+    return messages
+      .filter(message => !to || message.to === to || message.to?.endpoint === to)
+      .sort((a, b) => new Date(a.deliveredAt) - new Date(b.deliveredAt));
+  }
+
+  /**
+   * Delete every message in the mailbox
+   */
+  async clear() {
+    await fs.promises.rm(this.directory, { recursive: true, force: true });
+  }
+
+  /**
+   * Directory entries, or none if the directory does not exist yet
+   * @private
+   */
+  async _listDirectory(directory) {
+    try {
+      return await fs.promises.readdir(directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = MailboxTransport;
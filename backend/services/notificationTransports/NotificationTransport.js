@@ -0,0 +1,33 @@
+/**
+ * Notification Transport interface
+ *
+ * A transport hands a rendered message to whatever delivers it on a channel (an SMS
+ * gateway, a mail server, a web push service, or a local sink), so NotificationService
+ * does not depend on which one is configured.
+ *
+ * Messages: { id, channel, to, subject, body, data }
+ *   `to` is a phone number (sms), an email address (email) or a push subscription
+ *   object (push); `subject` is the email subject or push title.
+ *
+ * Results: { success, messageId?, error? }
+ */
+class NotificationTransport {
+  /**
+   * @param {string} name - Transport name stored on delivery logs (e.g. 'mailbox')
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Deliver one message
+   *
+   * @param {Object} message - { id, channel, to, subject, body, data }
+   * @returns {Promise<Object>} { success, messageId?, error? }
+   */
+  async send(_message) {
+    throw new Error(`${this.name} transport does not implement send`);
+  }
+}
+
+module.exports = NotificationTransport;
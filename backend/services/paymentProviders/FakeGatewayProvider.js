@@ -0,0 +1,154 @@
+const PaymentProvider = require('./PaymentProvider');
+const { verifySignature } = require('../../utils/webhookSignature');
+
+/**
+ * Fake Gateway Provider
+ *
+ * Client for the local fake gateway (scripts/fake-gateway.js). The gateway behaves like a
+ * hosted card processor: authorizations are answered synchronously, while captures and
+ * refunds settle later and are reported with signed webhooks that are retried until
+ * acknowledged. Amounts are sent to the gateway in paise.
+ */
+class FakeGatewayProvider extends PaymentProvider {
+  /**
+   * @param {Object} options - { baseUrl, webhookSecret, timeout }
+   */
+  constructor({
+    baseUrl = process.env.FAKE_GATEWAY_URL || 'http://localhost:4010',
+    webhookSecret = process.env.FAKE_GATEWAY_WEBHOOK_SECRET,
+    timeout = 10000
+  } = {}) {
+    super('fake_gateway');
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.webhookSecret = webhookSecret;
+    this.timeout = timeout;
+  }
+
+  async authorize({ amount, currency = 'INR', paymentDetails, capture = true, reference = null, metadata = {} } = {}) {
+    const { ok, body } = await this.request('POST', '/v1/payments', {
+      amount: this.toPaise(amount),
+      currency,
+      card: { number: paymentDetails?.cardNumber || '4242424242424242' },
+      capture,
+      reference,
+      metadata
+    });
+
+    if (!ok) {
+      return this.failure(body);
+    }
+
+    if (body.status === 'declined') {
+      return {
+        success: false,
+        status: 'failed',
+        error: (body.decline_code || 'card_declined').toUpperCase(),
+        message: body.message || 'Your card was declined'
+      };
+    }
+
+    return {
+      success: true,
+      status: body.status === 'authorized' ? 'succeeded' : 'pending',
+      transactionId: body.id,
+      message: body.status === 'authorized' ? 'Payment authorized' : 'Payment is being confirmed'
+    };
+  }
+
+  async capture(transactionId, amount) {
+    const { ok, body } = await this.request('POST', `/v1/payments/${transactionId}/capture`,
+      amount === undefined ? {} : { amount: this.toPaise(amount) });
+
+    if (!ok) {
+      return this.failure(body);
+    }
+
+    return { success: true, status: 'pending', transactionId, message: 'Capture is being confirmed' };
+  }
+
+  async void(transactionId) {
+    const { ok, body } = await this.request('POST', `/v1/payments/${transactionId}/void`, {});
+
+    if (!ok) {
+      return this.failure(body);
+    }
+
+    return { success: true, status: 'succeeded', transactionId, message: 'Authorization released' };
+  }
+
+  async refund(transactionId, amount, { reference = null } = {}) {
+    const { ok, body } = await this.request('POST', `/v1/payments/${transactionId}/refunds`, {
+      amount: this.toPaise(amount),
+      reference
+    });
+
+    if (!ok) {
+      return this.failure(body);
+    }
+
+    return { success: true, status: 'pending', transactionId: body.id, message: 'Refund is being processed' };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    // Without a secret anyone could sign a webhook, so none are accepted
+    if (!this.webhookSecret) {
+      return { valid: false, error: 'WEBHOOK_SECRET_NOT_SET' };
+    }
+
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody;
+    const check = verifySignature(this.webhookSecret, body, headers['gateway-signature']);
+    if (!check.valid) {
+      return check;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      return { valid: false, error: 'INVALID_PAYLOAD' };
+    }
+
+    const data = payload.data || {};
+    return {
+      valid: true,
+      event: {
+        id: payload.id,
+        type: payload.type,
+        transactionId: data.id,
+        paymentTransactionId: data.payment_id || data.id,
+        amount: typeof data.amount === 'number' ? data.amount / 100 : null,
+        metadata: data.metadata || {},
+        message: data.message || null
+      }
+    };
+  }
+
+  // Helper methods
+
+  async request(method, path, body) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    const json = await response.json().catch(() => ({}));
+    return { ok: response.ok, body: json };
+  }
+
+  failure(body) {
+    return {
+      success: false,
+      status: 'failed',
+      error: body?.error?.code || 'GATEWAY_ERROR',
+      message: body?.error?.message || 'The payment gateway rejected the request'
+    };
+  }
+
+  toPaise(amount) {
+    return Math.round(amount * 100);
+  }
+}
+
+module.exports = FakeGatewayProvider;
@@ -0,0 +1,62 @@
+const PaymentProvider = require('./PaymentProvider');
+
+/**
+ * Mock Payment Provider
+ *
+ * In-process card payments for local development. Every operation settles immediately
+ * and no webhooks are sent. Outcomes depend on the card number.
+ */
+class MockPaymentProvider extends PaymentProvider {
+  // Simulated gateway round trip for authorizations
+  static PROCESSING_DELAY = 1000;
+
+  // Test cards that fail; any other card number succeeds
+  static DECLINED_CARDS = {
+    '4000000000000002': { error: 'CARD_DECLINED', message: 'Your card was declined' },
+    '4000000000009995': { error: 'INSUFFICIENT_FUNDS', message: 'Insufficient funds' }
+  };
+
+  constructor() {
+    super('mock');
+  }
+
+  async authorize({ paymentDetails, capture = true } = {}) {
+    await new Promise(resolve => setTimeout(resolve, MockPaymentProvider.PROCESSING_DELAY));
+
+    const cardNumber = paymentDetails?.cardNumber || '4242424242424242';
+    const declined = MockPaymentProvider.DECLINED_CARDS[cardNumber];
+    if (declined) {
+      return { success: false, status: 'failed', ...declined };
+    }
+
+    return {
+      success: true,
+      status: 'succeeded',
+      transactionId: this.generateId('mock'),
+      message: capture ? 'Payment processed successfully' : 'Payment authorized'
+    };
+  }
+
+  async capture(transactionId) {
+    return { success: true, status: 'succeeded', transactionId, message: 'Payment captured' };
+  }
+
+  async void(transactionId) {
+    return { success: true, status: 'succeeded', transactionId, message: 'Authorization released' };
+  }
+
+  async refund(transactionId, amount) {
+    return {
+      success: true,
+      status: 'succeeded',
+      transactionId: this.generateId('refund_mock'),
+      message: `Refunded ${amount} to card`
+    };
+  }
+
+  generateId(prefix) {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+module.exports = MockPaymentProvider;
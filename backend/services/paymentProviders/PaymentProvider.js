@@ -0,0 +1,80 @@
+/**
+ * Payment Provider interface
+ *
+ * Every card payment gateway is wrapped in a provider with the same operations, so the
+ * payment flow does not depend on which gateway is configured.
+ *
+ * Operation results share one shape:
+ *   { success, status: 'succeeded'|'pending'|'failed', transactionId?, error?, message }
+ * `pending` means the gateway accepted the request and will report the outcome with a
+ * webhook. Amounts are in rupees.
+ *
+ * Webhook events are normalized to:
+ *   { id, type, transactionId, amount, metadata, message }
+ * with type one of payment.authorized, payment.captured, payment.failed, payment.voided,
+ * refund.succeeded or refund.failed.
+ */
+class PaymentProvider {
+  /**
+   * @param {string} name - Provider name stored on payments (e.g. 'mock')
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Authorize an amount on a card, optionally capturing it straight away
+   *
+   * @param {Object} params - { amount, currency, paymentDetails, capture, reference, metadata }
+   * @returns {Promise<Object>} Operation result; transactionId is the gateway payment ID
+   */
+  async authorize(_params) {
+    throw new Error(`${this.name} provider does not implement authorize`);
+  }
+
+  /**
+   * Capture an authorized payment
+   *
+   * @param {string} transactionId - Gateway payment ID
+   * @param {number} amount - Amount to capture (default: the authorized amount)
+   * @returns {Promise<Object>} Operation result
+   */
+  async capture(_transactionId, _amount) {
+    throw new Error(`${this.name} provider does not implement capture`);
+  }
+
+  /**
+   * Release an authorization without capturing it
+   *
+   * @param {string} transactionId - Gateway payment ID
+   * @returns {Promise<Object>} Operation result
+   */
+  async void(_transactionId) {
+    throw new Error(`${this.name} provider does not implement void`);
+  }
+
+  /**
+   * Refund all or part of a captured payment
+   *
+   * @param {string} transactionId - Gateway payment ID
+   * @param {number} amount - Amount to refund
+   * @param {Object} options - { reference }
+   * @returns {Promise<Object>} Operation result; transactionId is the gateway refund ID
+   */
+  async refund(_transactionId, _amount, _options) {
+    throw new Error(`${this.name} provider does not implement refund`);
+  }
+
+  /**
+   * Verify a webhook request and parse its event
+   *
+   * @param {string|Buffer} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers
+   * @returns {Object} { valid, event?, error? }
+   */
+  verifyWebhook(_rawBody, _headers) {
+    return { valid: false, error: 'WEBHOOKS_NOT_SUPPORTED' };
+  }
+}
+
+module.exports = PaymentProvider;
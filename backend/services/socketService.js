@@ -1,5 +1,9 @@
 const AuthUtils = require('../utils/auth');
 const { User, Ride } = require('../models');
+const RideEventService = require('./RideEventService');
+const RouteTraceService = require('./RouteTraceService');
+const DriverOnboardingService = require('./DriverOnboardingService');
+const ShiftService = require('./ShiftService');
 
 /**
  * Socket.IO Service for Real-time Communication
@@ -227,7 +231,7 @@ class SocketService {
    */
   async handleDriverLocationUpdate(socket, data) {
     try {
-      const { rideId, location, heading, speed } = data;
+      const { rideId, location, heading, speed, accuracy } = data;
       const userId = socket.userId;
       const userRole = socket.userRole;
 
@@ -257,6 +261,18 @@ class SocketService {
         }
       });
 
+      // Keep the breadcrumb for actual distance/duration and trip replay
+      await RouteTraceService.recordPoint(ride, userId, {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        heading,
+        speed,
+        accuracy
+      });
+
+      // Log the first time the driver reaches the pickup or the destination
+      await RideEventService.recordLocationMilestone(ride, [location.longitude, location.latitude], userId);
+
       const roomName = `ride:${rideId}`;
       console.log(`📍 Driver ${userId} location updated for ride ${rideId}`);
 
@@ -323,6 +339,11 @@ class SocketService {
 
       await Ride.findByIdAndUpdate(rideId, updateData);
 
+      await RideEventService.record(rideId, 'STATUS_CHANGED', {
+        actor: { role: userRole, userId },
+        data: { from: ride.status, to: status, source: 'socket' }
+      });
+
       const roomName = `ride:${rideId}`;
       console.log(`🔄 Ride ${rideId} status updated to ${status} by ${userId}`);
 
@@ -364,17 +385,33 @@ class SocketService {
         return;
       }
 
-      // Update driver availability in database
-      const updateData = { 'driverInfo.isAvailable': isAvailable };
+      // Going online starts a shift, going offline ends it (see ShiftService)
+      if (isAvailable) {
+        const driver = await User.findById(userId)
+          .select('driverInfo.onboarding driverInfo.activeVehicle driverInfo.shift driverInfo.isAvailable');
+        const eligibility = await DriverOnboardingService.checkEligibility(driver);
+        if (!eligibility.success) {
+          socket.emit('error', { code: eligibility.error, message: eligibility.message });
+          return;
+        }
 
-      if (location && location.latitude && location.longitude) {
-        updateData['driverInfo.currentLocation'] = {
-          type: 'Point',
-          coordinates: [location.longitude, location.latitude]
-        };
+        const shift = await ShiftService.startShift(driver);
+        if (!shift.success) {
+          socket.emit('error', { code: shift.error, message: shift.message });
+          return;
+        }
+      } else {
+        await ShiftService.endShift(userId, 'driver');
       }
 
-      await User.findByIdAndUpdate(userId, updateData);
+      if (location && location.latitude && location.longitude) {
+        await User.findByIdAndUpdate(userId, {
+          'driverInfo.currentLocation': {
+            type: 'Point',
+            coordinates: [location.longitude, location.latitude]
+          }
+        });
+      }
 
       console.log(`🚗 Driver ${userId} availability updated to ${isAvailable ? 'available' : 'unavailable'}`);
 
@@ -415,10 +452,11 @@ class SocketService {
     this.connectedUsers.delete(userId);
     this.userSockets.delete(socket.id);
 
-    // If driver disconnects, update availability to false
+    // If driver disconnects, end their shift (a driver on a ride keeps it until the ride finishes)
     if (userRole === 'driver') {
-      User.findByIdAndUpdate(userId, { 'driverInfo.isAvailable': false })
-        .catch(error => console.error('Error updating driver availability on disconnect:', error));
+      ShiftService.isOnTrip(userId)
+        .then(onTrip => (onTrip ? null : ShiftService.endShift(userId, 'disconnected')))
+        .catch(error => console.error('Error ending driver shift on disconnect:', error));
     }
   }
 
@@ -0,0 +1,18 @@
+/**
+ * Environment configuration helpers shared by services
+ */
+
+/**
+ * Number from the environment, allowing an explicit 0
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value when the variable is unset or not a number
+ * @returns {number} Configured value or the fallback
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+module.exports = {
+  envNumber
+};
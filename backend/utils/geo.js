@@ -0,0 +1,29 @@
+/**
+ * Geographic helpers shared by services
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance between two [longitude, latitude] points (Haversine formula)
+ * @param {number[]} coord1 - [longitude, latitude]
+ * @param {number[]} coord2 - [longitude, latitude]
+ * @returns {number} Distance in kilometers
+ */
+function haversineDistance(coord1, coord2) {
+  const [lng1, lat1] = coord1;
+  const [lng2, lat2] = coord2;
+
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+module.exports = {
+  haversineDistance
+};
@@ -0,0 +1,114 @@
+/**
+ * Minimal PDF writer for server-generated documents (invoices)
+ *
+ * Renders rows of text on A4 pages using the standard PDF fonts, so no font files or
+ * third-party libraries are needed. Labels use Helvetica; right-aligned values use Courier,
+ * whose fixed glyph width lets them line up without font metrics.
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const LINE_SPACING = 1.5;
+// Courier glyphs are 600/1000 of the font size wide
+const COURIER_CHAR_WIDTH = 0.6;
+
+/**
+ * Escape text for a PDF string literal. Characters outside Latin-1 cannot be shown with
+ * the standard fonts and are replaced with '?'.
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapePdfText(text) {
+  return String(text)
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+/**
+ * Content stream operators for one row
+ * @private
+ */
+function renderRow(row, y) {
+  const size = row.size || 10;
+  const ops = [];
+
+  if (row.rule) {
+    ops.push(`0.5 w ${MARGIN} ${y} m ${PAGE_WIDTH - MARGIN} ${y} l S`);
+  }
+  if (row.text) {
+    ops.push(`BT /${row.bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN} ${y} Td (${escapePdfText(row.text)}) Tj ET`);
+  }
+  if (row.value !== undefined && row.value !== null) {
+    const value = String(row.value);
+    const x = PAGE_WIDTH - MARGIN - value.length * size * COURIER_CHAR_WIDTH;
+    ops.push(`BT /F3 ${size} Tf ${x.toFixed(2)} ${y} Td (${escapePdfText(value)}) Tj ET`);
+  }
+
+  return ops;
+}
+
+/**
+ * Render rows of text as a PDF document
+ *
+ * @param {Array<Object>} rows - { text?, value?, size?, bold?, rule?, gap? }; `value` is right-aligned,
+ *   `rule` draws a line, `gap` adds space above the row in points
+ * @returns {Buffer} PDF file contents
+ */
+function renderTextPdf(rows) {
+  // Lay the rows out top to bottom, starting a new page when one fills up
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+  rows.forEach(row => {
+    const height = (row.size || 10) * LINE_SPACING + (row.gap || 0);
+    if (y - height < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= height;
+    pages[pages.length - 1].push(...renderRow(row, y));
+  });
+
+  const fontIds = [3, 4, 5];
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    null, // page tree, filled in once the page objects are numbered
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>'
+  ];
+
+  const pageIds = pages.map(ops => {
+    const content = ops.join('\n');
+    objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    const contentId = objects.length;
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${fontIds[0]} 0 R /F2 ${fontIds[1]} 0 R /F3 ${fontIds[2]} 0 R >> >> ` +
+      `/Contents ${contentId} 0 R >>`
+    );
+    return objects.length;
+  });
+  objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  // Objects followed by the cross-reference table of their byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  escapePdfText,
+  renderTextPdf
+};
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+/**
+ * Webhook signature helpers
+ *
+ * Header format: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`.
+ * The timestamp is signed with the body so a captured webhook cannot be replayed later.
+ */
+
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Build the signature header for a webhook body
+ *
+ * @param {string} secret - Shared webhook secret
+ * @param {string|Buffer} body - Raw request body
+ * @param {number} timestamp - Unix seconds (default: now)
+ * @returns {string} Signature header value
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Verify a webhook signature header
+ *
+ * @param {string} secret - Shared webhook secret
+ * @param {string|Buffer} body - Raw request body exactly as received
+ * @param {string} header - Signature header value
+ * @param {Object} options - { toleranceSeconds, now }
+ * @returns {Object} { valid, error? }
+ */
+function verifySignature(secret, body, header, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  if (!header || typeof header !== 'string') {
+    return { valid: false, error: 'MISSING_SIGNATURE' };
+  }
+
+  const parts = {};
+  header.split(',').forEach(part => {
+    const [name, value] = part.split('=');
+    if (name && value) {
+      parts[name.trim()] = value.trim();
+    }
+  });
+
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1 || !/^[0-9a-f]+$/.test(parts.v1)) {
+    return { valid: false, error: 'MALFORMED_SIGNATURE' };
+  }
+
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return { valid: false, error: 'SIGNATURE_EXPIRED' };
+  }
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const provided = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { valid: false, error: 'INVALID_SIGNATURE' };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  signPayload,
+  verifySignature
+};
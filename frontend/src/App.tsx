@@ -11,11 +11,14 @@ import '@/components/common/ErrorBoundary.css';
 // Lazy load pages for better performance
 const LoginPage = lazy(() => import('@/pages/auth/LoginPage'));
 const RegisterPage = lazy(() => import('@/pages/auth/RegisterPage'));
+const ForgotPasswordPage = lazy(() => import('@/pages/auth/ForgotPasswordPage'));
+const ResetPasswordPage = lazy(() => import('@/pages/auth/ResetPasswordPage'));
 const RiderBookPage = lazy(() => import('@/pages/rider/RiderBookPage'));
 const RideCompletion = lazy(() => import('@/pages/rider/RideCompletion'));
 const PaymentHistoryPage = lazy(() => import('@/pages/rider/PaymentHistory'));
 const RiderMyRides = lazy(() => import('@/pages/rider/RiderMyRides'));
 const RiderProfile = lazy(() => import('@/pages/rider/RiderProfile'));
+const RiderWallet = lazy(() => import('@/pages/rider/RiderWallet'));
 const DriverDashboardPage = lazy(() => import('@/pages/driver/DriverDashboardPage'));
 const DriverMyRides = lazy(() => import('@/pages/driver/DriverMyRides'));
 const DriverProfile = lazy(() => import('@/pages/driver/DriverProfile'));
@@ -23,6 +26,9 @@ const AdminDashboardPage = lazy(() => import('@/pages/admin/AdminDashboardPage')
 const UsersManagementPage = lazy(() => import('@/pages/admin/UsersManagementPage'));
 const RidesManagementPage = lazy(() => import('@/pages/admin/RidesManagementPage'));
 const UserDetailsPage = lazy(() => import('@/pages/admin/UserDetailsPage'));
+const DisputesManagementPage = lazy(() => import('@/pages/admin/DisputesManagementPage'));
+const DriverVerificationPage = lazy(() => import('@/pages/admin/DriverVerificationPage'));
+const FleetVehiclesPage = lazy(() => import('@/pages/admin/FleetVehiclesPage'));
 
 import './App.css';
 
@@ -41,6 +47,8 @@ function App() {
                         {/* Public Routes */}
                         <Route path="/login" element={<LoginPage />} />
                         <Route path="/register" element={<RegisterPage />} />
+                        <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+                        <Route path="/reset-password" element={<ResetPasswordPage />} />
 
                         {/* Protected Routes - Rider */}
                         <Route
@@ -54,6 +62,7 @@ function App() {
                                   <Route path="payments" element={<PaymentHistoryPage />} />
                                   <Route path="rides" element={<RiderMyRides />} />
                                   <Route path="profile" element={<RiderProfile />} />
+                                  <Route path="wallet" element={<RiderWallet />} />
                                   <Route path="" element={<Navigate to="book" replace />} />
                                 </Routes>
                               </Layout>
@@ -91,6 +100,9 @@ function App() {
                                   <Route path="users" element={<UsersManagementPage />} />
                                   <Route path="users/:userId" element={<UserDetailsPage />} />
                                   <Route path="rides" element={<RidesManagementPage />} />
+                                  <Route path="disputes" element={<DisputesManagementPage />} />
+                                  <Route path="drivers" element={<DriverVerificationPage />} />
+                                  <Route path="vehicles" element={<FleetVehiclesPage />} />
                                 </Routes>
                               </Layout>
                             </ProtectedRoute>
@@ -192,5 +192,44 @@ describe('AuthService - Unit Tests', () => {
                 email: 'test@example.com',
             });
         });
+
+        it('should request a reset link by phone for riders and drivers', async () => {
+            vi.mocked(apiClient.post).mockResolvedValue({ data: { success: true } });
+
+            await authService.forgotPassword('+1234567890');
+
+            expect(apiClient.post).toHaveBeenCalledWith('/auth/forgot-password', {
+                phone: '+1234567890',
+            });
+        });
+    });
+
+    describe('resetPassword', () => {
+        it('should send the token and new password', async () => {
+            vi.mocked(apiClient.post).mockResolvedValue({ data: { success: true } });
+
+            const result = await authService.resetPassword('abc123', 'NewPass!1');
+
+            expect(result.success).toBe(true);
+            expect(apiClient.post).toHaveBeenCalledWith('/auth/reset-password', {
+                token: 'abc123',
+                password: 'NewPass!1',
+            });
+        });
+
+        it('should surface used or expired tokens', async () => {
+            vi.mocked(apiClient.post).mockRejectedValue({
+                response: {
+                    data: {
+                        error: { code: 'INVALID_RESET_TOKEN', message: 'This password reset link is invalid or has expired' },
+                    },
+                },
+            });
+
+            const result = await authService.resetPassword('used', 'NewPass!1');
+
+            expect(result.success).toBe(false);
+            expect(result.error?.code).toBe('INVALID_RESET_TOKEN');
+        });
     });
 });
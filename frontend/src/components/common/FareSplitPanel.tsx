@@ -0,0 +1,224 @@
+import React, { useCallback, useState } from 'react';
+import { rideService } from '../../services/rideService';
+import { paymentService } from '../../services/paymentService';
+import { useSocketEvent } from '../../contexts/SocketContext';
+import { FareShare, FareSplit, Ride } from '../../types';
+import './FareSplitPanel.css';
+
+interface FareSplitPanelProps {
+  ride: Ride;
+  onSplitChange: (fareSplit: FareSplit) => void;
+}
+
+// Co-riders already on the split are kept by user ID; only their masked phone is known
+interface CoRiderInput {
+  phone: string;
+  percentage: string;
+  userId?: string;
+  maskedPhone?: string | null;
+}
+
+// Mirrors FareSplitService.MAX_CO_RIDERS
+const MAX_CO_RIDERS = 4;
+
+const SHARE_STATUS_LABELS: Record<FareShare['status'], string> = {
+  invited: 'Invited',
+  accepted: 'Accepted',
+  declined: 'Declined',
+  expired: 'No response'
+};
+
+const toInputs = (fareSplit?: FareSplit | null): CoRiderInput[] => {
+  const coRiders = fareSplit?.shares.slice(1) || [];
+  return coRiders.length
+    ? coRiders.map(share => ({
+      phone: '',
+      percentage: share.percentage ? String(share.percentage) : '',
+      userId: share.userId,
+      maskedPhone: share.maskedPhone
+    }))
+    : [{ phone: '', percentage: '' }];
+};
+
+// Lets the booking rider invite co-riders to split the fare and follow their answers
+export const FareSplitPanel: React.FC<FareSplitPanelProps> = ({ ride, onSplitChange }) => {
+  const [editing, setEditing] = useState(false);
+  const [mode, setMode] = useState<FareSplit['mode']>(ride.fareSplit?.mode || 'even');
+  const [riderPercentage, setRiderPercentage] = useState(
+    ride.fareSplit?.shares[0]?.percentage ? String(ride.fareSplit.shares[0].percentage) : ''
+  );
+  const [coRiders, setCoRiders] = useState<CoRiderInput[]>(toInputs(ride.fareSplit));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleResponse = useCallback(async (data: { rideId: string }) => {
+    if (data.rideId !== ride._id) {
+      return;
+    }
+    try {
+      const updated = await rideService.getRideById(ride._id);
+      if (updated.fareSplit) {
+        onSplitChange(updated.fareSplit);
+      }
+    } catch (err) {
+      console.error('Failed to refresh fare split:', err);
+    }
+  }, [ride._id, onSplitChange]);
+
+  useSocketEvent('fare-split:responded', handleResponse);
+
+  const updateCoRider = (index: number, field: keyof CoRiderInput, value: string) => {
+    setCoRiders(prev => prev.map((coRider, i) => (i === index ? { ...coRider, [field]: value } : coRider)));
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+
+    const participants = coRiders
+      .filter(coRider => coRider.userId || coRider.phone.trim())
+      .map(coRider => ({
+        ...(coRider.userId ? { userId: coRider.userId } : { phone: coRider.phone.trim() }),
+        ...(mode === 'custom' && { percentage: parseFloat(coRider.percentage) })
+      }));
+    if (participants.length === 0) {
+      setError('Add at least one co-rider phone number');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const fareSplit = await rideService.setFareSplit(ride._id, {
+        mode,
+        participants,
+        ...(mode === 'custom' && { riderPercentage: parseFloat(riderPercentage) })
+      });
+      onSplitChange(fareSplit);
+      setEditing(false);
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const shares = ride.fareSplit?.shares || [];
+  const fare = ride.fare.final || ride.fare.estimated;
+  const accepted = shares.filter(share => share.status === 'accepted').length;
+
+  return (
+    <div className="fare-split-panel">
+      <h4>Split Fare</h4>
+
+      {shares.length > 1 && !editing && (
+        <ul className="fare-split-shares">
+          {shares.map((share, index) => (
+            <li key={share.userId} className={`fare-split-share ${share.status}`}>
+              <span>{index === 0 ? 'You' : share.maskedPhone || 'Co-rider'}</span>
+              <span>
+                {ride.fareSplit?.mode === 'custom' && share.percentage ? `${share.percentage}% · ` : ''}
+                {SHARE_STATUS_LABELS[share.status]}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {shares.length > 1 && !editing && ride.fareSplit?.mode === 'even' && accepted > 1 && (
+        <p className="fare-split-note">
+          About {paymentService.formatCurrency(fare / accepted)} each; shares are fixed from the final fare.
+        </p>
+      )}
+
+      {editing ? (
+        <form onSubmit={handleSubmit} className="fare-split-form">
+          <div className="fare-split-mode">
+            <label>
+              <input type="radio" checked={mode === 'even'} onChange={() => setMode('even')} />
+              Split evenly
+            </label>
+            <label>
+              <input type="radio" checked={mode === 'custom'} onChange={() => setMode('custom')} />
+              Custom percentages
+            </label>
+          </div>
+
+          {mode === 'custom' && (
+            <div className="fare-split-row">
+              <span>You</span>
+              <input
+                type="number"
+                min="1"
+                max="100"
+                placeholder="%"
+                value={riderPercentage}
+                onChange={(e) => setRiderPercentage(e.target.value)}
+              />
+            </div>
+          )}
+
+          {coRiders.map((coRider, index) => (
+            <div key={index} className="fare-split-row">
+              {coRider.userId ? (
+                <span>{coRider.maskedPhone || 'Co-rider'}</span>
+              ) : (
+                <input
+                  type="tel"
+                  placeholder="+91 98765 43210"
+                  value={coRider.phone}
+                  onChange={(e) => updateCoRider(index, 'phone', e.target.value.replace(/[\s-]/g, ''))}
+                />
+              )}
+              {mode === 'custom' && (
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  placeholder="%"
+                  value={coRider.percentage}
+                  onChange={(e) => updateCoRider(index, 'percentage', e.target.value)}
+                />
+              )}
+              {coRider.userId && (
+                <button
+                  type="button"
+                  className="fare-split-remove"
+                  onClick={() => setCoRiders(prev => prev.filter((_, i) => i !== index))}
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          ))}
+
+          {coRiders.length < MAX_CO_RIDERS && (
+            <button
+              type="button"
+              className="fare-split-add"
+              onClick={() => setCoRiders(prev => [...prev, { phone: '', percentage: '' }])}
+            >
+              + Add co-rider
+            </button>
+          )}
+
+          {error && <p className="fare-split-error">{error}</p>}
+
+          <div className="fare-split-actions">
+            <button type="button" onClick={() => setEditing(false)} disabled={saving}>
+              Cancel
+            </button>
+            <button type="submit" disabled={saving}>
+              {saving ? 'Sending...' : 'Send invitations'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button type="button" className="fare-split-edit" onClick={() => setEditing(true)}>
+          {shares.length > 1 ? 'Change split' : 'Split the fare with friends'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default FareSplitPanel;
@@ -1,5 +1,6 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMapEvents, Polyline } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, useMapEvents, Polyline, Rectangle } from 'react-leaflet';
+import { SurgeZone } from '../../types';
 import L, { LeafletMouseEvent } from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import './MapComponent.css';
@@ -25,6 +26,10 @@ const createCustomIcon = (color: string) => new L.Icon({
 const pickupIcon = createCustomIcon('green');
 const destinationIcon = createCustomIcon('red');
 const driverIcon = createCustomIcon('blue');
+const stopIcon = createCustomIcon('orange');
+const reachedStopIcon = createCustomIcon('grey');
+
+export type MapSelectionType = 'pickup' | 'stop' | 'destination';
 
 interface MapComponentProps {
   center: [number, number];
@@ -38,18 +43,42 @@ interface MapComponentProps {
     coordinates: [number, number];
     address: string;
   } | null;
+  // Intermediate stops in visiting order
+  stops?: {
+    coordinates: [number, number];
+    address: string;
+    reached?: boolean;
+  }[];
   driverLocation?: [number, number] | null;
   route?: [number, number][] | null;
-  onLocationSelect?: (coordinates: [number, number], type: 'pickup' | 'destination') => void;
-  selectionMode?: 'pickup' | 'destination' | null;
+  // Recorded driver path ([longitude, latitude] points), e.g. for trip replay
+  trace?: [number, number][] | null;
+  // Surge heatmap cells, shaded by multiplier
+  surgeZones?: SurgeZone[];
+  onLocationSelect?: (coordinates: [number, number], type: MapSelectionType) => void;
+  selectionMode?: MapSelectionType | null;
   className?: string;
   showRoute?: boolean;
 }
 
+// Heatmap shade for a surge multiplier
+const getSurgeColor = (multiplier: number): string => {
+  if (multiplier >= 2.5) {
+    return '#dc3545';
+  }
+  if (multiplier >= 2.0) {
+    return '#fd7e14';
+  }
+  if (multiplier >= 1.5) {
+    return '#ffc107';
+  }
+  return '#28a745';
+};
+
 // Component to handle map clicks
 const MapClickHandler: React.FC<{
-  onLocationSelect?: (coordinates: [number, number], type: 'pickup' | 'destination') => void;
-  selectionMode?: 'pickup' | 'destination' | null;
+  onLocationSelect?: (coordinates: [number, number], type: MapSelectionType) => void;
+  selectionMode?: MapSelectionType | null;
 }> = ({ onLocationSelect, selectionMode }) => {
   useMapEvents({
     click: (e: LeafletMouseEvent) => {
@@ -68,8 +97,11 @@ const MapComponent: React.FC<MapComponentProps> = ({
   height = '400px',
   pickup,
   destination,
+  stops = [],
   driverLocation,
   route,
+  trace,
+  surgeZones,
   onLocationSelect,
   selectionMode,
   className = '',
@@ -119,6 +151,9 @@ const MapComponent: React.FC<MapComponentProps> = ({
     }
   }, [center, zoom]);
 
+  // Callers usually build the stops list inline, so refit only when the points themselves change
+  const stopsKey = stops.map(stop => stop.coordinates.join(',')).join(';');
+
   // Auto-fit bounds when pickup and destination are set
   useEffect(() => {
     if (mapRef.current && pickup && destination) {
@@ -127,6 +162,8 @@ const MapComponent: React.FC<MapComponentProps> = ({
         [destination.coordinates[1], destination.coordinates[0]]
       ]);
 
+      stops.forEach(stop => bounds.extend([stop.coordinates[1], stop.coordinates[0]]));
+
       // Add driver location to bounds if available
       if (driverLocation) {
         bounds.extend([driverLocation[1], driverLocation[0]]);
@@ -134,7 +171,7 @@ const MapComponent: React.FC<MapComponentProps> = ({
 
       mapRef.current.fitBounds(bounds, { padding: [20, 20] });
     }
-  }, [pickup, destination, driverLocation]);
+  }, [pickup, destination, stopsKey, driverLocation]);
 
   return (
     <div className={`map-container ${className}`} style={{ height }}>
@@ -154,6 +191,24 @@ const MapComponent: React.FC<MapComponentProps> = ({
           selectionMode={selectionMode}
         />
 
+        {/* Surge heatmap */}
+        {surgeZones && surgeZones.map(zone => (
+          <Rectangle
+            key={zone.cellId}
+            bounds={[[zone.bounds.south, zone.bounds.west], [zone.bounds.north, zone.bounds.east]]}
+            pathOptions={{
+              color: getSurgeColor(zone.multiplier),
+              weight: 1,
+              fillOpacity: zone.multiplier > 1 ? 0.35 : 0.1
+            }}
+          >
+            <Popup>
+              <strong>Surge {zone.multiplier}x</strong><br />
+              {zone.pendingRequests} requests, {zone.availableDrivers} drivers
+            </Popup>
+          </Rectangle>
+        ))}
+
         {pickup && (
           <Marker
             position={[pickup.coordinates[1], pickup.coordinates[0]]}
@@ -166,6 +221,19 @@ const MapComponent: React.FC<MapComponentProps> = ({
           </Marker>
         )}
 
+        {stops.map((stop, index) => (
+          <Marker
+            key={`stop-${index}`}
+            position={[stop.coordinates[1], stop.coordinates[0]]}
+            icon={stop.reached ? reachedStopIcon : stopIcon}
+          >
+            <Popup>
+              <strong>Stop {index + 1}{stop.reached ? ' (reached)' : ''}</strong><br />
+              {stop.address}
+            </Popup>
+          </Marker>
+        ))}
+
         {destination && (
           <Marker
             position={[destination.coordinates[1], destination.coordinates[0]]}
@@ -197,13 +265,18 @@ const MapComponent: React.FC<MapComponentProps> = ({
           />
         )}
 
-        {/* Simple route line between pickup and destination */}
+        {/* Recorded driver path */}
+        {trace && trace.length > 1 && (
+          <Polyline
+            positions={trace.map(coord => [coord[1], coord[0]])}
+            pathOptions={{ color: '#6f42c1', weight: 4, opacity: 0.8 }}
+          />
+        )}
+
+        {/* Simple route line from pickup through the stops to the destination */}
         {showRoute && !route && pickup && destination && (
           <Polyline
-            positions={[
-              [pickup.coordinates[1], pickup.coordinates[0]],
-              [destination.coordinates[1], destination.coordinates[0]]
-            ]}
+            positions={[pickup, ...stops, destination].map(point => [point.coordinates[1], point.coordinates[0]])}
             pathOptions={{ color: '#28a745', weight: 3, opacity: 0.6, dashArray: '10, 10' }}
           />
         )}
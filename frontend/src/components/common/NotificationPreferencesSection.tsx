@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import {
+  notificationService,
+  NotificationChannel,
+  NotificationLocale,
+  NotificationPreferences,
+  NotificationPreferencesUpdate
+} from '../../services/notificationService';
+import { LoadingSpinner } from './LoadingSpinner';
+import './NotificationPreferencesSection.css';
+
+const LOCALE_LABELS: Record<NotificationLocale, string> = {
+  en: 'English',
+  hi: 'हिन्दी (Hindi)'
+};
+
+const CHANNEL_LABELS: Record<NotificationChannel, { label: string; hint: string }> = {
+  push: { label: 'Push notifications', hint: 'In this browser, when your ride is accepted or your driver arrives' },
+  sms: { label: 'SMS', hint: 'Ride updates and receipts by text message' },
+  email: { label: 'Email', hint: 'Receipts to the email address on your profile' }
+};
+
+const NotificationPreferencesSection: React.FC = () => {
+  const [preferences, setPreferences] = useState<NotificationPreferences | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadPreferences();
+  }, []);
+
+  const loadPreferences = async () => {
+    try {
+      setPreferences(await notificationService.getPreferences());
+    } catch (err: any) {
+      setError(err.message || 'Failed to load notification preferences');
+    }
+  };
+
+  const savePreferences = async (update: NotificationPreferencesUpdate) => {
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      setPreferences(await notificationService.updatePreferences(update));
+    } catch (err: any) {
+      setError(err.message || 'Failed to update notification preferences');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!preferences) {
+    return error ? (
+      <div className="message error-message">
+        <span className="message-icon">⚠️</span>
+        {error}
+      </div>
+    ) : (
+      <LoadingSpinner size="small" />
+    );
+  }
+
+  return (
+    <div className="notification-preferences">
+      {error && (
+        <div className="message error-message">
+          <span className="message-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      <div className="form-group">
+        <label htmlFor="notificationLocale">Language</label>
+        <select
+          id="notificationLocale"
+          value={preferences.locale}
+          onChange={(e) => savePreferences({ locale: e.target.value as NotificationLocale })}
+          disabled={isSaving}
+        >
+          {(Object.keys(LOCALE_LABELS) as NotificationLocale[]).map(locale => (
+            <option key={locale} value={locale}>{LOCALE_LABELS[locale]}</option>
+          ))}
+        </select>
+      </div>
+
+      <ul className="notification-channels">
+        {(Object.keys(CHANNEL_LABELS) as NotificationChannel[]).map(channel => (
+          <li key={channel} className="notification-channel">
+            <label>
+              <input
+                type="checkbox"
+                checked={preferences.channels[channel]}
+                onChange={(e) => savePreferences({ channels: { [channel]: e.target.checked } })}
+                disabled={isSaving}
+              />
+              <span className="notification-channel-label">{CHANNEL_LABELS[channel].label}</span>
+            </label>
+            <small className="form-hint">{CHANNEL_LABELS[channel].hint}</small>
+          </li>
+        ))}
+      </ul>
+
+      <small className="form-hint">
+        Verification codes and password reset links are always sent, whatever you choose here.
+      </small>
+    </div>
+  );
+};
+
+export default NotificationPreferencesSection;
@@ -1,16 +1,45 @@
-import React, { useState } from 'react';
-import { paymentService, PaymentRequest } from '../../services/paymentService';
-import { Ride } from '../../types';
+import React, { useState, useEffect, useCallback } from 'react';
+import { paymentService, PaymentRequest, PaymentResult } from '../../services/paymentService';
+import { walletService, Wallet } from '../../services/walletService';
+import { rideService } from '../../services/rideService';
+import { useSocketEvent } from '../../contexts/SocketContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { PaymentHold, Ride } from '../../types';
 import LoadingSpinner from './LoadingSpinner';
+import { createIdempotencyKey } from '../../utils/idempotency';
 
 interface PaymentFormProps {
   ride: Ride;
-  onPaymentSuccess: (result: { ride: Ride; receipt: any; transactionId: string }) => void;
+  onPaymentSuccess: (result: PaymentResult) => void;
   onPaymentError: (error: string) => void;
   onCancel: () => void;
 }
 
-type PaymentMethod = 'mock' | 'cash';
+type PaymentMethod = 'mock' | 'cash' | 'wallet';
+
+const HOLD_RELEASE_REASONS: Record<string, string> = {
+  FARE_EXCEEDS_HOLD: 'the final fare was higher than the hold',
+  PAID_SEPARATELY: 'the fare was paid another way',
+  FARE_SPLIT: 'the fare was split with co-riders',
+  RIDE_CANCELLED: 'the ride was cancelled'
+};
+
+// What happened to the card pre-authorization placed at booking
+const describeHold = (hold: PaymentHold): string => {
+  const amount = paymentService.formatCurrency(hold.amount);
+  switch (hold.status) {
+    case 'authorized':
+      return `${amount} authorized on your card`;
+    case 'captured':
+      return `${paymentService.formatCurrency(hold.capturedAmount || 0)} charged from the ${amount} hold`;
+    case 'released': {
+      const reason = hold.reason ? HOLD_RELEASE_REASONS[hold.reason] : null;
+      return `${amount} released${reason ? ` because ${reason}` : ''}`;
+    }
+    default:
+      return `${amount} hold could not be charged; please pay below`;
+  }
+};
 
 const PaymentForm: React.FC<PaymentFormProps> = ({
   ride,
@@ -18,6 +47,11 @@ const PaymentForm: React.FC<PaymentFormProps> = ({
   onPaymentError,
   onCancel
 }) => {
+  const { user } = useAuth();
+  // On a split fare each participant pays only their own share
+  const myShare = ride.payment?.method === 'split'
+    ? ride.fareSplit?.shares.find(share => share.userId === user?._id)
+    : undefined;
   const [selectedMethod, setSelectedMethod] = useState<PaymentMethod>('mock');
   const [isProcessing, setIsProcessing] = useState(false);
   const [cardDetails, setCardDetails] = useState({
@@ -27,6 +61,47 @@ const PaymentForm: React.FC<PaymentFormProps> = ({
     expiryYear: 2025
   });
   const [validationErrors, setValidationErrors] = useState<string[]>([]);
+  const [wallet, setWallet] = useState<Wallet | null>(null);
+  // A card charge the gateway has accepted but not yet confirmed
+  const [awaitingConfirmation, setAwaitingConfirmation] = useState(myShare
+    ? myShare.payment.status === 'processing' && Boolean(myShare.payment.transactionId)
+    : ride.payment?.status === 'processing' && Boolean(ride.payment?.transactionId)
+  );
+
+  const amountDue = myShare?.amount ?? (ride.fare.final || ride.fare.estimated);
+  const hold = ride.payment?.hold;
+  const hasWalletBalance = wallet !== null && wallet.balance >= amountDue;
+
+  useEffect(() => {
+    walletService.getWallet()
+      .then(setWallet)
+      .catch(() => setWallet(null));
+  }, []);
+
+  const handlePaymentCompleted = useCallback(async (data: { rideId: string; transactionId?: string }) => {
+    if (data.rideId !== ride._id) {
+      return;
+    }
+
+    try {
+      const updatedRide = await rideService.getRideById(ride._id);
+      setAwaitingConfirmation(false);
+      onPaymentSuccess({ ride: updatedRide, transactionId: data.transactionId || '' });
+    } catch (error: any) {
+      onPaymentError(error.message);
+    }
+  }, [ride._id, onPaymentSuccess, onPaymentError]);
+
+  const handlePaymentFailed = useCallback((data: { rideId: string; message: string }) => {
+    if (data.rideId === ride._id) {
+      setAwaitingConfirmation(false);
+      onPaymentError(data.message);
+    }
+  }, [ride._id, onPaymentError]);
+
+  useSocketEvent('payment:completed', handlePaymentCompleted);
+  useSocketEvent('payment:share-completed', handlePaymentCompleted);
+  useSocketEvent('payment:failed', handlePaymentFailed);
 
   const handlePaymentSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -50,7 +125,12 @@ const PaymentForm: React.FC<PaymentFormProps> = ({
         paymentDetails: selectedMethod === 'mock' ? cardDetails : undefined
       };
 
-      const result = await paymentService.processPayment(paymentData);
+      // Automatic retries of this attempt reuse the key, so the ride is charged at most once
+      const result = await paymentService.processPayment(paymentData, createIdempotencyKey());
+      if (result.status === 'processing') {
+        setAwaitingConfirmation(true);
+        return;
+      }
       onPaymentSuccess(result);
     } catch (error: any) {
       onPaymentError(error.message);
@@ -166,6 +246,20 @@ const PaymentForm: React.FC<PaymentFormProps> = ({
           </div>
         );
 
+      case 'wallet':
+        return (
+          <div className="payment-method-content">
+            <div className="cash-info">
+              <p>Wallet balance: {paymentService.formatCurrency(wallet?.balance || 0)}</p>
+              {hasWalletBalance ? (
+                <p>Balance after payment: {paymentService.formatCurrency((wallet?.balance || 0) - amountDue)}</p>
+              ) : (
+                <p>Insufficient balance. Add money from the Wallet page or choose another method.</p>
+              )}
+            </div>
+          </div>
+        );
+
       default:
         return null;
     }
@@ -193,71 +287,114 @@ const PaymentForm: React.FC<PaymentFormProps> = ({
             <span>Total Amount:</span>
             <span className="amount">{paymentService.formatCurrency(ride.fare.final || ride.fare.estimated)}</span>
           </div>
+          {myShare && (
+            <div className="summary-item total">
+              <span>Your Share:</span>
+              <span className="amount">{paymentService.formatCurrency(amountDue)}</span>
+            </div>
+          )}
+          {hold && (
+            <div className={`summary-item hold-status ${hold.status}`}>
+              <span>Card hold:</span>
+              <span>{describeHold(hold)}</span>
+            </div>
+          )}
         </div>
       </div>
 
-      <form onSubmit={handlePaymentSubmit} className="payment-form-content">
-        <div className="payment-methods">
-          <h3>Payment Method</h3>
-          <div className="method-options">
-            <label className={`method-option ${selectedMethod === 'mock' ? 'selected' : ''}`}>
-              <input
-                type="radio"
-                name="paymentMethod"
-                value="mock"
-                checked={selectedMethod === 'mock'}
-                onChange={(e) => setSelectedMethod(e.target.value as PaymentMethod)}
-              />
-              <div className="method-info">
-                <span className="method-name">Test Card</span>
-                <span className="method-desc">For development testing</span>
-              </div>
-            </label>
-
-            <label className={`method-option ${selectedMethod === 'cash' ? 'selected' : ''}`}>
-              <input
-                type="radio"
-                name="paymentMethod"
-                value="cash"
-                checked={selectedMethod === 'cash'}
-                onChange={(e) => setSelectedMethod(e.target.value as PaymentMethod)}
-              />
-              <div className="method-info">
-                <span className="method-name">Cash</span>
-                <span className="method-desc">Pay driver directly</span>
-              </div>
-            </label>
-          </div>
+      {awaitingConfirmation ? (
+        <div className="payment-pending">
+          <LoadingSpinner />
+          <h3>Confirming your payment</h3>
+          <p>
+            Your bank is confirming the charge of {paymentService.formatCurrency(amountDue)}.
+            This usually takes a few seconds; you can leave this page and come back.
+          </p>
         </div>
+      ) : (
+        <form onSubmit={handlePaymentSubmit} className="payment-form-content">
+          <div className="payment-methods">
+            <h3>Payment Method</h3>
+            <div className="method-options">
+              <label className={`method-option ${selectedMethod === 'mock' ? 'selected' : ''}`}>
+                <input
+                  type="radio"
+                  name="paymentMethod"
+                  value="mock"
+                  checked={selectedMethod === 'mock'}
+                  onChange={(e) => setSelectedMethod(e.target.value as PaymentMethod)}
+                />
+                <div className="method-info">
+                  <span className="method-name">Test Card</span>
+                  <span className="method-desc">For development testing</span>
+                </div>
+              </label>
 
-        {renderPaymentMethodContent()}
+              <label className={`method-option ${selectedMethod === 'cash' ? 'selected' : ''}`}>
+                <input
+                  type="radio"
+                  name="paymentMethod"
+                  value="cash"
+                  checked={selectedMethod === 'cash'}
+                  onChange={(e) => setSelectedMethod(e.target.value as PaymentMethod)}
+                />
+                <div className="method-info">
+                  <span className="method-name">Cash</span>
+                  <span className="method-desc">Pay driver directly</span>
+                </div>
+              </label>
 
-        {validationErrors.length > 0 && (
-          <div className="validation-errors">
-            <ul>
-              {validationErrors.map((error, index) => (
-                <li key={index}>{error}</li>
-              ))}
-            </ul>
+              <label className={`method-option ${selectedMethod === 'wallet' ? 'selected' : ''}`}>
+                <input
+                  type="radio"
+                  name="paymentMethod"
+                  value="wallet"
+                  checked={selectedMethod === 'wallet'}
+                  onChange={(e) => setSelectedMethod(e.target.value as PaymentMethod)}
+                />
+                <div className="method-info">
+                  <span className="method-name">Wallet</span>
+                  <span className="method-desc">
+                    {wallet ? `Balance ${paymentService.formatCurrency(wallet.balance)}` : 'Pay from wallet balance'}
+                  </span>
+                </div>
+              </label>
+            </div>
           </div>
-        )}
-
-        <div className="form-actions">
-          <button type="button" onClick={onCancel} className="btn btn-secondary" disabled={isProcessing}>
-            Cancel
-          </button>
-          <button type="submit" className="btn btn-primary" disabled={isProcessing}>
-            {isProcessing ? (
-              <>
-                <LoadingSpinner size="small" />
-                Processing...
-              </>
-            ) : (
-              `Pay ${paymentService.formatCurrency(ride.fare.final || ride.fare.estimated)}`
-            )}
-          </button>
-        </div>
-      </form>
+
+          {renderPaymentMethodContent()}
+
+          {validationErrors.length > 0 && (
+            <div className="validation-errors">
+              <ul>
+                {validationErrors.map((error, index) => (
+                  <li key={index}>{error}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button type="button" onClick={onCancel} className="btn btn-secondary" disabled={isProcessing}>
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={isProcessing || (selectedMethod === 'wallet' && !hasWalletBalance)}
+            >
+              {isProcessing ? (
+                <>
+                  <LoadingSpinner size="small" />
+                  Processing...
+                </>
+              ) : (
+                `Pay ${paymentService.formatCurrency(amountDue)}`
+              )}
+            </button>
+          </div>
+        </form>
+      )}
 
       <style>{`
         .payment-form {
@@ -317,6 +454,15 @@ const PaymentForm: React.FC<PaymentFormProps> = ({
           color: #28a745;
         }
 
+        .hold-status {
+          font-size: 14px;
+          color: #6c757d;
+        }
+
+        .hold-status.failed {
+          color: #721c24;
+        }
+
         .payment-methods {
           margin-bottom: 25px;
         }
@@ -473,6 +619,17 @@ const PaymentForm: React.FC<PaymentFormProps> = ({
           margin-bottom: 0;
         }
 
+        .payment-pending {
+          text-align: center;
+          padding: 30px 20px;
+          color: #555;
+        }
+
+        .payment-pending h3 {
+          margin: 15px 0 10px;
+          color: #333;
+        }
+
         .validation-errors {
           background: #f8d7da;
           border: 1px solid #f5c6cb;
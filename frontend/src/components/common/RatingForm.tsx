@@ -11,6 +11,9 @@ interface RatingFormProps {
   onCancel: () => void;
 }
 
+// Mirrors TipService.PRESET_PERCENTAGES
+const TIP_PERCENTAGES = [10, 15, 20];
+
 const RatingForm: React.FC<RatingFormProps> = ({
   ride,
   user,
@@ -22,6 +25,8 @@ const RatingForm: React.FC<RatingFormProps> = ({
   const [feedback, setFeedback] = useState<string>('');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [hoveredRating, setHoveredRating] = useState<number>(0);
+  const [tipPercentage, setTipPercentage] = useState<number | 'custom' | null>(null);
+  const [customTip, setCustomTip] = useState<string>('');
 
   // Handle both string IDs and populated objects
   const riderIdString = typeof ride.riderId === 'string' ? ride.riderId : (ride.riderId as any)?._id || ride.riderId;
@@ -32,6 +37,14 @@ const RatingForm: React.FC<RatingFormProps> = ({
   const existingRating = isRider ? ride.rating?.driverRating : ride.rating?.riderRating;
   const hasAlreadyRated = existingRating !== null && existingRating !== undefined;
 
+  // Riders can tip once; a failed tip can be tried again
+  const canTip = isRider && !!ride.driverId && (!ride.tip || ride.tip.status === 'failed');
+  const fare = ride.fare.final || ride.fare.estimated;
+  const presetTip = (percentage: number) => Math.round(fare * percentage) / 100;
+  const tipAmount = tipPercentage === 'custom'
+    ? parseFloat(customTip) || 0
+    : tipPercentage ? presetTip(tipPercentage) : 0;
+
   const handleSubmitRating = async (e: React.FormEvent) => {
     e.preventDefault();
 
@@ -40,6 +53,11 @@ const RatingForm: React.FC<RatingFormProps> = ({
       return;
     }
 
+    if (tipPercentage === 'custom' && tipAmount <= 0) {
+      onRatingError('Enter a tip amount or choose no tip');
+      return;
+    }
+
     setIsSubmitting(true);
 
     try {
@@ -54,6 +72,10 @@ const RatingForm: React.FC<RatingFormProps> = ({
         ratingData.feedback = feedback.trim();
       }
 
+      if (canTip && tipAmount > 0) {
+        ratingData.tip = Math.round(tipAmount * 100) / 100;
+      }
+
       const updatedRide = await paymentService.submitRating(ratingData);
       onRatingSuccess(updatedRide);
     } catch (error: any) {
@@ -158,6 +180,58 @@ const RatingForm: React.FC<RatingFormProps> = ({
           </div>
         </div>
 
+        {canTip && (
+          <div className="tip-section">
+            <label>Add a Tip (Optional)</label>
+            <p className="tip-hint">Charged the same way you paid for the ride. Your driver receives all of it.</p>
+            <div className="tip-options">
+              <button
+                type="button"
+                className={`tip-option ${tipPercentage === null ? 'selected' : ''}`}
+                onClick={() => setTipPercentage(null)}
+                disabled={isSubmitting}
+              >
+                No tip
+              </button>
+              {TIP_PERCENTAGES.map((percentage) => (
+                <button
+                  key={percentage}
+                  type="button"
+                  className={`tip-option ${tipPercentage === percentage ? 'selected' : ''}`}
+                  onClick={() => setTipPercentage(percentage)}
+                  disabled={isSubmitting}
+                >
+                  {percentage}%
+                  <span>{paymentService.formatCurrency(presetTip(percentage))}</span>
+                </button>
+              ))}
+              <button
+                type="button"
+                className={`tip-option ${tipPercentage === 'custom' ? 'selected' : ''}`}
+                onClick={() => setTipPercentage('custom')}
+                disabled={isSubmitting}
+              >
+                Custom
+              </button>
+            </div>
+            {tipPercentage === 'custom' && (
+              <input
+                type="number"
+                className="tip-custom"
+                min="1"
+                step="1"
+                placeholder="Amount in ₹"
+                value={customTip}
+                onChange={(e) => setCustomTip(e.target.value)}
+                disabled={isSubmitting}
+              />
+            )}
+            {ride.tip?.status === 'failed' && (
+              <p className="tip-hint">Your last tip could not be charged.</p>
+            )}
+          </div>
+        )}
+
         <div className="form-actions">
           <button
             type="button"
@@ -177,6 +251,8 @@ const RatingForm: React.FC<RatingFormProps> = ({
                 <LoadingSpinner size="small" />
                 Submitting...
               </>
+            ) : tipAmount > 0 && canTip ? (
+              `Submit Rating & Tip ${paymentService.formatCurrency(tipAmount)}`
             ) : (
               'Submit Rating'
             )}
@@ -302,6 +378,64 @@ const RatingForm: React.FC<RatingFormProps> = ({
           margin-top: 5px;
         }
 
+        .tip-section {
+          margin-bottom: 30px;
+        }
+
+        .tip-section label {
+          display: block;
+          margin-bottom: 5px;
+          font-weight: 500;
+          color: #333;
+        }
+
+        .tip-hint {
+          margin: 0 0 10px 0;
+          font-size: 12px;
+          color: #6c757d;
+        }
+
+        .tip-options {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+        }
+
+        .tip-option {
+          flex: 1;
+          min-width: 70px;
+          padding: 10px 8px;
+          border: 1px solid #dee2e6;
+          border-radius: 6px;
+          background: white;
+          font-size: 14px;
+          cursor: pointer;
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 2px;
+        }
+
+        .tip-option span {
+          font-size: 12px;
+          color: #6c757d;
+        }
+
+        .tip-option.selected {
+          border-color: #007bff;
+          background: #e7f1ff;
+          color: #007bff;
+        }
+
+        .tip-custom {
+          width: 100%;
+          margin-top: 10px;
+          padding: 10px 12px;
+          border: 1px solid #dee2e6;
+          border-radius: 6px;
+          font-size: 14px;
+        }
+
         .form-actions {
           display: flex;
           gap: 15px;
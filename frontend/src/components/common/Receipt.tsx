@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { paymentService } from '../../services/paymentService';
+import { paymentService, ReceiptInvoice, TaxLine } from '../../services/paymentService';
 
 interface ReceiptProps {
   receipt: {
@@ -17,30 +17,64 @@ interface ReceiptProps {
     } | null;
     trip: {
       pickup: string;
+      stops?: string[];
       destination: string;
       distance: number;
       duration: number;
       startTime: string;
       endTime: string;
+      serviceLevel?: string;
     };
     fare: {
       baseFare: number;
       distanceFare: number;
       timeFare: number;
       surgeFare: number;
+      stopFare?: number;
+      waitingFare?: number;
+      discount?: number;
+      promoCode?: string | null;
       total: number;
+      taxableValue?: number | null;
+      taxes?: TaxLine[];
+      refunded?: number;
+      netPaid?: number;
     };
     payment: {
       method: string;
-      transactionId: string;
+      transactionId: string | null;
       status: string;
     };
+    invoice?: ReceiptInvoice | null;
+    // Split fares: what each participant paid
+    shares?: Array<{
+      userId: string;
+      maskedPhone: string | null;
+      amount: number;
+      method: string | null;
+      status: string;
+      transactionId: string | null;
+    }>;
+    tip?: {
+      amount: number;
+      method: string;
+      transactionId: string | null;
+      paidAt: string;
+    } | null;
+    refunds?: Array<{
+      amount: number;
+      destination: 'original_method' | 'wallet';
+      reason: string;
+      transactionId: string;
+      date: string;
+    }>;
   };
   onClose: () => void;
 }
 
 const Receipt: React.FC<ReceiptProps> = ({ receipt, onClose }) => {
   const [isDownloading, setIsDownloading] = useState(false);
+  const [downloadError, setDownloadError] = useState<string | null>(null);
 
   const formatDate = (dateString: string): string => {
     return new Date(dateString).toLocaleString('en-US', {
@@ -62,6 +96,10 @@ const Receipt: React.FC<ReceiptProps> = ({ receipt, onClose }) => {
     return `${mins}m`;
   };
 
+  const formatServiceLevel = (serviceLevel: string): string => {
+    return serviceLevel.charAt(0).toUpperCase() + serviceLevel.slice(1);
+  };
+
   const handleDownloadReceipt = async () => {
     setIsDownloading(true);
 
@@ -83,6 +121,22 @@ const Receipt: React.FC<ReceiptProps> = ({ receipt, onClose }) => {
     }
   };
 
+  const handleDownloadInvoice = async () => {
+    if (!receipt.invoice) {
+      return;
+    }
+    setIsDownloading(true);
+    setDownloadError(null);
+
+    try {
+      await paymentService.downloadInvoice(receipt.rideId, receipt.invoice.invoiceNumber);
+    } catch (error: any) {
+      setDownloadError(error.message);
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
   return (
     <div className="receipt-modal">
       <div className="receipt-overlay" onClick={onClose} />
@@ -95,8 +149,18 @@ const Receipt: React.FC<ReceiptProps> = ({ receipt, onClose }) => {
 
         <div className="receipt-content">
           <div className="receipt-info">
-            <div><strong>Receipt ID:</strong> {receipt.receiptId}</div>
+            {receipt.invoice ? (
+              <div><strong>Invoice No:</strong> {receipt.invoice.invoiceNumber}</div>
+            ) : (
+              <div><strong>Receipt ID:</strong> {receipt.receiptId}</div>
+            )}
             <div><strong>Date:</strong> {formatDate(receipt.date)}</div>
+            {receipt.invoice?.supplier.gstin && (
+              <div><strong>GSTIN:</strong> {receipt.invoice.supplier.gstin}</div>
+            )}
+            {receipt.invoice && (
+              <div><strong>Place of Supply:</strong> {receipt.invoice.placeOfSupply.name}</div>
+            )}
           </div>
 
           <div className="section">
@@ -105,6 +169,12 @@ const Receipt: React.FC<ReceiptProps> = ({ receipt, onClose }) => {
               <span>From:</span>
               <span>{receipt.trip.pickup}</span>
             </div>
+            {(receipt.trip.stops || []).map((stop, index) => (
+              <div className="detail-item" key={`${stop}-${index}`}>
+                <span>Stop {index + 1}:</span>
+                <span>{stop}</span>
+              </div>
+            ))}
             <div className="detail-item">
               <span>To:</span>
               <span>{receipt.trip.destination}</span>
@@ -117,6 +187,12 @@ const Receipt: React.FC<ReceiptProps> = ({ receipt, onClose }) => {
               <span>Duration:</span>
               <span>{formatDuration(receipt.trip.duration)}</span>
             </div>
+            {receipt.trip.serviceLevel && (
+              <div className="detail-item">
+                <span>Ride Type:</span>
+                <span>{formatServiceLevel(receipt.trip.serviceLevel)}</span>
+              </div>
+            )}
           </div>
 
           <div className="section">
@@ -139,10 +215,58 @@ const Receipt: React.FC<ReceiptProps> = ({ receipt, onClose }) => {
                 <span>{paymentService.formatCurrency(receipt.fare.surgeFare)}</span>
               </div>
             )}
+            {!!receipt.fare.stopFare && (
+              <div className="fare-item">
+                <span>Stop Waiting Fees</span>
+                <span>{paymentService.formatCurrency(receipt.fare.stopFare)}</span>
+              </div>
+            )}
+            {!!receipt.fare.waitingFare && (
+              <div className="fare-item">
+                <span>Waiting at Pickup</span>
+                <span>{paymentService.formatCurrency(receipt.fare.waitingFare)}</span>
+              </div>
+            )}
+            {!!receipt.fare.discount && (
+              <div className="fare-item discount">
+                <span>Discount{receipt.fare.promoCode ? ` (${receipt.fare.promoCode})` : ''}</span>
+                <span>-{paymentService.formatCurrency(receipt.fare.discount)}</span>
+              </div>
+            )}
+            {receipt.fare.taxableValue != null && (
+              <div className="fare-item">
+                <span>Taxable Value</span>
+                <span>{paymentService.formatCurrency(receipt.fare.taxableValue)}</span>
+              </div>
+            )}
+            {receipt.fare.taxes?.map(tax => (
+              <div key={tax.type} className="fare-item">
+                <span>{tax.type} @ {tax.rate}%</span>
+                <span>{paymentService.formatCurrency(tax.amount)}</span>
+              </div>
+            ))}
             <div className="fare-item total">
-              <span>Total</span>
+              <span>Total{receipt.fare.taxes?.length ? ' (incl. GST)' : ''}</span>
               <span>{paymentService.formatCurrency(receipt.fare.total)}</span>
             </div>
+            {receipt.refunds?.map((refund, index) => (
+              <div key={index} className="fare-item refund">
+                <span>Refund to {refund.destination === 'wallet' ? 'wallet' : 'card'} ({formatDate(refund.date)})</span>
+                <span>-{paymentService.formatCurrency(refund.amount)}</span>
+              </div>
+            ))}
+            {!!receipt.fare.refunded && receipt.fare.netPaid !== undefined && (
+              <div className="fare-item total">
+                <span>Net Paid</span>
+                <span>{paymentService.formatCurrency(receipt.fare.netPaid)}</span>
+              </div>
+            )}
+            {receipt.tip && (
+              <div className="fare-item">
+                <span>Tip for driver ({receipt.tip.method.toUpperCase()})</span>
+                <span>{paymentService.formatCurrency(receipt.tip.amount)}</span>
+              </div>
+            )}
           </div>
 
           <div className="section">
@@ -151,10 +275,21 @@ const Receipt: React.FC<ReceiptProps> = ({ receipt, onClose }) => {
               <span>Method:</span>
               <span>{receipt.payment.method.toUpperCase()}</span>
             </div>
-            <div className="detail-item">
-              <span>Transaction ID:</span>
-              <span>{receipt.payment.transactionId}</span>
-            </div>
+            {receipt.payment.transactionId && (
+              <div className="detail-item">
+                <span>Transaction ID:</span>
+                <span>{receipt.payment.transactionId}</span>
+              </div>
+            )}
+            {receipt.shares?.map((share, index) => (
+              <div key={share.userId} className="detail-item">
+                <span>{index === 0 ? 'Booking rider' : share.maskedPhone || 'Co-rider'}:</span>
+                <span>
+                  {paymentService.formatCurrency(share.amount)}
+                  {share.method ? ` · ${share.method.toUpperCase()}` : ''}
+                </span>
+              </div>
+            ))}
             <div className="detail-item">
               <span>Status:</span>
               <span className={`status ${receipt.payment.status}`}>
@@ -164,6 +299,8 @@ const Receipt: React.FC<ReceiptProps> = ({ receipt, onClose }) => {
           </div>
         </div>
 
+        {downloadError && <p className="receipt-error">{downloadError}</p>}
+
         <div className="receipt-actions">
           <button onClick={() => window.print()} className="btn btn-secondary">
             Print
@@ -175,6 +312,15 @@ const Receipt: React.FC<ReceiptProps> = ({ receipt, onClose }) => {
           >
             {isDownloading ? 'Downloading...' : 'Download'}
           </button>
+          {receipt.invoice && (
+            <button
+              onClick={handleDownloadInvoice}
+              className="btn btn-primary"
+              disabled={isDownloading}
+            >
+              Invoice PDF
+            </button>
+          )}
           <button onClick={onClose} className="btn btn-outline">
             Close
           </button>
@@ -275,6 +421,15 @@ const Receipt: React.FC<ReceiptProps> = ({ receipt, onClose }) => {
           padding: 8px 0;
         }
 
+        .fare-item.discount {
+          color: #28a745;
+        }
+
+        .fare-item.refund {
+          color: #28a745;
+          font-size: 14px;
+        }
+
         .fare-item.total {
           border-top: 2px solid #dee2e6;
           margin-top: 10px;
@@ -295,6 +450,18 @@ const Receipt: React.FC<ReceiptProps> = ({ receipt, onClose }) => {
           color: #155724;
         }
 
+        .status.refunded {
+          background: #fff3cd;
+          color: #856404;
+        }
+
+        .receipt-error {
+          margin: 0;
+          padding: 10px 30px 0;
+          color: #dc3545;
+          font-size: 14px;
+        }
+
         .receipt-actions {
           display: flex;
           gap: 15px;
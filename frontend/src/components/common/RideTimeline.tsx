@@ -0,0 +1,153 @@
+import React, { useEffect, useState } from 'react';
+import { rideService } from '../../services/rideService';
+import { RideEvent, RideEventType } from '../../types';
+import './RideTimeline.css';
+
+interface RideTimelineProps {
+  rideId: string;
+}
+
+const EVENT_LABELS: Record<RideEventType, string> = {
+  RIDE_REQUESTED: 'Ride requested',
+  RIDE_SCHEDULED: 'Ride scheduled',
+  RIDE_UPDATED: 'Booking updated',
+  RIDE_DISPATCHED: 'Dispatched for matching',
+  OFFER_SENT: 'Offered to a driver',
+  OFFER_ACCEPTED: 'Driver accepted',
+  OFFER_DECLINED: 'Driver declined',
+  OFFER_EXPIRED: 'Offer expired',
+  NO_DRIVERS_AVAILABLE: 'No drivers available',
+  MATCHING_ERROR: 'Matching error',
+  STATUS_CHANGED: 'Status changed',
+  RIDE_CANCELLED: 'Ride cancelled',
+  RIDE_COMPLETED: 'Ride completed',
+  DRIVER_NEAR_PICKUP: 'Driver reached pickup',
+  DRIVER_NEAR_DESTINATION: 'Reached destination',
+  STOP_ADDED: 'Stop added',
+  STOP_REACHED: 'Stop reached',
+  PAYMENT_AUTHORIZED: 'Card pre-authorized',
+  PAYMENT_HOLD_RELEASED: 'Card hold released',
+  FARE_SPLIT_UPDATED: 'Fare split updated',
+  FARE_SPLIT_RESPONDED: 'Co-rider responded',
+  FARE_SHARE_PAID: 'Fare share paid',
+  PAYMENT_COMPLETED: 'Payment completed',
+  PAYMENT_FAILED: 'Payment failed',
+  PAYMENT_REFUNDED: 'Payment refunded',
+  DISPUTE_OPENED: 'Dispute raised',
+  DISPUTE_RESOLVED: 'Dispute resolved',
+  RATING_SUBMITTED: 'Rating submitted',
+  TIP_ADDED: 'Tip added'
+};
+
+const formatStatus = (status: string) => status.replace('_', ' ');
+
+const describeEvent = (event: RideEvent): string | null => {
+  const data = (event.data || {}) as { from?: string; to?: string; fee?: number; amount?: number; method?: string };
+
+  if (event.type === 'STATUS_CHANGED' && data.from && data.to) {
+    return `${formatStatus(data.from)} → ${formatStatus(data.to)}`;
+  }
+  if (event.type === 'RIDE_CANCELLED' && data.fee) {
+    return `Cancellation fee ₹${data.fee}`;
+  }
+  if (event.type === 'PAYMENT_AUTHORIZED' && data.amount) {
+    return `₹${data.amount} held on card`;
+  }
+  if (event.type === 'FARE_SHARE_PAID' && data.amount) {
+    return `₹${data.amount} share via ${data.method}`;
+  }
+  if (event.type === 'PAYMENT_COMPLETED' && data.amount) {
+    return `₹${data.amount} via ${data.method}`;
+  }
+  if (event.type === 'TIP_ADDED' && data.amount) {
+    return `₹${data.amount} via ${data.method}`;
+  }
+  if (event.type === 'PAYMENT_REFUNDED' && data.amount) {
+    return `₹${data.amount} refunded${event.message ? ` · ${event.message}` : ''}`;
+  }
+  return event.message || null;
+};
+
+const formatActor = (event: RideEvent): string => {
+  if (event.actor.role === 'system') {
+    return 'System';
+  }
+  const name = event.actor.userId?.profile?.name;
+  const role = event.actor.role.charAt(0).toUpperCase() + event.actor.role.slice(1);
+  return name ? `${role} · ${name}` : role;
+};
+
+const formatTime = (dateString: string) => {
+  return new Date(dateString).toLocaleString('en-IN', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+};
+
+export const RideTimeline: React.FC<RideTimelineProps> = ({ rideId }) => {
+  const [events, setEvents] = useState<RideEvent[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadEvents = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const rideEvents = await rideService.getRideEvents(rideId);
+        if (!cancelled) {
+          setEvents(rideEvents);
+        }
+      } catch (err: any) {
+        if (!cancelled) {
+          setError(err.message);
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadEvents();
+    return () => {
+      cancelled = true;
+    };
+  }, [rideId]);
+
+  return (
+    <div className="ride-timeline">
+      <h3>Timeline</h3>
+      {loading ? (
+        <p className="ride-timeline-empty">Loading timeline...</p>
+      ) : error ? (
+        <p className="ride-timeline-error">{error}</p>
+      ) : events.length === 0 ? (
+        <p className="ride-timeline-empty">No events recorded for this ride</p>
+      ) : (
+        <ol className="ride-timeline-list">
+          {events.map((event) => {
+            const description = describeEvent(event);
+            return (
+              <li key={event._id} className={`ride-timeline-item event-${event.type.toLowerCase()}`}>
+                <div className="ride-timeline-header">
+                  <span className="ride-timeline-label">{EVENT_LABELS[event.type] || event.type}</span>
+                  <span className="ride-timeline-time">{formatTime(event.createdAt)}</span>
+                </div>
+                {description && <div className="ride-timeline-description">{description}</div>}
+                <div className="ride-timeline-actor">{formatActor(event)}</div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default RideTimeline;
@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { shiftService, ShiftEndReason, ShiftReport as ShiftReportData } from '../../services/shiftService';
+import { LoadingSpinner } from './LoadingSpinner';
+import './ShiftReport.css';
+
+const RANGE_OPTIONS = [7, 14, 30];
+
+const END_REASON_LABELS: Record<ShiftEndReason, string> = {
+  driver: 'Went offline',
+  break_required: 'Break required',
+  disconnected: 'Disconnected',
+  not_eligible: 'Documents expired or approval revoked'
+};
+
+interface ShiftReportProps {
+  // Show this driver's report (admin); defaults to the signed-in driver's
+  driverId?: string;
+}
+
+const ShiftReport: React.FC<ShiftReportProps> = ({ driverId }) => {
+  const [days, setDays] = useState(7);
+  const [report, setReport] = useState<ShiftReportData | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadReport();
+  }, [driverId, days]);
+
+  const loadReport = async () => {
+    setError(null);
+
+    try {
+      setReport(driverId
+        ? await shiftService.getDriverReport(driverId, days)
+        : await shiftService.getReport(days));
+    } catch (err: any) {
+      setError(err.message || 'Failed to load shift report');
+    }
+  };
+
+  if (!report) {
+    return error ? (
+      <div className="message error-message">
+        <span className="message-icon">⚠️</span>
+        {error}
+      </div>
+    ) : (
+      <LoadingSpinner size="small" />
+    );
+  }
+
+  const { status } = report;
+  const formatTime = (date: string) => new Date(date).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  return (
+    <div className="shift-report">
+      {status && (
+        <p className="shift-report-status">
+          {status.onShift
+            ? `On shift · ${shiftService.formatMinutes(status.continuousMinutes)} of continuous driving`
+            : 'Off shift'}
+          {status.breakRequired && status.availableAt && ` · On a required break until ${formatTime(status.availableAt)}`}
+        </p>
+      )}
+
+      <div className="shift-report-toolbar">
+        <label htmlFor="shiftReportRange">Period</label>
+        <select id="shiftReportRange" value={days} onChange={(e) => setDays(parseInt(e.target.value, 10))}>
+          {RANGE_OPTIONS.map(option => (
+            <option key={option} value={option}>Last {option} days</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="shift-report-totals">
+        <div>
+          <span className="shift-report-value">{shiftService.formatMinutes(report.totals.onlineMinutes)}</span>
+          <span className="shift-report-label">Online</span>
+        </div>
+        <div>
+          <span className="shift-report-value">{shiftService.formatMinutes(report.totals.onTripMinutes)}</span>
+          <span className="shift-report-label">On trip</span>
+        </div>
+        <div>
+          <span className="shift-report-value">{report.totals.shifts}</span>
+          <span className="shift-report-label">Shifts</span>
+        </div>
+        <div>
+          <span className="shift-report-value">{report.totals.breaksRequired}</span>
+          <span className="shift-report-label">Breaks required</span>
+        </div>
+      </div>
+
+      <table className="shift-report-table">
+        <thead>
+          <tr>
+            <th>Day (UTC)</th>
+            <th>Online</th>
+            <th>On trip</th>
+            <th>Shifts</th>
+            <th>Breaks required</th>
+          </tr>
+        </thead>
+        <tbody>
+          {[...report.days].reverse().map(day => (
+            <tr key={day.date} className={day.onlineMinutes === 0 ? 'shift-report-idle' : ''}>
+              <td>{day.date}</td>
+              <td>{shiftService.formatMinutes(day.onlineMinutes)}</td>
+              <td>{shiftService.formatMinutes(day.onTripMinutes)}</td>
+              <td>{day.shifts}</td>
+              <td>{day.breaksRequired}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {report.shifts.length > 0 && (
+        <>
+          <h4>Shifts</h4>
+          <ul className="shift-report-shifts">
+            {report.shifts.map(shift => (
+              <li key={shift._id}>
+                <span>
+                  {formatTime(shift.startedAt)} – {shift.endedAt ? formatTime(shift.endedAt) : 'now'}
+                </span>
+                <span className="shift-report-duration">{shiftService.formatMinutes(shift.durationMinutes)}</span>
+                <span className="shift-report-reason">
+                  {shift.endReason ? END_REASON_LABELS[shift.endReason] : 'In progress'}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ShiftReport;
@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from 'react';
+import MapComponent from './MapComponent';
+import { rideService } from '../../services/rideService';
+import { RideRoute } from '../../types';
+import './TripReplay.css';
+
+interface TripReplayProps {
+  rideId: string;
+}
+
+const REPLAY_STEP_MS = 250;
+
+export const TripReplay: React.FC<TripReplayProps> = ({ rideId }) => {
+  const [route, setRoute] = useState<RideRoute | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadRoute = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const rideRoute = await rideService.getRideRoute(rideId);
+        if (!cancelled) {
+          setRoute(rideRoute);
+          setStep(Math.max(rideRoute.points.length - 1, 0));
+        }
+      } catch (err: any) {
+        if (!cancelled) {
+          setError(err.message);
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadRoute();
+    return () => {
+      cancelled = true;
+    };
+  }, [rideId]);
+
+  const pointCount = route?.points.length || 0;
+
+  // Advance the replay marker while playing
+  useEffect(() => {
+    if (!playing) {
+      return undefined;
+    }
+
+    const timer = setInterval(() => {
+      setStep(prev => Math.min(prev + 1, pointCount - 1));
+    }, REPLAY_STEP_MS);
+
+    return () => clearInterval(timer);
+  }, [playing, pointCount]);
+
+  // Stop at the end of the trace
+  useEffect(() => {
+    if (playing && step >= pointCount - 1) {
+      setPlaying(false);
+    }
+  }, [playing, step, pointCount]);
+
+  const handlePlay = () => {
+    if (step >= pointCount - 1) {
+      setStep(0);
+    }
+    setPlaying(prev => !prev);
+  };
+
+  if (loading) {
+    return <p className="trip-replay-empty">Loading trip path...</p>;
+  }
+
+  if (error || !route) {
+    return <p className="trip-replay-error">{error || 'Trip path unavailable'}</p>;
+  }
+
+  if (pointCount < 2) {
+    return <p className="trip-replay-empty">No GPS trace was recorded for this ride</p>;
+  }
+
+  const fullPath = route.points.map(point => point.coordinates);
+  const current = route.points[step];
+  const pickup = route.pickup.coordinates.coordinates;
+  const destination = route.destination.coordinates.coordinates;
+  const { metrics } = route;
+
+  return (
+    <div className="trip-replay">
+      <h3>Trip Replay</h3>
+      <MapComponent
+        center={[pickup[1], pickup[0]]}
+        height="280px"
+        pickup={{ coordinates: pickup, address: route.pickup.address }}
+        destination={{ coordinates: destination, address: route.destination.address }}
+        driverLocation={current.coordinates}
+        route={fullPath}
+        trace={fullPath.slice(0, step + 1)}
+      />
+
+      <div className="trip-replay-controls">
+        <button className="trip-replay-btn" onClick={handlePlay}>
+          {playing ? '⏸ Pause' : '▶ Play'}
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={pointCount - 1}
+          value={step}
+          onChange={(e) => {
+            setPlaying(false);
+            setStep(Number(e.target.value));
+          }}
+        />
+        <span className="trip-replay-time">
+          {new Date(current.recordedAt).toLocaleTimeString('en-IN')}
+          {current.phase === 'pickup' ? ' · to pickup' : ' · on trip'}
+        </span>
+      </div>
+
+      <div className="trip-replay-metrics">
+        <span>
+          Distance: {metrics.actualDistance !== null ? `${metrics.actualDistance.toFixed(2)} km` : '—'}
+          {' '}(est. {metrics.estimatedDistance.toFixed(2)} km)
+        </span>
+        {metrics.actualDuration !== null && <span>Duration: {metrics.actualDuration} min</span>}
+        {metrics.distanceSource && (
+          <span>Measured from: {metrics.distanceSource === 'gps_trace' ? 'GPS trace' : 'estimate'}</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TripReplay;
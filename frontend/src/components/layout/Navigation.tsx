@@ -13,6 +13,8 @@ export const Navigation: React.FC = () => {
         return [
           { path: '/rider/book', label: 'Book Ride', icon: '🚗' },
           { path: '/rider/rides', label: 'My Rides', icon: '📋' },
+          { path: '/rider/payments', label: 'Payments', icon: '💳' },
+          { path: '/rider/wallet', label: 'Wallet', icon: '👛' },
           { path: '/rider/profile', label: 'Profile', icon: '👤' },
         ];
       case 'driver':
@@ -26,6 +28,9 @@ export const Navigation: React.FC = () => {
           { path: '/admin/dashboard', label: 'Dashboard', icon: '📊' },
           { path: '/admin/users', label: 'Users', icon: '👥' },
           { path: '/admin/rides', label: 'Rides', icon: '🚗' },
+          { path: '/admin/disputes', label: 'Disputes', icon: '⚖️' },
+          { path: '/admin/drivers', label: 'Driver Verification', icon: '🪪' },
+          { path: '/admin/vehicles', label: 'Vehicles', icon: '🚙' },
         ];
       default:
         return [];
@@ -3,12 +3,18 @@ import { io, Socket } from 'socket.io-client';
 import { SocketEvents } from '../types';
 import { useAuth } from './AuthContext';
 
+interface DriverLocationDetails {
+  heading?: number | null;
+  speed?: number | null;
+  accuracy?: number | null;
+}
+
 interface SocketContextType {
   socket: Socket | null;
   isConnected: boolean;
   joinRideRoom: (rideId: string) => void;
   leaveRideRoom: (rideId: string) => void;
-  emitDriverLocationUpdate: (rideId: string, location: [number, number]) => void;
+  emitDriverLocationUpdate: (rideId: string, location: [number, number], details?: DriverLocationDetails) => void;
   emitDriverStatusChange: (driverId: string, isAvailable: boolean) => void;
 }
 
@@ -117,12 +123,15 @@ export const SocketProvider: React.FC<SocketProviderProps> = ({ children }) => {
   };
 
   // Emit driver location update
-  const emitDriverLocationUpdate = (rideId: string, location: [number, number]) => {
+  const emitDriverLocationUpdate = (rideId: string, location: [number, number], details: DriverLocationDetails = {}) => {
     if (socket && isConnected && user?.role === 'driver') {
       const [lng, lat] = location;
       socket.emit('driver:location-update', {
         rideId,
-        location: { latitude: lat, longitude: lng }
+        location: { latitude: lat, longitude: lng },
+        heading: details.heading ?? null,
+        speed: details.speed ?? null,
+        accuracy: details.accuracy ?? null
       });
     }
   };
@@ -1,3 +1,4 @@
 // Export all custom hooks from a single entry point
 export { useLocalStorage } from './useLocalStorage';
-export { useGeolocation } from './useGeolocation';
\ No newline at end of file
+export { useGeolocation } from './useGeolocation';
+export { useSurgeHeatmap } from './useSurgeHeatmap';
\ No newline at end of file
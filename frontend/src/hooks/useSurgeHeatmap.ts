@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+import { rideService } from '../services/rideService';
+import { SurgeZone } from '../types';
+
+// Matches the backend recompute interval (SURGE_RECOMPUTE_INTERVAL_MS default)
+const REFRESH_INTERVAL = 60000;
+
+/**
+ * Custom hook that polls the surge heatmap while enabled
+ */
+export function useSurgeHeatmap(enabled = true) {
+    const [zones, setZones] = useState<SurgeZone[]>([]);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        if (!enabled) {
+            setZones([]);
+            return;
+        }
+
+        let cancelled = false;
+
+        const loadZones = async () => {
+            try {
+                const heatmap = await rideService.getSurgeHeatmap();
+                if (!cancelled) {
+                    setZones(heatmap);
+                    setError(null);
+                }
+            } catch (err: any) {
+                if (!cancelled) {
+                    setError(err.message || 'Failed to load surge heatmap');
+                }
+            }
+        };
+
+        loadZones();
+        const intervalId = setInterval(loadZones, REFRESH_INTERVAL);
+
+        return () => {
+            cancelled = true;
+            clearInterval(intervalId);
+        };
+    }, [enabled]);
+
+    return { zones, error };
+}
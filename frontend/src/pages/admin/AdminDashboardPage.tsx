@@ -3,6 +3,8 @@ import { useNavigate } from 'react-router-dom';
 import adminService, { PlatformStats, User, Ride } from '../../services/adminService';
 import { useAuth } from '../../contexts/AuthContext';
 import { useSocketEvent } from '../../contexts/SocketContext';
+import { useSurgeHeatmap } from '../../hooks/useSurgeHeatmap';
+import MapComponent from '../../components/common/MapComponent';
 import './AdminDashboard.css';
 
 const AdminDashboardPage: React.FC = () => {
@@ -14,6 +16,7 @@ const AdminDashboardPage: React.FC = () => {
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState<string | null>(null);
     const [activeTab, setActiveTab] = useState<'overview' | 'users' | 'rides'>('overview');
+    const { zones: surgeZones } = useSurgeHeatmap(user?.role === 'admin');
 
     useEffect(() => {
         if (user?.role !== 'admin') {
@@ -102,6 +105,7 @@ const AdminDashboardPage: React.FC = () => {
         const statusClasses: { [key: string]: string } = {
             'completed': 'status-completed',
             'in_progress': 'status-in-progress',
+            'arrived': 'status-arrived',
             'accepted': 'status-accepted',
             'matched': 'status-matched',
             'requested': 'status-requested',
@@ -235,6 +239,28 @@ const AdminDashboardPage: React.FC = () => {
                         </div>
                     </div>
 
+                    {/* Surge Heatmap */}
+                    <div className="surge-heatmap">
+                        <h3>Surge Heatmap</h3>
+                        {surgeZones.length === 0 ? (
+                            <p className="surge-heatmap-empty">No active demand zones right now.</p>
+                        ) : (
+                            <>
+                                <p className="surge-heatmap-summary">
+                                    {surgeZones.filter(zone => zone.multiplier > 1).length} of {surgeZones.length} zones surging
+                                    {' '}(peak {Math.max(...surgeZones.map(zone => zone.multiplier))}x)
+                                </p>
+                                <MapComponent
+                                    center={surgeZones[0].center.coordinates}
+                                    zoom={12}
+                                    height="360px"
+                                    showRoute={false}
+                                    surgeZones={surgeZones}
+                                />
+                            </>
+                        )}
+                    </div>
+
                     {/* Ride Status Breakdown */}
                     <div className="ride-status-breakdown">
                         <h3>Ride Status Distribution</h3>
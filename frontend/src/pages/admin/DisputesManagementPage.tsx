@@ -0,0 +1,421 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { paymentService, Dispute, DisputeDetail, DisputeStatus } from '../../services/paymentService';
+import { useAuth } from '../../contexts/AuthContext';
+import RideTimeline from '../../components/common/RideTimeline';
+import { LoadingSpinner } from '../../components/common/LoadingSpinner';
+import { Ride } from '../../types';
+import './AdminDashboard.css';
+
+const DisputesManagementPage: React.FC = () => {
+    const navigate = useNavigate();
+    const { user } = useAuth();
+    const [disputes, setDisputes] = useState<Dispute[]>([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState<string | null>(null);
+    const [statusFilter, setStatusFilter] = useState<DisputeStatus | ''>('open');
+    const [pagination, setPagination] = useState({
+        page: 1,
+        limit: 10,
+        total: 0,
+        pages: 0
+    });
+
+    // Selected dispute and resolution form
+    const [detail, setDetail] = useState<DisputeDetail | null>(null);
+    const [loadingDetail, setLoadingDetail] = useState(false);
+    const [decision, setDecision] = useState<'refund' | 'reject'>('refund');
+    const [refundAmount, setRefundAmount] = useState('');
+    const [note, setNote] = useState('');
+    const [resolving, setResolving] = useState(false);
+    const [resolveError, setResolveError] = useState<string | null>(null);
+
+    useEffect(() => {
+        if (user?.role !== 'admin') {
+            navigate('/auth/login');
+            return;
+        }
+        loadDisputes();
+    }, [user, navigate, pagination.page, statusFilter]);
+
+    const loadDisputes = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await paymentService.getDisputes(pagination.page, pagination.limit, statusFilter || undefined);
+            setDisputes(response.disputes);
+            setPagination(response.pagination);
+        } catch (err: any) {
+            console.error('Failed to load disputes:', err);
+            setError(err.message || 'Failed to load disputes');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const getRefundable = (ride: Ride) => {
+        const charged = ride.fare.final || ride.fare.estimated;
+        return Math.round((charged - (ride.payment?.refundedAmount || 0)) * 100) / 100;
+    };
+
+    const handleViewDispute = async (disputeId: string) => {
+        try {
+            setLoadingDetail(true);
+            setResolveError(null);
+            const data = await paymentService.getDispute(disputeId);
+            setDetail(data);
+            setDecision('refund');
+            setRefundAmount(String(getRefundable(data.ride)));
+            setNote('');
+        } catch (err: any) {
+            setError(err.message || 'Failed to load dispute');
+        } finally {
+            setLoadingDetail(false);
+        }
+    };
+
+    const handleCloseDetail = () => {
+        setDetail(null);
+        setResolveError(null);
+    };
+
+    const handleResolve = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!detail) {
+            return;
+        }
+
+        const amount = parseFloat(refundAmount);
+        if (decision === 'refund' && (isNaN(amount) || amount <= 0 || amount > getRefundable(detail.ride))) {
+            setResolveError(`Refund must be between ₹0.01 and ${formatCurrency(getRefundable(detail.ride))}`);
+            return;
+        }
+        if (decision === 'reject' && !note.trim()) {
+            setResolveError('Add a note explaining why the dispute is rejected');
+            return;
+        }
+
+        try {
+            setResolving(true);
+            setResolveError(null);
+            await paymentService.resolveDispute(detail.dispute._id, {
+                decision,
+                ...(decision === 'refund' && { amount }),
+                ...(note.trim() && { note: note.trim() })
+            });
+            handleCloseDetail();
+            loadDisputes();
+        } catch (err: any) {
+            setResolveError(err.message || 'Failed to resolve dispute');
+        } finally {
+            setResolving(false);
+        }
+    };
+
+    const handleFilterChange = (value: string) => {
+        setStatusFilter(value as DisputeStatus | '');
+        setPagination(prev => ({ ...prev, page: 1 }));
+    };
+
+    const handlePageChange = (newPage: number) => {
+        setPagination(prev => ({ ...prev, page: newPage }));
+    };
+
+    const formatDate = (dateString: string) => {
+        return new Date(dateString).toLocaleDateString('en-IN', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    const formatCurrency = (amount: number) => {
+        return new Intl.NumberFormat('en-IN', {
+            style: 'currency',
+            currency: 'INR'
+        }).format(amount);
+    };
+
+    const getStatusBadgeClass = (status: DisputeStatus) => {
+        const statusClasses: Record<DisputeStatus, string> = {
+            open: 'status-matched',
+            under_review: 'status-in-progress',
+            resolved: 'status-completed',
+            rejected: 'status-cancelled'
+        };
+        return statusClasses[status];
+    };
+
+    const getRiderName = (dispute: Dispute) => {
+        return typeof dispute.riderId === 'string' ? dispute.riderId : dispute.riderId.profile.name;
+    };
+
+    const getRide = (dispute: Dispute) => {
+        return typeof dispute.rideId === 'string' ? null : dispute.rideId;
+    };
+
+    if (loading && disputes.length === 0) {
+        return (
+            <div className="page-container">
+                <div className="loading-spinner">
+                    <div className="spinner"></div>
+                    <p>Loading disputes...</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="admin-dashboard">
+            <div className="dashboard-header">
+                <div>
+                    <h1>Payment Disputes</h1>
+                    <p>Review rider disputes and issue refunds</p>
+                </div>
+                <button
+                    onClick={() => navigate('/admin')}
+                    className="btn btn-secondary"
+                >
+                    Back to Dashboard
+                </button>
+            </div>
+
+            {error && (
+                <div className="error-message">
+                    <p>{error}</p>
+                    <button onClick={() => setError(null)} className="btn btn-primary">
+                        Dismiss
+                    </button>
+                </div>
+            )}
+
+            <div className="filters-section">
+                <div className="filters-grid">
+                    <div className="filter-group">
+                        <label>Status</label>
+                        <select
+                            value={statusFilter}
+                            onChange={(e) => handleFilterChange(e.target.value)}
+                            className="filter-select"
+                        >
+                            <option value="">All Status</option>
+                            <option value="open">Open</option>
+                            <option value="resolved">Resolved</option>
+                            <option value="rejected">Rejected</option>
+                        </select>
+                    </div>
+                </div>
+            </div>
+
+            <div className="rides-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Raised</th>
+                            <th>Rider</th>
+                            <th>Route</th>
+                            <th>Reason</th>
+                            <th>Fare</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {disputes.length === 0 && (
+                            <tr>
+                                <td colSpan={7}>No disputes found</td>
+                            </tr>
+                        )}
+                        {disputes.map(dispute => {
+                            const ride = getRide(dispute);
+                            return (
+                                <tr key={dispute._id}>
+                                    <td>{formatDate(dispute.createdAt)}</td>
+                                    <td>{getRiderName(dispute)}</td>
+                                    <td>
+                                        {ride && (
+                                            <div className="route-info">
+                                                <div className="pickup">📍 {ride.pickup.address}</div>
+                                                <div className="destination">🎯 {ride.destination.address}</div>
+                                            </div>
+                                        )}
+                                    </td>
+                                    <td>{paymentService.getDisputeReasonLabel(dispute.reason)}</td>
+                                    <td>{ride && formatCurrency(ride.fare.final || ride.fare.estimated)}</td>
+                                    <td>
+                                        <span className={`status-badge ${getStatusBadgeClass(dispute.status)}`}>
+                                            {dispute.status.replace('_', ' ')}
+                                        </span>
+                                    </td>
+                                    <td>
+                                        <div className="action-buttons">
+                                            <button
+                                                onClick={() => handleViewDispute(dispute._id)}
+                                                className="btn btn-primary btn-sm"
+                                            >
+                                                Review
+                                            </button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            {pagination.pages > 1 && (
+                <div className="pagination">
+                    <button
+                        onClick={() => handlePageChange(pagination.page - 1)}
+                        disabled={pagination.page === 1}
+                        className="btn btn-secondary btn-sm"
+                    >
+                        Previous
+                    </button>
+
+                    <span className="pagination-info">
+                        Page {pagination.page} of {pagination.pages}
+                        ({pagination.total} total disputes)
+                    </span>
+
+                    <button
+                        onClick={() => handlePageChange(pagination.page + 1)}
+                        disabled={pagination.page === pagination.pages}
+                        className="btn btn-secondary btn-sm"
+                    >
+                        Next
+                    </button>
+                </div>
+            )}
+
+            {(detail || loadingDetail) && (
+                <div className="modal-overlay" onClick={handleCloseDetail}>
+                    <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+                        <div className="modal-header">
+                            <h2>Dispute Review</h2>
+                            <button className="close-btn" onClick={handleCloseDetail}>×</button>
+                        </div>
+
+                        {loadingDetail || !detail ? (
+                            <div className="modal-loading">
+                                <LoadingSpinner message="Loading dispute..." />
+                            </div>
+                        ) : (
+                            <div className="modal-body">
+                                <div className="detail-section">
+                                    <h3>Dispute</h3>
+                                    <div className="detail-item">
+                                        <span className="detail-label">Reason:</span>
+                                        <span>{paymentService.getDisputeReasonLabel(detail.dispute.reason)}</span>
+                                    </div>
+                                    <div className="detail-item">
+                                        <span className="detail-label">Rider says:</span>
+                                        <span>{detail.dispute.description}</span>
+                                    </div>
+                                    <div className="detail-item">
+                                        <span className="detail-label">Status:</span>
+                                        <span className={`status-badge ${getStatusBadgeClass(detail.dispute.status)}`}>
+                                            {detail.dispute.status.replace('_', ' ')}
+                                        </span>
+                                    </div>
+                                    {detail.dispute.resolution?.note && (
+                                        <div className="detail-item">
+                                            <span className="detail-label">Resolution note:</span>
+                                            <span>{detail.dispute.resolution.note}</span>
+                                        </div>
+                                    )}
+                                </div>
+
+                                <div className="detail-section">
+                                    <h3>Payment</h3>
+                                    <div className="detail-item">
+                                        <span className="detail-label">Charged:</span>
+                                        <span>{formatCurrency(detail.ride.fare.final || detail.ride.fare.estimated)}</span>
+                                    </div>
+                                    <div className="detail-item">
+                                        <span className="detail-label">Method:</span>
+                                        <span>{detail.ride.payment?.method.toUpperCase()}</span>
+                                    </div>
+                                    {detail.refunds.map(refund => (
+                                        <div key={refund._id} className="detail-item">
+                                            <span className="detail-label">Refunded {formatDate(refund.createdAt)}:</span>
+                                            <span>
+                                                {formatCurrency(refund.amount)} to {refund.destination === 'wallet' ? 'wallet' : 'card'}
+                                            </span>
+                                        </div>
+                                    ))}
+                                </div>
+
+                                {detail.dispute.status === 'open' && (
+                                    <form className="detail-section" onSubmit={handleResolve}>
+                                        <h3>Resolution</h3>
+                                        <div className="detail-item">
+                                            <label>
+                                                <input
+                                                    type="radio"
+                                                    name="decision"
+                                                    value="refund"
+                                                    checked={decision === 'refund'}
+                                                    onChange={() => setDecision('refund')}
+                                                />
+                                                {' '}Refund
+                                            </label>
+                                            <label>
+                                                <input
+                                                    type="radio"
+                                                    name="decision"
+                                                    value="reject"
+                                                    checked={decision === 'reject'}
+                                                    onChange={() => setDecision('reject')}
+                                                />
+                                                {' '}Reject
+                                            </label>
+                                        </div>
+                                        {decision === 'refund' && (
+                                            <div className="detail-item">
+                                                <span className="detail-label">
+                                                    Amount (max {formatCurrency(getRefundable(detail.ride))}):
+                                                </span>
+                                                <input
+                                                    type="number"
+                                                    min={0.01}
+                                                    step="0.01"
+                                                    max={getRefundable(detail.ride)}
+                                                    value={refundAmount}
+                                                    onChange={(e) => setRefundAmount(e.target.value)}
+                                                    className="filter-input"
+                                                />
+                                            </div>
+                                        )}
+                                        <textarea
+                                            value={note}
+                                            onChange={(e) => setNote(e.target.value)}
+                                            placeholder={decision === 'reject' ? 'Why is this dispute rejected? (shared with the rider)' : 'Note for the rider (optional)'}
+                                            rows={3}
+                                            maxLength={1000}
+                                            className="filter-input"
+                                            style={{ width: '100%' }}
+                                        />
+                                        {resolveError && <p className="error-text">{resolveError}</p>}
+                                        <div className="action-buttons">
+                                            <button type="submit" className="btn btn-primary" disabled={resolving}>
+                                                {resolving ? 'Saving...' : decision === 'refund' ? 'Issue Refund' : 'Reject Dispute'}
+                                            </button>
+                                        </div>
+                                    </form>
+                                )}
+
+                                <RideTimeline rideId={detail.ride._id} />
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DisputesManagementPage;
@@ -0,0 +1,498 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+    onboardingService,
+    OnboardingApplication,
+    OnboardingApplicationList,
+    OnboardingStatus,
+    DriverDocument,
+    DriverDocumentStatus,
+    ReviewDecision
+} from '../../services/onboardingService';
+import { useAuth } from '../../contexts/AuthContext';
+import { LoadingSpinner } from '../../components/common/LoadingSpinner';
+import './AdminDashboard.css';
+
+const DriverVerificationPage: React.FC = () => {
+    const navigate = useNavigate();
+    const { user } = useAuth();
+    const [applications, setApplications] = useState<OnboardingApplicationList['applications']>([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState<string | null>(null);
+    const [statusFilter, setStatusFilter] = useState<OnboardingStatus | ''>('documents_submitted');
+    const [pagination, setPagination] = useState({
+        page: 1,
+        limit: 10,
+        total: 0,
+        pages: 0
+    });
+
+    // Selected application, its document images and the review forms
+    const [detail, setDetail] = useState<OnboardingApplication | null>(null);
+    const [loadingDetail, setLoadingDetail] = useState(false);
+    const [images, setImages] = useState<Record<string, string>>({});
+    const [documentReasons, setDocumentReasons] = useState<Record<string, string>>({});
+    const [decisionReason, setDecisionReason] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [reviewError, setReviewError] = useState<string | null>(null);
+
+    useEffect(() => {
+        if (user?.role !== 'admin') {
+            navigate('/auth/login');
+            return;
+        }
+        loadApplications();
+    }, [user, navigate, pagination.page, statusFilter]);
+
+    // Release document images when the review closes
+    useEffect(() => {
+        return () => {
+            Object.values(images).forEach(url => URL.revokeObjectURL(url));
+        };
+    }, [images]);
+
+    const loadApplications = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await onboardingService.getApplications(pagination.page, pagination.limit, statusFilter || undefined);
+            setApplications(response.applications);
+            setPagination(response.pagination);
+        } catch (err: any) {
+            console.error('Failed to load driver applications:', err);
+            setError(err.message || 'Failed to load driver applications');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const loadImages = async (documents: DriverDocument[]) => {
+        const entries = await Promise.all(documents.map(async document => {
+            try {
+                return [document._id, await onboardingService.getDocumentImageUrl(document._id)] as const;
+            } catch {
+                return null;
+            }
+        }));
+        setImages(Object.fromEntries(entries.filter((entry): entry is readonly [string, string] => entry !== null)));
+    };
+
+    const openApplication = async (driverId: string) => {
+        try {
+            setLoadingDetail(true);
+            setReviewError(null);
+            const data = await onboardingService.getApplication(driverId);
+            setDetail(data);
+            setDocumentReasons({});
+            setDecisionReason('');
+            loadImages(data.documents);
+        } catch (err: any) {
+            setError(err.message || 'Failed to load application');
+        } finally {
+            setLoadingDetail(false);
+        }
+    };
+
+    const handleCloseDetail = () => {
+        setDetail(null);
+        setImages({});
+        setReviewError(null);
+    };
+
+    // Run a review action, then refresh the open application and the list
+    const runAction = async (action: () => Promise<unknown>) => {
+        if (!detail) {
+            return;
+        }
+
+        try {
+            setSaving(true);
+            setReviewError(null);
+            await action();
+            const refreshed = await onboardingService.getApplication(detail.driver._id);
+            setDetail(refreshed);
+            loadImages(refreshed.documents);
+            loadApplications();
+        } catch (err: any) {
+            setReviewError(err.message || 'Failed to save review');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleReviewDocument = (document: DriverDocument, decision: ReviewDecision) => {
+        const reason = (documentReasons[document._id] || '').trim();
+        if (decision === 'reject' && !reason) {
+            setReviewError('Add a reason so the driver knows what to fix');
+            return;
+        }
+        runAction(() => onboardingService.reviewDocument(document._id, decision, reason || undefined));
+    };
+
+    const handleDecision = (decision: ReviewDecision) => {
+        if (!detail) {
+            return;
+        }
+        if (decision === 'reject' && !decisionReason.trim()) {
+            setReviewError('Add a reason for the driver');
+            return;
+        }
+        runAction(() => onboardingService.decide(detail.driver._id, decision, decisionReason.trim() || undefined));
+    };
+
+    const handleFilterChange = (value: string) => {
+        setStatusFilter(value as OnboardingStatus | '');
+        setPagination(prev => ({ ...prev, page: 1 }));
+    };
+
+    const handlePageChange = (newPage: number) => {
+        setPagination(prev => ({ ...prev, page: newPage }));
+    };
+
+    const formatDate = (dateString: string | null) => {
+        if (!dateString) {
+            return '—';
+        }
+        return new Date(dateString).toLocaleDateString('en-IN', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    };
+
+    const isExpired = (document: DriverDocument) => new Date(document.expiresAt).getTime() <= Date.now();
+
+    const getStatusBadgeClass = (status: OnboardingStatus) => {
+        const statusClasses: Record<OnboardingStatus, string> = {
+            applied: 'status-requested',
+            documents_submitted: 'status-matched',
+            under_review: 'status-in-progress',
+            approved: 'status-completed',
+            rejected: 'status-cancelled'
+        };
+        return statusClasses[status];
+    };
+
+    const getDocumentBadgeClass = (status: DriverDocumentStatus) => {
+        const statusClasses: Record<DriverDocumentStatus, string> = {
+            pending: 'status-matched',
+            approved: 'status-completed',
+            rejected: 'status-cancelled',
+            superseded: 'status-requested'
+        };
+        return statusClasses[status];
+    };
+
+    if (loading && applications.length === 0) {
+        return (
+            <div className="page-container">
+                <div className="loading-spinner">
+                    <div className="spinner"></div>
+                    <p>Loading driver applications...</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="admin-dashboard">
+            <div className="dashboard-header">
+                <div>
+                    <h1>Driver Verification</h1>
+                    <p>Check driver documents and approve drivers to go online</p>
+                </div>
+                <button
+                    onClick={() => navigate('/admin')}
+                    className="btn btn-secondary"
+                >
+                    Back to Dashboard
+                </button>
+            </div>
+
+            {error && (
+                <div className="error-message">
+                    <p>{error}</p>
+                    <button onClick={() => setError(null)} className="btn btn-primary">
+                        Dismiss
+                    </button>
+                </div>
+            )}
+
+            <div className="filters-section">
+                <div className="filters-grid">
+                    <div className="filter-group">
+                        <label>Status</label>
+                        <select
+                            value={statusFilter}
+                            onChange={(e) => handleFilterChange(e.target.value)}
+                            className="filter-select"
+                        >
+                            <option value="">All Status</option>
+                            <option value="applied">Documents needed</option>
+                            <option value="documents_submitted">Submitted</option>
+                            <option value="under_review">Under review</option>
+                            <option value="approved">Approved</option>
+                            <option value="rejected">Changes requested</option>
+                        </select>
+                    </div>
+                </div>
+            </div>
+
+            <div className="rides-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Driver</th>
+                            <th>Vehicle</th>
+                            <th>Submitted</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {applications.length === 0 && (
+                            <tr>
+                                <td colSpan={5}>No driver applications found</td>
+                            </tr>
+                        )}
+                        {applications.map(({ driver, onboarding }) => (
+                            <tr key={driver._id}>
+                                <td>
+                                    <div>{driver.name}</div>
+                                    <div className="text-muted">{driver.phone}</div>
+                                </td>
+                                <td>
+                                    {driver.vehicleDetails && (
+                                        <>
+                                            {driver.vehicleDetails.make} {driver.vehicleDetails.model}
+                                            {' '}({driver.vehicleDetails.plateNumber})
+                                        </>
+                                    )}
+                                </td>
+                                <td>{formatDate(onboarding.submittedAt)}</td>
+                                <td>
+                                    <span className={`status-badge ${getStatusBadgeClass(onboarding.status)}`}>
+                                        {onboardingService.getStatusLabel(onboarding.status)}
+                                    </span>
+                                </td>
+                                <td>
+                                    <div className="action-buttons">
+                                        <button
+                                            onClick={() => openApplication(driver._id)}
+                                            className="btn btn-primary btn-sm"
+                                        >
+                                            Review
+                                        </button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {pagination.pages > 1 && (
+                <div className="pagination">
+                    <button
+                        onClick={() => handlePageChange(pagination.page - 1)}
+                        disabled={pagination.page === 1}
+                        className="btn btn-secondary btn-sm"
+                    >
+                        Previous
+                    </button>
+
+                    <span className="pagination-info">
+                        Page {pagination.page} of {pagination.pages}
+                        ({pagination.total} total applications)
+                    </span>
+
+                    <button
+                        onClick={() => handlePageChange(pagination.page + 1)}
+                        disabled={pagination.page === pagination.pages}
+                        className="btn btn-secondary btn-sm"
+                    >
+                        Next
+                    </button>
+                </div>
+            )}
+
+            {(detail || loadingDetail) && (
+                <div className="modal-overlay" onClick={handleCloseDetail}>
+                    <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+                        <div className="modal-header">
+                            <h2>Driver Application</h2>
+                            <button className="close-btn" onClick={handleCloseDetail}>×</button>
+                        </div>
+
+                        {loadingDetail || !detail ? (
+                            <div className="modal-loading">
+                                <LoadingSpinner message="Loading application..." />
+                            </div>
+                        ) : (
+                            <div className="modal-body">
+                                <div className="detail-section">
+                                    <h3>Driver</h3>
+                                    <div className="detail-item">
+                                        <span className="detail-label">Name:</span>
+                                        <span>{detail.driver.name}</span>
+                                    </div>
+                                    <div className="detail-item">
+                                        <span className="detail-label">Phone:</span>
+                                        <span>{detail.driver.phone}</span>
+                                    </div>
+                                    <div className="detail-item">
+                                        <span className="detail-label">Licence number (declared):</span>
+                                        <span>{detail.driver.licenseNumber || '—'}</span>
+                                    </div>
+                                    {detail.driver.vehicleDetails && (
+                                        <div className="detail-item">
+                                            <span className="detail-label">Vehicle (declared):</span>
+                                            <span>
+                                                {detail.driver.vehicleDetails.make} {detail.driver.vehicleDetails.model},
+                                                {' '}{detail.driver.vehicleDetails.color}, {detail.driver.vehicleDetails.plateNumber}
+                                            </span>
+                                        </div>
+                                    )}
+                                    <div className="detail-item">
+                                        <span className="detail-label">Status:</span>
+                                        <span className={`status-badge ${getStatusBadgeClass(detail.onboarding.status)}`}>
+                                            {onboardingService.getStatusLabel(detail.onboarding.status)}
+                                        </span>
+                                    </div>
+                                    {detail.onboarding.rejectionReason && (
+                                        <div className="detail-item">
+                                            <span className="detail-label">Last rejection:</span>
+                                            <span>{detail.onboarding.rejectionReason}</span>
+                                        </div>
+                                    )}
+                                </div>
+
+                                <div className="detail-section">
+                                    <h3>Documents</h3>
+                                    {detail.documents.length === 0 && <p>No documents uploaded yet.</p>}
+                                    {detail.documents.map(document => (
+                                        <div key={document._id} className="detail-section">
+                                            <div className="detail-item">
+                                                <span className="detail-label">
+                                                    {detail.requirements.find(r => r.type === document.type)?.name || document.type}:
+                                                </span>
+                                                <span className={`status-badge ${getDocumentBadgeClass(document.status)}`}>
+                                                    {document.status}
+                                                </span>
+                                            </div>
+                                            <div className="detail-item">
+                                                <span className="detail-label">Number:</span>
+                                                <span>{document.documentNumber || '—'}</span>
+                                            </div>
+                                            <div className="detail-item">
+                                                <span className="detail-label">Expires:</span>
+                                                <span>
+                                                    {formatDate(document.expiresAt)}
+                                                    {isExpired(document) && ' (expired)'}
+                                                </span>
+                                            </div>
+                                            {document.review?.reason && (
+                                                <div className="detail-item">
+                                                    <span className="detail-label">Review note:</span>
+                                                    <span>{document.review.reason}</span>
+                                                </div>
+                                            )}
+                                            {images[document._id] ? (
+                                                <a href={images[document._id]} target="_blank" rel="noopener noreferrer">
+                                                    <img
+                                                        src={images[document._id]}
+                                                        alt={`${document.type} document`}
+                                                        style={{ maxWidth: '100%', maxHeight: 320, borderRadius: 8 }}
+                                                    />
+                                                </a>
+                                            ) : (
+                                                <LoadingSpinner size="small" />
+                                            )}
+                                            {document.status === 'pending' && (
+                                                <div className="detail-item">
+                                                    <input
+                                                        type="text"
+                                                        value={documentReasons[document._id] || ''}
+                                                        onChange={(e) => setDocumentReasons(prev => ({ ...prev, [document._id]: e.target.value }))}
+                                                        placeholder="Reason if rejecting (shared with the driver)"
+                                                        maxLength={500}
+                                                        className="filter-input"
+                                                    />
+                                                    <div className="action-buttons">
+                                                        <button
+                                                            className="btn btn-primary btn-sm"
+                                                            disabled={saving || isExpired(document)}
+                                                            onClick={() => handleReviewDocument(document, 'approve')}
+                                                        >
+                                                            Approve
+                                                        </button>
+                                                        <button
+                                                            className="btn btn-danger btn-sm"
+                                                            disabled={saving}
+                                                            onClick={() => handleReviewDocument(document, 'reject')}
+                                                        >
+                                                            Reject
+                                                        </button>
+                                                    </div>
+                                                </div>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+
+                                {reviewError && <p className="error-text">{reviewError}</p>}
+
+                                {detail.onboarding.status === 'documents_submitted' && (
+                                    <div className="action-buttons">
+                                        <button
+                                            className="btn btn-primary"
+                                            disabled={saving}
+                                            onClick={() => runAction(() => onboardingService.startReview(detail.driver._id))}
+                                        >
+                                            {saving ? 'Saving...' : 'Start Review'}
+                                        </button>
+                                    </div>
+                                )}
+
+                                {(detail.onboarding.status === 'under_review' || detail.onboarding.status === 'approved') && (
+                                    <div className="detail-section">
+                                        <h3>{detail.onboarding.status === 'approved' ? 'Revoke Approval' : 'Decision'}</h3>
+                                        <textarea
+                                            value={decisionReason}
+                                            onChange={(e) => setDecisionReason(e.target.value)}
+                                            placeholder="Reason for rejecting (shared with the driver)"
+                                            rows={3}
+                                            maxLength={500}
+                                            className="filter-input"
+                                            style={{ width: '100%' }}
+                                        />
+                                        <div className="action-buttons">
+                                            {detail.onboarding.status === 'under_review' && (
+                                                <button
+                                                    className="btn btn-primary"
+                                                    disabled={saving}
+                                                    onClick={() => handleDecision('approve')}
+                                                >
+                                                    Approve Driver
+                                                </button>
+                                            )}
+                                            <button
+                                                className="btn btn-danger"
+                                                disabled={saving}
+                                                onClick={() => handleDecision('reject')}
+                                            >
+                                                {detail.onboarding.status === 'approved' ? 'Revoke Approval' : 'Request Changes'}
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DriverVerificationPage;
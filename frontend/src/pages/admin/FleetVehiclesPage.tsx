@@ -0,0 +1,524 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+    vehicleService,
+    Vehicle,
+    VehicleDetails,
+    VehicleFilters,
+    VehiclePerson
+} from '../../services/vehicleService';
+import { useAuth } from '../../contexts/AuthContext';
+import { ServiceLevel } from '../../types';
+import './AdminDashboard.css';
+
+const EMPTY_FORM: VehicleDetails & { fleetName: string } = {
+    fleetName: '',
+    make: '',
+    model: '',
+    plateNumber: '',
+    color: '',
+    year: new Date().getFullYear(),
+    vehicleClass: 'economy'
+};
+
+const FleetVehiclesPage: React.FC = () => {
+    const navigate = useNavigate();
+    const { user } = useAuth();
+    const [vehicles, setVehicles] = useState<Vehicle[]>([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState<string | null>(null);
+    const [filters, setFilters] = useState<VehicleFilters>({ status: 'active' });
+    const [pagination, setPagination] = useState({
+        page: 1,
+        limit: 10,
+        total: 0,
+        pages: 0
+    });
+
+    // Add-vehicle form and the vehicle being managed
+    const [showAddForm, setShowAddForm] = useState(false);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [selectedVehicle, setSelectedVehicle] = useState<Vehicle | null>(null);
+    const [driverPhone, setDriverPhone] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [formError, setFormError] = useState<string | null>(null);
+
+    useEffect(() => {
+        if (user?.role !== 'admin') {
+            navigate('/auth/login');
+            return;
+        }
+        loadVehicles();
+    }, [user, navigate, pagination.page, filters]);
+
+    const loadVehicles = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await vehicleService.getAllVehicles(pagination.page, pagination.limit, filters);
+            setVehicles(response.vehicles);
+            setPagination(response.pagination);
+        } catch (err: any) {
+            console.error('Failed to load vehicles:', err);
+            setError(err.message || 'Failed to load vehicles');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Run a change, then refresh the open vehicle and the list
+    const runAction = async (action: () => Promise<Vehicle>) => {
+        try {
+            setSaving(true);
+            setFormError(null);
+            const updated = await action();
+            if (selectedVehicle) {
+                setSelectedVehicle(updated);
+            }
+            loadVehicles();
+            return true;
+        } catch (err: any) {
+            setFormError(err.message || 'Failed to save vehicle');
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleAddVehicle = async (e: React.FormEvent) => {
+        e.preventDefault();
+        const { fleetName, ...details } = form;
+        const saved = await runAction(() => vehicleService.addFleetVehicle(fleetName.trim(), details));
+        if (saved) {
+            setForm(EMPTY_FORM);
+            setShowAddForm(false);
+        }
+    };
+
+    const handleAssignDriver = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!selectedVehicle || !driverPhone.trim()) {
+            return;
+        }
+        const saved = await runAction(() => vehicleService.assignDriver(selectedVehicle._id, driverPhone.trim()));
+        if (saved) {
+            setDriverPhone('');
+        }
+    };
+
+    const handleUnassignDriver = (driver: VehiclePerson) => {
+        if (!selectedVehicle || !window.confirm(`Stop ${driver.name} from driving this vehicle?`)) {
+            return;
+        }
+        runAction(() => vehicleService.unassignDriver(selectedVehicle._id, driver._id));
+    };
+
+    const handleRetire = async () => {
+        if (!selectedVehicle || !window.confirm('Retire this vehicle? Drivers can no longer select it.')) {
+            return;
+        }
+        const saved = await runAction(() => vehicleService.retireVehicle(selectedVehicle._id));
+        if (saved) {
+            setSelectedVehicle(null);
+        }
+    };
+
+    const handleFilterChange = (key: keyof VehicleFilters, value: string) => {
+        setFilters(prev => ({ ...prev, [key]: value || undefined }));
+        setPagination(prev => ({ ...prev, page: 1 }));
+    };
+
+    const handlePageChange = (newPage: number) => {
+        setPagination(prev => ({ ...prev, page: newPage }));
+    };
+
+    const openVehicle = (vehicle: Vehicle) => {
+        setSelectedVehicle(vehicle);
+        setDriverPhone('');
+        setFormError(null);
+    };
+
+    const closeModal = () => {
+        setSelectedVehicle(null);
+        setShowAddForm(false);
+        setFormError(null);
+    };
+
+    const personName = (person: VehiclePerson | string | null) => {
+        if (!person) {
+            return '—';
+        }
+        return typeof person === 'string' ? person : `${person.name} (${person.phone})`;
+    };
+
+    const ownerLabel = (vehicle: Vehicle) =>
+        vehicle.ownerType === 'fleet' ? vehicle.fleetName : personName(vehicle.owner);
+
+    const assignedDrivers = (selectedVehicle?.drivers || []).filter(
+        (driver): driver is VehiclePerson => typeof driver !== 'string'
+    );
+
+    if (loading && vehicles.length === 0) {
+        return (
+            <div className="page-container">
+                <div className="loading-spinner">
+                    <div className="spinner"></div>
+                    <p>Loading vehicles...</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="admin-dashboard">
+            <div className="dashboard-header">
+                <div>
+                    <h1>Vehicles</h1>
+                    <p>Register fleet vehicles and choose which drivers may drive them</p>
+                </div>
+                <div className="action-buttons">
+                    <button
+                        onClick={() => {
+                            setShowAddForm(true);
+                            setFormError(null);
+                        }}
+                        className="btn btn-primary"
+                    >
+                        Add Fleet Vehicle
+                    </button>
+                    <button
+                        onClick={() => navigate('/admin')}
+                        className="btn btn-secondary"
+                    >
+                        Back to Dashboard
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="error-message">
+                    <p>{error}</p>
+                    <button onClick={() => setError(null)} className="btn btn-primary">
+                        Dismiss
+                    </button>
+                </div>
+            )}
+
+            <div className="filters-section">
+                <div className="filters-grid">
+                    <div className="filter-group">
+                        <label>Owner</label>
+                        <select
+                            value={filters.ownerType || ''}
+                            onChange={(e) => handleFilterChange('ownerType', e.target.value)}
+                            className="filter-select"
+                        >
+                            <option value="">All Owners</option>
+                            <option value="fleet">Fleet</option>
+                            <option value="driver">Driver</option>
+                        </select>
+                    </div>
+                    <div className="filter-group">
+                        <label>Status</label>
+                        <select
+                            value={filters.status || ''}
+                            onChange={(e) => handleFilterChange('status', e.target.value)}
+                            className="filter-select"
+                        >
+                            <option value="">All Status</option>
+                            <option value="active">Active</option>
+                            <option value="retired">Retired</option>
+                        </select>
+                    </div>
+                    <div className="filter-group">
+                        <label>Fleet</label>
+                        <input
+                            type="text"
+                            value={filters.fleetName || ''}
+                            onChange={(e) => handleFilterChange('fleetName', e.target.value)}
+                            placeholder="Fleet name"
+                            className="filter-input"
+                        />
+                    </div>
+                    <div className="filter-group">
+                        <label>Plate Number</label>
+                        <input
+                            type="text"
+                            value={filters.plateNumber || ''}
+                            onChange={(e) => handleFilterChange('plateNumber', e.target.value.toUpperCase())}
+                            placeholder="KA01AB1234"
+                            className="filter-input"
+                        />
+                    </div>
+                </div>
+            </div>
+
+            <div className="rides-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Vehicle</th>
+                            <th>Owner</th>
+                            <th>Drivers</th>
+                            <th>Driving Now</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {vehicles.length === 0 && (
+                            <tr>
+                                <td colSpan={6}>No vehicles found</td>
+                            </tr>
+                        )}
+                        {vehicles.map(vehicle => (
+                            <tr key={vehicle._id}>
+                                <td>
+                                    <div>{vehicleService.describe(vehicle)}</div>
+                                    <div className="text-muted">{vehicle.vehicleClass}</div>
+                                </td>
+                                <td>{ownerLabel(vehicle)}</td>
+                                <td>{vehicle.drivers.length}</td>
+                                <td>{personName(vehicle.currentDriver)}</td>
+                                <td>
+                                    <span className={`status-badge ${vehicle.status === 'active' ? 'status-completed' : 'status-cancelled'}`}>
+                                        {vehicle.status}
+                                    </span>
+                                </td>
+                                <td>
+                                    <div className="action-buttons">
+                                        <button
+                                            onClick={() => openVehicle(vehicle)}
+                                            className="btn btn-primary btn-sm"
+                                        >
+                                            Manage
+                                        </button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {pagination.pages > 1 && (
+                <div className="pagination">
+                    <button
+                        onClick={() => handlePageChange(pagination.page - 1)}
+                        disabled={pagination.page === 1}
+                        className="btn btn-secondary btn-sm"
+                    >
+                        Previous
+                    </button>
+
+                    <span className="pagination-info">
+                        Page {pagination.page} of {pagination.pages}
+                        ({pagination.total} total vehicles)
+                    </span>
+
+                    <button
+                        onClick={() => handlePageChange(pagination.page + 1)}
+                        disabled={pagination.page === pagination.pages}
+                        className="btn btn-secondary btn-sm"
+                    >
+                        Next
+                    </button>
+                </div>
+            )}
+
+            {showAddForm && (
+                <div className="modal-overlay" onClick={closeModal}>
+                    <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+                        <div className="modal-header">
+                            <h2>Add Fleet Vehicle</h2>
+                            <button className="close-btn" onClick={closeModal}>×</button>
+                        </div>
+
+                        <form className="modal-body" onSubmit={handleAddVehicle}>
+                            <div className="filters-grid">
+                                <div className="filter-group">
+                                    <label htmlFor="fleetName">Fleet</label>
+                                    <input
+                                        id="fleetName"
+                                        type="text"
+                                        value={form.fleetName}
+                                        onChange={(e) => setForm({ ...form, fleetName: e.target.value })}
+                                        required
+                                        maxLength={100}
+                                        className="filter-input"
+                                    />
+                                </div>
+                                <div className="filter-group">
+                                    <label htmlFor="fleetVehicleMake">Make</label>
+                                    <input
+                                        id="fleetVehicleMake"
+                                        type="text"
+                                        value={form.make}
+                                        onChange={(e) => setForm({ ...form, make: e.target.value })}
+                                        required
+                                        maxLength={50}
+                                        className="filter-input"
+                                    />
+                                </div>
+                                <div className="filter-group">
+                                    <label htmlFor="fleetVehicleModel">Model</label>
+                                    <input
+                                        id="fleetVehicleModel"
+                                        type="text"
+                                        value={form.model}
+                                        onChange={(e) => setForm({ ...form, model: e.target.value })}
+                                        required
+                                        maxLength={50}
+                                        className="filter-input"
+                                    />
+                                </div>
+                                <div className="filter-group">
+                                    <label htmlFor="fleetVehiclePlate">Plate Number</label>
+                                    <input
+                                        id="fleetVehiclePlate"
+                                        type="text"
+                                        value={form.plateNumber}
+                                        onChange={(e) => setForm({ ...form, plateNumber: e.target.value.toUpperCase() })}
+                                        required
+                                        maxLength={20}
+                                        className="filter-input"
+                                    />
+                                </div>
+                                <div className="filter-group">
+                                    <label htmlFor="fleetVehicleColor">Color</label>
+                                    <input
+                                        id="fleetVehicleColor"
+                                        type="text"
+                                        value={form.color}
+                                        onChange={(e) => setForm({ ...form, color: e.target.value })}
+                                        required
+                                        maxLength={30}
+                                        className="filter-input"
+                                    />
+                                </div>
+                                <div className="filter-group">
+                                    <label htmlFor="fleetVehicleYear">Year</label>
+                                    <input
+                                        id="fleetVehicleYear"
+                                        type="number"
+                                        value={form.year}
+                                        onChange={(e) => setForm({ ...form, year: parseInt(e.target.value, 10) })}
+                                        min={1990}
+                                        max={new Date().getFullYear() + 1}
+                                        className="filter-input"
+                                    />
+                                </div>
+                                <div className="filter-group">
+                                    <label htmlFor="fleetVehicleClass">Vehicle Class</label>
+                                    <select
+                                        id="fleetVehicleClass"
+                                        value={form.vehicleClass}
+                                        onChange={(e) => setForm({ ...form, vehicleClass: e.target.value as ServiceLevel })}
+                                        className="filter-select"
+                                    >
+                                        <option value="economy">Economy</option>
+                                        <option value="comfort">Comfort</option>
+                                        <option value="premium">Premium</option>
+                                    </select>
+                                </div>
+                            </div>
+
+                            {formError && <p className="error-text">{formError}</p>}
+
+                            <div className="action-buttons">
+                                <button type="submit" className="btn btn-primary" disabled={saving}>
+                                    {saving ? 'Saving...' : 'Add Vehicle'}
+                                </button>
+                                <button type="button" className="btn btn-secondary" onClick={closeModal}>
+                                    Cancel
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+
+            {selectedVehicle && (
+                <div className="modal-overlay" onClick={closeModal}>
+                    <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+                        <div className="modal-header">
+                            <h2>{vehicleService.describe(selectedVehicle)}</h2>
+                            <button className="close-btn" onClick={closeModal}>×</button>
+                        </div>
+
+                        <div className="modal-body">
+                            <div className="detail-section">
+                                <h3>Vehicle</h3>
+                                <div className="detail-item">
+                                    <span className="detail-label">Owner:</span>
+                                    <span>{ownerLabel(selectedVehicle)}</span>
+                                </div>
+                                <div className="detail-item">
+                                    <span className="detail-label">Class:</span>
+                                    <span>{selectedVehicle.vehicleClass}</span>
+                                </div>
+                                <div className="detail-item">
+                                    <span className="detail-label">Year:</span>
+                                    <span>{selectedVehicle.year || '—'}</span>
+                                </div>
+                                <div className="detail-item">
+                                    <span className="detail-label">Driving now:</span>
+                                    <span>{personName(selectedVehicle.currentDriver)}</span>
+                                </div>
+                            </div>
+
+                            <div className="detail-section">
+                                <h3>Drivers</h3>
+                                {assignedDrivers.length === 0 && <p>No drivers can drive this vehicle yet.</p>}
+                                {assignedDrivers.map(driver => (
+                                    <div key={driver._id} className="detail-item">
+                                        <span>{driver.name} ({driver.phone})</span>
+                                        {selectedVehicle.status === 'active' && (
+                                            <button
+                                                className="btn btn-danger btn-sm"
+                                                disabled={saving}
+                                                onClick={() => handleUnassignDriver(driver)}
+                                            >
+                                                Remove
+                                            </button>
+                                        )}
+                                    </div>
+                                ))}
+                                {selectedVehicle.status === 'active' && (
+                                    <form className="detail-item" onSubmit={handleAssignDriver}>
+                                        <input
+                                            type="tel"
+                                            value={driverPhone}
+                                            onChange={(e) => setDriverPhone(e.target.value)}
+                                            placeholder="Driver phone number"
+                                            className="filter-input"
+                                        />
+                                        <button type="submit" className="btn btn-primary btn-sm" disabled={saving || !driverPhone.trim()}>
+                                            Add Driver
+                                        </button>
+                                    </form>
+                                )}
+                            </div>
+
+                            {formError && <p className="error-text">{formError}</p>}
+
+                            {selectedVehicle.status === 'active' && (
+                                <div className="action-buttons">
+                                    <button
+                                        className="btn btn-danger"
+                                        disabled={saving}
+                                        onClick={handleRetire}
+                                    >
+                                        Retire Vehicle
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FleetVehiclesPage;
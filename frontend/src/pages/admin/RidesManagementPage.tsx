@@ -4,6 +4,8 @@ import adminService, { Ride, PaginatedResponse } from '../../services/adminServi
 import { paymentService } from '../../services/paymentService';
 import { useAuth } from '../../contexts/AuthContext';
 import Receipt from '../../components/common/Receipt';
+import RideTimeline from '../../components/common/RideTimeline';
+import TripReplay from '../../components/common/TripReplay';
 import { LoadingSpinner } from '../../components/common/LoadingSpinner';
 import './AdminDashboard.css';
 
@@ -119,14 +121,19 @@ const RidesManagementPage: React.FC = () => {
         const statusClasses: { [key: string]: string } = {
             'completed': 'status-completed',
             'in_progress': 'status-in-progress',
+            'arrived': 'status-arrived',
             'accepted': 'status-accepted',
             'matched': 'status-matched',
             'requested': 'status-requested',
+            'scheduled': 'status-scheduled',
             'cancelled': 'status-cancelled'
         };
         return statusClasses[status] || 'status-default';
     };
 
+    // The vehicle snapshotted on the ride, or the driver's profile vehicle for older rides
+    const rideVehicle = selectedRide?.vehicle || selectedRide?.driverId?.driverInfo?.vehicleDetails;
+
     if (loading && rides.length === 0) {
         return (
             <div className="page-container">
@@ -184,6 +191,7 @@ const RidesManagementPage: React.FC = () => {
                             className="filter-select"
                         >
                             <option value="">All Status</option>
+                            <option value="scheduled">Scheduled</option>
                             <option value="requested">Requested</option>
                             <option value="matched">Matched</option>
                             <option value="accepted">Accepted</option>
@@ -249,7 +257,7 @@ const RidesManagementPage: React.FC = () => {
                                         <div className="user-info">
                                             <strong>{ride.driverId.profile.name}</strong>
                                             <small>
-                                                {ride.driverId.driverInfo?.vehicleDetails.make} {ride.driverId.driverInfo?.vehicleDetails.model}
+                                                {(ride.vehicle || ride.driverId.driverInfo?.vehicleDetails)?.make} {(ride.vehicle || ride.driverId.driverInfo?.vehicleDetails)?.model}
                                             </small>
                                         </div>
                                     ) : (
@@ -390,15 +398,15 @@ const RidesManagementPage: React.FC = () => {
                                             <span className="detail-label">Contact:</span>
                                             <span>{selectedRide.driverId.phone || 'N/A'}</span>
                                         </div>
-                                        {selectedRide.driverId.driverInfo?.vehicleDetails && (
+                                        {rideVehicle && (
                                             <>
                                                 <div className="detail-item">
                                                     <span className="detail-label">Vehicle:</span>
-                                                    <span>{selectedRide.driverId.driverInfo.vehicleDetails.make} {selectedRide.driverId.driverInfo.vehicleDetails.model}</span>
+                                                    <span>{rideVehicle.make} {rideVehicle.model}</span>
                                                 </div>
                                                 <div className="detail-item">
                                                     <span className="detail-label">Plate Number:</span>
-                                                    <span>{selectedRide.driverId.driverInfo.vehicleDetails.plateNumber}</span>
+                                                    <span>{rideVehicle.plateNumber}</span>
                                                 </div>
                                             </>
                                         )}
@@ -466,6 +474,11 @@ const RidesManagementPage: React.FC = () => {
                                 )}
                             </div>
                         )}
+
+                        {!loadingReceipt && selectedRide.status === 'completed' && (
+                            <TripReplay rideId={selectedRide._id} />
+                        )}
+                        {!loadingReceipt && <RideTimeline rideId={selectedRide._id} />}
                     </div>
                 </div>
             )}
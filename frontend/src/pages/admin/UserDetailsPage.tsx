@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import adminService, { User, UserStats } from '../../services/adminService';
 import { useAuth } from '../../contexts/AuthContext';
+import ShiftReport from '../../components/common/ShiftReport';
 import './AdminDashboard.css';
 
 const UserDetailsPage: React.FC = () => {
@@ -198,6 +199,13 @@ const UserDetailsPage: React.FC = () => {
                         )}
                     </div>
                 </div>
+
+                {user.role === 'driver' && (
+                    <div className="detail-card">
+                        <h3>Shifts & Online Hours</h3>
+                        <ShiftReport driverId={user._id} />
+                    </div>
+                )}
             </div>
         </div>
     );
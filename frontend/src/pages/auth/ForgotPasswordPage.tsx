@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authService } from '@/services/authService';
+import './AuthPages.css';
+
+const ForgotPasswordPage: React.FC = () => {
+  const [accountType, setAccountType] = useState<'phone' | 'email'>('phone');
+  const [identifier, setIdentifier] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isSent, setIsSent] = useState(false);
+  // Returned by the backend in development only, in place of the email/SMS
+  const [devResetToken, setDevResetToken] = useState<string | null>(null);
+
+  const handleAccountTypeChange = (type: 'phone' | 'email') => {
+    setAccountType(type);
+    setIdentifier('');
+    setError('');
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await authService.forgotPassword(identifier.trim());
+      if (response.success) {
+        setIsSent(true);
+        setDevResetToken(response.data?.resetToken || null);
+      } else {
+        setError(response.error?.message || 'Failed to send reset instructions');
+      }
+    } catch (err) {
+      setError('An unexpected error occurred');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1>🚗 Cab Aggregator</h1>
+          <h2>Forgot Password</h2>
+          <p>We&apos;ll send you a link to choose a new password.</p>
+        </div>
+
+        {isSent ? (
+          <div className="success-message">
+            If an account exists for {identifier}, a password reset link has been sent
+            {accountType === 'phone' ? ' by SMS' : ' by email'}. The link can only be used once.
+          </div>
+        ) : (
+          <>
+            <div className="login-type-selector">
+              <button
+                type="button"
+                className={`login-type-btn ${accountType === 'phone' ? 'active' : ''}`}
+                onClick={() => handleAccountTypeChange('phone')}
+              >
+                Rider / Driver
+              </button>
+              <button
+                type="button"
+                className={`login-type-btn ${accountType === 'email' ? 'active' : ''}`}
+                onClick={() => handleAccountTypeChange('email')}
+              >
+                Admin
+              </button>
+            </div>
+
+            <form onSubmit={handleSubmit} className="auth-form">
+              {error && <div className="error-message">{error}</div>}
+
+              <div className="form-group">
+                <label htmlFor="identifier">{accountType === 'phone' ? 'Phone Number' : 'Email Address'}</label>
+                <input
+                  type={accountType === 'phone' ? 'tel' : 'email'}
+                  id="identifier"
+                  name="identifier"
+                  value={identifier}
+                  onChange={(e) => {
+                    setIdentifier(e.target.value);
+                    setError('');
+                  }}
+                  required
+                  placeholder={accountType === 'phone' ? '+1234567890' : 'Enter your email'}
+                />
+              </div>
+
+              <button type="submit" className="auth-button" disabled={isSubmitting}>
+                {isSubmitting ? 'Sending...' : 'Send Reset Link'}
+              </button>
+            </form>
+          </>
+        )}
+
+        {devResetToken && (
+          <div className="demo-info">
+            <h3>Development</h3>
+            <p>
+              <Link to={`/reset-password?token=${devResetToken}`} className="auth-link">
+                Open the reset link
+              </Link>
+            </p>
+          </div>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            Remembered it?{' '}
+            <Link to="/login" className="auth-link">
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
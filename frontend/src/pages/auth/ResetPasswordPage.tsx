@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { authService } from '@/services/authService';
+import './AuthPages.css';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const ResetPasswordPage: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  });
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isReset, setIsReset] = useState(false);
+
+  const navigate = useNavigate();
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+    setError('');
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (formData.password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await authService.resetPassword(token, formData.password);
+      if (response.success) {
+        setIsReset(true);
+      } else {
+        setError(response.error?.message || 'Password reset failed');
+      }
+    } catch (err) {
+      setError('An unexpected error occurred');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1>🚗 Cab Aggregator</h1>
+          <h2>Reset Password</h2>
+          <p>Choose a new password for your account.</p>
+        </div>
+
+        {!token ? (
+          <div className="error-message">
+            This reset link is incomplete. Request a new one from the{' '}
+            <Link to="/forgot-password" className="auth-link">forgot password</Link> page.
+          </div>
+        ) : isReset ? (
+          <>
+            <div className="success-message">
+              Your password has been reset and you have been signed out of all devices.
+            </div>
+            <button type="button" className="auth-button" onClick={() => navigate('/login', { replace: true })}>
+              Sign In
+            </button>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit} className="auth-form">
+            {error && <div className="error-message">{error}</div>}
+
+            <div className="form-group">
+              <label htmlFor="password">New Password</label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                minLength={MIN_PASSWORD_LENGTH}
+                placeholder="Enter a new password"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmPassword">Confirm Password</label>
+              <input
+                type="password"
+                id="confirmPassword"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                required
+                placeholder="Re-enter the new password"
+              />
+            </div>
+
+            <button type="submit" className="auth-button" disabled={isSubmitting}>
+              {isSubmitting ? 'Resetting...' : 'Reset Password'}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            <Link to="/forgot-password" className="auth-link">
+              Request a new link
+            </Link>
+          </p>
+          <p>
+            <Link to="/login" className="auth-link">
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
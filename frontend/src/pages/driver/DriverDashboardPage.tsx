@@ -1,10 +1,14 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { useSocket, useSocketEvent } from '../../contexts/SocketContext';
 import { useGeolocation } from '../../hooks/useGeolocation';
+import { useSurgeHeatmap } from '../../hooks/useSurgeHeatmap';
 import { rideService } from '../../services/rideService';
 import { driverService } from '../../services/driverService';
-import { Ride } from '../../types';
+import { vehicleService } from '../../services/vehicleService';
+import { shiftService, CurrentShift } from '../../services/shiftService';
+import { Ride, WaitingCharge } from '../../types';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import MapComponent from '../../components/common/MapComponent';
 import ActiveRideSection from './components/ActiveRideSection';
@@ -33,20 +37,33 @@ const DriverDashboardPage: React.FC = () => {
   const [error, setError] = useState<string | null>(null);
   const [route, setRoute] = useState<[number, number][] | null>(null);
   const [routeMetrics, setRouteMetrics] = useState<{ distanceKm: number; durationMin: number } | null>(null);
+  const [waiting, setWaiting] = useState<WaitingCharge | null>(null);
+  const [shift, setShift] = useState<CurrentShift | null>(null);
+
+  // Show where demand is high while the driver is waiting for a ride
+  const { zones: surgeZones } = useSurgeHeatmap(isAvailable && !activeRide);
 
   // Load initial data
   useEffect(() => {
     loadDashboardData();
   }, []);
 
+  // Keep the continuous driving time current (breaks are enforced by the server)
+  useEffect(() => {
+    const interval = setInterval(loadShift, 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
   // Fetch route from OSRM when activeRide changes
   useEffect(() => {
     const fetchRoute = async () => {
       if (activeRide && activeRide.pickup && activeRide.destination) {
-        const pickup = activeRide.pickup.coordinates.coordinates;
-        const destination = activeRide.destination.coordinates.coordinates;
+        // Route through the ride's stops in visiting order
+        const waypoints = [activeRide.pickup, ...(activeRide.stops || []), activeRide.destination]
+          .map(point => point.coordinates.coordinates.join(','))
+          .join(';');
         try {
-          const osrmUrl = `https://router.project-osrm.org/route/v1/driving/${pickup[0]},${pickup[1]};${destination[0]},${destination[1]}?overview=full&geometries=geojson`;
+          const osrmUrl = `https://router.project-osrm.org/route/v1/driving/${waypoints}?overview=full&geometries=geojson`;
           const response = await fetch(osrmUrl);
           const data = await response.json();
           if (data.routes && data.routes.length > 0) {
@@ -95,7 +112,11 @@ const DriverDashboardPage: React.FC = () => {
       }).catch(console.error);
 
       // Emit real-time location update
-      emitDriverLocationUpdate(activeRide._id, [geolocation.longitude, geolocation.latitude]);
+      emitDriverLocationUpdate(activeRide._id, [geolocation.longitude, geolocation.latitude], {
+        heading: geolocation.heading,
+        speed: geolocation.speed,
+        accuracy: geolocation.accuracy,
+      });
     }
   }, [geolocation.latitude, geolocation.longitude, locationSharing, activeRide, emitDriverLocationUpdate]);
 
@@ -132,6 +153,44 @@ const DriverDashboardPage: React.FC = () => {
     }
   });
 
+  // Sent only to this driver, after the status change has cleared the active ride
+  useSocketEvent('ride:cancelled', (data) => {
+    if (data.cancelledBy === 'rider') {
+      setError(`The rider cancelled this ride${data.reason ? `: ${data.reason}` : '.'}`);
+    }
+  });
+
+  // A ride was offered to this driver; it shows up in the pending list as 'matched'
+  useSocketEvent('ride:offer', () => {
+    if (!activeRide) {
+      loadPendingRides();
+    }
+  });
+
+  useSocketEvent('ride:offer-withdrawn', (data) => {
+    setPendingRides(prev => prev.filter(ride => ride._id !== data.rideId));
+    setError('A ride offer expired before you responded and was passed to another driver.');
+  });
+
+  // The rider added a stop; refresh the route and the re-estimated fare
+  useSocketEvent('ride:stops-updated', (data) => {
+    if (activeRide && data.rideId === activeRide._id) {
+      setActiveRide(prev => prev ? { ...prev, stops: data.stops, fare: { ...prev.fare, estimated: data.estimatedFare } } : null);
+    }
+  });
+
+  // Waiting meter while at pickup; stops once the ride starts
+  useSocketEvent('ride:waiting-updated', (data) => {
+    if (activeRide && data.rideId === activeRide._id) {
+      setWaiting(data);
+    }
+  });
+
+  // A rider tipped on a finished ride; the tip is already in the earnings ledger
+  useSocketEvent('ride:tip', () => {
+    driverService.getDriverStats().then(setDriverStats).catch(() => {});
+  });
+
   useSocketEvent('ride:driver-assigned', (data) => {
     if (data.driver._id === user?._id) {
       loadActiveRide();
@@ -144,17 +203,23 @@ const DriverDashboardPage: React.FC = () => {
       setLoading(true);
       setError(null);
 
-      const [statsData, activeRideData] = await Promise.all([
+      const [statsData, activeRideData, shiftData] = await Promise.all([
         driverService.getDriverStats().catch(() => null),
         driverService.getActiveRide().catch(() => null),
+        shiftService.getCurrent().catch(() => null),
       ]);
 
       setDriverStats(statsData);
       setActiveRide(activeRideData);
+      setShift(shiftData);
 
       // If there's an active ride, driver should be unavailable
       if (activeRideData) {
         setIsAvailable(false);
+      } else if (shiftData) {
+        // Drivers are back on offer after a ride while their shift is open
+        setIsAvailable(shiftData.onShift && !shiftData.shift?.endRequestedAt);
+        await loadPendingRides();
       } else {
         // Sync availability with user state
         setIsAvailable(user?.driverInfo?.isAvailable || false);
@@ -190,6 +255,14 @@ const DriverDashboardPage: React.FC = () => {
     }
   };
 
+  const loadShift = async () => {
+    try {
+      setShift(await shiftService.getCurrent());
+    } catch (err: any) {
+      console.error('Failed to load shift status:', err);
+    }
+  };
+
   const loadActiveRide = async () => {
     try {
       const ride = await driverService.getActiveRide();
@@ -215,6 +288,7 @@ const DriverDashboardPage: React.FC = () => {
       setIsAvailable(newAvailability);
       updateUser(updatedUser);
       emitDriverStatusChange(user!._id, newAvailability);
+      await loadShift();
 
       if (newAvailability) {
         await loadPendingRides();
@@ -247,6 +321,17 @@ const DriverDashboardPage: React.FC = () => {
     }
   };
 
+  const handleDeclineRide = async (rideId: string) => {
+    try {
+      setError(null);
+      await rideService.declineRide(rideId);
+      setPendingRides(prev => prev.filter(ride => ride._id !== rideId));
+    } catch (err: any) {
+      setError(err.message);
+      await loadPendingRides();
+    }
+  };
+
   const handleRideStatusUpdate = async (status: Ride['status']) => {
     if (!activeRide) return;
 
@@ -264,6 +349,19 @@ const DriverDashboardPage: React.FC = () => {
     }
   };
 
+  const handleStopReached = async () => {
+    if (!activeRide) {
+      return;
+    }
+
+    try {
+      const { ride } = await rideService.markStopReached(activeRide._id);
+      setActiveRide(prev => prev ? { ...prev, stops: ride.stops } : ride);
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
   const getMapCenter = (): [number, number] => {
     if (activeRide) {
       return [
@@ -281,6 +379,9 @@ const DriverDashboardPage: React.FC = () => {
     return <LoadingSpinner message="Loading dashboard..." />;
   }
 
+  // Rides are dispatched for the vehicle selected for the shift, else the profile vehicle
+  const dispatchVehicle = user?.driverInfo?.activeVehicle || user?.driverInfo?.vehicleDetails;
+
   return (
     <div className="driver-dashboard">
       <div className="dashboard-header">
@@ -302,9 +403,31 @@ const DriverDashboardPage: React.FC = () => {
             />
             <span className="toggle-slider"></span>
             <span className="toggle-label">
-              {isAvailable ? 'Turn Off Availability' : 'Turn On Availability'}
+              {isAvailable ? 'End Shift' : 'Start Shift'}
             </span>
           </label>
+          {shift && (
+            <p className="shift-status">
+              {shift.onShift ? (
+                <>
+                  ⏱️ {shiftService.formatMinutes(shift.continuousMinutes)} driving
+                  {shift.breakRequired
+                    ? ' · Break due, no new rides until you have rested'
+                    : ` · Break in ${shiftService.formatMinutes(shift.remainingMinutes || 0)}`}
+                </>
+              ) : shift.breakRequired && shift.availableAt ? (
+                <>☕ Break until {new Date(shift.availableAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</>
+              ) : (
+                <>⏱️ {shiftService.formatMinutes(shift.today.onlineMinutes)} online today</>
+              )}
+            </p>
+          )}
+          {dispatchVehicle && (
+            <p className="active-vehicle">
+              🚗 {vehicleService.describe(dispatchVehicle)}
+              {!isAvailable && <Link to="/driver/profile">Switch vehicle</Link>}
+            </p>
+          )}
         </div>
       </div>
 
@@ -315,6 +438,13 @@ const DriverDashboardPage: React.FC = () => {
         </div>
       )}
 
+      {user?.driverInfo?.onboarding && user.driverInfo.onboarding.status !== 'approved' && (
+        <div className="onboarding-notice">
+          <span>🪪 Your documents have not been approved yet, so you cannot go online.</span>
+          <Link to="/driver/profile">Manage documents</Link>
+        </div>
+      )}
+
       <div className="dashboard-content">
         {/* Driver Stats */}
         {driverStats && (
@@ -340,6 +470,8 @@ const DriverDashboardPage: React.FC = () => {
             <ActiveRideSection
               ride={activeRide}
               onStatusUpdate={handleRideStatusUpdate}
+              onStopReached={handleStopReached}
+              waiting={waiting}
               locationSharing={locationSharing}
               onLocationSharingToggle={setLocationSharing}
               driverLocation={geolocation.latitude && geolocation.longitude
@@ -352,6 +484,7 @@ const DriverDashboardPage: React.FC = () => {
             <PendingRidesSection
               rides={pendingRides}
               onAcceptRide={handleAcceptRide}
+              onDeclineRide={handleDeclineRide}
               isAvailable={isAvailable}
               onRefresh={loadPendingRides}
             />
@@ -376,11 +509,17 @@ const DriverDashboardPage: React.FC = () => {
                 ],
                 address: activeRide.destination.address
               } : null}
+              stops={(activeRide?.stops || []).map(stop => ({
+                coordinates: stop.coordinates.coordinates,
+                address: stop.address,
+                reached: !!stop.reachedAt
+              }))}
               driverLocation={geolocation.latitude && geolocation.longitude
                 ? [geolocation.longitude, geolocation.latitude]
                 : null}
               route={route}
               showRoute={!!activeRide}
+              surgeZones={surgeZones}
             />
           </div>
         </div>
@@ -47,6 +47,8 @@ const DriverMyRides: React.FC = () => {
                 return 'status-badge status-in-progress';
             case 'accepted':
                 return 'status-badge status-accepted';
+            case 'arrived':
+                return 'status-badge status-arrived';
             case 'requested':
             case 'matched':
                 return 'status-badge status-requested';
@@ -2,6 +2,12 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { userService, UserStats, DriverProfile as DriverProfileData } from '../../services/userService';
 import { LoadingSpinner } from '../../components/common/LoadingSpinner';
+import NotificationPreferencesSection from '../../components/common/NotificationPreferencesSection';
+import ShiftReport from '../../components/common/ShiftReport';
+import DriverEarningsSection from './components/DriverEarningsSection';
+import DriverDocumentsSection from './components/DriverDocumentsSection';
+import DriverVehiclesSection from './components/DriverVehiclesSection';
+import { ServiceLevel } from '../../types';
 import './DriverProfile.css';
 
 const DriverProfile: React.FC = () => {
@@ -28,6 +34,9 @@ const DriverProfile: React.FC = () => {
     const [vehicleYear, setVehicleYear] = useState(
         (user?.driverInfo?.vehicleDetails as any).year || new Date().getFullYear()
     );
+    const [vehicleClass, setVehicleClass] = useState<ServiceLevel>(
+        user?.driverInfo?.vehicleDetails.vehicleClass || 'economy'
+    );
 
     // Password change states
     const [showPasswordForm, setShowPasswordForm] = useState(false);
@@ -65,6 +74,7 @@ const DriverProfile: React.FC = () => {
                     plateNumber: vehiclePlateNumber,
                     color: vehicleColor,
                     year: vehicleYear,
+                    vehicleClass,
                 },
             };
 
@@ -119,6 +129,7 @@ const DriverProfile: React.FC = () => {
         setVehiclePlateNumber(user?.driverInfo?.vehicleDetails.plateNumber || '');
         setVehicleColor(user?.driverInfo?.vehicleDetails.color || '');
         setVehicleYear((user?.driverInfo?.vehicleDetails as any).year || new Date().getFullYear());
+        setVehicleClass(user?.driverInfo?.vehicleDetails.vehicleClass || 'economy');
         setIsEditing(false);
         setError(null);
     };
@@ -296,6 +307,20 @@ const DriverProfile: React.FC = () => {
                                 />
                             </div>
 
+                            <div className="form-group">
+                                <label htmlFor="vehicleClass">Vehicle Class</label>
+                                <select
+                                    id="vehicleClass"
+                                    value={vehicleClass}
+                                    onChange={(e) => setVehicleClass(e.target.value as ServiceLevel)}
+                                    disabled={!isEditing}
+                                >
+                                    <option value="economy">Economy</option>
+                                    <option value="comfort">Comfort</option>
+                                    <option value="premium">Premium</option>
+                                </select>
+                            </div>
+
                             {isEditing && (
                                 <div className="form-actions">
                                     <button type="submit" className="btn-primary" disabled={isLoading}>
@@ -355,6 +380,46 @@ const DriverProfile: React.FC = () => {
                         )}
                     </div>
 
+                    {/* Vehicles Card */}
+                    <div className="profile-card">
+                        <div className="card-header">
+                            <h2>Vehicles</h2>
+                        </div>
+                        <DriverVehiclesSection />
+                    </div>
+
+                    {/* Shifts Card */}
+                    <div className="profile-card">
+                        <div className="card-header">
+                            <h2>Shifts</h2>
+                        </div>
+                        <ShiftReport />
+                    </div>
+
+                    {/* Documents Card */}
+                    <div className="profile-card">
+                        <div className="card-header">
+                            <h2>Documents</h2>
+                        </div>
+                        <DriverDocumentsSection />
+                    </div>
+
+                    {/* Earnings Card */}
+                    <div className="profile-card earnings-card">
+                        <div className="card-header">
+                            <h2>Earnings & Payouts</h2>
+                        </div>
+                        <DriverEarningsSection />
+                    </div>
+
+                    {/* Notifications Card */}
+                    <div className="profile-card">
+                        <div className="card-header">
+                            <h2>Notifications</h2>
+                        </div>
+                        <NotificationPreferencesSection />
+                    </div>
+
                     {/* Security Card */}
                     <div className="profile-card">
                         <div className="card-header">
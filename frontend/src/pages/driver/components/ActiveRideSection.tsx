@@ -1,9 +1,13 @@
 import React from 'react';
-import { Ride } from '../../../types';
+import { Ride, WaitingCharge } from '../../../types';
 
 interface ActiveRideSectionProps {
   ride: Ride;
   onStatusUpdate: (status: Ride['status']) => void;
+  // Marks the next intermediate stop as reached
+  onStopReached: () => void;
+  // Latest waiting meter reading while the driver is at pickup
+  waiting?: WaitingCharge | null;
   locationSharing: boolean;
   onLocationSharingToggle: (enabled: boolean) => void;
   driverLocation: [number, number] | null;
@@ -14,6 +18,8 @@ interface ActiveRideSectionProps {
 const ActiveRideSection: React.FC<ActiveRideSectionProps> = ({
   ride,
   onStatusUpdate,
+  onStopReached,
+  waiting,
   locationSharing,
   onLocationSharingToggle,
   driverLocation,
@@ -26,10 +32,22 @@ const ActiveRideSection: React.FC<ActiveRideSectionProps> = ({
     }).format(amount);
   };
 
+  const stops = ride.stops || [];
+  const nextStop = stops.find(stop => !stop.reachedAt) || null;
+
   const getStatusActions = () => {
     switch (ride.status) {
       case 'matched':
       case 'accepted':
+        return (
+          <button
+            className="btn btn-primary"
+            onClick={() => onStatusUpdate('arrived')}
+          >
+            I&apos;ve Arrived
+          </button>
+        );
+      case 'arrived':
         return (
           <button
             className="btn btn-primary"
@@ -39,6 +57,17 @@ const ActiveRideSection: React.FC<ActiveRideSectionProps> = ({
           </button>
         );
       case 'in_progress':
+        // Stops are visited in order before the destination
+        if (nextStop) {
+          return (
+            <button
+              className="btn btn-primary"
+              onClick={onStopReached}
+            >
+              Reached Stop {stops.indexOf(nextStop) + 1}
+            </button>
+          );
+        }
         return (
           <button
             className="btn btn-success"
@@ -78,8 +107,23 @@ const ActiveRideSection: React.FC<ActiveRideSectionProps> = ({
               {ride.timeline.acceptedAt && (
                 <small>Accepted at {formatTime(ride.timeline.acceptedAt)}</small>
               )}
+              {ride.timeline.arrivedAt && (
+                <small> · Arrived at {formatTime(ride.timeline.arrivedAt)}</small>
+              )}
             </div>
           </div>
+          {stops.map((stop, index) => (
+            <div key={`${stop.address}-${index}`} className={`location-item ${stop.reachedAt ? 'reached' : ''}`}>
+              <span className="location-icon stop">{stop.reachedAt ? '✅' : '🟠'}</span>
+              <div>
+                <strong>Stop {index + 1}{stop === nextStop && ride.status === 'in_progress' ? ' (next)' : ''}</strong>
+                <p>{stop.address}</p>
+                {stop.reachedAt && (
+                  <small>Reached at {formatTime(stop.reachedAt)}</small>
+                )}
+              </div>
+            </div>
+          ))}
           <div className="location-item">
             <span className="location-icon destination">🎯</span>
             <div>
@@ -101,6 +145,14 @@ const ActiveRideSection: React.FC<ActiveRideSectionProps> = ({
                 : (ride.fare.breakdown.distanceFare / 1.2)
             ).toFixed(1)} km
           </div>
+          {ride.status === 'arrived' && waiting?.rideId === ride._id && (
+            <div className="info-item">
+              <strong>Waiting:</strong> {Math.floor(waiting.waitingMinutes)} min
+              {waiting.waitingFare > 0
+                ? ` (+${formatCurrency(waiting.waitingFare)})`
+                : waiting.freeUntil ? ` (free until ${formatTime(waiting.freeUntil)})` : ''}
+            </div>
+          )}
           {ride.timeline.startedAt && (
             <div className="info-item">
               <strong>Started:</strong> {formatTime(ride.timeline.startedAt)}
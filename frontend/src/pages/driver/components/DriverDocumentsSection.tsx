@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import {
+  onboardingService,
+  OnboardingApplication,
+  DriverDocument,
+  DriverDocumentType,
+  DriverDocumentStatus
+} from '../../../services/onboardingService';
+import { LoadingSpinner } from '../../../components/common/LoadingSpinner';
+
+interface UploadForm {
+  file: File | null;
+  expiresAt: string;
+  documentNumber: string;
+}
+
+const EMPTY_FORM: UploadForm = { file: null, expiresAt: '', documentNumber: '' };
+
+const DOCUMENT_STATUS_LABELS: Record<DriverDocumentStatus, string> = {
+  pending: 'Awaiting review',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  superseded: 'Replaced'
+};
+
+// Days before expiry from which a document is flagged for renewal
+const RENEWAL_WARNING_DAYS = 30;
+
+const DriverDocumentsSection: React.FC = () => {
+  const [application, setApplication] = useState<OnboardingApplication | null>(null);
+  const [forms, setForms] = useState<Partial<Record<DriverDocumentType, UploadForm>>>({});
+  const [uploading, setUploading] = useState<DriverDocumentType | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadApplication();
+  }, []);
+
+  const loadApplication = async () => {
+    try {
+      setApplication(await onboardingService.getMyApplication());
+    } catch (err: any) {
+      setError(err.message || 'Failed to load your documents');
+    }
+  };
+
+  const getForm = (type: DriverDocumentType) => forms[type] || EMPTY_FORM;
+
+  const updateForm = (type: DriverDocumentType, update: Partial<UploadForm>) => {
+    setForms(prev => ({ ...prev, [type]: { ...getForm(type), ...update } }));
+  };
+
+  const handleUpload = async (type: DriverDocumentType) => {
+    const form = getForm(type);
+    if (!form.file || !form.expiresAt) {
+      setError('Choose an image and enter the expiry date');
+      return;
+    }
+
+    setUploading(type);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      await onboardingService.uploadDocument(type, {
+        file: form.file,
+        // Valid until the end of the expiry day
+        expiresAt: `${form.expiresAt}T23:59:59`,
+        documentNumber: form.documentNumber.trim() || undefined
+      });
+      setForms(prev => ({ ...prev, [type]: EMPTY_FORM }));
+      setSuccess('Document uploaded');
+      await loadApplication();
+    } catch (err: any) {
+      setError(err.message || 'Failed to upload document');
+    } finally {
+      setUploading(null);
+    }
+  };
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      await onboardingService.submitApplication();
+      setSuccess('Application submitted. We will let you know once it has been reviewed.');
+      await loadApplication();
+    } catch (err: any) {
+      setError(err.message || 'Failed to submit application');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const formatDate = (dateString: string) => {
+    return new Date(dateString).toLocaleDateString('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const isExpiringSoon = (document: DriverDocument) => {
+    const daysLeft = (new Date(document.expiresAt).getTime() - Date.now()) / (24 * 60 * 60 * 1000);
+    return document.status === 'approved' && daysLeft <= RENEWAL_WARNING_DAYS;
+  };
+
+  if (!application) {
+    return error ? (
+      <div className="message error-message">
+        <span className="message-icon">⚠️</span>
+        {error}
+      </div>
+    ) : (
+      <div className="stats-loading">
+        <LoadingSpinner size="small" />
+      </div>
+    );
+  }
+
+  const { onboarding, requirements } = application;
+  const canUpload = onboarding.status !== 'under_review';
+  const canSubmit = onboarding.status === 'applied' || onboarding.status === 'rejected';
+  const today = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div className="documents-section">
+      {error && (
+        <div className="message error-message">
+          <span className="message-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="message success-message">
+          <span className="message-icon">✅</span>
+          {success}
+        </div>
+      )}
+
+      <p className="onboarding-status">
+        Status: <strong>{onboardingService.getStatusLabel(onboarding.status)}</strong>
+      </p>
+      {onboarding.status === 'rejected' && onboarding.rejectionReason && (
+        <p className="form-hint">Reviewer&apos;s note: {onboarding.rejectionReason}</p>
+      )}
+      {onboarding.status !== 'approved' && (
+        <p className="form-hint">
+          You can go online once your licence, registration and insurance have been approved.
+        </p>
+      )}
+
+      <ul className="document-list">
+        {requirements.map(({ type, name, document }) => {
+          const form = getForm(type);
+          return (
+            <li key={type} className="document-item">
+              <div className="document-summary">
+                <span className="document-name">{name}</span>
+                {document ? (
+                  <span className={`document-status document-status-${document.status}`}>
+                    {DOCUMENT_STATUS_LABELS[document.status]} · expires {formatDate(document.expiresAt)}
+                  </span>
+                ) : (
+                  <span className="document-status">Not uploaded</span>
+                )}
+              </div>
+              {document?.status === 'rejected' && document.review?.reason && (
+                <p className="form-hint">Rejected: {document.review.reason}</p>
+              )}
+              {document && isExpiringSoon(document) && (
+                <p className="form-hint">Expiring soon. Upload the renewed document to stay online.</p>
+              )}
+
+              {canUpload && (
+                <div className="document-upload">
+                  <input
+                    type="file"
+                    accept="image/jpeg,image/png,image/gif"
+                    aria-label={`${name} image`}
+                    onChange={(e) => updateForm(type, { file: e.target.files?.[0] || null })}
+                  />
+                  <div className="form-group">
+                    <label htmlFor={`${type}-expiry`}>Expires on</label>
+                    <input
+                      id={`${type}-expiry`}
+                      type="date"
+                      min={today}
+                      value={form.expiresAt}
+                      onChange={(e) => updateForm(type, { expiresAt: e.target.value })}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor={`${type}-number`}>Document number</label>
+                    <input
+                      id={`${type}-number`}
+                      type="text"
+                      maxLength={50}
+                      value={form.documentNumber}
+                      onChange={(e) => updateForm(type, { documentNumber: e.target.value })}
+                    />
+                  </div>
+                  <button
+                    className="btn-secondary"
+                    onClick={() => handleUpload(type)}
+                    disabled={uploading !== null || !form.file || !form.expiresAt}
+                  >
+                    {uploading === type ? 'Uploading...' : document ? 'Replace' : 'Upload'}
+                  </button>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {canSubmit && (
+        <div className="form-actions">
+          <button className="btn-primary" onClick={handleSubmit} disabled={isSubmitting}>
+            {isSubmitting ? 'Submitting...' : 'Submit for Review'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DriverDocumentsSection;
@@ -0,0 +1,265 @@
+import React, { useState, useEffect } from 'react';
+import {
+  earningsService,
+  EarningsSummary,
+  EarningEntry,
+  Payout,
+  EarningsDateRange
+} from '../../../services/earningsService';
+import { LoadingSpinner } from '../../../components/common/LoadingSpinner';
+
+const ENTRIES_PER_PAGE = 10;
+
+const DriverEarningsSection: React.FC = () => {
+  const [summary, setSummary] = useState<EarningsSummary | null>(null);
+  const [entries, setEntries] = useState<EarningEntry[]>([]);
+  const [payouts, setPayouts] = useState<Payout[]>([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isDownloading, setIsDownloading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadSummary();
+  }, []);
+
+  useEffect(() => {
+    loadEntries();
+  }, [page, fromDate, toDate]);
+
+  // Date inputs give local calendar days; the range covers the whole of both days
+  const getRange = (): EarningsDateRange => ({
+    ...(fromDate && { from: new Date(`${fromDate}T00:00:00`).toISOString() }),
+    ...(toDate && { to: new Date(`${toDate}T23:59:59.999`).toISOString() })
+  });
+
+  const loadSummary = async () => {
+    try {
+      const [summaryData, payoutData] = await Promise.all([
+        earningsService.getSummary(),
+        earningsService.getPayouts(1, 5)
+      ]);
+      setSummary(summaryData);
+      setPayouts(payoutData.payouts);
+    } catch (err: any) {
+      setError(err.message || 'Failed to load earnings');
+    }
+  };
+
+  const loadEntries = async () => {
+    try {
+      setIsLoading(true);
+      const data = await earningsService.getEntries(page, ENTRIES_PER_PAGE, getRange());
+      setEntries(data.entries);
+      setPages(Math.max(data.pagination.pages, 1));
+    } catch (err: any) {
+      setError(err.message || 'Failed to load earnings');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    setError(null);
+
+    try {
+      await earningsService.downloadCsv(getRange());
+    } catch (err: any) {
+      setError(err.message || 'Failed to download earnings');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  const handleRangeChange = (setter: (value: string) => void) => (e: React.ChangeEvent<HTMLInputElement>) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  const formatCurrency = (amount: number): string => {
+    return new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: 'INR'
+    }).format(amount);
+  };
+
+  const formatDate = (dateString: string): string => {
+    return new Date(dateString).toLocaleDateString('en-IN', {
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const getRoute = (entry: EarningEntry): string => {
+    if (typeof entry.rideId === 'string') {
+      return entry.rideId;
+    }
+    return `${entry.rideId.pickup.address} → ${entry.rideId.destination.address}`;
+  };
+
+  return (
+    <div className="earnings-section">
+      {error && (
+        <div className="message error-message">
+          <span className="message-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {summary ? (
+        <>
+          <div className="earnings-summary">
+            <div className="earnings-summary-item">
+              <span className="earnings-summary-label">
+                This week ({formatDate(summary.currentPeriod.periodStart)} – {formatDate(summary.currentPeriod.periodEnd)})
+              </span>
+              <span className="earnings-summary-value">{formatCurrency(summary.currentPeriod.earnings)}</span>
+              <span className="earnings-summary-hint">
+                {summary.currentPeriod.rideCount} rides · {formatCurrency(summary.currentPeriod.commission)} commission
+                {summary.currentPeriod.tips > 0 && ` · ${formatCurrency(summary.currentPeriod.tips)} tips`}
+              </span>
+            </div>
+
+            <div className="earnings-summary-item">
+              <span className="earnings-summary-label">Cash collected</span>
+              <span className="earnings-summary-value">{formatCurrency(summary.currentPeriod.cashCollected)}</span>
+              <span className="earnings-summary-hint">Deducted from your payout</span>
+            </div>
+
+            <div className="earnings-summary-item">
+              <span className="earnings-summary-label">Net payable this week</span>
+              <span className={`earnings-summary-value ${summary.currentPeriod.netPayable + summary.currentPeriod.carriedForward < 0 ? 'negative' : ''}`}>
+                {formatCurrency(summary.currentPeriod.netPayable + summary.currentPeriod.carriedForward)}
+              </span>
+              {summary.currentPeriod.carriedForward < 0 && (
+                <span className="earnings-summary-hint">
+                  Includes {formatCurrency(summary.currentPeriod.carriedForward)} carried forward
+                </span>
+              )}
+            </div>
+
+            <div className="earnings-summary-item">
+              <span className="earnings-summary-label">Awaiting payout</span>
+              <span className="earnings-summary-value">{formatCurrency(summary.pendingPayout.amount)}</span>
+              <span className="earnings-summary-hint">
+                Lifetime earnings {formatCurrency(summary.lifetime.earnings)}
+              </span>
+            </div>
+          </div>
+
+          <p className="form-hint">
+            Platform commission: economy {summary.commissionRates.economy}%, comfort {summary.commissionRates.comfort}%,
+            premium {summary.commissionRates.premium}% of the fare before promo discounts.
+            Payouts are issued weekly for the week ending Monday 00:00 UTC.
+          </p>
+        </>
+      ) : (
+        <div className="stats-loading">
+          <LoadingSpinner size="small" />
+        </div>
+      )}
+
+      <div className="earnings-toolbar">
+        <div className="form-group">
+          <label htmlFor="earningsFrom">From</label>
+          <input type="date" id="earningsFrom" value={fromDate} onChange={handleRangeChange(setFromDate)} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="earningsTo">To</label>
+          <input type="date" id="earningsTo" value={toDate} min={fromDate || undefined} onChange={handleRangeChange(setToDate)} />
+        </div>
+        <button className="btn-secondary" onClick={handleDownload} disabled={isDownloading}>
+          {isDownloading ? 'Preparing...' : 'Download CSV'}
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="stats-loading">
+          <LoadingSpinner size="small" />
+        </div>
+      ) : entries.length === 0 ? (
+        <p className="earnings-empty">No paid rides in this period.</p>
+      ) : (
+        <div className="earnings-table-wrapper">
+          <table className="earnings-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Ride</th>
+                <th>Payment</th>
+                <th>Fare</th>
+                <th>Commission</th>
+                <th>Earning</th>
+                <th>Cash</th>
+                <th>Net</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry._id}>
+                  <td>{formatDate(entry.earnedAt)}</td>
+                  <td className="earnings-route">{getRoute(entry)}</td>
+                  <td>{entry.paymentMethod.toUpperCase()}</td>
+                  {entry.type === 'tip' ? (
+                    <>
+                      <td>Tip</td>
+                      <td>—</td>
+                    </>
+                  ) : (
+                    <>
+                      <td>{formatCurrency(entry.grossFare)}</td>
+                      <td>−{formatCurrency(entry.commission)} ({entry.commissionRate}%)</td>
+                    </>
+                  )}
+                  <td>{formatCurrency(entry.earning)}</td>
+                  <td>{entry.cashCollected > 0 ? `−${formatCurrency(entry.cashCollected)}` : '—'}</td>
+                  <td className={entry.netPayable < 0 ? 'negative' : ''}>{formatCurrency(entry.netPayable)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pages > 1 && (
+        <div className="earnings-pagination">
+          <button className="btn-secondary" onClick={() => setPage(page - 1)} disabled={page === 1}>
+            Previous
+          </button>
+          <span>Page {page} of {pages}</span>
+          <button className="btn-secondary" onClick={() => setPage(page + 1)} disabled={page === pages}>
+            Next
+          </button>
+        </div>
+      )}
+
+      <div className="section-divider">
+        <h3>Payout Statements</h3>
+      </div>
+
+      {payouts.length === 0 ? (
+        <p className="earnings-empty">No payout statements yet. The first one is issued after your first full week.</p>
+      ) : (
+        <ul className="payout-list">
+          {payouts.map(payout => (
+            <li key={payout._id} className="payout-item">
+              <span>
+                {formatDate(payout.periodStart)} – {formatDate(payout.periodEnd)} · {payout.rideCount} rides
+              </span>
+              <span className={payout.netPayable < 0 ? 'negative' : ''}>{formatCurrency(payout.netPayable)}</span>
+              <span className={`payout-status ${payout.status}`}>
+                {earningsService.getPayoutStatusLabel(payout.status)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DriverEarningsSection;
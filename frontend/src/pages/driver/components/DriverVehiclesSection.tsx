@@ -0,0 +1,276 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../../../contexts/AuthContext';
+import { vehicleService, MyVehicles, VehicleDetails } from '../../../services/vehicleService';
+import { LoadingSpinner } from '../../../components/common/LoadingSpinner';
+import { ServiceLevel } from '../../../types';
+
+const EMPTY_FORM: VehicleDetails = {
+  make: '',
+  model: '',
+  plateNumber: '',
+  color: '',
+  year: new Date().getFullYear(),
+  vehicleClass: 'economy'
+};
+
+const DriverVehiclesSection: React.FC = () => {
+  const { user, updateUser } = useAuth();
+  const [data, setData] = useState<MyVehicles | null>(null);
+  const [form, setForm] = useState<VehicleDetails>(EMPTY_FORM);
+  const [showForm, setShowForm] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  const isOnline = Boolean(user?.driverInfo?.isAvailable);
+
+  useEffect(() => {
+    loadVehicles();
+  }, []);
+
+  const loadVehicles = async () => {
+    try {
+      setData(await vehicleService.getMyVehicles());
+    } catch (err: any) {
+      setError(err.message || 'Failed to load your vehicles');
+    }
+  };
+
+  const handleSelect = async (vehicleId: string) => {
+    setBusyId(vehicleId);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const activeVehicle = await vehicleService.selectActiveVehicle(vehicleId);
+      if (user?.driverInfo) {
+        updateUser({ ...user, driverInfo: { ...user.driverInfo, activeVehicle } });
+      }
+      setSuccess('You will drive this vehicle on your next shift');
+      await loadVehicles();
+    } catch (err: any) {
+      setError(err.message || 'Failed to select vehicle');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRetire = async (vehicleId: string) => {
+    if (!window.confirm('Remove this vehicle? It can no longer be selected for shifts.')) {
+      return;
+    }
+
+    setBusyId(vehicleId);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      await vehicleService.retireVehicle(vehicleId);
+      if (user?.driverInfo?.activeVehicle?.vehicleId === vehicleId) {
+        updateUser({ ...user, driverInfo: { ...user.driverInfo, activeVehicle: null } });
+      }
+      setSuccess('Vehicle removed');
+      await loadVehicles();
+    } catch (err: any) {
+      setError(err.message || 'Failed to remove vehicle');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusyId('new');
+    setError(null);
+    setSuccess(null);
+
+    try {
+      await vehicleService.addVehicle(form);
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      setSuccess('Vehicle added. Select it to drive it on your next shift.');
+      await loadVehicles();
+    } catch (err: any) {
+      setError(err.message || 'Failed to add vehicle');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (!data) {
+    return error ? (
+      <div className="message error-message">
+        <span className="message-icon">⚠️</span>
+        {error}
+      </div>
+    ) : (
+      <div className="stats-loading">
+        <LoadingSpinner size="small" />
+      </div>
+    );
+  }
+
+  const activeVehicleId = data.activeVehicle?.vehicleId;
+
+  return (
+    <div className="vehicles-section">
+      {error && (
+        <div className="message error-message">
+          <span className="message-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="message success-message">
+          <span className="message-icon">✅</span>
+          {success}
+        </div>
+      )}
+
+      {data.vehicles.length === 0 ? (
+        <p className="form-hint">
+          You are driving your profile vehicle
+          {data.profileVehicle && ` (${vehicleService.describe(data.profileVehicle)})`}.
+          Add vehicles here if you drive more than one, or ask your fleet operator to assign you theirs.
+        </p>
+      ) : (
+        <p className="form-hint">
+          Select the vehicle you are driving before you go online. You can switch while offline.
+        </p>
+      )}
+
+      <ul className="vehicle-list">
+        {data.vehicles.map(vehicle => {
+          const isActive = vehicle._id === activeVehicleId;
+          const isOwn = vehicle.ownerType === 'driver' && vehicle.owner === user?._id;
+          return (
+            <li key={vehicle._id} className={`vehicle-item ${isActive ? 'vehicle-item-active' : ''}`}>
+              <div className="vehicle-summary">
+                <span className="vehicle-name">{vehicleService.describe(vehicle)}</span>
+                <span className="vehicle-meta">
+                  <span className="vehicle-class">{vehicle.vehicleClass}</span>
+                  {vehicle.ownerType === 'fleet' ? ` · ${vehicle.fleetName}` : ' · Own vehicle'}
+                </span>
+              </div>
+              <div className="vehicle-actions">
+                {isActive ? (
+                  <span className="vehicle-active-label">Active vehicle</span>
+                ) : (
+                  <button
+                    className="btn-secondary"
+                    onClick={() => handleSelect(vehicle._id)}
+                    disabled={isOnline || busyId !== null}
+                    title={isOnline ? 'Go offline to switch vehicles' : undefined}
+                  >
+                    {busyId === vehicle._id ? 'Selecting...' : 'Drive this vehicle'}
+                  </button>
+                )}
+                {isOwn && (
+                  <button
+                    className="btn-secondary"
+                    onClick={() => handleRetire(vehicle._id)}
+                    disabled={busyId !== null || (isActive && isOnline)}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {showForm ? (
+        <form className="vehicle-form" onSubmit={handleAdd}>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="newVehicleMake">Make</label>
+              <input
+                id="newVehicleMake"
+                type="text"
+                value={form.make}
+                onChange={(e) => setForm({ ...form, make: e.target.value })}
+                required
+                maxLength={50}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="newVehicleModel">Model</label>
+              <input
+                id="newVehicleModel"
+                type="text"
+                value={form.model}
+                onChange={(e) => setForm({ ...form, model: e.target.value })}
+                required
+                maxLength={50}
+              />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="newVehiclePlate">Plate Number</label>
+              <input
+                id="newVehiclePlate"
+                type="text"
+                value={form.plateNumber}
+                onChange={(e) => setForm({ ...form, plateNumber: e.target.value.toUpperCase() })}
+                required
+                maxLength={20}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="newVehicleColor">Color</label>
+              <input
+                id="newVehicleColor"
+                type="text"
+                value={form.color}
+                onChange={(e) => setForm({ ...form, color: e.target.value })}
+                required
+                maxLength={30}
+              />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="newVehicleYear">Year</label>
+              <input
+                id="newVehicleYear"
+                type="number"
+                value={form.year}
+                onChange={(e) => setForm({ ...form, year: parseInt(e.target.value, 10) })}
+                min={1990}
+                max={new Date().getFullYear() + 1}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="newVehicleClass">Vehicle Class</label>
+              <select
+                id="newVehicleClass"
+                value={form.vehicleClass}
+                onChange={(e) => setForm({ ...form, vehicleClass: e.target.value as ServiceLevel })}
+              >
+                <option value="economy">Economy</option>
+                <option value="comfort">Comfort</option>
+                <option value="premium">Premium</option>
+              </select>
+            </div>
+          </div>
+          <div className="form-actions">
+            <button type="submit" className="btn-primary" disabled={busyId !== null}>
+              {busyId === 'new' ? 'Adding...' : 'Add Vehicle'}
+            </button>
+            <button type="button" className="btn-secondary" onClick={() => setShowForm(false)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button className="btn-secondary" onClick={() => setShowForm(true)}>
+          Add a Vehicle
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default DriverVehiclesSection;
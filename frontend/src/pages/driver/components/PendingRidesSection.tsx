@@ -4,6 +4,7 @@ import { Ride } from '../../../types';
 interface PendingRidesSectionProps {
   rides: Ride[];
   onAcceptRide: (rideId: string) => void;
+  onDeclineRide: (rideId: string) => void;
   isAvailable: boolean;
   onRefresh: () => void;
 }
@@ -11,6 +12,7 @@ interface PendingRidesSectionProps {
 const PendingRidesSection: React.FC<PendingRidesSectionProps> = ({
   rides,
   onAcceptRide,
+  onDeclineRide,
   isAvailable,
   onRefresh
 }) => {
@@ -34,6 +36,22 @@ const PendingRidesSection: React.FC<PendingRidesSectionProps> = ({
     return `${diffHours}h ago`;
   };
 
+  // Rides offered to this driver are 'matched' and carry a pending offer with a deadline
+  const getOfferDeadline = (ride: Ride): string | null => {
+    if (ride.status !== 'matched') {
+      return null;
+    }
+    const pendingOffer = ride.offers?.find(offer => offer.status === 'pending');
+    if (!pendingOffer?.expiresAt) {
+      return null;
+    }
+    return new Date(pendingOffer.expiresAt).toLocaleTimeString('en-IN', {
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+  };
+
   const formatCurrency = (amount: number) => {
     return new Intl.NumberFormat('en-IN', {
       style: 'currency',
@@ -72,7 +90,13 @@ const PendingRidesSection: React.FC<PendingRidesSectionProps> = ({
       ) : (
         <div className="rides-list">
           {safeRides.map((ride) => (
-            <div key={ride._id} className="ride-card">
+            <div key={ride._id} className={`ride-card ${ride.status === 'matched' ? 'ride-card-offered' : ''}`}>
+              {ride.status === 'matched' && (
+                <div className="offer-banner">
+                  Offered to you
+                  {getOfferDeadline(ride) && <span> · respond by {getOfferDeadline(ride)}</span>}
+                </div>
+              )}
               <div className="ride-header">
                 <span className="ride-time">
                   {formatTimeAgo(ride.timeline.requestedAt)}
@@ -103,6 +127,12 @@ const PendingRidesSection: React.FC<PendingRidesSectionProps> = ({
                 </div>
 
                 <div className="ride-meta">
+                  {!!ride.stops?.length && (
+                    <div className="meta-item">
+                      <span className="meta-label">Stops</span>
+                      <span className="meta-value">{ride.stops.length}</span>
+                    </div>
+                  )}
                   <div className="meta-item">
                     <span className="meta-label">Distance</span>
                     <span className="meta-value">{calculateDistance(ride).toFixed(1)} km</span>
@@ -117,6 +147,14 @@ const PendingRidesSection: React.FC<PendingRidesSectionProps> = ({
               </div>
 
               <div className="ride-actions">
+                {ride.status === 'matched' && (
+                  <button
+                    className="btn btn-outline btn-danger"
+                    onClick={() => onDeclineRide(ride._id)}
+                  >
+                    Decline
+                  </button>
+                )}
                 <button
                   className="btn btn-primary btn-accept"
                   onClick={() => onAcceptRide(ride._id)}
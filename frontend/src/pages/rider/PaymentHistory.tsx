@@ -1,26 +1,58 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { paymentService } from '../../services/paymentService';
+import { paymentService, Dispute, DisputeReason } from '../../services/paymentService';
+import { useSocketEvent } from '../../contexts/SocketContext';
 import { Ride } from '../../types';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import Receipt from '../../components/common/Receipt';
 
+const DISPUTE_REASONS: DisputeReason[] = ['overcharged', 'wrong_route', 'driver_issue', 'payment_issue', 'other'];
+
 const PaymentHistory: React.FC = () => {
   const navigate = useNavigate();
   const [payments, setPayments] = useState<Ride[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string>('');
   const [selectedReceipt, setSelectedReceipt] = useState<any>(null);
+  const [disputes, setDisputes] = useState<Record<string, Dispute>>({});
+  const [notice, setNotice] = useState<string>('');
+
+  // Dispute form
+  const [disputeRide, setDisputeRide] = useState<Ride | null>(null);
+  const [disputeReason, setDisputeReason] = useState<DisputeReason>('overcharged');
+  const [disputeDescription, setDisputeDescription] = useState('');
+  const [disputeError, setDisputeError] = useState<string>('');
+  const [isSubmittingDispute, setIsSubmittingDispute] = useState(false);
 
   useEffect(() => {
     loadPaymentHistory();
   }, []);
 
+  useSocketEvent('payment:refunded', (data) => {
+    setNotice(`${paymentService.formatCurrency(data.amount)} has been refunded to your ${data.destination === 'wallet' ? 'wallet' : 'card'}.`);
+    loadPaymentHistory();
+  });
+
+  useSocketEvent('dispute:resolved', (data) => {
+    if (data.status === 'rejected') {
+      setNotice(`Your dispute was reviewed and closed${data.note ? `: ${data.note}` : '.'}`);
+      loadPaymentHistory();
+    }
+  });
+
   const loadPaymentHistory = async () => {
     try {
       setIsLoading(true);
-      const data = await paymentService.getPaymentHistory(1, 10);
+      const [data, disputeData] = await Promise.all([
+        paymentService.getPaymentHistory(1, 10),
+        paymentService.getDisputes(1, 100)
+      ]);
       setPayments(data.payments);
+      setDisputes(disputeData.disputes.reduce<Record<string, Dispute>>((byRide, dispute) => {
+        const rideId = typeof dispute.rideId === 'string' ? dispute.rideId : dispute.rideId._id;
+        byRide[rideId] = dispute;
+        return byRide;
+      }, {}));
     } catch (error: any) {
       setError(error.message);
     } finally {
@@ -28,6 +60,37 @@ const PaymentHistory: React.FC = () => {
     }
   };
 
+  const openDisputeForm = (ride: Ride) => {
+    setDisputeRide(ride);
+    setDisputeReason('overcharged');
+    setDisputeDescription('');
+    setDisputeError('');
+  };
+
+  const handleSubmitDispute = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!disputeRide) {
+      return;
+    }
+
+    if (disputeDescription.trim().length < 10) {
+      setDisputeError('Please describe the problem in at least 10 characters');
+      return;
+    }
+
+    setIsSubmittingDispute(true);
+    try {
+      const dispute = await paymentService.openDispute(disputeRide._id, disputeReason, disputeDescription.trim());
+      setDisputes(prev => ({ ...prev, [disputeRide._id]: dispute }));
+      setNotice('Your dispute has been submitted. We will notify you once it is reviewed.');
+      setDisputeRide(null);
+    } catch (error: any) {
+      setDisputeError(error.message);
+    } finally {
+      setIsSubmittingDispute(false);
+    }
+  };
+
   const handleViewReceipt = async (rideId: string) => {
     try {
       const receipt = await paymentService.getReceipt(rideId);
@@ -55,6 +118,13 @@ const PaymentHistory: React.FC = () => {
         </div>
       )}
 
+      {notice && (
+        <div className="notice">
+          <p>{notice}</p>
+          <button onClick={() => setNotice('')}>Dismiss</button>
+        </div>
+      )}
+
       {payments.length === 0 ? (
         <div className="empty">
           <p>No payment history found.</p>
@@ -67,12 +137,27 @@ const PaymentHistory: React.FC = () => {
                 <p>{ride.pickup.address} → {ride.destination.address}</p>
                 <p>Status: {ride.payment?.status || 'pending'}</p>
                 <p>Amount: {paymentService.formatCurrency(ride.fare.final || ride.fare.estimated)}</p>
+                {!!ride.payment?.refundedAmount && (
+                  <p className="refunded">Refunded: {paymentService.formatCurrency(ride.payment.refundedAmount)}</p>
+                )}
+                {disputes[ride._id] && (
+                  <p className={`dispute-status ${disputes[ride._id].status}`}>
+                    Dispute: {disputes[ride._id].status.replace('_', ' ')}
+                  </p>
+                )}
+              </div>
+              <div className="payment-actions">
+                {(ride.payment?.status === 'completed' || ride.payment?.status === 'refunded') && (
+                  <button onClick={() => handleViewReceipt(ride._id)}>
+                    View Receipt
+                  </button>
+                )}
+                {ride.payment?.status === 'completed' && !disputes[ride._id] && (
+                  <button className="report-btn" onClick={() => openDisputeForm(ride)}>
+                    Report Issue
+                  </button>
+                )}
               </div>
-              {ride.payment?.status === 'completed' && (
-                <button onClick={() => handleViewReceipt(ride._id)}>
-                  View Receipt
-                </button>
-              )}
             </div>
           ))}
         </div>
@@ -85,6 +170,47 @@ const PaymentHistory: React.FC = () => {
         />
       )}
 
+      {disputeRide && (
+        <div className="dispute-overlay" onClick={() => setDisputeRide(null)}>
+          <form className="dispute-form" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmitDispute}>
+            <h2>Report an Issue</h2>
+            <p className="dispute-ride">{disputeRide.pickup.address} → {disputeRide.destination.address}</p>
+
+            <label htmlFor="disputeReason">What went wrong?</label>
+            <select
+              id="disputeReason"
+              value={disputeReason}
+              onChange={(e) => setDisputeReason(e.target.value as DisputeReason)}
+            >
+              {DISPUTE_REASONS.map(reason => (
+                <option key={reason} value={reason}>{paymentService.getDisputeReasonLabel(reason)}</option>
+              ))}
+            </select>
+
+            <label htmlFor="disputeDescription">Details</label>
+            <textarea
+              id="disputeDescription"
+              rows={4}
+              maxLength={1000}
+              value={disputeDescription}
+              onChange={(e) => setDisputeDescription(e.target.value)}
+              placeholder="Tell us what happened on this trip"
+            />
+
+            {disputeError && <p className="dispute-error">{disputeError}</p>}
+
+            <div className="dispute-actions">
+              <button type="button" onClick={() => setDisputeRide(null)} disabled={isSubmittingDispute}>
+                Cancel
+              </button>
+              <button type="submit" className="submit-btn" disabled={isSubmittingDispute}>
+                {isSubmittingDispute ? 'Submitting...' : 'Submit Dispute'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
       <style>{`
         .payment-history {
           padding: 20px;
@@ -130,6 +256,91 @@ const PaymentHistory: React.FC = () => {
           padding: 60px;
           color: #6c757d;
         }
+        .notice {
+          background: #d4edda;
+          color: #155724;
+          padding: 15px 20px;
+          border-radius: 8px;
+          margin-bottom: 20px;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+        .notice p {
+          margin: 0;
+        }
+        .refunded {
+          color: #28a745;
+        }
+        .dispute-status {
+          text-transform: capitalize;
+          color: #856404;
+        }
+        .dispute-status.resolved {
+          color: #28a745;
+        }
+        .dispute-status.rejected {
+          color: #6c757d;
+        }
+        .payment-actions {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+        .report-btn {
+          color: #dc3545;
+        }
+        .dispute-overlay {
+          position: fixed;
+          inset: 0;
+          background: rgba(0,0,0,0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+        }
+        .dispute-form {
+          background: white;
+          padding: 25px;
+          border-radius: 8px;
+          width: 90%;
+          max-width: 480px;
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
+        }
+        .dispute-form h2 {
+          margin: 0;
+        }
+        .dispute-ride {
+          margin: 0;
+          color: #6c757d;
+          font-size: 14px;
+        }
+        .dispute-form select,
+        .dispute-form textarea {
+          padding: 10px;
+          border: 1px solid #dee2e6;
+          border-radius: 6px;
+          font-size: 14px;
+          font-family: inherit;
+        }
+        .dispute-error {
+          margin: 0;
+          color: #dc3545;
+        }
+        .dispute-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 10px;
+        }
+        .dispute-actions .submit-btn {
+          background: #007bff;
+          color: white;
+          border: none;
+          padding: 8px 16px;
+          border-radius: 6px;
+        }
       `}</style>
     </div>
   );
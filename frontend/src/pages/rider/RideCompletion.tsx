@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { rideService } from '../../services/rideService';
-import { paymentService } from '../../services/paymentService';
+import { paymentService, PaymentResult } from '../../services/paymentService';
 import { Ride } from '../../types';
 import PaymentForm from '../../components/common/PaymentForm';
 import RatingForm from '../../components/common/RatingForm';
@@ -11,6 +11,9 @@ import LoadingSpinner from '../../components/common/LoadingSpinner';
 
 type CompletionStep = 'loading' | 'payment' | 'rating' | 'receipt' | 'complete';
 
+// Receipts are issued once the whole fare is paid; a split fare waits for every share
+const isFullyPaid = (ride: Ride) => ['completed', 'refunded'].includes(ride.payment?.status || '');
+
 const RideCompletion: React.FC = () => {
   const { rideId } = useParams<{ rideId: string }>();
   const navigate = useNavigate();
@@ -50,6 +53,9 @@ const RideCompletion: React.FC = () => {
 
       const isRider = riderIdString === user?._id;
       const isDriver = driverIdString === user?._id;
+      const myShare = rideData.payment?.method === 'split'
+        ? rideData.fareSplit?.shares.find(share => share.userId === user?._id && share.status === 'accepted')
+        : undefined;
 
       console.log('🔍 Authorization check:', {
         riderIdString,
@@ -67,9 +73,12 @@ const RideCompletion: React.FC = () => {
         } else {
           setCurrentStep('rating');
         }
+      } else if (myShare && !isRider) {
+        // Co-riders only pay their share of a split fare
+        setCurrentStep(myShare.payment.status === 'completed' ? 'complete' : 'payment');
       } else if (isRider) {
-        // Rider flow includes payment
-        if (rideData.payment?.status === 'completed') {
+        // Rider flow includes payment (on a split fare, just the rider's own share)
+        if (myShare ? myShare.payment.status === 'completed' : rideData.payment?.status === 'completed') {
           const hasRated = rideData.rating?.driverRating !== null && rideData.rating?.driverRating !== undefined;
           if (hasRated) {
             setCurrentStep('complete');
@@ -90,10 +99,14 @@ const RideCompletion: React.FC = () => {
     }
   };
 
-  const handlePaymentSuccess = (result: { ride: Ride; receipt: any; transactionId: string }) => {
+  const handlePaymentSuccess = (result: PaymentResult) => {
     setRide(result.ride);
-    setReceipt(result.receipt);
-    setCurrentStep('rating');
+    setReceipt(result.receipt || null);
+    // Co-riders who paid their share have nothing left to do
+    const riderId = typeof result.ride.riderId === 'string'
+      ? result.ride.riderId
+      : (result.ride.riderId as any)?._id;
+    setCurrentStep(riderId === user?._id ? 'rating' : 'complete');
   };
 
   const handlePaymentError = (errorMessage: string) => {
@@ -102,6 +115,10 @@ const RideCompletion: React.FC = () => {
 
   const handleRatingSuccess = async (updatedRide: Ride) => {
     setRide(updatedRide);
+    if (!isFullyPaid(updatedRide)) {
+      setCurrentStep('complete');
+      return;
+    }
     // Load receipt before showing receipt step
     if (!receipt) {
       try {
@@ -121,6 +138,10 @@ const RideCompletion: React.FC = () => {
   };
 
   const handleSkipRating = async () => {
+    if (ride && !isFullyPaid(ride)) {
+      setCurrentStep('complete');
+      return;
+    }
     // Load receipt before showing receipt step
     if (!receipt && ride) {
       try {
@@ -274,13 +295,25 @@ const RideCompletion: React.FC = () => {
                     {(ride.payment?.status || 'pending').toUpperCase()}
                   </span>
                 </div>
+                {ride.payment?.method === 'split' && ride.fareSplit && (
+                  <div className="summary-item">
+                    <span>Shares Paid:</span>
+                    <span>
+                      {ride.fareSplit.shares.filter(share => share.status === 'accepted' && share.payment.status === 'completed').length}
+                      {' of '}
+                      {ride.fareSplit.shares.filter(share => share.status === 'accepted').length}
+                    </span>
+                  </div>
+                )}
               </div>
             </div>
 
             <div className="completion-actions">
-              <button onClick={handleViewReceipt} className="btn btn-secondary">
-                View Receipt
-              </button>
+              {(ride.payment?.method !== 'split' || isFullyPaid(ride)) && (
+                <button onClick={handleViewReceipt} className="btn btn-secondary">
+                  View Receipt
+                </button>
+              )}
               {user?.role === 'rider' && (
                 <button onClick={handleBookAnother} className="btn btn-primary">
                   Book Another Ride
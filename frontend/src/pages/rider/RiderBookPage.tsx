@@ -1,11 +1,14 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import MapComponent from '../../components/common/MapComponent';
+import MapComponent, { MapSelectionType } from '../../components/common/MapComponent';
 import { LoadingSpinner } from '../../components/common/LoadingSpinner';
-import { rideService, FareEstimate } from '../../services/rideService';
+import FareSplitPanel from '../../components/common/FareSplitPanel';
+import { rideService, FareEstimate, PromoCheckResult } from '../../services/rideService';
 import { geocodingService, GeocodingResult } from '../../services/geocodingService';
+import { vehicleService } from '../../services/vehicleService';
 import { useAuth } from '../../contexts/AuthContext';
 import { useSocket, useSocketEvent } from '../../contexts/SocketContext';
-import { Ride } from '../../types';
+import { FareSplit, Ride, ServiceLevel, WaitingCharge } from '../../types';
+import { createIdempotencyKey } from '../../utils/idempotency';
 import './RiderBookPage.css';
 
 interface LocationData {
@@ -13,6 +16,27 @@ interface LocationData {
   address: string;
 }
 
+const SERVICE_LEVEL_OPTIONS: { value: ServiceLevel; label: string; description: string }[] = [
+  { value: 'economy', label: 'Economy', description: 'Affordable everyday rides' },
+  { value: 'comfort', label: 'Comfort', description: 'Newer cars with extra legroom' },
+  { value: 'premium', label: 'Premium', description: 'Top-rated drivers in luxury cars' }
+];
+
+// Scheduled rides must be booked at least this far ahead (mirrors RideSchedulerService)
+const MIN_SCHEDULE_AHEAD_MINUTES = 30;
+
+// Intermediate stops per ride (mirrors Ride.MAX_STOPS)
+const MAX_STOPS = 3;
+
+// Statuses in which a stop can still be added to a booked ride
+const STOP_EDITABLE_STATUSES: Ride['status'][] = ['requested', 'matched', 'accepted', 'arrived', 'in_progress'];
+
+// Format a Date for a datetime-local input (local time, minute precision)
+const toDateTimeLocalValue = (date: Date): string => {
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
 const RiderBookPage: React.FC = () => {
   const { user } = useAuth();
   const { isConnected, joinRideRoom, leaveRideRoom } = useSocket();
@@ -28,17 +52,29 @@ const RiderBookPage: React.FC = () => {
   const [currentLocation, setCurrentLocation] = useState<[number, number] | null>(null);
   const [pickup, setPickup] = useState<LocationData | null>(null);
   const [destination, setDestination] = useState<LocationData | null>(null);
-  const [selectionMode, setSelectionMode] = useState<'pickup' | 'destination' | null>(null);
+  const [stops, setStops] = useState<LocationData[]>([]);
+  const [selectionMode, setSelectionMode] = useState<MapSelectionType | null>(null);
   const [driverLocation, setDriverLocation] = useState<[number, number] | null>(null);
   const [route, setRoute] = useState<[number, number][] | null>(null);
   const [routeMetrics, setRouteMetrics] = useState<{ distanceKm: number; durationMin: number } | null>(null);
 
   // Booking states
+  const [serviceLevel, setServiceLevel] = useState<ServiceLevel>('economy');
+  const [scheduleForLater, setScheduleForLater] = useState(false);
+  const [scheduledFor, setScheduledFor] = useState('');
+  // Card bookings pre-authorize the fare up front
+  const [payByCard, setPayByCard] = useState(false);
+  const [holdCardNumber, setHoldCardNumber] = useState('4242424242424242');
   const [fareEstimate, setFareEstimate] = useState<FareEstimate | null>(null);
+  const [promoInput, setPromoInput] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState<PromoCheckResult | null>(null);
+  const [promoError, setPromoError] = useState<string | null>(null);
+  const [isApplyingPromo, setIsApplyingPromo] = useState(false);
   const [isEstimating, setIsEstimating] = useState(false);
   const [isBooking, setIsBooking] = useState(false);
   const [currentRide, setCurrentRide] = useState<Ride | null>(null);
   const [assignedDriver, setAssignedDriver] = useState<any>(null);
+  const [waiting, setWaiting] = useState<WaitingCharge | null>(null);
 
   // Form states
   const [pickupAddress, setPickupAddress] = useState('');
@@ -72,7 +108,7 @@ const RiderBookPage: React.FC = () => {
         // Fetch ride history to check for active rides
         const history = await rideService.getRideHistory(1, 5);
         const activeRide = history.rides.find(ride =>
-          ['requested', 'matched', 'accepted', 'in_progress'].includes(ride.status)
+          ['requested', 'matched', 'accepted', 'arrived', 'in_progress'].includes(ride.status)
         );
 
         if (activeRide) {
@@ -185,14 +221,21 @@ const RiderBookPage: React.FC = () => {
       // Clear any existing route when locations change
       setRoute(null);
     }
-  }, [pickup, destination]);
+  }, [pickup, destination, stops, serviceLevel]);
+
+  // Re-check an applied promo whenever the fare changes (percentage discounts follow the fare)
+  useEffect(() => {
+    if (appliedPromo && fareEstimate) {
+      applyPromo(appliedPromo.code);
+    }
+  }, [fareEstimate]);
 
   // Socket event handlers for real-time updates
   useSocketEvent('ride:driver-assigned', (data) => {
     console.log('🚗 Driver assigned event received:', data);
     if (currentRide && data.rideId === currentRide._id) {
       setSuccessMessage(`Driver assigned! ${data.driver.profile.name} will arrive in ${Math.round(data.estimatedArrival)} minutes.`);
-      setCurrentRide(prev => prev ? { ...prev, driverId: data.driver._id, status: 'accepted' } : null);
+      setCurrentRide(prev => prev ? { ...prev, driverId: data.driver._id, vehicle: data.vehicle, status: 'accepted' } : null);
       setAssignedDriver(data.driver);
       setError(null); // Clear any errors
     }
@@ -222,6 +265,10 @@ const RiderBookPage: React.FC = () => {
           setSuccessMessage('Driver is on the way!');
           setError(null);
           break;
+        case 'arrived':
+          setSuccessMessage('Your driver has arrived at the pickup point.');
+          setError(null);
+          break;
         case 'in_progress':
           setSuccessMessage('Your ride has started. Enjoy your trip!');
           setError(null);
@@ -240,6 +287,27 @@ const RiderBookPage: React.FC = () => {
     }
   });
 
+  // Stops added to the ride (from this or another session) re-estimate the fare
+  useSocketEvent('ride:stops-updated', (data) => {
+    if (currentRide && data.rideId === currentRide._id) {
+      setCurrentRide(prev => prev ? { ...prev, stops: data.stops, fare: { ...prev.fare, estimated: data.estimatedFare } } : null);
+    }
+  });
+
+  // Waiting meter while the driver is at pickup; the last reading stays once the ride starts
+  useSocketEvent('ride:waiting-updated', (data) => {
+    if (currentRide && data.rideId === currentRide._id) {
+      setWaiting(data);
+    }
+  });
+
+  // Sent only to this rider, after the status change, when someone else cancelled their ride
+  useSocketEvent('ride:cancelled', (data) => {
+    if (data.cancelledBy !== 'rider') {
+      setError(`Your ride was cancelled by the ${data.cancelledBy}${data.reason ? `: ${data.reason}` : '.'} You have not been charged.`);
+    }
+  });
+
   // Also listen to status updates emitted by SocketService
   useSocketEvent('ride:status-updated', (data: any) => {
     console.log('📊 Status updated event received:', data);
@@ -253,6 +321,10 @@ const RiderBookPage: React.FC = () => {
           setSuccessMessage('Driver is on the way!');
           setError(null);
           break;
+        case 'arrived':
+          setSuccessMessage('Your driver has arrived at the pickup point.');
+          setError(null);
+          break;
         case 'in_progress':
           setSuccessMessage('Your ride has started. Enjoy your trip!');
           setError(null);
@@ -297,12 +369,20 @@ const RiderBookPage: React.FC = () => {
     setError(null);
 
     try {
-      const estimate = await rideService.getFareEstimate(pickup.coordinates, destination.coordinates);
+      const estimate = await rideService.getFareEstimate(
+        pickup.coordinates,
+        destination.coordinates,
+        serviceLevel,
+        stops.map(stop => stop.coordinates)
+      );
       setFareEstimate(estimate);
 
-      // Fetch real route from OSRM API
+      // Fetch real route from OSRM API, passing the stops as waypoints
       try {
-        const osrmUrl = `https://router.project-osrm.org/route/v1/driving/${pickup.coordinates[0]},${pickup.coordinates[1]};${destination.coordinates[0]},${destination.coordinates[1]}?overview=full&geometries=geojson`;
+        const waypoints = [pickup, ...stops, destination]
+          .map(point => `${point.coordinates[0]},${point.coordinates[1]}`)
+          .join(';');
+        const osrmUrl = `https://router.project-osrm.org/route/v1/driving/${waypoints}?overview=full&geometries=geojson`;
         const response = await fetch(osrmUrl);
         const data = await response.json();
 
@@ -336,7 +416,23 @@ const RiderBookPage: React.FC = () => {
     }
   };
 
-  const handleLocationSelect = async (coordinates: [number, number], type: 'pickup' | 'destination') => {
+  // Add a stop to the booked ride; the server re-estimates the fare for the new route
+  const addStopToRide = async (stop: LocationData) => {
+    if (!currentRide) return;
+
+    try {
+      const ride = await rideService.addStop(currentRide._id, {
+        address: stop.address,
+        coordinates: { type: 'Point', coordinates: stop.coordinates }
+      });
+      setCurrentRide(prev => prev ? { ...prev, stops: ride.stops, fare: ride.fare } : ride);
+      setSuccessMessage(`Stop added: ${stop.address.split(',')[0]}. New fare estimate ${formatCurrency(ride.fare.estimated)}.`);
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const handleLocationSelect = async (coordinates: [number, number], type: MapSelectionType) => {
     // Clear any previous errors
     setError(null);
 
@@ -344,6 +440,18 @@ const RiderBookPage: React.FC = () => {
       const address = await geocodingService.reverseGeocode(coordinates);
       const locationData = { coordinates, address };
 
+      if (type === 'stop') {
+        setSelectionMode(null);
+        if (currentRide) {
+          await addStopToRide(locationData);
+        } else {
+          setStops(prev => [...prev, locationData]);
+          setSuccessMessage(`Stop added: ${address.split(',')[0]}`);
+          setTimeout(() => setSuccessMessage(null), 3000);
+        }
+        return;
+      }
+
       if (type === 'pickup') {
         setPickup(locationData);
         setPickupAddress(address);
@@ -362,7 +470,13 @@ const RiderBookPage: React.FC = () => {
       const fallbackAddress = `${coordinates[1].toFixed(6)}, ${coordinates[0].toFixed(6)}`;
       const locationData = { coordinates, address: fallbackAddress };
 
-      if (type === 'pickup') {
+      if (type === 'stop') {
+        if (currentRide) {
+          await addStopToRide(locationData);
+        } else {
+          setStops(prev => [...prev, locationData]);
+        }
+      } else if (type === 'pickup') {
         setPickup(locationData);
         setPickupAddress(fallbackAddress);
       } else {
@@ -375,6 +489,10 @@ const RiderBookPage: React.FC = () => {
     }
   };
 
+  const removeStop = (index: number) => {
+    setStops(prev => prev.filter((_, stopIndex) => stopIndex !== index));
+  };
+
   const handleAddressSearch = useCallback(async (address: string, type: 'pickup' | 'destination') => {
     if (address.length < 3) {
       if (type === 'pickup') {
@@ -430,6 +548,35 @@ const RiderBookPage: React.FC = () => {
     }
   };
 
+  const applyPromo = async (code: string = promoInput) => {
+    const trimmedCode = code.trim();
+    if (!trimmedCode || !pickup || !fareEstimate) {
+      return;
+    }
+
+    setIsApplyingPromo(true);
+    setPromoError(null);
+
+    try {
+      const result = await rideService.checkPromo(trimmedCode, pickup.coordinates, fareEstimate.totalFare);
+      setAppliedPromo(result);
+    } catch (err: any) {
+      setAppliedPromo(null);
+      setPromoError(err.message);
+    } finally {
+      setIsApplyingPromo(false);
+    }
+  };
+
+  const removePromo = () => {
+    setAppliedPromo(null);
+    setPromoInput('');
+    setPromoError(null);
+  };
+
+  const isQuoteValid = (estimate: FareEstimate): boolean =>
+    !!estimate.quoteId && !!estimate.quoteExpiresAt && new Date(estimate.quoteExpiresAt).getTime() > Date.now();
+
   const bookRide = async () => {
     // Validation
     if (!pickup || !destination || !user) {
@@ -455,6 +602,14 @@ const RiderBookPage: React.FC = () => {
       return;
     }
 
+    if (scheduleForLater) {
+      const earliest = Date.now() + MIN_SCHEDULE_AHEAD_MINUTES * 60000;
+      if (!scheduledFor || new Date(scheduledFor).getTime() < earliest) {
+        setError(`Please choose a pickup time at least ${MIN_SCHEDULE_AHEAD_MINUTES} minutes from now.`);
+        return;
+      }
+    }
+
     setIsBooking(true);
     setError(null);
     setSuccessMessage(null);
@@ -474,10 +629,34 @@ const RiderBookPage: React.FC = () => {
             type: 'Point' as const,
             coordinates: destination.coordinates
           }
-        }
+        },
+        ...(stops.length > 0 && {
+          stops: stops.map(stop => ({
+            address: stop.address,
+            coordinates: { type: 'Point' as const, coordinates: stop.coordinates }
+          }))
+        }),
+        serviceLevel,
+        ...(scheduleForLater && { scheduledFor: new Date(scheduledFor).toISOString() }),
+        // Lock the displayed price for immediate rides while the quote is still valid
+        ...(!scheduleForLater && isQuoteValid(fareEstimate) && { quoteId: fareEstimate.quoteId }),
+        ...(appliedPromo && { promoCode: appliedPromo.code }),
+        ...(payByCard && { paymentMethod: 'mock' as const, paymentDetails: { cardNumber: holdCardNumber } })
       };
 
-      const ride = await rideService.bookRide(rideData);
+      const ride = await rideService.bookRide(rideData, createIdempotencyKey());
+
+      // Scheduled rides are dispatched later by the server; keep the booking form available
+      if (ride.status === 'scheduled') {
+        setScheduleForLater(false);
+        setScheduledFor('');
+        setStops([]);
+        setSuccessMessage(
+          `Ride scheduled for ${new Date(ride.scheduledFor || scheduledFor).toLocaleString('en-IN')}. You can manage it from My Rides.`
+        );
+        return;
+      }
+
       setCurrentRide(ride);
       localStorage.setItem('currentRideId', ride._id);
       setSuccessMessage('Ride booked successfully! Looking for a driver...');
@@ -518,18 +697,27 @@ const RiderBookPage: React.FC = () => {
     if (!currentRide) return;
 
     try {
-      await rideService.cancelRide(currentRide._id, 'Cancelled by rider');
+      const cancelledRide = await rideService.cancelRide(currentRide._id, 'Cancelled by rider');
       leaveRideRoom(currentRide._id);
       localStorage.removeItem('currentRideId');
       setCurrentRide(null);
       setDriverLocation(null);
       setAssignedDriver(null);
-      setSuccessMessage('Ride cancelled successfully.');
+      const fee = cancelledRide.cancellation?.fee || 0;
+      setSuccessMessage(
+        fee > 0
+          ? `Ride cancelled. A cancellation fee of ${formatCurrency(fee)} applies.`
+          : 'Ride cancelled successfully.'
+      );
     } catch (err: any) {
       setError(err.message);
     }
   };
 
+  const handleFareSplitChange = useCallback((fareSplit: FareSplit) => {
+    setCurrentRide(prev => (prev ? { ...prev, fareSplit } : prev));
+  }, []);
+
   const getMapCenter = (): [number, number] => {
     // Temporary fix: Always use Bengaluru until location is manually set
     const bengaluruCoords: [number, number] = [77.5946, 12.9716];
@@ -662,6 +850,13 @@ const RiderBookPage: React.FC = () => {
             height="400px"
             pickup={pickup}
             destination={destination}
+            stops={currentRide
+              ? (currentRide.stops || []).map(stop => ({
+                coordinates: stop.coordinates.coordinates,
+                address: stop.address,
+                reached: !!stop.reachedAt
+              }))
+              : stops}
             driverLocation={driverLocation}
             route={route}
             onLocationSelect={handleLocationSelect}
@@ -728,6 +923,36 @@ const RiderBookPage: React.FC = () => {
                   </div>
                 </div>
 
+                <div className="input-group">
+                  <label>Stops ({stops.length}/{MAX_STOPS})</label>
+                  {stops.length > 0 && (
+                    <ol className="stop-list">
+                      {stops.map((stop, index) => (
+                        <li key={`${stop.coordinates.join(',')}-${index}`} className="stop-item">
+                          <span>{stop.address}</span>
+                          <button
+                            type="button"
+                            className="stop-remove-btn"
+                            onClick={() => removeStop(index)}
+                            disabled={isBooking}
+                            title="Remove stop"
+                          >
+                            ×
+                          </button>
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => setSelectionMode(selectionMode === 'stop' ? null : 'stop')}
+                    className={`add-stop-btn ${selectionMode === 'stop' ? 'active' : ''}`}
+                    disabled={stops.length >= MAX_STOPS || isBooking}
+                  >
+                    {selectionMode === 'stop' ? 'Click the map to place the stop' : '+ Add stop'}
+                  </button>
+                </div>
+
                 <div className="input-group">
                   <label>Destination</label>
                   <div className="input-with-button">
@@ -766,6 +991,112 @@ const RiderBookPage: React.FC = () => {
                 </div>
               </div>
 
+              <div className="service-level-selector">
+                <label>Ride Type</label>
+                <div className="service-level-options">
+                  {SERVICE_LEVEL_OPTIONS.map((option) => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      className={`service-level-option ${serviceLevel === option.value ? 'active' : ''}`}
+                      onClick={() => setServiceLevel(option.value)}
+                      disabled={isEstimating || isBooking}
+                    >
+                      <span className="service-level-name">{option.label}</span>
+                      <span className="service-level-description">{option.description}</span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="schedule-selector">
+                <label className="schedule-toggle">
+                  <input
+                    type="checkbox"
+                    checked={scheduleForLater}
+                    onChange={(e) => setScheduleForLater(e.target.checked)}
+                    disabled={isBooking}
+                  />
+                  Schedule for later
+                </label>
+                {scheduleForLater && (
+                  <input
+                    type="datetime-local"
+                    className="schedule-input"
+                    value={scheduledFor}
+                    min={toDateTimeLocalValue(new Date(Date.now() + MIN_SCHEDULE_AHEAD_MINUTES * 60000))}
+                    onChange={(e) => setScheduledFor(e.target.value)}
+                    disabled={isBooking}
+                  />
+                )}
+              </div>
+
+              <div className="card-hold-selector">
+                <label className="schedule-toggle">
+                  <input
+                    type="checkbox"
+                    checked={payByCard}
+                    onChange={(e) => setPayByCard(e.target.checked)}
+                    disabled={isBooking}
+                  />
+                  Pay by card
+                </label>
+                {payByCard && (
+                  <>
+                    <input
+                      type="text"
+                      className="schedule-input"
+                      value={holdCardNumber}
+                      placeholder="Test card number"
+                      maxLength={16}
+                      onChange={(e) => setHoldCardNumber(e.target.value.replace(/\D/g, ''))}
+                      disabled={isBooking}
+                    />
+                    <div className="card-hold-note">
+                      We authorize up to the peak fare for this trip now and charge only the final fare when it ends.
+                      Cancelling releases the hold.
+                    </div>
+                  </>
+                )}
+              </div>
+
+              <div className="promo-entry">
+                <label htmlFor="promo-code">Promo Code</label>
+                {appliedPromo ? (
+                  <div className="promo-applied">
+                    <span>
+                      <strong>{appliedPromo.code}</strong> applied
+                      {appliedPromo.description ? ` - ${appliedPromo.description}` : ''}
+                    </span>
+                    <button type="button" className="promo-remove-btn" onClick={removePromo} disabled={isBooking}>
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <div className="promo-input-row">
+                    <input
+                      id="promo-code"
+                      type="text"
+                      className="promo-input"
+                      value={promoInput}
+                      placeholder="Enter code"
+                      maxLength={20}
+                      onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
+                      disabled={isBooking || isApplyingPromo}
+                    />
+                    <button
+                      type="button"
+                      className="promo-apply-btn"
+                      onClick={() => applyPromo()}
+                      disabled={!promoInput.trim() || !fareEstimate || isApplyingPromo || isBooking}
+                    >
+                      {isApplyingPromo ? 'Applying...' : 'Apply'}
+                    </button>
+                  </div>
+                )}
+                {promoError && <div className="promo-error">{promoError}</div>}
+              </div>
+
               {isEstimating && pickup && destination && (
                 <div className="fare-estimate">
                   <h3>Calculating Fare...</h3>
@@ -798,10 +1129,27 @@ const RiderBookPage: React.FC = () => {
                         <span>+{formatCurrency(fareEstimate.surgeFare)}</span>
                       </div>
                     )}
+                    {fareEstimate.stopFare > 0 && (
+                      <div className="fare-item">
+                        <span>Stops ({fareEstimate.stops}):</span>
+                        <span>+{formatCurrency(fareEstimate.stopFare)}</span>
+                      </div>
+                    )}
+                    {appliedPromo && (
+                      <div className="fare-item discount">
+                        <span>Promo ({appliedPromo.code}):</span>
+                        <span>-{formatCurrency(appliedPromo.discount)}</span>
+                      </div>
+                    )}
                     <div className="fare-total">
                       <span>Total:</span>
-                      <span>{formatCurrency(fareEstimate.totalFare)}</span>
+                      <span>{formatCurrency(appliedPromo ? appliedPromo.fareAfterDiscount : fareEstimate.totalFare)}</span>
                     </div>
+                    {fareEstimate.quoteExpiresAt && !scheduleForLater && (
+                      <div className="fare-lock-note">
+                        Price locked until {new Date(fareEstimate.quoteExpiresAt).toLocaleTimeString('en-IN')}
+                      </div>
+                    )}
                   </div>
                 </div>
               )}
@@ -818,7 +1166,7 @@ const RiderBookPage: React.FC = () => {
                       Booking Ride...
                     </>
                   ) : (
-                    'Book Ride'
+                    scheduleForLater ? 'Schedule Ride' : 'Book Ride'
                   )}
                 </button>
               </div>
@@ -828,22 +1176,45 @@ const RiderBookPage: React.FC = () => {
               <h3>Current Ride</h3>
               <div className="ride-details">
                 <p><strong>From:</strong> {currentRide.pickup?.address ?? `${currentRide.pickup?.coordinates?.coordinates?.[1] ?? ''}, ${currentRide.pickup?.coordinates?.coordinates?.[0] ?? ''}`}</p>
+                {currentRide.stops?.map((stop, index) => (
+                  <p key={`${stop.address}-${index}`} className={stop.reachedAt ? 'stop-reached' : ''}>
+                    <strong>Stop {index + 1}:</strong> {stop.address}{stop.reachedAt ? ' ✓' : ''}
+                  </p>
+                ))}
                 <p><strong>To:</strong> {currentRide.destination?.address ?? `${currentRide.destination?.coordinates?.coordinates?.[1] ?? ''}, ${currentRide.destination?.coordinates?.coordinates?.[0] ?? ''}`}</p>
                 <p><strong>Status:</strong> <span className={`status ${currentRide.status || ''}`}>{currentRide.status ? currentRide.status.replace('_', ' ') : 'Unknown'}</span></p>
+                <p><strong>Ride Type:</strong> <span className="service-level-tag">{currentRide.serviceLevel || 'economy'}</span></p>
                 {currentRide.fare && (
                   <p><strong>Fare:</strong> {formatCurrency(currentRide.fare.estimated)}</p>
                 )}
+                {currentRide.payment?.hold && (
+                  <p><strong>Card hold:</strong> {formatCurrency(currentRide.payment.hold.amount)} ({currentRide.payment.hold.status})</p>
+                )}
                 {assignedDriver && (
                   <>
                     <p><strong>Driver:</strong> {assignedDriver.profile.name}</p>
                     <p><strong>Phone:</strong> {assignedDriver.phone}</p>
-                    {assignedDriver.driverInfo?.vehicleDetails && (
-                      <p><strong>Vehicle:</strong> {assignedDriver.driverInfo.vehicleDetails.color} {assignedDriver.driverInfo.vehicleDetails.make} {assignedDriver.driverInfo.vehicleDetails.model} ({assignedDriver.driverInfo.vehicleDetails.plateNumber})</p>
+                    {(currentRide.vehicle || assignedDriver.driverInfo?.vehicleDetails) && (
+                      <p><strong>Vehicle:</strong> {vehicleService.describe(currentRide.vehicle || assignedDriver.driverInfo.vehicleDetails)}</p>
                     )}
                   </>
                 )}
               </div>
 
+              {STOP_EDITABLE_STATUSES.includes(currentRide.status) && (currentRide.stops?.length || 0) < MAX_STOPS && (
+                <button
+                  type="button"
+                  onClick={() => setSelectionMode(selectionMode === 'stop' ? null : 'stop')}
+                  className={`add-stop-btn ${selectionMode === 'stop' ? 'active' : ''}`}
+                >
+                  {selectionMode === 'stop' ? 'Click the map to place the stop' : '+ Add a stop'}
+                </button>
+              )}
+
+              {['scheduled', 'requested', 'matched', 'accepted', 'arrived', 'in_progress'].includes(currentRide.status) && (
+                <FareSplitPanel ride={currentRide} onSplitChange={handleFareSplitChange} />
+              )}
+
               <div className="ride-actions">
                 {currentRide.status === 'requested' ? (
                   <>
@@ -866,8 +1237,29 @@ const RiderBookPage: React.FC = () => {
                       Cancel Ride
                     </button>
                   </>
+                ) : currentRide.status === 'arrived' ? (
+                  <>
+                    <p>📍 Your driver is waiting at the pickup point</p>
+                    {waiting?.rideId === currentRide._id && (
+                      <p className="waiting-meter">
+                        {waiting.waitingFare > 0
+                          ? `Waiting charge: ${formatCurrency(waiting.waitingFare)} (${formatCurrency(waiting.ratePerMinute)}/min after ${waiting.freeMinutes} free minutes)`
+                          : waiting.freeUntil
+                            ? `Free waiting until ${new Date(waiting.freeUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}, then ${formatCurrency(waiting.ratePerMinute)}/min`
+                            : `First ${waiting.freeMinutes} minutes of waiting are free`}
+                      </p>
+                    )}
+                    <button onClick={cancelRide} className="cancel-btn">
+                      Cancel Ride
+                    </button>
+                  </>
                 ) : currentRide.status === 'in_progress' ? (
-                  <p>✅ Enjoy your ride!</p>
+                  <>
+                    <p>✅ Enjoy your ride!</p>
+                    {waiting?.rideId === currentRide._id && waiting.waitingFare > 0 && (
+                      <p className="waiting-meter">Waiting charge added to your fare: {formatCurrency(waiting.waitingFare)}</p>
+                    )}
+                  </>
                 ) : (
                   <button
                     onClick={() => {
@@ -1,15 +1,22 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { rideService } from '../../services/rideService';
 import { paymentService } from '../../services/paymentService';
 import { LoadingSpinner } from '../../components/common/LoadingSpinner';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocketEvent } from '../../contexts/SocketContext';
 import { Ride } from '../../types';
 import Receipt from '../../components/common/Receipt';
+import RideTimeline from '../../components/common/RideTimeline';
+import TripReplay from '../../components/common/TripReplay';
 import './RiderMyRides.css';
 
 const RiderMyRides: React.FC = () => {
     const navigate = useNavigate();
+    const { user } = useAuth();
     const [rides, setRides] = useState<Ride[]>([]);
+    // Rides other riders have invited this rider to split the fare of
+    const [invitations, setInvitations] = useState<Ride[]>([]);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState<string | null>(null);
     const [filterStatus, setFilterStatus] = useState<string>('all');
@@ -23,6 +30,30 @@ const RiderMyRides: React.FC = () => {
         fetchRides();
     }, [currentPage]);
 
+    const fetchInvitations = useCallback(async () => {
+        try {
+            setInvitations(await rideService.getFareSplitInvitations());
+        } catch (err) {
+            console.error('Failed to load fare split invitations:', err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchInvitations();
+    }, [fetchInvitations]);
+
+    useSocketEvent('fare-split:invited', fetchInvitations);
+    useSocketEvent('fare-split:due', fetchInvitations);
+
+    const handleRespondToSplit = async (rideId: string, accept: boolean) => {
+        try {
+            await rideService.respondToFareSplit(rideId, accept);
+            fetchInvitations();
+        } catch (err: any) {
+            alert(err.message || 'Failed to respond to the invitation');
+        }
+    };
+
     const fetchRides = async () => {
         try {
             setIsLoading(true);
@@ -47,6 +78,10 @@ const RiderMyRides: React.FC = () => {
                 return 'status-badge status-in-progress';
             case 'accepted':
                 return 'status-badge status-accepted';
+            case 'arrived':
+                return 'status-badge status-arrived';
+            case 'scheduled':
+                return 'status-badge status-scheduled';
             case 'requested':
             case 'matched':
                 return 'status-badge status-requested';
@@ -110,7 +145,12 @@ const RiderMyRides: React.FC = () => {
         }
 
         try {
-            await rideService.cancelRide(rideId, 'Cancelled by rider');
+            const ride = rides.find(r => r._id === rideId);
+            if (ride?.status === 'scheduled') {
+                await rideService.cancelScheduledRide(rideId, 'Cancelled by rider');
+            } else {
+                await rideService.cancelRide(rideId, 'Cancelled by rider');
+            }
             fetchRides(); // Refresh the list
         } catch (err: any) {
             alert(err.message || 'Failed to cancel ride');
@@ -137,6 +177,52 @@ const RiderMyRides: React.FC = () => {
                 </div>
             )}
 
+            {invitations.length > 0 && (
+                <div className="split-invitations">
+                    <h2>Shared Fares</h2>
+                    {invitations.map((ride) => {
+                        const share = ride.fareSplit?.shares.find(s => s.userId === user?._id);
+                        if (!share) return null;
+                        const bookedBy = (ride.riderId as any)?.profile?.name || 'A rider';
+                        const canPay = ride.status === 'completed' && ride.payment?.method === 'split'
+                            && share.status === 'accepted' && share.payment.status !== 'completed';
+
+                        return (
+                            <div key={ride._id} className="split-invitation">
+                                <div className="split-invitation-details">
+                                    <strong>{bookedBy}</strong> · {ride.pickup.address} → {ride.destination.address}
+                                    <span className="split-invitation-status">
+                                        {share.amount
+                                            ? `Your share ${formatCurrency(share.amount)} · ${share.payment.status === 'completed' ? 'paid' : 'unpaid'}`
+                                            : share.status === 'invited' ? 'Invited to split the fare' : `Invitation ${share.status}`}
+                                    </span>
+                                </div>
+                                <div className="split-invitation-actions">
+                                    {share.status === 'invited' && ride.status !== 'completed' && ride.status !== 'cancelled' && (
+                                        <>
+                                            <button className="btn-secondary btn-sm" onClick={() => handleRespondToSplit(ride._id, false)}>
+                                                Decline
+                                            </button>
+                                            <button className="btn-primary btn-sm" onClick={() => handleRespondToSplit(ride._id, true)}>
+                                                Accept
+                                            </button>
+                                        </>
+                                    )}
+                                    {canPay && (
+                                        <button
+                                            className="btn-primary btn-sm"
+                                            onClick={() => navigate(`/rider/completion/${ride._id}`)}
+                                        >
+                                            Pay Your Share
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
             <div className="rides-filters">
                 <button
                     className={filterStatus === 'all' ? 'filter-btn active' : 'filter-btn'}
@@ -144,6 +230,12 @@ const RiderMyRides: React.FC = () => {
                 >
                     All Rides
                 </button>
+                <button
+                    className={filterStatus === 'scheduled' ? 'filter-btn active' : 'filter-btn'}
+                    onClick={() => setFilterStatus('scheduled')}
+                >
+                    Upcoming
+                </button>
                 <button
                     className={filterStatus === 'completed' ? 'filter-btn active' : 'filter-btn'}
                     onClick={() => setFilterStatus('completed')}
@@ -186,7 +278,11 @@ const RiderMyRides: React.FC = () => {
                                     <span className={getStatusBadgeClass(ride.status)}>
                                         {ride.status.replace('_', ' ').toUpperCase()}
                                     </span>
-                                    <span className="ride-date">{formatDate(ride.timeline.requestedAt)}</span>
+                                    <span className="ride-date">
+                                        {ride.status === 'scheduled' && ride.scheduledFor
+                                            ? `Pickup ${formatDate(ride.scheduledFor)}`
+                                            : formatDate(ride.timeline.requestedAt)}
+                                    </span>
                                 </div>
 
                                 <div className="ride-card-body">
@@ -237,7 +333,7 @@ const RiderMyRides: React.FC = () => {
                                         View Details
                                     </button>
 
-                                    {(ride.status === 'requested' || ride.status === 'matched') && (
+                                    {(ride.status === 'scheduled' || ride.status === 'requested' || ride.status === 'matched') && (
                                         <button
                                             className="btn-danger btn-sm"
                                             onClick={() => handleCancelRide(ride._id)}
@@ -284,6 +380,12 @@ const RiderMyRides: React.FC = () => {
                                                     {selectedRide.status.replace('_', ' ').toUpperCase()}
                                                 </span>
                                             </div>
+                                            {selectedRide.scheduledFor && (
+                                                <div className="detail-item">
+                                                    <span className="detail-label">Scheduled Pickup:</span>
+                                                    <span>{formatDate(selectedRide.scheduledFor)}</span>
+                                                </div>
+                                            )}
                                             <div className="detail-item">
                                                 <span className="detail-label">Requested At:</span>
                                                 <span>{formatDate(selectedRide.timeline.requestedAt)}</span>
@@ -320,6 +422,16 @@ const RiderMyRides: React.FC = () => {
                                                     <span className="detail-value-highlight">{formatCurrency(selectedRide.fare.final)}</span>
                                                 </div>
                                             )}
+                                            {selectedRide.cancellation && selectedRide.cancellation.fee > 0 && (
+                                                <div className="detail-item">
+                                                    <span className="detail-label">Cancellation Fee:</span>
+                                                    <span>
+                                                        {formatCurrency(selectedRide.cancellation.fee)}
+                                                        {selectedRide.cancellation.feePayment?.status === 'completed' && ' (charged)'}
+                                                        {selectedRide.cancellation.feePayment?.status === 'owed' && ' (owed)'}
+                                                    </span>
+                                                </div>
+                                            )}
                                         </div>
 
                                         {selectedRide.payment && (
@@ -355,6 +467,11 @@ const RiderMyRides: React.FC = () => {
                                         )}
                                     </div>
                                 )}
+
+                                {!loadingReceipt && selectedRide.status === 'completed' && (
+                                    <TripReplay rideId={selectedRide._id} />
+                                )}
+                                {!loadingReceipt && <RideTimeline rideId={selectedRide._id} />}
                             </div>
                         </div>
                     )}
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { userService, UserStats } from '../../services/userService';
 import { LoadingSpinner } from '../../components/common/LoadingSpinner';
+import NotificationPreferencesSection from '../../components/common/NotificationPreferencesSection';
 import './RiderProfile.css';
 
 const RiderProfile: React.FC = () => {
@@ -249,6 +250,14 @@ const RiderProfile: React.FC = () => {
                         )}
                     </div>
 
+                    {/* Notifications Card */}
+                    <div className="profile-card">
+                        <div className="card-header">
+                            <h2>Notifications</h2>
+                        </div>
+                        <NotificationPreferencesSection />
+                    </div>
+
                     {/* Security Card */}
                     <div className="profile-card">
                         <div className="card-header">
@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { walletService, Wallet, WalletTransaction, WalletTransactionType } from '../../services/walletService';
+import { paymentService } from '../../services/paymentService';
+import { LoadingSpinner } from '../../components/common/LoadingSpinner';
+import { useSocketEvent } from '../../contexts/SocketContext';
+import { createIdempotencyKey } from '../../utils/idempotency';
+import './RiderWallet.css';
+
+const TOPUP_PRESETS = [100, 250, 500, 1000];
+const PAGE_SIZE = 10;
+
+const RiderWallet: React.FC = () => {
+    const [wallet, setWallet] = useState<Wallet | null>(null);
+    const [transactions, setTransactions] = useState<WalletTransaction[]>([]);
+    const [typeFilter, setTypeFilter] = useState<WalletTransactionType | ''>('');
+    const [page, setPage] = useState(1);
+    const [totalPages, setTotalPages] = useState(1);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState<string | null>(null);
+    const [successMessage, setSuccessMessage] = useState<string | null>(null);
+
+    // Top-up form states
+    const [amount, setAmount] = useState('');
+    const [cardNumber, setCardNumber] = useState('4242424242424242');
+    const [isToppingUp, setIsToppingUp] = useState(false);
+
+    const loadStatement = useCallback(async () => {
+        try {
+            setIsLoading(true);
+            const data = await walletService.getStatement(page, PAGE_SIZE, typeFilter || undefined);
+            setWallet(data.wallet);
+            setTransactions(data.transactions);
+            setTotalPages(Math.max(data.pagination.pages, 1));
+        } catch (err: any) {
+            setError(err.message || 'Failed to load wallet');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [page, typeFilter]);
+
+    useEffect(() => {
+        loadStatement();
+    }, [loadStatement]);
+
+    // Top-ups confirmed asynchronously by the payment gateway
+    const handleToppedUp = useCallback((data: { amount: number }) => {
+        setSuccessMessage(`${paymentService.formatCurrency(data.amount)} added to your wallet`);
+        loadStatement();
+    }, [loadStatement]);
+
+    const handleTopUpFailed = useCallback((data: { message: string }) => {
+        setSuccessMessage(null);
+        setError(data.message);
+    }, []);
+
+    useSocketEvent('wallet:topped-up', handleToppedUp);
+    useSocketEvent('wallet:topup-failed', handleTopUpFailed);
+
+    const handleTopUp = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setError(null);
+        setSuccessMessage(null);
+
+        const value = parseFloat(amount);
+        if (isNaN(value) || value < 10 || value > 10000) {
+            setError('Enter an amount between ₹10 and ₹10,000');
+            return;
+        }
+
+        setIsToppingUp(true);
+
+        try {
+            const result = await walletService.topUp(
+                { amount: value, paymentDetails: { cardNumber } },
+                createIdempotencyKey()
+            );
+            setAmount('');
+            if (result.status === 'pending') {
+                setSuccessMessage(result.message || 'Top-up is being confirmed');
+                return;
+            }
+            setWallet(result.wallet);
+            setSuccessMessage(`${paymentService.formatCurrency(value)} added to your wallet`);
+            if (page === 1) {
+                await loadStatement();
+            } else {
+                setPage(1);
+            }
+        } catch (err: any) {
+            setError(err.message || 'Failed to top up wallet');
+        } finally {
+            setIsToppingUp(false);
+        }
+    };
+
+    const handleFilterChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+        setTypeFilter(e.target.value as WalletTransactionType | '');
+        setPage(1);
+    };
+
+    const describeTransaction = (transaction: WalletTransaction) => {
+        if (transaction.rideId) {
+            return `${transaction.rideId.pickup.address} → ${transaction.rideId.destination.address}`;
+        }
+        return transaction.description || walletService.getTransactionLabel(transaction.type);
+    };
+
+    if (isLoading && !wallet) {
+        return <LoadingSpinner message="Loading wallet..." />;
+    }
+
+    return (
+        <div className="rider-wallet">
+            <h1>My Wallet</h1>
+
+            {error && (
+                <div className="message error-message">
+                    <span className="message-icon">⚠️</span>
+                    {error}
+                </div>
+            )}
+
+            {successMessage && (
+                <div className="message success-message">
+                    <span className="message-icon">✅</span>
+                    {successMessage}
+                </div>
+            )}
+
+            <div className="wallet-summary">
+                <div className="wallet-balance-card">
+                    <span className="balance-label">Available Balance</span>
+                    <span className="balance-amount">{paymentService.formatCurrency(wallet?.balance || 0)}</span>
+                    {wallet && (
+                        <span className="balance-limit">
+                            Maximum balance {paymentService.formatCurrency(wallet.maxBalance)}
+                        </span>
+                    )}
+                </div>
+
+                <form className="wallet-topup-card" onSubmit={handleTopUp}>
+                    <h2>Add Money</h2>
+                    <div className="topup-presets">
+                        {TOPUP_PRESETS.map(preset => (
+                            <button
+                                key={preset}
+                                type="button"
+                                className={`topup-preset ${amount === String(preset) ? 'selected' : ''}`}
+                                onClick={() => setAmount(String(preset))}
+                            >
+                                ₹{preset}
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="topupAmount">Amount (₹)</label>
+                        <input
+                            type="number"
+                            id="topupAmount"
+                            min={10}
+                            max={10000}
+                            step="0.01"
+                            value={amount}
+                            onChange={(e) => setAmount(e.target.value)}
+                            placeholder="Enter amount"
+                        />
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="topupCard">Test Card</label>
+                        <select id="topupCard" value={cardNumber} onChange={(e) => setCardNumber(e.target.value)}>
+                            {paymentService.getMockPaymentScenarios().map(scenario => (
+                                <option key={scenario.cardNumber} value={scenario.cardNumber}>
+                                    {scenario.cardNumber} - {scenario.description}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <button type="submit" className="btn-primary" disabled={isToppingUp || !amount}>
+                        {isToppingUp ? 'Processing...' : 'Add Money'}
+                    </button>
+                </form>
+            </div>
+
+            <div className="wallet-statement">
+                <div className="statement-header">
+                    <h2>Statement</h2>
+                    <select value={typeFilter} onChange={handleFilterChange} aria-label="Filter transactions">
+                        <option value="">All transactions</option>
+                        <option value="topup">Top-ups</option>
+                        <option value="ride_payment">Ride payments</option>
+                        <option value="refund">Refunds</option>
+                        <option value="tip">Tips</option>
+                        <option value="cancellation_fee">Cancellation fees</option>
+                    </select>
+                </div>
+
+                {transactions.length === 0 ? (
+                    <p className="statement-empty">No wallet transactions yet.</p>
+                ) : (
+                    <table className="statement-table">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Type</th>
+                                <th>Details</th>
+                                <th className="amount-column">Amount</th>
+                                <th className="amount-column">Balance</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {transactions.map(transaction => (
+                                <tr key={transaction._id}>
+                                    <td>{new Date(transaction.createdAt).toLocaleString()}</td>
+                                    <td>{walletService.getTransactionLabel(transaction.type)}</td>
+                                    <td className="statement-details">{describeTransaction(transaction)}</td>
+                                    <td className={`amount-column ${transaction.direction}`}>
+                                        {transaction.direction === 'credit' ? '+' : '-'}
+                                        {paymentService.formatCurrency(transaction.amount)}
+                                    </td>
+                                    <td className="amount-column">{paymentService.formatCurrency(transaction.balanceAfter)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+
+                {totalPages > 1 && (
+                    <div className="statement-pagination">
+                        <button onClick={() => setPage(page - 1)} disabled={page <= 1 || isLoading}>
+                            Previous
+                        </button>
+                        <span>Page {page} of {totalPages}</span>
+                        <button onClick={() => setPage(page + 1)} disabled={page >= totalPages || isLoading}>
+                            Next
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default RiderWallet;
@@ -1,4 +1,5 @@
 import { apiClient } from './apiClient';
+import { RideVehicle } from '../types';
 
 export interface User {
   _id: string;
@@ -62,7 +63,9 @@ export interface Ride {
       };
     };
   };
-  status: 'requested' | 'matched' | 'accepted' | 'in_progress' | 'completed' | 'cancelled';
+  vehicle?: RideVehicle | null;
+  status: 'scheduled' | 'requested' | 'matched' | 'accepted' | 'arrived' | 'in_progress' | 'completed' | 'cancelled';
+  scheduledFor?: string;
   pickup: {
     address: string;
     coordinates: {
@@ -131,12 +131,13 @@ class AuthService {
     }
   }
 
-  // Forgot password
-  async forgotPassword(email: string): Promise<ApiResponse> {
+  // Forgot password: admins reset by email, riders and drivers by phone
+  async forgotPassword(emailOrPhone: string): Promise<ApiResponse> {
     try {
-      const response = await apiClient.post('/auth/forgot-password', {
-        email,
-      });
+      const response = await apiClient.post(
+        '/auth/forgot-password',
+        emailOrPhone.includes('@') ? { email: emailOrPhone } : { phone: emailOrPhone }
+      );
       return response.data;
     } catch (error: any) {
       return {
@@ -150,6 +151,26 @@ class AuthService {
     }
   }
 
+  // Reset password with the single-use token from the reset link
+  async resetPassword(token: string, password: string): Promise<ApiResponse> {
+    try {
+      const response = await apiClient.post('/auth/reset-password', {
+        token,
+        password,
+      });
+      return response.data;
+    } catch (error: any) {
+      return {
+        success: false,
+        error: {
+          code: error.response?.data?.error?.code || 'RESET_PASSWORD_ERROR',
+          message: error.response?.data?.error?.message || 'Password reset failed',
+          timestamp: new Date().toISOString(),
+        },
+      };
+    }
+  }
+
   // Get OTP for development (dev-only endpoint)
   async getDevOTP(phone: string): Promise<ApiResponse<{ otp: string }>> {
     if (!import.meta.env.DEV) {
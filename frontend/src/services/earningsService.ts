@@ -0,0 +1,190 @@
+import { apiClient } from './apiClient';
+import { ApiResponse, ServiceLevel } from '../types';
+
+export interface EarningsTotals {
+  rideCount: number;
+  grossFares: number;
+  commission: number;
+  earnings: number;
+  tips: number;
+  cashCollected: number;
+  netPayable: number;
+}
+
+export interface EarningsSummary {
+  currentPeriod: EarningsTotals & {
+    periodStart: string;
+    periodEnd: string;
+    carriedForward: number;
+  };
+  lifetime: EarningsTotals;
+  pendingPayout: {
+    amount: number;
+    statements: number;
+  };
+  commissionRates: Record<ServiceLevel, number>;
+}
+
+export interface EarningEntry {
+  _id: string;
+  rideId: {
+    _id: string;
+    pickup: { address: string };
+    destination: { address: string };
+  } | string;
+  type: 'ride' | 'tip' | 'cancellation_fee';
+  serviceLevel: ServiceLevel;
+  paymentMethod: 'cash' | 'card' | 'wallet' | 'mock' | 'split';
+  // Fare before promo discounts, without the GST in `tax`
+  grossFare: number;
+  promoDiscount: number;
+  tax: number;
+  commissionRate: number;
+  commission: number;
+  tip: number;
+  earning: number;
+  cashCollected: number;
+  netPayable: number;
+  payoutId?: string | null;
+  earnedAt: string;
+}
+
+export type PayoutStatus = 'pending' | 'paid' | 'carried_forward';
+
+export interface Payout {
+  _id: string;
+  driverId: string | { _id: string; profile: { name: string }; phone?: string };
+  periodStart: string;
+  periodEnd: string;
+  rideCount: number;
+  grossFares: number;
+  commission: number;
+  earnings: number;
+  tips: number;
+  cashCollected: number;
+  carriedForward: number;
+  netPayable: number;
+  status: PayoutStatus;
+  paidAt?: string | null;
+  reference?: string | null;
+}
+
+export interface EarningsDateRange {
+  from?: string;
+  to?: string;
+}
+
+interface Pagination {
+  page: number;
+  limit: number;
+  total: number;
+  pages: number;
+}
+
+class EarningsService {
+  /**
+   * Get the driver's earnings summary
+   */
+  async getSummary(): Promise<EarningsSummary> {
+    try {
+      const response = await apiClient.get<ApiResponse<EarningsSummary>>('/earnings');
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get earnings');
+      }
+    } catch (error: any) {
+      console.error('Get earnings error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get earnings');
+    }
+  }
+
+  /**
+   * Get the driver's per-ride earnings entries
+   */
+  async getEntries(
+    page = 1,
+    limit = 20,
+    range: EarningsDateRange = {}
+  ): Promise<{ entries: EarningEntry[]; pagination: Pagination }> {
+    try {
+      const response = await apiClient.get<ApiResponse<{ entries: EarningEntry[]; pagination: Pagination }>>(
+        '/earnings/entries',
+        { params: { page, limit, ...range } }
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get earnings entries');
+      }
+    } catch (error: any) {
+      console.error('Get earnings entries error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get earnings entries');
+    }
+  }
+
+  /**
+   * Get the driver's weekly payout statements
+   */
+  async getPayouts(page = 1, limit = 10): Promise<{ payouts: Payout[]; pagination: Pagination }> {
+    try {
+      const response = await apiClient.get<ApiResponse<{ payouts: Payout[]; pagination: Pagination }>>(
+        '/earnings/payouts',
+        { params: { page, limit } }
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get payout statements');
+      }
+    } catch (error: any) {
+      console.error('Get payouts error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get payout statements');
+    }
+  }
+
+  /**
+   * Download earnings entries as a CSV file
+   */
+  async downloadCsv(range: EarningsDateRange = {}): Promise<void> {
+    try {
+      const response = await apiClient.get<Blob>('/earnings/export', {
+        params: range,
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `earnings_${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error: any) {
+      console.error('Export earnings error:', error);
+      throw new Error('Failed to download earnings');
+    }
+  }
+
+  /**
+   * Human-readable label for a payout status
+   */
+  getPayoutStatusLabel(status: PayoutStatus): string {
+    switch (status) {
+      case 'pending':
+        return 'Pending';
+      case 'paid':
+        return 'Paid';
+      case 'carried_forward':
+        return 'Carried forward';
+      default:
+        return status;
+    }
+  }
+}
+
+export const earningsService = new EarningsService();
@@ -0,0 +1,164 @@
+import { apiClient } from './apiClient';
+import { ApiResponse } from '../types';
+
+export type NotificationChannel = 'sms' | 'email' | 'push';
+
+export type NotificationLocale = 'en' | 'hi';
+
+export type NotificationEvent =
+  | 'OTP'
+  | 'PASSWORD_RESET'
+  | 'RIDE_ACCEPTED'
+  | 'DRIVER_ARRIVED'
+  | 'RIDE_RECEIPT'
+  | 'ONBOARDING_APPROVED'
+  | 'ONBOARDING_REJECTED'
+  | 'DOCUMENT_EXPIRING'
+  | 'DOCUMENT_EXPIRED'
+  | 'DRIVER_BREAK_REQUIRED';
+
+export interface NotificationPreferences {
+  locale: NotificationLocale;
+  channels: Record<NotificationChannel, boolean>;
+  pushSubscriptions: Array<{
+    endpoint: string;
+    createdAt: string;
+  }>;
+}
+
+export interface NotificationPreferencesUpdate {
+  locale?: NotificationLocale;
+  channels?: Partial<Record<NotificationChannel, boolean>>;
+}
+
+// Entry of the user's delivery log (OTP and reset-link bodies are redacted once sent)
+export interface NotificationLogEntry {
+  _id: string;
+  event: NotificationEvent;
+  channel: NotificationChannel;
+  locale: NotificationLocale;
+  subject: string | null;
+  body: string;
+  status: 'pending' | 'sent' | 'failed';
+  attempts: number;
+  lastError: string | null;
+  sentAt: string | null;
+  createdAt: string;
+}
+
+export interface NotificationLog {
+  notifications: NotificationLogEntry[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
+}
+
+class NotificationService {
+  /**
+   * Get the user's notification language and channels
+   */
+  async getPreferences(): Promise<NotificationPreferences> {
+    try {
+      const response = await apiClient.get<ApiResponse<{ preferences: NotificationPreferences }>>(
+        '/notifications/preferences'
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.preferences;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get notification preferences');
+      }
+    } catch (error: any) {
+      console.error('Get notification preferences error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get notification preferences');
+    }
+  }
+
+  /**
+   * Update the user's notification language and channels
+   */
+  async updatePreferences(update: NotificationPreferencesUpdate): Promise<NotificationPreferences> {
+    try {
+      const response = await apiClient.put<ApiResponse<{ preferences: NotificationPreferences }>>(
+        '/notifications/preferences',
+        update
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.preferences;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to update notification preferences');
+      }
+    } catch (error: any) {
+      console.error('Update notification preferences error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to update notification preferences');
+    }
+  }
+
+  /**
+   * Register this browser's web push subscription
+   */
+  async addPushSubscription(subscription: PushSubscriptionJSON): Promise<NotificationPreferences> {
+    try {
+      const response = await apiClient.post<ApiResponse<{ preferences: NotificationPreferences }>>(
+        '/notifications/push-subscriptions',
+        subscription
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.preferences;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to enable push notifications');
+      }
+    } catch (error: any) {
+      console.error('Add push subscription error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to enable push notifications');
+    }
+  }
+
+  /**
+   * Remove this browser's web push subscription
+   */
+  async removePushSubscription(endpoint: string): Promise<void> {
+    try {
+      const response = await apiClient.delete<ApiResponse>('/notifications/push-subscriptions', {
+        data: { endpoint }
+      });
+
+      if (!response.data.success) {
+        throw new Error(response.data.error?.message || 'Failed to disable push notifications');
+      }
+    } catch (error: any) {
+      console.error('Remove push subscription error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to disable push notifications');
+    }
+  }
+
+  /**
+   * Get the user's notification delivery log
+   */
+  async getNotifications(page = 1, limit = 20, channel?: NotificationChannel): Promise<NotificationLog> {
+    try {
+      const params: any = { page, limit };
+      if (channel) {
+        params.channel = channel;
+      }
+
+      const response = await apiClient.get<ApiResponse<NotificationLog>>('/notifications', { params });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get notifications');
+      }
+    } catch (error: any) {
+      console.error('Get notifications error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get notifications');
+    }
+  }
+}
+
+export const notificationService = new NotificationService();
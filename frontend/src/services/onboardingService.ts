@@ -0,0 +1,291 @@
+import { apiClient } from './apiClient';
+import { ApiResponse } from '../types';
+
+export type DriverDocumentType = 'license' | 'registration' | 'insurance';
+
+export type DriverDocumentStatus = 'pending' | 'approved' | 'rejected' | 'superseded';
+
+export type OnboardingStatus = 'applied' | 'documents_submitted' | 'under_review' | 'approved' | 'rejected';
+
+export type ReviewDecision = 'approve' | 'reject';
+
+export interface DriverDocument {
+  _id: string;
+  type: DriverDocumentType;
+  documentNumber: string | null;
+  expiresAt: string;
+  status: DriverDocumentStatus;
+  review: {
+    decision: ReviewDecision;
+    reason: string | null;
+    reviewedAt: string;
+  } | null;
+  file: {
+    fileName: string | null;
+    mimeType: string;
+    size: number;
+    url: string;
+  };
+  createdAt: string;
+}
+
+export interface Onboarding {
+  status: OnboardingStatus;
+  submittedAt: string | null;
+  reviewedAt: string | null;
+  rejectionReason: string | null;
+  history: Array<{
+    from: OnboardingStatus;
+    to: OnboardingStatus;
+    reason: string | null;
+    at: string;
+  }>;
+}
+
+export interface OnboardingDriver {
+  _id: string;
+  name: string;
+  phone: string;
+  email: string | null;
+  licenseNumber: string | null;
+  vehicleDetails: {
+    make: string;
+    model: string;
+    plateNumber: string;
+    color: string;
+  } | null;
+  isAvailable: boolean;
+  createdAt: string;
+}
+
+export interface OnboardingApplication {
+  driver: OnboardingDriver;
+  onboarding: Onboarding;
+  // Latest current document of each required type
+  requirements: Array<{
+    type: DriverDocumentType;
+    name: string;
+    document: DriverDocument | null;
+  }>;
+  documents: DriverDocument[];
+}
+
+export interface OnboardingApplicationList {
+  applications: Array<{
+    driver: OnboardingDriver;
+    onboarding: Onboarding;
+  }>;
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
+}
+
+export interface DocumentUpload {
+  file: File;
+  expiresAt: string;
+  documentNumber?: string;
+}
+
+class OnboardingService {
+  /**
+   * Get the driver's own application and documents
+   */
+  async getMyApplication(): Promise<OnboardingApplication> {
+    try {
+      const response = await apiClient.get<ApiResponse<OnboardingApplication>>('/onboarding');
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get onboarding status');
+      }
+    } catch (error: any) {
+      console.error('Get onboarding application error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get onboarding status');
+    }
+  }
+
+  /**
+   * Upload a document image; the file is sent as the request body
+   */
+  async uploadDocument(type: DriverDocumentType, upload: DocumentUpload): Promise<DriverDocument> {
+    try {
+      const response = await apiClient.put<ApiResponse<{ document: DriverDocument }>>(
+        `/onboarding/documents/${type}`,
+        upload.file,
+        {
+          headers: { 'Content-Type': upload.file.type },
+          params: {
+            expiresAt: new Date(upload.expiresAt).toISOString(),
+            fileName: upload.file.name,
+            ...(upload.documentNumber && { documentNumber: upload.documentNumber })
+          }
+        }
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.document;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to upload document');
+      }
+    } catch (error: any) {
+      console.error('Upload document error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to upload document');
+    }
+  }
+
+  /**
+   * Submit the application for review
+   */
+  async submitApplication(): Promise<Onboarding> {
+    try {
+      const response = await apiClient.post<ApiResponse<{ onboarding: Onboarding }>>('/onboarding/submit');
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.onboarding;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to submit application');
+      }
+    } catch (error: any) {
+      console.error('Submit application error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to submit application');
+    }
+  }
+
+  /**
+   * Fetch a document image as an object URL (revoke it with URL.revokeObjectURL when done)
+   */
+  async getDocumentImageUrl(documentId: string): Promise<string> {
+    try {
+      const response = await apiClient.get<Blob>(`/onboarding/documents/${documentId}/file`, {
+        responseType: 'blob'
+      });
+      return URL.createObjectURL(response.data);
+    } catch (error: any) {
+      console.error('Get document image error:', error);
+      throw new Error('Failed to load document image');
+    }
+  }
+
+  /**
+   * List driver applications (admin)
+   */
+  async getApplications(page = 1, limit = 20, status?: OnboardingStatus): Promise<OnboardingApplicationList> {
+    try {
+      const params: any = { page, limit };
+      if (status) {
+        params.status = status;
+      }
+
+      const response = await apiClient.get<ApiResponse<OnboardingApplicationList>>('/onboarding/applications', { params });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get driver applications');
+      }
+    } catch (error: any) {
+      console.error('Get driver applications error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get driver applications');
+    }
+  }
+
+  /**
+   * Get a driver's application and documents (admin)
+   */
+  async getApplication(driverId: string): Promise<OnboardingApplication> {
+    try {
+      const response = await apiClient.get<ApiResponse<OnboardingApplication>>(`/onboarding/applications/${driverId}`);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get driver application');
+      }
+    } catch (error: any) {
+      console.error('Get driver application error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get driver application');
+    }
+  }
+
+  /**
+   * Move a submitted application to under review (admin)
+   */
+  async startReview(driverId: string): Promise<Onboarding> {
+    try {
+      const response = await apiClient.post<ApiResponse<{ onboarding: Onboarding }>>(
+        `/onboarding/applications/${driverId}/start-review`
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.onboarding;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to start review');
+      }
+    } catch (error: any) {
+      console.error('Start review error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to start review');
+    }
+  }
+
+  /**
+   * Approve or reject one document (admin)
+   */
+  async reviewDocument(documentId: string, decision: ReviewDecision, reason?: string): Promise<DriverDocument> {
+    try {
+      const response = await apiClient.put<ApiResponse<{ document: DriverDocument }>>(
+        `/onboarding/documents/${documentId}/review`,
+        { decision, ...(reason && { reason }) }
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.document;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to review document');
+      }
+    } catch (error: any) {
+      console.error('Review document error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to review document');
+    }
+  }
+
+  /**
+   * Approve or reject an application, or revoke an approval (admin)
+   */
+  async decide(driverId: string, decision: ReviewDecision, reason?: string): Promise<Onboarding> {
+    try {
+      const response = await apiClient.post<ApiResponse<{ onboarding: Onboarding }>>(
+        `/onboarding/applications/${driverId}/decision`,
+        { decision, ...(reason && { reason }) }
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.onboarding;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to record decision');
+      }
+    } catch (error: any) {
+      console.error('Onboarding decision error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to record decision');
+    }
+  }
+
+  /**
+   * Human-readable onboarding status
+   */
+  getStatusLabel(status: OnboardingStatus): string {
+    const labels: Record<OnboardingStatus, string> = {
+      applied: 'Documents needed',
+      documents_submitted: 'Submitted',
+      under_review: 'Under review',
+      approved: 'Approved',
+      rejected: 'Changes requested'
+    };
+    return labels[status];
+  }
+}
+
+export const onboardingService = new OnboardingService();
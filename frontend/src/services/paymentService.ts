@@ -1,9 +1,9 @@
 import { apiClient } from './apiClient';
-import { ApiResponse, Ride } from '../types';
+import { ApiResponse, FareShare, Ride, RideEvent } from '../types';
 
 export interface PaymentRequest {
   rideId: string;
-  paymentMethod: 'mock' | 'cash';
+  paymentMethod: 'mock' | 'cash' | 'wallet';
   paymentDetails?: {
     cardNumber?: string;
     cvv?: string;
@@ -12,14 +12,47 @@ export interface PaymentRequest {
   };
 }
 
+// A card payment confirmed later by the gateway has status 'processing' and no receipt yet
+export interface PaymentResult {
+  ride: Ride;
+  // Split fares: the receipt comes with the last share paid
+  receipt?: Receipt | null;
+  share?: FareShare;
+  transactionId: string;
+  status?: 'processing';
+  message?: string;
+}
+
 export interface RatingRequest {
   rideId: string;
   rating: number;
   feedback?: string;
   ratingType: 'driver' | 'rider';
+  // Riders rating their driver can add a tip, charged like the fare
+  tip?: number;
+}
+
+export interface TaxLine {
+  type: 'CGST' | 'SGST' | 'IGST';
+  rate: number;
+  amount: number;
+}
+
+// GST tax invoice details; fares are tax-inclusive
+export interface ReceiptInvoice {
+  invoiceNumber: string;
+  issuedAt: string;
+  supplier: { name: string; gstin: string | null; address: string | null; stateCode: string };
+  placeOfSupply: { code: string; name: string };
+  sacCode: string;
+  taxRate: number;
+  taxableValue: number;
+  taxes: TaxLine[];
+  totalTax: number;
 }
 
 export interface Receipt {
+  // Invoice number once the ride has been invoiced
   receiptId: string;
   rideId: string;
   date: string;
@@ -34,24 +67,108 @@ export interface Receipt {
   } | null;
   trip: {
     pickup: string;
+    stops?: string[];
     destination: string;
     distance: number;
     duration: number;
     startTime: string;
     endTime: string;
+    serviceLevel?: string;
   };
   fare: {
     baseFare: number;
     distanceFare: number;
     timeFare: number;
     surgeFare: number;
+    stopFare?: number;
+    waitingFare?: number;
+    discount?: number;
+    promoCode?: string | null;
     total: number;
+    taxableValue?: number | null;
+    taxes?: TaxLine[];
+    refunded?: number;
+    netPaid?: number;
   };
   payment: {
     method: string;
-    transactionId: string;
+    transactionId: string | null;
     status: string;
   };
+  invoice?: ReceiptInvoice | null;
+  // Split fares: what each participant paid
+  shares?: Array<{
+    userId: string;
+    maskedPhone: string | null;
+    amount: number;
+    method: string | null;
+    status: string;
+    transactionId: string | null;
+  }>;
+  // Tip on top of the fare, passed to the driver in full
+  tip?: {
+    amount: number;
+    method: string;
+    transactionId: string | null;
+    paidAt: string;
+  } | null;
+  refunds?: Array<{
+    amount: number;
+    destination: 'original_method' | 'wallet';
+    reason: string;
+    transactionId: string;
+    date: string;
+  }>;
+}
+
+export type DisputeReason = 'overcharged' | 'wrong_route' | 'driver_issue' | 'payment_issue' | 'other';
+export type DisputeStatus = 'open' | 'under_review' | 'resolved' | 'rejected';
+
+export interface Dispute {
+  _id: string;
+  rideId: string | Ride;
+  riderId: string | { _id: string; profile: { name: string }; phone?: string };
+  reason: DisputeReason;
+  description: string;
+  status: DisputeStatus;
+  resolution?: {
+    decision: 'refund' | 'reject';
+    note?: string | null;
+    refundId?: string | null;
+    resolvedBy: string | { _id: string; profile: { name: string } };
+    resolvedAt: string;
+  } | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface Refund {
+  _id: string;
+  rideId: string;
+  amount: number;
+  type: 'full' | 'partial';
+  destination: 'original_method' | 'wallet';
+  paymentMethod: string;
+  reason: string;
+  transactionId: string;
+  createdAt: string;
+}
+
+export interface DisputeDetail {
+  dispute: Dispute;
+  ride: Ride;
+  events: RideEvent[];
+  refunds: Refund[];
+}
+
+export interface DisputeListResponse {
+  disputes: Dispute[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
 }
 
 export interface PaymentHistoryResponse {
@@ -69,9 +186,16 @@ class PaymentService {
   /**
    * Process payment for a completed ride
    */
-  async processPayment(paymentData: PaymentRequest): Promise<{ ride: Ride; receipt: Receipt; transactionId: string }> {
+  async processPayment(
+    paymentData: PaymentRequest,
+    idempotencyKey?: string
+  ): Promise<PaymentResult> {
     try {
-      const response = await apiClient.post<ApiResponse<{ ride: Ride; receipt: Receipt; transactionId: string }>>('/payments/process', paymentData);
+      const response = await apiClient.post<ApiResponse<PaymentResult>>(
+        '/payments/process',
+        paymentData,
+        idempotencyKey ? { headers: { 'Idempotency-Key': idempotencyKey } } : undefined
+      );
 
       if (response.data.success && response.data.data) {
         return response.data.data;
@@ -145,6 +269,127 @@ class PaymentService {
     }
   }
 
+  /**
+   * Download the GST tax invoice for a paid ride as a PDF file
+   */
+  async downloadInvoice(rideId: string, invoiceNumber: string): Promise<void> {
+    try {
+      const response = await apiClient.get<Blob>(`/payments/receipt/${rideId}`, {
+        params: { format: 'pdf' },
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `invoice_${invoiceNumber.replace(/\//g, '-')}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error: any) {
+      console.error('Download invoice error:', error);
+      throw new Error('Failed to download invoice');
+    }
+  }
+
+  /**
+   * Raise a dispute on a completed ride
+   */
+  async openDispute(rideId: string, reason: DisputeReason, description: string): Promise<Dispute> {
+    try {
+      const response = await apiClient.post<ApiResponse<{ dispute: Dispute }>>('/payments/disputes', { rideId, reason, description });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.dispute;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to submit dispute');
+      }
+    } catch (error: any) {
+      console.error('Open dispute error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to submit dispute');
+    }
+  }
+
+  /**
+   * List disputes (own disputes for riders, all for admins)
+   */
+  async getDisputes(page = 1, limit = 20, status?: DisputeStatus): Promise<DisputeListResponse> {
+    try {
+      const params: any = { page, limit };
+      if (status) {
+        params.status = status;
+      }
+
+      const response = await apiClient.get<ApiResponse<DisputeListResponse>>('/payments/disputes', { params });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get disputes');
+      }
+    } catch (error: any) {
+      console.error('Get disputes error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get disputes');
+    }
+  }
+
+  /**
+   * Get a dispute with its ride, timeline and refunds
+   */
+  async getDispute(disputeId: string): Promise<DisputeDetail> {
+    try {
+      const response = await apiClient.get<ApiResponse<DisputeDetail>>(`/payments/disputes/${disputeId}`);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get dispute');
+      }
+    } catch (error: any) {
+      console.error('Get dispute error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get dispute');
+    }
+  }
+
+  /**
+   * Resolve a dispute with a refund or reject it (admin)
+   */
+  async resolveDispute(
+    disputeId: string,
+    resolution: { decision: 'refund' | 'reject'; amount?: number; note?: string }
+  ): Promise<{ dispute: Dispute; refund: Refund | null }> {
+    try {
+      const response = await apiClient.put<ApiResponse<{ dispute: Dispute; refund: Refund | null }>>(
+        `/payments/disputes/${disputeId}/resolve`,
+        resolution
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to resolve dispute');
+      }
+    } catch (error: any) {
+      console.error('Resolve dispute error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to resolve dispute');
+    }
+  }
+
+  /**
+   * Get a readable label for a dispute reason
+   */
+  getDisputeReasonLabel(reason: DisputeReason): string {
+    const labels: Record<DisputeReason, string> = {
+      overcharged: 'Charged too much',
+      wrong_route: 'Wrong or longer route',
+      driver_issue: 'Problem with the driver',
+      payment_issue: 'Payment problem',
+      other: 'Something else'
+    };
+    return labels[reason] || reason;
+  }
+
   /**
    * Validate payment method details
    */
@@ -168,7 +413,8 @@ class PaymentService {
         break;
 
       case 'cash':
-        // No validation needed for cash payments
+      case 'wallet':
+        // No details needed for cash or wallet payments
         break;
 
       default:
@@ -201,15 +447,19 @@ class PaymentService {
       '='.repeat(40),
       '           RIDE RECEIPT',
       '='.repeat(40),
-      `Receipt ID: ${receipt.receiptId}`,
+      receipt.invoice ? `Invoice No: ${receipt.invoice.invoiceNumber}` : `Receipt ID: ${receipt.receiptId}`,
       `Date: ${new Date(receipt.date).toLocaleString()}`,
+      ...(receipt.invoice?.supplier.gstin ? [`GSTIN: ${receipt.invoice.supplier.gstin}`] : []),
+      ...(receipt.invoice ? [`Place of Supply: ${receipt.invoice.placeOfSupply.name}`] : []),
       '',
       'TRIP DETAILS:',
       `-`.repeat(20),
       `From: ${receipt.trip.pickup}`,
+      ...(receipt.trip.stops || []).map((stop, index) => `Stop ${index + 1}: ${stop}`),
       `To: ${receipt.trip.destination}`,
       `Distance: ${receipt.trip.distance.toFixed(2)} km`,
       `Duration: ${Math.round(receipt.trip.duration)} minutes`,
+      ...(receipt.trip.serviceLevel ? [`Ride Type: ${receipt.trip.serviceLevel}`] : []),
       '',
       'RIDER:',
       `-`.repeat(20),
@@ -236,13 +486,28 @@ class PaymentService {
       `Distance Fare: ${this.formatCurrency(receipt.fare.distanceFare)}`,
       `Time Fare: ${this.formatCurrency(receipt.fare.timeFare)}`,
       `Surge Fare: ${this.formatCurrency(receipt.fare.surgeFare)}`,
+      ...(receipt.fare.stopFare ? [`Stop Waiting Fees: ${this.formatCurrency(receipt.fare.stopFare)}`] : []),
+      ...(receipt.fare.waitingFare ? [`Waiting at Pickup: ${this.formatCurrency(receipt.fare.waitingFare)}`] : []),
+      ...(receipt.fare.discount
+        ? [`Discount${receipt.fare.promoCode ? ` (${receipt.fare.promoCode})` : ''}: -${this.formatCurrency(receipt.fare.discount)}`]
+        : []),
       `-`.repeat(20),
+      ...(receipt.fare.taxableValue != null ? [`Taxable Value: ${this.formatCurrency(receipt.fare.taxableValue)}`] : []),
+      ...(receipt.fare.taxes || []).map(tax => `${tax.type} @ ${tax.rate}%: ${this.formatCurrency(tax.amount)}`),
       `TOTAL: ${this.formatCurrency(receipt.fare.total)}`,
+      ...(receipt.refunds || []).map(refund => `Refund (${refund.destination === 'wallet' ? 'wallet' : 'card'}): -${this.formatCurrency(refund.amount)}`),
+      ...(receipt.fare.refunded && receipt.fare.netPaid !== undefined
+        ? [`NET PAID: ${this.formatCurrency(receipt.fare.netPaid)}`]
+        : []),
+      ...(receipt.tip ? [`Tip for driver: ${this.formatCurrency(receipt.tip.amount)}`] : []),
       '',
       'PAYMENT:',
       `-`.repeat(20),
       `Method: ${receipt.payment.method.toUpperCase()}`,
-      `Transaction ID: ${receipt.payment.transactionId}`,
+      ...(receipt.payment.transactionId ? [`Transaction ID: ${receipt.payment.transactionId}`] : []),
+      ...(receipt.shares || []).map((share, index) => (
+        `${index === 0 ? 'Booking rider' : share.maskedPhone || 'Co-rider'}: ${this.formatCurrency(share.amount)}${share.method ? ` (${share.method.toUpperCase()})` : ''}`
+      )),
       `Status: ${receipt.payment.status.toUpperCase()}`,
       '',
       '='.repeat(40),
@@ -272,6 +537,11 @@ class PaymentService {
         cardNumber: '4000000000009995',
         description: 'Insufficient funds',
         expectedResult: 'Payment will fail due to insufficient funds'
+      },
+      {
+        cardNumber: '4000000000000259',
+        description: 'Capture fails (fake gateway)',
+        expectedResult: 'Payment is accepted, then fails when the gateway confirms it'
       }
     ];
   }
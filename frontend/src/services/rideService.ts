@@ -1,15 +1,23 @@
 import { apiClient } from './apiClient';
-import { ApiResponse, Ride } from '../types';
+import { ApiResponse, FareSplit, Ride, RideEvent, RideRoute, RideStop, ServiceLevel, SurgeZone } from '../types';
+import { PaymentRequest } from './paymentService';
 
 export interface FareEstimate {
   baseFare: number;
   distanceFare: number;
   timeFare: number;
   surgeFare: number;
+  // Waiting fees for intermediate stops
+  stopFare: number;
   totalFare: number;
   distance: number;
   duration: number;
+  stops: number;
   surgeMultiplier: number;
+  serviceLevel: ServiceLevel;
+  // Signed quote that locks this price when booking
+  quoteId?: string;
+  quoteExpiresAt?: string;
 }
 
 export interface RideBookingRequest {
@@ -27,6 +35,42 @@ export interface RideBookingRequest {
       coordinates: [number, number];
     };
   };
+  // Up to three intermediate stops, in visiting order
+  stops?: RideBookingRequest['pickup'][];
+  serviceLevel?: ServiceLevel;
+  scheduledFor?: string;
+  quoteId?: string;
+  promoCode?: string;
+  // A card ('mock') pre-authorizes the fare at booking
+  paymentMethod?: 'mock' | 'cash' | 'wallet';
+  paymentDetails?: PaymentRequest['paymentDetails'];
+}
+
+export interface PromoCheckResult {
+  code: string;
+  description?: string | null;
+  discountType: 'percentage' | 'flat';
+  discountValue: number;
+  discount: number;
+  fareAfterDiscount: number;
+}
+
+export interface FareSplitRequest {
+  mode: FareSplit['mode'];
+  // New co-riders by phone; co-riders already on the split by user ID
+  participants: Array<({ phone: string } | { userId: string }) & { percentage?: number }>;
+  // The booking rider's own percentage (custom splits)
+  riderPercentage?: number;
+}
+
+export interface ScheduledRideUpdate {
+  scheduledFor?: string;
+  pickup?: RideBookingRequest['pickup'];
+  destination?: RideBookingRequest['destination'];
+  // Replaces the ride's stops; an empty list removes them
+  stops?: RideBookingRequest['pickup'][];
+  serviceLevel?: ServiceLevel;
+  specialInstructions?: string;
 }
 
 class RideService {
@@ -35,7 +79,9 @@ class RideService {
    */
   async getFareEstimate(
     pickup: [number, number],
-    destination: [number, number]
+    destination: [number, number],
+    serviceLevel: ServiceLevel = 'economy',
+    stops: [number, number][] = []
   ): Promise<FareEstimate> {
     try {
       const requestData = {
@@ -44,13 +90,15 @@ class RideService {
         },
         destination: {
           coordinates: destination
-        }
+        },
+        stops: stops.map(coordinates => ({ coordinates })),
+        serviceLevel
       };
 
       const response = await apiClient.post<ApiResponse<any>>('/rides/estimate', requestData);
 
       if (response.data.success && response.data.data) {
-        const { distance, estimatedDuration, fare } = response.data.data;
+        const { distance, estimatedDuration, stops: stopCount, fare, quote } = response.data.data;
 
         // Flatten the response to match the FareEstimate interface
         return {
@@ -60,8 +108,13 @@ class RideService {
           distanceFare: fare.distanceFare,
           timeFare: fare.timeFare,
           surgeFare: fare.surgeFare || 0,
+          stopFare: fare.stopFare || 0,
           totalFare: fare.totalFare,
-          surgeMultiplier: fare.surgeMultiplier || 1.0
+          stops: stopCount || 0,
+          surgeMultiplier: fare.surgeMultiplier || 1.0,
+          serviceLevel: response.data.data.serviceLevel || serviceLevel,
+          quoteId: quote?.quoteId,
+          quoteExpiresAt: quote?.expiresAt
         };
       } else {
         throw new Error(response.data.error?.message || 'Failed to get fare estimate');
@@ -75,9 +128,13 @@ class RideService {
   /**
    * Book a new ride
    */
-  async bookRide(rideData: RideBookingRequest): Promise<Ride> {
+  async bookRide(rideData: RideBookingRequest, idempotencyKey?: string): Promise<Ride> {
     try {
-      const response = await apiClient.post<ApiResponse<{ ride: Ride; message: string }>>('/rides/book', rideData);
+      const response = await apiClient.post<ApiResponse<{ ride: Ride; message: string }>>(
+        '/rides/book',
+        rideData,
+        idempotencyKey ? { headers: { 'Idempotency-Key': idempotencyKey } } : undefined
+      );
 
       if (response.data.success && response.data.data) {
         return (response.data.data as any).ride || (response.data.data as unknown as Ride);
@@ -114,6 +171,98 @@ class RideService {
     }
   }
 
+  /**
+   * Add a stop to a booked or ongoing ride (re-estimates the fare)
+   */
+  async addStop(rideId: string, stop: RideBookingRequest['pickup']): Promise<Ride> {
+    try {
+      const response = await apiClient.post<ApiResponse<{ ride: Ride; message: string }>>(`/rides/${rideId}/stops`, stop);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.ride;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to add stop');
+      }
+    } catch (error: any) {
+      console.error('Add stop error:', error);
+      throw new Error(error.response?.data?.error?.message || error.message || 'Failed to add stop');
+    }
+  }
+
+  /**
+   * Mark the next stop as reached (assigned driver only)
+   */
+  async markStopReached(rideId: string): Promise<{ ride: Ride; nextStop: RideStop | null }> {
+    try {
+      const response = await apiClient.post<ApiResponse<{ ride: Ride; nextStop: RideStop | null }>>(`/rides/${rideId}/stops/reached`);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to update stop');
+      }
+    } catch (error: any) {
+      console.error('Mark stop reached error:', error);
+      throw new Error(error.response?.data?.error?.message || error.message || 'Failed to update stop');
+    }
+  }
+
+  /**
+   * Get the rider's upcoming scheduled rides
+   */
+  async getScheduledRides(): Promise<Ride[]> {
+    try {
+      const response = await apiClient.get<ApiResponse<{ rides: Ride[]; count: number }>>('/rides/scheduled');
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.rides;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get scheduled rides');
+      }
+    } catch (error: any) {
+      console.error('Get scheduled rides error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get scheduled rides');
+    }
+  }
+
+  /**
+   * Edit a scheduled ride before it is dispatched
+   */
+  async updateScheduledRide(rideId: string, updates: ScheduledRideUpdate): Promise<Ride> {
+    try {
+      const response = await apiClient.put<ApiResponse<{ ride: Ride; message: string }>>(`/rides/scheduled/${rideId}`, updates);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.ride;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to update scheduled ride');
+      }
+    } catch (error: any) {
+      console.error('Update scheduled ride error:', error);
+      throw new Error(error.response?.data?.error?.message || error.message || 'Failed to update scheduled ride');
+    }
+  }
+
+  /**
+   * Cancel a scheduled ride before it is dispatched
+   */
+  async cancelScheduledRide(rideId: string, reason?: string): Promise<Ride> {
+    try {
+      const response = await apiClient.delete<ApiResponse<{ ride: Ride; message: string }>>(`/rides/scheduled/${rideId}`, {
+        data: { reason },
+      });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.ride;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to cancel scheduled ride');
+      }
+    } catch (error: any) {
+      console.error('Cancel scheduled ride error:', error);
+      throw new Error(error.response?.data?.error?.message || error.message || 'Failed to cancel scheduled ride');
+    }
+  }
+
   /**
    * Get ride details by ID
    */
@@ -133,6 +282,136 @@ class RideService {
     }
   }
 
+  /**
+   * Get a ride's event timeline, oldest first
+   */
+  async getRideEvents(rideId: string): Promise<RideEvent[]> {
+    try {
+      const response = await apiClient.get<ApiResponse<{ rideId: string; events: RideEvent[]; count: number }>>(`/rides/${rideId}/events`);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.events;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get ride timeline');
+      }
+    } catch (error: any) {
+      console.error('Get ride events error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get ride timeline');
+    }
+  }
+
+  /**
+   * Get the recorded GPS trace of a ride for replay
+   */
+  async getRideRoute(rideId: string): Promise<RideRoute> {
+    try {
+      const response = await apiClient.get<ApiResponse<RideRoute>>(`/rides/${rideId}/route`);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get ride route');
+      }
+    } catch (error: any) {
+      console.error('Get ride route error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get ride route');
+    }
+  }
+
+  /**
+   * Invite co-riders by phone to split a ride's fare (replaces any earlier split)
+   */
+  async setFareSplit(rideId: string, split: FareSplitRequest): Promise<FareSplit> {
+    try {
+      const response = await apiClient.post<ApiResponse<{ fareSplit: FareSplit; message: string }>>(`/rides/${rideId}/split`, split);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.fareSplit;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to split the fare');
+      }
+    } catch (error: any) {
+      console.error('Set fare split error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to split the fare');
+    }
+  }
+
+  /**
+   * Accept or decline an invitation to split a ride's fare
+   */
+  async respondToFareSplit(rideId: string, accept: boolean): Promise<FareSplit> {
+    try {
+      const response = await apiClient.post<ApiResponse<{ fareSplit: FareSplit; message: string }>>(`/rides/${rideId}/split/respond`, { accept });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.fareSplit;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to respond to the invitation');
+      }
+    } catch (error: any) {
+      console.error('Respond to fare split error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to respond to the invitation');
+    }
+  }
+
+  /**
+   * Get rides the rider has been invited to split the fare of, newest first
+   */
+  async getFareSplitInvitations(): Promise<Ride[]> {
+    try {
+      const response = await apiClient.get<ApiResponse<{ rides: Ride[]; count: number }>>('/rides/split/invitations');
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.rides;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get fare split invitations');
+      }
+    } catch (error: any) {
+      console.error('Get fare split invitations error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get fare split invitations');
+    }
+  }
+
+  /**
+   * Check a promo code against a pending booking
+   */
+  async checkPromo(code: string, pickup: [number, number], fare: number): Promise<PromoCheckResult> {
+    try {
+      const response = await apiClient.post<ApiResponse<PromoCheckResult>>('/promos/check', {
+        code,
+        pickup: { coordinates: pickup },
+        fare
+      });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to apply promo code');
+      }
+    } catch (error: any) {
+      console.error('Check promo error:', error);
+      throw new Error(error.response?.data?.error?.message || error.message || 'Failed to apply promo code');
+    }
+  }
+
+  /**
+   * Get current surge zones (drivers and admins)
+   */
+  async getSurgeHeatmap(): Promise<SurgeZone[]> {
+    try {
+      const response = await apiClient.get<ApiResponse<{ zones: SurgeZone[] }>>('/rides/surge/heatmap');
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.zones;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get surge heatmap');
+      }
+    } catch (error: any) {
+      console.error('Get surge heatmap error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get surge heatmap');
+    }
+  }
+
   /**
    * Get user's ride history
    */
@@ -158,9 +437,8 @@ class RideService {
    */
   async cancelRide(rideId: string, reason?: string): Promise<Ride> {
     try {
-      // Backend cancels via status update endpoint
-      const response = await apiClient.put<ApiResponse<{ ride: Ride; message: string }>>(`/rides/${rideId}/status`, {
-        status: 'cancelled',
+      // The backend applies the cancellation fee policy and records it on ride.cancellation
+      const response = await apiClient.post<ApiResponse<{ ride: Ride; cancellationFee: number; message: string }>>(`/rides/${rideId}/cancel`, {
         reason,
       });
 
@@ -270,6 +548,27 @@ class RideService {
     }
   }
 
+  /**
+   * Decline a ride offered to the driver
+   */
+  async declineRide(rideId: string): Promise<void> {
+    try {
+      const response = await apiClient.post<ApiResponse<{ rideId: string; message: string }>>(`/rides/${rideId}/decline`);
+
+      if (!response.data.success) {
+        throw new Error(response.data.error?.message || 'Failed to decline ride');
+      }
+    } catch (error: any) {
+      console.error('Decline ride error:', error);
+
+      if (error.response?.data?.error?.code === 'OFFER_NOT_FOUND') {
+        throw new Error('This offer is no longer available.');
+      }
+
+      throw new Error(error.response?.data?.error?.message || error.message || 'Failed to decline ride');
+    }
+  }
+
   /**
    * Update ride status
    */
@@ -293,12 +592,10 @@ class RideService {
   /**
    * Complete a ride (driver only)
    */
-  async completeRide(rideId: string, actualDistance?: number, actualDuration?: number): Promise<Ride> {
+  async completeRide(rideId: string): Promise<Ride> {
     try {
-      const response = await apiClient.put<ApiResponse<Ride>>(`/rides/${rideId}/complete`, {
-        actualDistance,
-        actualDuration,
-      });
+      // Distance and duration are measured server-side from the recorded GPS trace
+      const response = await apiClient.put<ApiResponse<Ride>>(`/rides/${rideId}/complete`);
 
       if (response.data.success && response.data.data) {
         return response.data.data;
@@ -0,0 +1,162 @@
+import { apiClient } from './apiClient';
+import { ApiResponse, User } from '../types';
+
+export type ShiftEndReason = 'driver' | 'break_required' | 'disconnected' | 'not_eligible';
+
+export type OpenShift = NonNullable<NonNullable<User['driverInfo']>['shift']>;
+
+export interface ShiftStatus {
+  onShift: boolean;
+  shift: OpenShift | null;
+  continuousMinutes: number;
+  // Minutes left before a break is required (null while off shift)
+  remainingMinutes: number | null;
+  maxContinuousMinutes: number;
+  minBreakMinutes: number;
+  breakRequired: boolean;
+  // When a driver on a required break may go online again
+  availableAt: string | null;
+}
+
+export interface ShiftReportDay {
+  date: string;
+  onlineMinutes: number;
+  onTripMinutes: number;
+  shifts: number;
+  breaksRequired: number;
+}
+
+export interface ShiftSummary {
+  _id: string;
+  startedAt: string;
+  endedAt: string | null;
+  endReason: ShiftEndReason | null;
+  durationMinutes: number;
+}
+
+export interface ShiftReport {
+  from: string;
+  to: string;
+  days: ShiftReportDay[];
+  totals: Omit<ShiftReportDay, 'date'>;
+  shifts: ShiftSummary[];
+  // Included in admin reports
+  status?: ShiftStatus;
+}
+
+export interface CurrentShift extends ShiftStatus {
+  today: ShiftReportDay;
+}
+
+export interface ShiftChange {
+  // True when the shift will end once the current ride finishes
+  pending?: boolean;
+  status: ShiftStatus;
+  message: string;
+}
+
+class ShiftService {
+  /**
+   * Get the driver's shift and break status and today's hours
+   */
+  async getCurrent(): Promise<CurrentShift> {
+    try {
+      const response = await apiClient.get<ApiResponse<CurrentShift>>('/shifts/current');
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get shift status');
+      }
+    } catch (error: any) {
+      console.error('Get shift status error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get shift status');
+    }
+  }
+
+  /**
+   * Start a shift and go online
+   */
+  async start(): Promise<ShiftChange> {
+    try {
+      const response = await apiClient.post<ApiResponse<ShiftChange>>('/shifts/start');
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to start shift');
+      }
+    } catch (error: any) {
+      console.error('Start shift error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to start shift');
+    }
+  }
+
+  /**
+   * End the shift and go offline (after the current ride, if any)
+   */
+  async end(): Promise<ShiftChange> {
+    try {
+      const response = await apiClient.post<ApiResponse<ShiftChange>>('/shifts/end');
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to end shift');
+      }
+    } catch (error: any) {
+      console.error('End shift error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to end shift');
+    }
+  }
+
+  /**
+   * Get the driver's online and on-trip hours for the last `days` days
+   */
+  async getReport(days = 7): Promise<ShiftReport> {
+    try {
+      const response = await apiClient.get<ApiResponse<ShiftReport>>('/shifts/report', { params: { days } });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get shift report');
+      }
+    } catch (error: any) {
+      console.error('Get shift report error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get shift report');
+    }
+  }
+
+  /**
+   * Get a driver's shift status and hours for the last `days` days (admin)
+   */
+  async getDriverReport(driverId: string, days = 7): Promise<ShiftReport> {
+    try {
+      const response = await apiClient.get<ApiResponse<ShiftReport>>(
+        `/shifts/drivers/${driverId}/report`,
+        { params: { days } }
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get shift report');
+      }
+    } catch (error: any) {
+      console.error('Get driver shift report error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get shift report');
+    }
+  }
+
+  /**
+   * Format minutes as hours and minutes, e.g. "3h 05m"
+   */
+  formatMinutes(minutes: number): string {
+    const hours = Math.floor(minutes / 60);
+    const rest = String(minutes % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}h ${rest}m` : `${minutes % 60}m`;
+  }
+}
+
+export const shiftService = new ShiftService();
@@ -1,5 +1,5 @@
 import { apiClient } from './apiClient';
-import { ApiResponse, User } from '../types';
+import { ApiResponse, ServiceLevel, User } from '../types';
 
 export interface UserProfile {
     name: string;
@@ -16,6 +16,7 @@ export interface DriverProfile extends UserProfile {
         plateNumber: string;
         color: string;
         year?: number;
+        vehicleClass?: ServiceLevel;
     };
 }
 
@@ -0,0 +1,251 @@
+import { apiClient } from './apiClient';
+import { ApiResponse, RideVehicle, ServiceLevel } from '../types';
+
+export type VehicleOwnerType = 'driver' | 'fleet';
+
+export type VehicleStatus = 'active' | 'retired';
+
+export interface VehiclePerson {
+  _id: string;
+  name: string;
+  phone: string;
+}
+
+export interface Vehicle {
+  _id: string;
+  ownerType: VehicleOwnerType;
+  // Populated in admin lists, otherwise the user ID
+  owner: VehiclePerson | string | null;
+  fleetName: string | null;
+  drivers: Array<VehiclePerson | string>;
+  make: string;
+  model: string;
+  plateNumber: string;
+  color: string;
+  year: number | null;
+  vehicleClass: ServiceLevel;
+  status: VehicleStatus;
+  currentDriver: VehiclePerson | string | null;
+  claimedAt: string | null;
+  createdAt: string;
+}
+
+export interface VehicleDetails {
+  make: string;
+  model: string;
+  plateNumber: string;
+  color: string;
+  year?: number;
+  vehicleClass?: ServiceLevel;
+}
+
+export interface MyVehicles {
+  vehicles: Vehicle[];
+  activeVehicle: (RideVehicle & { vehicleId: string; selectedAt: string }) | null;
+  profileVehicle: VehicleDetails | null;
+}
+
+export interface VehicleList {
+  vehicles: Vehicle[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
+}
+
+export interface VehicleFilters {
+  ownerType?: VehicleOwnerType;
+  status?: VehicleStatus;
+  fleetName?: string;
+  plateNumber?: string;
+}
+
+class VehicleService {
+  /**
+   * Get the vehicles the driver can drive and the one they selected
+   */
+  async getMyVehicles(): Promise<MyVehicles> {
+    try {
+      const response = await apiClient.get<ApiResponse<MyVehicles>>('/vehicles');
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get vehicles');
+      }
+    } catch (error: any) {
+      console.error('Get vehicles error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get vehicles');
+    }
+  }
+
+  /**
+   * Register a vehicle the driver owns
+   */
+  async addVehicle(details: VehicleDetails): Promise<Vehicle> {
+    try {
+      const response = await apiClient.post<ApiResponse<{ vehicle: Vehicle }>>('/vehicles', details);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.vehicle;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to add vehicle');
+      }
+    } catch (error: any) {
+      console.error('Add vehicle error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to add vehicle');
+    }
+  }
+
+  /**
+   * Select the vehicle for the next shift (only while offline)
+   */
+  async selectActiveVehicle(vehicleId: string): Promise<MyVehicles['activeVehicle']> {
+    try {
+      const response = await apiClient.put<ApiResponse<{ activeVehicle: MyVehicles['activeVehicle'] }>>(
+        '/vehicles/active',
+        { vehicleId }
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.activeVehicle;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to select vehicle');
+      }
+    } catch (error: any) {
+      console.error('Select vehicle error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to select vehicle');
+    }
+  }
+
+  /**
+   * Update a vehicle (its owner or an admin)
+   */
+  async updateVehicle(vehicleId: string, updates: Partial<VehicleDetails> & { fleetName?: string }): Promise<Vehicle> {
+    try {
+      const response = await apiClient.put<ApiResponse<{ vehicle: Vehicle }>>(`/vehicles/${vehicleId}`, updates);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.vehicle;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to update vehicle');
+      }
+    } catch (error: any) {
+      console.error('Update vehicle error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to update vehicle');
+    }
+  }
+
+  /**
+   * Retire a vehicle (its owner or an admin)
+   */
+  async retireVehicle(vehicleId: string): Promise<Vehicle> {
+    try {
+      const response = await apiClient.delete<ApiResponse<{ vehicle: Vehicle }>>(`/vehicles/${vehicleId}`);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.vehicle;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to retire vehicle');
+      }
+    } catch (error: any) {
+      console.error('Retire vehicle error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to retire vehicle');
+    }
+  }
+
+  /**
+   * List all vehicles (admin)
+   */
+  async getAllVehicles(page = 1, limit = 20, filters: VehicleFilters = {}): Promise<VehicleList> {
+    try {
+      const params: any = { page, limit };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) {
+          params[key] = value;
+        }
+      });
+
+      const response = await apiClient.get<ApiResponse<VehicleList>>('/vehicles/all', { params });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get vehicles');
+      }
+    } catch (error: any) {
+      console.error('Get all vehicles error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get vehicles');
+    }
+  }
+
+  /**
+   * Register a fleet vehicle (admin)
+   */
+  async addFleetVehicle(fleetName: string, details: VehicleDetails): Promise<Vehicle> {
+    try {
+      const response = await apiClient.post<ApiResponse<{ vehicle: Vehicle }>>('/vehicles/fleet', {
+        fleetName,
+        ...details
+      });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.vehicle;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to add fleet vehicle');
+      }
+    } catch (error: any) {
+      console.error('Add fleet vehicle error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to add fleet vehicle');
+    }
+  }
+
+  /**
+   * Let a driver (by phone number) drive a vehicle (admin)
+   */
+  async assignDriver(vehicleId: string, phone: string): Promise<Vehicle> {
+    try {
+      const response = await apiClient.post<ApiResponse<{ vehicle: Vehicle }>>(`/vehicles/${vehicleId}/drivers`, { phone });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.vehicle;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to assign driver');
+      }
+    } catch (error: any) {
+      console.error('Assign vehicle driver error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to assign driver');
+    }
+  }
+
+  /**
+   * Remove a driver from a vehicle (admin)
+   */
+  async unassignDriver(vehicleId: string, driverId: string): Promise<Vehicle> {
+    try {
+      const response = await apiClient.delete<ApiResponse<{ vehicle: Vehicle }>>(
+        `/vehicles/${vehicleId}/drivers/${driverId}`
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.vehicle;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to remove driver');
+      }
+    } catch (error: any) {
+      console.error('Unassign vehicle driver error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to remove driver');
+    }
+  }
+
+  /**
+   * One-line description, e.g. "White Maruti Dzire (KA01AB1234)"
+   */
+  describe(vehicle: { color: string; make: string; model: string; plateNumber: string }): string {
+    return `${vehicle.color} ${vehicle.make} ${vehicle.model} (${vehicle.plateNumber})`;
+  }
+}
+
+export const vehicleService = new VehicleService();
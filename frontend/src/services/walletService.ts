@@ -0,0 +1,151 @@
+import { apiClient } from './apiClient';
+import { ApiResponse } from '../types';
+
+export interface Wallet {
+  balance: number;
+  currency: string;
+  maxBalance: number;
+  updatedAt?: string;
+}
+
+export type WalletTransactionType = 'topup' | 'ride_payment' | 'refund' | 'tip' | 'cancellation_fee';
+
+export interface WalletTransaction {
+  _id: string;
+  type: WalletTransactionType;
+  direction: 'credit' | 'debit';
+  amount: number;
+  balanceAfter: number;
+  entries: Array<{
+    account: 'rider_wallet' | 'card_gateway' | 'ride_revenue';
+    direction: 'debit' | 'credit';
+    amount: number;
+  }>;
+  rideId?: {
+    _id: string;
+    pickup: { address: string };
+    destination: { address: string };
+  } | null;
+  reference?: string | null;
+  description?: string | null;
+  createdAt: string;
+}
+
+// A top-up the gateway confirms later has status 'pending' and no transaction yet
+export interface WalletTopUpResult {
+  wallet: Wallet;
+  transaction?: WalletTransaction;
+  status?: 'pending';
+  message?: string;
+}
+
+export interface WalletStatement {
+  wallet: Wallet;
+  transactions: WalletTransaction[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
+}
+
+export interface WalletTopUpRequest {
+  amount: number;
+  paymentDetails?: {
+    cardNumber?: string;
+    cvv?: string;
+    expiryMonth?: number;
+    expiryYear?: number;
+  };
+}
+
+class WalletService {
+  /**
+   * Get the rider's wallet balance
+   */
+  async getWallet(): Promise<Wallet> {
+    try {
+      const response = await apiClient.get<ApiResponse<{ wallet: Wallet }>>('/wallet');
+
+      if (response.data.success && response.data.data) {
+        return response.data.data.wallet;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get wallet');
+      }
+    } catch (error: any) {
+      console.error('Get wallet error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get wallet');
+    }
+  }
+
+  /**
+   * Get the rider's wallet statement
+   */
+  async getStatement(page = 1, limit = 20, type?: WalletTransactionType): Promise<WalletStatement> {
+    try {
+      const params: any = { page, limit };
+      if (type) {
+        params.type = type;
+      }
+
+      const response = await apiClient.get<ApiResponse<WalletStatement>>('/wallet/transactions', { params });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to get wallet statement');
+      }
+    } catch (error: any) {
+      console.error('Wallet statement error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to get wallet statement');
+    }
+  }
+
+  /**
+   * Add money to the wallet with a card
+   */
+  async topUp(
+    topUpData: WalletTopUpRequest,
+    idempotencyKey?: string
+  ): Promise<WalletTopUpResult> {
+    try {
+      const response = await apiClient.post<ApiResponse<WalletTopUpResult>>(
+        '/wallet/topup',
+        topUpData,
+        idempotencyKey ? { headers: { 'Idempotency-Key': idempotencyKey } } : undefined
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      } else {
+        throw new Error(response.data.error?.message || 'Failed to top up wallet');
+      }
+    } catch (error: any) {
+      console.error('Wallet top-up error:', error);
+      throw new Error(error.response?.data?.error?.message || 'Failed to top up wallet');
+    }
+  }
+
+  /**
+   * Human-readable label for a transaction type
+   */
+  getTransactionLabel(type: WalletTransactionType): string {
+    switch (type) {
+      case 'topup':
+        return 'Top-up';
+      case 'ride_payment':
+        return 'Ride payment';
+      case 'refund':
+        return 'Refund';
+      case 'tip':
+        return 'Tip';
+      case 'cancellation_fee':
+        return 'Cancellation fee';
+      default:
+        return type;
+    }
+  }
+}
+
+export const walletService = new WalletService();
@@ -17,8 +17,22 @@ export interface User {
       model: string;
       plateNumber: string;
       color: string;
+      vehicleClass?: ServiceLevel;
     };
+    // Vehicle selected for the shift (used instead of vehicleDetails while set)
+    activeVehicle?: (RideVehicle & { vehicleId: string; selectedAt: string }) | null;
     isAvailable: boolean;
+    // Open shift (null while off shift); a shift ending is set once the current ride finishes
+    shift?: {
+      shiftId: string;
+      startedAt: string;
+      continuousSince: string;
+      endRequestedAt: string | null;
+    } | null;
+    onboarding?: {
+      status: 'applied' | 'documents_submitted' | 'under_review' | 'approved' | 'rejected';
+      rejectionReason?: string | null;
+    };
     currentLocation?: {
       type: 'Point';
       coordinates: [number, number];
@@ -51,6 +65,19 @@ export interface LoginCredentials {
 }
 
 // Location and Ride Types
+export type ServiceLevel = 'economy' | 'comfort' | 'premium';
+
+// Vehicle a ride was accepted in (vehicleId is null for a driver's profile vehicle)
+export interface RideVehicle {
+  vehicleId: string | null;
+  make: string;
+  model: string;
+  plateNumber: string;
+  color: string;
+  year?: number | null;
+  vehicleClass: ServiceLevel;
+}
+
 export interface Location {
   address: string;
   coordinates: {
@@ -59,13 +86,36 @@ export interface Location {
   };
 }
 
+// Intermediate stop on the way to the destination, visited in order
+export interface RideStop extends Location {
+  addedAt?: string;
+  reachedAt?: string | null;
+}
+
+// Running charge while the driver waits at pickup; the first freeMinutes are free
+export interface WaitingCharge {
+  rideId: string;
+  arrivedAt: string | null;
+  freeUntil: string | null;
+  waitingMinutes: number;
+  freeMinutes: number;
+  chargeableMinutes: number;
+  ratePerMinute: number;
+  waitingFare: number;
+  timestamp: string;
+}
+
 export interface Ride {
   _id: string;
   riderId: string;
   driverId?: string;
-  status: 'requested' | 'matched' | 'accepted' | 'in_progress' | 'completed' | 'cancelled';
+  status: 'scheduled' | 'requested' | 'matched' | 'accepted' | 'arrived' | 'in_progress' | 'completed' | 'cancelled';
+  scheduledFor?: string;
   pickup: Location;
   destination: Location;
+  stops?: RideStop[];
+  serviceLevel?: ServiceLevel;
+  vehicle?: RideVehicle | null;
   fare: {
     estimated: number;
     final?: number;
@@ -74,21 +124,54 @@ export interface Ride {
       distanceFare: number;
       timeFare: number;
       surgeFare: number;
+      stopFare?: number;
+      waitingFare?: number;
+      discount?: number;
     };
+    surgeMultiplier?: number;
+    surgeCellId?: string | null;
+    promo?: {
+      code: string;
+      campaign?: string | null;
+      discountType: 'percentage' | 'flat';
+      discountValue: number;
+    } | null;
   };
   timeline: {
     requestedAt: string;
     matchedAt?: string;
     acceptedAt?: string;
+    arrivedAt?: string;
     startedAt?: string;
     completedAt?: string;
   };
   payment?: {
     method: string;
     status: 'pending' | 'processing' | 'completed' | 'failed' | 'refunded';
+    provider?: string | null;
     transactionId?: string;
     processedAt?: string;
+    refundedAmount?: number;
+    hold?: PaymentHold | null;
   };
+  fareSplit?: FareSplit | null;
+  tip?: RideTip | null;
+  cancellationReason?: string;
+  cancellation?: {
+    cancelledBy: 'rider' | 'driver' | 'admin' | 'system';
+    cancelledByUserId?: string;
+    fee: number;
+    feeReason?: string;
+    // How the fee was collected; 'owed' fees are still due from the rider
+    feePayment?: {
+      status: 'owed' | 'processing' | 'completed';
+      method: 'cash' | 'card' | 'wallet' | 'mock' | 'split';
+      transactionId?: string | null;
+      reason?: string | null;
+      paidAt?: string | null;
+    } | null;
+  };
+  offers?: RideOffer[];
   rating?: {
     riderRating?: number;
     driverRating?: number;
@@ -97,6 +180,142 @@ export interface Ride {
   };
 }
 
+export interface RideOffer {
+  driverId: string;
+  offeredAt: string;
+  expiresAt?: string | null;
+  respondedAt?: string | null;
+  status: 'pending' | 'accepted' | 'declined' | 'expired' | 'cancelled';
+  distance?: number | null;
+  estimatedArrival?: number | null;
+}
+
+export type RideEventType =
+  | 'RIDE_REQUESTED'
+  | 'RIDE_SCHEDULED'
+  | 'RIDE_UPDATED'
+  | 'RIDE_DISPATCHED'
+  | 'OFFER_SENT'
+  | 'OFFER_ACCEPTED'
+  | 'OFFER_DECLINED'
+  | 'OFFER_EXPIRED'
+  | 'NO_DRIVERS_AVAILABLE'
+  | 'MATCHING_ERROR'
+  | 'STATUS_CHANGED'
+  | 'RIDE_CANCELLED'
+  | 'RIDE_COMPLETED'
+  | 'DRIVER_NEAR_PICKUP'
+  | 'DRIVER_NEAR_DESTINATION'
+  | 'STOP_ADDED'
+  | 'STOP_REACHED'
+  | 'PAYMENT_AUTHORIZED'
+  | 'PAYMENT_HOLD_RELEASED'
+  | 'FARE_SPLIT_UPDATED'
+  | 'FARE_SPLIT_RESPONDED'
+  | 'FARE_SHARE_PAID'
+  | 'PAYMENT_COMPLETED'
+  | 'PAYMENT_FAILED'
+  | 'PAYMENT_REFUNDED'
+  | 'DISPUTE_OPENED'
+  | 'DISPUTE_RESOLVED'
+  | 'RATING_SUBMITTED'
+  | 'TIP_ADDED';
+
+// Tip added after the ride, kept apart from the fare
+export interface RideTip {
+  amount: number;
+  method: 'cash' | 'card' | 'wallet' | 'mock';
+  status: 'processing' | 'completed' | 'failed';
+  transactionId?: string | null;
+  paidAt?: string | null;
+}
+
+// Card pre-authorization placed at booking
+export interface PaymentHold {
+  status: 'authorized' | 'captured' | 'released' | 'failed';
+  amount: number;
+  provider: string;
+  authorizationId: string;
+  authorizedAt: string;
+  capturedAmount?: number | null;
+  capturedAt?: string | null;
+  releasedAt?: string | null;
+  reason?: string | null;
+}
+
+// One participant's part of a split fare; the booking rider holds the first share
+export interface FareShare {
+  userId: string;
+  // Phone the co-rider was invited with, masked; only sent to the booking rider
+  maskedPhone?: string | null;
+  status: 'invited' | 'accepted' | 'declined' | 'expired';
+  respondedAt?: string | null;
+  percentage?: number | null;
+  amount?: number | null;
+  payment: {
+    status: 'pending' | 'processing' | 'completed' | 'failed';
+    method?: 'cash' | 'wallet' | 'mock' | null;
+    provider?: string | null;
+    transactionId?: string | null;
+    processedAt?: string | null;
+  };
+}
+
+export interface FareSplit {
+  mode: 'even' | 'custom';
+  shares: FareShare[];
+}
+
+export interface RideEvent {
+  _id: string;
+  rideId: string;
+  type: RideEventType;
+  actor: {
+    role: 'rider' | 'driver' | 'admin' | 'system';
+    userId?: { _id: string; profile?: { name: string }; role?: string } | null;
+  };
+  message?: string | null;
+  data?: Record<string, unknown>;
+  createdAt: string;
+}
+
+export interface RideRoutePoint {
+  coordinates: [number, number]; // [longitude, latitude]
+  recordedAt: string;
+  phase: 'pickup' | 'trip';
+}
+
+export interface SurgeZone {
+  cellId: string;
+  center: {
+    type: 'Point';
+    coordinates: [number, number]; // [longitude, latitude]
+  };
+  bounds: {
+    south: number;
+    west: number;
+    north: number;
+    east: number;
+  };
+  multiplier: number;
+  pendingRequests: number;
+  availableDrivers: number;
+  computedAt: string;
+}
+
+export interface RideRoute {
+  rideId: string;
+  pickup: Location;
+  destination: Location;
+  points: RideRoutePoint[];
+  metrics: {
+    estimatedDistance: number;
+    actualDistance: number | null;
+    actualDuration: number | null;
+    distanceSource: 'gps_trace' | 'estimate' | null;
+  };
+}
+
 // Socket.IO Event Types
 export interface SocketEvents {
   // Driver events
@@ -107,9 +326,27 @@ export interface SocketEvents {
   // Ride events
   'ride:status-change': (data: { rideId: string; status: Ride['status']; timestamp: string }) => void;
   'ride:status-updated': (data: { rideId: string; status: Ride['status']; updatedBy: string; userRole: User['role']; location?: { latitude: number; longitude: number } | null; timestamp: string }) => void;
-  'ride:driver-assigned': (data: { rideId: string; driver: User; estimatedArrival: number }) => void;
+  'ride:driver-assigned': (data: { rideId: string; driver: User; vehicle: RideVehicle | null; estimatedArrival: number }) => void;
+  'ride:cancelled': (data: { rideId: string; cancelledBy: NonNullable<Ride['cancellation']>['cancelledBy']; reason?: string; cancellationFee: number; timestamp: string }) => void;
+  'ride:offer': (data: { rideId: string; pickup: Location; destination: Location; stops?: RideStop[]; serviceLevel?: ServiceLevel; estimatedFare: number; estimatedDistance?: number; distanceToPickup: number | null; estimatedArrival: number | null; rider: { name?: string }; expiresAt: string }) => void;
+  'ride:stops-updated': (data: { rideId: string; stops: RideStop[]; estimatedFare: number; estimatedDistance: number; timestamp: string }) => void;
+  'ride:waiting-updated': (data: WaitingCharge) => void;
+  'ride:offer-withdrawn': (data: { rideId: string; reason: 'expired' }) => void;
   'ride:driver-location': (data: { rideId: string; location: [number, number] }) => void; // legacy client format
 
+  // Payment events
+  'payment:completed': (data: { rideId: string; transactionId?: string; message: string; timestamp: string }) => void;
+  'payment:share-completed': (data: { rideId: string; transactionId: string; message: string; timestamp: string }) => void;
+  'payment:failed': (data: { rideId: string; transactionId: string; message: string; timestamp: string }) => void;
+  'wallet:topped-up': (data: { transactionId: string; amount: number; balance: number; timestamp: string }) => void;
+  'wallet:topup-failed': (data: { transactionId: string; message: string; timestamp: string }) => void;
+  'payment:refunded': (data: { rideId: string; amount: number; destination: 'original_method' | 'wallet'; paymentStatus: 'completed' | 'refunded'; timestamp: string }) => void;
+  'fare-split:invited': (data: { rideId: string; invitedBy: string | null; mode: FareSplit['mode']; timestamp: string }) => void;
+  'fare-split:responded': (data: { rideId: string; userId: string; name: string | null; accepted: boolean; timestamp: string }) => void;
+  'fare-split:due': (data: { rideId: string; amount: number; timestamp: string }) => void;
+  'ride:tip': (data: { rideId: string; amount: number; timestamp: string }) => void;
+  'dispute:resolved': (data: { disputeId: string; rideId: string; status: 'resolved' | 'rejected'; refundAmount: number; note: string | null; timestamp: string }) => void;
+
   // Room management
   'ride:join-room': (data: { rideId: string }) => void;
   'ride:leave-room': (data: { rideId: string }) => void;
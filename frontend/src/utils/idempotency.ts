@@ -0,0 +1,14 @@
+/**
+ * Utilities for idempotent API requests
+ */
+
+/**
+ * Create a key for the Idempotency-Key header. Use one key per user action and
+ * reuse it when the same action is retried, so the server processes it only once.
+ */
+export const createIdempotencyKey = (): string => {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
@@ -1,3 +1,4 @@
 // Export all utility functions from a single entry point
 export * from './formatters';
-export * from './validation';
\ No newline at end of file
+export * from './validation';
+export * from './idempotency';
\ No newline at end of file